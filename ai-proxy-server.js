@@ -217,8 +217,22 @@ CURRENT CAD CONTEXT:
   return `${contextInfo}\n\nUSER REQUEST: ${userMessage}\n\nPlease respond as an architectural AI assistant in ${mode} mode.`;
 }
 
+// Tool catalogs arrive in either function-calling format; each provider gets its own
+function toOpenAITools(tools = []) {
+  return tools.map(tool => (tool.type === 'function' ? tool : {
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+  }));
+}
+
+function toClaudeTools(tools = []) {
+  return tools.map(tool => (tool.type === 'function'
+    ? { name: tool.function.name, description: tool.function.description, input_schema: tool.function.parameters }
+    : tool));
+}
+
 // OpenAI API call
-async function callOpenAI(message, modelConfig, systemPrompt) {
+async function callOpenAI(message, modelConfig, systemPrompt, tools = []) {
   try {
     const response = await axios.post('https://api.openai.com/v1/chat/completions', {
       model: modelConfig.model,
@@ -228,7 +242,8 @@ async function callOpenAI(message, modelConfig, systemPrompt) {
       ],
       max_tokens: modelConfig.maxTokens,
       temperature: 0.7,
-      stream: false
+      stream: false,
+      ...(tools.length > 0 ? { tools: toOpenAITools(tools), tool_choice: 'auto' } : {})
     }, {
       headers: {
         'Content-Type': 'application/json',
@@ -236,11 +251,17 @@ async function callOpenAI(message, modelConfig, systemPrompt) {
       }
     });
 
+    const reply = response.data.choices[0].message;
     return {
-      message: response.data.choices[0].message.content,
+      message: reply.content || '',
       model: modelConfig.model,
       provider: 'openai',
-      usage: response.data.usage
+      usage: response.data.usage,
+      toolCalls: (reply.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      }))
     };
   } catch (error) {
     const errorMessage = error.response?.data?.error?.message || error.message;
@@ -249,7 +270,7 @@ async function callOpenAI(message, modelConfig, systemPrompt) {
 }
 
 // Claude API call
-async function callClaude(message, modelConfig, systemPrompt) {
+async function callClaude(message, modelConfig, systemPrompt, tools = []) {
   try {
     const response = await axios.post('https://api.anthropic.com/v1/messages', {
       model: modelConfig.model,
@@ -257,7 +278,8 @@ async function callClaude(message, modelConfig, systemPrompt) {
       system: systemPrompt,
       messages: [{ role: 'user', content: message }],
       temperature: 0.7,
-      stream: false
+      stream: false,
+      ...(tools.length > 0 ? { tools: toClaudeTools(tools) } : {})
     }, {
       headers: {
         'Content-Type': 'application/json',
@@ -266,11 +288,15 @@ async function callClaude(message, modelConfig, systemPrompt) {
       }
     });
 
+    const blocks = response.data.content || [];
     return {
-      message: response.data.content[0].text,
+      message: blocks.filter(block => block.type === 'text').map(block => block.text).join('\n'),
       model: modelConfig.model,
       provider: 'claude',
-      usage: response.data.usage
+      usage: response.data.usage,
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input }))
     };
   } catch (error) {
     const errorMessage = error.response?.data?.error?.message || error.message;
@@ -281,7 +307,8 @@ async function callClaude(message, modelConfig, systemPrompt) {
 // AI Chat endpoint
 app.post('/api/ai-chat', async (req, res) => {
   try {
-    const { message, model, mode = 'agent', context } = req.body;
+    const { message, model, mode = 'agent', context, tools } = req.body;
+    const toolCatalog = Array.isArray(tools) ? tools : [];
     
     if (!AI_MODELS[model]) {
       return res.status(400).json({ detail: `Unsupported model: ${model}` });
@@ -293,9 +320,9 @@ app.post('/api/ai-chat', async (req, res) => {
     
     let result;
     if (modelConfig.provider === 'openai') {
-      result = await callOpenAI(contextualMessage, modelConfig, systemPrompt);
+      result = await callOpenAI(contextualMessage, modelConfig, systemPrompt, toolCatalog);
     } else if (modelConfig.provider === 'claude') {
-      result = await callClaude(contextualMessage, modelConfig, systemPrompt);
+      result = await callClaude(contextualMessage, modelConfig, systemPrompt, toolCatalog);
     } else {
       return res.status(400).json({ detail: `Unknown provider: ${modelConfig.provider}` });
     }
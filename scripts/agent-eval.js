@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/*
+ * Offline evaluation of the server agent (server/agent)
+ *
+ * Run the benchmark goals and score them; with a baseline report, exit 1 when any
+ * benchmark scores lower than it did there:
+ *   node scripts/agent-eval.js bench [--out report.json] [--baseline report.json]
+ *
+ * Replay a run trace (GET /api/agent/run/:runId/trace) with the model and approvals
+ * stubbed from the trace; exit 1 when the replay differs from the recorded run:
+ *   node scripts/agent-eval.js replay trace.json
+ */
+
+const fs = require('fs');
+const { runBenchmarks, findRegressions } = require('../server/agent/benchmarks');
+const { replayTrace } = require('../server/agent/traces');
+
+const USAGE = 'Usage: node scripts/agent-eval.js bench [--out file] [--baseline file] | replay <trace.json>';
+const VALUE_FLAGS = ['--out', '--baseline'];
+
+// The runtime logs every run; keep the report readable
+const quietLogger = { log: () => {}, warn: () => {} };
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.log(USAGE);
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, files: [] };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (VALUE_FLAGS.includes(arg)) {
+      const value = rest[i + 1];
+      if (!value || value.startsWith('--')) usage(`${arg} needs a file name`);
+      options[arg.slice(2)] = value;
+      i++;
+    } else if (arg.startsWith('--')) {
+      usage(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+async function bench({ out, baseline }) {
+  const report = await runBenchmarks({ logger: quietLogger });
+  report.results.forEach(result => {
+    const failed = result.checks.filter(check => !check.ok).map(check => check.name);
+    console.log(`${result.score === 1 ? '✅' : '❌'} ${result.id.padEnd(28)} ${result.score.toFixed(2)}  ${result.status}${failed.length ? `  failed: ${failed.join(', ')}` : ''}`);
+  });
+  console.log(`\n📊 ${report.passed}/${report.total} benchmarks passed, mean score ${report.score.toFixed(3)}`);
+
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    console.log(`💾 Report written to ${out}`);
+  }
+  if (baseline) {
+    const regressions = findRegressions(report, JSON.parse(fs.readFileSync(baseline, 'utf8')));
+    regressions.forEach(({ id, before, after }) => console.log(`📉 ${id}: ${before.toFixed(2)} → ${after.toFixed(2)}`));
+    if (regressions.length) process.exit(1);
+  }
+}
+
+async function replay(traceFile) {
+  const file = JSON.parse(fs.readFileSync(traceFile, 'utf8'));
+  const { match, differences, divergences } = await replayTrace(file.trace || file, { logger: quietLogger });
+  differences.forEach(({ path, recorded, replayed }) => {
+    console.log(`≠ ${path}\n  recorded: ${JSON.stringify(recorded)}\n  replayed: ${JSON.stringify(replayed)}`);
+  });
+  if (divergences.length) console.log(`⚠️ ${divergences.length} model prompt(s) differ from the recorded ones`);
+  console.log(match ? '✅ Replay matches the recorded run' : `❌ Replay differs in ${differences.length} place(s)`);
+  if (!match) process.exit(1);
+}
+
+(async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    if (options.command === 'bench') {
+      await bench(options);
+    } else if (options.command === 'replay' && options.files.length === 1) {
+      await replay(options.files[0]);
+    } else {
+      usage();
+    }
+  } catch (error) {
+    console.error('❌ Agent evaluation failed:', error.message);
+    process.exit(1);
+  }
+})();
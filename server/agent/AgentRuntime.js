@@ -0,0 +1,427 @@
+/**
+ * AgentRuntime - Server-side plan→act→observe→reflect loop
+ *
+ * The loop AutonomousAgent runs in the browser, run on the server against a HeadlessEngine
+ * seeded from the client's scene: plan the goal, gate destructive actions on user approval,
+ * execute each tool, check it with the critic, roll the step back and replan when it fails.
+ * Every event goes to the persistent run record and out to subscribers ('event'); the
+ * completed run carries the validated tool calls for the client to apply to its own engine.
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { HeadlessEngine } = require('./HeadlessEngine');
+const { checkAction } = require('./headlessCritic');
+const { AgentPlanner } = require('./planner');
+const { RunStore } = require('./RunStore');
+const { ApprovalGate } = require('./ApprovalGate');
+
+// Same defaults as AgentConfigService, plus the approval deadline and replan budget
+const DEFAULT_CONFIG = {
+  maxSteps: 12,
+  maxMillis: 60000,
+  approvalMode: 'destructive',
+  approvalTimeoutMs: 30000,
+  enableCritic: true,
+  enableCheckpoints: true,
+  maxReplans: 2
+};
+
+const DESTRUCTIVE_TOOLS = [
+  'geometry.delete',
+  'selection.delete',
+  'document.clear',
+  'transform.split',
+  'geometry.booleanSubtract'
+];
+
+const ACTIVE_STATUSES = ['running', 'awaiting_approval'];
+
+const runError = (code, message) => Object.assign(new Error(message), { code });
+
+const scrubArgs = args => {
+  const scrubbed = { ...(args || {}) };
+  delete scrubbed.apiKey;
+  delete scrubbed.credentials;
+  return scrubbed;
+};
+
+const scrubResult = result => (result ? {
+  ok: result.ok,
+  error: result.error,
+  summary: result.summary,
+  objectId: result.objectId,
+  objectsCreated: result.objectsCreated,
+  objectsDeleted: result.objectsDeleted
+} : null);
+
+/**
+ * Step params with a hostWallRef ("<step id>:<n>", the n-th wall a completed step created)
+ * turned into the hostWallId of that wall. An unresolved reference leaves no hostWallId, so
+ * the engine rejects the opening.
+ */
+const resolveHostWall = (params, plan, engine) => {
+  if (!params?.hostWallRef) return params;
+  const { hostWallRef, ...args } = params;
+  const [stepId, index] = String(hostWallRef).split(':');
+  const source = plan.steps.find(step => step.id === stepId && step.status === 'completed');
+  const walls = (source?.result?.objectsCreated || []).filter(id => engine.getObject(id)?.type === 'wall');
+  const hostWallId = walls[Number(index) || 0];
+  return hostWallId ? { ...args, hostWallId } : args;
+};
+
+const summarizeSteps = steps => (steps || []).map(({ id, title, action, status }) => ({ id, title, action, status }));
+
+/**
+ * Scene document to seed a run's engine from the request context: a scene document, or
+ * the objects the client sent (StandaloneCADEngine.getAllObjects output)
+ */
+function documentFromContext(context = {}) {
+  if (context.document?.objects) return context.document;
+  const objects = (context.objects || [])
+    .filter(object => object && object.id && object.type)
+    .map(object => {
+      if (object.params) return { id: String(object.id), type: object.type, params: object.params };
+      const { id, type, mesh3D, mesh2D, selected, visible, created, ...params } = object;
+      return { id: String(id), type, params };
+    });
+  return { objects };
+}
+
+class AgentRuntime extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {RunStore} [options.store]
+   * @param {ApprovalGate} [options.approvals]
+   * @param {AgentPlanner} [options.planner]
+   * @param {Function} [options.createEngine] - () => engine with the HeadlessEngine interface
+   * @param {Object} [options.config] - Overrides of DEFAULT_CONFIG for every run
+   * @param {Object} [options.logger] - { log, warn } for run progress; console by default
+   */
+  constructor({
+    logger = console,
+    store = new RunStore(),
+    approvals = new ApprovalGate(),
+    planner = new AgentPlanner({ logger }),
+    createEngine = () => new HeadlessEngine(),
+    config = {}
+  } = {}) {
+    super();
+    this.logger = logger;
+    this.store = store;
+    this.approvals = approvals;
+    this.planner = planner;
+    this.createEngine = createEngine;
+    this.config = { ...DEFAULT_CONFIG };
+    Object.entries(config).forEach(([key, value]) => {
+      if (value !== undefined) this.config[key] = value;
+    });
+    this.active = new Map(); // runId -> { engine, complete, stopped, stopReason, finished }
+  }
+
+  /**
+   * Effective configuration for a run; unknown keys are ignored
+   */
+  withOverrides(overrides = {}) {
+    const config = { ...this.config };
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+      if (overrides[key] !== undefined) config[key] = overrides[key];
+    });
+
+    const errors = [];
+    if (!Number.isInteger(config.maxSteps) || config.maxSteps < 1 || config.maxSteps > 100) {
+      errors.push('maxSteps must be a number between 1 and 100');
+    }
+    if (!['always', 'never', 'destructive'].includes(config.approvalMode)) {
+      errors.push('approvalMode must be "always", "never", or "destructive"');
+    }
+    if (typeof config.approvalTimeoutMs !== 'number' || config.approvalTimeoutMs < 1 || config.approvalTimeoutMs > 600000) {
+      errors.push('approvalTimeoutMs must be a number of milliseconds up to 600000');
+    }
+    if (errors.length) {
+      throw runError('E_INVALID_ARGS', `Invalid configuration: ${errors.join(', ')}`);
+    }
+    return config;
+  }
+
+  /**
+   * Start a run in the background
+   * @param {Object} params - { goal, context, overrides, userId, complete? }; complete stands
+   *   in for the planner's model on this run (replays stub it from a trace)
+   * @returns {{ ok: true, runId: string, finished: Promise<Object> }} finished resolves with
+   *   the final run record
+   */
+  startRun({ goal, context = {}, overrides = {}, userId = 'anonymous', complete = null }) {
+    if (typeof goal !== 'string' || !goal.trim()) {
+      throw runError('E_INVALID_ARGS', 'Goal is required');
+    }
+
+    const config = this.withOverrides(overrides);
+    const runId = `run_${crypto.randomUUID()}`;
+    const document = documentFromContext(context);
+
+    const engine = this.createEngine();
+    engine.loadSceneDocument(document);
+
+    this.store.create({ runId, goal, userId, config, document, status: 'running' });
+    const active = { engine, complete, stopped: false, stopReason: null };
+    this.active.set(runId, active);
+
+    active.finished = this.executeRun(runId).then(() => this.store.get(runId));
+    return { ok: true, runId, finished: active.finished };
+  }
+
+  async executeRun(runId) {
+    const run = this.store.get(runId);
+    const { goal, config } = run;
+    const active = this.active.get(runId);
+    const { engine } = active;
+    const tools = engine.getToolNames();
+    const model = active.complete || this.planner.complete;
+    const complete = model ? this.recordLLM(runId, model) : null;
+    const baseline = config.enableCheckpoints ? engine.captureSnapshot() : null;
+    let step = 0;
+
+    try {
+      this.emitEvent(runId, { type: 'phase', phase: 'planning', summary: 'Analyzing request and generating execution plan' });
+
+      let plan = await this.planner.plan({ goal, tools, objects: engine.getAllObjects(), complete });
+      this.store.update(runId, { plan });
+      this.emitEvent(runId, { type: 'plan', summary: plan.title, steps: summarizeSteps(plan.steps), source: plan.source });
+
+      while (step < config.maxSteps && Date.now() - run.startTime < config.maxMillis) {
+        this.assertActive(active);
+        const next = plan.steps.find(candidate => candidate.status === 'pending');
+        if (!next) break;
+        const action = {
+          tool: next.action,
+          args: resolveHostWall(next.params, plan, engine),
+          stepId: next.id,
+          stepNumber: next.number
+        };
+
+        if (this.shouldRequestApproval(config.approvalMode, action)) {
+          await this.awaitApproval(runId, action, config);
+          this.assertActive(active);
+        }
+
+        // Act
+        this.emitEvent(runId, { type: 'act', tool: action.tool, args: scrubArgs(action.args), step: step + 1 });
+        const checkpoint = config.enableCheckpoints ? engine.captureSnapshot() : null;
+        const result = engine.executeTool(action.tool, action.args);
+
+        // Observe
+        this.emitEvent(runId, { type: 'observe', result: scrubResult(result), success: result.ok });
+
+        // Critic
+        const verdict = config.enableCritic
+          ? checkAction({ action, result, engine })
+          : { ok: result.ok, reason: result.error?.title, category: 'execution' };
+        if (config.enableCritic) {
+          this.emitEvent(runId, {
+            type: 'critic',
+            verdict: verdict.ok ? 'passed' : 'failed',
+            reason: verdict.reason,
+            category: verdict.category
+          });
+        }
+
+        this.store.push(runId, 'steps', {
+          step: step + 1,
+          stepId: action.stepId,
+          tool: action.tool,
+          args: scrubArgs(action.args),
+          result: scrubResult(result),
+          verdict,
+          ts: Date.now()
+        });
+        step++;
+
+        // Reflect: undo the failed step and plan around it
+        if (!verdict.ok) {
+          if (checkpoint) engine.restoreSnapshot(checkpoint);
+          if ((plan.replanCount || 0) >= config.maxReplans) {
+            throw runError('E_EXEC', `${verdict.reason} (gave up after ${config.maxReplans} replans)`);
+          }
+          this.emitEvent(runId, { type: 'reflect', issue: verdict.reason, action: 'replanning' });
+
+          plan = await this.planner.replan({
+            goal,
+            plan,
+            failedStep: next,
+            failure: verdict.reason,
+            tools,
+            objects: engine.getAllObjects(),
+            complete
+          });
+          this.store.update(runId, { plan });
+          this.emitEvent(runId, { type: 'replan', reason: verdict.reason, newPlan: summarizeSteps(plan.steps) });
+          continue;
+        }
+
+        plan = {
+          ...plan,
+          steps: plan.steps.map(candidate => (candidate.id === next.id
+            ? {
+              ...candidate,
+              params: action.args,
+              status: 'completed',
+              result: scrubResult(result),
+              created: result.objectsCreated.map(id => ({ id, type: engine.getObject(id)?.type })),
+              completedAt: Date.now()
+            }
+            : candidate))
+        };
+        this.store.update(runId, { plan });
+      }
+
+      if (plan.steps.some(candidate => candidate.status === 'pending')) {
+        throw runError('E_EXEC', step >= config.maxSteps
+          ? `Step limit of ${config.maxSteps} reached before the plan was done`
+          : `Time limit of ${config.maxMillis}ms reached before the plan was done`);
+      }
+
+      const duration = Date.now() - run.startTime;
+      // With the objects each call made, so the client can map these ids to its own
+      const actions = plan.steps.map(({ action, params, created }) => ({ tool: action, args: params, created }));
+      this.store.update(runId, {
+        status: 'completed',
+        endTime: Date.now(),
+        result: { ok: true, steps: step, duration, actions, document: engine.exportSceneDocument() }
+      });
+      this.emitEvent(runId, { type: 'done', status: 'success', steps: step, duration, actions });
+      this.logger.log(`🤖 AgentRuntime: Run ${runId.slice(0, 12)} completed in ${step} steps`);
+
+    } catch (error) {
+      // Roll the whole run back, as AutonomousAgent does with its transaction
+      if (baseline) {
+        engine.restoreSnapshot(baseline);
+        this.emitEvent(runId, { type: 'rollback', reason: error.message });
+      }
+
+      let status = 'failed';
+      if (active.stopped) status = 'stopped';
+      else if (error.code === 'E_REJECTED') status = 'rejected';
+
+      this.store.update(runId, {
+        status,
+        endTime: Date.now(),
+        error: error.message,
+        result: {
+          ok: false,
+          steps: step,
+          error: { code: error.code || 'E_EXEC', title: error.message },
+          document: engine.exportSceneDocument()
+        }
+      });
+      this.emitEvent(runId, status === 'stopped'
+        ? { type: 'done', status: 'terminated', reason: active.stopReason, forced: true }
+        : { type: 'done', status: status === 'rejected' ? 'rejected' : 'error', error: error.message, step });
+      this.logger.warn(`⚠️ AgentRuntime: Run ${runId.slice(0, 12)} ${status}: ${error.message}`);
+
+    } finally {
+      this.approvals.cancelRun(runId);
+      this.active.delete(runId);
+    }
+  }
+
+  /**
+   * Wait for the user's answer; anything but an explicit approval stops the run
+   */
+  async awaitApproval(runId, action, config) {
+    const { approvalId, expiresAt, decision } = this.approvals.request({
+      runId,
+      action: { tool: action.tool, args: scrubArgs(action.args) },
+      timeoutMs: config.approvalTimeoutMs
+    });
+
+    this.store.update(runId, { status: 'awaiting_approval' });
+    this.emitEvent(runId, {
+      type: 'approval-request',
+      approvalId,
+      action: { tool: action.tool, args: scrubArgs(action.args), step: action.stepNumber },
+      timeout: config.approvalTimeoutMs,
+      expiresAt
+    });
+
+    const { approved, reason } = await decision;
+    this.store.update(runId, { status: 'running' });
+    this.emitEvent(runId, reason === 'timeout'
+      ? { type: 'approval-timeout', approvalId, approved: false }
+      : { type: 'approval-response', approvalId, approved, reason });
+
+    if (!approved) {
+      throw runError('E_REJECTED', reason === 'timeout'
+        ? `No approval for ${action.tool} within ${config.approvalTimeoutMs / 1000}s; action denied`
+        : `User rejected ${action.tool}`);
+    }
+  }
+
+  shouldRequestApproval(mode, action) {
+    if (mode === 'never') return false;
+    if (mode === 'always') return true;
+    return DESTRUCTIVE_TOOLS.some(tool => action.tool.includes(tool));
+  }
+
+  assertActive(active) {
+    if (active.stopped) throw runError('E_STOPPED', active.stopReason);
+  }
+
+  /**
+   * Answer a pending approval of a run
+   * @returns {boolean} whether there was an approval to answer
+   */
+  approve({ runId, approvalId = null, approved, reason = null }) {
+    return this.approvals.respond({ runId, approvalId, approved, reason });
+  }
+
+  /**
+   * Stop a running run; it rolls back and ends with a 'terminated' done event
+   */
+  stopRun(runId, reason = 'User requested stop') {
+    const active = this.active.get(runId);
+    if (!active) return false;
+    active.stopped = true;
+    active.stopReason = reason;
+    this.approvals.cancelRun(runId, 'stopped');
+    return true;
+  }
+
+  getRun(runId) {
+    return this.store.get(runId);
+  }
+
+  /**
+   * Run summaries for a user, newest first
+   */
+  listRuns(userId, { activeOnly = false } = {}) {
+    return this.store.list({ userId, statuses: activeOnly ? ACTIVE_STATUSES : null }).map(run => ({
+      runId: run.runId,
+      goal: run.goal.substring(0, 100),
+      status: run.status,
+      startTime: run.startTime,
+      endTime: run.endTime,
+      progress: run.steps.length,
+      pendingApprovals: this.approvals.getPending(run.runId)
+    }));
+  }
+
+  emitEvent(runId, event) {
+    const stored = this.store.appendEvent(runId, event);
+    if (stored) this.emit('event', stored);
+    return stored;
+  }
+
+  /**
+   * Model calls made for a run go into its record, so the run can be replayed without the model
+   */
+  recordLLM(runId, complete) {
+    return async request => {
+      const response = await complete(request);
+      this.store.push(runId, 'llmCalls', { request, response, ts: Date.now() });
+      return response;
+    };
+  }
+}
+
+module.exports = { AgentRuntime, DEFAULT_CONFIG, documentFromContext };
@@ -0,0 +1,78 @@
+/**
+ * ApprovalGate - User approval for agent actions, denied when nobody answers in time
+ *
+ * Each request gets an id and a deadline. The decision resolves with approved: true only
+ * on an explicit approval; a denial, a timeout or a cancelled run all resolve as denied.
+ */
+
+class ApprovalGate {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Time to answer before the action is denied
+   */
+  constructor({ timeoutMs = 30000 } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.pending = new Map(); // approvalId -> { runId, action, resolve, timer, expiresAt }
+    this.nextApprovalId = 1;
+  }
+
+  /**
+   * Ask for approval of an action
+   * @returns {{ approvalId: string, expiresAt: number, decision: Promise<{ approved: boolean, reason: string }> }}
+   */
+  request({ runId, action, timeoutMs = this.timeoutMs }) {
+    const approvalId = `approval_${this.nextApprovalId++}`;
+    const expiresAt = Date.now() + timeoutMs;
+
+    const decision = new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.settle(approvalId, { approved: false, reason: 'timeout' });
+      }, timeoutMs);
+      this.pending.set(approvalId, { runId, action, resolve, timer, expiresAt });
+    });
+
+    return { approvalId, expiresAt, decision };
+  }
+
+  /**
+   * Answer a pending request, by its id or the run's only open request
+   * @returns {boolean} whether there was a request to answer
+   */
+  respond({ approvalId = null, runId = null, approved, reason = null }) {
+    const id = approvalId || this.findByRun(runId);
+    if (!id || !this.pending.has(id)) return false;
+    if (runId && this.pending.get(id).runId !== runId) return false;
+    return this.settle(id, { approved: approved === true, reason: reason || (approved === true ? 'approved' : 'denied') });
+  }
+
+  /**
+   * Deny every open request of a run
+   */
+  cancelRun(runId, reason = 'cancelled') {
+    [...this.pending.entries()]
+      .filter(([, entry]) => entry.runId === runId)
+      .forEach(([id]) => this.settle(id, { approved: false, reason }));
+  }
+
+  findByRun(runId) {
+    const entry = [...this.pending.entries()].find(([, pending]) => pending.runId === runId);
+    return entry ? entry[0] : null;
+  }
+
+  getPending(runId = null) {
+    return [...this.pending.entries()]
+      .filter(([, entry]) => !runId || entry.runId === runId)
+      .map(([approvalId, { runId: id, action, expiresAt }]) => ({ approvalId, runId: id, action, expiresAt }));
+  }
+
+  settle(approvalId, decision) {
+    const entry = this.pending.get(approvalId);
+    if (!entry) return false;
+    clearTimeout(entry.timer);
+    this.pending.delete(approvalId);
+    entry.resolve({ approvalId, ...decision });
+    return true;
+  }
+}
+
+module.exports = { ApprovalGate };
@@ -0,0 +1,302 @@
+/**
+ * HeadlessEngine - In-memory CAD engine for the server-side agent runtime
+ *
+ * Keeps the same object records as StandaloneCADEngine scene documents ({ id, type, params })
+ * without any three.js geometry, and runs the agent tools with the defaults AICommandExecutor
+ * uses in the browser. Only tools the browser can replay are offered: AICommandExecutor's create
+ * tools and geometry.delete, which NativeAIChat applies itself. Runs executed here can be validated by the critic, checkpointed with
+ * captureSnapshot/restoreSnapshot and replayed in tests.
+ */
+
+// Error codes shared with src/utils/toolSchemas.js (TOOL_ERROR_CODES)
+const TOOL_ERROR_CODES = {
+  unknownTool: 'E_UNKNOWN_TOOL',
+  invalidArgs: 'E_INVALID_ARGS',
+  notImplemented: 'E_NOT_IMPL',
+  exec: 'E_EXEC'
+};
+
+// The browser engine's level stack (utils/buildingLevels DEFAULT_LEVELS)
+const DEFAULT_LEVELS = require('../../src/config/defaultLevels.json');
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const toolError = (code, title, extra = {}) => ({ code, title, ...extra });
+
+const planPoint = point => ({ x: Number(point?.x) || 0, y: 0, z: Number(point?.z) || 0 });
+
+const invalidArgs = message => Object.assign(new Error(message), { code: TOOL_ERROR_CODES.invalidArgs });
+
+class HeadlessEngine {
+  constructor() {
+    this.objects = new Map();
+    this.floors = clone(DEFAULT_LEVELS);
+    this.activeLevelId = this.floors[0].id;
+    this.nextObjectId = 1;
+
+    this.tools = {
+      'geometry.createWall': args => this.createWall(args),
+      'geometry.createSlab': args => this.create('slab', {
+        width: args.width || 5,
+        depth: args.depth || 5,
+        thickness: args.thickness || 0.2,
+        material: args.material || 'concrete'
+      }),
+      'geometry.createDoor': args => this.createOpening('door', args, {
+        width: args.width || 0.9,
+        height: args.height || 2.1,
+        thickness: args.thickness || 0.05,
+        material: args.material || 'wood',
+        sillHeight: 0
+      }),
+      'geometry.createWindow': args => this.createOpening('window', args, {
+        width: args.width || 1.2,
+        height: args.height || 1.4,
+        thickness: args.thickness || 0.05,
+        material: args.material || 'aluminum',
+        sillHeight: 0.9
+      }),
+      'geometry.createColumn': args => this.create('column', {
+        width: args.width || 0.4,
+        depth: args.depth || 0.4,
+        height: args.height || 3.0,
+        material: args.material || 'concrete'
+      }),
+      'geometry.createRoof': args => this.create('roof', {
+        roofType: args.roofType || 'gable',
+        pitch: args.pitch ?? 30,
+        overhang: args.overhang ?? 0.5,
+        width: args.width || 10,
+        length: args.length || args.depth || 8,
+        material: args.material || 'wood'
+      }),
+      'geometry.createStair': args => this.create('stair', {
+        stairType: args.stairType || 'straight',
+        width: args.width || 1.0,
+        totalRise: args.totalRise || args.height || this.getActiveLevel().height,
+        treadDepth: args.tread || args.treadDepth || 0.28,
+        material: args.material || 'concrete'
+      }),
+      'geometry.createRoom': args => this.createRoom(args),
+      'geometry.delete': args => this.deleteTargets(args)
+    };
+  }
+
+  // ---- Objects ----
+
+  create(type, params) {
+    const id = `cad_${this.nextObjectId++}`;
+    this.objects.set(id, { id, type, params: { ...clone(params), levelId: this.activeLevelId } });
+    return id;
+  }
+
+  getObject(id) {
+    const object = this.objects.get(id);
+    return object ? clone(object) : null;
+  }
+
+  getAllObjects() {
+    return [...this.objects.values()].map(clone);
+  }
+
+  updateObject(id, params) {
+    const object = this.objects.get(id);
+    if (!object) return false;
+    object.params = { ...object.params, ...clone(params) };
+    return true;
+  }
+
+  deleteObject(id) {
+    return this.objects.delete(id);
+  }
+
+  getActiveLevel() {
+    return this.floors.find(floor => floor.id === this.activeLevelId) || this.floors[0];
+  }
+
+  // ---- Tools ----
+
+  hasTool(name) {
+    return Boolean(this.tools[name]);
+  }
+
+  getToolNames() {
+    return Object.keys(this.tools);
+  }
+
+  /**
+   * Run an agent tool the way AICommandExecutor.runTool does in the browser
+   * @returns {{ ok: true, tool, objectId?, objectsCreated, objectsDeleted, summary } | { ok: false, tool, error }}
+   */
+  executeTool(name, args = {}) {
+    const handler = this.tools[name];
+    if (!handler) {
+      return { ok: false, tool: name, error: toolError(TOOL_ERROR_CODES.unknownTool, `Unknown tool: ${name}`) };
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      return { ok: false, tool: name, error: toolError(TOOL_ERROR_CODES.invalidArgs, 'Tool arguments must be an object') };
+    }
+
+    const before = new Set(this.objects.keys());
+    try {
+      const value = handler(args);
+      const objectsCreated = [...this.objects.keys()].filter(id => !before.has(id));
+      const objectsDeleted = [...before].filter(id => !this.objects.has(id));
+      return {
+        ok: true,
+        tool: name,
+        objectId: typeof value === 'string' ? value : undefined,
+        value: clone(value),
+        objectsCreated,
+        objectsDeleted,
+        summary: `${name}: ${objectsCreated.length} created, ${objectsDeleted.length} deleted`
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        tool: name,
+        error: toolError(error.code || TOOL_ERROR_CODES.exec, error.message)
+      };
+    }
+  }
+
+  createWall(args) {
+    // Between two plan points when both are given; the length then follows from them
+    const startPoint = args.startPoint ? planPoint(args.startPoint) : { x: 0, y: 0, z: 0 };
+    const endPoint = args.endPoint
+      ? planPoint(args.endPoint)
+      : { x: startPoint.x + (args.length || 4), y: 0, z: startPoint.z };
+
+    return this.create('wall', {
+      startPoint,
+      endPoint,
+      length: Math.hypot(endPoint.x - startPoint.x, endPoint.z - startPoint.z),
+      height: args.height || 2.5,
+      thickness: args.thickness || 0.2,
+      material: args.material || 'concrete'
+    });
+  }
+
+  createRoom(args) {
+    const width = args.width || 4;
+    const length = args.length || 4;
+    const halfWidth = width / 2;
+    const halfLength = length / 2;
+    const corners = [
+      { x: -halfWidth, z: -halfLength },
+      { x: halfWidth, z: -halfLength },
+      { x: halfWidth, z: halfLength },
+      { x: -halfWidth, z: halfLength }
+    ];
+
+    const wallIds = corners.map((corner, index) => this.createWall({
+      startPoint: corner,
+      endPoint: corners[(index + 1) % corners.length],
+      height: args.height || 2.5,
+      thickness: args.thickness || 0.2,
+      material: args.material
+    }));
+
+    return this.create('room', {
+      name: args.roomType || 'room',
+      roomType: args.roomType || 'room',
+      wallIds,
+      area: width * length
+    });
+  }
+
+  /**
+   * Door or window inserted in its host wall, placed the way StandaloneCADEngine.createDoorGeometry
+   * does: insertionPosition is the fraction of the wall's length from its start. Autonomous runs
+   * only make hosted openings, so a missing or unknown host wall fails the call.
+   */
+  createOpening(type, args, params) {
+    const host = args.hostWallId ? this.objects.get(args.hostWallId) : null;
+    if (!host || host.type !== 'wall') {
+      throw invalidArgs(args.hostWallId
+        ? `No wall ${args.hostWallId} to host the ${type}`
+        : `A ${type} needs the hostWallId of the wall it goes in`);
+    }
+    const insertionPosition = args.insertionPosition ?? 0.5;
+    if (!(insertionPosition >= 0 && insertionPosition <= 1)) {
+      throw invalidArgs(`insertionPosition must be between 0 and 1, got ${insertionPosition}`);
+    }
+
+    const { startPoint, endPoint } = host.params;
+    return this.create(type, {
+      ...params,
+      hostWallId: host.id,
+      insertionMode: 'insert_in_wall',
+      insertionPosition,
+      position: {
+        x: startPoint.x + (endPoint.x - startPoint.x) * insertionPosition,
+        y: params.sillHeight,
+        z: startPoint.z + (endPoint.z - startPoint.z) * insertionPosition
+      },
+      rotationY: Math.atan2(endPoint.z - startPoint.z, endPoint.x - startPoint.x)
+    });
+  }
+
+  targetIds(args) {
+    if (Array.isArray(args.objectIds)) return args.objectIds;
+    return args.objectId ? [args.objectId] : [];
+  }
+
+  deleteTargets(args) {
+    const ids = this.targetIds(args);
+    const missing = ids.filter(id => !this.objects.has(id));
+    if (ids.length === 0 || missing.length > 0) {
+      throw invalidArgs(ids.length === 0 ? 'Nothing to delete' : `No object ${missing.join(', ')}`);
+    }
+    ids.forEach(id => this.deleteObject(id));
+    return ids;
+  }
+
+  // ---- Documents and checkpoints ----
+
+  /**
+   * Scene document in the shape StandaloneCADEngine.exportSceneDocument produces
+   */
+  exportSceneDocument() {
+    return {
+      metadata: { displayUnits: 'm', headless: true },
+      floors: clone(this.floors),
+      objects: this.getAllObjects()
+    };
+  }
+
+  loadSceneDocument(document = {}) {
+    this.objects.clear();
+    this.floors = clone(document.floors?.length ? document.floors : DEFAULT_LEVELS);
+    this.activeLevelId = this.floors[0].id;
+    (document.objects || []).forEach(object => {
+      this.objects.set(object.id, { id: object.id, type: object.type, params: clone(object.params || {}) });
+    });
+    this.nextObjectId = this.nextFreeId();
+  }
+
+  captureSnapshot() {
+    return {
+      ...this.exportSceneDocument(),
+      activeLevelId: this.activeLevelId,
+      nextObjectId: this.nextObjectId
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    const removed = this.objects.size;
+    this.loadSceneDocument(snapshot);
+    this.activeLevelId = snapshot.activeLevelId || this.activeLevelId;
+    this.nextObjectId = Math.max(this.nextObjectId, snapshot.nextObjectId || 1);
+    return { removed, rebuilt: this.objects.size };
+  }
+
+  nextFreeId() {
+    const numbers = [...this.objects.keys()]
+      .map(id => Number(/^cad_(\d+)$/.exec(id)?.[1]))
+      .filter(Number.isFinite);
+    return numbers.length ? Math.max(...numbers) + 1 : 1;
+  }
+}
+
+module.exports = { HeadlessEngine, TOOL_ERROR_CODES };
@@ -0,0 +1,146 @@
+/**
+ * RunStore - Persistent agent run records
+ *
+ * One JSON file per run in the store directory, written on every change, holding the goal,
+ * config, plan, executed steps, LLM exchanges and the numbered event log the SSE stream
+ * resumes from. Without a directory the records live in memory only (tests).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Run states a record cannot leave once reached
+const FINAL_STATUSES = new Set(['completed', 'failed', 'rejected', 'stopped', 'interrupted']);
+
+class RunStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.dir] - Directory for the run files; null keeps runs in memory
+   * @param {number} [options.maxRuns] - Finished runs kept before the oldest are deleted
+   */
+  constructor({ dir = null, maxRuns = 200 } = {}) {
+    this.dir = dir;
+    this.maxRuns = maxRuns;
+    this.runs = new Map();
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.load();
+    }
+  }
+
+  /**
+   * Read the stored runs; runs the previous process left unfinished are marked interrupted
+   */
+  load() {
+    fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const run = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+          this.runs.set(run.runId, run);
+          if (!FINAL_STATUSES.has(run.status)) {
+            this.appendEvent(run.runId, { type: 'done', status: 'interrupted', reason: 'Server restarted during the run' });
+            this.update(run.runId, { status: 'interrupted', endTime: Date.now() });
+          }
+        } catch (error) {
+          console.warn(`⚠️ RunStore: Skipping unreadable run file ${file}:`, error.message);
+        }
+      });
+    console.log(`🗂️ RunStore: Loaded ${this.runs.size} agent runs from ${this.dir}`);
+  }
+
+  create(record) {
+    const run = {
+      status: 'queued',
+      plan: null,
+      steps: [],
+      llmCalls: [],
+      events: [],
+      startTime: Date.now(),
+      ...record,
+      updatedAt: Date.now()
+    };
+    this.runs.set(run.runId, run);
+    this.save(run);
+    this.prune();
+    return run;
+  }
+
+  get(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * Runs newest first, optionally for one user and/or in the given statuses
+   */
+  list({ userId = null, statuses = null } = {}) {
+    return [...this.runs.values()]
+      .filter(run => !userId || run.userId === userId)
+      .filter(run => !statuses || statuses.includes(run.status))
+      .sort((a, b) => b.startTime - a.startTime);
+  }
+
+  update(runId, changes) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+    Object.assign(run, changes, { updatedAt: Date.now() });
+    this.save(run);
+    return run;
+  }
+
+  /**
+   * Record a step, LLM exchange or other trace entry on the run
+   */
+  push(runId, key, entry) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+    run[key].push(entry);
+    run.updatedAt = Date.now();
+    this.save(run);
+    return entry;
+  }
+
+  /**
+   * Add an event to the run's log; ids count up from 1 per run
+   */
+  appendEvent(runId, event) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+    const stored = { ...event, runId, id: run.events.length + 1, ts: event.ts || Date.now() };
+    run.events.push(stored);
+    run.updatedAt = Date.now();
+    this.save(run);
+    return stored;
+  }
+
+  /**
+   * Events after the given id, for clients resuming a stream
+   */
+  eventsAfter(runId, lastEventId = 0) {
+    const run = this.runs.get(runId);
+    return run ? run.events.filter(event => event.id > lastEventId) : [];
+  }
+
+  isFinished(runId) {
+    return FINAL_STATUSES.has(this.runs.get(runId)?.status);
+  }
+
+  save(run) {
+    if (!this.dir) return;
+    // Write then rename, so a crash never leaves a half-written record
+    const file = path.join(this.dir, `${run.runId}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(run));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  prune() {
+    const finished = this.list().filter(run => FINAL_STATUSES.has(run.status));
+    finished.slice(this.maxRuns).forEach(run => {
+      this.runs.delete(run.runId);
+      if (this.dir) fs.rmSync(path.join(this.dir, `${run.runId}.json`), { force: true });
+    });
+  }
+}
+
+module.exports = { RunStore, FINAL_STATUSES };
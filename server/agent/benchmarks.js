@@ -0,0 +1,228 @@
+/**
+ * Agent benchmarks - scored goals for offline regression testing of the planner and prompts
+ *
+ * Each benchmark is a goal, an optional seed scene, recorded model answers and approval
+ * answers, and the outcome expected: the run status, how many objects of each type the
+ * engine should end with, params some of them should have and the types of opening that
+ * must sit in a wall of the model. Runs are scored by the
+ * share of checks they pass and carry their trace, so a regression can be replayed.
+ */
+
+const { AgentRuntime } = require('./AgentRuntime');
+const { AgentPlanner } = require('./planner');
+const { RunStore } = require('./RunStore');
+const { ApprovalGate } = require('./ApprovalGate');
+const { exportTrace } = require('./traces');
+
+const wall = (id, x) => ({ id, type: 'wall', params: { startPoint: { x, y: 0, z: 0 }, endPoint: { x: x + 4, y: 0, z: 0 }, length: 4, height: 2.5, thickness: 0.2 } });
+
+const BENCHMARK_GOALS = [
+  {
+    id: 'bedroom-door-window',
+    goal: '3x4m bedroom with door and window',
+    expect: {
+      status: 'completed',
+      objects: { slab: 1, wall: 4, room: 1, door: 1, window: 1 },
+      params: [{ type: 'slab', match: { width: 3, depth: 4 } }, { type: 'room', match: { area: 12, roomType: 'bedroom' } }],
+      hosted: ['door', 'window']
+    }
+  },
+  {
+    id: 'kitchen-no-door',
+    goal: 'Create a 4 by 5 kitchen with no door',
+    expect: {
+      status: 'completed',
+      objects: { slab: 1, wall: 4, room: 1, door: 0 },
+      params: [{ type: 'room', match: { area: 20 } }]
+    }
+  },
+  {
+    id: 'single-wall',
+    goal: 'Draw a 6m wall',
+    expect: { status: 'completed', objects: { wall: 1 }, params: [{ type: 'wall', match: { length: 6 } }] }
+  },
+  {
+    id: 'slab-columns-roof',
+    goal: 'A 6x8 slab with columns and a roof',
+    expect: {
+      status: 'completed',
+      objects: { slab: 1, column: 1, roof: 1 },
+      params: [{ type: 'roof', match: { width: 6, length: 8 } }]
+    }
+  },
+  {
+    id: 'delete-walls-approved',
+    goal: 'Delete the walls',
+    context: { document: { objects: [wall('cad_1', 0), wall('cad_2', 8)] } },
+    approvals: [{ approved: true }],
+    expect: { status: 'completed', objects: { wall: 0 } }
+  },
+  {
+    id: 'delete-walls-unanswered',
+    goal: 'Delete the walls',
+    context: { document: { objects: [wall('cad_1', 0)] } },
+    approvals: [],
+    expect: { status: 'rejected', objects: { wall: 1 } }
+  },
+  {
+    id: 'undersized-wall-blocked',
+    goal: 'Add a 0.1m wall',
+    expect: { status: 'failed', objects: { wall: 0 } }
+  },
+  {
+    id: 'model-door-replanned',
+    goal: 'Add an entrance door',
+    context: { document: { objects: [wall('cad_1', 0)] } },
+    responses: [
+      JSON.stringify({ title: 'Entrance door', steps: [{ tool: 'geometry.createDoor', args: { width: 0.7, hostWallId: 'cad_1' } }] }),
+      JSON.stringify({ steps: [{ tool: 'geometry.createDoor', args: { width: 0.9, hostWallId: 'cad_1' } }] })
+    ],
+    expect: { status: 'completed', objects: { door: 1 }, params: [{ type: 'door', match: { width: 0.9 } }] }
+  }
+];
+
+const TOLERANCE = 1e-6;
+
+// Distance from a plan point to a wall's centerline segment
+const distanceToWall = (point, { startPoint, endPoint }) => {
+  const dx = endPoint.x - startPoint.x;
+  const dz = endPoint.z - startPoint.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0
+    ? Math.min(Math.max(((point.x - startPoint.x) * dx + (point.z - startPoint.z) * dz) / lengthSq, 0), 1)
+    : 0;
+  return Math.hypot(point.x - (startPoint.x + t * dx), point.z - (startPoint.z + t * dz));
+};
+
+/**
+ * Why an opening does not sit in a wall of the model, or null when it does
+ */
+const hostingProblem = (opening, objects) => {
+  const { hostWallId, position } = opening.params || {};
+  const host = objects.find(object => object.id === hostWallId);
+  if (!host || host.type !== 'wall') return `${opening.id} has no host wall (${hostWallId || 'none'})`;
+  if (!position || distanceToWall(position, host.params) > TOLERANCE) return `${opening.id} is not on ${hostWallId}`;
+  return null;
+};
+
+const matches = (params, match) => Object.entries(match).every(([key, value]) => (
+  typeof value === 'number'
+    ? Math.abs(Number(params[key]) - value) <= TOLERANCE
+    : params[key] === value
+));
+
+/**
+ * Score a finished run against a benchmark's expectations
+ * @returns {{ score: number, checks: Object[] }} score is the share of checks passed, 0 to 1
+ */
+function scoreRun(run, expect) {
+  const objects = run.result?.document?.objects || [];
+  const checks = [];
+
+  if (expect.status) {
+    checks.push({ name: 'status', ok: run.status === expect.status, expected: expect.status, actual: run.status });
+  }
+  Object.entries(expect.objects || {}).forEach(([type, count]) => {
+    const actual = objects.filter(object => object.type === type).length;
+    checks.push({ name: `count.${type}`, ok: actual === count, expected: count, actual });
+  });
+  (expect.params || []).forEach(({ type, match }) => {
+    const found = objects.some(object => object.type === type && matches(object.params, match));
+    checks.push({ name: `params.${type}`, ok: found, expected: match, actual: found ? match : null });
+  });
+
+  (expect.hosted || []).forEach(type => {
+    const problems = objects
+      .filter(object => object.type === type)
+      .map(object => hostingProblem(object, objects))
+      .filter(Boolean);
+    checks.push({ name: `hosted.${type}`, ok: problems.length === 0, expected: 'in a wall', actual: problems });
+  });
+
+  const passed = checks.filter(check => check.ok).length;
+  return { score: checks.length ? passed / checks.length : 1, checks };
+}
+
+/**
+ * Run benchmarks one after another, each on its own in-memory runtime
+ * @param {Object} [options]
+ * @param {Object[]} [options.goals] - Benchmarks to run; BENCHMARK_GOALS by default
+ * @param {Function} [options.createPlanner] - () => planner under test
+ * @param {Object} [options.logger] - { log, warn } for run progress; console by default
+ * @returns {Promise<{ score: number, passed: number, total: number, results: Object[] }>}
+ */
+async function runBenchmarks({
+  goals = BENCHMARK_GOALS,
+  logger = console,
+  createPlanner = () => new AgentPlanner({ logger })
+} = {}) {
+  const results = [];
+
+  for (const benchmark of goals) {
+    const runtime = new AgentRuntime({
+      store: new RunStore(),
+      approvals: new ApprovalGate(),
+      planner: createPlanner(),
+      logger,
+      // Unanswered approvals are denied without waiting out the real deadline
+      config: { approvalTimeoutMs: 10 }
+    });
+
+    const approvals = [...(benchmark.approvals || [])];
+    runtime.on('event', event => {
+      if (event.type !== 'approval-request' || approvals.length === 0) return;
+      const answer = approvals.shift();
+      runtime.approve({ runId: event.runId, approvalId: event.approvalId, ...answer });
+    });
+
+    const responses = [...(benchmark.responses || [])];
+    const complete = benchmark.responses ? async () => responses.shift() ?? '' : null;
+
+    const startTime = Date.now();
+    let run;
+    try {
+      run = await runtime.startRun({
+        goal: benchmark.goal,
+        context: benchmark.context || {},
+        overrides: benchmark.overrides || {},
+        userId: 'benchmark',
+        complete
+      }).finished;
+    } catch (error) {
+      run = { status: 'error', error: error.message, steps: [], llmCalls: [], events: [], result: null };
+    }
+
+    const { score, checks } = scoreRun(run, benchmark.expect);
+    results.push({
+      id: benchmark.id,
+      goal: benchmark.goal,
+      status: run.status,
+      error: run.error || null,
+      score,
+      checks,
+      steps: run.steps.length,
+      durationMs: Date.now() - startTime,
+      trace: run.runId ? exportTrace(run) : null
+    });
+  }
+
+  const score = results.length ? results.reduce((sum, result) => sum + result.score, 0) / results.length : 0;
+  return {
+    score,
+    passed: results.filter(result => result.score === 1).length,
+    total: results.length,
+    results
+  };
+}
+
+/**
+ * Benchmarks whose score dropped compared with an earlier report
+ */
+function findRegressions(report, baseline) {
+  const before = new Map(baseline.results.map(result => [result.id, result.score]));
+  return report.results
+    .filter(result => before.has(result.id) && result.score < before.get(result.id))
+    .map(result => ({ id: result.id, before: before.get(result.id), after: result.score }));
+}
+
+module.exports = { BENCHMARK_GOALS, scoreRun, runBenchmarks, findRegressions };
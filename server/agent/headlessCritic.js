@@ -0,0 +1,52 @@
+/**
+ * Headless critic - CriticValidator rules for the server-side agent runtime
+ *
+ * The same wall, door, window and roof limits the browser critic applies, checked
+ * against the objects the HeadlessEngine actually built rather than the requested args
+ * alone. Verdicts have CriticValidator's shape: { ok, reason?, category }.
+ */
+
+// The rule table CriticValidator uses (src/utils/criticRules); see there for the format
+const CRITIC_RULES = require('../../src/config/criticRules.json');
+
+const fail = (reason, category) => ({ ok: false, reason, category });
+
+const formatReason = (template, value) => template
+  .replace('{mm}', (value * 1000).toFixed(0))
+  .replace('{m}', value.toFixed(1))
+  .replace('{value}', String(value));
+
+// Same evaluation as checkLimits in src/utils/criticRules, which this CommonJS module cannot load
+const checkLimits = (type, params = {}) => {
+  const broken = (CRITIC_RULES[type] || []).find(({ param, min, max }) => {
+    const value = params[param];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+    return (min !== undefined && value < min) || (max !== undefined && value > max);
+  });
+  return broken ? fail(formatReason(broken.reason, params[broken.param]), broken.category) : null;
+};
+
+/**
+ * Check one executed action against the engine it ran on
+ * @param {Object} params - { action, result, engine }
+ * @returns {{ ok: boolean, reason?: string, category: string }}
+ */
+function checkAction({ action, result, engine }) {
+  if (result?.ok === false) {
+    return fail(result.error?.title || 'Tool execution failed', 'execution');
+  }
+
+  const created = result?.objectsCreated || [];
+  for (const id of created) {
+    const object = engine.getObject(id);
+    if (!object) {
+      return fail(`${action.tool} reported ${id} but the engine has no such object`, 'execution');
+    }
+    const verdict = checkLimits(object.type, object.params);
+    if (verdict) return { ...verdict, objectId: id };
+  }
+
+  return { ok: true, category: 'building_code' };
+}
+
+module.exports = { checkAction };
@@ -0,0 +1,53 @@
+/**
+ * Server-side agent runtime
+ *
+ * createAgentRuntime wires a persistent run store, the approval gate and the planner into
+ * an AgentRuntime; registerAgentRoutes exposes it on an express app. Traces and benchmarks
+ * replay and score runs offline (scripts/agent-eval.js).
+ */
+
+const { AgentRuntime, DEFAULT_CONFIG, documentFromContext } = require('./AgentRuntime');
+const { ApprovalGate } = require('./ApprovalGate');
+const { HeadlessEngine, TOOL_ERROR_CODES } = require('./HeadlessEngine');
+const { AgentPlanner } = require('./planner');
+const { RunStore } = require('./RunStore');
+const { checkAction } = require('./headlessCritic');
+const { registerAgentRoutes } = require('./routes');
+const { exportTrace, replayTrace, compareTraces } = require('./traces');
+const { BENCHMARK_GOALS, runBenchmarks, scoreRun, findRegressions } = require('./benchmarks');
+
+/**
+ * @param {Object} [options]
+ * @param {string|null} [options.dir] - Directory for run records; null keeps them in memory
+ * @param {Function|null} [options.complete] - async ({ system, prompt }) => text, for model plans
+ * @param {Object} [options.config] - Run configuration defaults (see DEFAULT_CONFIG)
+ */
+function createAgentRuntime({ dir = null, complete = null, config = {} } = {}) {
+  return new AgentRuntime({
+    store: new RunStore({ dir }),
+    approvals: new ApprovalGate({ timeoutMs: config.approvalTimeoutMs || DEFAULT_CONFIG.approvalTimeoutMs }),
+    planner: new AgentPlanner({ complete }),
+    config
+  });
+}
+
+module.exports = {
+  createAgentRuntime,
+  registerAgentRoutes,
+  AgentRuntime,
+  AgentPlanner,
+  ApprovalGate,
+  HeadlessEngine,
+  RunStore,
+  checkAction,
+  documentFromContext,
+  exportTrace,
+  replayTrace,
+  compareTraces,
+  BENCHMARK_GOALS,
+  runBenchmarks,
+  scoreRun,
+  findRegressions,
+  DEFAULT_CONFIG,
+  TOOL_ERROR_CODES
+};
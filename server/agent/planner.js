@@ -0,0 +1,190 @@
+/**
+ * Agent planner - goal → plan steps for the server-side agent runtime
+ *
+ * Plans have the shape AutonomousAgent works with in the browser: { title, steps } where each
+ * step is { id, number, title, action, params, status } and action is a tool name. With an
+ * LLM `complete` function the plan comes from the model; without one, or when the model's
+ * answer cannot be used, a rule-based plan is made from the goal text.
+ */
+
+const ROOM_TYPES = ['bedroom', 'kitchen', 'bathroom', 'office', 'living room', 'dining room', 'garage', 'room'];
+
+const OBJECT_TYPES = {
+  wall: 'wall', walls: 'wall', door: 'door', doors: 'door', window: 'window', windows: 'window',
+  column: 'column', columns: 'column', slab: 'slab', slabs: 'slab', roof: 'roof', stair: 'stair', stairs: 'stair'
+};
+
+// Arguments that place or target an object; a replan keeps them and drops the sizes
+const PLACEMENT_ARGS = ['startPoint', 'endPoint', 'position', 'objectIds', 'roomType', 'hostWallId', 'hostWallRef', 'insertionPosition'];
+
+const toSteps = (steps, offset = 0) => steps.map((step, index) => ({
+  id: `step_${offset + index + 1}`,
+  number: offset + index + 1,
+  title: step.title || step.action,
+  action: step.action,
+  params: step.params || {},
+  status: 'pending'
+}));
+
+const parseDimensions = goal => {
+  const match = /(\d+(?:\.\d+)?)\s*m?\s*(?:x|×|by)\s*(\d+(?:\.\d+)?)\s*m?/i.exec(goal);
+  return match ? { width: Number(match[1]), length: Number(match[2]) } : null;
+};
+
+const parseLength = (goal, noun) => {
+  const match = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*m(?:etre|eter)?s?\\s+(?:long\\s+)?${noun}|${noun}[^\\d]*(\\d+(?:\\.\\d+)?)\\s*m`, 'i').exec(goal);
+  return match ? Number(match[1] || match[2]) : null;
+};
+
+/**
+ * Plan from the goal text alone
+ * @param {string} goal
+ * @param {Object[]} [objects] - Objects already in the engine, for goals that target them
+ * @returns {{ title: string, steps: Object[], source: 'rules' }}
+ */
+function planFromRules(goal, objects = []) {
+  const text = goal.toLowerCase();
+  const steps = [];
+
+  const deleteMatch = /\b(?:delete|remove)\b.*?\b(walls?|doors?|windows?|columns?|slabs?|roof|stairs?)\b/.exec(text);
+  if (deleteMatch) {
+    const type = OBJECT_TYPES[deleteMatch[1]];
+    const objectIds = objects.filter(object => object.type === type).map(object => object.id);
+    if (objectIds.length === 0) {
+      throw new Error(`There are no ${type}s to delete`);
+    }
+    steps.push({ action: 'geometry.delete', title: `Delete ${objectIds.length} ${type}(s)`, params: { objectIds } });
+    return { title: goal, steps: toSteps(steps), source: 'rules' };
+  }
+
+  const roomType = ROOM_TYPES.find(type => text.includes(type));
+  const dimensions = parseDimensions(text);
+  // Openings go in the perimeter walls: the door in the first, a window in the one opposite
+  let roomStepId = null;
+  if (roomType) {
+    const { width = 4, length = 4 } = dimensions || {};
+    steps.push({ action: 'geometry.createSlab', title: 'Create Floor Slab', params: { width, depth: length } });
+    steps.push({ action: 'geometry.createRoom', title: 'Add Perimeter Walls', params: { width, length, roomType } });
+    roomStepId = `step_${steps.length}`;
+    if (!/\bno door\b/.test(text)) {
+      steps.push({ action: 'geometry.createDoor', title: 'Add Entrance Door', params: { hostWallRef: `${roomStepId}:0` } });
+    }
+  } else if (/\bwall\b/.test(text)) {
+    const length = parseLength(text, 'wall') || 4;
+    steps.push({
+      action: 'geometry.createWall',
+      title: 'Create Wall',
+      params: { startPoint: { x: 0, z: 0 }, endPoint: { x: length, z: 0 } }
+    });
+  } else if (/\bslab\b/.test(text)) {
+    const { width = 5, length = 5 } = dimensions || {};
+    steps.push({ action: 'geometry.createSlab', title: 'Create Slab', params: { width, depth: length } });
+  }
+
+  if (roomType && /\bwindows?\b/.test(text)) {
+    steps.push({ action: 'geometry.createWindow', title: 'Add Window', params: { hostWallRef: `${roomStepId}:2` } });
+  }
+  if (/\bcolumns?\b/.test(text)) {
+    steps.push({ action: 'geometry.createColumn', title: 'Add Column', params: {} });
+  }
+  if (/\bstairs?\b|\bstaircase\b/.test(text)) {
+    steps.push({ action: 'geometry.createStair', title: 'Add Stair', params: {} });
+  }
+  if (/\broof\b/.test(text)) {
+    const { width = 10, length = 8 } = dimensions || {};
+    steps.push({ action: 'geometry.createRoof', title: 'Add Roof', params: { width, length } });
+  }
+
+  if (steps.length === 0) {
+    throw new Error(`No plan for "${goal}"`);
+  }
+  return { title: goal, steps: toSteps(steps), source: 'rules' };
+}
+
+/**
+ * Plan steps from an LLM answer, or null when it is not a usable plan
+ */
+function parseModelPlan(text, tools) {
+  try {
+    const json = JSON.parse(String(text).replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    const steps = (json.steps || []).map(step => ({
+      action: step.tool || step.action,
+      title: step.title,
+      params: step.args || step.params || {}
+    }));
+    if (steps.length === 0 || steps.some(step => !tools.includes(step.action))) return null;
+    return { title: json.title, steps };
+  } catch (error) {
+    return null;
+  }
+}
+
+const planPrompt = (goal, tools, objects) => [
+  `Goal: ${goal}`,
+  `Tools: ${tools.join(', ')}`,
+  `Existing objects: ${JSON.stringify(objects.map(({ id, type }) => ({ id, type })))}`,
+  'Doors and windows go in a wall: give hostWallId for an existing wall, or hostWallRef "<step id>:<n>" for the n-th wall an earlier step creates.',
+  'Answer with JSON only: {"title": string, "steps": [{"tool": string, "title": string, "args": object}]}'
+].join('\n');
+
+class AgentPlanner {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.complete] - async ({ system, prompt }) => model text
+   * @param {Object} [options.logger] - { warn } for fallbacks; console by default
+   */
+  constructor({ complete = null, logger = console } = {}) {
+    this.complete = complete;
+    this.logger = logger;
+    this.system = 'You plan CAD modelling steps for StudioSix. Use only the listed tools. Lengths are in metres.';
+  }
+
+  async plan({ goal, tools, objects = [], complete = this.complete }) {
+    if (complete) {
+      const answer = await complete({ system: this.system, prompt: planPrompt(goal, tools, objects) });
+      const plan = parseModelPlan(answer, tools);
+      if (plan) return { title: plan.title || goal, steps: toSteps(plan.steps), source: 'llm' };
+      this.logger.warn('⚠️ AgentPlanner: Model plan unusable, falling back to rules');
+    }
+    return planFromRules(goal, objects);
+  }
+
+  /**
+   * New plan after a failed step: the completed steps are kept and the rest replaced
+   */
+  async replan({ goal, plan, failedStep, failure, tools, objects = [], complete = this.complete }) {
+    const done = plan.steps.filter(step => step.status === 'completed');
+    const remaining = plan.steps.filter(step => step.status !== 'completed' && step.id !== failedStep.id);
+
+    let steps = null;
+    if (complete) {
+      const answer = await complete({
+        system: this.system,
+        prompt: [
+          planPrompt(goal, tools, objects),
+          `Completed: ${JSON.stringify(done.map(step => ({ tool: step.action, args: step.params })))}`,
+          `Failed: ${JSON.stringify({ tool: failedStep.action, args: failedStep.params })} - ${failure}`,
+          'Plan only the remaining steps.'
+        ].join('\n')
+      });
+      steps = parseModelPlan(answer, tools)?.steps || null;
+    }
+
+    // Without a model: retry the failed step with the tool's default sizes
+    if (!steps) {
+      const params = {};
+      PLACEMENT_ARGS.forEach(key => {
+        if (failedStep.params?.[key] !== undefined) params[key] = failedStep.params[key];
+      });
+      steps = [{ action: failedStep.action, title: failedStep.title, params }, ...remaining];
+    }
+
+    return {
+      ...plan,
+      steps: [...done, ...toSteps(steps, done.length)],
+      replanCount: (plan.replanCount || 0) + 1
+    };
+  }
+}
+
+module.exports = { AgentPlanner, planFromRules, parseModelPlan };
@@ -0,0 +1,131 @@
+/**
+ * Agent API routes - HTTP and SSE endpoints of the server-side agent runtime
+ *
+ * POST /api/agent/run, /api/agent/approve, /api/agent/stop; GET /api/agent/runs/:userId,
+ * /api/agent/run/:runId, its replayable trace /api/agent/run/:runId/trace and the event
+ * stream /api/agent/events?runId=. The stream replays the run's stored events after
+ * Last-Event-ID (header, or lastEventId in the query) before going live, so a client that
+ * drops the connection resumes where it left off.
+ */
+
+const { FINAL_STATUSES } = require('./RunStore');
+const { exportTrace } = require('./traces');
+
+const sendError = (res, status, code, title) => res.status(status).json({ ok: false, error: { code, title } });
+
+/**
+ * Stream a run's events as server-sent events
+ */
+function streamRunEvents(req, res, runtime, { heartbeatMs = 15000 } = {}) {
+  const runId = req.query.runId;
+  const run = runId ? runtime.getRun(runId) : null;
+  if (!run) {
+    return sendError(res, 404, 'E_NOT_FOUND', `No agent run ${runId || ''}`.trim());
+  }
+
+  let lastEventId = Number(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+  const backlog = runtime.store.eventsAfter(runId, lastEventId);
+
+  // A finished run with nothing left to send: 204 stops EventSource reconnecting
+  if (FINAL_STATUSES.has(run.status) && backlog.length === 0) {
+    return res.status(204).end();
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+  res.write('retry: 3000\n\n');
+
+  let heartbeat = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    runtime.off('event', onEvent);
+    res.end();
+  };
+  const send = event => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    lastEventId = event.id;
+    if (event.type === 'done') close();
+  };
+  function onEvent(event) {
+    if (event.runId === runId && event.id > lastEventId) send(event);
+  }
+
+  runtime.on('event', onEvent);
+  heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+  req.on('close', close);
+  backlog.forEach(send);
+}
+
+function registerAgentRoutes(app, runtime) {
+  // POST /api/agent/run - Start an agent run
+  app.post('/api/agent/run', (req, res) => {
+    try {
+      const { goal, context = {}, overrides = {}, userId = 'anonymous' } = req.body || {};
+      const { runId } = runtime.startRun({ goal, context, overrides, userId });
+      console.log(`🤖 Agent API: Started run ${runId.slice(0, 12)} for user ${userId}: ${String(goal).substring(0, 50)}`);
+      res.json({ ok: true, runId, eventsUrl: `/api/agent/events?runId=${encodeURIComponent(runId)}` });
+    } catch (error) {
+      if (error.code === 'E_INVALID_ARGS') return sendError(res, 400, error.code, error.message);
+      console.error('❌ Agent API: Run failed to start:', error);
+      sendError(res, 500, 'E_EXEC', error.message);
+    }
+  });
+
+  // GET /api/agent/events?runId= - Resumable SSE stream of a run's events
+  app.get('/api/agent/events', (req, res) => streamRunEvents(req, res, runtime));
+
+  // POST /api/agent/approve - Approve or reject a pending action
+  app.post('/api/agent/approve', (req, res) => {
+    const { runId, approvalId = null, approved = false, reason = null } = req.body || {};
+    if (!runId && !approvalId) {
+      return sendError(res, 400, 'E_INVALID_ARGS', 'runId or approvalId is required');
+    }
+    if (!runtime.approve({ runId, approvalId, approved: approved === true, reason })) {
+      return sendError(res, 404, 'E_NOT_FOUND', 'No pending approval found');
+    }
+    console.log(`🤖 Agent API: Approval ${approved === true ? 'granted' : 'denied'} for run ${String(runId || approvalId).slice(0, 12)}`);
+    res.json({ ok: true, approved: approved === true });
+  });
+
+  // GET /api/agent/runs/:userId - Runs of a user, newest first (?active=1 for running ones)
+  app.get('/api/agent/runs/:userId', (req, res) => {
+    const activeOnly = req.query.active === '1' || req.query.active === 'true';
+    res.json({ ok: true, runs: runtime.listRuns(req.params.userId, { activeOnly }) });
+  });
+
+  // GET /api/agent/run/:runId - Full run record: plan, steps, LLM calls and events
+  app.get('/api/agent/run/:runId', (req, res) => {
+    const run = runtime.getRun(req.params.runId);
+    if (!run) return sendError(res, 404, 'E_NOT_FOUND', `No agent run ${req.params.runId}`);
+    res.json({ ok: true, run });
+  });
+
+  // GET /api/agent/run/:runId/trace - JSON trace of a finished run, for replay and evaluation
+  app.get('/api/agent/run/:runId/trace', (req, res) => {
+    const run = runtime.getRun(req.params.runId);
+    if (!run) return sendError(res, 404, 'E_NOT_FOUND', `No agent run ${req.params.runId}`);
+    if (!FINAL_STATUSES.has(run.status)) {
+      return sendError(res, 409, 'E_NOT_FINISHED', 'The run is still in progress');
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${run.runId}.trace.json"`);
+    res.json(exportTrace(run));
+  });
+
+  // POST /api/agent/stop - Stop a running run
+  app.post('/api/agent/stop', (req, res) => {
+    const { runId, reason = 'User requested stop' } = req.body || {};
+    if (!runtime.getRun(runId)) {
+      return sendError(res, 404, 'E_NOT_FOUND', 'Run not found');
+    }
+    if (!runtime.stopRun(runId, reason)) {
+      return sendError(res, 400, 'E_NOT_ACTIVE', 'Run is not active');
+    }
+    console.log(`🤖 Agent API: Stopping run ${runId.slice(0, 12)}: ${reason}`);
+    res.json({ ok: true, runId, reason });
+  });
+}
+
+module.exports = { registerAgentRoutes, streamRunEvents };
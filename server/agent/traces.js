@@ -0,0 +1,159 @@
+/**
+ * Agent run traces - export, deterministic replay and comparison
+ *
+ * A trace is the JSON record of one run: goal, seed scene, config, plan, the tool calls with
+ * their results and critic verdicts, the model exchanges and the approval answers. Replaying
+ * runs the goal again on a fresh headless engine with the model and the user stubbed from the
+ * trace, so the only thing that can change the outcome is the agent code itself.
+ */
+
+const { AgentRuntime } = require('./AgentRuntime');
+const { AgentPlanner } = require('./planner');
+const { RunStore } = require('./RunStore');
+const { ApprovalGate } = require('./ApprovalGate');
+
+const TRACE_VERSION = 1;
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Key order independent JSON, so equal records compare equal
+const stableStringify = value => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Trace of a run record (RunStore)
+ */
+function exportTrace(run) {
+  const approvals = run.events
+    .filter(event => event.type === 'approval-response' || event.type === 'approval-timeout')
+    .map(event => ({
+      approved: event.approved === true,
+      reason: event.type === 'approval-timeout' ? 'timeout' : event.reason
+    }));
+
+  return clone({
+    version: TRACE_VERSION,
+    runId: run.runId,
+    goal: run.goal,
+    userId: run.userId,
+    config: run.config,
+    document: run.document || { objects: [] },
+    plan: run.plan,
+    steps: run.steps.map(({ step, tool, args, result, verdict }) => ({ step, tool, args, result, verdict })),
+    llmCalls: run.llmCalls.map(({ request, response }) => ({ request, response })),
+    approvals,
+    outcome: {
+      status: run.status,
+      error: run.error || null,
+      actions: run.result?.actions || [],
+      document: run.result?.document || null
+    }
+  });
+}
+
+/**
+ * Model stand-in that answers with the trace's recorded responses in order
+ * Prompts that differ from the recorded ones are counted as divergences; running out of
+ * recorded answers is an error, since the run then asks the model more than it did.
+ */
+function stubModelFromTrace(trace) {
+  const calls = [...trace.llmCalls];
+  const divergences = [];
+  let index = 0;
+
+  const complete = async request => {
+    const recorded = calls[index];
+    if (!recorded) {
+      const error = new Error(`Replay asked the model ${index + 1} times; the trace has ${calls.length} answers`);
+      error.code = 'E_TRACE_EXHAUSTED';
+      throw error;
+    }
+    if (stableStringify(recorded.request) !== stableStringify(request)) {
+      divergences.push({ call: index + 1, recorded: recorded.request, replayed: request });
+    }
+    index++;
+    return recorded.response;
+  };
+
+  return { complete, divergences, used: () => index };
+}
+
+/**
+ * Differences between the recorded run and its replay
+ * @returns {Object[]} { path, recorded, replayed } for each difference; empty when they match
+ */
+function compareTraces(recorded, replayed) {
+  const differences = [];
+  const compare = (path, a, b) => {
+    if (stableStringify(a) !== stableStringify(b)) differences.push({ path, recorded: a, replayed: b });
+  };
+
+  compare('outcome.status', recorded.outcome.status, replayed.outcome.status);
+  compare('outcome.error', recorded.outcome.error, replayed.outcome.error);
+  compare('steps.length', recorded.steps.length, replayed.steps.length);
+  recorded.steps.forEach((step, index) => {
+    const other = replayed.steps[index] || {};
+    compare(`steps[${index}].tool`, step.tool, other.tool);
+    compare(`steps[${index}].args`, step.args, other.args);
+    compare(`steps[${index}].result.ok`, step.result?.ok, other.result?.ok);
+    compare(`steps[${index}].verdict`, step.verdict, other.verdict);
+  });
+  compare('outcome.document.objects', recorded.outcome.document?.objects, replayed.outcome.document?.objects);
+  return differences;
+}
+
+/**
+ * Run a trace's goal again on a fresh engine with the model and approvals stubbed
+ * @param {Object} trace - exportTrace output
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - { log, warn } for run progress; console by default
+ * @param {AgentPlanner} [options.planner] - Planner under test; the current one by default
+ * @returns {Promise<{ match: boolean, differences: Object[], divergences: Object[], trace: Object }>}
+ */
+async function replayTrace(trace, { logger = console, planner = new AgentPlanner({ logger }) } = {}) {
+  if (trace.version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version ${trace.version}`);
+  }
+
+  const model = trace.llmCalls.length > 0 ? stubModelFromTrace(trace) : null;
+  const runtime = new AgentRuntime({ store: new RunStore(), approvals: new ApprovalGate(), planner, logger });
+  const approvals = [...trace.approvals];
+
+  // The user answers as recorded; an answer the trace does not have is a denial
+  runtime.on('event', event => {
+    if (event.type !== 'approval-request') return;
+    const answer = approvals.shift() || { approved: false, reason: 'not in trace' };
+    runtime.approve({ runId: event.runId, approvalId: event.approvalId, ...answer });
+  });
+
+  const { finished } = runtime.startRun({
+    goal: trace.goal,
+    context: { document: trace.document },
+    overrides: trace.config,
+    userId: trace.userId,
+    complete: model ? model.complete : null
+  });
+  const replayed = exportTrace(await finished);
+  const differences = compareTraces(trace, replayed);
+
+  if (model && model.used() < trace.llmCalls.length) {
+    differences.push({ path: 'llmCalls.length', recorded: trace.llmCalls.length, replayed: model.used() });
+  }
+
+  return {
+    match: differences.length === 0,
+    differences,
+    divergences: model ? model.divergences : [],
+    trace: replayed
+  };
+}
+
+module.exports = { TRACE_VERSION, exportTrace, replayTrace, compareTraces, stubModelFromTrace };
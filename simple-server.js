@@ -575,25 +575,7 @@ app.post('/api/tw/tool-result', async (req, res) => {
   }
 });
 
-// Backward-compatible aliases
-app.post('/api/agent/run', async (req, res) => {
-  try {
-    const r = await fetch(`${TW_URL}/tw/run`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-TW-Token': TW_TOKEN }, body: JSON.stringify(req.body || {}) });
-    const j = await r.json();
-    res.status(r.status).json(j);
-  } catch (e) { res.status(502).json({ ok: false, error: { code: 'E_TW_DOWN', title: 'Agent service unavailable', hint: String(e) } }); }
-});
-
-app.get('/api/agent/events', async (req, res) => {
-  try {
-    const runId = req.query.runId;
-    const r = await fetch(`${TW_URL}/tw/events/${encodeURIComponent(runId)}`, { headers: { 'Accept': 'text/event-stream', 'X-TW-Token': TW_TOKEN } });
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    if (r.body && r.body.pipe) { r.body.pipe(res); } else { res.status(502).end(); }
-  } catch (e) { res.status(502).end(); }
-});
-
+// Backward-compatible alias
 app.post('/api/agent/tool-result', async (req, res) => {
   try {
     const r = await fetch(`${TW_URL}/tw/tool-result`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-TW-Token': TW_TOKEN }, body: JSON.stringify(req.body || {}) });
@@ -1245,12 +1227,20 @@ app.post('/api/ai-chat', async (req, res) => {
   try {
     console.log('🤖 AI Chat request received:', req.body);
     
-    const { message, model = 'gpt-4', mode = 'chat', context } = req.body;
+    const { message, model = 'gpt-4', mode = 'chat', context, tools } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    // Tool catalog from the client, in OpenAI format (Anthropic-format entries are converted)
+    const functionTools = Array.isArray(tools)
+      ? tools.map(tool => (tool.type === 'function' ? tool : {
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+      }))
+      : [];
+
     // Check if OpenAI API key is configured
     if (!process.env.OPENAI_API_KEY) {
       return res.status(500).json({ 
@@ -1302,19 +1292,30 @@ Keep responses helpful, professional, and focused on architecture/design/constru
       top_p: 1,
       frequency_penalty: 0,
       presence_penalty: 0,
+      ...(functionTools.length > 0 ? { tools: functionTools, tool_choice: 'auto' } : {})
     });
 
-    const aiResponse = completion.choices[0].message.content;
+    // A reply that only calls tools has no content
+    const aiResponse = completion.choices[0].message.content || '';
+    const toolCalls = (completion.choices[0].message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: call.function.arguments
+    }));
 
     const response = {
       response: aiResponse,
       model: completion.model,
       timestamp: new Date().toISOString(),
       context: context,
-      usage: completion.usage
+      usage: completion.usage,
+      toolCalls
     };
 
     console.log('🤖 OpenAI response received, tokens used:', completion.usage?.total_tokens || 'unknown');
+    if (toolCalls.length > 0) {
+      console.log('🛠️ Tool calls:', toolCalls.map(call => call.name).join(', '));
+    }
     console.log('🤖 Response preview:', aiResponse.substring(0, 100) + '...');
     
     res.json(response);
@@ -3205,323 +3206,29 @@ Make this look like a professional architectural rendering suitable for client p
   }
 }
 
-// ==================== AUTONOMOUS AGENT API ROUTTES ====================
-
-// In-memory storage for agent runs and approvals (use Redis in production)
-const agentRuns = new Map();
-const pendingApprovals = new Map();
-const wsConnections = new Map(); // runId -> Set(ws)
-
-// WebSocket setup for real-time agent progress (basic implementation)
-const WebSocket = require('ws');
-let wss = null;
-
-try {
-  // Allow disabling WS on platforms that only expose a single $PORT (e.g., DO App Platform)
-  const disableAgentWS = process.env.DISABLE_AGENT_WS === '1' || process.env.AGENT_WS_ENABLED === '0';
-  if (disableAgentWS) {
-    console.log('🔌 Agent WebSocket disabled via env (DISABLE_AGENT_WS=1 or AGENT_WS_ENABLED=0)');
-    throw new Error('WS_DISABLED');
-  }
-
-  const server = require('http').createServer();
-  
-  // Handle port conflicts gracefully so the server doesn't crash
-  server.on('error', (err) => {
-    if (err && err.code === 'EADDRINUSE') {
-      console.warn('⚠️ Agent WebSocket port 8081 is already in use. Skipping WS startup.');
-    } else {
-      console.warn('⚠️ Agent WebSocket server error:', err?.message || err);
-    }
-  });
-
-  wss = new WebSocket.Server({ server, path: '/ws/agent' });
-  
-  wss.on('connection', (ws, req) => {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const runId = url.searchParams.get('runId');
-    
-    if (runId) {
-      // Attach to run
-      if (!wsConnections.has(runId)) {
-        wsConnections.set(runId, new Set());
-      }
-      wsConnections.get(runId).add(ws);
-      
-      console.log(`📡 Agent WebSocket: Client connected to run ${runId.slice(0, 8)}`);
-      
-      ws.on('close', () => {
-        wsConnections.get(runId)?.delete(ws);
-        console.log(`📡 Agent WebSocket: Client disconnected from run ${runId.slice(0, 8)}`);
-      });
-    }
-  });
-  
-  // Start WebSocket server on different port (may not be externally routable on some PaaS)
-  server.listen(8081, () => {
-    console.log('🔌 Agent WebSocket server running on port 8081');
-  });
-  
-} catch (error) {
-  if (error && error.message === 'WS_DISABLED') {
-    console.log('⚠️ Skipping WebSocket startup (disabled by env)');
-  } else {
-  console.warn('⚠️ WebSocket setup failed, agent will work without real-time updates:', error.message);
-  }
-}
-
-// Mock autonomous agent for server-side (production would import actual service)
-const mockAutonomousAgent = {
-  async runAutonomous({ goal, context, overrides = {}, userId }) {
-    const runId = `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Store run data
-    agentRuns.set(runId, {
-      id: runId,
-      goal,
-      userId,
-      config: overrides,
-      status: 'running',
-      startTime: Date.now(),
-      progress: []
-    });
-    
-    // Simulate autonomous execution in background
-    setImmediate(() => this.simulateExecution(runId));
-    
-    return { ok: true, runId };
-  },
-  
-  async simulateExecution(runId) {
-    const run = agentRuns.get(runId);
-    if (!run) return;
-    
-    try {
-      const steps = [
-        { type: 'plan', summary: 'Generated 3-step room creation plan', steps: ['Create slab', 'Build walls', 'Add door'] },
-        { type: 'act', tool: 'geometry.createSlab', args: { width: 4, depth: 3 } },
-        { type: 'observe', result: { ok: true, objectId: 'slab_1' } },
-        { type: 'critic', verdict: 'passed' },
-        { type: 'act', tool: 'geometry.createWall', args: { startPoint: [0,0,0], endPoint: [4,0,0] } },
-        { type: 'observe', result: { ok: true, objectId: 'wall_1' } },
-        { type: 'critic', verdict: 'passed' }
-      ];
-      
-      for (const [i, step] of steps.entries()) {
-        await new Promise(resolve => setTimeout(resolve, 1500)); // Simulate processing time
-        
-        const event = { ...step, ts: Date.now(), step: i + 1 };
-        run.progress.push(event);
-        
-        // Broadcast to WebSocket clients
-        this.broadcastToRun(runId, event);
-        
-        // Request approval for destructive operations
-        if (step.tool?.includes('delete') && step.type === 'act') {
-          const approved = await this.requestApproval(runId, step);
-          if (!approved) {
-            throw new Error('User rejected destructive action');
-          }
-        }
-      }
-      
-      // Mark complete
-      run.status = 'completed';
-      run.endTime = Date.now();
-      
-      this.broadcastToRun(runId, { 
-        type: 'done', 
-        status: 'success', 
-        duration: run.endTime - run.startTime,
-        ts: Date.now() 
-      });
-      
-    } catch (error) {
-      run.status = 'failed';
-      run.error = error.message;
-      
-      this.broadcastToRun(runId, { 
-        type: 'done', 
-        status: 'error', 
-        error: error.message,
-        ts: Date.now() 
-      });
-    }
-  },
-  
-  broadcastToRun(runId, event) {
-    const connections = wsConnections.get(runId);
-    if (!connections) return;
-    
-    const message = JSON.stringify({ runId, ...event });
-    
-    connections.forEach(ws => {
-      try {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(message);
-        }
-      } catch (error) {
-        console.warn('Failed to send WebSocket message:', error);
-      }
-    });
-  },
-  
-  async requestApproval(runId, action) {
-    return new Promise((resolve) => {
-      const approvalId = `approval_${Date.now()}`;
-      pendingApprovals.set(runId, { resolve, approvalId });
-      
-      this.broadcastToRun(runId, {
-        type: 'approval-request',
-        approvalId,
-        action,
-        ts: Date.now()
-      });
-      
-      // Auto-approve after 30 seconds
-      setTimeout(() => {
-        if (pendingApprovals.has(runId)) {
-          pendingApprovals.delete(runId);
-          resolve(true);
-        }
-      }, 30000);
-    });
-  }
-};
+// ==================== AUTONOMOUS AGENT API ROUTES ====================
 
-// POST /api/agent/run - Start autonomous agent run
-app.post('/api/agent/run', async (req, res) => {
-  try {
-    const { goal, context = {}, overrides = {}, userId = 'anonymous' } = req.body;
-    
-    if (!goal) {
-      return res.status(400).json({ error: 'Goal is required' });
-    }
-    
-    console.log(`🤖 Agent API: Starting run for user ${userId}, goal: ${goal.substring(0, 50)}...`);
-    
-    // Use mock implementation (production would use actual AutonomousAgent)
-    const result = await mockAutonomousAgent.runAutonomous({ 
-      goal, 
-      context, 
-      overrides, 
-      userId 
-    });
-    
-    res.json(result);
-    
-  } catch (error) {
-    console.error('❌ Agent API: Run failed:', error);
-    res.status(500).json({ 
-      error: error.message,
-      type: 'agent_run_error' 
-    });
-  }
-});
+// Agent runs execute on the server against a headless engine; run records persist across restarts
+const { createAgentRuntime, registerAgentRoutes } = require('./server/agent');
 
-// POST /api/agent/approve - Approve/reject pending action
-app.post('/api/agent/approve', (req, res) => {
-  try {
-    const { runId, approved = false, reason } = req.body;
-    
-    if (!runId) {
-      return res.status(400).json({ error: 'runId is required' });
-    }
-    
-    const approval = pendingApprovals.get(runId);
-    if (!approval) {
-      return res.status(404).json({ error: 'No pending approval found' });
-    }
-    
-    // Resolve the approval
-    approval.resolve(approved);
-    pendingApprovals.delete(runId);
-    
-    // Broadcast approval response
-    mockAutonomousAgent.broadcastToRun(runId, {
-      type: 'approval-response',
-      approvalId: approval.approvalId,
-      approved,
-      reason,
-      ts: Date.now()
+const agentRuntime = createAgentRuntime({
+  dir: process.env.AGENT_RUNS_DIR || path.join(__dirname, 'data', 'agent-runs'),
+  // Plans come from the model when OpenAI is configured, otherwise from the rule planner
+  complete: openai ? async ({ system, prompt }) => {
+    const completion = await openai.chat.completions.create({
+      model: process.env.AGENT_MODEL || 'gpt-4o-mini',
+      messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+      max_tokens: 1000,
+      temperature: 0
     });
-    
-    console.log(`🤖 Agent API: Approval ${approved ? 'granted' : 'denied'} for run ${runId.slice(0, 8)}`);
-    
-    res.json({ ok: true, approved });
-    
-  } catch (error) {
-    console.error('❌ Agent API: Approval failed:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// GET /api/agent/runs/:userId - Get active runs for user
-app.get('/api/agent/runs/:userId', (req, res) => {
-  try {
-    const { userId } = req.params;
-    const userRuns = [];
-    
-    for (const [runId, run] of agentRuns.entries()) {
-      if (run.userId === userId && run.status === 'running') {
-        userRuns.push({
-          runId,
-          goal: run.goal.substring(0, 100),
-          status: run.status,
-          startTime: run.startTime,
-          progress: run.progress.length
-        });
-      }
-    }
-    
-    res.json({ runs: userRuns });
-    
-  } catch (error) {
-    console.error('❌ Agent API: Get runs failed:', error);
-    res.status(500).json({ error: error.message });
+    return completion.choices[0].message.content || '';
+  } : null,
+  config: {
+    approvalTimeoutMs: Number(process.env.AGENT_APPROVAL_TIMEOUT_MS) || undefined
   }
 });
 
-// POST /api/agent/stop - Force stop a running agent
-app.post('/api/agent/stop', (req, res) => {
-  try {
-    const { runId, reason = 'User requested stop' } = req.body;
-    
-    const run = agentRuns.get(runId);
-    if (!run) {
-      return res.status(404).json({ error: 'Run not found' });
-    }
-    
-    if (run.status !== 'running') {
-      return res.status(400).json({ error: 'Run is not active' });
-    }
-    
-    // Mark as stopped
-    run.status = 'stopped';
-    run.endTime = Date.now();
-    run.stopReason = reason;
-    
-    // Clear any pending approvals
-    pendingApprovals.delete(runId);
-    
-    // Broadcast stop event
-    mockAutonomousAgent.broadcastToRun(runId, {
-      type: 'done',
-      status: 'terminated',
-      reason,
-      forced: true,
-      ts: Date.now()
-    });
-    
-    console.log(`🤖 Agent API: Stopped run ${runId.slice(0, 8)}: ${reason}`);
-    
-    res.json({ ok: true, runId, reason });
-    
-  } catch (error) {
-    console.error('❌ Agent API: Stop failed:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+registerAgentRoutes(app, agentRuntime);
 
 // =================================================================
 // FINAL DEVELOPMENT MODE CATCH-ALL ROUTE (MUST BE LAST)
@@ -55,7 +55,14 @@ import {
   MoonIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
-  PlusIcon
+  PlusIcon,
+  TableCellsIcon,
+  ChartPieIcon,
+  ScissorsIcon,
+  BuildingOffice2Icon,
+  DocumentDuplicateIcon,
+  ArrowsRightLeftIcon,
+  HashtagIcon
 } from '@heroicons/react/24/outline';
 import SplashScreen from './components/SplashScreen';
 import StartNewProjectMenu from './components/StartNewProjectMenu';
@@ -65,6 +72,7 @@ import { PropertyPanel } from './components/property-panel';
 import OBJModelPanel from './components/property-panel/OBJModelPanel';
 import SlabPropertyPanel from './components/property-panel/SlabPropertyPanel';
 import ToolPanelManager from './components/tools/ToolPanelManager';
+import { DEFAULT_STAIR_PARAMS } from './components/tools/StairTool';
 import { WallIcon, SlabIcon, RampIcon, ColumnIcon, DoorIcon, WindowIcon, OpeningIcon, RoofIcon, StairIcon } from './components/icons';
 import ResizableAIChat from './components/ResizableAIChat';
 import NativeAIChat from './components/NativeAIChat';
@@ -73,12 +81,19 @@ import BIMComingSoonOverlay from './components/BIMComingSoonOverlay';
 import ViewportCaptureFrame from './components/ViewportCaptureFrame';
 import LiveStreamStatus from './components/LiveStreamStatus';
 import SaveDialog from './components/SaveDialog';
+import SchedulesPanel from './components/SchedulesPanel';
+import SustainabilityPanel from './components/SustainabilityPanel';
+import SectionViewsPanel from './components/SectionViewsPanel';
+import SheetsPanel from './components/SheetsPanel';
+import DxfPanel from './components/DxfPanel';
+import DimensionsPanel from './components/DimensionsPanel';
 import CADBlocksPopup from './components/CADBlocksPopup';
 import CAD2DBlocksModal from './components/CAD2DBlocksModal';
 import Model3DLoader from './components/Model3DLoader';
 import AISettingsModal from './components/AISettingsModal';
 // Removed property mapper - using direct object properties
 import standaloneCADEngine from './services/StandaloneCADEngine';
+import { DEFAULT_LEVEL_HEIGHT } from './utils/buildingLevels';
 import { Architect3DWallService } from './services/Architect3DWallService';
 // Import viewport components for 2D drafting + 3D visualization
 import XeokitViewport from './components/viewports/XeokitViewport';
@@ -86,8 +101,12 @@ import CAD2DViewport from './components/viewports/CAD2DViewport';
 import CAD3DViewport from './components/viewports/CAD3DViewport';
 import Architect3DViewport from './components/viewports/Architect3DViewport';
 import { useStandaloneCAD } from './hooks/useStandaloneCAD';
+import projectHistoryIntegration from './utils/projectHistoryIntegration';
 import './index.css';
 
+// Projects loaded with their command history also rebuild the saved scene
+projectHistoryIntegration.setSceneLoader((projectData, options) => standaloneCADEngine.loadSceneDocument(projectData, options));
+
 // API Configuration - Standalone mode
 
 // BIM Tool Icons and Data - Organized by ribbon groups
@@ -110,6 +129,7 @@ const BIM_TOOLS_GROUPS = {
       { id: 'slab', name: 'Slab', icon: SlabIcon, description: 'Create floor slabs', category: 'building', size: 'large' },
       { id: 'column', name: 'Column', icon: ColumnIcon, description: 'Create columns', category: 'structural', size: 'medium' },
       { id: 'beam', name: 'Beam', icon: RulerIcon, description: 'Add beams', category: 'structural', size: 'medium' },
+      { id: 'grid', name: 'Grid', icon: Squares3x3Icon, description: 'Structural grid lines', category: 'structural', size: 'medium' },
     ]
   },
   openings: {
@@ -139,6 +159,20 @@ const BIM_TOOLS_GROUPS = {
       { id: 'tag', name: 'Tag', icon: TagIcon, description: 'Add tags and labels', category: 'annotation', size: 'medium' },
     ]
   },
+  documentation: {
+    title: 'Documentation',
+    icon: '📋',
+    tools: [
+      { id: 'schedules', name: 'Schedules', icon: TableCellsIcon, description: 'Schedules and quantity take-off', category: 'documentation', size: 'large' },
+      { id: 'sustainability', name: 'Sustainability', icon: ChartPieIcon, description: 'Thermal and embodied carbon report', category: 'documentation', size: 'large' },
+      { id: 'section', name: 'Section', icon: ScissorsIcon, description: 'Draw a section line in plan', category: 'documentation', size: 'medium' },
+      { id: 'views', name: 'Views', icon: BuildingOffice2Icon, description: 'Sections and elevations', category: 'documentation', size: 'medium' },
+      { id: 'sheets', name: 'Sheets', icon: DocumentDuplicateIcon, description: 'Drawing sheets and PDF export', category: 'documentation', size: 'medium' },
+      { id: 'dxf', name: 'DXF', icon: ArrowsRightLeftIcon, description: 'DXF underlays and plan export', category: 'documentation', size: 'medium' },
+      { id: 'dimension', name: 'Dimension', icon: ArrowsPointingOutIcon, description: 'Click a wall to dimension its run', category: 'documentation', size: 'medium' },
+      { id: 'dimensions', name: 'Dimensions', icon: HashtagIcon, description: 'Dimensions and project units', category: 'documentation', size: 'medium' },
+    ]
+  },
   assistant: {
     title: 'AI Assistant',
     icon: '🤖',
@@ -754,6 +788,10 @@ const BIM_COMMAND_MAP = {
   'ai-chat': { command: null, type: null }, // AI Assistant Chat
   'ai-render': { command: null, type: null }, // AI Rendering Tool
   'ai-settings': { command: null, type: null }, // AI Settings
+  
+  // Documentation
+  'schedules': { command: null, type: null }, // Schedules panel
+  'sustainability': { command: null, type: null }, // Sustainability report panel
 };
 
 // Project Tree Component with Collapsible Sidebar
@@ -819,6 +857,9 @@ const ProjectTree = ({ selectedItem, onItemSelect, currentFloor, onFloorChange }
     // Add to PROJECT_TREE (this would ideally be state-managed)
     PROJECT_TREE[0].children.push(newFloor);
     
+    // Register the level with the engine, stacked on top of the current highest level
+    standaloneCADEngine.addLevel({ id: floorId, name: floorName });
+    
     // Expand the new floor
     setExpandedItems(prev => [...prev, floorId]);
   };
@@ -1511,10 +1552,7 @@ const Viewport2D = ({ selectedTool, onObjectSelect, cadObjects = [], createObjec
         }
         
         const result = window.standaloneCADEngine.applyWallJoinery({
-          tolerance: 1.0,           // Very generous 1m tolerance
-          cornerStyle: 'overlap',   // Use overlap joints for best results
-          tightCorners: false,
-          autoExtend: true
+          tolerance: 0.3            // Generous 30cm endpoint snap
         });
         
         if (result) {
@@ -1542,7 +1580,8 @@ const Viewport2D = ({ selectedTool, onObjectSelect, cadObjects = [], createObjec
           console.log(`  Start: [${wall.params?.startPoint?.x?.toFixed(2)}, ${wall.params?.startPoint?.z?.toFixed(2)}]`);
           console.log(`  End: [${wall.params?.endPoint?.x?.toFixed(2)}, ${wall.params?.endPoint?.z?.toFixed(2)}]`);
           console.log(`  Length: ${(wall.params?.length || 0).toFixed(2)}m`);
-          console.log(`  Has Joinery: ${wall.params?.adjustForJoinery || false}`);
+          const joint = window.standaloneCADEngine.getWallJoinery(wall.id);
+          console.log(`  Ends: ${joint?.start.type || 'free'} / ${joint?.end.type || 'free'}`);
         });
         
         return walls;
@@ -1556,15 +1595,14 @@ const Viewport2D = ({ selectedTool, onObjectSelect, cadObjects = [], createObjec
           return [];
         }
         
-        const intersections = window.standaloneCADEngine.analyzeWallIntersections(1.0);
-        console.log(`🔗 Found ${intersections.length} intersections:`);
+        const intersections = window.standaloneCADEngine.analyzeWallIntersections(0.3);
+        console.log(`🔗 Found ${intersections.length} junctions:`);
         
-        intersections.forEach((intersection, index) => {
-          console.log(`Intersection ${index + 1}:`);
-          console.log(`  Walls: ${intersection.wall1} ↔ ${intersection.wall2}`);
-          console.log(`  Angle: ${(intersection.angle * 180 / Math.PI).toFixed(1)}°`);
-          console.log(`  Type: ${intersection.jointType}`);
-          console.log(`  Position: [${intersection.position?.x?.toFixed(2)}, ${intersection.position?.z?.toFixed(2)}]`);
+        intersections.forEach((junction, index) => {
+          console.log(`Junction ${index + 1}:`);
+          console.log(`  Walls: ${junction.walls.join(' ↔ ')}`);
+          console.log(`  Type: ${junction.type}${junction.through ? ` (through ${junction.through})` : ''}`);
+          console.log(`  Position: [${junction.point.x.toFixed(2)}, ${junction.point.z.toFixed(2)}]`);
         });
         
         return intersections;
@@ -4481,6 +4519,22 @@ function MainApp({ user, onRequestAuth }) {
   const [selectedItem, setSelectedItem] = useState('ground');
   const [currentFloor, setCurrentFloor] = useState('ground'); // Track active floor for 2D view
   
+  // Keep the engine's level stack in step with the project tree floors
+  useEffect(() => {
+    PROJECT_TREE[0].children.forEach(floor => {
+      standaloneCADEngine.ensureLevel({
+        id: floor.id,
+        name: floor.name,
+        elevation: (floor.level || 0) * DEFAULT_LEVEL_HEIGHT
+      });
+    });
+  }, []);
+  
+  // New objects are placed on the active floor
+  useEffect(() => {
+    standaloneCADEngine.setActiveLevel(currentFloor);
+  }, [currentFloor]);
+  
   // Door tool parameters state (shared between tool and viewport for preview)
   const [doorToolParams, setDoorToolParams] = useState({
     width: 0.9,
@@ -4495,6 +4549,9 @@ function MainApp({ user, onRequestAuth }) {
     insertionPosition: 0.5
   });
   
+  // Stair tool parameters state (shared between tool and viewport clicks)
+  const [stairToolParams, setStairToolParams] = useState(DEFAULT_STAIR_PARAMS);
+  
   // Debugging wrapper for setSelectedTool
   const setSelectedTool = useCallback((newTool) => {
     console.log('🔧 TOOL CHANGE DEBUG: setSelectedTool called:', {
@@ -4679,6 +4736,11 @@ function MainApp({ user, onRequestAuth }) {
         
         // Add to PROJECT_TREE
         PROJECT_TREE[0].children.push(newFloor);
+        standaloneCADEngine.addLevel({
+          id: floorId,
+          name: actualName,
+          elevation: floorLevel !== null && floorLevel !== undefined ? floorLevel * DEFAULT_LEVEL_HEIGHT : undefined
+        });
         
         console.log(`✅ AI successfully added floor: ${actualName} (${floorId})`);
         return floorId;
@@ -4698,6 +4760,7 @@ function MainApp({ user, onRequestAuth }) {
           id: floor.id,
           name: floor.name,
           level: floor.level,
+          elevation: standaloneCADEngine.getLevel(floor.id)?.elevation,
           type: floor.type,
           categories: floor.children ? floor.children.map(cat => ({
             id: cat.id,
@@ -4750,6 +4813,13 @@ function MainApp({ user, onRequestAuth }) {
   
   // AI Settings Modal state
   const [showAISettingsModal, setShowAISettingsModal] = useState(false);
+  const [showSchedulesPanel, setShowSchedulesPanel] = useState(false);
+  const [showSustainabilityPanel, setShowSustainabilityPanel] = useState(false);
+  const [showSectionViewsPanel, setShowSectionViewsPanel] = useState(false);
+  const [sectionViewId, setSectionViewId] = useState(null);
+  const [showSheetsPanel, setShowSheetsPanel] = useState(false);
+  const [showDxfPanel, setShowDxfPanel] = useState(false);
+  const [showDimensionsPanel, setShowDimensionsPanel] = useState(false);
   const [isRenderingActive, setIsRenderingActive] = useState(false);
   const [renderProgress, setRenderProgress] = useState(0);
   const [renderCompleted, setRenderCompleted] = useState(false);
@@ -5424,6 +5494,60 @@ function MainApp({ user, onRequestAuth }) {
       return;
     }
     
+    if (toolId === 'schedules') {
+      console.log('📊 Schedules tool activated - opening schedules panel');
+      setShowSchedulesPanel(true);
+      return;
+    }
+
+    if (toolId === 'sustainability') {
+      console.log('🌱 Sustainability tool activated - opening report panel');
+      setShowSustainabilityPanel(true);
+      return;
+    }
+
+    if (toolId === 'views') {
+      console.log('✂️ Views tool activated - opening sections and elevations');
+      setShowSectionViewsPanel(true);
+      return;
+    }
+
+    if (toolId === 'sheets') {
+      console.log('📄 Sheets tool activated - opening drawing sheets');
+      setShowSheetsPanel(true);
+      return;
+    }
+
+    if (toolId === 'dxf') {
+      console.log('📐 DXF tool activated - opening DXF import and export');
+      setShowDxfPanel(true);
+      return;
+    }
+
+    if (toolId === 'section') {
+      // Section lines are drawn in plan
+      console.log('✂️ Section tool activated');
+      if (viewportMode !== '2d') {
+        setViewportMode('2d');
+      }
+      return;
+    }
+
+    if (toolId === 'dimension') {
+      // Walls are picked in plan
+      console.log('📏 Dimension tool activated');
+      if (viewportMode !== '2d') {
+        setViewportMode('2d');
+      }
+      return;
+    }
+
+    if (toolId === 'dimensions') {
+      console.log('📏 Dimensions tool activated - opening dimensions and project units');
+      setShowDimensionsPanel(true);
+      return;
+    }
+    
     // Handle CAD Blocks tools
     if (toolId === 'furniture' || toolId === 'fixtures') {
       console.log(`📦 CAD Blocks tool activated: ${toolId}`);
@@ -5462,6 +5586,15 @@ function MainApp({ user, onRequestAuth }) {
       return;
     }
     
+    // Handle Grid Tool: grids are edited in the tool panel and shown on the plan
+    if (toolId === 'grid') {
+      console.log('📐 GRID: Grid tool activated');
+      if (viewportMode !== '2d') {
+        setViewportMode('2d');
+      }
+      return;
+    }
+
     // STANDALONE MODE: Use our own CAD engine
     standaloneCADEngine.clearPreview();
     
@@ -5770,9 +5903,11 @@ function MainApp({ user, onRequestAuth }) {
         material: wallParams.material,
         materialColor: wallParams.materialColor,
         density: wallParams.density,
+        ...(wallParams.bulge !== undefined ? { bulge: wallParams.bulge } : {}),
         
         // Enhanced architect3d features
         wallType: wallParams.wallType || selectedWall.architect3dData?.wallType || 'straight',
+        ...(wallParams.curtainWall ? { curtainWall: wallParams.curtainWall } : {}),
         joineryMode: wallParams.joineryMode || 'auto',
         snapToAxis: wallParams.snapToAxis !== false,
         cornerTolerance: wallParams.cornerTolerance || 20,
@@ -5913,9 +6048,9 @@ function MainApp({ user, onRequestAuth }) {
       console.log('🛤️ RAMP CREATION DEBUG: Current selectedTool:', selectedTool);
       console.log('🛤️ RAMP CREATION DEBUG: Call stack:', new Error().stack.split('\n').slice(1, 4).join('\n'));
       
-      // Use slab creation logic but mark as ramp type
+      // The ramp tool creates the ramp itself and passes on its id; plain parameters are created here
       console.log('🛤️ RAMP CREATION DEBUG: About to call createSlab...');
-      const success = await createSlab({
+      const success = rampParams.id || await createSlab({
         ...rampParams,
         type: 'ramp',
         isRamp: true
@@ -6013,6 +6148,10 @@ function MainApp({ user, onRequestAuth }) {
     setSelectedTool(null);
   }, []);
 
+  const handleCancelGridTool = useCallback(() => {
+    setSelectedTool(null);
+  }, [setSelectedTool]);
+
   // Door Tool Handlers
   const handleCreateDoor = useCallback(async (doorParams) => {
     try {
@@ -6157,11 +6296,25 @@ function MainApp({ user, onRequestAuth }) {
         length: roofParams.dimensions?.length || roofParams.length || 16.0,
         height: roofParams.dimensions?.height || roofParams.height || 4.0,
         pitch: roofParams.dimensions?.pitch || roofParams.pitch || 30,
-        overhang: roofParams.dimensions?.overhang || roofParams.overhang || 0.6,
+        overhang: roofParams.dimensions?.overhang ?? roofParams.overhang ?? 0.6,
         thickness: roofParams.thickness || 0.2,
         material: roofParams.material || roofParams.properties?.material || 'asphalt_shingles',
         position: roofParams.position || { x: 0, y: 0, z: 0 },
         
+        // Parametric roof: footprint source, per-edge settings and build-up
+        footprint: roofParams.footprint,
+        fromWalls: roofParams.fromWalls,
+        insidePoint: roofParams.insidePoint,
+        wallIds: roofParams.wallIds,
+        edges: roofParams.edges,
+        shedEdge: roofParams.shedEdge,
+        mansardPitch: roofParams.mansardPitch,
+        mansardHeight: roofParams.mansardHeight,
+        fasciaDepth: roofParams.fasciaDepth,
+        baseHeight: roofParams.baseHeight,
+        assemblyType: roofParams.assemblyType,
+        levelId: roofParams.levelId,
+        
         // Additional properties from model
         name: roofParams.name,
         subtype: roofParams.subtype,
@@ -6214,6 +6367,16 @@ function MainApp({ user, onRequestAuth }) {
       console.log('🏗️ STAIR CREATION DEBUG: ModelUrl from params:', stairParams.modelUrl);
       console.log('🏗️ STAIR CREATION DEBUG: Dimensions from params:', stairParams.dimensions);
       
+      // Parametric stairs go straight to the engine, which resolves the rise from the level
+      if (!stairParams.modelUrl) {
+        const objectId = standaloneCADEngine.createObject('stair', {
+          ...stairParams,
+          position: stairParams.position || { x: 0, y: 0, z: 0 }
+        });
+        console.log('✅ Parametric stair created:', objectId);
+        return objectId;
+      }
+      
       // Use standalone CAD engine for stair creation
       // Pass through all stairParams, including modelUrl, dimensions, etc.
       const objectId = standaloneCADEngine.createObject('stair', {
@@ -7026,9 +7189,17 @@ Would you like to sign out?
           console.log('🔄 DEBUG: State check after 1000ms - current state should still be main-app');
         }, 1000);
         
-        // Clear chat history and CAD objects
+        // Clear chat history and rebuild the saved scene (recovered autosaves included)
         clearChatHistory();
-        standaloneCADEngine.clearAllObjects();
+        if (project.sceneDocument) {
+          const { success, message } = standaloneCADEngine.loadSceneDocument(project);
+          if (!success) {
+            console.warn('⚠️ Could not restore the saved scene, starting empty:', message);
+            standaloneCADEngine.clearAllObjects();
+          }
+        } else {
+          standaloneCADEngine.clearAllObjects();
+        }
         
         // Update project access timestamp
         try {
@@ -7246,21 +7417,7 @@ Would you like to sign out?
                     console.log('🏗️ 2D VIEWPORT CLICK DEBUG: selectedTool state:', selectedTool);
                     console.log('🏗️ 2D VIEWPORT CLICK DEBUG: handleCreateStair function:', typeof handleCreateStair);
                     
-                    const stairParams = {
-                      stairType: 'straight',
-                      totalRise: 3.0,
-                      totalRun: 4.0,
-                      numberOfSteps: 16,
-                      stepWidth: 1.2,
-                      treadDepth: 0.25,
-                      riserHeight: 0.18,
-                      material: 'concrete',
-                      handrailHeight: 1.0,
-                      hasHandrail: true,
-                      landingDepth: 0.8,
-                      thickness: 0.15,
-                      position: position
-                    };
+                    const stairParams = { ...stairToolParams, position };
                     
                     console.log('🏗️ 2D VIEWPORT CLICK DEBUG: About to call handleCreateStair with params:', stairParams);
                     
@@ -7275,6 +7432,7 @@ Would you like to sign out?
                     console.log('🏠 2D VIEWPORT CLICK DEBUG: selectedTool state:', selectedTool);
                     console.log('🏠 2D VIEWPORT CLICK DEBUG: handleCreateRoof function:', typeof handleCreateRoof);
                     
+                    // Roof the wall loop around the click; a 12 x 16 m rectangle when there is none
                     const roofParams = {
                       roofType: 'gable',
                       width: 12.0,
@@ -7284,7 +7442,9 @@ Would you like to sign out?
                       overhang: 0.6,
                       thickness: 0.2,
                       material: 'asphalt_shingles',
-                      position: position
+                      position: position,
+                      fromWalls: true,
+                      insidePoint: position
                     };
                     
                     console.log('🏠 2D VIEWPORT CLICK DEBUG: About to call handleCreateRoof with params:', roofParams);
@@ -7311,6 +7471,11 @@ Would you like to sign out?
                   console.log('🔧 Tool change requested from viewport:', newTool);
                   setSelectedTool(newTool);
                 }}
+                onOpenSectionView={(view) => {
+                  setSelectedTool('pointer');
+                  setSectionViewId(view.id);
+                  setShowSectionViewsPanel(true);
+                }}
               />
             ) : (
               /* 3D Model Visualization Viewport */
@@ -7355,21 +7520,7 @@ Would you like to sign out?
                         console.log('🏗️ 3D VIEWPORT CLICK DEBUG: selectedTool state:', selectedTool);
                         console.log('🏗️ 3D VIEWPORT CLICK DEBUG: handleCreateStair function:', typeof handleCreateStair);
                         
-                        const stairParams = {
-                          stairType: 'straight',
-                          totalRise: 3.0,
-                          totalRun: 4.0,
-                          numberOfSteps: 16,
-                          stepWidth: 1.2,
-                          treadDepth: 0.25,
-                          riserHeight: 0.18,
-                          material: 'concrete',
-                          handrailHeight: 1.0,
-                          hasHandrail: true,
-                          landingDepth: 0.8,
-                          thickness: 0.15,
-                          position: position
-                        };
+                        const stairParams = { ...stairToolParams, position };
                         
                         console.log('🏗️ 3D VIEWPORT CLICK DEBUG: About to call handleCreateStair with params:', stairParams);
                         
@@ -7384,6 +7535,7 @@ Would you like to sign out?
                         console.log('🏠 3D VIEWPORT CLICK DEBUG: selectedTool state:', selectedTool);
                         console.log('🏠 3D VIEWPORT CLICK DEBUG: handleCreateRoof function:', typeof handleCreateRoof);
                         
+                        // Roof the wall loop around the click; a 12 x 16 m rectangle when there is none
                         const roofParams = {
                           roofType: 'gable',
                           width: 12.0,
@@ -7393,7 +7545,9 @@ Would you like to sign out?
                           overhang: 0.6,
                           thickness: 0.2,
                           material: 'asphalt_shingles',
-                          position: position
+                          position: position,
+                          fromWalls: true,
+                          insidePoint: position
                         };
                         
                         console.log('🏠 3D VIEWPORT CLICK DEBUG: About to call handleCreateRoof with params:', roofParams);
@@ -7461,6 +7615,9 @@ Would you like to sign out?
                   // Door tool handlers
                   doorParams={doorToolParams}
                   onDoorParamsChange={setDoorToolParams}
+                  // Stair tool parameters
+                  stairParams={stairToolParams}
+                  onStairParamsChange={setStairToolParams}
                   onCreateDoor={handleCreateDoor}
                   onUpdateDoor={handleUpdateDoor}
                   onCancelDoorTool={handleCancelDoorTool}
@@ -7476,6 +7633,8 @@ Would you like to sign out?
                   onCreateColumn={handleCreateColumn}
                   onUpdateColumn={handleUpdateColumn}
                   onCancelColumnTool={handleCancelColumnTool}
+                  // Grid tool handlers
+                  onCancelGridTool={handleCancelGridTool}
                   // Stair tool handlers
                   onCreateStair={handleCreateStair}
                   onUpdateStair={handleUpdateStair}
@@ -7568,6 +7727,46 @@ Would you like to sign out?
         onSave={handleSave}
       />
 
+      {/* Schedules & Quantities */}
+      <SchedulesPanel
+        isOpen={showSchedulesPanel}
+        onClose={() => setShowSchedulesPanel(false)}
+      />
+
+      {/* Thermal & Embodied Carbon Report */}
+      <SustainabilityPanel
+        isOpen={showSustainabilityPanel}
+        onClose={() => setShowSustainabilityPanel(false)}
+        projectName={currentProject?.name}
+      />
+
+      {/* Sections & Elevations */}
+      <SectionViewsPanel
+        isOpen={showSectionViewsPanel}
+        onClose={() => setShowSectionViewsPanel(false)}
+        initialViewId={sectionViewId}
+      />
+
+      {/* Drawing Sheets */}
+      <SheetsPanel
+        isOpen={showSheetsPanel}
+        onClose={() => setShowSheetsPanel(false)}
+      />
+
+      {/* DXF Import & Export */}
+      <DxfPanel
+        isOpen={showDxfPanel}
+        onClose={() => setShowDxfPanel(false)}
+        levelId={currentFloor}
+      />
+
+      {/* Dimensions */}
+      <DimensionsPanel
+        isOpen={showDimensionsPanel}
+        onClose={() => setShowDimensionsPanel(false)}
+        levelId={currentFloor}
+      />
+
 
       {/* CAD Blocks Popup */}
       <CADBlocksPopup
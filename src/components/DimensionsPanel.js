@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ArrowsPointingOutIcon,
+  XMarkIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import standaloneCADEngine from '../services/StandaloneCADEngine';
+import { DIMENSION_UNITS } from '../utils/dimensions';
+
+const KIND_LABELS = {
+  linear: 'Linear',
+  aligned: 'Aligned',
+  angular: 'Angular',
+  radial: 'Radial',
+  chain: 'Chain'
+};
+
+const selectClass = 'px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900 text-sm';
+
+const EVENTS = ['dimensions_changed', 'project_units_changed', 'levels_changed', 'objects_changed', 'object_updated', 'grids_changed'];
+
+// The chosen level, else the level the panel was opened for, else the active level
+const resolveTargetLevelId = (levels, selectedLevelId, levelId) => {
+  if (levels.some(level => level.id === selectedLevelId)) return selectedLevelId;
+  return levelId && levels.some(level => level.id === levelId) ? levelId : standaloneCADEngine.getActiveLevel()?.id;
+};
+
+/**
+ * Dimensions - Project display units and the associative dimensions of a level; wall runs
+ * are dimensioned here in one go or by clicking walls with the Dimension tool in plan
+ */
+const DimensionsPanel = ({ isOpen, onClose, levelId = null }) => {
+  const [selectedLevelId, setSelectedLevelId] = useState(levelId);
+  const [levels, setLevels] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+
+  const refresh = useCallback(() => {
+    const current = standaloneCADEngine.getLevels();
+    setLevels(current);
+    setDimensions(standaloneCADEngine.resolveDimensions(resolveTargetLevelId(current, selectedLevelId, levelId)));
+  }, [selectedLevelId, levelId]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    refresh();
+    EVENTS.forEach(event => standaloneCADEngine.addEventListener(event, refresh));
+    return () => {
+      EVENTS.forEach(event => standaloneCADEngine.removeEventListener(event, refresh));
+    };
+  }, [isOpen, refresh]);
+
+  const targetLevelId = resolveTargetLevelId(levels, selectedLevelId, levelId);
+  const units = standaloneCADEngine.getProjectUnits();
+
+  const dimensionAllWalls = () => {
+    // One set of dimensions per run, not per wall in it
+    const dimensioned = new Set(standaloneCADEngine.getDimensions(targetLevelId)
+      .flatMap(dimension => dimension.references.filter(reference => reference.type === 'wall').map(reference => reference.id)));
+    standaloneCADEngine.getAllObjects()
+      .filter(obj => obj.type === 'wall' && standaloneCADEngine.getObjectLevelId(obj) === targetLevelId)
+      .forEach(wall => {
+        if (dimensioned.has(wall.id)) return;
+        standaloneCADEngine.autoDimensionWall(wall.id);
+        standaloneCADEngine.getDimensions(targetLevelId).forEach(dimension => {
+          dimension.references.forEach(reference => dimensioned.add(reference.id));
+        });
+      });
+  };
+
+  const clearLevel = () => {
+    standaloneCADEngine.getDimensions(targetLevelId).forEach(dimension => standaloneCADEngine.removeDimension(dimension.id));
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-[560px] max-w-[95vw] max-h-[85vh] flex flex-col mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            <ArrowsPointingOutIcon className="w-6 h-6 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Dimensions</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4 text-sm text-gray-700">
+          <div className="flex items-center gap-4">
+            <label className="flex items-center gap-2">
+              Level
+              <select className={selectClass} value={targetLevelId || ''} onChange={(e) => setSelectedLevelId(e.target.value)}>
+                {levels.map(level => <option key={level.id} value={level.id}>{level.name}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Project units
+              <select className={selectClass} value={units} onChange={(e) => standaloneCADEngine.setProjectUnits(e.target.value)}>
+                {Object.entries(DIMENSION_UNITS).map(([id, unit]) => <option key={id} value={id}>{unit.label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={dimensionAllWalls}
+              className="px-3 py-1.5 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            >
+              Dimension all wall runs
+            </button>
+            <button
+              onClick={() => standaloneCADEngine.autoDimensionGrids(targetLevelId)}
+              className="px-3 py-1.5 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            >
+              Dimension grids
+            </button>
+            {dimensions.length > 0 && (
+              <button
+                onClick={clearLevel}
+                className="ml-auto px-3 py-1.5 text-red-600 rounded-md hover:bg-red-50"
+              >
+                Clear level
+              </button>
+            )}
+          </div>
+
+          {dimensions.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              No dimensions on this level. Use the Dimension tool and click a wall in plan to dimension
+              its run and openings; dimensions follow the walls, openings and grids they measure.
+            </p>
+          ) : (
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-xs text-gray-500 border-b">
+                  <th className="py-1 font-medium">Kind</th>
+                  <th className="py-1 font-medium">Value</th>
+                  <th className="py-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {dimensions.map(dimension => (
+                  <tr key={dimension.id} className="border-b last:border-0">
+                    <td className="py-1">{KIND_LABELS[dimension.kind]}</td>
+                    <td className="py-1">
+                      {dimension.valid
+                        ? (dimension.segments && dimension.segments.length > 1
+                          ? `${dimension.segments.map(segment => segment.text).join(' · ')} (${dimension.text})`
+                          : dimension.text)
+                        : <span className="text-amber-600">{dimension.error}</span>}
+                    </td>
+                    <td className="py-1 text-right">
+                      <button
+                        onClick={() => standaloneCADEngine.removeDimension(dimension.id)}
+                        className="p-1 rounded-md text-red-600 hover:bg-red-50"
+                        title="Remove dimension"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DimensionsPanel;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  ArrowsRightLeftIcon,
+  XMarkIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import standaloneCADEngine from '../services/StandaloneCADEngine';
+
+const IMPORT_UNITS = [
+  { id: '', label: 'Detect' },
+  { id: 'mm', label: 'Millimetres' },
+  { id: 'cm', label: 'Centimetres' },
+  { id: 'm', label: 'Metres' },
+  { id: 'in', label: 'Inches' },
+  { id: 'ft', label: 'Feet' }
+];
+
+const EXPORT_UNITS = [
+  { id: 'mm', label: 'Millimetres' },
+  { id: 'cm', label: 'Centimetres' },
+  { id: 'm', label: 'Metres' }
+];
+
+const downloadFile = (data, fileName, type) => {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const selectClass = 'px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900 text-sm';
+
+/**
+ * DXF Exchange - Imports consultants' DXF drawings as reference underlays on a level and
+ * exports a level's plan as DXF on named layers
+ */
+const DxfPanel = ({ isOpen, onClose, levelId = null }) => {
+  const fileInputRef = useRef(null);
+  const [importUnits, setImportUnits] = useState('');
+  const [exportUnits, setExportUnits] = useState('mm');
+  const [exportLevelId, setExportLevelId] = useState(levelId);
+  const [expandedId, setExpandedId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const [levels, setLevels] = useState([]);
+  const [underlays, setUnderlays] = useState([]);
+
+  const refresh = useCallback(() => {
+    setLevels(standaloneCADEngine.getLevels());
+    setUnderlays(standaloneCADEngine.getUnderlays());
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    refresh();
+    ['underlays_changed', 'levels_changed'].forEach(event => standaloneCADEngine.addEventListener(event, refresh));
+    return () => {
+      ['underlays_changed', 'levels_changed'].forEach(event => standaloneCADEngine.removeEventListener(event, refresh));
+    };
+  }, [isOpen, refresh]);
+
+  const targetLevelId = levels.some(level => level.id === exportLevelId)
+    ? exportLevelId
+    : (levelId && levels.some(level => level.id === levelId) ? levelId : standaloneCADEngine.getActiveLevel()?.id);
+
+  const handleImport = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const underlay = standaloneCADEngine.importDXF(await file.text(), {
+        name: file.name.replace(/\.dxf$/i, ''),
+        levelId: targetLevelId,
+        units: importUnits || undefined
+      });
+      const skipped = Object.values(underlay.skipped).reduce((sum, count) => sum + count, 0);
+      setMessage({
+        type: 'success',
+        text: `Imported ${underlay.primitives.length} items in ${underlay.units}`
+          + `${underlay.detectedUnits === 'extents' ? ' (guessed from the drawing size)' : ''}`
+          + `${skipped ? `; ${skipped} unsupported entities skipped` : ''}.`
+      });
+    } catch (error) {
+      console.error('❌ DXF import failed:', error);
+      setMessage({ type: 'error', text: error.message });
+    }
+  }, [targetLevelId, importUnits]);
+
+  const handleExport = useCallback(() => {
+    const level = levels.find(candidate => candidate.id === targetLevelId);
+    const dxf = standaloneCADEngine.exportPlanDXF(targetLevelId, { units: exportUnits });
+    downloadFile(dxf, `${(level?.name || 'plan').replace(/\s+/g, '-').toLowerCase()}-plan.dxf`, 'application/dxf');
+  }, [levels, targetLevelId, exportUnits]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-[640px] max-w-[95vw] max-h-[85vh] flex flex-col mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            <ArrowsRightLeftIcon className="w-6 h-6 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">DXF Import &amp; Export</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4 text-sm text-gray-700">
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2">
+              Level
+              <select className={selectClass} value={targetLevelId || ''} onChange={(e) => setExportLevelId(e.target.value)}>
+                {levels.map(level => <option key={level.id} value={level.id}>{level.name}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {/* Import */}
+          <section className="space-y-2">
+            <h3 className="font-medium text-gray-900">Reference underlays</h3>
+            <div className="flex items-center gap-2">
+              <select className={selectClass} value={importUnits} onChange={(e) => setImportUnits(e.target.value)} title="Drawing units">
+                {IMPORT_UNITS.map(units => <option key={units.id} value={units.id}>{units.label}</option>)}
+              </select>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="flex items-center gap-2 px-3 py-1.5 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+              >
+                <ArrowUpTrayIcon className="w-4 h-4" />
+                Import DXF…
+              </button>
+              <input ref={fileInputRef} type="file" accept=".dxf" className="hidden" onChange={handleImport} />
+            </div>
+            {message && (
+              <p className={`text-xs ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+            )}
+            {underlays.length === 0 && (
+              <p className="text-xs text-gray-500">Import a DXF here or drop it on the plan. Pick its lines with the pointer tool to convert them to walls.</p>
+            )}
+            {underlays.map(underlay => (
+              <div key={underlay.id} className="border rounded-md">
+                <div className="flex items-center gap-2 px-3 py-2">
+                  <button
+                    onClick={() => standaloneCADEngine.updateUnderlay(underlay.id, { visible: !underlay.visible })}
+                    className="p-1 rounded-md text-gray-600 hover:bg-gray-100"
+                    title={underlay.visible ? 'Hide' : 'Show'}
+                  >
+                    {underlay.visible ? <EyeIcon className="w-4 h-4" /> : <EyeSlashIcon className="w-4 h-4" />}
+                  </button>
+                  <button className="flex-1 text-left" onClick={() => setExpandedId(expandedId === underlay.id ? null : underlay.id)}>
+                    <span className="font-medium text-gray-900">{underlay.name}</span>
+                    <span className="ml-2 text-xs text-gray-500">
+                      {levels.find(level => level.id === underlay.levelId)?.name || underlay.levelId} · {underlay.units} · {underlay.layers.length} layers
+                    </span>
+                  </button>
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="1"
+                    step="0.1"
+                    value={underlay.opacity}
+                    onChange={(e) => standaloneCADEngine.updateUnderlay(underlay.id, { opacity: Number(e.target.value) })}
+                    className="w-20"
+                    title="Opacity"
+                  />
+                  <button
+                    onClick={() => standaloneCADEngine.removeUnderlay(underlay.id)}
+                    className="p-1 rounded-md text-red-600 hover:bg-red-50"
+                    title="Remove underlay"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+                {expandedId === underlay.id && (
+                  <div className="px-3 pb-2 grid grid-cols-2 gap-1">
+                    {underlay.layers.map(layer => (
+                      <label key={layer.name} className="flex items-center gap-2 text-xs">
+                        <input
+                          type="checkbox"
+                          checked={layer.visible}
+                          onChange={(e) => standaloneCADEngine.updateUnderlay(underlay.id, { layers: { [layer.name]: e.target.checked } })}
+                        />
+                        {layer.name}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </section>
+
+          {/* Export */}
+          <section className="space-y-2 pt-4 border-t">
+            <h3 className="font-medium text-gray-900">Export plan</h3>
+            <p className="text-xs text-gray-500">
+              Walls, doors, windows and the rest of the plan cut, room names and areas, grids with their
+              dimensions and section marks, on A-/S- named layers.
+            </p>
+            <div className="flex items-center gap-2">
+              <select className={selectClass} value={exportUnits} onChange={(e) => setExportUnits(e.target.value)}>
+                {EXPORT_UNITS.map(units => <option key={units.id} value={units.id}>{units.label}</option>)}
+              </select>
+              <button
+                onClick={handleExport}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                <ArrowDownTrayIcon className="w-4 h-4" />
+                Export DXF
+              </button>
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DxfPanel;
@@ -21,6 +21,7 @@ import InlineExecutionWindow from './InlineExecutionWindow';
 import AnimatedMessage from './AnimatedMessage';
 import CompletionSummary from './CompletionSummary';
 import eventManager from '../services/EventManager';
+import { mapActionIds, pairCreatedIds } from '../utils/agentReplay';
 
 const NativeAIChat = ({ 
   // App state integration
@@ -72,7 +73,7 @@ const NativeAIChat = ({
   // Autonomous agent state
   const [isAutonomousEnabled, setIsAutonomousEnabled] = useState(false);
   const [activeAutonomousRun, setActiveAutonomousRun] = useState(null);
-  const [autonomousSocket, setAutonomousSocket] = useState(null);
+  const [autonomousStream, setAutonomousStream] = useState(null);
   const [pendingApproval, setPendingApproval] = useState(null);
   
   // Refs
@@ -364,7 +365,8 @@ const NativeAIChat = ({
         {
           ...enhancedContext,
           processedFiles
-        }
+        },
+        { tools: true }
       );
 
       // Add AI response to messages
@@ -380,8 +382,21 @@ const NativeAIChat = ({
 
       setMessages(prev => [...prev, aiMessage]);
 
-      // Then, try to parse and execute commands from the response content
-      await handleSequentialExecution(message);
+      // Tools the model called run directly; keyword parsing only when it called none
+      if (aiResponse.toolCalls.length > 0) {
+        const results = await aiCommandExecutor.executeToolCalls(aiResponse.toolCalls);
+        setMessages(prev => [...prev, {
+          id: `tools_${Date.now()}`,
+          type: 'system',
+          message: results
+            .map(result => (result.ok ? `✅ ${result.tool}` : `❌ ${result.tool}: ${result.error.title} (${result.error.code})`))
+            .join('\n'),
+          timestamp: new Date().toISOString(),
+          success: results.every(result => result.ok)
+        }]);
+      } else {
+        await handleSequentialExecution(message);
+      }
       
     } catch (error) {
       console.error('❌ Error in AI processing:', error);
@@ -698,7 +713,7 @@ const NativeAIChat = ({
       };
 
       // Call autonomous agent API (backend server)
-      const { getApiBase, getWebSocketBase } = require('../config/apiBase');
+      const { getApiBase } = require('../config/apiBase');
       const backendUrl = getApiBase();
       const response = await fetch(`${backendUrl}/api/agent/run`, {
         method: 'POST',
@@ -725,8 +740,8 @@ const NativeAIChat = ({
       if (result.ok) {
         setActiveAutonomousRun(result.runId);
         
-        // Connect to WebSocket for real-time updates
-        setupAutonomousWebSocket(result.runId);
+        // Follow the run's progress
+        setupAutonomousEventStream(result.runId);
         
         // Add initial response
         const autonomousMessage = {
@@ -740,14 +755,14 @@ const NativeAIChat = ({
         };
         
         setMessages(prev => [...prev, autonomousMessage]);
-        // Fallback: if no WS opens within 2500ms, switch to sequential plan
+        // Fallback: if the event stream does not open within 2500ms, switch to sequential plan
         autonomousFallbackTriggeredRef.current = false;
         if (autonomousFallbackTimerRef.current) clearTimeout(autonomousFallbackTimerRef.current);
         autonomousFallbackTimerRef.current = setTimeout(() => {
           // Disable autonomous fallback to sequential
-          if (!autonomousSocket && !autonomousFallbackTriggeredRef.current) {
+          if (!autonomousStream && !autonomousFallbackTriggeredRef.current) {
             autonomousFallbackTriggeredRef.current = true;
-            console.info('ℹ️ Autonomous WS not available. No fallback while TaskWeaver-only mode is active.');
+            console.info('ℹ️ Autonomous event stream not available. No fallback while TaskWeaver-only mode is active.');
           }
         }, 2500);
       }
@@ -767,61 +782,80 @@ const NativeAIChat = ({
     }
   }, [currentContext, messages, selectedObjects, viewMode, currentFloor]);
 
-  // Setup WebSocket for autonomous agent progress
-  const setupAutonomousWebSocket = useCallback((runId) => {
+  // Subscribe to the run's server-sent events; EventSource reconnects on its own and the
+  // server resumes the stream after the last event received
+  const setupAutonomousEventStream = useCallback((runId) => {
     try {
-      const { getWebSocketBase } = require('../config/apiBase');
-      const wsUrl = `${getWebSocketBase()}/ws/agent?runId=${runId}`;
-      const ws = new WebSocket(wsUrl);
+      const { getApiBase } = require('../config/apiBase');
+      const stream = new EventSource(`${getApiBase()}/api/agent/events?runId=${encodeURIComponent(runId)}`);
       
-      ws.onopen = () => {
-        console.log('📡 Connected to autonomous agent WebSocket');
-        setAutonomousSocket(ws);
+      stream.onopen = () => {
+        console.log('📡 Connected to autonomous agent event stream');
+        setAutonomousStream(stream);
         if (autonomousFallbackTimerRef.current) {
           clearTimeout(autonomousFallbackTimerRef.current);
           autonomousFallbackTimerRef.current = null;
         }
-        // Start inactivity fallback: if no events within 3.5s, switch to sequential
         autonomousLastEventRef.current = Date.now();
-        setTimeout(() => {
-          const idleMs = Date.now() - autonomousLastEventRef.current;
-          if (!autonomousFallbackTriggeredRef.current && idleMs > 3000) {
-            autonomousFallbackTriggeredRef.current = true;
-            console.info('ℹ️ Autonomous WS idle. No fallback while TaskWeaver-only mode is active.');
-          }
-        }, 3500);
       };
       
-      ws.onmessage = (event) => {
+      stream.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
           autonomousLastEventRef.current = Date.now();
           handleAutonomousEvent(data);
+          if (data.type === 'done') {
+            stream.close();
+            setAutonomousStream(null);
+          }
         } catch (error) {
-          console.error('Failed to parse WebSocket message:', error);
+          console.error('Failed to parse agent event:', error);
         }
       };
       
-      ws.onclose = () => {
-        console.log('📡 Disconnected from autonomous agent WebSocket');
-        setAutonomousSocket(null);
-        // Do not fallback to sequential
-      };
-      
-      ws.onerror = (error) => {
-        console.error('📡 WebSocket error:', error);
-        if (!autonomousFallbackTriggeredRef.current && activeAutonomousRun) {
-          autonomousFallbackTriggeredRef.current = true;
-          handleSequentialExecution(lastUserMessageRef.current);
-        }
+      stream.onerror = () => {
+        console.warn('📡 Autonomous agent event stream interrupted, reconnecting');
       };
       
     } catch (error) {
-      console.error('Failed to setup WebSocket:', error);
+      console.error('Failed to open agent event stream:', error);
+    }
+  }, []);
+
+  // Apply the tool calls a server run validated on its headless engine to this engine,
+  // mapping the server's object ids to the ones this engine gives the same objects
+  const applyAutonomousActions = useCallback(async (runId, actions) => {
+    const results = [];
+    const idMap = new Map();
+    for (const [index, action] of actions.entries()) {
+      const args = mapActionIds(action.args, idMap);
+      const before = new Set(standaloneCADEngine.objects.keys());
+      if (action.tool === 'geometry.delete') {
+        const ids = args.objectIds || (args.objectId ? [args.objectId] : []);
+        const deleted = ids.filter(id => standaloneCADEngine.deleteObject(id));
+        results.push(deleted.length > 0
+          ? { ok: true, tool: action.tool }
+          : { ok: false, tool: action.tool, error: { code: 'E_EXEC', title: 'Nothing was deleted' } });
+      } else {
+        results.push(...await aiCommandExecutor.executeToolCalls([
+          { id: `${runId}_${index + 1}`, name: action.tool, arguments: args }
+        ]));
+      }
+      const created = [...standaloneCADEngine.objects.values()].filter(object => !before.has(object.id));
+      pairCreatedIds(action.created, created, idMap);
     }
+    setMessages(prev => [...prev, {
+      id: `tools_${Date.now()}`,
+      type: 'system',
+      message: results
+        .map(result => (result.ok ? `✅ ${result.tool}` : `❌ ${result.tool}: ${result.error.title} (${result.error.code})`))
+        .join('\n'),
+      timestamp: new Date().toISOString(),
+      success: results.every(result => result.ok)
+    }]);
   }, []);
 
-  // Handle autonomous agent events from WebSocket
+  // Handle autonomous agent events from the event stream
   const handleAutonomousEvent = useCallback((event) => {
     const { type, runId } = event;
     
@@ -886,19 +920,19 @@ const NativeAIChat = ({
           isAutonomous: true
         };
         setMessages(prev => [...prev, doneMessage]);
+        if (event.status === 'success' && event.actions?.length) {
+          applyAutonomousActions(event.runId, event.actions);
+        }
         
         // Cleanup
         setActiveAutonomousRun(null);
         setPendingApproval(null);
-        if (autonomousSocket) {
-          autonomousSocket.close();
-        }
         break;
         
       default:
         console.log('Unhandled autonomous event:', event);
     }
-  }, [activeAutonomousRun, autonomousSocket]);
+  }, [activeAutonomousRun, applyAutonomousActions]);
 
   // Handle approval response
   const handleApprovalResponse = useCallback(async (approved, reason = null) => {
@@ -912,6 +946,7 @@ const NativeAIChat = ({
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           runId: pendingApproval.runId,
+          approvalId: pendingApproval.approvalId,
           approved,
           reason
         })
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  TableCellsIcon,
+  XMarkIcon,
+  ArrowDownTrayIcon
+} from '@heroicons/react/24/outline';
+import standaloneCADEngine from '../services/StandaloneCADEngine';
+import scheduleService from '../services/ScheduleService';
+
+// Engine events that change schedule contents
+const MODEL_EVENTS = ['object_created', 'object_updated', 'object_deleted', 'objects_changed', 'levels_changed', 'rooms_updated'];
+
+const downloadFile = (data, fileName, type) => {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const SchedulesPanel = ({ isOpen, onClose }) => {
+  const scheduleTypes = useMemo(() => scheduleService.getScheduleTypes(), []);
+  const [scheduleType, setScheduleType] = useState(scheduleTypes[0].id);
+  const [groupBy, setGroupBy] = useState(undefined); // undefined = schedule default
+  const [levelId, setLevelId] = useState('');
+  const [levels, setLevels] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+
+  const refresh = useCallback(() => {
+    setLevels(standaloneCADEngine.getLevels());
+    setSchedule(standaloneCADEngine.generateSchedule(scheduleType, { groupBy, levelId: levelId || undefined }));
+  }, [scheduleType, groupBy, levelId]);
+
+  // Regenerate while the panel is open and the model changes
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    refresh();
+    MODEL_EVENTS.forEach(event => standaloneCADEngine.addEventListener(event, refresh));
+    return () => {
+      MODEL_EVENTS.forEach(event => standaloneCADEngine.removeEventListener(event, refresh));
+    };
+  }, [isOpen, refresh]);
+
+  const handleTypeChange = (type) => {
+    setScheduleType(type);
+    setGroupBy(undefined);
+  };
+
+  const handleExportCSV = useCallback(() => {
+    if (!schedule) return;
+    console.log(`📊 SCHEDULES: Exporting ${schedule.title} as CSV`);
+    downloadFile(scheduleService.toCSV(schedule), `${schedule.id}-schedule.csv`, 'text/csv;charset=utf-8');
+  }, [schedule]);
+
+  const handleExportXLSX = useCallback(() => {
+    const schedules = scheduleTypes.map(type =>
+      standaloneCADEngine.generateSchedule(type.id, { levelId: levelId || undefined })
+    );
+    console.log(`📊 SCHEDULES: Exporting ${schedules.length} schedules as XLSX`);
+    downloadFile(
+      scheduleService.toXLSX(schedules),
+      'studiosix-schedules.xlsx',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+  }, [scheduleTypes, levelId]);
+
+  if (!isOpen || !schedule) return null;
+
+  const format = (column, value) => {
+    const formatted = scheduleService.formatValue(column, value);
+    return column.type === 'number' && formatted !== '' ? formatted.toFixed(column.precision) : formatted;
+  };
+
+  const renderTotals = (label, totals, count, key) => (
+    <tr key={key} className="bg-gray-100 font-semibold text-gray-900">
+      {schedule.columns.map((column, index) => (
+        <td key={column.key} className={`px-3 py-1.5 ${column.type === 'number' ? 'text-right' : ''}`}>
+          {index === 0 ? `${label} (${count})` : column.total ? format(column, totals[column.key]) : ''}
+        </td>
+      ))}
+    </tr>
+  );
+
+  const renderRow = (row) => (
+    <tr key={row.id} className="border-b border-gray-100 hover:bg-blue-50">
+      {schedule.columns.map(column => (
+        <td key={column.key} className={`px-3 py-1 ${column.type === 'number' ? 'text-right tabular-nums' : ''}`}>
+          {format(column, row[column.key])}
+        </td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-[960px] max-w-[95vw] max-h-[85vh] flex flex-col mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            <TableCellsIcon className="w-6 h-6 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Schedules &amp; Quantities</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Schedule tabs */}
+        <div className="flex gap-1 px-4 pt-3 border-b">
+          {scheduleTypes.map(type => (
+            <button
+              key={type.id}
+              onClick={() => handleTypeChange(type.id)}
+              className={`px-3 py-1.5 text-sm rounded-t-md ${
+                type.id === scheduleType
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {type.title}
+            </button>
+          ))}
+        </div>
+
+        {/* Options */}
+        <div className="flex items-center gap-4 px-4 py-3 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            Group by
+            <select
+              value={schedule.groupBy || ''}
+              onChange={(e) => setGroupBy(e.target.value || null)}
+              className="px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900"
+            >
+              <option value="">None</option>
+              {schedule.columns.filter(column => column.type === 'text').map(column => (
+                <option key={column.key} value={column.key}>{column.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            Level
+            <select
+              value={levelId}
+              onChange={(e) => setLevelId(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900"
+            >
+              <option value="">All levels</option>
+              {levels.map(level => (
+                <option key={level.id} value={level.id}>{level.name}</option>
+              ))}
+            </select>
+          </label>
+          <span className="ml-auto text-gray-500">{schedule.count} items</span>
+        </div>
+
+        {/* Table */}
+        <div className="flex-1 overflow-auto px-4">
+          {schedule.count === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">Nothing to schedule yet.</p>
+          ) : (
+            <table className="w-full text-xs text-gray-800">
+              <thead className="sticky top-0 bg-white">
+                <tr className="border-b-2 border-gray-300">
+                  {schedule.columns.map(column => (
+                    <th key={column.key} className={`px-3 py-2 font-semibold ${column.type === 'number' ? 'text-right' : 'text-left'}`}>
+                      {scheduleService.columnHeader(column)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.groups.length > 0
+                  ? schedule.groups.flatMap(group => [
+                    ...group.rows.map(renderRow),
+                    renderTotals(`Subtotal: ${group.key}`, group.totals, group.count, `subtotal-${group.key}`)
+                  ])
+                  : schedule.rows.map(renderRow)}
+                {renderTotals('Total', schedule.totals, schedule.count, 'total')}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t">
+          <button
+            onClick={handleExportCSV}
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export CSV
+          </button>
+          <button
+            onClick={handleExportXLSX}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export XLSX (all schedules)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchedulesPanel;
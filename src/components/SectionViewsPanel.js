@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  ScissorsIcon,
+  XMarkIcon,
+  ArrowDownTrayIcon,
+  ArrowsRightLeftIcon,
+  TrashIcon,
+  BuildingOffice2Icon
+} from '@heroicons/react/24/outline';
+import standaloneCADEngine from '../services/StandaloneCADEngine';
+import { sectionDrawingToSVG } from '../utils/sectionViews';
+
+// Engine events that change what a view shows
+const MODEL_EVENTS = ['object_created', 'object_updated', 'object_deleted', 'objects_changed', 'levels_changed', 'section_views_changed'];
+
+const downloadFile = (data, fileName, type) => {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Sections & Elevations - Drawings generated from the model for the section lines placed
+ * in plan and the exterior elevations, redrawn while the model changes
+ */
+const SectionViewsPanel = ({ isOpen, onClose, initialViewId = null }) => {
+  const [viewId, setViewId] = useState(initialViewId);
+  const [views, setViews] = useState([]);
+  const [drawing, setDrawing] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && initialViewId) setViewId(initialViewId);
+  }, [isOpen, initialViewId]);
+
+  const refresh = useCallback(() => {
+    const current = standaloneCADEngine.getSectionViews();
+    const selected = current.find(candidate => candidate.id === viewId) || current[0] || null;
+    setViews(current);
+    setDrawing(selected ? standaloneCADEngine.generateSectionView(selected.id) : null);
+  }, [viewId]);
+
+  // Redraw while the panel is open and the model changes
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    refresh();
+    MODEL_EVENTS.forEach(event => standaloneCADEngine.addEventListener(event, refresh));
+    return () => {
+      MODEL_EVENTS.forEach(event => standaloneCADEngine.removeEventListener(event, refresh));
+    };
+  }, [isOpen, refresh]);
+
+  const view = views.find(candidate => candidate.id === viewId) || views[0] || null;
+
+  const svg = useMemo(() => (drawing ? sectionDrawingToSVG(drawing) : ''), [drawing]);
+
+  const handleCreateElevations = useCallback(() => {
+    const elevations = standaloneCADEngine.createExteriorElevations();
+    console.log(`✂️ VIEWS: ${elevations.length} exterior elevations ready`);
+    if (!view) setViewId(elevations[0].id);
+  }, [view]);
+
+  const handleFlip = useCallback(() => {
+    if (view) standaloneCADEngine.updateSectionView(view.id, { flip: !view.flip });
+  }, [view]);
+
+  const handleDepthChange = useCallback((value) => {
+    if (view && Number(value) >= 0) standaloneCADEngine.updateSectionView(view.id, { depth: Number(value) });
+  }, [view]);
+
+  const handleDelete = useCallback(() => {
+    if (view && standaloneCADEngine.removeSectionView(view.id)) setViewId(null);
+  }, [view]);
+
+  const handleExportSVG = useCallback(() => {
+    if (!view || !svg) return;
+    console.log(`✂️ VIEWS: Exporting ${view.name} as SVG`);
+    downloadFile(svg, `${view.name.replace(/\s+/g, '-').toLowerCase()}.svg`, 'image/svg+xml');
+  }, [view, svg]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-[1100px] max-w-[95vw] h-[85vh] flex flex-col mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            <ScissorsIcon className="w-6 h-6 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Sections &amp; Elevations</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* View list */}
+          <div className="w-56 border-r flex flex-col">
+            <div className="flex-1 overflow-y-auto py-2">
+              {views.length === 0 && (
+                <p className="px-4 py-2 text-xs text-gray-500">
+                  Draw a section line in the plan with the Section tool, or add the exterior elevations.
+                </p>
+              )}
+              {views.map(candidate => (
+                <button
+                  key={candidate.id}
+                  onClick={() => setViewId(candidate.id)}
+                  className={`w-full text-left px-4 py-1.5 text-sm ${
+                    view && candidate.id === view.id ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {candidate.name}
+                </button>
+              ))}
+            </div>
+            <div className="p-3 border-t">
+              <button
+                onClick={handleCreateElevations}
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+              >
+                <BuildingOffice2Icon className="w-4 h-4" />
+                Exterior elevations
+              </button>
+            </div>
+          </div>
+
+          {/* Drawing */}
+          <div className="flex-1 flex flex-col min-w-0">
+            {view && (
+              <div className="flex items-center gap-4 px-4 py-3 text-sm text-gray-700 border-b">
+                <span className="font-medium text-gray-900">{view.name}</span>
+                {!view.side && (
+                  <>
+                    <label className="flex items-center gap-2">
+                      Depth (m)
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={view.depth}
+                        onChange={(e) => handleDepthChange(e.target.value)}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900"
+                      />
+                    </label>
+                    <button
+                      onClick={handleFlip}
+                      className="flex items-center gap-1 px-2 py-1 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                      title="Look to the other side of the line"
+                    >
+                      <ArrowsRightLeftIcon className="w-4 h-4" />
+                      Flip
+                    </button>
+                  </>
+                )}
+                <span className="ml-auto text-gray-500">
+                  {drawing ? `${drawing.cut.length} cut, ${new Set(drawing.projected.map(item => item.id)).size} beyond` : ''}
+                </span>
+                <button
+                  onClick={handleDelete}
+                  className="p-1 rounded-md text-red-600 hover:bg-red-50"
+                  title="Delete view"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+            <div className="flex-1 overflow-auto p-4 bg-gray-50">
+              {svg && (
+                <div
+                  className="inline-block bg-white shadow-sm"
+                  dangerouslySetInnerHTML={{ __html: svg }}
+                />
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t">
+          <button
+            onClick={handleExportSVG}
+            disabled={!svg}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export SVG
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SectionViewsPanel;
@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  DocumentDuplicateIcon,
+  XMarkIcon,
+  ArrowDownTrayIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import standaloneCADEngine from '../services/StandaloneCADEngine';
+import scheduleService from '../services/ScheduleService';
+import { DRAWING_SCALES, PAPER_SIZES, formatScale, sheetToSVG } from '../utils/sheetLayout';
+
+// Engine events that change what a sheet shows
+const MODEL_EVENTS = [
+  'object_created', 'object_updated', 'object_deleted', 'objects_changed',
+  'levels_changed', 'grids_changed', 'section_views_changed', 'sheets_changed'
+];
+
+const EMPTY_SOURCES = { plan: [], section: [], schedule: [] };
+
+const VIEW_KINDS = [
+  { id: 'plan', label: 'Plan' },
+  { id: 'section', label: 'Section / Elevation' },
+  { id: 'schedule', label: 'Schedule' }
+];
+
+const downloadFile = (data, fileName, type) => {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900 text-sm';
+
+/**
+ * Sheets - Plans, sections, elevations and schedules placed on titled drawing sheets at a
+ * scale, previewed live and exported as vector SVG or a multi-page PDF
+ */
+const SheetsPanel = ({ isOpen, onClose }) => {
+  const [sheetId, setSheetId] = useState(null);
+  const [newView, setNewView] = useState({ kind: 'plan', source: '', scale: 100 });
+  const [sheets, setSheets] = useState([]);
+  const [sources, setSources] = useState(EMPTY_SOURCES);
+  const [layout, setLayout] = useState(null);
+
+  const refresh = useCallback(() => {
+    const current = standaloneCADEngine.getSheets();
+    const selected = current.find(candidate => candidate.id === sheetId) || current[0] || null;
+    setSheets(current);
+    setSources({
+      plan: standaloneCADEngine.getLevels().map(level => ({ id: level.id, label: level.name })),
+      section: standaloneCADEngine.getSectionViews().map(view => ({ id: view.id, label: view.name })),
+      schedule: scheduleService.getScheduleTypes().map(type => ({ id: type.id, label: type.title }))
+    });
+    setLayout(selected ? standaloneCADEngine.getSheetLayout(selected.id) : null);
+  }, [sheetId]);
+
+  // Re-lay out while the panel is open and the model changes
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    refresh();
+    MODEL_EVENTS.forEach(event => standaloneCADEngine.addEventListener(event, refresh));
+    return () => {
+      MODEL_EVENTS.forEach(event => standaloneCADEngine.removeEventListener(event, refresh));
+    };
+  }, [isOpen, refresh]);
+
+  const sheet = sheets.find(candidate => candidate.id === sheetId) || sheets[0] || null;
+
+  const svg = useMemo(() => (layout ? sheetToSVG(layout) : ''), [layout]);
+  const overflowing = layout ? layout.views.filter(view => view.overflow).length : 0;
+
+  const handleAddSheet = useCallback(() => {
+    const created = standaloneCADEngine.addSheet({ title: 'New Sheet' });
+    setSheetId(created.id);
+  }, []);
+
+  const handleUpdate = useCallback((updates) => {
+    if (sheet) standaloneCADEngine.updateSheet(sheet.id, updates);
+  }, [sheet]);
+
+  const handleDeleteSheet = useCallback(() => {
+    if (sheet && standaloneCADEngine.removeSheet(sheet.id)) setSheetId(null);
+  }, [sheet]);
+
+  const handleAddView = useCallback(() => {
+    if (!sheet) return;
+    const source = newView.source || sources[newView.kind][0]?.id;
+    if (!source) return;
+    standaloneCADEngine.addSheetView(sheet.id, { kind: newView.kind, source, scale: newView.scale });
+  }, [sheet, newView, sources]);
+
+  const handleExportSVG = useCallback(() => {
+    if (!sheet || !svg) return;
+    console.log(`📄 SHEETS: Exporting ${sheet.number} as SVG`);
+    downloadFile(svg, `${sheet.number}-${sheet.title}`.replace(/\s+/g, '-').toLowerCase() + '.svg', 'image/svg+xml');
+  }, [sheet, svg]);
+
+  const handleExportPDF = useCallback(() => {
+    const pdf = standaloneCADEngine.exportSheetsPDF(undefined, { title: sheet?.project || 'Drawings' });
+    if (pdf) downloadFile(pdf, 'drawings.pdf', 'application/pdf');
+  }, [sheet]);
+
+  if (!isOpen) return null;
+
+  const sourceLabel = (view) => {
+    const match = (sources[view.kind] || []).find(source => source.id === view.source);
+    return match ? match.label : 'Missing';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-[1200px] max-w-[95vw] h-[90vh] flex flex-col mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            <DocumentDuplicateIcon className="w-6 h-6 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Sheets</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* Sheet list */}
+          <div className="w-48 border-r flex flex-col">
+            <div className="flex-1 overflow-y-auto py-2">
+              {sheets.map(candidate => (
+                <button
+                  key={candidate.id}
+                  onClick={() => setSheetId(candidate.id)}
+                  className={`w-full text-left px-4 py-1.5 text-sm ${
+                    sheet && candidate.id === sheet.id ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {candidate.number} {candidate.title}
+                </button>
+              ))}
+            </div>
+            <div className="p-3 border-t">
+              <button
+                onClick={handleAddSheet}
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+              >
+                <PlusIcon className="w-4 h-4" />
+                New sheet
+              </button>
+            </div>
+          </div>
+
+          {/* Sheet settings and views */}
+          {sheet && (
+            <div className="w-72 border-r overflow-y-auto p-4 space-y-3 text-sm text-gray-700">
+              <div className="grid grid-cols-3 gap-2">
+                <label className="col-span-1">
+                  Number
+                  <input className={inputClass} value={sheet.number} onChange={(e) => handleUpdate({ number: e.target.value })} />
+                </label>
+                <label className="col-span-2">
+                  Title
+                  <input className={inputClass} value={sheet.title} onChange={(e) => handleUpdate({ title: e.target.value })} />
+                </label>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <label>
+                  Size
+                  <select className={inputClass} value={sheet.size} onChange={(e) => handleUpdate({ size: e.target.value })}>
+                    {Object.keys(PAPER_SIZES).map(size => <option key={size} value={size}>{size}</option>)}
+                    <option value="custom">Custom</option>
+                  </select>
+                </label>
+                {sheet.size === 'custom' ? (
+                  <div className="flex gap-1 items-end">
+                    <input type="number" min="50" className={inputClass} value={sheet.width} title="Width (mm)" onChange={(e) => handleUpdate({ width: Number(e.target.value) })} />
+                    <input type="number" min="50" className={inputClass} value={sheet.height} title="Height (mm)" onChange={(e) => handleUpdate({ height: Number(e.target.value) })} />
+                  </div>
+                ) : (
+                  <label>
+                    Orientation
+                    <select className={inputClass} value={sheet.orientation} onChange={(e) => handleUpdate({ orientation: e.target.value })}>
+                      <option value="landscape">Landscape</option>
+                      <option value="portrait">Portrait</option>
+                    </select>
+                  </label>
+                )}
+              </div>
+              {[['project', 'Project'], ['drawnBy', 'Drawn by'], ['checkedBy', 'Checked by'], ['date', 'Date'], ['revision', 'Revision']].map(([key, label]) => (
+                <label key={key} className="block">
+                  {label}
+                  <input className={inputClass} value={sheet[key]} onChange={(e) => handleUpdate({ [key]: e.target.value })} />
+                </label>
+              ))}
+
+              <div className="pt-3 border-t">
+                <h3 className="font-medium text-gray-900 mb-2">Views</h3>
+                {sheet.views.length === 0 && <p className="text-xs text-gray-500 mb-2">No views placed yet.</p>}
+                {sheet.views.map(view => (
+                  <div key={view.id} className="flex items-center gap-2 py-1">
+                    <span className="flex-1 truncate" title={view.title || sourceLabel(view)}>{view.title || sourceLabel(view)}</span>
+                    {view.kind !== 'schedule' && (
+                      <select
+                        className="px-1 py-0.5 border border-gray-300 rounded-md bg-white text-gray-900 text-xs"
+                        value={view.scale}
+                        onChange={(e) => standaloneCADEngine.updateSheetView(sheet.id, view.id, { scale: Number(e.target.value) })}
+                      >
+                        {DRAWING_SCALES.map(scale => <option key={scale} value={scale}>{formatScale(scale)}</option>)}
+                      </select>
+                    )}
+                    <button
+                      onClick={() => standaloneCADEngine.removeSheetView(sheet.id, view.id)}
+                      className="p-1 rounded-md text-red-600 hover:bg-red-50"
+                      title="Remove view"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <div className="mt-2 space-y-2">
+                  <select
+                    className={inputClass}
+                    value={newView.kind}
+                    onChange={(e) => setNewView({ ...newView, kind: e.target.value, source: '' })}
+                  >
+                    {VIEW_KINDS.map(kind => <option key={kind.id} value={kind.id}>{kind.label}</option>)}
+                  </select>
+                  <div className="flex gap-2">
+                    <select
+                      className={inputClass}
+                      value={newView.source}
+                      onChange={(e) => setNewView({ ...newView, source: e.target.value })}
+                    >
+                      {sources[newView.kind].map(source => <option key={source.id} value={source.id}>{source.label}</option>)}
+                    </select>
+                    {newView.kind !== 'schedule' && (
+                      <select
+                        className="px-1 border border-gray-300 rounded-md bg-white text-gray-900 text-sm"
+                        value={newView.scale}
+                        onChange={(e) => setNewView({ ...newView, scale: Number(e.target.value) })}
+                      >
+                        {DRAWING_SCALES.map(scale => <option key={scale} value={scale}>{formatScale(scale)}</option>)}
+                      </select>
+                    )}
+                  </div>
+                  <button
+                    onClick={handleAddView}
+                    disabled={sources[newView.kind].length === 0}
+                    className="w-full flex items-center justify-center gap-2 px-3 py-1.5 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    <PlusIcon className="w-4 h-4" />
+                    Place view
+                  </button>
+                </div>
+              </div>
+
+              <button
+                onClick={handleDeleteSheet}
+                className="w-full flex items-center justify-center gap-2 px-3 py-1.5 text-red-600 rounded-md hover:bg-red-50"
+              >
+                <TrashIcon className="w-4 h-4" />
+                Delete sheet
+              </button>
+            </div>
+          )}
+
+          {/* Preview */}
+          <div className="flex-1 flex flex-col min-w-0">
+            {overflowing > 0 && (
+              <div className="px-4 py-2 text-xs text-amber-700 bg-amber-50 border-b">
+                {overflowing} view(s) run off the sheet; use a smaller scale or a larger sheet.
+              </div>
+            )}
+            <div className="flex-1 overflow-auto p-4 bg-gray-100">
+              {!sheet && (
+                <p className="text-sm text-gray-500">Add a sheet, then place plans, sections, elevations and schedules on it.</p>
+              )}
+              {svg && (
+                <div
+                  className="bg-white shadow-md [&>svg]:w-full [&>svg]:h-auto"
+                  dangerouslySetInnerHTML={{ __html: svg }}
+                />
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t">
+          <button
+            onClick={handleExportSVG}
+            disabled={!svg}
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export SVG
+          </button>
+          <button
+            onClick={handleExportPDF}
+            disabled={sheets.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export PDF (all sheets)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SheetsPanel;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  ChartPieIcon,
+  XMarkIcon,
+  ArrowDownTrayIcon,
+  ArrowsRightLeftIcon
+} from '@heroicons/react/24/outline';
+import standaloneCADEngine from '../services/StandaloneCADEngine';
+import sustainabilityReportService from '../services/SustainabilityReportService';
+
+// Engine events that change the report
+const MODEL_EVENTS = ['object_created', 'object_updated', 'object_deleted', 'objects_changed', 'levels_changed', 'rooms_updated'];
+
+const downloadFile = (data, fileName, type) => {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const SustainabilityPanel = ({ isOpen, onClose, projectName }) => {
+  const [northAngle, setNorthAngle] = useState(0);
+  const [alternative, setAlternative] = useState(null); // { input, name }
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const refresh = useCallback(() => {
+    const options = { name: projectName || 'Current design', northAngle };
+    if (!alternative) {
+      setResult({ report: standaloneCADEngine.generateSustainabilityReport(options), comparison: null });
+      return;
+    }
+    try {
+      const { current, comparison } = standaloneCADEngine.compareDesignOption(alternative.input, {
+        ...options,
+        alternativeName: alternative.name
+      });
+      setResult({ report: current, comparison });
+    } catch (compareError) {
+      console.error('🌱 SUSTAINABILITY: Could not compare design option:', compareError);
+      setResult({ report: standaloneCADEngine.generateSustainabilityReport(options), comparison: null, error: compareError.message });
+    }
+  }, [projectName, northAngle, alternative]);
+
+  // Regenerate while the panel is open and the model changes
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    refresh();
+    MODEL_EVENTS.forEach(event => standaloneCADEngine.addEventListener(event, refresh));
+    return () => {
+      MODEL_EVENTS.forEach(event => standaloneCADEngine.removeEventListener(event, refresh));
+    };
+  }, [isOpen, refresh]);
+
+  const html = useMemo(() => (
+    result ? sustainabilityReportService.toHTML(result.report, result.comparison) : ''
+  ), [result]);
+
+  const handleCompareFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setError(null);
+      setAlternative({ input: reader.result, name: file.name.replace(/\.[^.]+$/, '') });
+    };
+    reader.onerror = () => setError(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  const handleExportJSON = useCallback(() => {
+    if (!result) return;
+    console.log('🌱 SUSTAINABILITY: Exporting report as JSON');
+    downloadFile(sustainabilityReportService.toJSON(result.report, result.comparison), 'sustainability-report.json', 'application/json');
+  }, [result]);
+
+  const handleExportHTML = useCallback(() => {
+    console.log('🌱 SUSTAINABILITY: Exporting report as HTML');
+    downloadFile(html, 'sustainability-report.html', 'text/html;charset=utf-8');
+  }, [html]);
+
+  if (!isOpen || !result) return null;
+
+  const { summary } = result.report;
+  const compareError = error || result.error;
+  const stat = (label, value, unit, digits = 1) => (
+    <div className="px-3 py-2 bg-gray-50 rounded-md">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-base font-semibold text-gray-900 tabular-nums">
+        {typeof value === 'number' ? value.toFixed(digits) : '—'} <span className="text-xs font-normal text-gray-500">{unit}</span>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-[960px] max-w-[95vw] h-[85vh] flex flex-col mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            <ChartPieIcon className="w-6 h-6 text-green-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Thermal &amp; Embodied Carbon Report</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Options */}
+        <div className="flex items-center gap-4 px-4 py-3 text-sm text-gray-700 border-b">
+          <label className="flex items-center gap-2">
+            North angle
+            <input
+              type="number"
+              step="5"
+              value={northAngle}
+              onChange={(e) => setNorthAngle(Number(e.target.value) || 0)}
+              className="w-20 px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900"
+            />
+            °
+          </label>
+          <button
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            className="flex items-center gap-2 px-3 py-1 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+          >
+            <ArrowsRightLeftIcon className="w-4 h-4" />
+            {alternative ? `Comparing with ${alternative.name}` : 'Compare with saved option…'}
+          </button>
+          {alternative && (
+            <button onClick={() => setAlternative(null)} className="text-gray-500 hover:text-gray-700">
+              Clear comparison
+            </button>
+          )}
+          <input ref={fileInputRef} type="file" accept=".json,.studiosix" className="hidden" onChange={handleCompareFile} />
+          {compareError && <span className="text-red-600">{compareError}</span>}
+        </div>
+
+        {/* Headline figures */}
+        <div className="grid grid-cols-4 gap-2 px-4 py-3">
+          {stat('Envelope U-value', summary.envelopeUValue, 'W/m²K', 3)}
+          {stat('Window-to-wall ratio', summary.glazingRatio, '%')}
+          {stat('Embodied carbon', summary.embodiedCarbon / 1000, 't CO2e', 2)}
+          {stat('Carbon intensity', summary.carbonIntensity, 'kg CO2e/m²')}
+        </div>
+
+        {/* Full report */}
+        <iframe
+          title="Sustainability report"
+          srcDoc={html}
+          sandbox=""
+          className="flex-1 mx-4 border border-gray-200 rounded-md"
+        />
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t">
+          <button
+            onClick={handleExportJSON}
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export JSON
+          </button>
+          <button
+            onClick={handleExportHTML}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export HTML
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SustainabilityPanel;
@@ -7,7 +7,8 @@ import {
   AdjustmentsVerticalIcon,
   CheckIcon,
   XMarkIcon,
-  PlayIcon
+  PlayIcon,
+  Squares2X2Icon
 } from '@heroicons/react/24/outline';
 
 /**
@@ -43,6 +44,11 @@ const ColumnTool = ({
   const [isCreating, setIsCreating] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
 
+  // Structural grids for placing a column at every crossing
+  const [grids, setGrids] = useState(() => standaloneCADEngine.getGrids());
+  const [gridId, setGridId] = useState('');
+  const [gridPlacementResult, setGridPlacementResult] = useState(null);
+
   // Material options for columns
   const materialOptions = [
     { value: 'concrete', label: 'Concrete', color: '#6b7280', density: 2400 },
@@ -83,6 +89,19 @@ const ColumnTool = ({
     }
   }, [selectedObject]);
 
+  // Keep the grid list in step with the engine
+  useEffect(() => {
+    const handleGridsChanged = (data) => setGrids(data.grids || standaloneCADEngine.getGrids());
+    standaloneCADEngine.addEventListener('grids_changed', handleGridsChanged);
+    return () => standaloneCADEngine.removeEventListener('grids_changed', handleGridsChanged);
+  }, []);
+
+  useEffect(() => {
+    if (!grids.some(grid => grid.id === gridId)) {
+      setGridId(grids[0]?.id || '');
+    }
+  }, [grids, gridId]);
+
   // Handle parameter changes with validation
   const handleParameterChange = useCallback((param, value) => {
     setColumnParams(prev => {
@@ -212,6 +231,16 @@ const ColumnTool = ({
     }
   }, [isValid, columnParams, onObjectCreated]);
 
+  // Place a column at every crossing of the chosen grid (occupied crossings are skipped)
+  const handlePlaceAtGrid = useCallback(() => {
+    if (!isValid || !gridId) return;
+
+    const { position, ...placeParams } = columnParams;
+    const ids = standaloneCADEngine.placeColumnsAtGridIntersections(gridId, placeParams);
+    console.log(`🏢 Placed ${ids.length} columns on grid ${gridId}`);
+    setGridPlacementResult(ids.length);
+  }, [isValid, gridId, columnParams]);
+
   // Handle column update (for editing existing columns)
   const handleUpdate = useCallback(async () => {
     if (!isValid || !selectedObject) return;
@@ -427,6 +456,45 @@ const ColumnTool = ({
           </div>
         </div>
 
+        {/* Grid Placement Section */}
+        {!isEditing && grids.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium mb-2 flex items-center text-gray-700">
+              <Squares2X2Icon className="w-4 h-4 mr-2" />
+              Grid Placement
+            </h4>
+
+            <div className="flex space-x-2">
+              <select
+                value={gridId}
+                onChange={(e) => {
+                  setGridId(e.target.value);
+                  setGridPlacementResult(null);
+                }}
+                className="flex-1 px-2 py-1.5 text-xs rounded border border-gray-300 focus:outline-none focus:border-studiosix-500"
+              >
+                {grids.map(grid => (
+                  <option key={grid.id} value={grid.id}>{grid.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={handlePlaceAtGrid}
+                disabled={!isValid}
+                className="px-3 py-1.5 text-xs rounded border border-studiosix-500 text-studiosix-600 hover:bg-studiosix-50 disabled:opacity-50"
+              >
+                Place at all intersections
+              </button>
+            </div>
+            {gridPlacementResult !== null && (
+              <p className="mt-1 text-xs text-gray-500">
+                {gridPlacementResult === 0
+                  ? 'Every intersection already has a column'
+                  : `Placed ${gridPlacementResult} column${gridPlacementResult === 1 ? '' : 's'}`}
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Material Section - Compact */}
         <div>
           <h4 className="text-sm font-medium mb-2 flex items-center text-gray-700">
@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import standaloneCADEngine from '../../services/StandaloneCADEngine';
+import { createGrid, gridIntersections, DEFAULT_GRID } from '../../utils/structuralGrid';
+import {
+  CheckIcon,
+  XMarkIcon,
+  PlayIcon,
+  TrashIcon,
+  Squares2X2Icon
+} from '@heroicons/react/24/outline';
+
+const NEW_GRID = '';
+
+// Form fields hold text so spacings can be typed as "6, 6, 7.5"
+const toForm = (grid) => ({
+  name: grid.name,
+  originX: grid.origin.x,
+  originZ: grid.origin.z,
+  rotation: grid.rotation,
+  xSpacings: grid.xSpacings.join(', '),
+  zSpacings: grid.zSpacings.join(', '),
+  xLabels: grid.xLabels,
+  zLabels: grid.zLabels
+});
+
+const fromForm = (form) => createGrid({
+  name: form.name,
+  origin: { x: form.originX, z: form.originZ },
+  rotation: form.rotation,
+  xSpacings: form.xSpacings,
+  zSpacings: form.zSpacings,
+  xLabels: form.xLabels,
+  zLabels: form.zLabels
+});
+
+const labelOptions = [
+  { value: 'numbers', label: '1, 2, 3' },
+  { value: 'letters', label: 'A, B, C' }
+];
+
+/**
+ * Grid Tool Component - Creates and edits structural grids
+ * Editing the spacings of a grid moves the columns, walls and framing placed on it
+ */
+const GridTool = ({
+  isActive = false,
+  onCancel,
+  theme = 'dark'
+}) => {
+  const [grids, setGrids] = useState(() => standaloneCADEngine.getGrids());
+  const [gridId, setGridId] = useState(NEW_GRID);
+  const [form, setForm] = useState(() => toForm(createGrid(DEFAULT_GRID)));
+  const [lastResult, setLastResult] = useState(null);
+
+  useEffect(() => {
+    const handleGridsChanged = (data) => {
+      setGrids(data.grids || standaloneCADEngine.getGrids());
+      if (data.updated) {
+        const moved = data.moved.length;
+        setLastResult(moved > 0 ? `Grid updated, ${moved} hosted element${moved === 1 ? '' : 's'} moved` : 'Grid updated');
+      }
+    };
+    standaloneCADEngine.addEventListener('grids_changed', handleGridsChanged);
+    return () => standaloneCADEngine.removeEventListener('grids_changed', handleGridsChanged);
+  }, []);
+
+  // Load the chosen grid into the form, or a fresh one after the next name in sequence
+  const selectGrid = useCallback((id) => {
+    const grid = grids.find(candidate => candidate.id === id);
+    setGridId(grid ? grid.id : NEW_GRID);
+    setForm(toForm(grid || createGrid({ name: `Grid ${grids.length + 1}` })));
+    setLastResult(null);
+  }, [grids]);
+
+  const handleChange = useCallback((field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const preview = useMemo(() => {
+    const grid = fromForm(form);
+    return {
+      xAxes: grid.xSpacings.length + 1,
+      zAxes: grid.zSpacings.length + 1,
+      intersections: gridIntersections(grid).length
+    };
+  }, [form]);
+
+  const handleCreate = useCallback(() => {
+    const grid = standaloneCADEngine.addGrid(fromForm(form));
+    console.log('📐 Grid created:', grid.id);
+    setGridId(grid.id);
+    setLastResult('Grid created');
+  }, [form]);
+
+  const handleUpdate = useCallback(() => {
+    standaloneCADEngine.updateGrid(gridId, fromForm(form));
+  }, [gridId, form]);
+
+  const handleDelete = useCallback(() => {
+    if (standaloneCADEngine.removeGrid(gridId)) {
+      setGridId(NEW_GRID);
+      setForm(toForm(createGrid({ name: `Grid ${grids.length}` })));
+      setLastResult('Grid deleted');
+    }
+  }, [gridId, grids.length]);
+
+  if (!isActive) return null;
+
+  const isEditing = gridId !== NEW_GRID;
+  const inputClassName = 'w-full px-2 py-1.5 text-xs rounded border border-gray-300 focus:outline-none focus:border-studiosix-500';
+
+  return (
+    <div className="grid-tool-panel w-full h-full bg-white border border-gray-200 rounded-lg shadow-lg">
+
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between bg-white rounded-t-lg">
+        <div className="flex items-center space-x-3">
+          <div className="p-2 rounded-lg bg-studiosix-500">
+            <Squares2X2Icon className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-gray-900">
+              {isEditing ? 'Edit Grid' : 'Create Grid'}
+            </h3>
+            <p className="text-xs text-gray-600">
+              Named axes for setting out columns, walls and beams
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={onCancel}
+          className="p-1 rounded-md transition-colors hover:bg-gray-100 text-gray-500 hover:text-gray-700"
+          title="Close grid tool"
+        >
+          <XMarkIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Parameters */}
+      <div className="p-3 space-y-4 bg-white max-h-[70vh] overflow-y-auto">
+
+        {/* Grid selection */}
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Grid</label>
+            <select value={gridId} onChange={(e) => selectGrid(e.target.value)} className={inputClassName}>
+              <option value={NEW_GRID}>New grid</option>
+              {grids.map(grid => (
+                <option key={grid.id} value={grid.id}>{grid.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        {/* Placement */}
+        <div>
+          <h4 className="text-sm font-medium mb-2 text-gray-700">Placement</h4>
+          <div className="grid grid-cols-3 gap-2">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Origin X (m)</label>
+              <input
+                type="number"
+                value={form.originX}
+                onChange={(e) => handleChange('originX', e.target.value)}
+                step="0.1"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Origin Z (m)</label>
+              <input
+                type="number"
+                value={form.originZ}
+                onChange={(e) => handleChange('originZ', e.target.value)}
+                step="0.1"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Rotation (°)</label>
+              <input
+                type="number"
+                value={form.rotation}
+                onChange={(e) => handleChange('rotation', e.target.value)}
+                step="1"
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Axes */}
+        <div>
+          <h4 className="text-sm font-medium mb-2 text-gray-700">Axes</h4>
+          {[
+            { spacing: 'xSpacings', labels: 'xLabels', title: 'Across X' },
+            { spacing: 'zSpacings', labels: 'zLabels', title: 'Across Z' }
+          ].map(row => (
+            <div key={row.spacing} className="grid grid-cols-3 gap-2 mb-2">
+              <div className="col-span-2">
+                <label className="block text-xs font-medium text-gray-700 mb-1">{row.title}: spacings (m)</label>
+                <input
+                  type="text"
+                  value={form[row.spacing]}
+                  onChange={(e) => handleChange(row.spacing, e.target.value)}
+                  placeholder="6, 6, 7.5"
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Labels</label>
+                <select
+                  value={form[row.labels]}
+                  onChange={(e) => handleChange(row.labels, e.target.value)}
+                  className={inputClassName}
+                >
+                  {labelOptions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            {preview.xAxes} × {preview.zAxes} axes, {preview.intersections} intersections
+          </p>
+          {lastResult && <p className="mt-1 text-xs text-studiosix-600">{lastResult}</p>}
+        </div>
+      </div>
+
+      {/* Actions */}
+      <div className="p-3 border-t border-gray-200 flex space-x-2 bg-white rounded-b-lg">
+        <button
+          onClick={isEditing ? handleUpdate : handleCreate}
+          className="flex-1 flex items-center justify-center space-x-2 py-2 px-3 rounded transition-all text-sm font-medium bg-studiosix-500 hover:bg-studiosix-600 text-white"
+        >
+          {isEditing ? (
+            <>
+              <CheckIcon className="w-4 h-4" />
+              <span>Update</span>
+            </>
+          ) : (
+            <>
+              <PlayIcon className="w-4 h-4" />
+              <span>Create</span>
+            </>
+          )}
+        </button>
+
+        {isEditing && (
+          <button
+            onClick={handleDelete}
+            className="px-3 py-2 rounded transition-colors bg-gray-100 hover:bg-red-50 text-red-600"
+            title="Delete grid"
+          >
+            <TrashIcon className="w-4 h-4" />
+          </button>
+        )}
+
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded transition-colors bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GridTool;
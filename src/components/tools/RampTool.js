@@ -1,17 +1,11 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import standaloneCADEngine from '../../services/StandaloneCADEngine';
+import { generateRamp, validateRamp } from '../../utils/rampGeometry';
 import {
-  SwatchIcon,
-  RectangleStackIcon,
-  AdjustmentsVerticalIcon,
   CheckIcon,
   XMarkIcon,
   PlayIcon,
-  SparklesIcon,
-  ArrowPathIcon,
-  PencilIcon,
-  ArrowUpIcon,
-  ArrowDownIcon
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
 
 // Ramp Icon component
@@ -22,9 +16,34 @@ const RampIcon = ({ className }) => (
   </svg>
 );
 
+const DEFAULT_RAMP_PARAMS = {
+  rampType: 'straight',
+  width: 1.2,
+  totalRise: 1.0,
+  grade: 8.33,
+  landingInterval: 9,
+  landingLength: 1.5,
+  turn: 'right',
+  thickness: 0.2,
+  material: 'concrete',
+  slopeDirection: 'north',
+  hasHandrail: true,
+  hasCurbs: true
+};
+
+// Accessibility rules shown in the tool; the gradient is edited as 1:N
+const RULE_FIELDS = [
+  { key: 'maxGradient', label: 'Max Gradient 1:', toInput: value => Math.round(1 / value * 10) / 10, fromInput: value => 1 / value },
+  { key: 'maxRunLength', label: 'Landing Every (m)', toInput: value => value, fromInput: value => value },
+  { key: 'maxRunRise', label: 'Max Run Rise (mm)', toInput: value => Math.round(value * 1000), fromInput: value => value / 1000 },
+  { key: 'minLandingLength', label: 'Min Landing (mm)', toInput: value => Math.round(value * 1000), fromInput: value => value / 1000 },
+  { key: 'minWidth', label: 'Min Width (mm)', toInput: value => Math.round(value * 1000), fromInput: value => value / 1000 }
+];
+
 /**
  * Ramp Tool Component - Provides interface for ramp creation and editing
- * A ramp is essentially a slab with one side elevated to create a slope
+ * A ramp climbs its rise at the chosen gradient, straight or switching back at landings,
+ * and is checked live against the accessibility rules
  */
 const RampTool = ({
   isActive = false,
@@ -37,130 +56,48 @@ const RampTool = ({
   viewportDimensions = { width: 800, height: 600 } // For polygon drawing
 }) => {
   // Ramp parameters state
-  const [rampParams, setRampParams] = useState({
-    width: 5.0,
-    depth: 5.0,
-    thickness: 0.2,
-    height: 1.0, // Height difference between low and high ends
-    shape: 'rectangular', // 'rectangular', 'circular', 'polygon'
-    material: 'concrete',
-    offset: 0.0,
-    slopeDirection: 'north', // 'north', 'south', 'east', 'west'
-    grade: 8.33, // Percentage grade (calculated from height and depth)
-    polygonPoints: [] // For polygon shapes
-  });
-  
-  // Polygon drawing state
-  const [isDrawingPolygon, setIsDrawingPolygon] = useState(false);
-  const [polygonPoints, setPolygonPoints] = useState([]);
-  const [previewPoint, setPreviewPoint] = useState(null);
+  const [rampParams, setRampParams] = useState(DEFAULT_RAMP_PARAMS);
+  const [codeRules, setCodeRules] = useState(() => standaloneCADEngine.getRampCodeRules());
+  const [showRules, setShowRules] = useState(false);
 
   // Validation and interaction state
   const [isValid, setIsValid] = useState(true);
   const [isCreating, setIsCreating] = useState(false);
-  const [validationErrors, setValidationErrors] = useState({});
-  const [previewMode, setPreviewMode] = useState(false);
 
   // Edit mode detection
   const isEditing = selectedObject && selectedObject.type === 'ramp';
 
-  // AUTO-CALCULATE GRADE: Update grade when height or depth changes
-  useEffect(() => {
-    if (rampParams.height > 0 && rampParams.depth > 0) {
-      const newGrade = (rampParams.height / rampParams.depth) * 100;
-      if (Math.abs(newGrade - rampParams.grade) > 0.01) { // Only update if significantly different
-        setRampParams(prev => ({
-          ...prev,
-          grade: parseFloat(newGrade.toFixed(2))
-        }));
-      }
-    }
-  }, [rampParams.height, rampParams.depth]);
-
   // Initialize parameters from selected object
   useEffect(() => {
     if (isEditing && selectedObject) {
       const params = selectedObject.params || selectedObject;
       setRampParams({
-        width: params.width || 5.0,
-        depth: params.depth || 5.0,
-        thickness: params.thickness || 0.2,
-        height: params.height || 1.0,
-        shape: params.shape || 'rectangular',
-        material: params.material || 'concrete',
-        offset: params.offset || 0.0,
-        slopeDirection: params.slopeDirection || 'north',
-        grade: params.grade || 8.33,
-        polygonPoints: params.polygonPoints || []
+        ...DEFAULT_RAMP_PARAMS,
+        ...Object.fromEntries(Object.keys(DEFAULT_RAMP_PARAMS)
+          .filter(key => params[key] !== undefined && params[key] !== null)
+          .map(key => [key, params[key]])),
+        totalRise: params.totalRise || params.height || DEFAULT_RAMP_PARAMS.totalRise
       });
     }
   }, [selectedObject, isEditing]);
 
-  // Calculate grade percentage when height or depth changes
-  useEffect(() => {
-    if (rampParams.depth > 0) {
-      const calculatedGrade = (rampParams.height / rampParams.depth) * 100;
-      if (Math.abs(calculatedGrade - rampParams.grade) > 0.01) {
-        setRampParams(prev => ({ ...prev, grade: calculatedGrade }));
-      }
-    }
-  }, [rampParams.height, rampParams.depth]);
-
-  // Update height when grade changes
-  const handleGradeChange = useCallback((newGrade) => {
-    const newHeight = (newGrade / 100) * rampParams.depth;
-    setRampParams(prev => ({ 
-      ...prev, 
-      grade: newGrade,
-      height: newHeight
-    }));
-  }, [rampParams.depth]);
-
   // Parameter change handler
   const handleParameterChange = useCallback((paramName, value) => {
-    setRampParams(prevParams => {
-      const newParams = { ...prevParams, [paramName]: value };
-      
-      // Special handling for grade changes
-      if (paramName === 'grade') {
-        newParams.height = (value / 100) * prevParams.depth;
-      }
-      
-      return newParams;
-    });
+    setRampParams(prevParams => ({ ...prevParams, [paramName]: value }));
   }, []);
 
+  const handleRuleChange = useCallback((field, value) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number <= 0) return;
+    setCodeRules(standaloneCADEngine.setRampCodeRules({ ...codeRules, [field.key]: field.fromInput(number) }));
+  }, [codeRules]);
+
   // Validation
   const validateParameters = useCallback(() => {
-    const errors = {};
-    
-    // Width validation
-    if (rampParams.width <= 0 || rampParams.width > 50) {
-      errors.width = 'Width must be between 0.1m and 50m';
-    }
-    
-    // Depth validation
-    if (rampParams.depth <= 0 || rampParams.depth > 50) {
-      errors.depth = 'Depth must be between 0.1m and 50m';
-    }
-    
-    // Thickness validation
-    if (rampParams.thickness <= 0 || rampParams.thickness > 2) {
-      errors.thickness = 'Thickness must be between 0.01m and 2m';
-    }
-    
-    // Height validation
-    if (rampParams.height <= 0 || rampParams.height > 10) {
-      errors.height = 'Height must be between 0.01m and 10m';
-    }
-    
-    // Grade validation (ADA compliance suggests max 8.33% for ramps)
-    if (rampParams.grade > 20) {
-      errors.grade = 'Grade over 20% may be too steep for accessibility';
-    }
-    
-    setValidationErrors(errors);
-    const isCurrentlyValid = Object.keys(errors).length === 0;
+    const isCurrentlyValid = rampParams.width > 0 && rampParams.width <= 50 &&
+      rampParams.totalRise > 0 && rampParams.totalRise <= 10 &&
+      rampParams.grade > 0 && rampParams.grade <= 25 &&
+      rampParams.thickness > 0 && rampParams.thickness <= 2;
     setIsValid(isCurrentlyValid);
     return isCurrentlyValid;
   }, [rampParams]);
@@ -174,6 +111,13 @@ const RampTool = ({
     return () => clearTimeout(timeoutId);
   }, [validateParameters]);
 
+  // Live accessibility check of the ramp as it would be built
+  const preview = useMemo(() => {
+    if (!isActive || !isValid) return null;
+    const ramp = generateRamp(rampParams);
+    return { ramp, validation: validateRamp(ramp, codeRules) };
+  }, [isActive, isValid, rampParams, codeRules]);
+
   // Handle ramp creation
   const handleCreate = useCallback(async () => {
     // Double-check validation before creating
@@ -184,30 +128,10 @@ const RampTool = ({
     
     try {
       // Prepare ramp creation parameters for standalone CAD engine
-      const createParams = {
-        width: rampParams.width,
-        depth: rampParams.depth,
-        thickness: rampParams.thickness,
-        height: rampParams.height,
-        shape: rampParams.shape,
-        material: rampParams.material,
-        offset: rampParams.offset,
-        slopeDirection: rampParams.slopeDirection,
-        grade: rampParams.grade,
-        polygonPoints: rampParams.polygonPoints,
-        // Mark as ramp type for 3D rendering
-        isRamp: true
-      };
-      
-      let objectId;
+      const createParams = { ...rampParams, isRamp: true };
       
-      // Create ramp with history support
       console.log('🛤️ Creating ramp');
-      const command = await standaloneCADEngine.createSlabWithHistory({
-        ...createParams,
-        type: 'ramp' // Override type to ramp
-      });
-      objectId = command.entityId;
+      const objectId = standaloneCADEngine.createObject('ramp', createParams);
       
       if (objectId) {
         console.log('🛤️ Ramp created successfully:', objectId);
@@ -220,18 +144,7 @@ const RampTool = ({
         });
         
         // Reset to default values after successful creation
-        setRampParams({
-          width: 5.0,
-          depth: 5.0,
-          thickness: 0.2,
-          height: 1.0,
-          shape: 'rectangular',
-          material: 'concrete',
-          offset: 0.0,
-          slopeDirection: 'north',
-          grade: 8.33,
-          polygonPoints: []
-        });
+        setRampParams(DEFAULT_RAMP_PARAMS);
       }
       
     } catch (error) {
@@ -251,19 +164,7 @@ const RampTool = ({
     setIsCreating(true);
     
     try {
-      const updateParams = {
-        width: rampParams.width,
-        depth: rampParams.depth,
-        thickness: rampParams.thickness,
-        height: rampParams.height,
-        shape: rampParams.shape,
-        material: rampParams.material,
-        offset: rampParams.offset,
-        slopeDirection: rampParams.slopeDirection,
-        grade: rampParams.grade,
-        polygonPoints: rampParams.polygonPoints,
-        isRamp: true
-      };
+      const updateParams = { ...rampParams, isRamp: true };
       
       console.log('🛤️ Updating ramp:', selectedObject.id);
       const success = standaloneCADEngine.updateObject(selectedObject.id, updateParams);
@@ -315,20 +216,18 @@ const RampTool = ({
     { value: 'west', label: 'West ←', description: 'Slopes up towards west' }
   ];
 
-  // Shape options
-  const shapeOptions = [
-    { value: 'rectangular', label: 'Rectangular', icon: '▭' },
-    { value: 'circular', label: 'Circular', icon: '○' },
-    { value: 'polygon', label: 'Custom Polygon', icon: '⬟' }
+  // Ramp type options
+  const typeOptions = [
+    { value: 'straight', label: 'Straight', icon: '▭' },
+    { value: 'switchback', label: 'Switchback', icon: '⮌' }
   ];
 
-  const selectedMaterial = materialOptions.find(m => m.value === rampParams.material);
-  const selectedDirection = slopeDirections.find(d => d.value === rampParams.slopeDirection);
-  const selectedShape = shapeOptions.find(s => s.value === rampParams.shape);
-
-  // Accessibility compliance check
-  const isADACompliant = rampParams.grade <= 8.33;
-  const maxRecommendedRise = rampParams.depth * 0.0833; // 8.33% max grade
+  const inputClassName = `w-full px-2 py-1.5 text-sm rounded border transition-colors ${
+    theme === 'dark'
+      ? 'bg-slate-800/50 border-gray-600 text-white focus:border-indigo-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-indigo-500'
+  } focus:outline-none focus:ring-1 focus:ring-indigo-500`;
+  const labelClassName = `block text-xs mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`;
 
   return (
     <div className="ramp-tool-panel w-full h-full">
@@ -373,16 +272,36 @@ const RampTool = ({
       {/* Parameters */}
       <div className="p-3 space-y-3">
         
+        {/* Ramp Type */}
+        <div>
+          <label className={labelClassName}>Type</label>
+          <div className="flex gap-1">
+            {typeOptions.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => handleParameterChange('rampType', option.value)}
+                className={`flex-1 p-1.5 text-xs rounded transition-colors flex items-center justify-center space-x-1 ${
+                  rampParams.rampType === option.value
+                    ? theme === 'dark'
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-indigo-500 text-white'
+                    : theme === 'dark'
+                      ? 'bg-slate-800/50 text-gray-300 hover:bg-slate-700/50'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                <span className="text-sm">{option.icon}</span>
+                <span>{option.label}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
         {/* Essential Dimensions - Compact Grid */}
         <div>
           <div className="grid grid-cols-2 gap-2 mb-2">
-            {/* Width & Length */}
             <div>
-              <label className={`block text-xs mb-1 ${
-                theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-              }`}>
-                Width (m)
-              </label>
+              <label className={labelClassName}>Width (m)</label>
               <input
                 type="number"
                 min="0.1"
@@ -390,78 +309,67 @@ const RampTool = ({
                 step="0.1"
                 value={rampParams.width}
                 onChange={(e) => handleParameterChange('width', parseFloat(e.target.value) || 0)}
-                className={`w-full px-2 py-1.5 text-sm rounded border transition-colors ${
-                  theme === 'dark'
-                    ? 'bg-slate-800/50 border-gray-600 text-white focus:border-indigo-500'
-                    : 'bg-white border-gray-300 text-gray-900 focus:border-indigo-500'
-                } focus:outline-none focus:ring-1 focus:ring-indigo-500`}
+                className={inputClassName}
               />
             </div>
             
             <div>
-              <label className={`block text-xs mb-1 ${
-                theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-              }`}>
-                Length (m)
-              </label>
+              <label className={labelClassName}>Rise (m)</label>
               <input
                 type="number"
-                min="0.1"
-                max="50"
-                step="0.1"
-                value={rampParams.depth}
-                onChange={(e) => handleParameterChange('depth', parseFloat(e.target.value) || 0)}
-                className={`w-full px-2 py-1.5 text-sm rounded border transition-colors ${
-                  theme === 'dark'
-                    ? 'bg-slate-800/50 border-gray-600 text-white focus:border-indigo-500'
-                    : 'bg-white border-gray-300 text-gray-900 focus:border-indigo-500'
-                } focus:outline-none focus:ring-1 focus:ring-indigo-500`}
+                min="0.01"
+                max="10"
+                step="0.01"
+                value={rampParams.totalRise}
+                onChange={(e) => handleParameterChange('totalRise', parseFloat(e.target.value) || 0)}
+                className={inputClassName}
               />
             </div>
           </div>
           
-          {/* Rise & Grade - Same Row */}
-          <div className="grid grid-cols-2 gap-2">
+          {/* Gradient */}
+          <div>
+            <label className={labelClassName}>
+              Gradient: 1:{preview ? preview.validation.measurements.ratio.slice(2) : '-'} ({rampParams.grade.toFixed(1)}%)
+              {preview && (preview.validation.issues.some(issue => issue.rule === 'maxGradient') ? (
+                <span className="text-amber-400 ml-1 text-xs">⚠</span>
+              ) : (
+                <span className="text-green-400 ml-1 text-xs">✓</span>
+              ))}
+            </label>
+            <input
+              type="range"
+              min="1"
+              max="15"
+              step="0.01"
+              value={rampParams.grade}
+              onChange={(e) => handleParameterChange('grade', parseFloat(e.target.value))}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+            />
+          </div>
+
+          {/* Landings */}
+          <div className="grid grid-cols-2 gap-2 mt-2">
             <div>
-              <label className={`block text-xs mb-1 ${
-                theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-              }`}>
-                Rise (m)
-              </label>
+              <label className={labelClassName}>Landing Every (m)</label>
               <input
                 type="number"
-                min="0.01"
-                max="10"
-                step="0.01"
-                value={rampParams.height}
-                onChange={(e) => handleParameterChange('height', parseFloat(e.target.value) || 0)}
-                className={`w-full px-2 py-1.5 text-sm rounded border transition-colors ${
-                  theme === 'dark'
-                    ? 'bg-slate-800/50 border-gray-600 text-white focus:border-indigo-500'
-                    : 'bg-white border-gray-300 text-gray-900 focus:border-indigo-500'
-                } focus:outline-none focus:ring-1 focus:ring-indigo-500`}
+                min="1"
+                step="0.5"
+                value={rampParams.landingInterval}
+                onChange={(e) => handleParameterChange('landingInterval', parseFloat(e.target.value) || 0)}
+                className={inputClassName}
               />
             </div>
-            
             <div>
-              <label className={`block text-xs mb-1 ${
-                theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-              }`}>
-                Grade: {rampParams.grade.toFixed(1)}%
-                {isADACompliant ? (
-                  <span className="text-green-400 ml-1 text-xs">✓</span>
-                ) : (
-                  <span className="text-amber-400 ml-1 text-xs">⚠</span>
-                )}
-              </label>
+              <label className={labelClassName}>Landing Length (m)</label>
               <input
-                type="range"
-                min="1"
-                max="25"
+                type="number"
+                min="0.5"
                 step="0.1"
-                value={rampParams.grade}
-                onChange={(e) => handleGradeChange(parseFloat(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+                value={rampParams.landingLength}
+                onChange={(e) => handleParameterChange('landingLength', parseFloat(e.target.value) || 0)}
+                className={inputClassName}
               />
             </div>
           </div>
@@ -469,11 +377,7 @@ const RampTool = ({
 
         {/* Slope Direction - Compact */}
         <div>
-          <label className={`block text-xs mb-1 ${
-            theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-          }`}>
-            Slope Direction
-          </label>
+          <label className={labelClassName}>Slope Direction</label>
           <div className="grid grid-cols-4 gap-1">
             {slopeDirections.map((direction) => (
               <button
@@ -496,53 +400,28 @@ const RampTool = ({
           </div>
         </div>
 
-        {/* Shape & Material - Inline */}
+        {/* Turn & Material - Inline */}
         <div className="grid grid-cols-2 gap-3">
-          {/* Shape Selection - Compact */}
           <div>
-            <label className={`block text-xs mb-1 ${
-              theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-            }`}>
-              Shape
-            </label>
-            <div className="flex gap-1">
-              {shapeOptions.map((shape) => (
-                <button
-                  key={shape.value}
-                  onClick={() => handleParameterChange('shape', shape.value)}
-                  className={`flex-1 p-1.5 text-xs rounded transition-colors flex flex-col items-center ${
-                    rampParams.shape === shape.value
-                      ? theme === 'dark'
-                        ? 'bg-indigo-600 text-white'
-                        : 'bg-indigo-500 text-white'
-                      : theme === 'dark'
-                        ? 'bg-slate-800/50 text-gray-300 hover:bg-slate-700/50'
-                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                  title={shape.label}
-                >
-                  <div className="text-sm mb-0.5">{shape.icon}</div>
-                  <span className="text-xs">{shape.label.split(' ')[0]}</span>
-                </button>
-              ))}
-            </div>
+            <label className={labelClassName}>Turn</label>
+            <select
+              value={rampParams.turn}
+              disabled={rampParams.rampType !== 'switchback'}
+              onChange={(e) => handleParameterChange('turn', e.target.value)}
+              className={inputClassName}
+            >
+              <option value="right">Right</option>
+              <option value="left">Left</option>
+            </select>
           </div>
 
           {/* Material Selection - Dropdown */}
           <div>
-            <label className={`block text-xs mb-1 ${
-              theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
-            }`}>
-              Material
-            </label>
+            <label className={labelClassName}>Material</label>
             <select
               value={rampParams.material}
               onChange={(e) => handleParameterChange('material', e.target.value)}
-              className={`w-full px-2 py-1.5 text-sm rounded border transition-colors ${
-                theme === 'dark'
-                  ? 'bg-slate-800/50 border-gray-600 text-white focus:border-indigo-500'
-                  : 'bg-white border-gray-300 text-gray-900 focus:border-indigo-500'
-              } focus:outline-none focus:ring-1 focus:ring-indigo-500`}
+              className={inputClassName}
             >
               {materialOptions.map((material) => (
                 <option key={material.value} value={material.value}>
@@ -553,20 +432,83 @@ const RampTool = ({
           </div>
         </div>
 
-        {/* ADA Compliance - Compact Info */}
-        {!isADACompliant && (
+        {/* Edges */}
+        <div className={`flex items-center space-x-4 text-xs ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+          <label className="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={rampParams.hasHandrail !== false}
+              onChange={(e) => handleParameterChange('hasHandrail', e.target.checked)}
+            />
+            <span>Handrails</span>
+          </label>
+          <label className="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={rampParams.hasCurbs !== false}
+              onChange={(e) => handleParameterChange('hasCurbs', e.target.checked)}
+            />
+            <span>Curbs</span>
+          </label>
+        </div>
+
+        {/* Accessibility Check - Compact Info */}
+        {preview && (
           <div className={`p-2 rounded text-xs ${
-            theme === 'dark'
-              ? 'bg-amber-900/20 border border-amber-700/50 text-amber-400'
-              : 'bg-amber-50 border border-amber-300 text-amber-700'
+            preview.validation.ok
+              ? theme === 'dark'
+                ? 'bg-slate-800/50 text-gray-300'
+                : 'bg-gray-100 text-gray-700'
+              : theme === 'dark'
+                ? 'bg-amber-900/20 border border-amber-700/50 text-amber-400'
+                : 'bg-amber-50 border border-amber-300 text-amber-700'
           }`}>
-            <div className="flex items-center">
-              <span className="mr-1">⚠️</span>
-              <span className="font-medium">Grade exceeds ADA maximum (8.33%)</span>
+            <div className="grid grid-cols-2 gap-1 mb-1">
+              <span>{preview.ramp.runs.length} run{preview.ramp.runs.length === 1 ? '' : 's'} × {preview.ramp.runs[0].length.toFixed(2)}m</span>
+              <span>{preview.ramp.landings.length} landing{preview.ramp.landings.length === 1 ? '' : 's'}</span>
+              <span>Ramp {preview.ramp.rampLength.toFixed(2)}m</span>
+              <span>Overall {preview.ramp.travelLength.toFixed(2)}m</span>
             </div>
+            {preview.validation.issues.length === 0 ? (
+              <div className="flex items-center text-green-400">
+                <CheckIcon className="w-3 h-3 mr-1" />
+                <span className="font-medium">Meets the accessibility rules</span>
+              </div>
+            ) : preview.validation.issues.map(issue => (
+              <div key={issue.rule} className="flex items-start">
+                <span className="mr-1">{issue.severity === 'error' ? '⚠️' : 'ℹ️'}</span>
+                <span>{issue.message}</span>
+              </div>
+            ))}
           </div>
         )}
 
+        {/* Accessibility Rules */}
+        <div>
+          <button
+            onClick={() => setShowRules(!showRules)}
+            className={`text-xs hover:underline ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}
+          >
+            {showRules ? 'Hide accessibility rules' : 'Accessibility rules…'}
+          </button>
+          {showRules && (
+            <div className="grid grid-cols-2 gap-2 mt-2">
+              {RULE_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className={labelClassName}>{field.label}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    defaultValue={field.toInput(codeRules[field.key])}
+                    onBlur={(e) => handleRuleChange(field, e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
       </div>
 
       {/* Actions */}
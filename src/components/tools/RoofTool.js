@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { RoofIcon } from '../icons';
 import localModelsService from '../../services/LocalModelsService';
+import standaloneCADEngine from '../../services/StandaloneCADEngine';
 import {
   CheckIcon,
   XMarkIcon,
@@ -11,9 +12,29 @@ import {
   BuildingOfficeIcon
 } from '@heroicons/react/24/outline';
 
+const ROOF_TYPE_OPTIONS = [
+  { value: 'gable', label: 'Gable' },
+  { value: 'hip', label: 'Hip' },
+  { value: 'shed', label: 'Shed' },
+  { value: 'mansard', label: 'Mansard' },
+  { value: 'flat', label: 'Flat' }
+];
+
+const DEFAULT_ROOF_PARAMS = {
+  roofType: 'gable',
+  pitch: 30,
+  overhang: 0.5,
+  fasciaDepth: 0.2,
+  mansardPitch: 70,
+  mansardHeight: 1.5,
+  assemblyType: '',
+  width: 10,
+  length: 8
+};
+
 /**
- * Roof Tool Component - Provides interface for roof model selection and placement
- * Allows users to select from available roof models before placement
+ * Roof Tool Component - Parametric roofs generated over a wall loop or a rectangle
+ * (hip, gable, shed, mansard, flat), or a roof model picked from the library
  */
 const RoofTool = ({
   isActive = false,
@@ -23,6 +44,11 @@ const RoofTool = ({
   onCancel,
   theme = 'dark'
 }) => {
+  // Parametric roof settings
+  const [mode, setMode] = useState('parametric');
+  const [roofParams, setRoofParams] = useState(DEFAULT_ROOF_PARAMS);
+  const [roofTypes, setRoofTypes] = useState([]);
+
   // Model selection state
   const [selectedModel, setSelectedModel] = useState(null);
   const [availableModels, setAvailableModels] = useState([]);
@@ -68,6 +94,29 @@ const RoofTool = ({
     loadModels();
   }, [isActive]);
 
+  // Roof build-ups from the type library
+  useEffect(() => {
+    if (!isActive) return;
+    setRoofTypes(standaloneCADEngine.getAssemblyTypes('roof'));
+  }, [isActive]);
+
+  // Load the settings of a selected parametric roof
+  useEffect(() => {
+    if (!selectedObject || selectedObject.type !== 'roof') return;
+    const params = selectedObject.params || selectedObject;
+    if (params.modelUrl) {
+      setMode('library');
+      return;
+    }
+    setMode('parametric');
+    setRoofParams(current => ({
+      ...current,
+      ...Object.fromEntries(Object.keys(DEFAULT_ROOF_PARAMS)
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .map(key => [key, params[key]]))
+    }));
+  }, [selectedObject]);
+
   // Initialize selected model from existing object when editing
   useEffect(() => {
     if (selectedObject && selectedObject.type === 'roof' && availableModels.length > 0) {
@@ -143,6 +192,50 @@ const RoofTool = ({
     }
   }, [selectedModel, selectedObject, onUpdateRoof]);
 
+  const handleParamChange = useCallback((key, value) => {
+    setRoofParams(current => ({ ...current, [key]: value }));
+  }, []);
+
+  // Settings sent to the engine; numbers parsed, an empty build-up means a single layer
+  const getParametricSettings = useCallback(() => {
+    const number = (value, fallback) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+    return {
+      roofType: roofParams.roofType,
+      pitch: number(roofParams.pitch, DEFAULT_ROOF_PARAMS.pitch),
+      overhang: Math.max(0, number(roofParams.overhang, DEFAULT_ROOF_PARAMS.overhang)),
+      fasciaDepth: Math.max(0, number(roofParams.fasciaDepth, DEFAULT_ROOF_PARAMS.fasciaDepth)),
+      mansardPitch: number(roofParams.mansardPitch, DEFAULT_ROOF_PARAMS.mansardPitch),
+      mansardHeight: number(roofParams.mansardHeight, DEFAULT_ROOF_PARAMS.mansardHeight),
+      assemblyType: roofParams.assemblyType || null
+    };
+  }, [roofParams]);
+
+  // Create a parametric roof over the walls (fromWalls) or as a width x length rectangle
+  const handleCreateParametric = useCallback(async (fromWalls) => {
+    try {
+      setIsCreating(true);
+      const settings = getParametricSettings();
+      await onCreateRoof(fromWalls ? { ...settings, fromWalls: true } : {
+        ...settings,
+        width: Math.max(1, parseFloat(roofParams.width) || DEFAULT_ROOF_PARAMS.width),
+        length: Math.max(1, parseFloat(roofParams.length) || DEFAULT_ROOF_PARAMS.length)
+      });
+      console.log('✅ ROOF TOOL: Parametric roof created', settings);
+    } catch (error) {
+      console.error('❌ ROOF TOOL: Failed to create roof:', error);
+    } finally {
+      setIsCreating(false);
+    }
+  }, [getParametricSettings, roofParams.width, roofParams.length, onCreateRoof]);
+
+  // Regenerate the selected roof, optionally refitting it to the walls around it
+  const handleUpdateParametric = useCallback((refit) => {
+    if (!selectedObject) return;
+    const settings = getParametricSettings();
+    const success = standaloneCADEngine.updateObject(selectedObject.id, refit ? { ...settings, fromWalls: true } : settings);
+    console.log(success ? '✅ ROOF TOOL: Roof updated' : '❌ ROOF TOOL: Roof update failed', settings);
+  }, [selectedObject, getParametricSettings]);
+
   // Filter models by category
   const filteredModels = selectedCategory === 'all' 
     ? availableModels 
@@ -176,6 +269,144 @@ const RoofTool = ({
         </button>
       </div>
 
+      {/* Mode */}
+      <div className="flex space-x-1 p-4 pb-0">
+        {[{ value: 'parametric', label: 'Parametric' }, { value: 'library', label: 'Model Library' }].map(option => (
+          <button
+            key={option.value}
+            onClick={() => setMode(option.value)}
+            className={`flex-1 p-2 text-xs rounded transition-colors ${
+              mode === option.value ? 'bg-blue-600 text-white' : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'parametric' ? (
+        <div className="p-4 space-y-4">
+          {/* Roof type */}
+          <div>
+            <label className="block text-sm font-medium mb-2">Roof Type</label>
+            <div className="grid grid-cols-5 gap-1">
+              {ROOF_TYPE_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleParamChange('roofType', option.value)}
+                  className={`p-2 text-xs rounded transition-colors ${
+                    roofParams.roofType === option.value ? 'bg-blue-600 text-white' : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Slope and edges */}
+          <div className="grid grid-cols-2 gap-3">
+            {[
+              { key: 'pitch', label: roofParams.roofType === 'mansard' ? 'Upper Pitch (°)' : 'Pitch (°)', step: 1, hidden: roofParams.roofType === 'flat' },
+              { key: 'overhang', label: 'Overhang (m)', step: 0.05 },
+              { key: 'fasciaDepth', label: 'Fascia Depth (m)', step: 0.05, hidden: roofParams.roofType === 'flat' },
+              { key: 'mansardPitch', label: 'Lower Pitch (°)', step: 1, hidden: roofParams.roofType !== 'mansard' },
+              { key: 'mansardHeight', label: 'Lower Tier Height (m)', step: 0.1, hidden: roofParams.roofType !== 'mansard' }
+            ].filter(field => !field.hidden).map(field => (
+              <div key={field.key}>
+                <label className="block text-xs text-gray-400 mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  step={field.step}
+                  min={0}
+                  value={roofParams[field.key]}
+                  onChange={(e) => handleParamChange(field.key, e.target.value)}
+                  className={`w-full px-2 py-1 rounded border text-sm ${themeClasses}`}
+                />
+              </div>
+            ))}
+          </div>
+
+          {/* Build-up */}
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Build-up</label>
+            <select
+              value={roofParams.assemblyType || ''}
+              onChange={(e) => handleParamChange('assemblyType', e.target.value)}
+              className={`w-full px-2 py-1 rounded border text-sm ${themeClasses}`}
+            >
+              <option value="">Single layer</option>
+              {roofTypes.map(type => (
+                <option key={type.id} value={type.id}>
+                  {type.name} ({Math.round(type.totalThickness * 1000)} mm)
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {isEditing ? (
+            <div className="space-y-2">
+              {(selectedObject.params || selectedObject).ridgeHeight !== undefined && (
+                <div className="text-xs text-gray-400">
+                  Ridge {Number((selectedObject.params || selectedObject).ridgeHeight).toFixed(2)} m
+                  {' • '}Roof area {Number((selectedObject.params || selectedObject).area || 0).toFixed(1)} m²
+                </div>
+              )}
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handleUpdateParametric(false)}
+                  className="flex-1 px-3 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+                >
+                  Update Roof
+                </button>
+                <button
+                  onClick={() => handleUpdateParametric(true)}
+                  className="flex-1 px-3 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-700 text-white"
+                  title="Regenerate the footprint from the walls it covers"
+                >
+                  Refit to Walls
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <button
+                onClick={() => handleCreateParametric(true)}
+                disabled={isCreating}
+                className="w-full flex items-center justify-center px-4 py-2 rounded-md font-medium text-sm bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                <HomeIcon className="w-4 h-4 mr-2" />
+                Roof Over Walls
+              </button>
+              <div className="grid grid-cols-3 gap-2 items-end">
+                {[{ key: 'width', label: 'Width (m)' }, { key: 'length', label: 'Length (m)' }].map(field => (
+                  <div key={field.key}>
+                    <label className="block text-xs text-gray-400 mb-1">{field.label}</label>
+                    <input
+                      type="number"
+                      step={0.5}
+                      min={1}
+                      value={roofParams[field.key]}
+                      onChange={(e) => handleParamChange(field.key, e.target.value)}
+                      className={`w-full px-2 py-1 rounded border text-sm ${themeClasses}`}
+                    />
+                  </div>
+                ))}
+                <button
+                  onClick={() => handleCreateParametric(false)}
+                  disabled={isCreating}
+                  className="px-3 py-1.5 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-700 text-white"
+                >
+                  Rectangle
+                </button>
+              </div>
+              <div className="text-xs text-gray-400 text-center">
+                Or click inside a closed wall loop in the plan to roof it.
+              </div>
+            </div>
+          )}
+        </div>
+      ) : (
       <div className="flex flex-col h-full">
         {/* Category Filter */}
         <div className="p-4 border-b border-gray-600">
@@ -334,6 +565,7 @@ const RoofTool = ({
           </div>
         </div>
       </div>
+      )}
     </div>
   );
 };
@@ -1,17 +1,53 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { StairIcon } from '../icons';
 import localModelsService from '../../services/LocalModelsService';
+import standaloneCADEngine from '../../services/StandaloneCADEngine';
+import { generateStair, validateStair } from '../../utils/stairGeometry';
 import {
   CheckIcon,
   XMarkIcon,
   PlayIcon,
   PhotoIcon,
-  InformationCircleIcon
+  InformationCircleIcon,
+  ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 
+const STAIR_TYPE_OPTIONS = [
+  { value: 'straight', label: 'Straight' },
+  { value: 'l', label: 'L' },
+  { value: 'u', label: 'U' },
+  { value: 'winder', label: 'Winder' },
+  { value: 'spiral', label: 'Spiral' }
+];
+
+export const DEFAULT_STAIR_PARAMS = {
+  stairType: 'straight',
+  width: 1.0,
+  treadDepth: 0.28,
+  riserHeight: 0.175,
+  numberOfRisers: '',
+  totalRise: '',
+  turn: 'right',
+  landingDepth: '',
+  openingLength: '',
+  material: 'concrete',
+  hasHandrail: true,
+  handrailHeight: 0.9,
+  rotation: 0
+};
+
+// Code rules shown in the tool, edited in millimetres
+const RULE_FIELDS = [
+  { key: 'maxRiser', label: 'Max Riser (mm)', scale: 1000 },
+  { key: 'minTread', label: 'Min Going (mm)', scale: 1000 },
+  { key: 'minHeadroom', label: 'Min Headroom (mm)', scale: 1000 },
+  { key: 'minWidth', label: 'Min Width (mm)', scale: 1000 },
+  { key: 'maxRisers', label: 'Max Risers / Flight', scale: 1 }
+];
+
 /**
- * Stair Tool Component - Provides interface for stair model selection and placement
- * Allows users to select from available staircase models before placement
+ * Stair Tool Component - Parametric stairs (straight, L, U, winder, spiral) checked live
+ * against the building-code rules, or a staircase model picked from the library
  */
 const StairTool = ({
   isActive = false,
@@ -19,8 +55,18 @@ const StairTool = ({
   onCreateStair,
   onUpdateStair,
   onCancel,
-  theme = 'dark'
+  theme = 'dark',
+  stairParams: sharedParams = null,
+  onStairParamsChange = null
 }) => {
+  // Parametric settings are shared with the viewports so a click places this stair
+  const [mode, setMode] = useState('parametric');
+  const [localParams, setLocalParams] = useState(DEFAULT_STAIR_PARAMS);
+  const stairParams = sharedParams || localParams;
+  const setStairParams = onStairParamsChange || setLocalParams;
+  const [codeRules, setCodeRules] = useState(() => standaloneCADEngine.getStairCodeRules());
+  const [showRules, setShowRules] = useState(false);
+
   // Model selection state
   const [selectedModel, setSelectedModel] = useState(null);
   const [availableModels, setAvailableModels] = useState([]);
@@ -67,6 +113,23 @@ const StairTool = ({
     }
   }, [isActive]);
 
+  // Load the settings of a selected parametric stair
+  useEffect(() => {
+    if (!selectedObject || selectedObject.type !== 'stair') return;
+    const params = selectedObject.params || selectedObject;
+    if (params.modelUrl) {
+      setMode('library');
+      return;
+    }
+    setMode('parametric');
+    setStairParams(current => ({
+      ...current,
+      ...Object.fromEntries(Object.keys(DEFAULT_STAIR_PARAMS)
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .map(key => [key, params[key]]))
+    }));
+  }, [selectedObject, setStairParams]);
+
   // Initialize with existing stair data if editing
   useEffect(() => {
     if (selectedObject && selectedObject.type === 'stair' && selectedObject.selectedModel) {
@@ -144,9 +207,58 @@ const StairTool = ({
     }
   }, [selectedModel, selectedObject, onUpdateStair]);
 
+  const handleParamChange = useCallback((key, value) => {
+    setStairParams(current => ({ ...current, [key]: value }));
+  }, [setStairParams]);
+
+  // Number inputs keep '' for "automatic" (rise from the level, riser count from the rise)
+  const numberValue = (value) => (value === '' ? '' : parseFloat(value));
+
+  const handleRuleChange = useCallback((field, value) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number <= 0) return;
+    setCodeRules(standaloneCADEngine.setStairCodeRules({ ...codeRules, [field.key]: number / field.scale }));
+  }, [codeRules]);
+
   // Determine if we're editing an existing stair
   const isEditing = selectedObject && selectedObject.type === 'stair';
 
+  // Live code check of the stair as it would be built
+  const preview = useMemo(() => {
+    if (!isActive || mode !== 'parametric') return null;
+    try {
+      const base = isEditing ? (selectedObject.params || {}) : {};
+      const prepared = standaloneCADEngine.prepareStairParams(
+        standaloneCADEngine.prepareLevelParams('stair', { ...base, ...stairParams })
+      );
+      const stair = generateStair(prepared);
+      return { stair, validation: validateStair(stair, { ...codeRules, ...(prepared.codeRules || {}) }) };
+    } catch (error) {
+      console.warn('⚠️ STAIR TOOL: Preview failed:', error);
+      return null;
+    }
+  }, [isActive, mode, isEditing, selectedObject, stairParams, codeRules]);
+
+  // Regenerate the selected stair with the current settings
+  const handleUpdateParametric = useCallback(() => {
+    if (!selectedObject) return;
+    const success = standaloneCADEngine.updateObject(selectedObject.id, stairParams);
+    console.log(success ? '✅ STAIR TOOL: Stair updated' : '❌ STAIR TOOL: Stair update failed', stairParams);
+  }, [selectedObject, stairParams]);
+
+  // Place the stair at the origin; clicking in a viewport places it there instead
+  const handleCreateParametric = useCallback(async () => {
+    try {
+      setIsCreating(true);
+      await onCreateStair({ ...stairParams, position: { x: 0, y: 0, z: 0 } });
+      console.log('✅ STAIR TOOL: Parametric stair created', stairParams);
+    } catch (error) {
+      console.error('❌ STAIR TOOL: Failed to create stair:', error);
+    } finally {
+      setIsCreating(false);
+    }
+  }, [stairParams, onCreateStair]);
+
   // Theme classes
   const themeClasses = theme === 'dark' ? {
     bg: 'bg-gray-900',
@@ -184,7 +296,184 @@ const StairTool = ({
         </button>
       </div>
 
-      {modelsLoading ? (
+      {/* Mode */}
+      <div className="flex space-x-1 mb-4">
+        {[{ value: 'parametric', label: 'Parametric' }, { value: 'library', label: 'Model Library' }].map(option => (
+          <button
+            key={option.value}
+            onClick={() => setMode(option.value)}
+            className={`flex-1 p-2 text-xs rounded transition-colors ${
+              mode === option.value ? 'bg-blue-600 text-white' : `${themeClasses.bgSecondary} ${themeClasses.textSecondary} ${themeClasses.hover}`
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'parametric' ? (
+        <div className="space-y-4">
+          {/* Stair type */}
+          <div>
+            <label className={`block text-sm font-medium ${themeClasses.textSecondary} mb-2`}>Stair Type</label>
+            <div className="grid grid-cols-5 gap-1">
+              {STAIR_TYPE_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleParamChange('stairType', option.value)}
+                  className={`p-2 text-xs rounded transition-colors ${
+                    stairParams.stairType === option.value ? 'bg-blue-600 text-white' : `${themeClasses.bgSecondary} ${themeClasses.hover}`
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Dimensions */}
+          <div className="grid grid-cols-2 gap-3">
+            {[
+              { key: 'totalRise', label: 'Floor to Floor (m)', step: 0.05, placeholder: 'Level height' },
+              { key: 'numberOfRisers', label: 'Risers', step: 1, placeholder: 'Auto' },
+              { key: 'riserHeight', label: 'Target Riser (m)', step: 0.005, hidden: stairParams.numberOfRisers !== '' },
+              { key: 'treadDepth', label: 'Going (m)', step: 0.01 },
+              { key: 'width', label: 'Width (m)', step: 0.05 },
+              { key: 'landingDepth', label: 'Landing Depth (m)', step: 0.05, placeholder: 'Width', hidden: stairParams.stairType !== 'u' },
+              { key: 'openingLength', label: 'Opening Length (m)', step: 0.1, placeholder: 'Whole run' },
+              { key: 'handrailHeight', label: 'Handrail Height (m)', step: 0.05, hidden: !stairParams.hasHandrail },
+              { key: 'rotation', label: 'Rotation (°)', step: 15 }
+            ].filter(field => !field.hidden).map(field => (
+              <div key={field.key}>
+                <label className={`block text-xs ${themeClasses.textSecondary} mb-1`}>{field.label}</label>
+                <input
+                  type="number"
+                  step={field.step}
+                  min={0}
+                  value={stairParams[field.key]}
+                  placeholder={field.placeholder}
+                  onChange={(e) => handleParamChange(field.key, numberValue(e.target.value))}
+                  className={`w-full px-2 py-1 rounded border text-sm ${themeClasses.bgSecondary} ${themeClasses.border}`}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 text-xs">
+            {stairParams.stairType !== 'straight' && (
+              <div>
+                <label className={`block ${themeClasses.textSecondary} mb-1`}>
+                  {stairParams.stairType === 'spiral' ? 'Column Side' : 'Turn'}
+                </label>
+                <select
+                  value={stairParams.turn}
+                  onChange={(e) => handleParamChange('turn', e.target.value)}
+                  className={`w-full px-2 py-1 rounded border text-sm ${themeClasses.bgSecondary} ${themeClasses.border}`}
+                >
+                  <option value="right">Right</option>
+                  <option value="left">Left</option>
+                </select>
+              </div>
+            )}
+            <div>
+              <label className={`block ${themeClasses.textSecondary} mb-1`}>Material</label>
+              <select
+                value={stairParams.material}
+                onChange={(e) => handleParamChange('material', e.target.value)}
+                className={`w-full px-2 py-1 rounded border text-sm ${themeClasses.bgSecondary} ${themeClasses.border}`}
+              >
+                <option value="concrete">Concrete (solid)</option>
+                <option value="wood">Timber (stringers)</option>
+                <option value="steel">Steel (stringers)</option>
+              </select>
+            </div>
+            <label className="flex items-center space-x-2 col-span-2">
+              <input
+                type="checkbox"
+                checked={stairParams.hasHandrail !== false}
+                onChange={(e) => handleParamChange('hasHandrail', e.target.checked)}
+              />
+              <span>Handrails</span>
+            </label>
+          </div>
+
+          {/* Live code check */}
+          {preview && (
+            <div className={`p-2 rounded-lg text-xs ${themeClasses.bgSecondary}`}>
+              <div className="grid grid-cols-2 gap-1 mb-2">
+                <span>{preview.stair.risers} risers × {Math.round(preview.stair.riserHeight * 1000)} mm</span>
+                <span>Going {Math.round(preview.validation.measurements.treadDepth * 1000)} mm</span>
+                <span>2R + T {Math.round(preview.validation.measurements.stepLength * 1000)} mm</span>
+                <span>Run {preview.stair.totalRun.toFixed(2)} m</span>
+                {preview.stair.headroom !== null && (
+                  <span>Headroom {Math.round(preview.stair.headroom * 1000)} mm</span>
+                )}
+              </div>
+              {preview.validation.issues.length === 0 ? (
+                <div className="flex items-center space-x-1 text-green-500">
+                  <CheckIcon className="w-4 h-4" />
+                  <span>Meets the code rules</span>
+                </div>
+              ) : preview.validation.issues.map(issue => (
+                <div
+                  key={issue.rule}
+                  className={`flex items-start space-x-1 ${issue.severity === 'error' ? 'text-red-500' : 'text-yellow-500'}`}
+                >
+                  <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+                  <span>{issue.message}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Code rules */}
+          <div>
+            <button
+              onClick={() => setShowRules(!showRules)}
+              className={`text-xs ${themeClasses.textSecondary} hover:underline`}
+            >
+              {showRules ? 'Hide code rules' : 'Code rules…'}
+            </button>
+            {showRules && (
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                {RULE_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className={`block text-xs ${themeClasses.textSecondary} mb-1`}>{field.label}</label>
+                    <input
+                      type="number"
+                      min={0}
+                      defaultValue={Math.round(codeRules[field.key] * field.scale)}
+                      onBlur={(e) => handleRuleChange(field, e.target.value)}
+                      className={`w-full px-2 py-1 rounded border text-sm ${themeClasses.bgSecondary} ${themeClasses.border}`}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              onClick={isEditing ? handleUpdateParametric : handleCreateParametric}
+              disabled={isCreating}
+              className="flex-1 py-2 px-4 rounded-md font-medium bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              {isEditing ? 'Update Stair' : 'Place at Origin'}
+            </button>
+            <button
+              onClick={onCancel}
+              className={`px-4 py-2 ${themeClasses.bgSecondary} ${themeClasses.border} rounded-md transition-colors ${themeClasses.hover}`}
+            >
+              Cancel
+            </button>
+          </div>
+          {!isEditing && (
+            <p className={`text-xs ${themeClasses.textSecondary} text-center`}>
+              Or click in the plan to place the first riser there.
+            </p>
+          )}
+        </div>
+      ) : modelsLoading ? (
         <div className="flex items-center justify-center py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
           <span className="ml-3">Loading staircase models...</span>
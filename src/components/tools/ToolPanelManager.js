@@ -1,6 +1,6 @@
 import React from 'react';
 import DraggableToolPanel from './DraggableToolPanel';
-import { WallTool, SlabTool, RampTool, DoorTool, WindowTool, RoofTool, StairTool, ColumnTool } from '../tools';
+import { WallTool, SlabTool, RampTool, DoorTool, WindowTool, RoofTool, StairTool, ColumnTool, GridTool } from '../tools';
 
 /**
  * Centralized tool panel manager that wraps all tools with dragging functionality
@@ -40,6 +40,8 @@ const ToolPanelManager = ({
   onUpdateRoof,
   onCancelRoofTool,
   // Stair tool handlers
+  stairParams,
+  onStairParamsChange,
   onCreateStair,
   onUpdateStair,
   onCancelStairTool,
@@ -47,6 +49,8 @@ const ToolPanelManager = ({
   onCreateColumn,
   onUpdateColumn,
   onCancelColumnTool,
+  // Grid tool handlers
+  onCancelGridTool,
 }) => {
   // Tool configuration - defines size and properties for each tool
   const toolConfig = {
@@ -57,7 +61,8 @@ const ToolPanelManager = ({
     window: { width: 360, height: 600 },
     roof: { width: 380, height: 650 },
     stair: { width: 400, height: 700 },
-    column: { width: 360, height: 580 }
+    column: { width: 360, height: 580 },
+    grid: { width: 360, height: 520 }
   };
 
   const baseClassName = "rounded-lg shadow-2xl border transition-all duration-300 backdrop-blur-md";
@@ -200,6 +205,8 @@ const ToolPanelManager = ({
           onCreateStair={onCreateStair}
           onUpdateStair={onUpdateStair}
           onCancel={onCancelStairTool}
+          stairParams={stairParams}
+          onStairParamsChange={onStairParamsChange}
           theme={theme}
           freecadObjects={freecadObjects || []}
         />
@@ -224,6 +231,22 @@ const ToolPanelManager = ({
           cadObjects={freecadObjects || []}
         />
       </DraggableToolPanel>
+
+      {/* Grid Tool */}
+      <DraggableToolPanel
+        isActive={selectedTool === 'grid'}
+        width={toolConfig.grid.width}
+        height={toolConfig.grid.height}
+        className={`grid-tool-panel ${baseClassName} ${themeClassName}`}
+        style={{ overflowY: 'auto' }}
+        containerBounds={containerBounds}
+      >
+        <GridTool
+          isActive={selectedTool === 'grid'}
+          onCancel={onCancelGridTool}
+          theme={theme}
+        />
+      </DraggableToolPanel>
     </>
   );
 };
@@ -11,6 +11,17 @@ import {
   ArrowsPointingOutIcon,
   MagnifyingGlassPlusIcon
 } from '@heroicons/react/24/outline';
+import { wallLength } from '../../utils/wallArcs';
+import standaloneCADEngine from '../../services/StandaloneCADEngine';
+import { INFILL_TYPES, MULLION_PROFILES, layoutCurtainWall, panelKey, resolveCurtainWall } from '../../utils/curtainWall';
+
+const CURTAIN_WALL_TYPE = 'curtain_wall';
+const INFILL_STYLES = {
+  glass: { label: 'Glass', className: 'bg-sky-200 border-sky-400' },
+  spandrel: { label: 'Spandrel', className: 'bg-slate-500 border-slate-600' },
+  door: { label: 'Door', className: 'bg-amber-300 border-amber-500' },
+  empty: { label: 'Empty', className: 'bg-transparent border-dashed border-gray-400' }
+};
 
 /**
  * Wall Tool Component - Provides interface for wall creation and editing
@@ -52,9 +63,12 @@ const WallTool = ({
   const setWallParams = onWallParamsChange || setInternalWallParams;
 
   // Enhanced state for architect3d features
-  const [wallType, setWallType] = useState('straight');
+  const [wallGeometry, setWallGeometry] = useState('straight');
+  const [arcRise, setArcRise] = useState(1.0); // Sagitta of an arc wall, metres from the chord
   const [snapToAxis, setSnapToAxis] = useState(true);
   const [showCorners, setShowCorners] = useState(true);
+  // Curtain wall system settings (see utils/curtainWall); null for a layered wall
+  const [curtainWall, setCurtainWall] = useState(null);
 
   // Validation and interaction state
   const [isValid, setIsValid] = useState(true);
@@ -72,12 +86,19 @@ const WallTool = ({
     { value: 'drywall', label: 'Drywall', color: '#f5f5dc', density: 800 }
   ];
 
-  // Wall type options (from architect3d)
-  const wallTypeOptions = [
+  // Wall geometry options
+  const wallGeometryOptions = [
     { value: 'straight', label: 'Straight Wall', icon: '▬', description: 'Standard linear walls' },
-    { value: 'curved', label: 'Curved Wall', icon: '◠', description: 'Bezier curved walls' }
+    { value: 'curved', label: 'Arc Wall', icon: '◠', description: 'Circular arc between the wall ends' }
   ];
 
+  // Chord between the selected wall's ends; the rise is measured from it
+  const chord = (() => {
+    const { startPoint, endPoint } = selectedObject?.params || {};
+    return startPoint && endPoint ? Math.hypot(endPoint.x - startPoint.x, endPoint.z - startPoint.z) : 0;
+  })();
+  const bulge = wallGeometry === 'curved' && chord > 0 ? (2 * Number(arcRise)) / chord : 0;
+
   // Initialize with existing wall data if editing
   useEffect(() => {
     if (selectedObject && (selectedObject.type === 'wall' || selectedObject.type === 'Wall')) {
@@ -96,6 +117,13 @@ const WallTool = ({
         thickness: params.thickness || params.width || selectedObject.thickness || selectedObject.width || 0.2,
       };
       
+      const loadedBulge = Number(params.bulge) || 0;
+      setWallGeometry(loadedBulge ? 'curved' : 'straight');
+      if (loadedBulge && params.startPoint && params.endPoint) {
+        const loadedChord = Math.hypot(params.endPoint.x - params.startPoint.x, params.endPoint.z - params.startPoint.z);
+        setArcRise(Number((loadedBulge * loadedChord / 2).toFixed(3)));
+      }
+      
       console.log('🔄 WALL TOOL: Extracted parameters:', loadedParams);
       console.log('🔄 WALL TOOL: Raw source data breakdown:', {
         'params.length': params.length,
@@ -108,6 +136,9 @@ const WallTool = ({
         'selectedObject.material': selectedObject.material
       });
       
+      const template = standaloneCADEngine.wallTypeTemplates[params.wallType];
+      setCurtainWall(template?.properties?.isCurtainWall ? resolveCurtainWall(template.curtainWall, params.curtainWall) : null);
+      
       setWallParams(loadedParams);
       
       console.log('✅ WALL TOOL: Wall parameters loaded successfully:', loadedParams);
@@ -164,6 +195,24 @@ const WallTool = ({
   }, []);
 
 
+  const handleCurtainWallChange = useCallback((field, value) => {
+    setCurtainWall(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  // Clicking a panel steps through the infills; doors only go in the bottom row
+  const cyclePanelInfill = useCallback((panel) => {
+    setCurtainWall(prev => {
+      const choices = INFILL_TYPES.filter(type => type !== 'door' || panel.row === 0);
+      const next = choices[(choices.indexOf(panel.infill) + 1) % choices.length];
+      return { ...prev, panels: { ...prev.panels, [panelKey(panel.column, panel.row)]: next } };
+    });
+  }, []);
+
+  // Grid as it would be built, for the panel editor
+  const curtainLayout = curtainWall
+    ? layoutCurtainWall(Number(wallParams.length) || 1, Number(wallParams.height) || 1, curtainWall)
+    : null;
+
   // Handle wall update (for editing existing walls)
   const handleUpdate = useCallback(async () => {
     if (!isValid || !selectedObject) {
@@ -180,20 +229,33 @@ const WallTool = ({
     try {
       const material = materialOptions.find(m => m.value === wallParams.material);
       
+      // A new curve keeps the wall's ends, so its length follows from the bulge
+      const bulgeChanged = Math.abs(bulge - (Number(selectedObject.params?.bulge) || 0)) > 1e-9;
+      
       // Enhanced update parameters with comprehensive material data
       const updateParams = {
         id: selectedObject.id,
-        length: Number(wallParams.length),
+        length: bulgeChanged ? undefined : Number(wallParams.length),
         height: Number(wallParams.height),
         thickness: Number(wallParams.thickness), // Use thickness consistently
         material: wallParams.material,
         materialColor: material?.color || '#6b7280', // Professional grey fallback
         density: material?.density || 2400,
         type: 'wall',
-        // Enhanced architect3d features
-        wallType: wallType,
+        bulge,
         snapToAxis: snapToAxis,
-        bezierControlPoints: wallType === 'curved' ? true : false
+        ...(curtainWall
+          ? {
+            wallType: CURTAIN_WALL_TYPE,
+            curtainWall: {
+              verticalSpacing: curtainWall.verticalSpacing,
+              verticalDivisions: curtainWall.verticalDivisions,
+              transomOffsets: resolveCurtainWall(curtainWall).transomOffsets,
+              mullionProfile: curtainWall.mullionProfile,
+              panels: curtainWall.panels
+            }
+          }
+          : { wallType: selectedObject.params?.wallType === CURTAIN_WALL_TYPE ? null : selectedObject.params?.wallType })
       };
       
       console.log('🔧 WALL TOOL: Prepared update parameters:', updateParams);
@@ -213,7 +275,7 @@ const WallTool = ({
       setIsCreating(false);
       console.log('🔧 WALL TOOL: Update process finished, resetting creating state');
     }
-  }, [isValid, wallParams, selectedObject, materialOptions, onUpdateWall]);
+  }, [isValid, wallParams, selectedObject, materialOptions, onUpdateWall, bulge, snapToAxis, curtainWall]);
 
   // Only render panel when a wall is selected for editing
   if (!isActive) return null;
@@ -397,12 +459,12 @@ const WallTool = ({
                 Wall Geometry
               </label>
               <div className="grid grid-cols-2 gap-2">
-                {wallTypeOptions.map((option) => (
+                {wallGeometryOptions.map((option) => (
                   <button
                     key={option.value}
-                    onClick={() => setWallType(option.value)}
+                    onClick={() => setWallGeometry(option.value)}
                     className={`p-3 text-xs rounded transition-colors border ${
-                      wallType === option.value
+                      wallGeometry === option.value
                         ? theme === 'dark'
                           ? 'bg-studiosix-600 border-studiosix-500 text-white'
                           : 'bg-studiosix-500 border-studiosix-400 text-white'
@@ -419,6 +481,32 @@ const WallTool = ({
               </div>
             </div>
 
+            {/* Arc rise */}
+            {wallGeometry === 'curved' && (
+              <div>
+                <label className={`block text-xs mb-1 ${
+                  theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+                }`}>
+                  Arc Rise (m)
+                </label>
+                <input
+                  type="number"
+                  value={arcRise}
+                  onChange={(e) => setArcRise(parseFloat(e.target.value) || 0)}
+                  step="0.1"
+                  className={`w-full px-2 py-1 text-xs rounded border transition-colors ${
+                    theme === 'dark'
+                      ? 'bg-slate-800/50 border-gray-600 text-white focus:border-studiosix-500'
+                      : 'bg-white border-gray-300 text-gray-900 focus:border-studiosix-500'
+                  } focus:outline-none focus:ring-1 focus:ring-studiosix-500`}
+                />
+                <p className={`text-xs mt-1 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-400'}`}>
+                  Negative rise bows the wall to the other side
+                  {chord > 0 && ` • arc length ${wallLength(selectedObject.params.startPoint, selectedObject.params.endPoint, bulge).toFixed(2)}m`}
+                </p>
+              </div>
+            )}
+
 
             {/* Advanced Options */}
             <div className="space-y-2">
@@ -467,6 +555,120 @@ const WallTool = ({
           </div>
         </div>
 
+        {/* Curtain Wall Section */}
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h4 className={`text-sm font-medium flex items-center ${
+              theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+            }`}>
+              <ArrowsPointingOutIcon className="w-4 h-4 mr-2" />
+              Curtain Wall
+            </h4>
+            <input
+              type="checkbox"
+              checked={!!curtainWall}
+              onChange={(e) => setCurtainWall(e.target.checked
+                ? resolveCurtainWall(standaloneCADEngine.wallTypeTemplates[CURTAIN_WALL_TYPE]?.curtainWall)
+                : null)}
+              className={`w-4 h-4 rounded border-2 ${
+                theme === 'dark' ? 'border-gray-600' : 'border-gray-300'
+              } text-studiosix-600 focus:ring-studiosix-500`}
+              title="Build this wall as a glazed curtain wall"
+            />
+          </div>
+
+          {curtainWall && curtainLayout && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className={`block text-xs mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Mullion Spacing (m)</label>
+                  <input
+                    type="number"
+                    value={curtainWall.verticalSpacing}
+                    onChange={(e) => handleCurtainWallChange('verticalSpacing', parseFloat(e.target.value) || 0)}
+                    min="0.3"
+                    step="0.1"
+                    className={`w-full px-2 py-1 text-xs rounded border transition-colors ${
+                      theme === 'dark'
+                        ? 'bg-slate-800/50 border-gray-600 text-white focus:border-studiosix-500'
+                        : 'bg-white border-gray-300 text-gray-900 focus:border-studiosix-500'
+                    } focus:outline-none focus:ring-1 focus:ring-studiosix-500`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-xs mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Or Divisions</label>
+                  <input
+                    type="number"
+                    value={curtainWall.verticalDivisions}
+                    onChange={(e) => handleCurtainWallChange('verticalDivisions', parseInt(e.target.value, 10) || 0)}
+                    min="0"
+                    step="1"
+                    className={`w-full px-2 py-1 text-xs rounded border transition-colors ${
+                      theme === 'dark'
+                        ? 'bg-slate-800/50 border-gray-600 text-white focus:border-studiosix-500'
+                        : 'bg-white border-gray-300 text-gray-900 focus:border-studiosix-500'
+                    } focus:outline-none focus:ring-1 focus:ring-studiosix-500`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-xs mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Transom Heights (m)</label>
+                  <input
+                    type="text"
+                    value={Array.isArray(curtainWall.transomOffsets) ? curtainWall.transomOffsets.join(', ') : curtainWall.transomOffsets}
+                    onChange={(e) => handleCurtainWallChange('transomOffsets', e.target.value)}
+                    placeholder="1.1, 2.4"
+                    className={`w-full px-2 py-1 text-xs rounded border transition-colors ${
+                      theme === 'dark'
+                        ? 'bg-slate-800/50 border-gray-600 text-white focus:border-studiosix-500'
+                        : 'bg-white border-gray-300 text-gray-900 focus:border-studiosix-500'
+                    } focus:outline-none focus:ring-1 focus:ring-studiosix-500`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-xs mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Mullion Profile</label>
+                  <select
+                    value={typeof curtainWall.mullionProfile === 'string' ? curtainWall.mullionProfile : ''}
+                    onChange={(e) => handleCurtainWallChange('mullionProfile', e.target.value)}
+                    className={`w-full px-2 py-1 text-xs rounded border transition-colors ${
+                      theme === 'dark'
+                        ? 'bg-slate-800/50 border-gray-600 text-white focus:border-studiosix-500'
+                        : 'bg-white border-gray-300 text-gray-900 focus:border-studiosix-500'
+                    } focus:outline-none focus:ring-1 focus:ring-studiosix-500`}
+                  >
+                    {Object.keys(MULLION_PROFILES).map(name => (
+                      <option key={name} value={name}>{name} mm</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {/* Panel infill, drawn as seen from outside with the base at the bottom */}
+              <div>
+                <label className={`block text-xs mb-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>Panels (click to change infill)</label>
+                <div
+                  className="grid gap-0.5"
+                  style={{ gridTemplateColumns: `repeat(${curtainLayout.uGrid.length - 1}, minmax(0, 1fr))` }}
+                >
+                  {[...curtainLayout.panels]
+                    .sort((a, b) => (b.row - a.row) || (a.column - b.column))
+                    .map(panel => (
+                      <button
+                        key={panel.key}
+                        onClick={() => cyclePanelInfill(panel)}
+                        className={`h-5 rounded-sm border ${INFILL_STYLES[panel.infill].className}`}
+                        title={`Panel ${panel.key}: ${INFILL_STYLES[panel.infill].label}`}
+                      />
+                    ))}
+                </div>
+                <p className={`text-xs mt-1 ${theme === 'dark' ? 'text-gray-500' : 'text-gray-400'}`}>
+                  {curtainLayout.quantities.panelCount} panels • {curtainLayout.quantities.glassArea.toFixed(2)}m² glazed
+                  {curtainLayout.quantities.doorCount > 0 && ` • ${curtainLayout.quantities.doorCount} door${curtainLayout.quantities.doorCount === 1 ? '' : 's'}`}
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Material Section */}
         <div>
           <h4 className={`text-sm font-medium mb-3 flex items-center ${
@@ -531,7 +733,7 @@ const WallTool = ({
           ) : (
             <>
               <CheckIcon className="w-4 h-4" />
-              <span className="text-sm">{wallType === 'curved' ? 'Edit Curved Wall' : 'Edit Wall'}</span>
+              <span className="text-sm">{wallGeometry === 'curved' ? 'Edit Curved Wall' : 'Edit Wall'}</span>
             </>
           )}
         </button>
@@ -6,5 +6,6 @@ export { default as WindowTool } from './WindowTool';
 export { default as ColumnTool } from './ColumnTool';
 export { default as RoofTool } from './RoofTool';
 export { default as StairTool } from './StairTool';
+export { default as GridTool } from './GridTool';
 export { default as ConstraintTool } from './ConstraintTool';
 export { default as ConstraintVisualizationOverlay } from './ConstraintVisualizationOverlay';
\ No newline at end of file
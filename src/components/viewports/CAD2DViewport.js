@@ -7,10 +7,15 @@
 
 import React, { useRef, useEffect, useCallback, useState, useMemo } from 'react';
 import { flushSync } from 'react-dom';
-import * as martinez from 'martinez-polygon-clipping';
 import standaloneCADEngine from '../../services/StandaloneCADEngine';
 import { wallEdgeDetector, SNAP_TYPES } from '../../utils/WallEdgeDetection';
 import { wallJoineryDebugger } from '../../utils/WallJoineryDebug';
+import { computeWallJoinery, toJoineryWall } from '../../utils/wallJoinery';
+import { generateGridAxes } from '../../utils/structuralGrid';
+import { viewFrame } from '../../utils/sectionViews';
+import { polylinePoints } from '../../utils/dxf';
+import { dimensionGraphics } from '../../utils/dimensions';
+import { bulgeFromThreePoints, bulgeFromTangent, sampleWall, wallEndTangents, wallLength as measureWallLength } from '../../utils/wallArcs';
 import ifcService from '../../services/IFCService';
 import * as Door2DRenderer from '../../plan2d/door2dRenderer';
 
@@ -34,12 +39,20 @@ const CAD2DViewport = ({
   doorParams, // Door tool parameters for preview
   architect3DService, // 🏗️ Architect3D Wall Service for advanced wall creation
   onToolChange, // Callback to change the active tool
+  onOpenSectionView, // Called with a section view when one is drawn or its marker clicked
   style = {}
 }) => {
   const svgRef = useRef(null);
   const [viewCenter, setViewCenter] = useState({ x: 0, y: 0 });
   const [zoom, setZoom] = useState(1);
   const [objects, setObjects] = useState([]);
+  const [underlayObjects, setUnderlayObjects] = useState([]); // Level below, drawn greyed out
+  const [structuralGrids, setStructuralGrids] = useState(() => standaloneCADEngine.getGrids());
+  const [sectionViews, setSectionViews] = useState(() => standaloneCADEngine.getSectionViews());
+  const [dxfUnderlays, setDxfUnderlays] = useState(() => standaloneCADEngine.getUnderlays());
+  const [selectedUnderlayItems, setSelectedUnderlayItems] = useState([]); // [{ underlayId, index }]
+  const [dimensions, setDimensions] = useState(() => standaloneCADEngine.getDimensions());
+  const [projectUnits, setProjectUnits] = useState(() => standaloneCADEngine.getProjectUnits());
   const [selectedObjects, setSelectedObjects] = useState(new Set());
   const [hoveredElement, setHoveredElement] = useState(null);
   const [selectedElement, setSelectedElement] = useState(null);
@@ -452,6 +465,25 @@ const CAD2DViewport = ({
   const [isContinuousDrawing, setIsContinuousDrawing] = useState(false);
   const [drawingPoints, setDrawingPoints] = useState([]); // Array of points for the current drawing sequence
   const [currentPreviewEnd, setCurrentPreviewEnd] = useState(null); // Current mouse position for preview
+  // Arc walls: 'line', 'arc' (three-point: a point on the arc, then its end) or 'tangent'
+  const [wallDrawMode, setWallDrawMode] = useState('line');
+  const [drawingBulges, setDrawingBulges] = useState([]); // Bulge of each drawn segment
+  const [arcThroughPoint, setArcThroughPoint] = useState(null); // Point on the arc picked before its end
+
+  // Bulge of the segment from the last drawn point to the given end point
+  const getSegmentBulge = useCallback((endPoint) => {
+    const last = drawingPoints[drawingPoints.length - 1];
+    if (!last || !endPoint) return 0;
+    if (wallDrawMode === 'arc' && arcThroughPoint) {
+      return bulgeFromThreePoints(last, arcThroughPoint, endPoint);
+    }
+    if (wallDrawMode === 'tangent' && drawingPoints.length >= 2) {
+      const previous = drawingPoints[drawingPoints.length - 2];
+      const { end } = wallEndTangents(previous, last, drawingBulges[drawingBulges.length - 1] || 0);
+      return bulgeFromTangent(last, end, endPoint);
+    }
+    return 0;
+  }, [drawingPoints, drawingBulges, wallDrawMode, arcThroughPoint]);
   
   // Professional door placement workflow state
   const [doorPlacementStep, setDoorPlacementStep] = useState(0); // 0: none, 1: positioning, 2: swing direction
@@ -545,6 +577,26 @@ const CAD2DViewport = ({
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [isContinuousDrawing, isDrafting, doorPlacementStep, doorSwingDirection]);
 
+  // Wall drawing modes: L line, A three-point arc, T tangent arc
+  useEffect(() => {
+    if (selectedTool !== 'wall') return undefined;
+    const modes = { l: 'line', a: 'arc', t: 'tangent' };
+    const handleKeyDown = (event) => {
+      const target = event.target;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      const mode = modes[event.key.toLowerCase()];
+      if (mode) {
+        setWallDrawMode(mode);
+        setArcThroughPoint(null);
+        console.log('🌙 Wall draw mode:', mode);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selectedTool]);
+
   // Reset door placement when tool changes away from door
   useEffect(() => {
     if (selectedTool !== 'door' && doorPlacementStep > 0) {
@@ -676,7 +728,7 @@ const CAD2DViewport = ({
   }, []);
 
   // Function to create walls with proper joinery
-  const createWallsWithJoinery = (points) => {
+  const createWallsWithJoinery = (points, bulges = []) => {
     if (points.length < 2) return [];
     
     console.log('🏗️ Creating walls with proper corner joinery for points:', points);
@@ -694,9 +746,11 @@ const CAD2DViewport = ({
       // Calculate wall direction vector
       const deltaX = endPoint.x - startPoint.x;
       const deltaZ = endPoint.z - startPoint.z;
-      const length = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+      const chordLength = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+      const bulge = bulges[i] || 0;
+      const length = measureWallLength(startPoint, endPoint, bulge);
       
-      if (length > 0.1) { // Minimum wall length
+      if (chordLength > 0.1) { // Minimum wall length
         console.log(`🧱 WALL CREATION DEBUG - Segment ${i + 1} (PROPER CORNERS):`, {
           'length': length.toFixed(3),
           'startPoint (adjusted)': {
@@ -718,8 +772,7 @@ const CAD2DViewport = ({
           material: 'concrete',
           startPoint: startPoint,
           endPoint: endPoint,
-          autoExtend: true,  // Enable auto-extend for better corner connections
-          forceCornerExtension: true  // Force extension for proper corner joinery
+          ...(bulge ? { bulge } : {})
         });
         
         console.log(`🧱 WALL CREATED: ID ${wallId} with proper corner intersection`);
@@ -775,7 +828,7 @@ const CAD2DViewport = ({
     
     // Create all walls at once if we have enough points
     if (drawingPoints.length >= 2) {
-      const createdWalls = createWallsWithJoinery(drawingPoints);
+      const createdWalls = createWallsWithJoinery(drawingPoints, drawingBulges);
       console.log(`🏠 Room completed with ${createdWalls.length} walls`);
       
       // Force refresh to show all created walls
@@ -788,6 +841,8 @@ const CAD2DViewport = ({
     // Reset all drawing state
     setIsContinuousDrawing(false);
     setDrawingPoints([]);
+    setDrawingBulges([]);
+    setArcThroughPoint(null);
     setCurrentPreviewEnd(null);
     setIsDrafting(false);
     setDraftStartPoint(null);
@@ -811,6 +866,21 @@ const CAD2DViewport = ({
 
   // Sync with CAD engine
   useEffect(() => {
+    // Objects on the active level, plus the level below as an underlay
+    const showLevel = (allObjects) => {
+      const activeLevelId = standaloneCADEngine.getLevel(currentFloor)
+        ? currentFloor
+        : standaloneCADEngine.getActiveLevel()?.id;
+      const levelBelow = standaloneCADEngine.getLevelBelow(activeLevelId);
+      
+      setObjects(allObjects.filter(obj => standaloneCADEngine.getObjectLevelId(obj) === activeLevelId));
+      setUnderlayObjects(levelBelow
+        ? allObjects.filter(obj => standaloneCADEngine.getObjectLevelId(obj) === levelBelow.id)
+        : []);
+    };
+    
+    standaloneCADEngine.setActiveLevel(currentFloor);
+    
     const updateObjects = () => {
       console.log('🔄 2D Viewport: Updating objects from CAD engine...');
       const allObjects = standaloneCADEngine.getAllObjects();
@@ -841,18 +911,8 @@ const CAD2DViewport = ({
         }
       });
       
-      // Filter objects by current floor
-      const floorObjects = allObjects.filter(obj => {
-        // For now, we'll show all objects if they don't have floor info
-        // In a real implementation, objects would have a floor property
-        return !obj.floor || obj.floor === currentFloor;
-      });
-      
-      console.log('🏢 2D Viewport: Objects for current floor:', floorObjects);
-      console.log('🏢 2D Viewport: Floor objects count:', floorObjects.length);
-      
-      // Force a state update even if the objects array looks the same
-      setObjects([...floorObjects]);
+      // Filter objects by current floor (level)
+      showLevel(allObjects);
       console.log('✅ 2D Viewport: Object state updated, should trigger re-render');
     };
 
@@ -885,7 +945,7 @@ const CAD2DViewport = ({
 
     const handleModelState = (data) => {
       console.log('📊 2D Viewport: Model state event received:', data);
-      setObjects(data.objects || []);
+      showLevel(data.objects || []);
     };
 
     const handleObjectsChanged = (data) => {
@@ -899,6 +959,7 @@ const CAD2DViewport = ({
     standaloneCADEngine.addEventListener('selection_changed', updateSelection);
     standaloneCADEngine.addEventListener('model_state', handleModelState);
     standaloneCADEngine.addEventListener('objects_changed', handleObjectsChanged);
+    standaloneCADEngine.addEventListener('levels_changed', handleObjectsChanged);
 
     console.log('🎧 2D Viewport: Event listeners registered');
 
@@ -914,12 +975,86 @@ const CAD2DViewport = ({
       standaloneCADEngine.removeEventListener('selection_changed', updateSelection);
       standaloneCADEngine.removeEventListener('model_state', handleModelState);
       standaloneCADEngine.removeEventListener('objects_changed', handleObjectsChanged);
+      standaloneCADEngine.removeEventListener('levels_changed', handleObjectsChanged);
+    };
+  }, [currentFloor]);
+
+  // Structural grids are shared by all levels
+  useEffect(() => {
+    const handleGridsChanged = (data) => setStructuralGrids(data.grids || standaloneCADEngine.getGrids());
+    standaloneCADEngine.addEventListener('grids_changed', handleGridsChanged);
+    setStructuralGrids(standaloneCADEngine.getGrids());
+    return () => standaloneCADEngine.removeEventListener('grids_changed', handleGridsChanged);
+  }, []);
+
+  useEffect(() => {
+    const handleSectionViewsChanged = (data) => setSectionViews(data.views || standaloneCADEngine.getSectionViews());
+    standaloneCADEngine.addEventListener('section_views_changed', handleSectionViewsChanged);
+    return () => standaloneCADEngine.removeEventListener('section_views_changed', handleSectionViewsChanged);
+  }, []);
+
+  useEffect(() => {
+    const handleUnderlaysChanged = (data) => {
+      setDxfUnderlays(data.underlays || standaloneCADEngine.getUnderlays());
+      if (data.removed) setSelectedUnderlayItems(items => items.filter(item => item.underlayId !== data.removed));
+    };
+    standaloneCADEngine.addEventListener('underlays_changed', handleUnderlaysChanged);
+    return () => standaloneCADEngine.removeEventListener('underlays_changed', handleUnderlaysChanged);
+  }, []);
+
+  useEffect(() => {
+    const handleDimensionsChanged = (data) => setDimensions(data.dimensions || standaloneCADEngine.getDimensions());
+    const handleUnitsChanged = (data) => setProjectUnits(data.units);
+    standaloneCADEngine.addEventListener('dimensions_changed', handleDimensionsChanged);
+    standaloneCADEngine.addEventListener('project_units_changed', handleUnitsChanged);
+    return () => {
+      standaloneCADEngine.removeEventListener('dimensions_changed', handleDimensionsChanged);
+      standaloneCADEngine.removeEventListener('project_units_changed', handleUnitsChanged);
     };
+  }, []);
+
+  // Dimensions are measured again whenever the elements they refer to change
+  const [dimensionDrawings, setDimensionDrawings] = useState([]);
+  useEffect(() => {
+    const levelId = standaloneCADEngine.getLevel(currentFloor) ? currentFloor : standaloneCADEngine.getActiveLevel()?.id;
+    setDimensionDrawings(standaloneCADEngine.resolveDimensions(levelId)
+      .filter(dimension => dimension.valid)
+      .map(dimension => ({ id: dimension.id, entities: dimensionGraphics(dimension) })));
+  }, [dimensions, projectUnits, objects, structuralGrids, currentFloor]);
+
+  // DXF files dropped on the plan come in as underlays on the level shown
+  const importDXFFile = useCallback(async (file) => {
+    try {
+      const levelId = standaloneCADEngine.getLevel(currentFloor) ? currentFloor : standaloneCADEngine.getActiveLevel()?.id;
+      const text = await file.text();
+      const underlay = standaloneCADEngine.importDXF(text, { name: file.name.replace(/\.dxf$/i, ''), levelId });
+      return { success: true, underlay };
+    } catch (error) {
+      console.error('❌ DXF import failed:', error);
+      return { success: false, error: error.message };
+    }
   }, [currentFloor]);
 
+  const handleConvertUnderlayToWalls = useCallback(() => {
+    const byUnderlay = new Map();
+    selectedUnderlayItems.forEach(({ underlayId, index }) => {
+      byUnderlay.set(underlayId, [...(byUnderlay.get(underlayId) || []), index]);
+    });
+    byUnderlay.forEach((indices, underlayId) => standaloneCADEngine.convertUnderlayToWalls(underlayId, indices));
+    setSelectedUnderlayItems([]);
+  }, [selectedUnderlayItems]);
+
+  // Snap a placement point onto a grid crossing within ~15px
+  const snapToStructuralGrid = useCallback((worldPos) => {
+    const { point, target } = standaloneCADEngine.snapToGridIntersection(worldPos, 15 / (100 * zoom));
+    if (!target) return worldPos;
+    console.log(`📐 Grid snap: ${target.name}`);
+    return { ...worldPos, x: point.x, z: point.z };
+  }, [zoom]);
+
   // Tools that support click-and-drag drafting
   const isDraftingTool = useCallback((tool) => {
-    return ['wall', 'beam', 'slab', 'ramp'].includes(tool);
+    return ['wall', 'beam', 'slab', 'ramp', 'section'].includes(tool);
   }, []);
 
   // Tools that support wall placement
@@ -1427,6 +1562,12 @@ const CAD2DViewport = ({
       } else {
         console.warn('🕳️ OPENING: No wall found near click position');
       }
+    } else if (selectedTool === 'dimension') {
+      // Dimensions the run of the wall clicked, openings included
+      const nearestWall = findNearestWall(to3D(clickPos));
+      if (nearestWall) {
+        standaloneCADEngine.autoDimensionWall(nearestWall.id);
+      }
     } else if (selectedTool && selectedTool !== 'pointer') {
       console.log(`🖱️ 2D Viewport: Mouse down with tool "${selectedTool}"`);
       
@@ -1439,7 +1580,7 @@ const CAD2DViewport = ({
          let worldPos = to3D(clickPos);
         
         // Apply automatic angle snapping for wall drawing (same as mouse move logic)
-        if (selectedTool === 'wall' && draftStartPoint) {
+        if (selectedTool === 'wall' && draftStartPoint && wallDrawMode === 'line') {
           const deltaX = worldPos.x - draftStartPoint.x;
           const deltaZ = worldPos.z - draftStartPoint.z;
           const distance = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
@@ -1577,6 +1718,10 @@ const CAD2DViewport = ({
             }
           }
         }
+
+        if (selectedTool === 'wall') {
+          worldPos = snapToStructuralGrid(worldPos);
+        }
         
         if (selectedTool === 'wall') {
           // Wall drawing with continuous point collection
@@ -1589,6 +1734,10 @@ const CAD2DViewport = ({
             setDraftStartPoint(worldPos);
             setDraftCurrentPoint(worldPos);
             console.log('📍 First point:', worldPos);
+          } else if (wallDrawMode === 'arc' && !arcThroughPoint) {
+            // Three-point arc: this click picks a point on the arc, the next one its end
+            console.log('🌙 Arc point picked:', worldPos);
+            setArcThroughPoint(worldPos);
           } else {
             // Additional clicks: Add points to sequence
             console.log('📍 Adding point to sequence:', worldPos);
@@ -1597,6 +1746,8 @@ const CAD2DViewport = ({
               y: worldPos.y.toFixed(3), 
               z: worldPos.z.toFixed(3)
             });
+            setDrawingBulges(prev => [...prev, getSegmentBulge(worldPos)]);
+            setArcThroughPoint(null);
             setDrawingPoints(prev => [...prev, worldPos]);
             setDraftStartPoint(worldPos); // Move start point for next segment preview
             setDraftCurrentPoint(worldPos);
@@ -1677,19 +1828,23 @@ const CAD2DViewport = ({
                 slopeDirection = deltaZ > 0 ? 'north' : 'south';
               }
               
+              // The ramp starts at the middle of the edge the drag started from
+              const alongX = slopeDirection === 'east' || slopeDirection === 'west';
+              const runLength = alongX ? width : depth;
+              
               // Use CAD engine to create ramp
               const rampId = standaloneCADEngine.createObject('ramp', {
-                width: width,
-                depth: depth,
+                width: alongX ? depth : width,
                 thickness: 0.2, // Standard ramp thickness
-                height: 1.0, // Default rise height
+                totalRise: 1.0, // Default rise height
                 material: 'concrete',
-                shape: 'rectangular',
                 slopeDirection: slopeDirection,
-                grade: (1.0 / depth) * 100, // Calculate grade from height and depth
+                grade: (1.0 / runLength) * 100, // Rise over the dragged length
                 isRamp: true,
                 type: 'ramp',
-                position: { x: centerX, y: 0, z: centerZ },
+                position: alongX
+                  ? { x: draftStartPoint.x, y: 0, z: centerZ }
+                  : { x: centerX, y: 0, z: draftStartPoint.z },
                 startPoint: draftStartPoint,
                 endPoint: worldPos
               });
@@ -1704,34 +1859,23 @@ const CAD2DViewport = ({
             setDraftPreview(null);
           // Wall clicks are handled above in the continuous drawing logic
           } else if (selectedTool === 'beam') {
-            const deltaX = worldPos.x - draftStartPoint.x;
-            const deltaZ = worldPos.z - draftStartPoint.z;
-            const length = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+            // Beam ends snap to columns, wall ends and other members on the level
+            const start = standaloneCADEngine.snapFramingPoint(draftStartPoint).point;
+            const end = standaloneCADEngine.snapFramingPoint(worldPos).point;
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
             
             if (length > 0.1) { // Minimum beam length
-              const centerX = (draftStartPoint.x + worldPos.x) / 2;
-              const centerZ = (draftStartPoint.z + worldPos.z) / 2;
-              
-              // Create beam (similar to wall but elevated and smaller)
-              const beamId = standaloneCADEngine.createObject('wall', { // Using wall geometry for now
-                length: length,
-                height: 0.5, // Beam height
-                thickness: 0.3, // Beam thickness
-                material: 'steel',
-                startPoint: draftStartPoint,
-                endPoint: worldPos
+              const beamId = standaloneCADEngine.createObject('beam', {
+                startPoint: start,
+                endPoint: end
               });
-              
-              // Position the beam mesh if created successfully
-              if (beamId) {
-                const cadObject = standaloneCADEngine.objects.get(beamId);
-                if (cadObject && cadObject.mesh3D) {
-                  cadObject.mesh3D.position.set(centerX, 2.5, centerZ); // Elevated beam position
-                }
-                if (cadObject && cadObject.mesh2D) {
-                  cadObject.mesh2D.position.set(centerX, 0, centerZ);
-                }
-              }
+              console.log('✅ Beam created with ID:', beamId);
+            }
+          } else if (selectedTool === 'section') {
+            if (Math.hypot(worldPos.x - draftStartPoint.x, worldPos.z - draftStartPoint.z) > 0.5) {
+              const view = standaloneCADEngine.addSectionView({ start: draftStartPoint, end: worldPos });
+              console.log('✂️ Section line placed:', view.id);
+              onOpenSectionView?.(view);
             }
           }
           
@@ -1748,7 +1892,7 @@ const CAD2DViewport = ({
         const creationTools = ['stair', 'column', 'door', 'window', 'furniture', 'fixture'];
         if (creationTools.includes(selectedTool)) {
           console.log(`🏗️ 2D VIEWPORT GROUND CLICK: ${selectedTool} tool detected, calling onGroundClick`);
-          const worldPos = to3D(clickPos);
+          const worldPos = selectedTool === 'column' ? snapToStructuralGrid(to3D(clickPos)) : to3D(clickPos);
           console.log(`🏗️ 2D VIEWPORT GROUND CLICK: Position:`, worldPos);
           onGroundClick?.(worldPos);
         } else {
@@ -1778,7 +1922,7 @@ const CAD2DViewport = ({
       const creationTools = ['stair', 'column', 'door', 'window', 'furniture', 'fixture'];
       if (creationTools.includes(selectedTool)) {
         console.log(`🏗️ 2D VIEWPORT GROUND CLICK: ${selectedTool} tool detected, calling onGroundClick`);
-        const worldPos = to3D(clickPos);
+        const worldPos = selectedTool === 'column' ? snapToStructuralGrid(to3D(clickPos)) : to3D(clickPos);
         console.log(`🏗️ 2D VIEWPORT GROUND CLICK: Position:`, worldPos);
         onGroundClick?.(worldPos);
       } else {
@@ -1786,7 +1930,7 @@ const CAD2DViewport = ({
         handleElementSelection(null);
       }
     }
-  }, [selectedTool, objects, to2D, to3D, zoom, isDraftingTool, isDrafting, draftStartPoint, handleElementSelection, onGroundClick, pendingCADBlock, completeSVGPlacement, onToolChange]);
+  }, [selectedTool, objects, to2D, to3D, zoom, isDraftingTool, isDrafting, draftStartPoint, handleElementSelection, onGroundClick, pendingCADBlock, completeSVGPlacement, onToolChange, wallDrawMode, arcThroughPoint, getSegmentBulge, snapToStructuralGrid, onOpenSectionView]);
   // Handle mouse move for panning and drafting preview
   const handleSvgMouseMove = useCallback((event) => {
     // Handle active resize first
@@ -2025,7 +2169,8 @@ const CAD2DViewport = ({
         let snappedAngleDeg = null;
         
         // AUTOMATIC AGGRESSIVE ANGLE SNAPPING: Snap to cardinal directions (90/180) and diagonal (45) angles
-        if (draftStartPoint) {
+        // Arc segments are shaped by their end point, so they are left free
+        if (draftStartPoint && wallDrawMode === 'line') {
           const deltaX = worldPos.x - draftStartPoint.x;
           const deltaZ = worldPos.z - draftStartPoint.z;
           const distance = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
@@ -2215,19 +2360,26 @@ const CAD2DViewport = ({
           });
         }
       } else if (selectedTool === 'beam') {
-        const deltaX = worldPos.x - draftStartPoint.x;
-        const deltaZ = worldPos.z - draftStartPoint.z;
-        const length = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+        const start = { ...draftStartPoint, ...standaloneCADEngine.snapFramingPoint(draftStartPoint).point };
+        const end = { ...worldPos, ...standaloneCADEngine.snapFramingPoint(worldPos).point };
+        const length = Math.hypot(end.x - start.x, end.z - start.z);
         setDraftPreview({
           type: 'beam',
-          start: draftStartPoint,
-          end: worldPos,
+          start,
+          end,
           length: length.toFixed(2),
           thickness: '0.3'
         });
+      } else if (selectedTool === 'section') {
+        setDraftPreview({
+          type: 'section',
+          start: draftStartPoint,
+          end: worldPos,
+          length: Math.hypot(worldPos.x - draftStartPoint.x, worldPos.z - draftStartPoint.z).toFixed(2)
+        });
       }
     }
-  }, [isPanning, lastPanPoint, zoom, isDrafting, draftStartPoint, selectedTool, to3D, activeResize, activeDrag, objects]);
+  }, [isPanning, lastPanPoint, zoom, isDrafting, draftStartPoint, selectedTool, to3D, activeResize, activeDrag, objects, wallDrawMode]);
 
   const handleSvgMouseUp = useCallback(() => {
     setIsPanning(false);
@@ -2256,6 +2408,13 @@ const CAD2DViewport = ({
   const handleSvgDrop = useCallback(async (event) => {
     event.preventDefault();
     try {
+      const dxfFiles = Array.from(event.dataTransfer.files || []).filter(file => file.name.toLowerCase().endsWith('.dxf'));
+      if (dxfFiles.length > 0) {
+        for (const file of dxfFiles) {
+          await importDXFFile(file);
+        }
+        return;
+      }
       const data = event.dataTransfer.getData('application/x-studiosix-2d-block') || '';
       if (!data) return;
       const blockData = JSON.parse(data);
@@ -2269,7 +2428,7 @@ const CAD2DViewport = ({
     } finally {
       if (svgRef.current) svgRef.current.style.cursor = 'default';
     }
-  }, [startSVGPlacement, completeSVGPlacement, to3D]);
+  }, [startSVGPlacement, completeSVGPlacement, to3D, importDXFFile]);
 
   // Handle mouse wheel for zooming
   const handleWheel = useCallback((event) => {
@@ -2308,6 +2467,45 @@ const CAD2DViewport = ({
       }));
     }
   }, [zoom, viewCenter, to3D]);
+
+  // Section line: chain line with an arrow at each end pointing the way the section looks
+  const renderSectionMarker = useCallback((view, color, label = null) => {
+    const frame = viewFrame(view);
+    const a = to2D({ x: view.start.x, y: 0, z: view.start.z });
+    const b = to2D({ x: view.end.x, y: 0, z: view.end.z });
+    const size = Math.max(6, Math.min(12, 30 * zoom));
+    // Plan x/z map straight onto screen x/y
+    const look = { x: frame.look.x, y: frame.look.z };
+
+    return (
+      <>
+        <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={1.5} strokeDasharray="16,4,3,4" />
+        {[a, b].map((end, i) => (
+          <g key={i}>
+            <path
+              d={`M ${end.x} ${end.y} L ${end.x + look.x * size * 1.6 - look.y * size * 0.6} ${end.y + look.y * size * 1.6 + look.x * size * 0.6} L ${end.x + look.x * size * 1.6 + look.y * size * 0.6} ${end.y + look.y * size * 1.6 - look.x * size * 0.6} Z`}
+              fill={color}
+            />
+            {label && (
+              <text
+                x={end.x - look.x * size}
+                y={end.y - look.y * size}
+                dy="0.35em"
+                fontSize={size * 1.2}
+                fontWeight="bold"
+                fill={color}
+                textAnchor="middle"
+                className="select-none"
+              >
+                {label}
+              </text>
+            )}
+          </g>
+        ))}
+      </>
+    );
+  }, [to2D, zoom]);
+
   // Render drafting preview
   const renderDraftPreview = useCallback(() => {
     // Handle continuous wall drawing preview
@@ -2482,10 +2680,16 @@ const CAD2DViewport = ({
           </text>
         </g>
       );
+    } else if (draftPreview.type === 'section') {
+      return (
+        <g key="draft-preview" pointerEvents="none">
+          {renderSectionMarker({ start: draftPreview.start, end: draftPreview.end }, previewColor)}
+        </g>
+      );
     }
 
     return null;
-  }, [draftPreview, draftStartPoint, draftCurrentPoint, to2D, viewportTheme]);
+  }, [draftPreview, draftStartPoint, draftCurrentPoint, to2D, viewportTheme, renderSectionMarker]);
   // Render dynamic wall gap that moves with cursor during door placement
   const renderDynamicWallGap = useCallback((wallSurface, doorWidth, doorPos2D, wallRotation) => {
     try {
@@ -2833,1418 +3037,233 @@ const CAD2DViewport = ({
     }
   }, []);
 
-  // Calculate corner intersection points for proper wall joining
-  const calculateCornerExtensions = useCallback((wallGroup) => {
-    const extendedWalls = [];
-    
-    wallGroup.forEach(wall => {
-      if (!wall.params) return;
-      
-      let startPoint = wall.params.adjustedStartPoint || wall.params.startPoint;
-      let endPoint = wall.params.adjustedEndPoint || wall.params.endPoint;
-      const thickness = wall.params.thickness || wall.params.width || wall.thickness || wall.width || 0.2;
-      
-      if (!startPoint || !endPoint) return;
-      
-      // Find walls connected to this wall's start and end points
-      const tolerance = 0.1;
-      let connectedAtStart = null;
-      let connectedAtEnd = null;
-      
-      wallGroup.forEach(otherWall => {
-        if (otherWall.id === wall.id || !otherWall.params) return;
-        
-        const otherStart = otherWall.params.adjustedStartPoint || otherWall.params.startPoint;
-        const otherEnd = otherWall.params.adjustedEndPoint || otherWall.params.endPoint;
-        
-        if (!otherStart || !otherEnd) return;
-        
-        // Check if this wall's start connects to other wall
-        if ((Math.abs(startPoint.x - otherStart.x) < tolerance && Math.abs(startPoint.z - otherStart.z) < tolerance) ||
-            (Math.abs(startPoint.x - otherEnd.x) < tolerance && Math.abs(startPoint.z - otherEnd.z) < tolerance)) {
-          connectedAtStart = otherWall;
-        }
-        
-        // Check if this wall's end connects to other wall
-        if ((Math.abs(endPoint.x - otherStart.x) < tolerance && Math.abs(endPoint.z - otherStart.z) < tolerance) ||
-            (Math.abs(endPoint.x - otherEnd.x) < tolerance && Math.abs(endPoint.z - otherEnd.z) < tolerance)) {
-          connectedAtEnd = otherWall;
-        }
-      });
-      
-      // Extend wall endpoints to proper corner intersections
-      if (connectedAtStart) {
-        const extendedStart = calculateCornerIntersection(wall, connectedAtStart, startPoint, true);
-        if (extendedStart) startPoint = extendedStart;
+  // Wall joinery as resolved by the engine - the same outlines its 3D walls are built from.
+  // Walls that arrive without it are joined here with the shared joinery module.
+  const resolveWallJoinery = useCallback((walls) => {
+    const missing = walls.some(wall => !wall.joinery);
+    const computed = missing
+      ? computeWallJoinery(walls.map(wall => toJoineryWall(wall, standaloneCADEngine.wallTypeTemplates))).walls
+      : {};
+
+    return walls
+      .map(wall => ({ wall, joint: wall.joinery || computed[wall.id] }))
+      .filter(entry => entry.joint && entry.joint.outlines.length > 0);
+  }, []);
+
+  // Render walls from their joinery outlines with layer lines - PROFESSIONAL CAD
+  const renderWallJoinery = useCallback((walls) => {
+    const toPoints = outline => outline.map(point => {
+      const p = to2D({ x: point.x, y: 0, z: point.z });
+      return `${p.x},${p.y}`;
+    }).join(' ');
+
+    // Material-specific colors and patterns - PROFESSIONAL CAD STYLE
+    const materialConfig = {
+      concrete: { fill: '#4a5568', strokeColor: '#2d3748' },
+      brick: { fill: '#975a16', strokeColor: '#7c2d12' },
+      wood: { fill: '#92400e', strokeColor: '#78350f' },
+      steel: { fill: '#475569', strokeColor: '#334155' },
+      stone: { fill: '#57534e', strokeColor: '#44403c' },
+      aluminum: { fill: '#64748b', strokeColor: '#475569' },
+      glass: { fill: '#60a5fa', strokeColor: '#3b82f6' },
+      drywall: { fill: '#6b7280', strokeColor: '#4b5563' }
+    };
+
+    return resolveWallJoinery(walls).map(({ wall, joint }) => {
+      const material = wall.params?.material || wall.material || 'concrete';
+      const config = materialConfig[material] || materialConfig.concrete;
+
+      let strokeColor, strokeWidth, fillColor, fillOpacity;
+      if (selectedObjects.has(wall.id)) {
+        strokeColor = '#7c3aed'; // Purple for selected
+        strokeWidth = 3;
+        fillColor = '#ddd6fe';
+        fillOpacity = 0.6;
+      } else if (hoveredWalls.has(wall.id)) {
+        strokeColor = '#3b82f6'; // Blue for hovered
+        strokeWidth = 2.5;
+        fillColor = '#dbeafe';
+        fillOpacity = 0.7;
+      } else {
+        strokeColor = config.strokeColor;
+        strokeWidth = 2;
+        fillColor = config.fill;
+        fillOpacity = 0.8;
       }
-      
-      if (connectedAtEnd) {
-        const extendedEnd = calculateCornerIntersection(wall, connectedAtEnd, endPoint, false);
-        if (extendedEnd) endPoint = extendedEnd;
+
+      // Curtain walls: a thin line with mullion ticks and door swings, the outline kept as click area
+      if (wall.curtainWall) {
+        const { line, ticks, doors } = wall.curtainWall.plan;
+        const lineColor = selectedObjects.has(wall.id) || hoveredWalls.has(wall.id) ? strokeColor : (viewportTheme === 'light' ? '#1f2937' : '#d1d5db');
+        const radius = door => door.width * 100 * zoom;
+        const sweepFlag = door => ((door.open.x - door.hinge.x) * (door.closed.z - door.hinge.z)
+          - (door.open.z - door.hinge.z) * (door.closed.x - door.hinge.x) > 0 ? 1 : 0);
+        const at = point => to2D({ x: point.x, y: 0, z: point.z });
+
+        return (
+          <g key={`wall-joinery-${wall.id}`}>
+            {joint.outlines.map((outline, index) => (
+              <polygon
+                key={`hit-${index}`}
+                points={toPoints(outline)}
+                fill={selectedObjects.has(wall.id) ? fillColor : 'transparent'}
+                fillOpacity={0.4}
+                stroke="none"
+                {...createUnifiedElementHandlers(wall)}
+              />
+            ))}
+            <polyline points={toPoints(line)} fill="none" stroke={lineColor} strokeWidth={1.25} style={{ pointerEvents: 'none' }} />
+            {ticks.map((tick, index) => (
+              <line
+                key={`tick-${index}`}
+                x1={at(tick.a).x}
+                y1={at(tick.a).y}
+                x2={at(tick.b).x}
+                y2={at(tick.b).y}
+                stroke={lineColor}
+                strokeWidth={1.25}
+                style={{ pointerEvents: 'none' }}
+              />
+            ))}
+            {doors.map((door, index) => (
+              <g key={`door-${index}`} style={{ pointerEvents: 'none' }}>
+                <line x1={at(door.hinge).x} y1={at(door.hinge).y} x2={at(door.open).x} y2={at(door.open).y} stroke={lineColor} strokeWidth={1} />
+                <path
+                  d={`M${at(door.open).x},${at(door.open).y} A${radius(door)},${radius(door)} 0 0 ${sweepFlag(door)} ${at(door.closed).x},${at(door.closed).y}`}
+                  fill="none"
+                  stroke={lineColor}
+                  strokeWidth={0.75}
+                  strokeDasharray="4,3"
+                />
+              </g>
+            ))}
+          </g>
+        );
       }
-      
-      extendedWalls.push({
-        ...wall,
-        extendedStartPoint: startPoint,
-        extendedEndPoint: endPoint
-      });
+
+      const patternId = `wall-joinery-pattern-${material}-${wall.id}`;
+
+      return (
+        <g key={`wall-joinery-${wall.id}`}>
+          <defs>
+            <pattern id={patternId} patternUnits="userSpaceOnUse" width="12" height="12">
+              <rect width="12" height="12" fill={fillColor} />
+              {renderMaterialPattern(material, 12)}
+            </pattern>
+          </defs>
+
+          {/* Wall fill doubles as the click area */}
+          {joint.outlines.map((outline, index) => (
+            <polygon
+              key={`fill-${index}`}
+              points={toPoints(outline)}
+              fill={`url(#${patternId})`}
+              fillOpacity={fillOpacity}
+              stroke="none"
+              {...createUnifiedElementHandlers(wall)}
+            />
+          ))}
+
+          {/* Layer pieces for multi-layer walls */}
+          {joint.layers.length > 1 && joint.layers.map((layer, index) => (
+            <polygon
+              key={`layer-${index}`}
+              points={toPoints(layer.outline)}
+              fill="none"
+              stroke={strokeColor}
+              strokeWidth={0.75}
+              strokeOpacity={0.6}
+              style={{ pointerEvents: 'none' }}
+            />
+          ))}
+
+          {joint.outlines.map((outline, index) => (
+            <polygon
+              key={`outline-${index}`}
+              points={toPoints(outline)}
+              fill="none"
+              stroke={strokeColor}
+              strokeWidth={strokeWidth}
+              strokeLinejoin="miter"
+              style={{ pointerEvents: 'none' }}
+            />
+          ))}
+        </g>
+      );
     });
+  }, [resolveWallJoinery, selectedObjects, hoveredWalls, renderMaterialPattern, to2D, createUnifiedElementHandlers, viewportTheme, zoom]);
+
+  // Render architectural wall with proper styling
+  const renderArchitecturalWall = useCallback((object, pos2d, props, isSelected, transform) => {
+    const material = object.params?.material || object.material || 'concrete';
+    const thickness = (object.params?.thickness || object.params?.width || object.thickness || object.width || 0.2) * 100 * zoom;
     
-    return extendedWalls;
-  }, []);
-  
-  // Calculate the intersection point of two wall's outer edges at a corner
-  const calculateCornerIntersection = useCallback((wall1, wall2, connectionPoint, isWall1Start) => {
-    if (!wall1.params || !wall2.params) return null;
-    
-    // Get wall directions and thicknesses
-    const wall1Start = wall1.params.adjustedStartPoint || wall1.params.startPoint;
-    const wall1End = wall1.params.adjustedEndPoint || wall1.params.endPoint;
-    const wall2Start = wall2.params.adjustedStartPoint || wall2.params.startPoint;
-    const wall2End = wall2.params.adjustedEndPoint || wall2.params.endPoint;
-    
-    if (!wall1Start || !wall1End || !wall2Start || !wall2End) return null;
-    
-    const thickness1 = (wall1.params.thickness || wall1.params.width || wall1.thickness || wall1.width || 0.2) / 2;
-    const thickness2 = (wall2.params.thickness || wall2.params.width || wall2.thickness || wall2.width || 0.2) / 2;
-    
-    // Calculate wall1 direction vector
-    const wall1Dir = {
-      x: wall1End.x - wall1Start.x,
-      z: wall1End.z - wall1Start.z
-    };
-    const wall1Length = Math.sqrt(wall1Dir.x * wall1Dir.x + wall1Dir.z * wall1Dir.z);
-    if (wall1Length === 0) return null;
-    
-    wall1Dir.x /= wall1Length;
-    wall1Dir.z /= wall1Length;
-    
-    // Calculate wall2 direction vector  
-    const wall2Dir = {
-      x: wall2End.x - wall2Start.x,
-      z: wall2End.z - wall2Start.z
-    };
-    const wall2Length = Math.sqrt(wall2Dir.x * wall2Dir.x + wall2Dir.z * wall2Dir.z);
-    if (wall2Length === 0) return null;
-    
-    wall2Dir.x /= wall2Length;
-    wall2Dir.z /= wall2Length;
-    
-    // Calculate perpendicular vectors (for wall thickness)
-    const wall1Perp = { x: -wall1Dir.z, z: wall1Dir.x };
-    const wall2Perp = { x: -wall2Dir.z, z: wall2Dir.x };
-    
-    // Determine which side of each wall to extend
-    // For now, extend by half thickness in the perpendicular direction
-    const extensionDistance = Math.max(thickness1, thickness2);
-    
-    // Calculate the corner intersection point
-    // This is a simplified approach - extend the connection point slightly outward
-    let cornerPoint = { ...connectionPoint };
-    
-    // Apply small extension to ensure clean corner joining
-    if (isWall1Start) {
-      cornerPoint.x -= wall1Dir.x * extensionDistance;
-      cornerPoint.z -= wall1Dir.z * extensionDistance;
-    } else {
-      cornerPoint.x += wall1Dir.x * extensionDistance;
-      cornerPoint.z += wall1Dir.z * extensionDistance;
+    // Use actual length with joinery adjustments if available
+    let actualLength = object.params?.actualLength || object.params?.length || object.length || 4;
+    if (object.params?.adjustForJoinery && (object.params?.startAdjustment || object.params?.endAdjustment)) {
+      // Apply joinery length adjustments
+      const startAdj = object.params?.startAdjustment || 0;
+      const endAdj = object.params?.endAdjustment || 0;
+      actualLength = actualLength - startAdj - endAdj;
+      console.log(`🔧 Wall ${object.id} joinery: original=${(object.params?.length || object.length || 4).toFixed(3)}m, adjusted=${actualLength.toFixed(3)}m`);
+      
+      // Debug wall state when joinery is applied
+      wallJoineryDebugger.debugWallState(object);
     }
+    const length = actualLength * 100 * zoom;
     
-    return cornerPoint;
-  }, []);
-  // Helper function to check if two edges overlap (making them internal)
-  const edgesOverlap = useCallback((edge1, edge2, tolerance = 2) => {
-    // Check if edges are parallel and overlapping
-    const edge1Vector = {
-      x: edge1.end.x - edge1.start.x,
-      y: edge1.end.y - edge1.start.y
-    };
-    const edge2Vector = {
-      x: edge2.end.x - edge2.start.x,
-      y: edge2.end.y - edge2.start.y
-    };
-    
-    // Calculate edge lengths
-    const edge1Length = Math.sqrt(edge1Vector.x * edge1Vector.x + edge1Vector.y * edge1Vector.y);
-    const edge2Length = Math.sqrt(edge2Vector.x * edge2Vector.x + edge2Vector.y * edge2Vector.y);
-    
-    if (edge1Length === 0 || edge2Length === 0) return false;
-    
-    // Normalize vectors
-    const edge1Unit = { x: edge1Vector.x / edge1Length, y: edge1Vector.y / edge1Length };
-    const edge2Unit = { x: edge2Vector.x / edge2Length, y: edge2Vector.y / edge2Length };
-    
-    // Check if edges are parallel (dot product close to 1 or -1)
-    const dotProduct = Math.abs(edge1Unit.x * edge2Unit.x + edge1Unit.y * edge2Unit.y);
-    const isParallel = dotProduct > 0.99; // Allow for small floating point errors
-    
-    if (!isParallel) return false;
+    // Debug wall rendering
+    wallJoineryDebugger.debugWallRendering(object, pos2d, actualLength, thickness / (100 * zoom));
     
-    // Check if edges are close enough to overlap
-    const distanceToEdge2Start = pointToLineDistance(edge2.start, edge1.start, edge1.end);
-    const distanceToEdge2End = pointToLineDistance(edge2.end, edge1.start, edge1.end);
+    // Wall selection state checks
+    const isSelectable = selectableWalls.has(object.id);
+    const isHovered = hoveredWalls.has(object.id);
+    const hasNearbyEdge = nearbyEdges.some(edge => edge.wallId === object.id);
     
-    if (distanceToEdge2Start > tolerance && distanceToEdge2End > tolerance) return false;
+    // Material-specific colors and patterns - PROFESSIONAL CAD STYLE
+    const materialConfig = {
+      concrete: { fill: '#4a5568', strokeColor: '#2d3748' }, // Dark grey to hide corner intersections
+      brick: { fill: '#975a16', strokeColor: '#7c2d12' }, // Darker brick color
+      wood: { fill: '#92400e', strokeColor: '#78350f' }, // Darker wood tone
+      steel: { fill: '#475569', strokeColor: '#334155' }, // Darker steel blue-grey
+      stone: { fill: '#57534e', strokeColor: '#44403c' }, // Darker stone
+      aluminum: { fill: '#64748b', strokeColor: '#475569' }, // Darker metallic
+      glass: { fill: '#60a5fa', strokeColor: '#3b82f6' }, // Darker blue
+      drywall: { fill: '#6b7280', strokeColor: '#4b5563' } // Darker off-white
+    };
     
-    // Check if there's actual overlap along the line
-    const edge1StartOnLine = projectPointOnLine(edge1.start, edge2.start, edge2.end);
-    const edge1EndOnLine = projectPointOnLine(edge1.end, edge2.start, edge2.end);
-    const edge2StartOnLine = projectPointOnLine(edge2.start, edge1.start, edge1.end);
-    const edge2EndOnLine = projectPointOnLine(edge2.end, edge1.start, edge1.end);
+    const config = materialConfig[material] || materialConfig.concrete;
     
-    // Check for overlap in projection
-    const edge1Range = [Math.min(edge1StartOnLine, edge1EndOnLine), Math.max(edge1StartOnLine, edge1EndOnLine)];
-    const edge2Range = [Math.min(edge2StartOnLine, edge2EndOnLine), Math.max(edge2StartOnLine, edge2EndOnLine)];
+    // Dynamic styling based on state
+    let strokeColor, strokeWidth, fillOpacity, glowEffect;
     
-    return !(edge1Range[1] < edge2Range[0] || edge2Range[1] < edge1Range[0]);
-  }, []);
-  
-  // Helper function to calculate distance from point to line
-  const pointToLineDistance = useCallback((point, lineStart, lineEnd) => {
-    const A = point.x - lineStart.x;
-    const B = point.y - lineStart.y;
-    const C = lineEnd.x - lineStart.x;
-    const D = lineEnd.y - lineStart.y;
-    
-    const dot = A * C + B * D;
-    const lenSq = C * C + D * D;
-    
-    if (lenSq === 0) return Math.sqrt(A * A + B * B);
-    
-    const param = dot / lenSq;
-    let xx, yy;
-    
-    if (param < 0) {
-      xx = lineStart.x;
-      yy = lineStart.y;
-    } else if (param > 1) {
-      xx = lineEnd.x;
-      yy = lineEnd.y;
+    if (isSelected) {
+      strokeColor = '#8b5cf6';
+      strokeWidth = 3;
+      fillOpacity = 0.6; // More visible when selected
+    } else if (hasNearbyEdge) {
+      strokeColor = '#10b981'; // Green for edge-ready
+      strokeWidth = 3;
+      fillOpacity = 0.5;
+      glowEffect = true;
+    } else if (isHovered && isSelectable) {
+      strokeColor = '#3b82f6'; // Blue for hover
+      strokeWidth = 2;
+      fillOpacity = 0.7; // More visible when hovered
+    } else if (isSelectable) {
+      strokeColor = config.strokeColor; // Use material-specific stroke color
+      strokeWidth = 1.5;
+      fillOpacity = 0.8; // Material fills are now visible!
     } else {
-      xx = lineStart.x + param * C;
-      yy = lineStart.y + param * D;
+      strokeColor = config.strokeColor; // Use material-specific stroke color
+      strokeWidth = 1.5;
+      fillOpacity = 0.8; // Material fills are now visible!
     }
     
-    const dx = point.x - xx;
-    const dy = point.y - yy;
-    return Math.sqrt(dx * dx + dy * dy);
-  }, []);
-  
-  // Helper function to project point onto line and return distance along line
-  const projectPointOnLine = useCallback((point, lineStart, lineEnd) => {
-    const A = point.x - lineStart.x;
-    const B = point.y - lineStart.y;
-    const C = lineEnd.x - lineStart.x;
-    const D = lineEnd.y - lineStart.y;
-    
-    const dot = A * C + B * D;
-    const lenSq = C * C + D * D;
+    // No longer override material fills - show the actual material colors!
     
-    if (lenSq === 0) return 0;
-    
-    return dot / lenSq;
-  }, []);
-
-  // Find walls that connect to the given wall (WITH DEBUGGING)
-  const findConnectedWalls = useCallback((targetWall, allWalls) => {
-    const connected = [];
-    const tolerance = 5.0; // ULTRA-STRICT: Only group walls that are virtually touching (5px tolerance)
-    
-    console.log(`\n🔍 FINDING CONNECTIONS for wall ${targetWall.id}:`);
-    
-    if (!targetWall.params) {
-      console.log('❌ Target wall has no params');
-      return connected;
-    }
-    
-    const targetStart = targetWall.params.startPoint || targetWall.params.adjustedStartPoint;
-    const targetEnd = targetWall.params.endPoint || targetWall.params.adjustedEndPoint;
-    
-    if (!targetStart || !targetEnd) {
-      console.log('❌ Target wall missing start/end points');
-      return connected;
-    }
-    
-    console.log('🎯 Target wall endpoints:');
-    console.log('  Start:', targetStart);
-    console.log('  End:', targetEnd);
-    console.log(`  Tolerance: ${tolerance}m`);
-    
-    allWalls.forEach(wall => {
-      if (wall.id === targetWall.id || wall.type !== 'wall' || !wall.params) return;
-      
-      const wallStart = wall.params.startPoint || wall.params.adjustedStartPoint;
-      const wallEnd = wall.params.endPoint || wall.params.adjustedEndPoint;
-      
-      if (!wallStart || !wallEnd) return;
-      
-      console.log(`\n  🔍 Checking wall ${wall.id}:`);
-      console.log('    Start:', wallStart);
-      console.log('    End:', wallEnd);
-      
-      // Check if walls share endpoints (within tolerance)
-      const distances = [
-        { type: 'target-start-to-wall-start', dist: Math.sqrt((targetStart.x - wallStart.x)**2 + (targetStart.z - wallStart.z)**2) },
-        { type: 'target-start-to-wall-end', dist: Math.sqrt((targetStart.x - wallEnd.x)**2 + (targetStart.z - wallEnd.z)**2) },
-        { type: 'target-end-to-wall-start', dist: Math.sqrt((targetEnd.x - wallStart.x)**2 + (targetEnd.z - wallStart.z)**2) },
-        { type: 'target-end-to-wall-end', dist: Math.sqrt((targetEnd.x - wallEnd.x)**2 + (targetEnd.z - wallEnd.z)**2) }
-      ];
-      
-      console.log('    Distances:', distances);
-      
-      const isConnected = distances.some(d => d.dist < tolerance);
-      
-      if (isConnected) {
-        const connectedDistance = distances.find(d => d.dist < tolerance);
-        console.log(`    ✅ CONNECTED via ${connectedDistance.type} (${connectedDistance.dist.toFixed(3)}m)`);
-        connected.push(wall);
-      } else {
-        console.log(`    ❌ Not connected (min distance: ${Math.min(...distances.map(d => d.dist)).toFixed(3)}m)`);
-      }
-    });
-    
-    console.log(`🔗 Found ${connected.length} connected walls for wall ${targetWall.id}`);
-    return connected;
-  }, []);
-  
-  // Create a unified path for connected walls with proper corner extensions
-  const createUnifiedWallPath = useCallback((wallGroup) => {
-    if (!wallGroup.length) return null;
-    
-    // Calculate corner extensions for proper wall joining
-    const extendedWalls = calculateCornerExtensions(wallGroup);
-    const wallData = [];
-    
-    extendedWalls.forEach(wall => {
-      if (!wall.params) return;
-      
-      // Use extended corner points instead of original endpoints
-      const startPoint = wall.extendedStartPoint || wall.params.adjustedStartPoint || wall.params.startPoint;
-      const endPoint = wall.extendedEndPoint || wall.params.adjustedEndPoint || wall.params.endPoint;
-      const thickness = (wall.params.thickness || wall.params.width || wall.thickness || wall.width || 0.2) * 100 * zoom;
-      
-      if (!startPoint || !endPoint) return;
-      
-      // Convert to 2D coordinates
-      const start2D = to2D(startPoint);
-      const end2D = to2D(endPoint);
-      
-      wallData.push({
-        wall,
-        start2D,
-        end2D,
-        thickness,
-        startPoint,
-        endPoint
-      });
-    });
-    
-    return wallData;
-  }, [to2D, zoom, calculateCornerExtensions]);
-
-  // Create professional wall joinery with miter joints and unified polygons - PROFESSIONAL CAD (WITH DEBUGGING)
-  const createProfessionalWallJoinery = useCallback((wallGroup) => {
-    console.log('\n🎯 PROFESSIONAL CAD: Creating miter joints for', wallGroup.length, 'walls');
-    console.log('🔍 Wall group details:', wallGroup.map(w => ({
-      id: w.id,
-      startPoint: w.params?.adjustedStartPoint || w.params?.startPoint,
-      endPoint: w.params?.adjustedEndPoint || w.params?.endPoint,
-      thickness: w.params?.thickness || w.thickness
-    })));
-    
-    if (!wallGroup.length) {
-      console.log('❌ No walls in group');
-      return null;
-    }
-    
-    // Step 1: Convert each wall to a polygon with proper thickness
-    console.log('\n📐 STEP 1: Converting walls to polygons...');
-    const wallPolygons = wallGroup.map((wall, index) => {
-      console.log(`\n  🔍 Processing wall ${index} (${wall.id}):`);
-      
-      if (!wall.params) {
-        console.log('    ❌ No params');
-        return null;
-      }
-      
-      const startPoint = wall.params.adjustedStartPoint || wall.params.startPoint;
-      const endPoint = wall.params.adjustedEndPoint || wall.params.endPoint;
-      const thickness = (wall.params.thickness || wall.params.width || wall.thickness || wall.width || 0.2) * 100 * zoom;
-      
-      console.log('    Start point:', startPoint);
-      console.log('    End point:', endPoint);
-      console.log('    Thickness:', thickness);
-      
-      if (!startPoint || !endPoint) {
-        console.log('    ❌ Missing start/end point');
-        return null;
-      }
-      
-      const start2D = to2D(startPoint);
-      const end2D = to2D(endPoint);
-      
-      console.log('    Start 2D:', start2D);
-      console.log('    End 2D:', end2D);
-      
-      const polygon = createWallPolygon(start2D, end2D, thickness, wall);
-      console.log('    ✅ Polygon created:', polygon);
-      
-      return polygon;
-    }).filter(Boolean);
-    
-    console.log(`📐 STEP 1 RESULT: Created ${wallPolygons.length} wall polygons`);
-    
-    if (wallPolygons.length === 0) {
-      console.log('❌ No valid wall polygons created');
-      return null;
-    }
-    
-    // Step 2: Apply miter joints for connected walls
-    console.log('\n🔧 STEP 2: Applying miter joints...');
-    const miteredPolygons = applyMiterJoints(wallPolygons, wallGroup);
-    console.log('🔧 STEP 2 RESULT: Miter joints applied');
-    
-    // Step 3: Use polygon boolean operations to create unified geometry
-    console.log('\n🔄 STEP 3: Creating unified geometry...');
-    const unifiedGeometry = unifyWallPolygons(miteredPolygons);
-    console.log('🔄 STEP 3 RESULT: Unified geometry created');
-    
-    const result = {
-      wallGroup,
-      miteredPolygons,
-      unifiedGeometry
-    };
-    
-    console.log('\n✅ PROFESSIONAL CAD RESULT:', {
-      wallGroupCount: result.wallGroup.length,
-      miteredPolygonsCount: result.miteredPolygons.length,
-      unifiedGeometryType: typeof result.unifiedGeometry,
-      unifiedGeometryLength: result.unifiedGeometry?.length || 0
-    });
-    
-    return result;
-  }, [to2D, zoom]);
-
-  // Convert wall centerline to polygon with proper thickness - PROFESSIONAL CAD (WITH DEBUGGING)
-  const createWallPolygon = useCallback((start2D, end2D, thickness, wall) => {
-    console.log(`\n📐 CREATING WALL POLYGON for ${wall.id}:`);
-    console.log('  Start 2D:', start2D);
-    console.log('  End 2D:', end2D);
-    console.log('  Thickness (pixels):', thickness);
-    console.log('  Original thickness param:', wall.params?.thickness || wall.thickness);
-    console.log('  Zoom factor:', zoom);
-    
-    // Calculate perpendicular vector for wall thickness
-    const dx = end2D.x - start2D.x;
-    const dy = end2D.y - start2D.y;
-    const length = Math.sqrt(dx * dx + dy * dy);
-    
-    console.log('  Wall length (pixels):', length.toFixed(2));
-    
-    if (length === 0) {
-      console.log('  ❌ Zero length wall');
-      return null;
-    }
-    
-    // Unit direction vector
-    const unitX = dx / length;
-    const unitY = dy / length;
-    
-    console.log('  Direction vector:', { x: unitX.toFixed(3), y: unitY.toFixed(3) });
-    
-    // Perpendicular offset vector (thickness/2)
-    const offsetX = -(dy / length) * (thickness / 2);
-    const offsetZ = (dx / length) * (thickness / 2);
-    
-    console.log('  Offset vector:', { x: offsetX.toFixed(3), z: offsetZ.toFixed(3) });
-    
-    // Create wall polygon (4 corners) - Counter-clockwise winding (will be closed later)
-    const polygon = [
-      [start2D.x + offsetX, start2D.y + offsetZ], // p1: start + offset
-      [end2D.x + offsetX, end2D.y + offsetZ],     // p2: end + offset  
-      [end2D.x - offsetX, end2D.y - offsetZ],     // p3: end - offset
-      [start2D.x - offsetX, start2D.y - offsetZ]  // p4: start - offset
-    ];
-    
-    console.log('  Polygon corners:', polygon.map((p, i) => `P${i+1}:[${p[0].toFixed(2)}, ${p[1].toFixed(2)}]`));
-    
-    const result = {
-      polygon,
-      wall,
-      start2D,
-      end2D,
-      thickness,
-      centerline: { start: start2D, end: end2D },
-      direction: { x: unitX, y: unitY }
-    };
-    
-    console.log('  ✅ Wall polygon created successfully');
-    return result;
-  }, [zoom]);
-  // Apply miter joints to connected walls - PROFESSIONAL CAD GEOMETRY (WITH DEBUGGING)
-  const applyMiterJoints = useCallback((wallPolygons, wallGroup) => {
-    console.log('\n🔧 MITER JOINTS: Processing', wallPolygons.length, 'wall polygons');
-    console.log('📐 Wall polygons before miter:', wallPolygons.map((wp, i) => ({
-      index: i,
-      wallId: wp.wall?.id,
-      polygon: wp.polygon,
-      centerline: wp.centerline,
-      direction: wp.direction
-    })));
-    
-    const miteredPolygons = wallPolygons.map(wallPoly => ({ ...wallPoly }));
-    const tolerance = 25.0; // Increased to 25px connection tolerance for user drawing imprecision
-    
-    let miterJointsApplied = 0;
-    
-    // Find all wall connections and apply miter joints
-    for (let i = 0; i < wallPolygons.length; i++) {
-      for (let j = i + 1; j < wallPolygons.length; j++) {
-        const wallA = wallPolygons[i];
-        const wallB = wallPolygons[j];
-        
-        if (!wallA || !wallB) continue;
-        
-        console.log(`\n🔍 Checking connection between wall ${wallA.wall?.id} (${i}) and wall ${wallB.wall?.id} (${j})`);
-        
-        // Check if walls are connected at their endpoints
-        const connection = findWallConnection(wallA, wallB, tolerance);
-        
-        if (connection) {
-          console.log(`🔗 CONNECTED: Wall ${i} and ${j} at ${connection.type}`);
-          console.log('  Connection details:', connection);
-          
-          // Calculate miter joint for this connection
-          const miterJoint = calculateMiterJoint(wallA, wallB, connection);
-          
-          if (miterJoint) {
-            console.log('✅ Miter joint calculated:', {
-              angle: (miterJoint.angle * 180 / Math.PI).toFixed(1) + '°',
-              miterLength: miterJoint.miterLength.toFixed(3) + 'm',
-              extensionA: miterJoint.extensionA,
-              extensionB: miterJoint.extensionB
-            });
-            
-            // Apply miter extensions to both walls
-            console.log('📐 Applying miter extensions...');
-            applyMiterExtension(miteredPolygons[i], miterJoint.extensionA);
-            applyMiterExtension(miteredPolygons[j], miterJoint.extensionB);
-            miterJointsApplied++;
-          } else {
-            console.log('❌ Failed to calculate miter joint (walls too parallel?)');
-          }
-        } else {
-          console.log('❌ Walls not connected');
-        }
-      }
-    }
-    
-    console.log(`🔧 MITER JOINTS SUMMARY: Applied ${miterJointsApplied} joints to ${wallPolygons.length} walls`);
-    console.log('📐 Wall polygons after miter:', miteredPolygons.map((wp, i) => ({
-      index: i,
-      wallId: wp.wall?.id,
-      polygon: wp.polygon
-    })));
-    
-    return miteredPolygons;
-  }, []);
-
-  // Find connection between two walls (shared endpoints) - WITH DEBUGGING
-  const findWallConnection = useCallback((wallA, wallB, tolerance) => {
-    console.log(`\n🔍 CONNECTION CHECK: ${wallA.wall.id} ↔ ${wallB.wall.id}`);
-    console.log('  Wall A centerline:', wallA.centerline);
-    console.log('  Wall B centerline:', wallB.centerline);
-    console.log('  Tolerance:', tolerance);
-    
-    const endpoints = [
-      { wall: 'A', point: wallA.centerline.start, type: 'start' },
-      { wall: 'A', point: wallA.centerline.end, type: 'end' },
-      { wall: 'B', point: wallB.centerline.start, type: 'start' },
-      { wall: 'B', point: wallB.centerline.end, type: 'end' }
-    ];
-    
-    console.log('  Endpoints to check:');
-    endpoints.forEach((ep, i) => {
-      console.log(`    ${i}: Wall ${ep.wall} ${ep.type} = [${ep.point.x.toFixed(2)}, ${ep.point.y.toFixed(2)}]`);
-    });
-    
-    // Check all endpoint combinations
-    for (let i = 0; i < 2; i++) {
-      for (let j = 2; j < 4; j++) {
-        const pointA = endpoints[i];
-        const pointB = endpoints[j];
-        
-        const distance = Math.sqrt(
-          Math.pow(pointA.point.x - pointB.point.x, 2) + 
-          Math.pow(pointA.point.y - pointB.point.y, 2)
-        );
-        
-        console.log(`  🔍 ${pointA.wall}-${pointA.type} vs ${pointB.wall}-${pointB.type}:`);
-        console.log(`    [${pointA.point.x.toFixed(2)}, ${pointA.point.y.toFixed(2)}] ↔ [${pointB.point.x.toFixed(2)}, ${pointB.point.y.toFixed(2)}]`);
-        console.log(`    Distance: ${distance.toFixed(2)}px (tolerance: ${tolerance}px)`);
-        
-        if (distance <= tolerance) {
-          console.log(`    ✅ CONNECTION FOUND! Distance ${distance.toFixed(2)} <= ${tolerance}`);
-          return {
-            type: `${pointA.type}-${pointB.type}`,
-            pointA: pointA.point,
-            pointB: pointB.point,
-            wallAEnd: pointA.type,
-            wallBEnd: pointB.type
-          };
-        } else {
-          console.log(`    ❌ Too far: ${distance.toFixed(2)} > ${tolerance}`);
-        }
-      }
-    }
-    
-    console.log('  ❌ NO CONNECTION FOUND');
-    return null;
-  }, []);
-
-  // Calculate miter joint geometry for two connected walls
-  const calculateMiterJoint = useCallback((wallA, wallB, connection) => {
-    const dirA = wallA.direction;
-    const dirB = wallB.direction;
-    
-    // Calculate angle between walls
-    const dotProduct = dirA.x * dirB.x + dirA.y * dirB.y;
-    const angle = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
-    
-    // Skip miter if walls are nearly parallel (avoid division by zero)
-    if (Math.abs(angle) < 0.1 || Math.abs(angle - Math.PI) < 0.1) {
-      return null;
-    }
-    
-    // Calculate angle bisector
-    const bisectorX = dirA.x + dirB.x;
-    const bisectorY = dirA.y + dirB.y;
-    const bisectorLength = Math.sqrt(bisectorX * bisectorX + bisectorY * bisectorY);
-    
-    if (bisectorLength === 0) return null;
-    
-    const bisectorUnit = {
-      x: bisectorX / bisectorLength,
-      y: bisectorY / bisectorLength
-    };
-    
-    // Calculate miter extension length
-    const halfAngle = angle / 2;
-    const rawMiterLength = Math.abs(wallA.thickness / (2 * Math.sin(halfAngle)));
-    
-    console.log('🧮 MITER CALCULATION DETAILS:');
-    console.log('  Half angle:', (halfAngle * 180 / Math.PI).toFixed(1) + '°');
-    console.log('  Wall A thickness:', wallA.thickness.toFixed(3));
-    console.log('  Wall B thickness:', wallB.thickness.toFixed(3));
-    console.log('  Sin(half angle):', Math.sin(halfAngle).toFixed(6));
-    console.log('  Raw miter length:', rawMiterLength.toFixed(3));
-    
-    // Fix: Limit excessive miter extensions more aggressively
-    const avgThickness = (wallA.thickness + wallB.thickness) / 2;
-    const maxMiterLength = avgThickness * 0.5; // Much more conservative limit
-    const clampedMiterLength = Math.min(rawMiterLength, maxMiterLength);
-    
-    console.log('  Average thickness:', avgThickness.toFixed(3));
-    console.log('  Max allowed miter:', maxMiterLength.toFixed(3)); 
-    console.log('  Final clamped miter:', clampedMiterLength.toFixed(3));
-    
-    return {
-      connectionPoint: connection.pointA,
-      bisector: bisectorUnit,
-      miterLength: clampedMiterLength,
-      angle: angle,
-      extensionA: {
-        end: connection.wallAEnd,
-        extension: clampedMiterLength
-      },
-      extensionB: {
-        end: connection.wallBEnd,
-        extension: clampedMiterLength
-      }
-    };
-  }, []);
-
-  // Apply miter extension to a wall polygon (WITH DEBUGGING)
-  const applyMiterExtension = useCallback((wallPoly, extension) => {
-    console.log(`\n🔧 APPLYING MITER EXTENSION:`);
-    console.log('  Wall ID:', wallPoly.wall?.id);
-    console.log('  Extension:', extension);
-    console.log('  Polygon before:', wallPoly.polygon.map(p => `[${p[0].toFixed(2)}, ${p[1].toFixed(2)}]`));
-    
-    if (!extension || extension.extension <= 0) {
-      console.log('  ❌ No extension to apply');
-      return;
-    }
-    
-    const { polygon, direction } = wallPoly;
-    const extLength = extension.extension;
-    
-    console.log('  Direction vector:', { x: direction.x.toFixed(3), y: direction.y.toFixed(3) });
-    console.log('  Extension length:', extLength.toFixed(3));
-    console.log('  Extension end:', extension.end);
-    
-    if (extension.end === 'start') {
-      console.log('  📐 Extending START end of wall');
-      // Extend start end of wall
-      const oldP1 = [polygon[0][0], polygon[0][1]];
-      const oldP4 = [polygon[3][0], polygon[3][1]];
-      
-      polygon[0][0] -= direction.x * extLength; // p1
-      polygon[0][1] -= direction.y * extLength;
-      polygon[3][0] -= direction.x * extLength; // p4
-      polygon[3][1] -= direction.y * extLength;
-      
-      console.log(`    P1: [${oldP1[0].toFixed(2)}, ${oldP1[1].toFixed(2)}] → [${polygon[0][0].toFixed(2)}, ${polygon[0][1].toFixed(2)}]`);
-      console.log(`    P4: [${oldP4[0].toFixed(2)}, ${oldP4[1].toFixed(2)}] → [${polygon[3][0].toFixed(2)}, ${polygon[3][1].toFixed(2)}]`);
-    } else {
-      console.log('  📐 Extending END end of wall');
-      // Extend end end of wall
-      const oldP2 = [polygon[1][0], polygon[1][1]];
-      const oldP3 = [polygon[2][0], polygon[2][1]];
-      
-      polygon[1][0] += direction.x * extLength; // p2
-      polygon[1][1] += direction.y * extLength;
-      polygon[2][0] += direction.x * extLength; // p3
-      polygon[2][1] += direction.y * extLength;
-      
-      console.log(`    P2: [${oldP2[0].toFixed(2)}, ${oldP2[1].toFixed(2)}] → [${polygon[1][0].toFixed(2)}, ${polygon[1][1].toFixed(2)}]`);
-      console.log(`    P3: [${oldP3[0].toFixed(2)}, ${oldP3[1].toFixed(2)}] → [${polygon[2][0].toFixed(2)}, ${polygon[2][1].toFixed(2)}]`);
-    }
-    
-    console.log('  Polygon after:', wallPoly.polygon.map(p => `[${p[0].toFixed(2)}, ${p[1].toFixed(2)}]`));
-    console.log('  ✅ Extension applied successfully');
-  }, []);
-
-  // Detect if wall polygons form a closed room (to avoid interior fill overlap)
-  const detectClosedRoom = useCallback((miteredPolygons) => {
-    if (miteredPolygons.length < 3) return false; // Need at least 3 walls for a room
-    
-    // Check if walls form a closed loop by examining connections
-    const walls = miteredPolygons.map(mp => mp.wall);
-    const tolerance = 60.0; // Generous tolerance to match room closure snapping (50px + buffer)
-    
-    // Get all wall endpoints - use both adjusted and original points
-    const allEndpoints = [];
-    walls.forEach(wall => {
-      const startPoint = wall.params?.adjustedStartPoint || wall.params?.startPoint;
-      const endPoint = wall.params?.adjustedEndPoint || wall.params?.endPoint;
-      
-      if (startPoint && endPoint) {
-        allEndpoints.push({
-          point: startPoint,
-          wallId: wall.id,
-          type: 'start'
-        });
-        allEndpoints.push({
-          point: endPoint,
-          wallId: wall.id,
-          type: 'end'
-        });
-      } else {
-        console.log(`⚠️ Wall ${wall.id} missing endpoints:`, {
-          adjustedStart: wall.params?.adjustedStartPoint,
-          adjustedEnd: wall.params?.adjustedEndPoint,
-          originalStart: wall.params?.startPoint,
-          originalEnd: wall.params?.endPoint
-        });
-      }
-    });
-    
-    console.log(`🏠 CLOSED ROOM DEBUG: Found ${allEndpoints.length} endpoints from ${walls.length} walls`);
-    allEndpoints.forEach((ep, i) => {
-      console.log(`  ${i}: ${ep.wallId} ${ep.type} = [${ep.point.x.toFixed(2)}, ${ep.point.z.toFixed(2)}]`);
-    });
-    
-    // Count connections - each endpoint should connect to exactly one other endpoint
-    let connectionCount = 0;
-    const connections = [];
-    for (let i = 0; i < allEndpoints.length; i++) {
-      for (let j = i + 1; j < allEndpoints.length; j++) {
-        if (allEndpoints[i].wallId === allEndpoints[j].wallId) continue; // Skip same wall
-        
-        const distance = Math.sqrt(
-          Math.pow(allEndpoints[i].point.x - allEndpoints[j].point.x, 2) + 
-          Math.pow(allEndpoints[i].point.z - allEndpoints[j].point.z, 2)
-        );
-        
-        console.log(`🏠 Distance ${allEndpoints[i].wallId}-${allEndpoints[i].type} ↔ ${allEndpoints[j].wallId}-${allEndpoints[j].type}: ${distance.toFixed(2)}px (tolerance: ${tolerance}px)`);
-        
-        if (distance <= tolerance) {
-          connectionCount++;
-          connections.push(`${allEndpoints[i].wallId}-${allEndpoints[i].type} ↔ ${allEndpoints[j].wallId}-${allEndpoints[j].type} (${distance.toFixed(2)}px)`);
-        }
-      }
-    }
-    
-    console.log(`🏠 Found ${connectionCount} connections:`, connections);
-    
-    // For a closed room, we should have exactly walls.length connections
-    const isClosed = connectionCount === walls.length;
-    console.log(`🏠 CLOSED ROOM DETECTION: ${walls.length} walls, ${connectionCount} connections → ${isClosed ? 'CLOSED' : 'OPEN'}`);
-    
-    // 🔍 DEBUG: Additional analysis for closed room detection
-    if (!isClosed && walls.length >= 4) {
-      console.log('🔍 CLOSED ROOM DEBUG: Not detected as closed, analyzing why...');
-      console.log(`   Expected connections: ${walls.length}, Actual: ${connectionCount}`);
-      console.log(`   Tolerance used: ${tolerance}px`);
-      console.log('   Suggestion: Room might be closed but tolerance too strict, or endpoints not aligned');
-      
-      // Check if we're close to the target number of connections
-      if (connectionCount >= walls.length - 1) {
-        console.log('🏠 FORCE CLOSED: Very close to expected connections, treating as closed room');
-        return true;
-      }
-    }
-    
-    return isClosed;
-  }, []);
-
-  // Note: Removed createInteriorBoundary function - now using simpler individual polygon approach for closed rooms
-  // Use polygon boolean operations to create unified wall geometry - PROFESSIONAL CAD (WITH DEBUGGING)
-  const unifyWallPolygons = useCallback((miteredPolygons) => {
-    if (miteredPolygons.length === 0) {
-      console.log('🔄 POLYGON UNION: No polygons to merge');
-      return [];
-    }
-    if (miteredPolygons.length === 1) {
-      console.log('🔄 POLYGON UNION: Only one polygon, returning as-is');
-      return miteredPolygons[0].polygon;
-    }
-    
-    try {
-      console.log('\n🔄 POLYGON UNION: Merging', miteredPolygons.length, 'wall polygons');
-      
-      // Check if this is a closed room to handle fill overlap
-      const isClosedRoom = detectClosedRoom(miteredPolygons);
-      
-      console.log('🔍 Input polygons:', miteredPolygons.map((wp, i) => ({
-        index: i,
-        wallId: wp.wall?.id,
-        polygonPoints: wp.polygon.length,
-        polygon: wp.polygon
-      })));
-      
-      // Convert to martinez format (array of arrays of coordinate pairs) - CLOSE POLYGONS HERE
-      const polygonArray = miteredPolygons.map((wallPoly, i) => {
-        // Close polygon: add first point as last point for Martinez
-        const openPolygon = wallPoly.polygon;
-        const closedPolygon = [...openPolygon, openPolygon[0]];
-        
-        console.log(`📐 Wall ${i} (${wallPoly.wall?.id}) - closing polygon:`);
-        console.log(`  Before close: ${openPolygon.length} points`);
-        console.log(`  After close: ${closedPolygon.length} points`);
-        console.log(`  First point: [${openPolygon[0][0].toFixed(2)}, ${openPolygon[0][1].toFixed(2)}]`);
-        console.log(`  Last point: [${closedPolygon[closedPolygon.length-1][0].toFixed(2)}, ${closedPolygon[closedPolygon.length-1][1].toFixed(2)}]`);
-        
-        const polygon = [closedPolygon];
-        console.log(`📐 Wall ${i} martinez format:`, polygon);
-        return polygon;
-      });
-      
-      console.log('📐 All polygons in martinez format:', polygonArray);
-      
-      // DEBUG: Log exact polygon coordinates before union
-      console.log('\n📍 DETAILED POLYGON COORDINATES BEFORE UNION:');
-      polygonArray.forEach((poly, i) => {
-        console.log(`  Polygon ${i} (${miteredPolygons[i].wall?.id}):`);
-        poly[0].forEach((point, j) => {
-          console.log(`    Point ${j}: [${point[0].toFixed(2)}, ${point[1].toFixed(2)}]`);
-        });
-        
-        // Check for potential issues using closed polygon
-        const points = poly[0]; // This is now the closed polygon
-        const area = Math.abs(points.slice(0, -1).reduce((acc, point, idx) => {
-          const nextIdx = (idx + 1) % (points.length - 1); // Exclude duplicate closing point
-          const nextPoint = points[nextIdx];
-          return acc + (point[0] * nextPoint[1] - nextPoint[0] * point[1]);
-        }, 0) / 2);
-        console.log(`    Area: ${area.toFixed(2)} pixels²`);
-        
-        // Check if polygon is closed (first and last points same)
-        const first = points[0];
-        const last = points[points.length - 1];
-        const isClosed = (Math.abs(first[0] - last[0]) < 0.01 && Math.abs(first[1] - last[1]) < 0.01);
-        console.log(`    Closed: ${isClosed} (${points.length} points)`);
-      });
-      
-      // Perform union operation using martinez-polygon-clipping
-      let result = polygonArray[0];
-      console.log('\n🚀 Starting union with:', result);
-      
-      for (let i = 1; i < polygonArray.length; i++) {
-        console.log(`\n🔄 Union step ${i}: Merging with polygon ${i}`);
-        console.log('  Current result:', result);
-        console.log('  Adding polygon:', polygonArray[i]);
-        
-        const newResult = martinez.union(result, polygonArray[i]);
-        console.log('  Union result:', newResult);
-        result = newResult;
-      }
-      
-      // 🏠 CLOSED ROOM FIX: For closed rooms OR 4+ walls, return individual polygons to avoid interior fill
-      // Force individual rendering for any room with 4+ walls to prevent interior fill issues
-      const shouldUseIndividualPolygons = isClosedRoom || miteredPolygons.length >= 4;
-      
-      if (shouldUseIndividualPolygons) {
-        console.log('\n🏠 USING INDIVIDUAL POLYGONS: Avoiding interior fill...');
-        console.log(`🏠 Reason: ${isClosedRoom ? 'Detected closed room' : 'Room has 4+ walls'} (${miteredPolygons.length} walls)`);
-        console.log('🏠 Returning individual polygons instead of unified geometry to prevent interior fills');
-        
-        // Return a special marker indicating this should use individual polygons
-        return {
-          isClosedRoom: true, // Mark as closed room to trigger individual rendering
-          individualPolygons: miteredPolygons.map(mp => mp.polygon)
-        };
-      }
-      
-      console.log('\n✅ POLYGON UNION: Final success!');
-      console.log('  Result type:', typeof result);
-      console.log('  Result length:', result?.length || 0);
-      console.log('  Final unified geometry:', result);
-      
-      return result;
-      
-    } catch (error) {
-      console.warn('\n⚠️ POLYGON UNION: Failed, falling back to individual polygons');
-      console.error('Error details:', error);
-      console.log('Fallback: returning individual polygons');
-      const fallback = miteredPolygons.map(wp => wp.polygon);
-      console.log('Fallback polygons:', fallback);
-      return fallback;
-    }
-  }, [detectClosedRoom]);
-
-  // Generate SVG path from unified polygon geometry - PROFESSIONAL CAD RENDERING (FIXED)
-  const generateSVGPath = useCallback((polygonGeometry) => {
-    console.log('\n🎨 SVG PATH GENERATION (FIXED):');
-    console.log('  Input geometry:', polygonGeometry);
-    console.log('  Input type:', typeof polygonGeometry);
-    console.log('  Input length:', polygonGeometry?.length);
-    
-    if (!polygonGeometry || polygonGeometry.length === 0) {
-      console.log('❌ SVG PATH: No geometry provided');
-      return '';
-    }
-    
-    try {
-      let pathData = '';
-      
-      // Martinez returns format: [[[outer_ring], [hole1], [hole2]], [[outer_ring2]]]
-      // We need to handle each multi-polygon and each ring within it
-      
-      if (Array.isArray(polygonGeometry)) {
-        // Normalize: if geometry is a single ring [[x,y]...], wrap to [[ring]]
-        if (polygonGeometry.length > 0 && Array.isArray(polygonGeometry[0]) && typeof polygonGeometry[0][0] === 'number') {
-          polygonGeometry = [ [ polygonGeometry ] ];
-        }
-        console.log('🔍 Processing Martinez polygon array...');
-        
-        polygonGeometry.forEach((multiPolygon, mpIndex) => {
-          console.log(`\n📐 Multi-polygon ${mpIndex}:`, multiPolygon);
-          
-          if (Array.isArray(multiPolygon)) {
-            multiPolygon.forEach((ring, ringIndex) => {
-              console.log(`  📍 Ring ${ringIndex}:`, ring);
-              console.log(`  📍 Ring length:`, ring?.length);
-              const previewPoints = Array.isArray(ring) && typeof ring[0]?.[0] === 'number' ? ring.slice(0,3) : [];
-              console.log(`  📍 First few points:`, previewPoints);
-              
-              if (!Array.isArray(ring) || ring.length === 0) {
-                console.log('    ⚠️ Empty ring, skipping');
-                return;
-              }
-              
-              // Ensure we have valid coordinate pairs
-              if (ring.length < 3 || typeof ring[0]?.[0] !== 'number') {
-                console.log('    ⚠️ Ring has less than 3 points, skipping');
-                return;
-              }
-              
-              // Start new path for each ring
-              const firstPoint = ring[0];
-              if (!firstPoint || firstPoint.length < 2) {
-                console.log('    ⚠️ Invalid first point:', firstPoint);
-                return;
-              }
-              
-              const moveCommand = `M${firstPoint[0]},${firstPoint[1]}`;
-              pathData += moveCommand;
-              console.log(`    Move: ${moveCommand}`);
-              
-              // Add line segments for remaining points
-              for (let i = 1; i < ring.length; i++) {
-                const point = ring[i];
-                if (!point || point.length < 2) {
-                  console.log(`    ⚠️ Invalid point ${i}:`, point);
-                  continue;
-                }
-                
-                const lineCommand = `L${point[0]},${point[1]}`;
-                pathData += lineCommand;
-                if (i <= 3) console.log(`    Line ${i}: ${lineCommand}`);
-              }
-              
-              // Close path
-              pathData += 'Z';
-              console.log(`    Close: Z`);
-            });
-          }
-        });
-      }
-      
-      console.log('\n✅ SVG PATH GENERATION: Success!');
-      console.log('  Final SVG path length:', pathData.length);
-      console.log('  Final SVG path preview:', pathData.substring(0, 100) + '...');
-      
-      return pathData;
-      
-    } catch (error) {
-      console.warn('\n⚠️ SVG PATH: Generation failed');
-      console.error('Error details:', error);
-      console.log('  Falling back to simple polygon rendering...');
-      
-      // Fallback: try to render as simple polygons
-      try {
-        let fallbackPath = '';
-        if (Array.isArray(polygonGeometry) && polygonGeometry.length > 0) {
-          const firstPoly = polygonGeometry[0];
-          if (Array.isArray(firstPoly) && firstPoly.length > 0) {
-            const ring = firstPoly[0];
-            if (Array.isArray(ring) && ring.length > 2) {
-              fallbackPath = `M${ring[0][0]},${ring[0][1]}`;
-              for (let i = 1; i < ring.length; i++) {
-                fallbackPath += `L${ring[i][0]},${ring[i][1]}`;
-              }
-              fallbackPath += 'Z';
-            }
-          }
-        }
-        console.log('  Fallback path:', fallbackPath);
-        return fallbackPath;
-      } catch (fallbackError) {
-        console.error('  Fallback also failed:', fallbackError);
-        return '';
-      }
-    }
-  }, []);
-  
-  // Calculate convex hull using Graham scan algorithm - PROFESSIONAL CAD GEOMETRY (LEGACY)
-  const calculateConvexHull = useCallback((points) => {
-    if (points.length <= 3) return points;
-    
-    // Find the bottom-most point (and left-most in case of tie)
-    let start = points[0];
-    for (let i = 1; i < points.length; i++) {
-      if (points[i].y < start.y || (points[i].y === start.y && points[i].x < start.x)) {
-        start = points[i];
-      }
-    }
-    
-    // Sort points by polar angle relative to start point
-    const sortedPoints = points.filter(p => p !== start).sort((a, b) => {
-      const angleA = Math.atan2(a.y - start.y, a.x - start.x);
-      const angleB = Math.atan2(b.y - start.y, b.x - start.x);
-      if (Math.abs(angleA - angleB) < 1e-10) {
-        // If angles are equal, sort by distance
-        const distA = Math.sqrt((a.x - start.x) ** 2 + (a.y - start.y) ** 2);
-        const distB = Math.sqrt((b.x - start.x) ** 2 + (b.y - start.y) ** 2);
-        return distA - distB;
-      }
-      return angleA - angleB;
-    });
-    
-    // Build convex hull using Graham scan
-    const hull = [start];
-    
-    for (const point of sortedPoints) {
-      // Remove points that make clockwise turn
-      while (hull.length > 1) {
-        const p1 = hull[hull.length - 2];
-        const p2 = hull[hull.length - 1];
-        const cross = (p2.x - p1.x) * (point.y - p1.y) - (p2.y - p1.y) * (point.x - p1.x);
-        if (cross > 0) break; // Counter-clockwise turn, keep point
-        hull.pop(); // Clockwise turn, remove point
-      }
-      hull.push(point);
-    }
-    
-    return hull;
-  }, []);
-
-  // Render professional wall joinery with miter joints and unified geometry - PROFESSIONAL CAD
-  const renderProfessionalWallJoinery = useCallback((wallGroups) => {
-    if (!wallGroups || !wallGroups.length) return [];
-    
-    return wallGroups.map((joineryData, groupIndex) => {
-      if (!joineryData || !joineryData.wallGroup) return null;
-      
-      const { wallGroup, miteredPolygons, unifiedGeometry } = joineryData;
-      const firstWall = wallGroup[0];
-      
-      // Get material configuration for the wall group
-      const material = firstWall.params?.material || firstWall.material || 'concrete';
-      
-      // Material-specific colors and patterns - PROFESSIONAL CAD STYLE
-      const materialConfig = {
-        concrete: { fill: '#4a5568', strokeColor: '#2d3748' }, // Dark grey to hide corner intersections
-        brick: { fill: '#975a16', strokeColor: '#7c2d12' }, // Darker brick color
-        wood: { fill: '#92400e', strokeColor: '#78350f' }, // Darker wood tone
-        steel: { fill: '#475569', strokeColor: '#334155' }, // Darker steel blue-grey
-        stone: { fill: '#57534e', strokeColor: '#44403c' }, // Darker stone
-        aluminum: { fill: '#64748b', strokeColor: '#475569' }, // Darker metallic
-        glass: { fill: '#60a5fa', strokeColor: '#3b82f6' }, // Darker blue
-        drywall: { fill: '#6b7280', strokeColor: '#4b5563' } // Darker off-white
-      };
-      
-      const config = materialConfig[material] || materialConfig.concrete;
-      
-      // Determine stroke style based on selection state of any wall in group
-      const isSelected = wallGroup.some(wall => selectedObjects.has(wall.id));
-      const isHovered = wallGroup.some(wall => hoveredWalls.has(wall.id));
-      
-      let strokeColor, strokeWidth, fillColor, fillOpacity;
-      
-      if (isSelected) {
-        strokeColor = '#7c3aed'; // Purple for selected
-        strokeWidth = 3;
-        fillColor = '#ddd6fe'; // Light purple fill
-        fillOpacity = 0.6;
-      } else if (isHovered) {
-        strokeColor = '#3b82f6'; // Blue for hovered
-        strokeWidth = 2.5;
-        fillColor = '#dbeafe'; // Light blue fill
-        fillOpacity = 0.7;
-      } else {
-        strokeColor = config.strokeColor; // Material-specific stroke
-        strokeWidth = 2;
-        fillColor = config.fill; // Material-specific fill
-        fillOpacity = 0.8;
-      }
-      
-      // Create unique pattern ID for this wall group
-      const patternId = `wall-group-pattern-${material}-${groupIndex}`;
-      
-      // Check if this is a closed room with individual polygons
-      const isClosedRoom = unifiedGeometry && unifiedGeometry.isClosedRoom;
-      const individualPolygons = isClosedRoom ? unifiedGeometry.individualPolygons : null;
-      
-      // Generate SVG path from unified geometry (only for non-closed rooms)
-      // SAFETY: Never generate SVG path if we have individual polygons or 4+ walls
-      const svgPath = (isClosedRoom || miteredPolygons.length >= 4) ? null : generateSVGPath(unifiedGeometry);
-      
-      
-      return (
-        <g key={`professional-wall-group-${groupIndex}`}>
-          
-          {/* Define material pattern for this wall group */}
-          <defs>
-            <pattern
-              id={patternId}
-              patternUnits="userSpaceOnUse"
-              width="12"
-              height="12"
-            >
-              <rect width="12" height="12" fill={fillColor} />
-              {renderMaterialPattern(material, 12)}
-            </pattern>
-          </defs>
-          
-          {/* Individual wall click areas (invisible but functional) */}
-          {wallGroup.map(wall => {
-            const startPoint = wall.params?.adjustedStartPoint || wall.params?.startPoint;
-            const endPoint = wall.params?.adjustedEndPoint || wall.params?.endPoint;
-            const thickness = (wall.params?.thickness || wall.params?.width || wall.thickness || wall.width || 0.2) * 100 * zoom;
-            
-            if (!startPoint || !endPoint) return null;
-            
-            const start2D = to2D(startPoint);
-            const end2D = to2D(endPoint);
-            const dx = end2D.x - start2D.x;
-            const dy = end2D.y - start2D.y;
-            const length = Math.sqrt(dx * dx + dy * dy);
-            
-            if (length === 0) return null;
-            
-            const midX = (start2D.x + end2D.x) / 2;
-            const midY = (start2D.y + end2D.y) / 2;
-            const rotation = Math.atan2(dy, dx) * 180 / Math.PI;
-            const transform = `translate(${midX}, ${midY}) rotate(${rotation}) translate(${-midX}, ${-midY})`;
-            
-            return (
-              <rect
-                key={`click-area-${wall.id}`}
-                x={midX - length/2}
-                y={midY - thickness/2}
-                width={length}
-                height={thickness}
-                fill="transparent"
-                stroke="none"
-                transform={transform}
-                {...createUnifiedElementHandlers(wall)}
-              />
-            );
-          })}
-          
-          {/* PROFESSIONAL CAD: Unified wall geometry with material-based fills (for open walls with less than 4 walls) */}
-          {svgPath && !isClosedRoom && miteredPolygons.length < 4 && (
-            <path
-              key={`unified-walls-${groupIndex}`}
-              d={svgPath}
-              fill={`url(#${patternId})`}
-              fillOpacity={fillOpacity}
-              stroke={strokeColor}
-              strokeWidth={strokeWidth}
-              strokeLinejoin="miter"
-              strokeLinecap="square"
-              style={{ pointerEvents: 'none' }}
-            />
-          )}
-          
-          {/* CLOSED ROOM: Individual wall polygons to avoid interior fill overlap */}
-          {isClosedRoom && individualPolygons && individualPolygons.map((polygon, polyIndex) => {
-            if (!polygon || polygon.length === 0) return null;
-            
-            const points = polygon.map(p => `${p[0]},${p[1]}`).join(' ');
-            
-            return (
-              <g key={`closed-room-wall-group-${polyIndex}`}>
-                {/* Wall fill without stroke */}
-                <polygon
-                  points={points}
-                  fill={`url(#${patternId})`}
-                  fillOpacity={fillOpacity}
-                  stroke="none"
-                  style={{ pointerEvents: 'none' }}
-                />
-                {/* Outer perimeter stroke only */}
-                <polygon
-                  points={points}
-                  fill="none"
-                  stroke={strokeColor}
-                  strokeWidth={strokeWidth}
-                  strokeLinejoin="miter"
-                  strokeLinecap="square"
-                  style={{ pointerEvents: 'none' }}
-                />
-              </g>
-            );
-          })}
-          
-          {/* Fallback: Individual wall polygons if unified geometry fails (for open walls) */}
-          {!svgPath && !isClosedRoom && miteredPolygons && miteredPolygons.map((wallPoly, polyIndex) => {
-            if (!wallPoly || !wallPoly.polygon) return null;
-            
-            const points = wallPoly.polygon.map(p => `${p[0]},${p[1]}`).join(' ');
-            
-            return (
-              <polygon
-                key={`miter-wall-${polyIndex}`}
-                points={points}
-                fill={`url(#${patternId})`}
-                fillOpacity={fillOpacity}
-                stroke={strokeColor}
-                strokeWidth={strokeWidth}
-                strokeLinejoin="miter"
-                strokeLinecap="square"
-                style={{ pointerEvents: 'none' }}
-              />
-            );
-          })}
-        </g>
-      );
-    }).filter(Boolean);
-  }, [selectedObjects, hoveredWalls, onObjectClick, renderMaterialPattern, to2D, zoom]);
-  // Smart Wall Grouping: Separate distinct architectural structures
-  const createSmartWallGroups = useCallback((walls) => {
-    try {
-      if (!walls || !Array.isArray(walls)) {
-        console.warn('🚪 createSmartWallGroups: Invalid walls input:', walls);
-        return [];
-      }
-      
-    const wallCentroids = walls.map(wall => {
-        try {
-          if (!wall) {
-            console.warn('🚪 createSmartWallGroups: Null wall encountered');
-            return null;
-          }
-          
-          if (!wall.params) {
-            console.warn(`🚪 createSmartWallGroups: Wall ${wall.id} missing params`);
-            return null;
-          }
-          
-          const start = wall.params.adjustedStartPoint || wall.params.startPoint;
-          const end = wall.params.adjustedEndPoint || wall.params.endPoint;
-          
-          if (!start || !end) {
-            console.warn(`🚪 createSmartWallGroups: Wall ${wall.id} missing start/end points:`, { start, end });
-            return null;
-          }
-          
-          if (typeof start.x !== 'number' || typeof start.z !== 'number' ||
-              typeof end.x !== 'number' || typeof end.z !== 'number') {
-            console.warn(`🚪 createSmartWallGroups: Wall ${wall.id} has invalid coordinates:`, { start, end });
-            return null;
-          }
-      
-      return {
-        wall,
-        centroid: {
-          x: (start.x + end.x) / 2,
-          z: (start.z + end.z) / 2
-        },
-        bounds: {
-          minX: Math.min(start.x, end.x),
-          maxX: Math.max(start.x, end.x),
-          minZ: Math.min(start.z, end.z),
-          maxZ: Math.max(start.z, end.z)
-        }
-      };
-        } catch (wallError) {
-          console.error(`🚪 createSmartWallGroups: Error processing wall ${wall?.id}:`, wallError);
-          return null;
-        }
-    }).filter(Boolean);
-    
-    const spatialGroups = [];
-    const processed = new Set();
-    
-    for (const wallData of wallCentroids) {
-      if (processed.has(wallData.wall.id)) continue;
-      
-      const cluster = [wallData];
-      processed.add(wallData.wall.id);
-      const clusterBounds = { ...wallData.bounds };
-      
-      for (const otherWallData of wallCentroids) {
-        if (processed.has(otherWallData.wall.id)) continue;
-        
-        const clusterCenterX = (clusterBounds.minX + clusterBounds.maxX) / 2;
-        const clusterCenterZ = (clusterBounds.minZ + clusterBounds.maxZ) / 2;
-        
-        const distance = Math.sqrt(
-          Math.pow(otherWallData.centroid.x - clusterCenterX, 2) + 
-          Math.pow(otherWallData.centroid.z - clusterCenterZ, 2)
-        );
-        
-        const spatialThreshold = 100 + (cluster.length * 50);
-        
-        if (distance <= spatialThreshold) {
-          cluster.push(otherWallData);
-          processed.add(otherWallData.wall.id);
-          
-          clusterBounds.minX = Math.min(clusterBounds.minX, otherWallData.bounds.minX);
-          clusterBounds.maxX = Math.max(clusterBounds.maxX, otherWallData.bounds.maxX);
-          clusterBounds.minZ = Math.min(clusterBounds.minZ, otherWallData.bounds.minZ);
-          clusterBounds.maxZ = Math.max(clusterBounds.maxZ, otherWallData.bounds.maxZ);
-        }
-      }
-      
-      spatialGroups.push({
-        walls: cluster.map(wd => wd.wall),
-        bounds: clusterBounds,
-        centroid: {
-          x: (clusterBounds.minX + clusterBounds.maxX) / 2,
-          z: (clusterBounds.minZ + clusterBounds.maxZ) / 2
-        }
-      });
-    }
-    
-    return spatialGroups.map(group => group.walls);
-    } catch (error) {
-      console.error('🚪 CRITICAL ERROR in createSmartWallGroups:', error);
-      console.error('🚪 Walls causing error:', walls);
-      return []; // Return empty array on error
-    }
-  }, []);
-
-  // Create professional wall joinery with miter joints
-  const createProfessionalWallPaths = useCallback((walls) => {
-    const wallJoineryGroups = [];
-    const smartGroups = createSmartWallGroups(walls);
-    
-    smartGroups.forEach((wallGroup) => {
-      const joineryData = createProfessionalWallJoinery(wallGroup);
-      if (joineryData) {
-        wallJoineryGroups.push(joineryData);
-      }
-    });
-    
-    return wallJoineryGroups;
-  }, [createSmartWallGroups, createProfessionalWallJoinery]);
-  // Render architectural wall with proper styling
-  const renderArchitecturalWall = useCallback((object, pos2d, props, isSelected, transform) => {
-    const material = object.params?.material || object.material || 'concrete';
-    const thickness = (object.params?.thickness || object.params?.width || object.thickness || object.width || 0.2) * 100 * zoom;
-    
-    // Use actual length with joinery adjustments if available
-    let actualLength = object.params?.actualLength || object.params?.length || object.length || 4;
-    if (object.params?.adjustForJoinery && (object.params?.startAdjustment || object.params?.endAdjustment)) {
-      // Apply joinery length adjustments
-      const startAdj = object.params?.startAdjustment || 0;
-      const endAdj = object.params?.endAdjustment || 0;
-      actualLength = actualLength - startAdj - endAdj;
-      console.log(`🔧 Wall ${object.id} joinery: original=${(object.params?.length || object.length || 4).toFixed(3)}m, adjusted=${actualLength.toFixed(3)}m`);
-      
-      // Debug wall state when joinery is applied
-      wallJoineryDebugger.debugWallState(object);
-    }
-    const length = actualLength * 100 * zoom;
-    
-    // Debug wall rendering
-    wallJoineryDebugger.debugWallRendering(object, pos2d, actualLength, thickness / (100 * zoom));
-    
-    // Wall selection state checks
-    const isSelectable = selectableWalls.has(object.id);
-    const isHovered = hoveredWalls.has(object.id);
-    const hasNearbyEdge = nearbyEdges.some(edge => edge.wallId === object.id);
-    
-    // Material-specific colors and patterns - PROFESSIONAL CAD STYLE
-    const materialConfig = {
-      concrete: { fill: '#4a5568', strokeColor: '#2d3748' }, // Dark grey to hide corner intersections
-      brick: { fill: '#975a16', strokeColor: '#7c2d12' }, // Darker brick color
-      wood: { fill: '#92400e', strokeColor: '#78350f' }, // Darker wood tone
-      steel: { fill: '#475569', strokeColor: '#334155' }, // Darker steel blue-grey
-      stone: { fill: '#57534e', strokeColor: '#44403c' }, // Darker stone
-      aluminum: { fill: '#64748b', strokeColor: '#475569' }, // Darker metallic
-      glass: { fill: '#60a5fa', strokeColor: '#3b82f6' }, // Darker blue
-      drywall: { fill: '#6b7280', strokeColor: '#4b5563' } // Darker off-white
-    };
-    
-    const config = materialConfig[material] || materialConfig.concrete;
-    
-    // Dynamic styling based on state
-    let strokeColor, strokeWidth, fillOpacity, glowEffect;
-    
-    if (isSelected) {
-      strokeColor = '#8b5cf6';
-      strokeWidth = 3;
-      fillOpacity = 0.6; // More visible when selected
-    } else if (hasNearbyEdge) {
-      strokeColor = '#10b981'; // Green for edge-ready
-      strokeWidth = 3;
-      fillOpacity = 0.5;
-      glowEffect = true;
-    } else if (isHovered && isSelectable) {
-      strokeColor = '#3b82f6'; // Blue for hover
-      strokeWidth = 2;
-      fillOpacity = 0.7; // More visible when hovered
-    } else if (isSelectable) {
-      strokeColor = config.strokeColor; // Use material-specific stroke color
-      strokeWidth = 1.5;
-      fillOpacity = 0.8; // Material fills are now visible!
-    } else {
-      strokeColor = config.strokeColor; // Use material-specific stroke color
-      strokeWidth = 1.5;
-      fillOpacity = 0.8; // Material fills are now visible!
-    }
-    
-    // No longer override material fills - show the actual material colors!
-    
-    // Calculate pattern ID for unique patterns
-    const patternId = `wall-pattern-${material}-${object.id}`;
+    // Calculate pattern ID for unique patterns
+    const patternId = `wall-pattern-${material}-${object.id}`;
     
     return (
       <g key={object.id}>
@@ -4732,6 +3751,545 @@ const CAD2DViewport = ({
       </g>
     );
   }, [viewportTheme, onObjectClick]);
+  
+  // Render room as a filled zone with name, number and area
+  const renderRoom2D = useCallback((object) => {
+    const params = object.params || {};
+    const polygon = params.polygon || params.boundary;
+    if (!polygon || polygon.length < 3) return null;
+    
+    const isSelected = selectedObjects.has(object.id);
+    const toPath = (points) => points.map((point, i) => {
+      const p = to2D({ x: point.x, y: 0, z: point.z });
+      return `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`;
+    }).join(' ') + ' Z';
+    const path = [polygon, ...(params.holes || [])].map(toPath).join(' ');
+    const label = to2D({ x: params.labelPoint?.x ?? polygon[0].x, y: 0, z: params.labelPoint?.z ?? polygon[0].z });
+    const textColor = viewportTheme === 'light' ? '#1e3a8a' : '#bfdbfe';
+    const fontSize = Math.max(9, Math.min(14, 12 * zoom));
+    
+    return (
+      <g
+        key={`room-${object.id}`}
+        onClick={() => onObjectClick(object.id, object)}
+        className="cursor-pointer"
+      >
+        <path
+          d={path}
+          fillRule="evenodd"
+          fill={params.color || '#60a5fa'}
+          fillOpacity={isSelected ? 0.3 : 0.12}
+          stroke={isSelected ? (viewportTheme === 'light' ? '#8b5cf6' : '#a855f7') : 'none'}
+          strokeWidth={isSelected ? 2 : 0}
+          strokeDasharray="6,3"
+        />
+        <text
+          x={label.x}
+          y={label.y - fontSize * 0.6}
+          textAnchor="middle"
+          fontSize={fontSize}
+          fontWeight="600"
+          fill={textColor}
+          className="pointer-events-none select-none"
+        >
+          {params.name || 'Room'} {params.number || ''}
+        </text>
+        <text
+          x={label.x}
+          y={label.y + fontSize * 0.8}
+          textAnchor="middle"
+          fontSize={fontSize * 0.85}
+          fill={textColor}
+          className="pointer-events-none select-none"
+        >
+          {(params.area || 0).toFixed(2)} m²
+        </text>
+      </g>
+    );
+  }, [to2D, zoom, selectedObjects, viewportTheme, onObjectClick]);
+  
+  // Render roof plan: eave outline, ridges, hips, valleys and slope arrows with pitches
+  const renderRoof2D = useCallback((object) => {
+    const roof = object.roof;
+    if (!roof || !roof.outline || roof.outline.length < 3) return null;
+
+    const isSelected = selectedObjects.has(object.id);
+    const toPath = (points) => points.map((point, i) => {
+      const p = to2D({ x: point.x, y: 0, z: point.z });
+      return `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`;
+    }).join(' ') + ' Z';
+    const lineColor = viewportTheme === 'light' ? '#374151' : '#d1d5db';
+    const accent = isSelected ? (viewportTheme === 'light' ? '#8b5cf6' : '#a855f7') : lineColor;
+    const lineStyles = {
+      ridge: { strokeWidth: 1.5 },
+      hip: { strokeWidth: 1 },
+      valley: { strokeWidth: 1, strokeDasharray: '6,3' },
+      break: { strokeWidth: 1, strokeDasharray: '8,3,2,3' }
+    };
+    const fontSize = Math.max(8, Math.min(12, 10 * zoom));
+
+    return (
+      <g
+        key={`roof-${object.id}`}
+        onClick={() => onObjectClick(object.id, object)}
+        className="cursor-pointer"
+      >
+        <path
+          d={toPath(roof.outline)}
+          fill={viewportTheme === 'light' ? '#b45309' : '#f59e0b'}
+          fillOpacity={isSelected ? 0.25 : 0.1}
+          stroke={accent}
+          strokeWidth={isSelected ? 2 : 1.5}
+        />
+        {/* Wall plate line under the overhang */}
+        <path
+          d={toPath(roof.footprint)}
+          fill="none"
+          stroke={lineColor}
+          strokeWidth={0.75}
+          strokeDasharray="3,3"
+          opacity={0.6}
+        />
+        {roof.lines.filter(line => lineStyles[line.type]).map((line, i) => {
+          const start = to2D({ x: line.start.x, y: 0, z: line.start.z });
+          const end = to2D({ x: line.end.x, y: 0, z: line.end.z });
+          return (
+            <line
+              key={`roof-line-${i}`}
+              x1={start.x}
+              y1={start.y}
+              x2={end.x}
+              y2={end.y}
+              stroke={accent}
+              {...lineStyles[line.type]}
+            />
+          );
+        })}
+        {roof.faces.filter(face => face.slope && face.center).map((face, i) => {
+          const tail = to2D({ x: face.center.x, y: 0, z: face.center.z });
+          const head = to2D({ x: face.center.x + face.slope.x * 0.8, y: 0, z: face.center.z + face.slope.z * 0.8 });
+          const angle = Math.atan2(head.y - tail.y, head.x - tail.x);
+          const barb = Math.max(4, 6 * zoom);
+          return (
+            <g key={`roof-slope-${i}`} className="pointer-events-none select-none">
+              <line x1={tail.x} y1={tail.y} x2={head.x} y2={head.y} stroke={accent} strokeWidth={1} />
+              <path
+                d={`M${head.x},${head.y} L${head.x - barb * Math.cos(angle - 0.4)},${head.y - barb * Math.sin(angle - 0.4)} L${head.x - barb * Math.cos(angle + 0.4)},${head.y - barb * Math.sin(angle + 0.4)} Z`}
+                fill={accent}
+              />
+              <text
+                x={tail.x}
+                y={tail.y - 4}
+                textAnchor="middle"
+                fontSize={fontSize}
+                fill={accent}
+              >
+                {Math.round(face.pitch)}°
+              </text>
+            </g>
+          );
+        })}
+      </g>
+    );
+  }, [to2D, zoom, selectedObjects, viewportTheme, onObjectClick]);
+  
+  // Screen position of a point in an object's local plan (stairs, ramps), placed and rotated like its mesh
+  const localToPlan = useCallback((object) => {
+    const origin = object.position || object.mesh3D?.position || { x: 0, z: 0 };
+    const angle = object.rotation?.y || 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return (point) => to2D({
+      x: origin.x + point.x * cos + point.z * sin,
+      y: 0,
+      z: origin.z - point.x * sin + point.z * cos
+    });
+  }, [to2D]);
+  
+  // Render parametric stair plan: treads up to the cut plane, faint treads above it, the
+  // break line and the walkline arrow marked UP
+  const renderStairPlan2D = useCallback((object) => {
+    const stair = object.stair;
+    const toPlan = localToPlan(object);
+    const toPath = (points, close = true) => points.map((point, i) => {
+      const p = toPlan(point);
+      return `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`;
+    }).join(' ') + (close ? ' Z' : '');
+
+    const isSelected = selectedObjects.has(object.id);
+    const failsCode = object.params?.validation && !object.params.validation.ok;
+    const lineColor = viewportTheme === 'light' ? '#1f2937' : '#d1d5db';
+    const accent = isSelected ? (viewportTheme === 'light' ? '#8b5cf6' : '#a855f7') : lineColor;
+    const cutIndex = stair.cut ? stair.cut.index : stair.treads.length;
+
+    // Zigzag break across the cut tread
+    let breakLine = null;
+    if (stair.cut) {
+      const [a, b] = stair.cut.line.map(toPlan);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const length = Math.hypot(dx, dy) || 1;
+      const zig = Math.max(3, 5 * zoom);
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      const along = { x: dx / length * zig, y: dy / length * zig };
+      const across = { x: -dy / length * zig, y: dx / length * zig };
+      breakLine = `M${a.x},${a.y} L${mid.x - along.x},${mid.y - along.y} ` +
+        `L${mid.x + across.x - along.x / 2},${mid.y + across.y - along.y / 2} ` +
+        `L${mid.x - across.x + along.x / 2},${mid.y - across.y + along.y / 2} ` +
+        `L${mid.x + along.x},${mid.y + along.y} L${b.x},${b.y}`;
+    }
+
+    const arrow = (stair.arrow || []).map(toPlan);
+    const head = arrow[arrow.length - 1];
+    const beforeHead = arrow[arrow.length - 2];
+    const headAngle = head && beforeHead ? Math.atan2(head.y - beforeHead.y, head.x - beforeHead.x) : 0;
+    const barb = Math.max(4, 6 * zoom);
+    const fontSize = Math.max(8, Math.min(12, 10 * zoom));
+
+    return (
+      <g
+        key={`stair-${object.id}`}
+        onClick={() => onObjectClick(object.id, object)}
+        className="cursor-pointer"
+      >
+        {stair.treads.map((tread, i) => (
+          <path
+            key={`stair-tread-${i}`}
+            d={toPath(tread.points)}
+            fill={failsCode ? '#ef4444' : (viewportTheme === 'light' ? '#e5e7eb' : '#374151')}
+            fillOpacity={i <= cutIndex ? (failsCode ? 0.25 : 0.5) : 0}
+            stroke={accent}
+            strokeWidth={isSelected ? 1.5 : 1}
+            strokeDasharray={i > cutIndex ? '3,3' : undefined}
+            opacity={i > cutIndex ? 0.5 : 1}
+          />
+        ))}
+        {breakLine && (
+          <path d={breakLine} fill="none" stroke={accent} strokeWidth={1.5} />
+        )}
+        {arrow.length > 1 && (
+          <g className="pointer-events-none select-none">
+            <path d={toPath(stair.arrow, false)} fill="none" stroke={accent} strokeWidth={1} />
+            <circle cx={arrow[0].x} cy={arrow[0].y} r={Math.max(2, 3 * zoom)} fill={accent} />
+            <path
+              d={`M${head.x},${head.y} L${head.x - barb * Math.cos(headAngle - 0.4)},${head.y - barb * Math.sin(headAngle - 0.4)} L${head.x - barb * Math.cos(headAngle + 0.4)},${head.y - barb * Math.sin(headAngle + 0.4)} Z`}
+              fill={accent}
+            />
+            <text
+              x={arrow[0].x}
+              y={arrow[0].y + fontSize + 2}
+              textAnchor="middle"
+              fontSize={fontSize}
+              fontWeight="600"
+              fill={accent}
+            >
+              UP
+            </text>
+          </g>
+        )}
+      </g>
+    );
+  }, [localToPlan, zoom, selectedObjects, viewportTheme, onObjectClick]);
+  
+  // Render ramp plan: runs with an arrow pointing up the slope, landings, and the gradient
+  const renderRamp2D = useCallback((object) => {
+    const ramp = object.ramp;
+    const toPlan = localToPlan(object);
+    const toPath = (points) => points.map((point, i) => {
+      const p = toPlan(point);
+      return `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`;
+    }).join(' ') + ' Z';
+
+    const isSelected = selectedObjects.has(object.id);
+    const failsCode = object.params?.validation && !object.params.validation.ok;
+    const lineColor = viewportTheme === 'light' ? '#1f2937' : '#d1d5db';
+    const accent = isSelected ? (viewportTheme === 'light' ? '#8b5cf6' : '#a855f7') : lineColor;
+    const fill = failsCode ? '#ef4444' : (viewportTheme === 'light' ? '#c7d2fe' : '#4338ca');
+    const barb = Math.max(4, 6 * zoom);
+    const fontSize = Math.max(8, Math.min(12, 10 * zoom));
+
+    return (
+      <g
+        key={`ramp-${object.id}`}
+        onClick={() => onObjectClick(object.id, object)}
+        className="cursor-pointer"
+      >
+        {ramp.landings.map(landing => (
+          <path
+            key={`ramp-landing-${landing.index}`}
+            d={toPath(landing.points)}
+            fill={fill}
+            fillOpacity={0.15}
+            stroke={accent}
+            strokeWidth={isSelected ? 1.5 : 1}
+          />
+        ))}
+        {ramp.runs.map(run => {
+          const tail = toPlan(run.start);
+          const head = toPlan(run.end);
+          const angle = Math.atan2(head.y - tail.y, head.x - tail.x);
+          return (
+            <g key={`ramp-run-${run.index}`}>
+              <path
+                d={toPath(run.points)}
+                fill={fill}
+                fillOpacity={failsCode ? 0.25 : 0.3}
+                stroke={accent}
+                strokeWidth={isSelected ? 1.5 : 1}
+              />
+              <g className="pointer-events-none select-none">
+                <line x1={tail.x} y1={tail.y} x2={head.x} y2={head.y} stroke={accent} strokeWidth={1} />
+                <path
+                  d={`M${head.x},${head.y} L${head.x - barb * Math.cos(angle - 0.4)},${head.y - barb * Math.sin(angle - 0.4)} L${head.x - barb * Math.cos(angle + 0.4)},${head.y - barb * Math.sin(angle + 0.4)} Z`}
+                  fill={accent}
+                />
+              </g>
+            </g>
+          );
+        })}
+        {ramp.runs.length > 0 && (() => {
+          const label = toPlan({
+            x: (ramp.runs[0].start.x + ramp.runs[0].end.x) / 2,
+            z: (ramp.runs[0].start.z + ramp.runs[0].end.z) / 2
+          });
+          return (
+            <text
+              x={label.x + 4}
+              y={label.y}
+              fontSize={fontSize}
+              fill={failsCode ? '#ef4444' : accent}
+              className="pointer-events-none select-none"
+            >
+              {`1:${Math.round(1 / ramp.gradient * 10) / 10} (${ramp.grade}%)`}
+            </text>
+          );
+        })()}
+      </g>
+    );
+  }, [localToPlan, zoom, selectedObjects, viewportTheme, onObjectClick]);
+
+  // Beams are above the cut plane: dashed edges with the profile on the axis.
+  // Braces are drawn as their dashed axis.
+  const renderFraming2D = useCallback((object) => {
+    const { start, end, width, profile } = object.framing;
+    const a = to2D({ x: start.x, y: 0, z: start.z });
+    const b = to2D({ x: end.x, y: 0, z: end.z });
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const half = (width * 100 * zoom) / 2;
+    const nx = -(b.y - a.y) / length * half;
+    const ny = (b.x - a.x) / length * half;
+    const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+    const upright = angle > 90 || angle < -90 ? angle + 180 : angle;
+
+    const isSelected = selectedObjects.has(object.id);
+    const lineColor = viewportTheme === 'light' ? '#1f2937' : '#d1d5db';
+    const accent = isSelected ? (viewportTheme === 'light' ? '#8b5cf6' : '#a855f7') : lineColor;
+    const fontSize = Math.max(8, Math.min(12, 10 * zoom));
+    const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+    return (
+      <g
+        key={`${object.type}-${object.id}`}
+        onClick={() => onObjectClick(object.id, object)}
+        className="cursor-pointer"
+      >
+        {object.type === 'brace' ? (
+          <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={accent} strokeWidth={isSelected ? 2 : 1.5} strokeDasharray="8,4" />
+        ) : (
+          <>
+            <path
+              d={`M${a.x + nx},${a.y + ny} L${b.x + nx},${b.y + ny} L${b.x - nx},${b.y - ny} L${a.x - nx},${a.y - ny} Z`}
+              fill="transparent"
+              stroke={accent}
+              strokeWidth={isSelected ? 1.5 : 1}
+              strokeDasharray="6,3"
+            />
+            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={accent} strokeWidth={0.5} strokeDasharray="12,3,2,3" />
+          </>
+        )}
+        <text
+          x={middle.x}
+          y={middle.y - half - 3}
+          fontSize={fontSize}
+          fill={accent}
+          textAnchor="middle"
+          transform={`rotate(${upright} ${middle.x} ${middle.y})`}
+          className="pointer-events-none select-none"
+        >
+          {profile}
+        </text>
+      </g>
+    );
+  }, [to2D, zoom, selectedObjects, viewportTheme, onObjectClick]);
+
+  // Structural grid axes: chain lines with a labelled bubble past each end
+  const renderStructuralGrids = useCallback(() => {
+    const color = viewportTheme === 'light' ? '#0284c7' : '#38bdf8';
+    const background = viewportTheme === 'light' ? '#ffffff' : '#111827';
+    const radius = Math.max(8, Math.min(14, 40 * zoom));
+
+    return structuralGrids.map(grid => (
+      <g key={`grid-${grid.id}`} className="structural-grid" pointerEvents="none">
+        {generateGridAxes(grid).map(axis => {
+          const a = to2D({ x: axis.start.x, y: 0, z: axis.start.z });
+          const b = to2D({ x: axis.end.x, y: 0, z: axis.end.z });
+          const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+          const ux = (b.x - a.x) / length * radius;
+          const uy = (b.y - a.y) / length * radius;
+          const bubbles = [{ x: a.x - ux, y: a.y - uy }, { x: b.x + ux, y: b.y + uy }];
+
+          return (
+            <g key={`${axis.direction}-${axis.index}`}>
+              <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={0.75} strokeDasharray="12,3,2,3" />
+              {bubbles.map((center, i) => (
+                <g key={i}>
+                  <circle cx={center.x} cy={center.y} r={radius} fill={background} stroke={color} strokeWidth={1} />
+                  <text
+                    x={center.x}
+                    y={center.y}
+                    dy="0.35em"
+                    fontSize={radius}
+                    fill={color}
+                    textAnchor="middle"
+                    className="select-none"
+                  >
+                    {axis.name}
+                  </text>
+                </g>
+              ))}
+            </g>
+          );
+        })}
+      </g>
+    ));
+  }, [structuralGrids, to2D, zoom, viewportTheme]);
+
+  // DXF underlays of the level shown, traced over; with the pointer tool their lines can be
+  // picked (shift adds) for conversion to walls
+  const renderDxfUnderlays = useCallback(() => {
+    const levelId = standaloneCADEngine.getLevel(currentFloor) ? currentFloor : standaloneCADEngine.getActiveLevel()?.id;
+    const color = viewportTheme === 'light' ? '#64748b' : '#94a3b8';
+    const selectedColor = viewportTheme === 'light' ? '#ea580c' : '#fb923c';
+    const picking = selectedTool === 'pointer';
+
+    return dxfUnderlays.filter(underlay => underlay.visible && underlay.levelId === levelId).map(underlay => {
+      const hidden = new Set(underlay.layers.filter(layer => !layer.visible).map(layer => layer.name));
+      const isSelected = index => selectedUnderlayItems.some(item => item.underlayId === underlay.id && item.index === index);
+      const select = (event, index) => {
+        if (!picking) return;
+        event.stopPropagation();
+        const item = { underlayId: underlay.id, index };
+        setSelectedUnderlayItems(items => {
+          if (!event.shiftKey) return [item];
+          return isSelected(index)
+            ? items.filter(other => other.underlayId !== underlay.id || other.index !== index)
+            : [...items, item];
+        });
+      };
+
+      return (
+        <g key={`underlay-${underlay.id}`} className="dxf-underlay" opacity={underlay.opacity}>
+          {underlay.primitives.map((primitive, index) => {
+            if (hidden.has(primitive.layer)) return null;
+            if (primitive.type === 'text') {
+              const p = to2D({ x: primitive.position.x, y: 0, z: primitive.position.z });
+              return (
+                <text
+                  key={index}
+                  x={p.x}
+                  y={p.y}
+                  fontSize={Math.max(1, primitive.height * 100 * zoom)}
+                  fill={color}
+                  transform={primitive.rotation ? `rotate(${(-primitive.rotation * 180) / Math.PI} ${p.x} ${p.y})` : undefined}
+                  pointerEvents="none"
+                  className="select-none"
+                >
+                  {primitive.text}
+                </text>
+              );
+            }
+            const points = polylinePoints(primitive).map(point => to2D({ x: point.x, y: 0, z: point.z }));
+            const selected = isSelected(index);
+            return (
+              <polyline
+                key={index}
+                points={points.map(point => `${point.x},${point.y}`).join(' ')}
+                fill="none"
+                stroke={selected ? selectedColor : color}
+                strokeWidth={selected ? 2 : 0.75}
+                pointerEvents={picking ? 'visibleStroke' : 'none'}
+                className={picking ? 'cursor-pointer' : undefined}
+                onClick={(event) => select(event, index)}
+              />
+            );
+          })}
+        </g>
+      );
+    });
+  }, [dxfUnderlays, selectedUnderlayItems, currentFloor, selectedTool, to2D, zoom, viewportTheme]);
+
+  // Associative dimensions of the level shown; arcs and text use the DXF convention of
+  // counterclockwise angles in degrees on the plan
+  const renderDimensions = useCallback(() => {
+    const color = viewportTheme === 'light' ? '#0f766e' : '#5eead4';
+    const point = p => to2D({ x: p.x, y: 0, z: p.z });
+
+    return dimensionDrawings.map(({ id, entities }) => (
+      <g key={`dimension-${id}`} className="dimension" pointerEvents="none">
+        {entities.map((entity, index) => {
+          if (entity.type === 'line') {
+            const a = point(entity.start);
+            const b = point(entity.end);
+            return <line key={index} x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={0.75} />;
+          }
+          if (entity.type === 'arc') {
+            const toRadians = Math.PI / 180;
+            const steps = Math.max(2, Math.ceil(Math.abs(entity.endAngle - entity.startAngle) / 5));
+            const points = Array.from({ length: steps + 1 }, (_, i) => {
+              const angle = (entity.startAngle + ((entity.endAngle - entity.startAngle) * i) / steps) * toRadians;
+              return point({ x: entity.center.x + entity.radius * Math.cos(angle), z: entity.center.z - entity.radius * Math.sin(angle) });
+            });
+            return <polyline key={index} points={points.map(p => `${p.x},${p.y}`).join(' ')} fill="none" stroke={color} strokeWidth={0.75} />;
+          }
+          const p = point(entity.position);
+          return (
+            <text
+              key={index}
+              x={p.x}
+              y={p.y}
+              fontSize={Math.max(8, entity.height * 100 * zoom)}
+              fill={color}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              transform={entity.rotation ? `rotate(${-entity.rotation} ${p.x} ${p.y})` : undefined}
+              className="select-none"
+            >
+              {entity.text}
+            </text>
+          );
+        })}
+      </g>
+    ));
+  }, [dimensionDrawings, to2D, zoom, viewportTheme]);
+
+  // Section lines placed in plan; exterior elevations follow the model and have no marker
+  const renderSectionLines = useCallback(() => {
+    const color = viewportTheme === 'light' ? '#b91c1c' : '#f87171';
+    return sectionViews.filter(view => !view.side).map(view => (
+      <g
+        key={`section-${view.id}`}
+        className="section-line cursor-pointer"
+        onClick={(event) => {
+          if (selectedTool !== 'pointer') return;
+          event.stopPropagation();
+          onOpenSectionView?.(view);
+        }}
+      >
+        {renderSectionMarker(view, color, view.name.replace(/^Section\s+/, ''))}
+      </g>
+    ));
+  }, [sectionViews, viewportTheme, selectedTool, onOpenSectionView, renderSectionMarker]);
+  
   // Render object as 2D shape
   const renderObject2D = useCallback((object) => {
     // SIMPLE DEBUG: Log every object being processed
@@ -4962,9 +4520,17 @@ const CAD2DViewport = ({
       );
     }
     
+    if (object.type === 'ramp' && object.ramp) {
+      return renderRamp2D(object);
+    }
+    
+    if ((object.type === 'beam' || object.type === 'brace') && object.framing) {
+      return renderFraming2D(object);
+    }
+    
     if (props.shape === 'stair') {
-      // Render stair top-view with step indicators
-      return renderStair2D(object, pos2d, props, isSelected);
+      // Parametric stairs draw their treads; library stairs a box with step indicators
+      return object.stair ? renderStairPlan2D(object) : renderStair2D(object, pos2d, props, isSelected);
     }
     
     if (object.type === 'slab' || object.type === 'Slab') {
@@ -5091,7 +4657,7 @@ const CAD2DViewport = ({
     }
     
     return null;
-  }, [to2D, selectedObjects, zoom, viewportTheme, onObjectClick, renderDoor2D, renderSlab2D]);
+  }, [to2D, selectedObjects, zoom, viewportTheme, onObjectClick, renderDoor2D, renderSlab2D, renderStair2D, renderStairPlan2D, renderRamp2D, renderFraming2D]);
 
   // Render wall edge highlights for hover/selection mode
   const renderWallEdgeHighlights = useCallback(() => {
@@ -5245,6 +4811,38 @@ const CAD2DViewport = ({
       const deltaX = end2D.x - start2D.x;
       const deltaY = end2D.y - start2D.y;
       const wallLength = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+      const isLastSegment = i === completeSequence.length - 2;
+      const bulge = isLastSegment ? getSegmentBulge(endPoint) : (drawingBulges[i] || 0);
+      
+      if (bulge && wallLength > 1) {
+        // Curved segment: the sampled centerline stroked at the wall thickness
+        const samples = sampleWall(startPoint, endPoint, bulge).map(sample => to2D({ ...startPoint, ...sample.point }));
+        const path = samples.map((p, index) => `${index ? 'L' : 'M'} ${p.x} ${p.y}`).join(' ');
+        const apex = samples[Math.floor(samples.length / 2)];
+        const wallThickness = Math.max(8, Math.min(0.2 * 100 * zoom, 40));
+        const segmentColor = isLastSegment ? '#10b981' : previewColor;
+        
+        elements.push(
+          <g key={`wall-preview-${i}`}>
+            <path d={path} fill="none" stroke={segmentColor} strokeWidth={wallThickness} opacity={isLastSegment ? 0.5 : 0.7} />
+            <path d={path} fill="none" stroke="#ffffff" strokeWidth="1" strokeDasharray="4,2" opacity="0.6" />
+            {isLastSegment && (
+              <text
+                x={apex.x}
+                y={apex.y - wallThickness / 2 - 8}
+                fill={textColor}
+                fontSize="11"
+                fontWeight="bold"
+                textAnchor="middle"
+                className="pointer-events-none select-none"
+              >
+                {measureWallLength(startPoint, endPoint, bulge).toFixed(2)}m arc
+              </text>
+            )}
+          </g>
+        );
+        continue;
+      }
       
       if (wallLength > 1) { // Only render if segment is long enough
         const midX = (start2D.x + end2D.x) / 2;
@@ -5347,8 +4945,25 @@ const CAD2DViewport = ({
       );
     });
     
+    // Pending point on a three-point arc
+    if (arcThroughPoint) {
+      const through2D = to2D(arcThroughPoint);
+      elements.push(
+        <circle
+          key="arc-through-point"
+          cx={through2D.x}
+          cy={through2D.y}
+          r="4"
+          fill="#f59e0b"
+          stroke="#ffffff"
+          strokeWidth="2"
+          opacity="0.9"
+        />
+      );
+    }
+    
     return <g key="continuous-wall-preview">{elements}</g>;
-  }, [drawingPoints, currentPreviewEnd, viewportTheme, to2D, zoom]);
+  }, [drawingPoints, drawingBulges, arcThroughPoint, getSegmentBulge, currentPreviewEnd, viewportTheme, to2D, zoom]);
 
   /**
  * Render individual Three.js mesh geometry as SVG elements
@@ -5771,6 +5386,57 @@ const renderCADEngineMesh2D = useCallback((object) => {
           })()}
         </defs>
         <rect width="100%" height="100%" fill="url(#grid)" />
+
+        {/* Structural grids */}
+        {renderStructuralGrids()}
+
+        {/* DXF underlays */}
+        {renderDxfUnderlays()}
+
+        {/* Section lines */}
+        {renderSectionLines()}
+        
+        {/* Level below (underlay) */}
+        {underlayObjects.length > 0 && (
+          <g className="level-underlay" opacity={0.35} pointerEvents="none">
+            {underlayObjects.map(obj => {
+              const params = obj.params || {};
+              const stroke = viewportTheme === 'light' ? '#6b7280' : '#9ca3af';
+              
+              if (obj.type === 'wall' && params.startPoint && params.endPoint) {
+                const start = to2D(params.adjustedStartPoint || params.startPoint);
+                const end = to2D(params.adjustedEndPoint || params.endPoint);
+                return (
+                  <line
+                    key={`underlay-${obj.id}`}
+                    x1={start.x} y1={start.y} x2={end.x} y2={end.y}
+                    stroke={stroke}
+                    strokeWidth={Math.max(1, (params.thickness || 0.2) * 100 * zoom)}
+                    strokeLinecap="square"
+                  />
+                );
+              }
+              
+              if (obj.type === 'slab' || obj.type === 'column' || obj.type === 'stair') {
+                const centre = to2D(obj.position || params.position || { x: 0, z: 0 });
+                const width = (params.width || params.stepWidth || (params.radius || 0.2) * 2) * 100 * zoom;
+                const depth = (params.depth || params.totalRun || (params.radius || 0.2) * 2) * 100 * zoom;
+                return (
+                  <rect
+                    key={`underlay-${obj.id}`}
+                    x={centre.x - width / 2} y={centre.y - depth / 2}
+                    width={width} height={depth}
+                    fill="none"
+                    stroke={stroke}
+                    strokeDasharray={obj.type === 'slab' ? '6 4' : undefined}
+                  />
+                );
+              }
+              
+              return null;
+            })}
+          </g>
+        )}
         
         
         {/* CAD Objects (walls below) */}
@@ -5786,8 +5452,11 @@ const renderCADEngineMesh2D = useCallback((object) => {
           
             // Separate objects by type for proper rendering order
             const slabs = objects.filter(obj => obj && obj.type === 'slab');
+            const rooms = objects.filter(obj => obj && obj.type === 'room');
             const walls = objects.filter(obj => obj && obj.type === 'wall' && obj.params);
-            const nonWalls = objects.filter(obj => obj && obj.type !== 'wall' && obj.type !== 'slab');
+            // Parametric roofs draw their roof plan; library model roofs render like other objects
+            const roofs = objects.filter(obj => obj && obj.type === 'roof' && obj.roof);
+            const nonWalls = objects.filter(obj => obj && obj.type !== 'wall' && obj.type !== 'slab' && obj.type !== 'room' && !roofs.includes(obj));
             
             // DEBUG: Check if doors are in the objects array
             const doors = objects.filter(obj => obj && obj.type === 'door');
@@ -5826,10 +5495,7 @@ const renderCADEngineMesh2D = useCallback((object) => {
               console.log(`🧱 ${validWalls.length} walls rendered`);
             }
           
-            // Create professional wall joinery with miter joints
-            const wallJoineryGroups = createProfessionalWallPaths(validWalls);
-          
-            const renderedWalls = renderProfessionalWallJoinery(wallJoineryGroups) || [];
+            const renderedWalls = renderWallJoinery(validWalls);
             const renderedSlabs = slabs.map(object => {
               try {
                 console.log(`🏗️ Rendering slab ${object.id} at bottom layer:`, {
@@ -5843,6 +5509,8 @@ const renderCADEngineMesh2D = useCallback((object) => {
                 return null;
               }
             }).filter(Boolean);
+            const renderedRooms = rooms.map(renderRoom2D).filter(Boolean);
+            const renderedRoofs = roofs.map(renderRoof2D).filter(Boolean);
             const renderedNonWalls = nonWalls.map(object => {
               try {
                 return renderObject2D(object);
@@ -5855,8 +5523,12 @@ const renderCADEngineMesh2D = useCallback((object) => {
             return [
               // Render slabs FIRST (bottom layer)
               ...renderedSlabs,
+              // Room zones sit on the floor, under the walls
+              ...renderedRooms,
               // Render unified wall paths with clean corners
               ...renderedWalls,
+              // Roof plans over the walls they cover
+              ...renderedRoofs,
               // Render non-wall objects last (top layer)
               ...renderedNonWalls
             ];
@@ -5870,6 +5542,9 @@ const renderCADEngineMesh2D = useCallback((object) => {
         {/* Snap indicators for wall endpoints */}
         {renderSnapIndicators()}
         
+        {/* Associative dimensions */}
+        {renderDimensions()}
+        
         {/* Wall edge highlights for door/window placement */}
         {renderWallEdgeHighlights()}
         
@@ -5939,9 +5614,10 @@ const renderCADEngineMesh2D = useCallback((object) => {
             ? 'bg-black/70 text-blue-400' 
             : 'bg-white/90 text-blue-600'
         }`}>
-          2D Plan View - {currentFloor === 'ground' ? 'Ground Floor' : 
+          2D Plan View - {standaloneCADEngine.getLevel(currentFloor)?.name ||
+                         (currentFloor === 'ground' ? 'Ground Floor' : 
                          currentFloor === 'first' ? 'First Floor' : 
-                         currentFloor.replace('floor', 'Floor ')}
+                         currentFloor.replace('floor', 'Floor '))}
         </div>
       </div>
       
@@ -5999,6 +5675,37 @@ const renderCADEngineMesh2D = useCallback((object) => {
         </div>
       )}
       
+      {/* Wall draw mode */}
+      {selectedTool === 'wall' && (
+        <div className={`absolute top-4 left-1/2 transform -translate-x-1/2 flex items-center space-x-1 p-1 rounded-xl backdrop-blur-md border ${
+          viewportTheme === 'dark'
+            ? 'bg-slate-900/80 border-slate-700/60 text-white'
+            : 'bg-white/80 border-white/60 text-gray-900'
+        }`} style={{ boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12)' }}>
+          {[
+            { mode: 'line', label: 'Line', key: 'L' },
+            { mode: 'arc', label: arcThroughPoint ? 'Arc • pick end' : 'Arc', key: 'A' },
+            { mode: 'tangent', label: 'Tangent arc', key: 'T' }
+          ].map(({ mode, label, key }) => (
+            <button
+              key={mode}
+              onClick={() => {
+                setWallDrawMode(mode);
+                setArcThroughPoint(null);
+              }}
+              title={`${label} (${key})`}
+              className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${
+                wallDrawMode === mode
+                  ? 'bg-blue-600/30 text-blue-500'
+                  : 'opacity-70 hover:opacity-100'
+              }`}
+            >
+              {label} <span className="opacity-60">{key}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      
       {/* Viewport controls */}
       <div className="absolute bottom-4 right-4 flex flex-col space-y-2">
         {/* Enhanced Wall Joinery Debug Tools */}
@@ -6145,6 +5852,27 @@ const renderCADEngineMesh2D = useCallback((object) => {
         </button>
       </div>
       
+      {/* Underlay lines picked for conversion */}
+      {selectedUnderlayItems.length > 0 && (
+        <div className={`absolute bottom-16 left-1/2 transform -translate-x-1/2 flex items-center gap-2 px-3 py-2 rounded-md shadow-md text-xs ${
+          viewportTheme === 'dark' ? 'bg-black/80 text-gray-200' : 'bg-white/95 text-gray-700'
+        }`}>
+          <span>{selectedUnderlayItems.length} DXF item(s) selected</span>
+          <button
+            onClick={handleConvertUnderlayToWalls}
+            className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+          >
+            Convert to walls
+          </button>
+          <button
+            onClick={() => setSelectedUnderlayItems([])}
+            className="px-2 py-1 rounded hover:bg-gray-500/20"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
       {/* Drafting instructions */}
       {isDrafting && (
         <div className="absolute bottom-4 left-4 pointer-events-none">
@@ -6170,7 +5898,9 @@ const renderCADEngineMesh2D = useCallback((object) => {
               ? `Click and drag to draw ${selectedTool}` 
               : isWallPlacementTool(selectedTool)
                 ? `🏗️ Hover near wall edges to place ${selectedTool}`
-                : `Click to place ${selectedTool}`
+                : selectedTool === 'dimension'
+                  ? 'Click a wall to dimension its run and openings'
+                  : `Click to place ${selectedTool}`
             }
             <br />
             <span className="text-xs opacity-75">
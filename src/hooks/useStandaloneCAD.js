@@ -113,11 +113,9 @@ export const useStandaloneCAD = () => {
       material,
       shape: params.shape || 'rectangular',
       ...(params.isRamp && {
+        ...params,
         type: 'ramp',
-        isRamp: true,
-        height: params.height,
-        slopeDirection: params.slopeDirection,
-        grade: params.grade
+        isRamp: true
       })
     };
     
@@ -12,6 +12,16 @@
 
 import standaloneCADEngine from './StandaloneCADEngine';
 import cad2DLibraryService from './CAD2DLibraryService';
+import { PROFILE_CATALOG } from '../utils/structuralFraming';
+import { formatSchemaErrors } from '../utils/jsonSchema';
+import {
+  TOOL_ERROR_CODES,
+  parseToolCall,
+  toolCatalog,
+  toolError,
+  validateToolArguments,
+  validateToolResult
+} from '../utils/toolSchemas';
 
 class AICommandExecutor {
   constructor() {
@@ -23,7 +33,7 @@ class AICommandExecutor {
       viewMode: '3d',
       currentFloor: 'ground',
       projectHierarchy: [],
-      availableTools: ['wall', 'slab', 'door', 'window', 'column', 'roof', 'stair'],
+      availableTools: ['wall', 'slab', 'door', 'window', 'column', 'beam', 'brace', 'roof', 'stair', 'ramp', 'grid'],
       viewportData: null
     };
     
@@ -41,8 +51,12 @@ class AICommandExecutor {
     this.toolHandlers.set('door', this.createDoor.bind(this));
     this.toolHandlers.set('window', this.createWindow.bind(this));
     this.toolHandlers.set('column', this.createColumn.bind(this));
+    this.toolHandlers.set('beam', this.createBeam.bind(this));
+    this.toolHandlers.set('brace', this.createBrace.bind(this));
     this.toolHandlers.set('roof', this.createRoof.bind(this));
     this.toolHandlers.set('stair', this.createStair.bind(this));
+    this.toolHandlers.set('ramp', this.createRamp.bind(this));
+    this.toolHandlers.set('grid', this.createGrid.bind(this));
     this.toolHandlers.set('room', this.createRoom.bind(this));
     this.toolHandlers.set('furniture', this.createFurniture.bind(this));
     this.toolHandlers.set('floor', this.createFloor.bind(this));
@@ -59,19 +73,87 @@ class AICommandExecutor {
     return handlers;
   }
 
+  resolveBaseTool(toolName) {
+    // Extract tool name from full tool path (e.g., 'geometry.createWall' -> 'wall')
+    return String(toolName || '').replace(/^geometry\.create/i, '').toLowerCase();
+  }
+
+  /**
+   * Full tool name of a handler ('wall', 'geometry.createwall' -> 'geometry.createWall'),
+   * or null when there is no handler for it
+   */
+  resolveToolName(toolName) {
+    const baseTool = this.resolveBaseTool(toolName);
+    if (!this.toolHandlers.has(baseTool)) return null;
+    return `geometry.create${baseTool.charAt(0).toUpperCase()}${baseTool.slice(1)}`;
+  }
+
+  hasTool(toolName) {
+    return this.resolveToolName(toolName) !== null;
+  }
+
+  /**
+   * Tools the executor can run, in OpenAI ('openai'), Anthropic ('anthropic') function-calling
+   * format or as declared ('json'), for the chat LLM to call directly
+   */
+  getToolCatalog(format = 'openai') {
+    return toolCatalog(Object.keys(this.getHandlers()), format);
+  }
+
+  /**
+   * Run a tool with its arguments validated against the tool's schema
+   * @returns {Promise<{ ok: true, data: any } | { ok: false, error: { code, title, errors?, hint? } }>}
+   */
+  async runTool(toolName, args = {}) {
+    const name = this.resolveToolName(toolName);
+    if (!name) {
+      return { ok: false, error: toolError(TOOL_ERROR_CODES.unknownTool, `Unknown tool: ${toolName}`) };
+    }
+
+    const validation = validateToolArguments(name, args);
+    if (!validation.ok) {
+      console.warn(`⚠️ ${validation.error.title}`);
+      return validation;
+    }
+
+    try {
+      const data = await this.toolHandlers.get(this.resolveBaseTool(name))(validation.args);
+      const { valid, errors } = validateToolResult(name, data);
+      if (!valid) {
+        console.warn(`⚠️ ${name} returned a result outside its schema: ${formatSchemaErrors(errors)}`);
+      }
+      return { ok: true, data };
+    } catch (error) {
+      console.error(`❌ Tool ${name} failed:`, error);
+      return { ok: false, error: toolError(TOOL_ERROR_CODES.exec, `${name} failed`, { hint: error.message }) };
+    }
+  }
+
   /**
    * Execute tool by name for autonomous agent integration
+   * Throws on failure; the error carries the structured { code, title, ... } as toolError.
    */
   async executeTool(toolName, args) {
-    // Extract tool name from full tool path (e.g., 'geometry.createWall' -> 'wall')
-    const baseTool = toolName.replace(/^geometry\.create/i, '').toLowerCase();
-    const handler = this.toolHandlers.get(baseTool);
-    
-    if (!handler) {
-      throw new Error(`Unknown tool: ${toolName}`);
+    const result = await this.runTool(toolName, args);
+    if (!result.ok) {
+      throw Object.assign(new Error(result.error.title), { code: result.error.code, toolError: result.error });
     }
-    
-    return await handler(args);
+    return result.data;
+  }
+
+  /**
+   * Run the tool calls an LLM returned ({ id, name, arguments }) in order
+   * @returns {Promise<Array<{ id, tool, args, ok, data?, error? }>>}
+   */
+  async executeToolCalls(toolCalls = []) {
+    const results = [];
+    for (const call of toolCalls) {
+      const { id, tool, args, error } = parseToolCall(call);
+      const result = error ? { ok: false, error } : await this.runTool(tool, args);
+      results.push({ id, tool, args, ...result });
+    }
+    this.emit('tool_calls_executed', results);
+    return results;
   }
 
   /**
@@ -533,7 +615,7 @@ class AICommandExecutor {
       };
     }
 
-    const objectTypes = ['wall', 'slab', 'door', 'window', 'column', 'roof', 'stair'];
+    const objectTypes = ['wall', 'slab', 'door', 'window', 'column', 'beam', 'brace', 'roof', 'stair', 'ramp', 'grid'];
     const foundType = objectTypes.find(type => lowerMessage.includes(type));
     
     if (!foundType) {
@@ -601,6 +683,46 @@ class AICommandExecutor {
       params.width = params.width || 5;
       params.depth = params.depth || 5;
       params.thickness = params.thickness || 0.2;
+    } else if (objectType === 'roof') {
+      if (dimensions.length >= 1) params.width = dimensions[0];
+      if (dimensions.length >= 2) params.length = dimensions[1];
+      const roofType = ['gable', 'hip', 'shed', 'mansard', 'flat'].find(type => message.includes(type));
+      if (roofType) params.roofType = roofType;
+      const pitchMatch = message.match(/(\d+(?:\.\d+)?)\s*(?:°|deg|degree|degrees)/);
+      if (pitchMatch) params.pitch = parseFloat(pitchMatch[1]);
+    } else if (objectType === 'stair') {
+      if (dimensions.length >= 1) params.width = dimensions[0];
+      if (dimensions.length >= 2) params.totalRise = dimensions[1];
+      if (message.includes('spiral')) params.stairType = 'spiral';
+      else if (message.includes('winder')) params.stairType = 'winder';
+      else if (/\bu[- ]?shaped\b/.test(message)) params.stairType = 'u';
+      else if (/\bl[- ]?shaped\b/.test(message)) params.stairType = 'l';
+      if (/\bleft\b/.test(message)) params.turn = 'left';
+    } else if (objectType === 'ramp') {
+      if (dimensions.length >= 1) params.width = dimensions[0];
+      if (dimensions.length >= 2) params.totalRise = dimensions[1];
+      if (message.includes('switchback')) params.rampType = 'switchback';
+      const ratioMatch = message.match(/\b1\s*:\s*(\d+(?:\.\d+)?)/);
+      const gradeMatch = message.match(/(\d+(?:\.\d+)?)\s*%/);
+      if (ratioMatch) params.gradient = 1 / parseFloat(ratioMatch[1]);
+      else if (gradeMatch) params.grade = parseFloat(gradeMatch[1]);
+    } else if (objectType === 'beam' || objectType === 'brace') {
+      if (dimensions.length >= 1) params.length = dimensions[0];
+      const compact = message.toUpperCase().replace(/\s+/g, '');
+      const profile = Object.keys(PROFILE_CATALOG).find(name => compact.includes(name.replace(/\s+/g, '')));
+      if (profile) params.profile = profile;
+    } else if (objectType === 'column') {
+      if (/\b(?:all|every|each)\b.*\b(?:intersections?|crossings?)\b|\bgrid (?:intersections?|crossings?|points?)\b/.test(message)) {
+        params.atGridIntersections = true;
+      }
+    } else if (objectType === 'grid') {
+      // "4 by 3 bay grid at 7.5m"
+      const baysMatch = message.match(/(\d+)\s*(?:x|×|by)\s*(\d+)(?!\s*(?:m\b|meter|metre|ft|cm))/);
+      if (baysMatch) {
+        params.xBays = parseInt(baysMatch[1], 10);
+        params.zBays = parseInt(baysMatch[2], 10);
+      }
+      if (dimensions.length >= 1) params.spacing = dimensions[0];
     }
     
     // Extract materials
@@ -837,6 +959,11 @@ class AICommandExecutor {
         const { name, level, floorType } = parameters;
         const levelText = level !== null ? ` on level ${level}` : '';
         successMessage = `🏢 Added "${name}" floor${levelText} to your project! \n\n📋 **Floor Name:** ${name}\n🏗️ **Type:** ${floorType || 'Standard Floor'}\n📊 **Level:** ${level || 'Auto-assigned'}\n\nThe new floor is now available in the project tree on the left. You can switch to it and start adding rooms, walls, and furniture. Use the project tree to organize your design across multiple levels!`;
+      } else if (objectType === 'column' && parameters.atGridIntersections) {
+        successMessage = `🏢 Placed ${objectId.length} column${objectId.length === 1 ? '' : 's'} at the grid intersections. Columns placed on a grid follow it when its spacings are edited.`;
+      } else if (objectType === 'grid') {
+        const grid = standaloneCADEngine.getGrid(objectId);
+        successMessage = `📐 Created structural grid "${grid.name}" with ${grid.xSpacings.length + 1} × ${grid.zSpacings.length + 1} axes. Columns and walls snap to its intersections, and you can place a column at every intersection.`;
       } else {
         successMessage = `✅ Created ${objectType} successfully! The ${objectType} has been added to your project and is visible in the viewport.`;
       }
@@ -869,8 +996,12 @@ class AICommandExecutor {
    * Tool-specific creation methods
    */
   async createWall(params) {
+    // Between two plan points when both are given; the length then follows from them
+    const placement = params.startPoint && params.endPoint
+      ? { startPoint: { y: 0, ...params.startPoint }, endPoint: { y: 0, ...params.endPoint } }
+      : { length: params.length || 4 };
     return standaloneCADEngine.createObject('wall', {
-      length: params.length || 4,
+      ...placement,
       height: params.height || 2.5,
       thickness: params.thickness || 0.2,
       material: params.material || 'concrete'
@@ -891,7 +1022,8 @@ class AICommandExecutor {
       width: params.width || 0.9,
       height: params.height || 2.1,
       thickness: params.thickness || 0.05,
-      material: params.material || 'wood'
+      material: params.material || 'wood',
+      ...this.hostPlacement('door', params)
     });
   }
 
@@ -900,11 +1032,45 @@ class AICommandExecutor {
       width: params.width || 1.2,
       height: params.height || 1.4,
       thickness: params.thickness || 0.05,
-      material: params.material || 'aluminum'
+      material: params.material || 'aluminum',
+      ...this.hostPlacement('window', params)
     });
   }
 
+  /**
+   * Insertion params for an opening with a hostWallId; the engine would silently make a
+   * standalone opening when the wall is gone, so that fails here instead
+   */
+  hostPlacement(type, params) {
+    if (!params.hostWallId) return {};
+    if (standaloneCADEngine.getObject(params.hostWallId)?.type !== 'wall') {
+      throw new Error(`there is no wall ${params.hostWallId} to host the ${type}`);
+    }
+    return {
+      hostWallId: params.hostWallId,
+      insertionMode: 'insert_in_wall',
+      insertionPosition: params.insertionPosition ?? 0.5
+    };
+  }
+
   async createColumn(params) {
+    // A column at every crossing of the named grid, or the first one
+    if (params.atGridIntersections) {
+      const gridId = params.gridId || standaloneCADEngine.getGrids()[0]?.id;
+      if (!gridId) {
+        throw new Error('there is no structural grid to place columns on');
+      }
+      const ids = standaloneCADEngine.placeColumnsAtGridIntersections(gridId, {
+        width: params.width || 0.4,
+        depth: params.depth || 0.4,
+        height: params.height || 3.0,
+        material: params.material || 'concrete'
+      });
+      if (ids.length === 0) {
+        throw new Error('every grid intersection already has a column');
+      }
+      return ids;
+    }
     return standaloneCADEngine.createObject('column', {
       width: params.width || 0.4,
       depth: params.depth || 0.4,
@@ -913,23 +1079,87 @@ class AICommandExecutor {
     });
   }
 
+  async createBeam(params) {
+    // Between two columns or along a wall top when named, otherwise a free span on the level
+    if (params.startColumnId && params.endColumnId) {
+      return standaloneCADEngine.placeBeamBetweenColumns(params.startColumnId, params.endColumnId, { profile: params.profile });
+    }
+    if (params.wallId) {
+      return standaloneCADEngine.placeBeamOnWall(params.wallId, params.profile ? { profile: params.profile } : {});
+    }
+    const startPoint = params.startPoint || { x: 0, z: 0 };
+    return standaloneCADEngine.createObject('beam', {
+      startPoint,
+      endPoint: params.endPoint || { x: startPoint.x + (params.length || params.span || 4), z: startPoint.z },
+      profile: params.profile,
+      elevation: params.elevation,
+      material: params.material
+    });
+  }
+
+  async createGrid(params) {
+    const spacing = params.spacing || 6;
+    const grid = standaloneCADEngine.addGrid({
+      name: params.name,
+      origin: params.origin,
+      rotation: params.rotation,
+      xSpacings: params.xSpacings || Array(params.xBays || 3).fill(spacing),
+      zSpacings: params.zSpacings || Array(params.zBays || 2).fill(spacing)
+    });
+    return grid.id;
+  }
+
+  async createBrace(params) {
+    const startPoint = params.startPoint || { x: 0, z: 0 };
+    return standaloneCADEngine.createObject('brace', {
+      startPoint,
+      endPoint: params.endPoint || { x: startPoint.x + (params.length || 3), z: startPoint.z },
+      profile: params.profile,
+      startElevation: params.startElevation,
+      endElevation: params.endElevation,
+      material: params.material
+    });
+  }
+
   async createRoof(params) {
-    // Roof creation would need more complex parameters
-    return standaloneCADEngine.createObject('slab', {
+    // Roofs the wall outline when there is one, otherwise a width x length rectangle
+    return standaloneCADEngine.createObject('roof', {
+      roofType: params.roofType || 'gable',
+      pitch: params.pitch ?? 30,
+      overhang: params.overhang ?? 0.5,
       width: params.width || 10,
-      depth: params.depth || 10,
-      thickness: params.thickness || 0.15,
-      material: params.material || 'concrete'
+      length: params.length || params.depth || 8,
+      material: params.material || 'wood',
+      fromWalls: true
     });
   }
 
   async createStair(params) {
-    // Stair creation would need step-specific parameters
-    return standaloneCADEngine.createObject('slab', {
+    // Rises to the level above unless a height is given; risers follow from the rise
+    return standaloneCADEngine.createObject('stair', {
+      stairType: params.stairType || 'straight',
+      width: params.width || 1.0,
+      totalRise: params.totalRise || params.height,
+      riserHeight: params.riser || params.riserHeight,
+      treadDepth: params.tread || params.treadDepth || 0.28,
+      turn: params.turn,
+      material: params.material || 'concrete',
+      position: params.position
+    });
+  }
+
+  async createRamp(params) {
+    // The length follows from the rise and the gradient, split into runs between landings
+    return standaloneCADEngine.createObject('ramp', {
+      rampType: params.rampType || 'straight',
       width: params.width || 1.2,
-      depth: params.depth || 3,
-      thickness: params.thickness || 0.18,
-      material: params.material || 'concrete'
+      totalRise: params.totalRise || params.height,
+      gradient: params.gradient,
+      grade: params.grade,
+      topLevelId: params.topLevelId,
+      slopeDirection: params.slopeDirection,
+      material: params.material || 'concrete',
+      position: params.position
     });
   }
 
@@ -1276,15 +1506,14 @@ class AICommandExecutor {
    * Fallback method for floor creation when direct access isn't available
    */
   createFloorFallback(params) {
-    const { name = 'New Floor' } = params;
+    const { name = 'New Floor', elevation, height } = params;
     
-    // This is a simulation - in a real implementation, this would need to 
-    // communicate with the main app to add the floor to the PROJECT_TREE
-    console.log('🏢 Simulating floor creation (fallback mode)');
-    console.log(`Would create floor: ${name}`);
+    // Without the app bridge the level is only registered with the engine;
+    // the project tree picks it up when it next syncs
+    console.log('🏢 Creating engine level (fallback mode)');
+    const level = standaloneCADEngine.addLevel({ name, elevation, height });
     
-    // Return a mock floor ID
-    return `floor-${Date.now()}`;
+    return level.id;
   }
 
   /**
@@ -1351,7 +1580,7 @@ class AICommandExecutor {
    * Parse tool selection commands
    */
   parseToolSelection(lowerMessage, originalMessage) {
-    const tools = ['wall', 'slab', 'door', 'window', 'column', 'roof', 'stair'];
+    const tools = ['wall', 'slab', 'door', 'window', 'column', 'beam', 'brace', 'roof', 'stair', 'ramp', 'grid'];
     const foundTool = tools.find(tool => lowerMessage.includes(tool));
     
     if (!foundTool) {
@@ -188,7 +188,7 @@ You focus on consultation and guidance rather than direct tool manipulation.`
             await fetch(this.agentToolResultEndpoint, {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ runId, tool: payload.tool, result: { ok: false, error: { code: 'E_EXEC', title: 'Client exec failed', hint: String(e) } } })
+              body: JSON.stringify({ runId, tool: payload.tool, result: { ok: false, error: e.toolError || { code: 'E_EXEC', title: 'Client exec failed', hint: String(e) } } })
             }).catch(() => {});
             eventManager.progress(runId, { type: 'act', status: 'result', tool: payload.tool, result: { ok: false } });
           }
@@ -338,8 +338,10 @@ You focus on consultation and guidance rather than direct tool manipulation.`
 
   /**
    * Send message to AI with context via backend proxy
+   * With options.tools the executor's tool catalog goes along in the model provider's
+   * function-calling format, and the tool calls the model makes come back as toolCalls.
    */
-  async sendMessage(message, selectedModel = null, mode = null, context = {}) {
+  async sendMessage(message, selectedModel = null, mode = null, context = {}, options = {}) {
     try {
       // Get effective model and settings
       const effectiveModel = this.getEffectiveModel(selectedModel);
@@ -384,6 +386,10 @@ You focus on consultation and guidance rather than direct tool manipulation.`
           safetyFilters: chatSettings.safetyFilters
         }
       };
+
+      if (options.tools) {
+        requestPayload.tools = aiCommandExecutor.getToolCatalog(this.models[effectiveModel].provider === 'claude' ? 'anthropic' : 'openai');
+      }
       
       // Add API key if BYOK is enabled
       if (byokSettings.enabled && byokSettings.apiKeys) {
@@ -438,6 +444,7 @@ You focus on consultation and guidance rather than direct tool manipulation.`
         message: llmText,
         model: data.model,
         provider: data.provider,
+        toolCalls: Array.isArray(data.toolCalls) ? data.toolCalls : [],
         usage: {
           ...data.usage,
           cost: cost.cost,
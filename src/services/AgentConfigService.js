@@ -33,7 +33,11 @@ const DEFAULTS = {
     'geometry.createDoor',
     'geometry.createWindow',
     'geometry.createColumn',
+    'geometry.createBeam',
+    'geometry.createBrace',
+    'geometry.createGrid',
     'geometry.createStair',
+    'geometry.createRamp',
     'geometry.createRoof',
     // Geometry modification
     'geometry.editWall',
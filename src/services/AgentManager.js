@@ -6,6 +6,15 @@
  */
 
 import IntelligentCADService from './IntelligentCADService.js';
+import { LayoutWallHosts } from './StepPlanner.js';
+import { parseRoomProgram } from '../utils/roomLayout';
+
+// Furniture placed in the middle of each room of a simple house
+const ROOM_FURNITURE = {
+  bedroom: { category: 'Furniture', subcategory: 'Bed', preferred: 'Bed' },
+  bathroom: { category: 'Bathroom', subcategory: 'Bathtub', preferred: 'Bathtub' },
+  living: { category: 'Furniture', subcategory: 'Sofa', preferred: 'Sofa' }
+};
 
 class AgentManager {
   constructor(cadEngine) {
@@ -14,6 +23,7 @@ class AgentManager {
     this.currentPlan = null;
     this.currentStep = 0;
     this.isExecuting = false;
+    this.layoutHosts = new LayoutWallHosts(); // Walls of layout plans, for the doors they host
     this.onStepUpdate = null; // Callback for UI updates
     this.onPlanComplete = null; // Callback when plan finishes
     
@@ -59,7 +69,7 @@ class AgentManager {
    * Determine if a user request describes a house/multi-room and the plan is missing walls/partition
    */
   needsHouseAugmentation(userRequest, plan) {
-    if (!plan) return false;
+    if (!plan || plan.layout) return false;
     const req = (userRequest || '').toLowerCase();
     const isHouseLike = /\b(house|home|apartment|flat)\b/.test(req) || /(two|2|three|3|four|4)[\s-]*bed(room)?s?/.test(req);
     if (!isHouseLike) return false;
@@ -157,49 +167,37 @@ class AgentManager {
   }
 
   /**
-   * Very simple house plan: slab -> perimeter walls -> internal partition(s) -> joinery
+   * Simple house plan: rooms laid out side by side (StepPlanner.generateLayoutPlan),
+   * then initial furniture in the middle of each room. Rooms without a corridor get a
+   * living room to open off; with no rooms named, a bedroom and a bathroom off it.
    */
   createSimpleHousePlan(request) {
-    const base = this.extractDimensions(request);
-    const plan = {
-      id: `house_${Date.now()}`,
-      title: 'Creating Simple House',
-      description: 'I\'ll create a simple house: foundation, perimeter walls, internal partitions, and initial furniture in each room.',
-      totalSteps: 7,
-      steps: [
-        {
-          id: 'step_1', number: 1, title: 'Create Foundation Slab', action: 'createSlab', status: 'pending',
-          params: { width: Math.max(base.width, 8), depth: Math.max(base.depth, 6), thickness: 0.25, material: 'concrete', centerPosition: { x: 0, y: 0, z: 0 } }
-        },
-        {
-          id: 'step_2', number: 2, title: 'Perimeter Walls', action: 'createPerimeterWalls', status: 'pending',
-          params: { width: Math.max(base.width, 8), depth: Math.max(base.depth, 6), height: 3, thickness: 0.2, material: 'concrete' }
-        },
-        {
-          id: 'step_3', number: 3, title: 'Create Internal Partition', action: 'createInternalPartition', status: 'pending',
-          params: { orientation: 'vertical', offset: 0, height: 3, thickness: 0.15 }
-        },
-        // Furnish Bedroom 1 (sofa is not typical; use bed)
-        {
-          id: 'step_4', number: 4, title: 'Furnish Bedroom 1', action: 'place2DItem', status: 'pending',
-          params: { category: 'Furniture', subcategory: 'Bed', preferred: 'Bed', offset: { x: -2, z: -1.5 } }
-        },
-        // Furnish Bathroom (bathtub)
-        {
-          id: 'step_5', number: 5, title: 'Furnish Bathroom', action: 'place2DItem', status: 'pending',
-          params: { category: 'Bathroom', subcategory: 'Bathtub', preferred: 'Bathtub', offset: { x: 2.2, z: -1.2 } }
-        },
-        // Furnish Living Room (sofa)
-        {
-          id: 'step_6', number: 6, title: 'Furnish Living Room', action: 'place2DItem', status: 'pending',
-          params: { category: 'Furniture', subcategory: 'Sofa', preferred: 'Sofa', offset: { x: 0, z: 1.8 } }
-        },
-        {
-          id: 'step_7', number: 7, title: 'Apply Wall Joinery', action: 'applyWallJoinery', status: 'pending',
-          params: { tolerance: 0.5, cornerStyle: 'overlap' }
-        }
-      ]
-    };
+    let program = parseRoomProgram(request);
+    if (!program.rooms.some(room => room.roomType === 'living' || room.roomType === 'corridor')) {
+      program = parseRoomProgram(program.rooms.length > 0
+        ? `${request}, a living room`
+        : 'a bedroom and a bathroom off a living room');
+    }
+    const existingObjects = (this.cadEngine?.getAllObjects?.() || [])
+      .map(obj => ({ id: obj.id, type: obj.type, params: obj.params || {} }));
+
+    const plan = this.intelligentCAD.stepPlanner.generateLayoutPlan(program, existingObjects);
+    const joinery = plan.steps.pop();
+    plan.layout.rooms.forEach(room => {
+      const furniture = ROOM_FURNITURE[room.roomType];
+      if (!furniture) return;
+      plan.steps.push({
+        id: `step_${plan.steps.length + 1}`, number: plan.steps.length + 1, title: `Furnish ${room.name}`,
+        action: 'place2DItem', status: 'pending',
+        params: { ...furniture, offset: { x: room.center.x, z: room.center.z } }
+      });
+    });
+    plan.steps.push({ ...joinery, id: `step_${plan.steps.length + 1}`, number: plan.steps.length + 1 });
+
+    plan.id = `house_${Date.now()}`;
+    plan.title = 'Creating Simple House';
+    plan.description = 'I\'ll create a simple house: rooms side by side with shared walls and doors between them, and initial furniture in each room.';
+    plan.totalSteps = plan.steps.length;
     return plan;
   }
 
@@ -488,12 +486,18 @@ class AgentManager {
         
         case 'createPerimeterWalls':
           return await this.executeCreatePerimeterWalls(step.params);
+
+        case 'createWall': {
+          const wallId = this.cadEngine.createObject('wall', step.params);
+          this.layoutHosts.recordWall(step, wallId);
+          return wallId ? { success: true, wallId } : { success: false, error: 'Failed to create wall' };
+        }
         
         case 'createInternalPartition':
           return await this.executeCreateInternalPartition(step.params);
         
         case 'createDoor':
-          return await this.executeCreateDoor(step.params);
+          return await this.executeCreateDoor(step.params, step);
         
         case 'applyWallJoinery':
           return await this.executeApplyWallJoinery(step.params);
@@ -548,31 +552,32 @@ class AgentManager {
       // Simulate wall creation time (more complex than slab)
       await this.delay(1800 + Math.random() * 800); // 1.8-2.6 seconds
       
-      const { width, depth, height, thickness, material } = params;
+      const { width, depth, height, thickness, material, center = { x: 0, z: 0 } } = params;
       const halfWidth = width / 2;
       const halfDepth = depth / 2;
+      const at = (x, z) => ({ x: center.x + x, y: 0, z: center.z + z });
       
       const wallIds = [];
       const wallConfigs = [
         {
           name: 'front',
-          startPoint: { x: -halfWidth, y: 0, z: -halfDepth },
-          endPoint: { x: halfWidth, y: 0, z: -halfDepth }
+          startPoint: at(-halfWidth, -halfDepth),
+          endPoint: at(halfWidth, -halfDepth)
         },
         {
           name: 'right',
-          startPoint: { x: halfWidth, y: 0, z: -halfDepth },
-          endPoint: { x: halfWidth, y: 0, z: halfDepth }
+          startPoint: at(halfWidth, -halfDepth),
+          endPoint: at(halfWidth, halfDepth)
         },
         {
           name: 'back',
-          startPoint: { x: halfWidth, y: 0, z: halfDepth },
-          endPoint: { x: -halfWidth, y: 0, z: halfDepth }
+          startPoint: at(halfWidth, halfDepth),
+          endPoint: at(-halfWidth, halfDepth)
         },
         {
           name: 'left',
-          startPoint: { x: -halfWidth, y: 0, z: halfDepth },
-          endPoint: { x: -halfWidth, y: 0, z: -halfDepth }
+          startPoint: at(-halfWidth, halfDepth),
+          endPoint: at(-halfWidth, -halfDepth)
         }
       ];
       
@@ -639,13 +644,20 @@ class AgentManager {
   /**
    * Execute door creation
    */
-  async executeCreateDoor(params) {
+  async executeCreateDoor(params, step = {}) {
     console.log('🚪 Creating door with params:', params);
     
     try {
       // Simulate door creation time (involves wall modification)
       await this.delay(1500 + Math.random() * 500); // 1.5-2.0 seconds
       
+      // Layout plans name the wall the door goes in
+      if (step.hostWallRef) {
+        const { doorId, hostWallId } = this.layoutHosts.createDoor(this.cadEngine, step);
+        console.log(`✅ Door ${doorId} inserted in wall ${hostWallId}`);
+        return { success: true, doorId, hostWallId };
+      }
+      
       // This would need to integrate with the door creation system
       // For now, just simulate success
       console.log('✅ Door creation completed successfully');
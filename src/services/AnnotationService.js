@@ -0,0 +1,98 @@
+/**
+ * Annotation Service - Project annotation store
+ *
+ * Holds the model's tags, labels and callouts as plain records { id, type, levelId, ... }
+ * (the scene document's annotations collection). The engine saves them with the scene
+ * document and puts them back when a document is loaded; views subscribe to 'changed'.
+ */
+
+class AnnotationService {
+  constructor() {
+    this.annotations = new Map();
+    this.subscribers = new Set();
+    this.nextId = 1;
+  }
+
+  /**
+   * @param {Function} callback - ({ annotations }) after every change
+   * @returns {Function} unsubscribe
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify() {
+    const annotations = this.getAnnotations();
+    this.subscribers.forEach(callback => {
+      try {
+        callback({ annotations });
+      } catch (error) {
+        console.error('❌ AnnotationService: Subscriber failed:', error);
+      }
+    });
+  }
+
+  getAnnotations(levelId = null) {
+    return [...this.annotations.values()]
+      .filter(annotation => !levelId || annotation.levelId === levelId)
+      .map(annotation => ({ ...annotation }));
+  }
+
+  getAnnotation(id) {
+    const annotation = this.annotations.get(id);
+    return annotation ? { ...annotation } : null;
+  }
+
+  /**
+   * @param {Object} data - { type, levelId?, text?, position?, targetId?, ... }
+   * @returns {Object} The stored annotation with its id
+   */
+  addAnnotation(data) {
+    if (!data?.type) {
+      throw new Error('An annotation needs a type');
+    }
+    const id = data.id ? String(data.id) : this.createId();
+    const annotation = { ...data, id };
+    this.annotations.set(id, annotation);
+    this.notify();
+    return { ...annotation };
+  }
+
+  updateAnnotation(id, updates) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) return null;
+    Object.assign(annotation, updates, { id });
+    this.notify();
+    return { ...annotation };
+  }
+
+  removeAnnotation(id) {
+    const removed = this.annotations.delete(id);
+    if (removed) this.notify();
+    return removed;
+  }
+
+  /**
+   * Replace every annotation, e.g. with a loaded document's; ids are kept
+   */
+  setAnnotations(annotations = []) {
+    this.annotations = new Map(annotations.map(annotation => [String(annotation.id), { ...annotation, id: String(annotation.id) }]));
+    const numbers = [...this.annotations.keys()]
+      .map(id => Number(/^annotation_(\d+)$/.exec(id)?.[1]))
+      .filter(Number.isFinite);
+    this.nextId = numbers.length ? Math.max(...numbers) + 1 : 1;
+    this.notify();
+  }
+
+  createId() {
+    let id = `annotation_${this.nextId++}`;
+    while (this.annotations.has(id)) id = `annotation_${this.nextId++}`;
+    return id;
+  }
+}
+
+const annotationService = new AnnotationService();
+
+export { AnnotationService };
+export default annotationService;
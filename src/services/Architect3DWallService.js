@@ -5,6 +5,7 @@ import { WallTypes } from './architect3d/core/constants.js';
 import { Utils } from './architect3d/core/utils.js';
 import { Configuration, configWallThickness, configWallHeight, cornerTolerance } from './architect3d/core/configuration.js';
 import standaloneCADEngine from './StandaloneCADEngine';
+import { bulgeFromThreePoints, wallLength } from '../utils/wallArcs';
 
 /**
  * Enhanced Wall Service with Architect3D's Corner/Joinery Logic
@@ -136,13 +137,21 @@ export class Architect3DWallService {
       if (this.debug) console.log('✅ Wall created successfully with ID:', wall.id);
       // Mirror to CAD engine so walls render in 2D/3D unified
       try {
+        const startPoint = { x: startCorner.location.x, y: 0, z: startCorner.location.y };
+        const endPoint = { x: endCorner.location.x, y: 0, z: endCorner.location.y };
+        // Bezier walls are mirrored as the arc through their ends and midpoint
+        const center = wall.wallCenter();
+        const bulge = wall.wallType === WallTypes.CURVED
+          ? bulgeFromThreePoints(startPoint, { x: center.x, z: center.y }, endPoint)
+          : 0;
         const wallParamsForCAD = {
-          startPoint: { x: startCorner.location.x, y: 0, z: startCorner.location.y },
-          endPoint: { x: endCorner.location.x, y: 0, z: endCorner.location.y },
+          startPoint,
+          endPoint,
+          bulge,
           thickness: (this.config.wallThickness || 20) / 100, // cm → m
           height: (this.config.wallHeight || 270) / 100,       // cm → m
           material: material,
-          length: wall.wallLength(),
+          length: bulge ? wallLength(startPoint, endPoint, bulge) : wall.wallLength(),
           autoExtend: false
         };
         // Targeted debug for 2D→3D sync
@@ -1048,52 +1057,4 @@ export class Architect3DWallService {
     this.handleMouseClick(null, position);
     return true;
   }
-
-  /**
-   * Sync adjusted endpoints from CAD engine back to Architect3D corner system
-   * This fixes the mismatch between 2D rendering and 3D geometry
-   * @param {Object} cadEngineObjects - Objects from CAD engine with adjusted endpoints
-   */
-  syncAdjustedEndpoints(cadEngineObjects) {
-    if (!cadEngineObjects) return;
-
-    console.log('🔄 Syncing adjusted endpoints from CAD engine to Architect3D corners...');
-
-    Object.values(cadEngineObjects).forEach(cadObject => {
-      if (cadObject.type === 'wall' && cadObject.params?.adjustedStartPoint && cadObject.params?.adjustedEndPoint) {
-        // Find corresponding Architect3D wall
-        const architect3DWall = this.walls.find(wall => wall.id === cadObject.id);
-        
-        if (architect3DWall) {
-          // Update corner locations to match adjusted 3D endpoints
-          const adjustedStart = cadObject.params.adjustedStartPoint;
-          const adjustedEnd = cadObject.params.adjustedEndPoint;
-          
-          // Update start corner
-          if (architect3DWall.startCorner) {
-            architect3DWall.startCorner.location.x = adjustedStart.x;
-            architect3DWall.startCorner.location.y = adjustedStart.z; // Note: Architect3D uses Y for Z-world
-            console.log(`📍 Updated wall ${cadObject.id} start corner to:`, architect3DWall.startCorner.location);
-          }
-          
-          // Update end corner  
-          if (architect3DWall.endCorner) {
-            architect3DWall.endCorner.location.x = adjustedEnd.x;
-            architect3DWall.endCorner.location.y = adjustedEnd.z; // Note: Architect3D uses Y for Z-world
-            console.log(`📍 Updated wall ${cadObject.id} end corner to:`, architect3DWall.endCorner.location);
-          }
-
-          // Store adjusted endpoints on the Architect3D wall for direct access
-          architect3DWall.adjustedStartPoint = adjustedStart;
-          architect3DWall.adjustedEndPoint = adjustedEnd;
-          
-          console.log(`✅ Synced wall ${cadObject.id} endpoints: 2D corners now match 3D geometry`);
-        }
-      }
-    });
-    
-    // Trigger room recalculation with updated corner positions
-    this.calculateRooms();
-    console.log('🏠 Room calculation updated with synced endpoints');
-  }
 }
\ No newline at end of file
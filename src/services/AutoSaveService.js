@@ -7,6 +7,7 @@
 import recentProjectsManager from '../utils/RecentProjectsManager';
 import supabaseProjectsService from './SupabaseProjectsService';
 import commandHistory from '../utils/commandHistory';
+import standaloneCADEngine from './StandaloneCADEngine';
 
 class AutoSaveService {
   constructor() {
@@ -168,6 +169,7 @@ class AutoSaveService {
         lastModified: new Date().toISOString(),
         progress: this.calculateProgress(),
         commandHistory: this.captureCommandHistory(),
+        sceneDocument: this.captureSceneDocument(),
         autoSaved: true,
         saved: true // Mark as saved so it appears in recent projects
       };
@@ -252,6 +254,23 @@ class AutoSaveService {
     }
   }
 
+  /**
+   * Capture the scene as a versioned document (objects, floors, joinery, history)
+   */
+  captureSceneDocument() {
+    try {
+      return standaloneCADEngine.exportSceneDocument({
+        name: this.currentProject?.name,
+        description: this.currentProject?.description,
+        createdAt: this.currentProject?.createdAt,
+        includeHistory: false // already saved alongside as commandHistory
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to capture scene document:', error);
+      return null;
+    }
+  }
+
   /**
    * Get current autosave status
    */
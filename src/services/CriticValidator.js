@@ -6,6 +6,10 @@
  */
 
 import standaloneCADEngine from './StandaloneCADEngine';
+import { generateStair, validateStair } from '../utils/stairGeometry';
+import { generateRamp, validateRamp } from '../utils/rampGeometry';
+import { getProfile } from '../utils/structuralFraming';
+import { checkLimits } from '../utils/criticRules';
 
 class CriticValidator {
   constructor() {
@@ -71,6 +75,10 @@ class CriticValidator {
     this.addRule('geometry.createStair', this.validateStair.bind(this));
     this.addRule('geometry.editStair', this.validateStair.bind(this));
     
+    // Ramp validation rules (accessibility)
+    this.addRule('geometry.createRamp', this.validateRamp.bind(this));
+    this.addRule('geometry.editRamp', this.validateRamp.bind(this));
+    
     // Wall validation rules
     this.addRule('geometry.createWall', this.validateWall.bind(this));
     this.addRule('geometry.editWall', this.validateWall.bind(this));
@@ -109,183 +117,97 @@ class CriticValidator {
   }
 
   /**
-   * Validate stair creation/modification against building codes
+   * Validate stair creation/modification against building codes.
+   * Checks the stair the engine built when the result names it, otherwise a stair
+   * generated from the requested riser, tread, width and height.
    */
   async validateStair({ action, result, context }) {
     const args = action.args || {};
-    const { riser, tread, landingAt, width, height } = args;
-
-    // Riser height validation (150-190mm typical)
-    if (riser && (riser < 0.15 || riser > 0.19)) {
-      return { 
-        ok: false, 
-        reason: `Riser height ${(riser * 1000).toFixed(0)}mm out of range (150-190mm)`,
-        category: 'building_code'
-      };
+    const objectId = typeof result === 'string' ? result : result?.objectId || result?.id || args.objectId;
+    const stairObject = objectId ? standaloneCADEngine.getObject(objectId) : null;
+
+    let validation = stairObject?.type === 'stair' ? stairObject.params?.validation : null;
+    if (!validation) {
+      const { riser, tread, landingAt, width, height } = args;
+      // Without a height, keep the requested riser exact over a storey of about 3m
+      const risers = !height && riser ? Math.max(2, Math.round(3 / riser)) : undefined;
+      const stair = generateStair({
+        stairType: args.stairType || (landingAt ? 'l' : 'straight'),
+        totalRise: height || (risers ? risers * riser : undefined),
+        numberOfRisers: risers,
+        riserHeight: riser,
+        treadDepth: tread,
+        width,
+        firstFlightRisers: landingAt
+      });
+      validation = validateStair(stair, standaloneCADEngine.getStairCodeRules());
     }
 
-    // Tread depth validation (250-320mm typical)
-    if (tread && (tread < 0.25 || tread > 0.32)) {
-      return { 
-        ok: false, 
-        reason: `Tread depth ${(tread * 1000).toFixed(0)}mm out of range (250-320mm)`,
-        category: 'building_code'
+    const issue = validation.issues.find(candidate => candidate.severity === 'error') || validation.issues[0];
+    if (issue) {
+      return {
+        ok: false,
+        reason: issue.message,
+        category: issue.severity === 'error' ? 'building_code' : 'ergonomics',
+        measurements: validation.measurements
       };
     }
 
-    // 2R + T rule (typical range: 600-650mm)
-    if (riser && tread) {
-      const formula = (2 * riser) + tread;
-      if (formula < 0.60 || formula > 0.65) {
-        return {
-          ok: false,
-          reason: `2R + T = ${(formula * 1000).toFixed(0)}mm violates comfort rule (600-650mm)`,
-          category: 'ergonomics'
-        };
-      }
-    }
-
-    // Landing depth validation
-    if (landingAt && width && result?.measurements?.landingDepth) {
-      if (result.measurements.landingDepth < width) {
-        return {
-          ok: false,
-          reason: 'Landing depth must be at least equal to stair width',
-          category: 'building_code'
-        };
-      }
-    }
-
-    // Maximum riser count without landing (typically 18 steps)
-    if (height && riser) {
-      const stepCount = Math.ceil(height / riser);
-      if (stepCount > 18 && !landingAt) {
-        return {
-          ok: false,
-          reason: `${stepCount} steps without landing exceeds limit (18 max)`,
-          category: 'building_code'
-        };
-      }
-    }
-
-    return { ok: true, category: 'building_code' };
+    return { ok: true, category: 'building_code', measurements: validation.measurements };
   }
 
   /**
-   * Validate wall creation/modification
+   * Validate ramp creation/modification against the accessibility rules.
+   * Checks the ramp the engine built when the result names it, otherwise a ramp
+   * generated from the requested rise, gradient (or grade) and width.
    */
-  async validateWall({ action, result, context }) {
+  async validateRamp({ action, result, context }) {
     const args = action.args || {};
-    const { thickness, height, startPoint, endPoint } = args;
+    const objectId = typeof result === 'string' ? result : result?.objectId || result?.id || args.objectId;
+    const rampObject = objectId ? standaloneCADEngine.getObject(objectId) : null;
 
-    // Wall thickness validation (minimum 100mm for structural)
-    if (thickness && thickness < 0.10) {
-      return {
-        ok: false,
-        reason: `Wall thickness ${(thickness * 1000).toFixed(0)}mm below minimum (100mm)`,
-        category: 'structural'
-      };
+    let validation = rampObject?.type === 'ramp' ? rampObject.params?.validation : null;
+    if (!validation) {
+      validation = validateRamp(generateRamp(args), standaloneCADEngine.getRampCodeRules());
     }
 
-    // Wall height validation (maximum 4.5m for typical residential)
-    if (height && height > 4.5) {
+    const issue = validation.issues.find(candidate => candidate.severity === 'error') || validation.issues[0];
+    if (issue) {
       return {
         ok: false,
-        reason: `Wall height ${height.toFixed(1)}m exceeds typical limit (4.5m)`,
-        category: 'structural'
+        reason: issue.message,
+        category: 'accessibility',
+        measurements: validation.measurements
       };
     }
 
-    // Wall length validation (minimum 0.3m)
-    if (startPoint && endPoint) {
-      const length = Math.sqrt(
-        Math.pow(endPoint.x - startPoint.x, 2) + 
-        Math.pow(endPoint.z - startPoint.z, 2)
-      );
-      if (length < 0.3) {
-        return {
-          ok: false,
-          reason: `Wall length ${(length * 1000).toFixed(0)}mm below minimum (300mm)`,
-          category: 'practical'
-        };
-      }
-    }
+    return { ok: true, category: 'accessibility', measurements: validation.measurements };
+  }
 
-    return { ok: true, category: 'structural' };
+  /**
+   * Validate wall creation/modification against the shared limits (utils/criticRules)
+   */
+  async validateWall({ action, result, context }) {
+    const { thickness, height, startPoint, endPoint } = action.args || {};
+    const length = startPoint && endPoint
+      ? Math.hypot(endPoint.x - startPoint.x, endPoint.z - startPoint.z)
+      : undefined;
+
+    return checkLimits('wall', { thickness, height, length }) || { ok: true, category: 'structural' };
   }
 
   /**
    * Validate door creation
    */
   async validateDoor({ action, result, context }) {
-    const args = action.args || {};
-    const { width, height } = args;
-
-    // Door width validation (minimum 800mm, maximum 1200mm)
-    if (width) {
-      if (width < 0.80) {
-        return {
-          ok: false,
-          reason: `Door width ${(width * 1000).toFixed(0)}mm below minimum (800mm)`,
-          category: 'accessibility'
-        };
-      }
-      if (width > 1.20) {
-        return {
-          ok: false,
-          reason: `Door width ${(width * 1000).toFixed(0)}mm exceeds typical maximum (1200mm)`,
-          category: 'practical'
-        };
-      }
-    }
-
-    // Door height validation (minimum 2000mm, maximum 2400mm)
-    if (height) {
-      if (height < 2.00) {
-        return {
-          ok: false,
-          reason: `Door height ${(height * 1000).toFixed(0)}mm below minimum (2000mm)`,
-          category: 'building_code'
-        };
-      }
-      if (height > 2.40) {
-        return {
-          ok: false,
-          reason: `Door height ${(height * 1000).toFixed(0)}mm exceeds typical maximum (2400mm)`,
-          category: 'practical'
-        };
-      }
-    }
-
-    return { ok: true, category: 'building_code' };
+    return checkLimits('door', action.args || {}) || { ok: true, category: 'building_code' };
   }
 
   /**
    * Validate window creation
    */
   async validateWindow({ action, result, context }) {
-    const args = action.args || {};
-    const { width, height, sillHeight } = args;
-
-    // Window width validation (minimum 600mm for egress)
-    if (width && width < 0.60) {
-      return {
-        ok: false,
-        reason: `Window width ${(width * 1000).toFixed(0)}mm may not meet egress requirements (600mm min)`,
-        category: 'building_code'
-      };
-    }
-
-    // Sill height validation (minimum 800mm for safety)
-    if (sillHeight && sillHeight < 0.80) {
-      return {
-        ok: false,
-        reason: `Sill height ${(sillHeight * 1000).toFixed(0)}mm below safety minimum (800mm)`,
-        category: 'safety'
-      };
-    }
-
-    return { ok: true, category: 'building_code' };
+    return checkLimits('window', action.args || {}) || { ok: true, category: 'building_code' };
   }
 
   /**
@@ -324,7 +246,13 @@ class CriticValidator {
    */
   async validateBeam({ action, result, context }) {
     const args = action.args || {};
-    const { width, height, span } = args;
+    const objectId = typeof result === 'string' ? result : result?.objectId || result?.id || args.objectId;
+    const beamObject = objectId ? standaloneCADEngine.getObject(objectId) : null;
+
+    // The built beam's span and section depth, else the requested ones
+    const params = beamObject?.type === 'beam' ? beamObject.params : {};
+    const span = params.span || args.span || args.length;
+    const height = params.profileDepth || args.height || args.depth || getProfile(args.profile)?.depth;
 
     // Beam depth-to-span ratio (typical minimum 1:12 for timber)
     if (height && span) {
@@ -367,19 +295,7 @@ class CriticValidator {
    * Validate roof creation
    */
   async validateRoof({ action, result, context }) {
-    const args = action.args || {};
-    const { pitch, span } = args;
-
-    // Roof pitch validation (minimum 10 degrees for drainage)
-    if (pitch && pitch < 10) {
-      return {
-        ok: false,
-        reason: `Roof pitch ${pitch}° below minimum for proper drainage (10° min)`,
-        category: 'building_code'
-      };
-    }
-
-    return { ok: true, category: 'building_code' };
+    return checkLimits('roof', action.args || {}) || { ok: true, category: 'building_code' };
   }
 
   /**
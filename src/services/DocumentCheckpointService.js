@@ -2,15 +2,20 @@
  * DocumentCheckpointService - Transactional checkpoints for multi-step operations
  * 
  * Provides transactional semantics for autonomous agent operations
- * Wraps CAD engine's checkpoint/undo APIs for rollback capability
+ * Checkpoints are geometry-free engine snapshots (StandaloneCADEngine.captureSnapshot);
+ * the outermost open transaction keeps a full snapshot and every nested one only its
+ * diff against the one before (utils/documentSnapshots). Rolling back rebuilds just the
+ * objects that changed since the checkpoint.
  */
 
 import standaloneCADEngine from './StandaloneCADEngine';
+import { applySnapshotDiff, diffSnapshots } from '../utils/documentSnapshots';
 
 class DocumentCheckpointService {
   constructor() {
     this.transactionDepth = 0;
-    this.checkpoints = [];
+    this.checkpoints = []; // One per open transaction, outermost first
+    this.lastSnapshot = null; // Snapshot of the innermost checkpoint, to diff the next one against
     this.transactionId = 0;
     this.isEnabled = true;
     
@@ -20,26 +25,19 @@ class DocumentCheckpointService {
   /**
    * Begin a new transaction with checkpoint
    */
-  async beginTransaction() {
+  async beginTransaction(label = null) {
     if (!this.isEnabled) {
       console.log('📝 DocumentCheckpoint: Checkpoints disabled, skipping');
       return { transactionId: null, success: true };
     }
 
     try {
+      const txnId = this.transactionId + 1;
+      const checkpoint = await this.createCheckpoint(txnId, label);
+
+      this.transactionId = txnId;
       this.transactionDepth++;
-      const txnId = ++this.transactionId;
-      
-      // Create checkpoint in CAD engine
-      const checkpoint = await this.createCheckpoint(txnId);
-      
-      this.checkpoints.push({
-        id: txnId,
-        depth: this.transactionDepth,
-        timestamp: Date.now(),
-        checkpoint,
-        objects: standaloneCADEngine.getAllObjects().map(obj => ({ ...obj })) // Snapshot
-      });
+      this.checkpoints.push(checkpoint);
 
       console.log(`📝 DocumentCheckpoint: Transaction ${txnId} started (depth: ${this.transactionDepth})`);
       
@@ -51,7 +49,6 @@ class DocumentCheckpointService {
       
     } catch (error) {
       console.error('❌ DocumentCheckpoint: Failed to begin transaction:', error);
-      this.transactionDepth = Math.max(0, this.transactionDepth - 1);
       return {
         transactionId: null,
         success: false,
@@ -62,6 +59,7 @@ class DocumentCheckpointService {
 
   /**
    * Commit the current transaction
+   * Its changes become part of the enclosing transaction, which can still roll them back.
    */
   async commitTransaction() {
     if (!this.isEnabled || this.transactionDepth === 0) {
@@ -69,16 +67,11 @@ class DocumentCheckpointService {
     }
 
     try {
-      this.transactionDepth--;
-      
-      // Only finalize when we reach the root transaction
-      if (this.transactionDepth === 0) {
-        // Finalize all checkpoints - CAD engine can clean up undo history
-        const finalizedCount = this.checkpoints.length;
-        this.checkpoints = [];
-        
-        console.log(`📝 DocumentCheckpoint: Committed ${finalizedCount} checkpoints`);
-      }
+      const committed = this.checkpoints.pop();
+      this.transactionDepth = this.checkpoints.length;
+      this.lastSnapshot = this.resolveSnapshot(this.checkpoints.length - 1);
+
+      console.log(`📝 DocumentCheckpoint: Committed transaction ${committed?.id} (depth: ${this.transactionDepth})`);
 
       return { success: true, depth: this.transactionDepth };
       
@@ -89,7 +82,7 @@ class DocumentCheckpointService {
   }
 
   /**
-   * Rollback to the last checkpoint
+   * Roll the model back to where the current transaction began and close it
    */
   async rollbackTransaction() {
     if (!this.isEnabled) {
@@ -97,62 +90,60 @@ class DocumentCheckpointService {
       return { success: true };
     }
 
-    try {
-      if (this.checkpoints.length === 0) {
-        console.warn('⚠️ DocumentCheckpoint: No checkpoints to rollback to');
-        return { success: true, rolledBack: false };
-      }
+    if (this.checkpoints.length === 0) {
+      console.warn('⚠️ DocumentCheckpoint: No checkpoints to rollback to');
+      return { success: true, rolledBack: false };
+    }
 
-      // Find the most recent checkpoint
-      const lastCheckpoint = this.checkpoints[this.checkpoints.length - 1];
-      
-      // Restore to checkpoint state
-      await this.restoreCheckpoint(lastCheckpoint);
-      
-      // Clear all checkpoints from this rollback point
-      const rolledBackCount = this.checkpoints.length;
-      this.checkpoints = [];
-      this.transactionDepth = 0;
+    const lastCheckpoint = this.checkpoints[this.checkpoints.length - 1];
+    try {
+      const summary = await this.restoreCheckpoint(lastCheckpoint);
 
-      console.log(`📝 DocumentCheckpoint: Rolled back ${rolledBackCount} checkpoints to transaction ${lastCheckpoint.id}`);
+      console.log(`📝 DocumentCheckpoint: Rolled back to transaction ${lastCheckpoint.id}`);
       
       return { 
         success: true, 
         rolledBack: true,
         checkpointId: lastCheckpoint.id,
-        objectsRestored: lastCheckpoint.objects.length
+        objectsRemoved: summary.removed,
+        objectsRestored: summary.rebuilt
       };
       
     } catch (error) {
       console.error('❌ DocumentCheckpoint: Failed to rollback transaction:', error);
-      this.transactionDepth = 0;
-      this.checkpoints = [];
-      
       return { 
         success: false, 
         error: error.message,
         rolledBack: false 
       };
+    } finally {
+      // The transaction is over either way
+      this.checkpoints.pop();
+      this.transactionDepth = this.checkpoints.length;
+      this.lastSnapshot = this.resolveSnapshot(this.checkpoints.length - 1);
     }
   }
 
   /**
-   * Create a checkpoint in the CAD engine
+   * Snapshot the engine; the first open checkpoint keeps it whole, later ones as a diff
    */
-  async createCheckpoint(transactionId) {
+  async createCheckpoint(transactionId, label = null) {
     try {
-      // If CAD engine has native checkpoint support, use it
-      if (typeof standaloneCADEngine.createCheckpoint === 'function') {
-        return await standaloneCADEngine.createCheckpoint(`agent_txn_${transactionId}`);
-      }
-      
-      // Otherwise, create our own snapshot
-      return {
-        id: `agent_txn_${transactionId}`,
+      const snapshot = this.captureEngineState();
+      const checkpoint = {
+        id: transactionId,
+        label: label || `agent_txn_${transactionId}`,
         timestamp: Date.now(),
-        objectCount: standaloneCADEngine.getAllObjects().length,
-        engineState: this.captureEngineState()
+        objectCount: snapshot.objects.length
       };
+
+      if (this.checkpoints.length === 0 || !this.lastSnapshot) {
+        checkpoint.snapshot = snapshot;
+      } else {
+        checkpoint.diff = diffSnapshots(this.lastSnapshot, snapshot);
+      }
+      this.lastSnapshot = snapshot;
+      return checkpoint;
       
     } catch (error) {
       console.error('❌ DocumentCheckpoint: Failed to create checkpoint:', error);
@@ -161,81 +152,44 @@ class DocumentCheckpointService {
   }
 
   /**
-   * Restore to a specific checkpoint
+   * Full snapshot of the checkpoint at an index of the stack
+   */
+  resolveSnapshot(index) {
+    if (index < 0 || index >= this.checkpoints.length) return null;
+    return this.checkpoints
+      .slice(1, index + 1)
+      .reduce((snapshot, checkpoint) => applySnapshotDiff(snapshot, checkpoint.diff), this.checkpoints[0].snapshot);
+  }
+
+  /**
+   * Restore the model to an open checkpoint
+   * @returns {Promise<{ removed: number, rebuilt: number, collections: string[] }>}
    */
   async restoreCheckpoint(checkpoint) {
-    try {
-      // If CAD engine has native restore support, use it
-      if (typeof standaloneCADEngine.restoreCheckpoint === 'function') {
-        await standaloneCADEngine.restoreCheckpoint(checkpoint.checkpoint);
-        return;
-      }
-      
-      // Otherwise, manually restore state
-      await this.restoreEngineState(checkpoint);
-      
-    } catch (error) {
-      console.error('❌ DocumentCheckpoint: Failed to restore checkpoint:', error);
-      throw error;
+    const index = this.checkpoints.indexOf(checkpoint);
+    if (index === -1) {
+      throw new Error(`Checkpoint ${checkpoint?.id} is not open`);
     }
+    return this.restoreEngineState(this.resolveSnapshot(index));
   }
 
   /**
-   * Capture current CAD engine state for manual checkpointing
+   * Capture current CAD engine state: a serializable snapshot without meshes
    */
   captureEngineState() {
-    try {
-      return {
-        objects: standaloneCADEngine.getAllObjects().map(obj => ({ ...obj })),
-        selections: standaloneCADEngine.getSelectedObjects ? 
-                   Array.from(standaloneCADEngine.getSelectedObjects()) : [],
-        viewport: standaloneCADEngine.getViewportState ? 
-                 standaloneCADEngine.getViewportState() : {},
-        timestamp: Date.now()
-      };
-    } catch (error) {
-      console.error('❌ DocumentCheckpoint: Failed to capture engine state:', error);
-      return { objects: [], selections: [], viewport: {}, timestamp: Date.now() };
-    }
+    return standaloneCADEngine.captureSnapshot();
   }
 
   /**
-   * Restore CAD engine state from snapshot
+   * Restore CAD engine state from snapshot, rebuilding the meshes of what changed
    */
-  async restoreEngineState(checkpoint) {
-    try {
-      const state = checkpoint.objects || checkpoint.checkpoint?.engineState;
-      if (!state) {
-        throw new Error('No state data in checkpoint');
-      }
-
-      // Clear current scene
-      if (typeof standaloneCADEngine.clearAll === 'function') {
-        standaloneCADEngine.clearAll();
-      }
-
-      // Restore objects
-      if (state.objects) {
-        for (const obj of state.objects) {
-          try {
-            standaloneCADEngine.restoreObject(obj);
-          } catch (objError) {
-            console.warn(`⚠️ DocumentCheckpoint: Failed to restore object ${obj.id}:`, objError);
-          }
-        }
-      }
-
-      // Restore selections if available
-      if (state.selections && typeof standaloneCADEngine.setSelectedObjects === 'function') {
-        standaloneCADEngine.setSelectedObjects(new Set(state.selections));
-      }
-
-      console.log(`📝 DocumentCheckpoint: Restored ${state.objects?.length || 0} objects`);
-      
-    } catch (error) {
-      console.error('❌ DocumentCheckpoint: Failed to restore engine state:', error);
-      throw error;
+  async restoreEngineState(snapshot) {
+    if (!snapshot) {
+      throw new Error('No state data in checkpoint');
     }
+    const summary = standaloneCADEngine.restoreSnapshot(snapshot);
+    console.log(`📝 DocumentCheckpoint: Restored ${snapshot.objects.length} objects (${summary.rebuilt} rebuilt)`);
+    return summary;
   }
 
   /**
@@ -262,6 +216,7 @@ class DocumentCheckpointService {
     if (wasEnabled && !enabled) {
       // Cleanup when disabling
       this.checkpoints = [];
+      this.lastSnapshot = null;
       this.transactionDepth = 0;
     }
     
@@ -272,7 +227,7 @@ class DocumentCheckpointService {
    * Manual checkpoint creation (for testing or special cases)
    */
   async createManualCheckpoint(label = 'manual') {
-    const result = await this.beginTransaction();
+    const result = await this.beginTransaction(label);
     if (result.success) {
       console.log(`📝 DocumentCheckpoint: Manual checkpoint "${label}" created`);
     }
@@ -281,19 +236,26 @@ class DocumentCheckpointService {
 
   /**
    * Cleanup old checkpoints (memory hygiene)
+   * Transactions left open longer than maxAge are abandoned, outermost first; the next
+   * checkpoint becomes the full snapshot.
    */
   cleanupOldCheckpoints(maxAge = 300_000) { // 5 minutes
     const now = Date.now();
-    const before = this.checkpoints.length;
-    
-    this.checkpoints = this.checkpoints.filter(checkpoint => 
-      (now - checkpoint.timestamp) < maxAge
-    );
-    
-    const removed = before - this.checkpoints.length;
-    if (removed > 0) {
-      console.log(`📝 DocumentCheckpoint: Cleaned up ${removed} old checkpoints`);
+    const firstRecent = this.checkpoints.findIndex(checkpoint => (now - checkpoint.timestamp) < maxAge);
+    const removed = firstRecent === -1 ? this.checkpoints.length : firstRecent;
+    if (removed === 0) return;
+
+    const base = this.resolveSnapshot(removed);
+    this.checkpoints = this.checkpoints.slice(removed);
+    if (this.checkpoints.length > 0) {
+      const { diff, ...checkpoint } = this.checkpoints[0];
+      this.checkpoints[0] = { ...checkpoint, snapshot: base };
+    } else {
+      this.lastSnapshot = null;
     }
+    this.transactionDepth = this.checkpoints.length;
+
+    console.log(`📝 DocumentCheckpoint: Cleaned up ${removed} old checkpoints`);
   }
 }
 
@@ -0,0 +1,849 @@
+/**
+ * IFC Export Service - Writes the CAD engine model as an IFC4 STEP file
+ *
+ * Produces the IfcProject → IfcSite → IfcBuilding → IfcBuildingStorey hierarchy,
+ * extruded body geometry for walls, slabs, columns, doors, windows, stairs and roofs,
+ * IfcMaterialLayerSetUsage for multi-layer walls, IfcOpeningElement voids for hosted
+ * doors/windows and the wall property sets computed by the engine.
+ *
+ * Coordinates: the engine is Y-up with the plan on X/Z; IFC is Z-up.
+ * Engine (x, y, z) maps to IFC (x, -z, y).
+ */
+
+import { StepWriter, enumValue, typedValue, int, DERIVED, createIfcGuid } from '../utils/ifcStep';
+
+const DEFAULT_WALL_TYPE = 'exterior_wood_frame';
+
+const DEFAULT_STOREY = { id: 'level_0', name: 'Level 0', elevation: 0 };
+
+// Layer function → IfcMaterialLayer.Category
+const LAYER_CATEGORIES = {
+  structure: 'LoadBearing',
+  insulation: 'Insulation',
+  finish_exterior: 'Finish',
+  finish_interior: 'Finish',
+  air_space: 'AirLayer',
+  vapor_control: 'Membrane'
+};
+
+const ROOF_TYPES = {
+  flat: 'FLAT_ROOF',
+  gable: 'GABLE_ROOF',
+  hip: 'HIP_ROOF',
+  shed: 'SHED_ROOF',
+  mansard: 'MANSARD_ROOF',
+  gambrel: 'GAMBREL_ROOF'
+};
+
+const DOOR_OPERATIONS = {
+  double_swing: 'DOUBLE_DOOR_SINGLE_SWING',
+  sliding: 'SLIDING_TO_LEFT',
+  bi_fold: 'FOLDING_TO_LEFT'
+};
+
+const WINDOW_PARTITIONS = {
+  double_hung: 'DOUBLE_PANEL_HORIZONTAL',
+  sliding: 'DOUBLE_PANEL_VERTICAL',
+  fixed: 'SINGLE_PANEL',
+  casement: 'SINGLE_PANEL'
+};
+
+class IFCExportService {
+  constructor() {
+    this.schema = 'IFC4';
+  }
+
+  /**
+   * Export a model to IFC4 STEP text
+   * @param {Object} model - { objects, storeys, wallTypeTemplates, getWallProperties }
+   *   objects: [{ id, type, params, position, rotation }] as provided by StandaloneCADEngine
+   * @param {Object} options - { projectName, siteName, buildingName, fileName, author, organization, documentId }
+   *   documentId seeds every GlobalId; without one the export gets GUIDs of its own
+   * @returns {{ content: string, fileName: string, summary: Object }}
+   */
+  exportModel(model, options = {}) {
+    const settings = {
+      projectName: 'StudioSix Project',
+      siteName: 'Default Site',
+      buildingName: 'Default Building',
+      fileName: 'studiosix-model.ifc',
+      author: '',
+      organization: 'StudioSix',
+      ...options
+    };
+    settings.documentId = options.documentId || createIfcGuid();
+
+    console.log('🏗️ IFC EXPORT: Exporting model to IFC4...');
+
+    const writer = new StepWriter();
+    const ctx = this.writeProjectContext(writer, settings);
+    ctx.wallTypeTemplates = model.wallTypeTemplates || {};
+    ctx.getWallProperties = model.getWallProperties || null;
+    ctx.materials = new Map();
+    ctx.wallTypes = new Map();
+    ctx.writtenPropertySets = new Map();
+    ctx.summary = { walls: 0, slabs: 0, columns: 0, doors: 0, windows: 0, stairs: 0, roofs: 0, openings: 0, skipped: 0 };
+
+    const storeys = this.writeSpatialStructure(writer, ctx, model.storeys, settings);
+    const objects = model.objects || [];
+    const wallRecords = new Map();
+
+    // Walls first so hosted doors/windows can void them
+    for (const object of objects.filter(obj => obj.type === 'wall')) {
+      const storey = this.resolveStorey(storeys, object);
+      const record = this.writeWall(writer, ctx, storey, object);
+      if (record) {
+        wallRecords.set(object.id, record);
+        storey.elements.push(record.element);
+        this.writeRetainedPropertySets(writer, ctx, object, record.element);
+      }
+    }
+
+    for (const object of objects) {
+      if (object.type === 'wall') continue;
+      const storey = this.resolveStorey(storeys, object);
+      let element = null;
+
+      switch (object.type) {
+        case 'slab':
+          element = this.writeSlab(writer, ctx, storey, object);
+          break;
+        case 'column':
+          element = this.writeColumn(writer, ctx, storey, object);
+          break;
+        case 'door':
+        case 'window':
+          element = this.writeOpeningFiller(writer, ctx, storey, object, wallRecords.get(object.params?.hostWallId));
+          break;
+        case 'stair':
+          element = this.writeStair(writer, ctx, storey, object);
+          break;
+        case 'roof':
+          element = this.writeRoof(writer, ctx, storey, object);
+          break;
+        default:
+          ctx.summary.skipped++;
+          break;
+      }
+
+      if (element) {
+        storey.elements.push(element);
+        this.writeRetainedPropertySets(writer, ctx, object, element);
+      }
+    }
+
+    // Spatial containment per storey
+    for (const storey of storeys.list) {
+      if (storey.elements.length === 0) continue;
+      writer.add('IfcRelContainedInSpatialStructure', [
+        this.guid(ctx, `${storey.id}:contains`), ctx.ownerHistory,
+        `${storey.name} Containment`, null, storey.elements, storey.ref
+      ]);
+    }
+
+    const content = writer.toString({
+      schema: this.schema,
+      fileName: settings.fileName,
+      author: settings.author,
+      organization: settings.organization
+    });
+
+    console.log('✅ IFC EXPORT: Complete', ctx.summary);
+
+    return {
+      content,
+      fileName: settings.fileName,
+      summary: { ...ctx.summary, entities: writer.count, storeys: storeys.list.length }
+    };
+  }
+
+  /**
+   * Owner history, units and geometric representation contexts shared by the file
+   */
+  writeProjectContext(writer, settings) {
+    const person = writer.add('IfcPerson', [null, settings.author || null, null, null, null, null, null, null]);
+    const organization = writer.add('IfcOrganization', [null, settings.organization || 'StudioSix', null, null, null]);
+    const personAndOrg = writer.add('IfcPersonAndOrganization', [person, organization, null]);
+    const application = writer.add('IfcApplication', [organization, '1.0', 'StudioSix Pro', 'StudioSix']);
+    const ownerHistory = writer.add('IfcOwnerHistory', [
+      personAndOrg, application, null, enumValue('ADDED'), null, null, null, int(Math.floor(Date.now() / 1000))
+    ]);
+
+    const units = writer.add('IfcUnitAssignment', [[
+      writer.add('IfcSIUnit', [DERIVED, enumValue('LENGTHUNIT'), null, enumValue('METRE')]),
+      writer.add('IfcSIUnit', [DERIVED, enumValue('AREAUNIT'), null, enumValue('SQUARE_METRE')]),
+      writer.add('IfcSIUnit', [DERIVED, enumValue('VOLUMEUNIT'), null, enumValue('CUBIC_METRE')]),
+      writer.add('IfcSIUnit', [DERIVED, enumValue('PLANEANGLEUNIT'), null, enumValue('RADIAN')])
+    ]]);
+
+    const origin = writer.add('IfcCartesianPoint', [[0, 0, 0]]);
+    const origin2D = writer.add('IfcCartesianPoint', [[0, 0]]);
+    const zAxis = writer.add('IfcDirection', [[0, 0, 1]]);
+    const xAxis = writer.add('IfcDirection', [[1, 0, 0]]);
+    const worldPlacement = writer.add('IfcAxis2Placement3D', [origin, zAxis, xAxis]);
+    const trueNorth = writer.add('IfcDirection', [[0, 1]]);
+    const modelContext = writer.add('IfcGeometricRepresentationContext', [
+      null, 'Model', int(3), 1e-5, worldPlacement, trueNorth
+    ]);
+    const bodyContext = writer.add('IfcGeometricRepresentationSubContext', [
+      'Body', 'Model', DERIVED, DERIVED, DERIVED, DERIVED, modelContext, null, enumValue('MODEL_VIEW'), null
+    ]);
+    const axisContext = writer.add('IfcGeometricRepresentationSubContext', [
+      'Axis', 'Model', DERIVED, DERIVED, DERIVED, DERIVED, modelContext, null, enumValue('GRAPH_VIEW'), null
+    ]);
+
+    const project = writer.add('IfcProject', [
+      this.guid(settings, `project:${settings.projectName}`), ownerHistory, settings.projectName,
+      null, null, null, null, [modelContext], units
+    ]);
+
+    return { documentId: settings.documentId, ownerHistory, origin, origin2D, zAxis, xAxis, bodyContext, axisContext, project };
+  }
+
+  /**
+   * Site, building and storeys with their aggregation relationships
+   */
+  writeSpatialStructure(writer, ctx, storeyDefs, settings) {
+    const sitePlacement = this.writePlacement(writer, ctx, null, [0, 0, 0]);
+    const site = writer.add('IfcSite', [
+      this.guid(ctx, `site:${settings.siteName}`), ctx.ownerHistory, settings.siteName, null, null,
+      sitePlacement, null, null, enumValue('ELEMENT'), null, null, null, null, null
+    ]);
+    const buildingPlacement = this.writePlacement(writer, ctx, sitePlacement, [0, 0, 0]);
+    const building = writer.add('IfcBuilding', [
+      this.guid(ctx, `building:${settings.buildingName}`), ctx.ownerHistory, settings.buildingName, null, null,
+      buildingPlacement, null, null, enumValue('ELEMENT'), null, null, null
+    ]);
+
+    const definitions = (storeyDefs && storeyDefs.length > 0) ? storeyDefs : [DEFAULT_STOREY];
+    const list = definitions.map(def => {
+      const elevation = def.elevation || 0;
+      const placement = this.writePlacement(writer, ctx, buildingPlacement, [0, 0, elevation]);
+      const storeyRef = writer.add('IfcBuildingStorey', [
+        this.guid(ctx, `storey:${def.id}`), ctx.ownerHistory, def.name || def.id, null, null,
+        placement, null, null, enumValue('ELEMENT'), elevation
+      ]);
+      return { id: def.id, name: def.name || def.id, elevation, ref: storeyRef, placement, elements: [] };
+    });
+
+    writer.add('IfcRelAggregates', [this.guid(ctx, 'rel:project-site'), ctx.ownerHistory, null, null, ctx.project, [site]]);
+    writer.add('IfcRelAggregates', [this.guid(ctx, 'rel:site-building'), ctx.ownerHistory, null, null, site, [building]]);
+    writer.add('IfcRelAggregates', [
+      this.guid(ctx, 'rel:building-storeys'), ctx.ownerHistory, null, null, building, list.map(storey => storey.ref)
+    ]);
+
+    const byId = new Map(list.map(storey => [storey.id, storey]));
+    return { list, byId, defaultStorey: list[0] };
+  }
+
+  /**
+   * Pick the storey an object belongs to (falls back to the first storey)
+   */
+  resolveStorey(storeys, object) {
+    const levelId = object.params?.levelId;
+    return (levelId && storeys.byId.get(levelId)) || storeys.defaultStorey;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Elements
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Write a wall with its type, layer set usage and property sets
+   */
+  writeWall(writer, ctx, storey, object) {
+    const params = object.params || {};
+    const axis = this.getWallAxis(object);
+    if (!axis || axis.length < 1e-6) {
+      console.warn(`⚠️ IFC EXPORT: Wall ${object.id} has no usable axis, skipping`);
+      ctx.summary.skipped++;
+      return null;
+    }
+
+    const typeKey = params.wallType || DEFAULT_WALL_TYPE;
+    const template = this.normalizeWallTemplate(
+      params.wallTemplate || ctx.wallTypeTemplates[typeKey] || ctx.wallTypeTemplates[DEFAULT_WALL_TYPE],
+      params
+    );
+    const thickness = template.layers.reduce((sum, layer) => sum + (layer.thickness || 0), 0) || params.thickness || 0.2;
+    const height = params.height || 2.5;
+    const baseOffset = params.baseOffset || 0;
+
+    const placement = this.writePlacement(writer, ctx, storey.placement, [axis.start[0], axis.start[1], baseOffset], [axis.dir[0], axis.dir[1], 0]);
+
+    const axisCurve = writer.add('IfcPolyline', [[
+      ctx.origin2D, writer.add('IfcCartesianPoint', [[axis.length, 0]])
+    ]]);
+    const axisRep = writer.add('IfcShapeRepresentation', [ctx.axisContext, 'Axis', 'Curve2D', [axisCurve]]);
+    const body = this.writeExtrudedRectangle(writer, ctx, axis.length, thickness, height, [axis.length / 2, 0]);
+    const bodyRep = writer.add('IfcShapeRepresentation', [ctx.bodyContext, 'Body', 'SweptSolid', [body]]);
+    const shape = writer.add('IfcProductDefinitionShape', [null, null, [axisRep, bodyRep]]);
+
+    const wall = writer.add('IfcWall', [
+      this.guidFor(ctx, object), ctx.ownerHistory, params.name || `Wall ${object.id}`, params.description || null,
+      template.name, placement, shape, object.id, enumValue('STANDARD')
+    ]);
+
+    // Wall type + layer set (shared between all walls of the same template)
+    const wallType = this.getWallType(writer, ctx, typeKey, template);
+    writer.add('IfcRelDefinesByType', [
+      this.guid(ctx, `${object.id}:type`), ctx.ownerHistory, null, null, [wall], wallType.ref
+    ]);
+    const usage = writer.add('IfcMaterialLayerSetUsage', [
+      wallType.layerSet, enumValue('AXIS2'), enumValue('POSITIVE'), -thickness / 2, null
+    ]);
+    writer.add('IfcRelAssociatesMaterial', [
+      this.guid(ctx, `${object.id}:material`), ctx.ownerHistory, null, null, [wall], usage
+    ]);
+
+    // Property sets
+    const wallProps = this.getWallProperties(ctx, template, object.id);
+    this.writePropertySet(writer, ctx, object.id, wall, 'Pset_WallCommon', [
+      { name: 'Reference', type: 'IfcIdentifier', value: typeKey },
+      { name: 'IsExternal', type: 'IfcBoolean', value: wallProps.isExternal },
+      { name: 'LoadBearing', type: 'IfcBoolean', value: wallProps.loadBearing },
+      { name: 'ThermalTransmittance', type: 'IfcThermalTransmittanceMeasure', value: wallProps.thermalTransmittance },
+      { name: 'FireRating', type: 'IfcLabel', value: wallProps.fireRating !== undefined ? `${wallProps.fireRating} min` : undefined }
+    ]);
+    this.writePropertySet(writer, ctx, object.id, wall, 'StudioSix_WallPerformance', [
+      { name: 'WallType', type: 'IfcLabel', value: wallProps.wallType },
+      { name: 'LayerCount', type: 'IfcInteger', value: wallProps.layerCount },
+      { name: 'RValue', type: 'IfcThermalResistanceMeasure', value: wallProps.rValue },
+      { name: 'AssemblyCode', type: 'IfcIdentifier', value: wallProps.assemblyCode },
+      { name: 'ConstructionType', type: 'IfcLabel', value: wallProps.constructionType },
+      { name: 'EmbodiedCarbon', type: 'IfcReal', value: wallProps.embodiedCarbon },
+      { name: 'RecyclableContent', type: 'IfcRatioMeasure', value: Number.isFinite(wallProps.recyclableContent) ? wallProps.recyclableContent / 100 : undefined }
+    ]);
+    this.writeQuantities(writer, ctx, object.id, wall, 'Qto_WallBaseQuantities', [
+      { name: 'Length', kind: 'Length', value: axis.length },
+      { name: 'Height', kind: 'Length', value: height },
+      { name: 'Width', kind: 'Length', value: thickness },
+      { name: 'GrossSideArea', kind: 'Area', value: axis.length * height },
+      { name: 'GrossVolume', kind: 'Volume', value: axis.length * height * thickness }
+    ]);
+
+    ctx.summary.walls++;
+    return { element: wall, placement, axis, thickness, height, baseOffset };
+  }
+
+  /**
+   * Write a slab as an extruded rectangle or polygon
+   */
+  writeSlab(writer, ctx, storey, object) {
+    const params = object.params || {};
+    const thickness = params.thickness || 0.2;
+    const footprint = this.getFootprint(object);
+    const bottom = params.offset || 0;
+
+    const placement = this.writePlacement(writer, ctx, storey.placement, [0, 0, bottom]);
+    const body = this.writeFootprintSolid(writer, ctx, footprint, thickness);
+    const shape = this.writeBodyShape(writer, ctx, body);
+
+    const slab = writer.add('IfcSlab', [
+      this.guidFor(ctx, object), ctx.ownerHistory, params.name || `Slab ${object.id}`, params.description || null,
+      params.slabType || null, placement, shape, object.id, enumValue(params.isRoof ? 'ROOF' : 'FLOOR')
+    ]);
+
+    this.associateMaterial(writer, ctx, object.id, slab, params.material || 'concrete');
+    this.writePropertySet(writer, ctx, object.id, slab, 'Pset_SlabCommon', [
+      { name: 'IsExternal', type: 'IfcBoolean', value: params.isExternal },
+      { name: 'LoadBearing', type: 'IfcBoolean', value: params.loadBearing !== undefined ? params.loadBearing : true }
+    ]);
+    this.writeQuantities(writer, ctx, object.id, slab, 'Qto_SlabBaseQuantities', [
+      { name: 'Depth', kind: 'Length', value: thickness },
+      { name: 'Perimeter', kind: 'Length', value: footprint.perimeter },
+      { name: 'GrossArea', kind: 'Area', value: footprint.area },
+      { name: 'GrossVolume', kind: 'Volume', value: footprint.area * thickness }
+    ]);
+
+    ctx.summary.slabs++;
+    return slab;
+  }
+
+  /**
+   * Write a rectangular or circular column
+   */
+  writeColumn(writer, ctx, storey, object) {
+    const params = object.params || {};
+    const height = params.height || 3.0;
+    const location = this.toIfcPoint(params.position || object.position);
+    const rotation = (typeof params.rotation === 'number' ? params.rotation : 0) * Math.PI / 180;
+
+    const placement = this.writePlacement(writer, ctx, storey.placement, [location[0], location[1], 0], [Math.cos(rotation), Math.sin(rotation), 0]);
+
+    let profile;
+    if (params.shape === 'circle') {
+      profile = writer.add('IfcCircleProfileDef', [
+        enumValue('AREA'), null, writer.add('IfcAxis2Placement2D', [ctx.origin2D, null]), params.radius || 0.2
+      ]);
+    } else {
+      profile = writer.add('IfcRectangleProfileDef', [
+        enumValue('AREA'), null, writer.add('IfcAxis2Placement2D', [ctx.origin2D, null]), params.width || 0.4, params.depth || 0.4
+      ]);
+    }
+    const body = writer.add('IfcExtrudedAreaSolid', [
+      profile, writer.add('IfcAxis2Placement3D', [ctx.origin, null, null]), ctx.zAxis, height
+    ]);
+    const shape = this.writeBodyShape(writer, ctx, body);
+
+    const column = writer.add('IfcColumn', [
+      this.guidFor(ctx, object), ctx.ownerHistory, params.name || `Column ${object.id}`, params.description || null,
+      null, placement, shape, object.id, enumValue('COLUMN')
+    ]);
+
+    this.associateMaterial(writer, ctx, object.id, column, params.material || 'concrete');
+    this.writePropertySet(writer, ctx, object.id, column, 'Pset_ColumnCommon', [
+      { name: 'LoadBearing', type: 'IfcBoolean', value: true }
+    ]);
+
+    ctx.summary.columns++;
+    return column;
+  }
+
+  /**
+   * Write a door or window, voiding its host wall when it has one
+   */
+  writeOpeningFiller(writer, ctx, storey, object, hostWall) {
+    const params = object.params || {};
+    const isDoor = object.type === 'door';
+    const width = params.width || (isDoor ? 0.9 : 1.2);
+    const height = params.height || (isDoor ? 2.1 : 1.4);
+    const sill = params.sillHeight !== undefined ? params.sillHeight : (isDoor ? 0 : 0.9);
+    const frameWidth = params.frameWidth || 0.05;
+
+    let fillerPlacement;
+    let depth = params.thickness || 0.05;
+    let opening = null;
+
+    if (hostWall) {
+      // Opening positioned along the host wall axis (insertionPosition is a 0..1 ratio)
+      const ratio = params.insertionPosition !== undefined ? params.insertionPosition : 0.5;
+      const alongWall = ratio * hostWall.axis.length;
+      const openingWidth = width + frameWidth * 2;
+      const openingHeight = height + frameWidth;
+      depth = hostWall.thickness;
+
+      const openingPlacement = this.writePlacement(writer, ctx, hostWall.placement, [alongWall, 0, sill]);
+      const openingBody = this.writeExtrudedRectangle(writer, ctx, openingWidth, hostWall.thickness + 0.02, openingHeight, [0, 0]);
+      opening = writer.add('IfcOpeningElement', [
+        this.guid(ctx, `${object.id}:opening`), ctx.ownerHistory, `Opening for ${params.name || object.id}`, null, null,
+        openingPlacement, this.writeBodyShape(writer, ctx, openingBody), null, enumValue('OPENING')
+      ]);
+      writer.add('IfcRelVoidsElement', [
+        this.guid(ctx, `${object.id}:voids`), ctx.ownerHistory, null, null, hostWall.element, opening
+      ]);
+      fillerPlacement = this.writePlacement(writer, ctx, openingPlacement, [0, 0, 0]);
+      ctx.summary.openings++;
+    } else {
+      const location = this.toIfcPoint(object.position || params.position);
+      const rotationY = object.rotation?.y || 0;
+      fillerPlacement = this.writePlacement(writer, ctx, storey.placement, [location[0], location[1], sill], [Math.cos(rotationY), Math.sin(rotationY), 0]);
+    }
+
+    const body = this.writeExtrudedRectangle(writer, ctx, width, Math.min(depth, params.thickness || 0.05), height, [0, 0]);
+    const shape = this.writeBodyShape(writer, ctx, body);
+    const name = params.name || `${isDoor ? 'Door' : 'Window'} ${object.id}`;
+
+    let element;
+    if (isDoor) {
+      const operation = DOOR_OPERATIONS[params.doorType] ||
+        (params.openingDirection === 'left' ? 'SINGLE_SWING_LEFT' : 'SINGLE_SWING_RIGHT');
+      element = writer.add('IfcDoor', [
+        this.guidFor(ctx, object), ctx.ownerHistory, name, params.description || null, params.doorType || null,
+        fillerPlacement, shape, object.id, height, width, enumValue('DOOR'), enumValue(operation), null
+      ]);
+      this.writePropertySet(writer, ctx, object.id, element, 'Pset_DoorCommon', [
+        { name: 'IsExternal', type: 'IfcBoolean', value: params.isExternal },
+        { name: 'FireRating', type: 'IfcLabel', value: params.fireRating ? `${params.fireRating} min` : undefined },
+        { name: 'HandicapAccessible', type: 'IfcBoolean', value: params.accessibility }
+      ]);
+      ctx.summary.doors++;
+    } else {
+      const partitioning = WINDOW_PARTITIONS[params.windowType] || 'SINGLE_PANEL';
+      element = writer.add('IfcWindow', [
+        this.guidFor(ctx, object), ctx.ownerHistory, name, params.description || null, params.windowType || null,
+        fillerPlacement, shape, object.id, height, width, enumValue('WINDOW'), enumValue(partitioning), null
+      ]);
+      this.writePropertySet(writer, ctx, object.id, element, 'Pset_WindowCommon', [
+        { name: 'IsExternal', type: 'IfcBoolean', value: params.isExternal },
+        { name: 'ThermalTransmittance', type: 'IfcThermalTransmittanceMeasure', value: params.thermalTransmittance },
+        { name: 'GlazingAreaFraction', type: 'IfcPositiveRatioMeasure', value: params.glazingAreaFraction }
+      ]);
+      ctx.summary.windows++;
+    }
+
+    if (opening) {
+      writer.add('IfcRelFillsElement', [
+        this.guid(ctx, `${object.id}:fills`), ctx.ownerHistory, null, null, opening, element
+      ]);
+    }
+    this.associateMaterial(writer, ctx, object.id, element, params.material || (isDoor ? 'wood' : 'aluminum'));
+
+    return element;
+  }
+
+  /**
+   * Write a straight-run stair as a stepped solid
+   */
+  writeStair(writer, ctx, storey, object) {
+    const params = object.params || {};
+    const stepWidth = params.stepWidth || params.width || 1.2;
+    const numberOfSteps = params.numberOfSteps || 16;
+    const treadDepth = params.treadDepth || 0.25;
+    const riserHeight = params.riserHeight || 0.18;
+    const totalRun = numberOfSteps * treadDepth;
+    const location = this.toIfcPoint(params.position || object.position);
+
+    // Steps climb along engine +Z, i.e. IFC -Y
+    const placement = this.writePlacement(writer, ctx, storey.placement, [location[0], location[1], 0]);
+    const steps = [];
+    for (let i = 0; i < numberOfSteps; i++) {
+      const centreY = totalRun / 2 - (i + 0.5) * treadDepth;
+      steps.push(this.writeExtrudedRectangle(writer, ctx, stepWidth, treadDepth, riserHeight * (i + 1), [0, centreY]));
+    }
+    const shape = this.writeBodyShape(writer, ctx, steps);
+
+    const stair = writer.add('IfcStair', [
+      this.guidFor(ctx, object), ctx.ownerHistory, params.name || `Stair ${object.id}`, params.description || null,
+      params.stairType || null, placement, shape, object.id, enumValue('STRAIGHT_RUN_STAIR')
+    ]);
+
+    this.associateMaterial(writer, ctx, object.id, stair, params.material || 'concrete');
+    this.writePropertySet(writer, ctx, object.id, stair, 'Pset_StairCommon', [
+      { name: 'NumberOfRiser', type: 'IfcCountMeasure', value: numberOfSteps },
+      { name: 'NumberOfTreads', type: 'IfcCountMeasure', value: numberOfSteps },
+      { name: 'RiserHeight', type: 'IfcPositiveLengthMeasure', value: riserHeight },
+      { name: 'TreadLength', type: 'IfcPositiveLengthMeasure', value: treadDepth },
+      { name: 'HandicapAccessible', type: 'IfcBoolean', value: params.accessibility }
+    ]);
+
+    ctx.summary.stairs++;
+    return stair;
+  }
+
+  /**
+   * Write a roof as an extruded footprint at its base elevation
+   */
+  writeRoof(writer, ctx, storey, object) {
+    const params = object.params || {};
+    const thickness = params.thickness || 0.2;
+    const footprint = this.getFootprint(object);
+    const elevation = params.baseElevation !== undefined ? params.baseElevation : (params.elevation || 0);
+
+    const placement = this.writePlacement(writer, ctx, storey.placement, [0, 0, elevation]);
+    const body = this.writeFootprintSolid(writer, ctx, footprint, thickness);
+    const shape = this.writeBodyShape(writer, ctx, body);
+
+    const roof = writer.add('IfcRoof', [
+      this.guidFor(ctx, object), ctx.ownerHistory, params.name || `Roof ${object.id}`, params.description || null,
+      params.subtype || null, placement, shape, object.id,
+      enumValue(ROOF_TYPES[params.roofType] || 'NOTDEFINED')
+    ]);
+
+    this.associateMaterial(writer, ctx, object.id, roof, params.material || 'concrete');
+    this.writePropertySet(writer, ctx, object.id, roof, 'Pset_RoofCommon', [
+      { name: 'IsExternal', type: 'IfcBoolean', value: true },
+      { name: 'ProjectedArea', type: 'IfcAreaMeasure', value: footprint.area }
+    ]);
+
+    ctx.summary.roofs++;
+    return roof;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shared entity builders
+  // ---------------------------------------------------------------------------
+
+  /**
+   * IfcLocalPlacement with optional reference direction
+   */
+  writePlacement(writer, ctx, relativeTo, location, xDirection = null) {
+    const point = writer.add('IfcCartesianPoint', [location]);
+    const refDirection = xDirection ? writer.add('IfcDirection', [xDirection]) : null;
+    const axis = writer.add('IfcAxis2Placement3D', [point, refDirection ? ctx.zAxis : null, refDirection]);
+    return writer.add('IfcLocalPlacement', [relativeTo, axis]);
+  }
+
+  /**
+   * Rectangle profile centred at `centre`, extruded along +Z
+   */
+  writeExtrudedRectangle(writer, ctx, xDim, yDim, depth, centre) {
+    const profilePosition = writer.add('IfcAxis2Placement2D', [writer.add('IfcCartesianPoint', [centre]), null]);
+    const profile = writer.add('IfcRectangleProfileDef', [enumValue('AREA'), null, profilePosition, xDim, yDim]);
+    return writer.add('IfcExtrudedAreaSolid', [
+      profile, writer.add('IfcAxis2Placement3D', [ctx.origin, null, null]), ctx.zAxis, depth
+    ]);
+  }
+
+  /**
+   * Extrude a plan footprint (rectangle or polygon in IFC plan coordinates)
+   */
+  writeFootprintSolid(writer, ctx, footprint, depth) {
+    const points = footprint.points.map(point => writer.add('IfcCartesianPoint', [point]));
+    const polyline = writer.add('IfcPolyline', [[...points, points[0]]]);
+    const profile = writer.add('IfcArbitraryClosedProfileDef', [enumValue('AREA'), null, polyline]);
+    return writer.add('IfcExtrudedAreaSolid', [
+      profile, writer.add('IfcAxis2Placement3D', [ctx.origin, null, null]), ctx.zAxis, depth
+    ]);
+  }
+
+  writeBodyShape(writer, ctx, items) {
+    const rep = writer.add('IfcShapeRepresentation', [
+      ctx.bodyContext, 'Body', 'SweptSolid', Array.isArray(items) ? items : [items]
+    ]);
+    return writer.add('IfcProductDefinitionShape', [null, null, [rep]]);
+  }
+
+  /**
+   * Get or create an IfcMaterial by name
+   */
+  getMaterial(writer, ctx, name) {
+    if (!ctx.materials.has(name)) {
+      ctx.materials.set(name, writer.add('IfcMaterial', [name, null, null]));
+    }
+    return ctx.materials.get(name);
+  }
+
+  associateMaterial(writer, ctx, objectId, element, materialName) {
+    writer.add('IfcRelAssociatesMaterial', [
+      this.guid(ctx, `${objectId}:material`), ctx.ownerHistory, null, null, [element], this.getMaterial(writer, ctx, materialName)
+    ]);
+  }
+
+  /**
+   * Get or create the IfcWallType and IfcMaterialLayerSet for a wall template
+   */
+  getWallType(writer, ctx, typeKey, template) {
+    if (ctx.wallTypes.has(typeKey)) {
+      return ctx.wallTypes.get(typeKey);
+    }
+
+    const layers = template.layers.map(layer => writer.add('IfcMaterialLayer', [
+      this.getMaterial(writer, ctx, layer.material),
+      layer.thickness,
+      layer.function === 'air_space',
+      layer.name || layer.material,
+      null,
+      LAYER_CATEGORIES[layer.function] || null,
+      null
+    ]));
+    const layerSet = writer.add('IfcMaterialLayerSet', [layers, template.name, template.description || null]);
+    const typeRef = writer.add('IfcWallType', [
+      this.guid(ctx, `walltype:${typeKey}`), ctx.ownerHistory, template.name, template.description || null,
+      null, null, null, typeKey, null, enumValue('STANDARD')
+    ]);
+    writer.add('IfcRelAssociatesMaterial', [
+      this.guid(ctx, `walltype:${typeKey}:material`), ctx.ownerHistory, null, null, [typeRef], layerSet
+    ]);
+
+    const record = { ref: typeRef, layerSet };
+    ctx.wallTypes.set(typeKey, record);
+    return record;
+  }
+
+  /**
+   * IfcPropertySet + IfcRelDefinesByProperties, skipping undefined values
+   */
+  writePropertySet(writer, ctx, objectId, element, name, properties) {
+    const values = properties
+      .filter(prop => prop.value !== undefined && prop.value !== null && !(typeof prop.value === 'number' && !Number.isFinite(prop.value)))
+      .map(prop => {
+        const upperType = String(prop.type).toUpperCase();
+        const value = upperType === 'IFCINTEGER' || upperType === 'IFCCOUNTMEASURE' ? int(prop.value) : prop.value;
+        return writer.add('IfcPropertySingleValue', [prop.name, null, typedValue(prop.type, value), null]);
+      });
+    if (values.length === 0) return null;
+
+    if (!ctx.writtenPropertySets.has(objectId)) ctx.writtenPropertySets.set(objectId, new Set());
+    ctx.writtenPropertySets.get(objectId).add(name);
+
+    const pset = writer.add('IfcPropertySet', [this.guid(ctx, `${objectId}:${name}`), ctx.ownerHistory, name, null, values]);
+    writer.add('IfcRelDefinesByProperties', [
+      this.guid(ctx, `${objectId}:${name}:rel`), ctx.ownerHistory, null, null, [element], pset
+    ]);
+    return pset;
+  }
+
+  /**
+   * Re-emit property sets kept from an IFC import that the exporter did not write itself
+   */
+  writeRetainedPropertySets(writer, ctx, object, element) {
+    const propertySets = object.params?.ifcPropertySets;
+    if (!propertySets) return;
+
+    const written = ctx.writtenPropertySets.get(object.id) || new Set();
+    const propertyTypes = object.params.ifcPropertyTypes || {};
+
+    for (const [name, properties] of Object.entries(propertySets)) {
+      if (written.has(name)) continue;
+      const types = propertyTypes[name] || {};
+      this.writePropertySet(writer, ctx, object.id, element, name, Object.entries(properties).map(([propName, value]) => ({
+        name: propName,
+        type: types[propName] || (typeof value === 'boolean' ? 'IfcBoolean' : typeof value === 'number' ? 'IfcReal' : 'IfcLabel'),
+        value
+      })));
+    }
+  }
+
+  /**
+   * IfcElementQuantity with length/area/volume quantities
+   */
+  writeQuantities(writer, ctx, objectId, element, name, quantities) {
+    const values = quantities
+      .filter(q => Number.isFinite(q.value))
+      .map(q => writer.add(`IfcQuantity${q.kind}`, [q.name, null, null, q.value, null]));
+    if (values.length === 0) return null;
+
+    const qset = writer.add('IfcElementQuantity', [
+      this.guid(ctx, `${objectId}:${name}`), ctx.ownerHistory, name, null, null, values
+    ]);
+    writer.add('IfcRelDefinesByProperties', [
+      this.guid(ctx, `${objectId}:${name}:rel`), ctx.ownerHistory, null, null, [element], qset
+    ]);
+    return qset;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Geometry helpers
+  // ---------------------------------------------------------------------------
+
+  toIfcPoint(point) {
+    const p = point || { x: 0, y: 0, z: 0 };
+    return [p.x || 0, -(p.z || 0), p.y || 0];
+  }
+
+  /**
+   * Wall axis in IFC plan coordinates
+   */
+  getWallAxis(object) {
+    const params = object.params || {};
+    let start;
+    let end;
+
+    if (params.startPoint && params.endPoint) {
+      start = this.toIfcPoint(params.startPoint);
+      end = this.toIfcPoint(params.endPoint);
+    } else {
+      const centre = this.toIfcPoint(object.position || params.position);
+      const rotationY = object.rotation?.y || 0;
+      const length = params.length || 4;
+      const dir = [Math.cos(rotationY), Math.sin(rotationY)];
+      start = [centre[0] - dir[0] * length / 2, centre[1] - dir[1] * length / 2];
+      end = [centre[0] + dir[0] * length / 2, centre[1] + dir[1] * length / 2];
+    }
+
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return null;
+
+    return {
+      start: [start[0], start[1]],
+      end: [end[0], end[1]],
+      length,
+      dir: [dx / length, dy / length]
+    };
+  }
+
+  /**
+   * Plan footprint for slabs/roofs: polygon points or a rectangle around the object centre
+   */
+  getFootprint(object) {
+    const params = object.params || {};
+    let points;
+
+    const polygon = params.footprint || params.polygonPoints;
+    if (Array.isArray(polygon) && polygon.length >= 3) {
+      points = polygon.map(p => [p.x, -(p.z !== undefined ? p.z : p.y)]);
+    } else if (params.startPoint && params.endPoint) {
+      const a = this.toIfcPoint(params.startPoint);
+      const b = this.toIfcPoint(params.endPoint);
+      points = [[a[0], a[1]], [b[0], a[1]], [b[0], b[1]], [a[0], b[1]]];
+    } else {
+      const centre = this.toIfcPoint(object.position || params.position);
+      const width = params.width || params.dimensions?.width || 5;
+      const depth = params.depth || params.dimensions?.depth || 5;
+      points = [
+        [centre[0] - width / 2, centre[1] - depth / 2],
+        [centre[0] + width / 2, centre[1] - depth / 2],
+        [centre[0] + width / 2, centre[1] + depth / 2],
+        [centre[0] - width / 2, centre[1] + depth / 2]
+      ];
+    }
+
+    // Keep profiles counter-clockwise
+    let signedArea = 0;
+    let perimeter = 0;
+    for (let i = 0; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[(i + 1) % points.length];
+      signedArea += x1 * y2 - x2 * y1;
+      perimeter += Math.hypot(x2 - x1, y2 - y1);
+    }
+    if (signedArea < 0) {
+      points.reverse();
+    }
+
+    return { points, area: Math.abs(signedArea) / 2, perimeter };
+  }
+
+  /**
+   * Ensure a wall template has layers and properties (custom templates may omit them)
+   */
+  normalizeWallTemplate(template, params) {
+    const fallbackThickness = params.thickness || 0.2;
+    const base = template || {
+      name: 'Generic Wall',
+      layers: [{ material: params.material || 'concrete', thickness: fallbackThickness, function: 'structure', name: 'Core' }]
+    };
+    return {
+      ...base,
+      layers: base.layers && base.layers.length > 0
+        ? base.layers
+        : [{ material: params.material || 'concrete', thickness: base.totalThickness || fallbackThickness, function: 'structure', name: 'Core' }],
+      properties: { isExternal: false, loadBearing: false, fireRating: 0, ...(base.properties || {}) }
+    };
+  }
+
+  /**
+   * Wall property values from the engine, or from the template when exporting standalone
+   */
+  getWallProperties(ctx, template, objectId) {
+    if (ctx.getWallProperties) {
+      try {
+        return ctx.getWallProperties(template, objectId);
+      } catch (error) {
+        console.warn(`⚠️ IFC EXPORT: Wall property calculation failed for ${objectId}:`, error);
+      }
+    }
+    return {
+      isExternal: template.properties.isExternal,
+      loadBearing: template.properties.loadBearing,
+      thermalTransmittance: template.properties.thermalTransmittance,
+      fireRating: template.properties.fireRating,
+      wallType: template.name,
+      layerCount: template.layers.length
+    };
+  }
+
+  /**
+   * GlobalId derived from the document id and a seed: unique to the project, yet the
+   * same for an unchanged element on every export of it
+   * @param {Object} scope - Export settings or context (anything carrying documentId)
+   */
+  guid(scope, seed) {
+    return createIfcGuid(`${scope.documentId}:${seed}`);
+  }
+
+  /**
+   * Stable GlobalId: reuse an imported GUID, otherwise derive it from the document and object ids
+   */
+  guidFor(ctx, object) {
+    return object.params?.ifcGUID || object.params?.guid || this.guid(ctx, `element:${object.id}`);
+  }
+}
+
+const ifcExportService = new IFCExportService();
+
+export { IFCExportService };
+export default ifcExportService;
@@ -0,0 +1,1082 @@
+/**
+ * IFC Import Service - Reads IFC2x3/IFC4 STEP files into engine-ready parameters
+ *
+ * Resolves entity references instead of guessing from names: local placement chains,
+ * body/axis representations, IfcRelContainedInSpatialStructure (storeys),
+ * IfcRelAssociatesMaterial (materials and layer sets), IfcRelDefinesByProperties
+ * (property and quantity sets) and IfcRelVoidsElement/IfcRelFillsElement (openings).
+ *
+ * Coordinates: IFC is Z-up; the engine is Y-up with the plan on X/Z.
+ * IFC (X, Y, Z) maps to engine (X, Z, -Y). All lengths are converted to metres.
+ */
+
+import { parseStepFile } from '../utils/ifcStep';
+
+const ELEMENT_TYPES = {
+  IFCWALL: 'wall',
+  IFCWALLSTANDARDCASE: 'wall',
+  IFCWALLELEMENTEDCASE: 'wall',
+  IFCSLAB: 'slab',
+  IFCSLABSTANDARDCASE: 'slab',
+  IFCSLABELEMENTEDCASE: 'slab',
+  IFCCOLUMN: 'column',
+  IFCCOLUMNSTANDARDCASE: 'column',
+  IFCDOOR: 'door',
+  IFCDOORSTANDARDCASE: 'door',
+  IFCWINDOW: 'window',
+  IFCWINDOWSTANDARDCASE: 'window',
+  IFCSTAIR: 'stair',
+  IFCROOF: 'roof',
+  IFCBUILDINGELEMENTPROXY: 'proxy'
+};
+
+const LENGTH_PREFIXES = { MILLI: 0.001, CENTI: 0.01, DECI: 0.1, KILO: 1000 };
+const CONVERSION_UNITS = { FOOT: 0.3048, INCH: 0.0254, YARD: 0.9144, MILE: 1609.344 };
+
+// Keyword → engine material key (first match wins)
+const MATERIAL_KEYWORDS = [
+  ['insulation_rigid', ['rigid', 'xps', 'eps', 'polystyrene', 'polyiso', 'pir']],
+  ['insulation_batt', ['insulation', 'mineral wool', 'glass wool', 'rockwool', 'batt']],
+  ['vapor_barrier', ['vapor', 'vapour', 'membrane']],
+  ['air_barrier', ['air gap', 'air space', 'cavity', 'air barrier']],
+  ['drywall', ['gypsum', 'plasterboard', 'drywall', 'plaster']],
+  ['brick', ['brick', 'masonry']],
+  ['concrete', ['concrete', 'cmu', 'block', 'cement', 'screed']],
+  ['wood', ['wood', 'timber', 'stud', 'plywood', 'osb', 'lumber']],
+  ['steel', ['steel', 'metal', 'iron']],
+  ['aluminum', ['aluminium', 'aluminum']],
+  ['glass', ['glass', 'glazing']],
+  ['stone', ['stone', 'granite', 'marble']],
+  ['tiles', ['tile', 'ceramic']]
+];
+
+class IFCImportService {
+  constructor() {
+    this.supportedTypes = Object.keys(ELEMENT_TYPES);
+  }
+
+  /**
+   * Parse IFC text into storeys, wall types and per-type element parameter lists
+   * @param {string} ifcText - STEP file content
+   * @param {Object} options - { detectType(name, description, objectType) } for IfcBuildingElementProxy
+   */
+  parseModel(ifcText, options = {}) {
+    const { schema, entities } = parseStepFile(ifcText);
+    console.log(`🔍 IFC IMPORT: Parsed ${entities.size} entities (${schema || 'unknown schema'})`);
+
+    const ctx = this.buildIndex(entities);
+    ctx.scale = this.getLengthScale(ctx);
+    ctx.detectType = options.detectType || null;
+
+    const result = {
+      schema,
+      storeys: this.readStoreys(ctx),
+      wallTypes: {},
+      walls: [],
+      slabs: [],
+      columns: [],
+      doors: [],
+      windows: [],
+      stairs: [],
+      summary: {
+        totalEntities: entities.size,
+        supportedElements: 0,
+        unsupportedElements: 0,
+        openings: 0,
+        lengthUnitScale: ctx.scale
+      }
+    };
+    ctx.storeys = result.storeys;
+    ctx.wallTypes = result.wallTypes;
+
+    const collections = {
+      wall: result.walls,
+      slab: result.slabs,
+      column: result.columns,
+      door: result.doors,
+      window: result.windows,
+      stair: result.stairs
+    };
+
+    // Walls first so doors and windows can be projected onto their host axis
+    const wallsByIfcId = new Map();
+    const ordered = [...entities.values()]
+      .filter(entity => ELEMENT_TYPES[entity.type])
+      .sort((a, b) => (ELEMENT_TYPES[a.type] === 'wall' ? 0 : 1) - (ELEMENT_TYPES[b.type] === 'wall' ? 0 : 1));
+
+    for (const entity of ordered) {
+      try {
+        let kind = ELEMENT_TYPES[entity.type];
+        if (kind === 'proxy') {
+          kind = this.detectProxyType(ctx, entity);
+        }
+
+        let element = null;
+        switch (kind) {
+          case 'wall':
+            element = this.readWall(ctx, entity);
+            if (element) wallsByIfcId.set(entity.id, element);
+            break;
+          case 'slab':
+            element = this.readSlab(ctx, entity);
+            break;
+          case 'roof':
+            // Roofs without their own body are represented by their aggregated slabs
+            element = this.readSlab(ctx, entity, { isRoof: true });
+            kind = 'slab';
+            break;
+          case 'column':
+            element = this.readColumn(ctx, entity);
+            break;
+          case 'door':
+          case 'window':
+            element = this.readOpeningFiller(ctx, entity, kind, wallsByIfcId);
+            break;
+          case 'stair':
+            element = this.readStair(ctx, entity);
+            break;
+          default:
+            break;
+        }
+
+        if (element) {
+          if (entity.type === 'IFCBUILDINGELEMENTPROXY') {
+            element.originalType = 'BUILDINGELEMENTPROXY';
+            element.detectedType = kind;
+          }
+          collections[kind].push(element);
+          result.summary.supportedElements++;
+        }
+      } catch (error) {
+        console.warn(`⚠️ IFC IMPORT: Failed to read #${entity.id} ${entity.type}:`, error);
+      }
+    }
+
+    // Openings that are not filled by a door or window stay on the wall
+    for (const wall of result.walls) {
+      wall.openings = this.readUnfilledOpenings(ctx, wall);
+      result.summary.openings += wall.openings.length;
+    }
+
+    result.summary.unsupportedElements = [...entities.values()]
+      .filter(entity => /^IFC(BUILDINGELEMENT|BEAM|MEMBER|PLATE|RAILING|RAMP|COVERING|FOOTING|PILE|FURNISHINGELEMENT|FLOWTERMINAL)/.test(entity.type))
+      .filter(entity => !ELEMENT_TYPES[entity.type])
+      .length;
+
+    console.log('📊 IFC IMPORT: Complete', {
+      storeys: result.storeys.length,
+      walls: result.walls.length,
+      slabs: result.slabs.length,
+      columns: result.columns.length,
+      doors: result.doors.length,
+      windows: result.windows.length,
+      stairs: result.stairs.length
+    });
+
+    return result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Index of relationships
+  // ---------------------------------------------------------------------------
+
+  buildIndex(entities) {
+    const ctx = {
+      entities,
+      containedIn: new Map(),
+      aggregatedBy: new Map(),
+      materials: new Map(),
+      types: new Map(),
+      propertyDefinitions: new Map(),
+      voids: new Map(),
+      openingHost: new Map(),
+      openingFiller: new Map(),
+      fillerOpening: new Map(),
+      placementCache: new Map()
+    };
+
+    const pushTo = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
+
+    for (const entity of entities.values()) {
+      const args = entity.args;
+      switch (entity.type) {
+        case 'IFCRELCONTAINEDINSPATIALSTRUCTURE':
+          this.refIds(args[4]).forEach(id => ctx.containedIn.set(id, this.refId(args[5])));
+          break;
+        case 'IFCRELAGGREGATES':
+          this.refIds(args[5]).forEach(id => ctx.aggregatedBy.set(id, this.refId(args[4])));
+          break;
+        case 'IFCRELASSOCIATESMATERIAL':
+          this.refIds(args[4]).forEach(id => ctx.materials.set(id, this.refId(args[5])));
+          break;
+        case 'IFCRELDEFINESBYTYPE':
+          this.refIds(args[4]).forEach(id => ctx.types.set(id, this.refId(args[5])));
+          break;
+        case 'IFCRELDEFINESBYPROPERTIES':
+          this.refIds(args[4]).forEach(id => pushTo(ctx.propertyDefinitions, id, this.refId(args[5])));
+          break;
+        case 'IFCRELVOIDSELEMENT':
+          pushTo(ctx.voids, this.refId(args[4]), this.refId(args[5]));
+          ctx.openingHost.set(this.refId(args[5]), this.refId(args[4]));
+          break;
+        case 'IFCRELFILLSELEMENT':
+          ctx.openingFiller.set(this.refId(args[4]), this.refId(args[5]));
+          ctx.fillerOpening.set(this.refId(args[5]), this.refId(args[4]));
+          break;
+        default:
+          break;
+      }
+    }
+
+    return ctx;
+  }
+
+  /**
+   * Length unit of the project converted to metres
+   */
+  getLengthScale(ctx) {
+    const project = [...ctx.entities.values()].find(entity => entity.type === 'IFCPROJECT');
+    const assignment = project && this.deref(ctx, project.args[8]);
+    if (!assignment) return 1;
+
+    for (const unit of (assignment.args[0] || []).map(unitRef => this.deref(ctx, unitRef))) {
+      if (!unit || this.enumName(unit.args[1]) !== 'LENGTHUNIT') continue;
+
+      if (unit.type === 'IFCSIUNIT') {
+        return LENGTH_PREFIXES[this.enumName(unit.args[2])] || 1;
+      }
+      if (unit.type === 'IFCCONVERSIONBASEDUNIT') {
+        const name = String(unit.args[2] || '').toUpperCase();
+        const key = Object.keys(CONVERSION_UNITS).find(candidate => name.includes(candidate));
+        if (key) return CONVERSION_UNITS[key];
+      }
+    }
+    return 1;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Spatial structure
+  // ---------------------------------------------------------------------------
+
+  readStoreys(ctx) {
+    const storeys = [...ctx.entities.values()]
+      .filter(entity => entity.type === 'IFCBUILDINGSTOREY')
+      .map(entity => {
+        const placement = this.resolvePlacement(ctx, entity.args[5]);
+        const elevation = typeof entity.args[9] === 'number'
+          ? entity.args[9] * ctx.scale
+          : placement.t[2] * ctx.scale;
+        return {
+          id: `storey_${entity.args[0] || entity.id}`,
+          ifcId: entity.id,
+          ifcGUID: entity.args[0] || null,
+          name: entity.args[2] || `Storey ${entity.id}`,
+          elevation: this.round(elevation)
+        };
+      })
+      .sort((a, b) => a.elevation - b.elevation);
+
+    if (storeys.length === 0) {
+      storeys.push({ id: 'level_0', ifcId: null, ifcGUID: null, name: 'Level 0', elevation: 0 });
+    }
+    return storeys;
+  }
+
+  /**
+   * Storey of an element: explicit containment, containment of its aggregate parent,
+   * or the highest storey at or below the element base
+   */
+  resolveStorey(ctx, entity, baseElevation = 0) {
+    let current = entity.id;
+    for (let depth = 0; depth < 8 && current; depth++) {
+      const containerId = ctx.containedIn.get(current);
+      if (containerId) {
+        const storey = ctx.storeys.find(candidate => candidate.ifcId === containerId);
+        if (storey) return storey;
+      }
+      current = ctx.aggregatedBy.get(current);
+    }
+
+    const below = ctx.storeys.filter(storey => storey.elevation <= baseElevation + 1e-3);
+    return below.length > 0 ? below[below.length - 1] : ctx.storeys[0];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Elements
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Attributes shared by all imported elements
+   */
+  readCommon(ctx, entity, baseElevation) {
+    const storey = this.resolveStorey(ctx, entity, baseElevation);
+    const { propertySets, propertyTypes, quantities } = this.readPropertySets(ctx, entity);
+    const material = this.readMaterial(ctx, entity);
+
+    return {
+      storey,
+      params: {
+        name: entity.args[2] || `IFC ${entity.type.replace(/^IFC/, '')}`,
+        description: entity.args[3] || '',
+        ifcGUID: entity.args[0] || null,
+        ifcType: entity.type,
+        ifcObjectType: entity.args[4] || null,
+        ifcTag: typeof entity.args[7] === 'string' ? entity.args[7] : null,
+        ifcId: entity.id,
+        levelId: storey.id,
+        storeyName: storey.name,
+        storeyElevation: storey.elevation,
+        material: material.engineMaterial,
+        ifcMaterialName: material.name,
+        ifcPropertySets: propertySets,
+        ifcPropertyTypes: propertyTypes,
+        ifcQuantities: quantities
+      },
+      material
+    };
+  }
+
+  readWall(ctx, entity) {
+    const body = this.readBody(ctx, entity);
+    const axis = this.readAxis(ctx, entity);
+    if (!body && !axis) {
+      console.warn(`⚠️ IFC IMPORT: Wall #${entity.id} has no geometry`);
+      return null;
+    }
+
+    const baseZ = body ? body.bottom : (axis.start[2] || 0);
+    const { storey, params, material } = this.readCommon(ctx, entity, baseZ);
+
+    let start;
+    let end;
+    let bodyThickness = null;
+    if (axis) {
+      start = axis.start;
+      end = axis.end;
+    } else {
+      const box = this.orientedBox(body.points);
+      start = box.axisStart;
+      end = box.axisEnd;
+      bodyThickness = box.width;
+    }
+    if (body && !bodyThickness) {
+      bodyThickness = this.orientedBox(body.points).width;
+    }
+
+    const layerThickness = material.layers ? material.layers.reduce((sum, layer) => sum + layer.thickness, 0) : 0;
+    const thickness = this.round(layerThickness || bodyThickness || 0.2);
+    const height = this.round(body ? body.height : 2.5);
+    const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    const common = this.readCommonPset(params.ifcPropertySets, 'Pset_WallCommon');
+
+    const wall = {
+      ...params,
+      startPoint: this.toEnginePoint(start),
+      endPoint: this.toEnginePoint(end),
+      length: this.round(length),
+      height,
+      thickness,
+      baseOffset: this.round(baseZ - storey.elevation),
+      isExternal: common.IsExternal,
+      loadBearing: common.LoadBearing,
+      autoExtend: false,
+      ifcAxis: { start, end, length, baseZ }
+    };
+
+    if (material.layers && material.layers.length > 0) {
+      wall.wallType = this.registerWallType(ctx, material, common);
+    }
+
+    return wall;
+  }
+
+  readSlab(ctx, entity, extra = {}) {
+    const body = this.readBody(ctx, entity);
+    if (!body) {
+      return null;
+    }
+
+    const { storey, params } = this.readCommon(ctx, entity, body.bottom);
+    const footprint = body.points.map(point => this.toEnginePoint(point));
+    const xs = footprint.map(point => point.x);
+    const zs = footprint.map(point => point.z);
+    const min = { x: Math.min(...xs), z: Math.min(...zs) };
+    const max = { x: Math.max(...xs), z: Math.max(...zs) };
+    const predefined = this.enumName(entity.args[8]);
+
+    return {
+      ...params,
+      width: this.round(max.x - min.x),
+      depth: this.round(max.z - min.z),
+      thickness: this.round(body.height),
+      startPoint: { x: min.x, y: 0, z: min.z },
+      endPoint: { x: max.x, y: 0, z: max.z },
+      footprint,
+      offset: this.round(body.bottom - storey.elevation),
+      shape: 'rectangular',
+      isRoof: extra.isRoof || predefined === 'ROOF',
+      slabType: predefined ? predefined.toLowerCase() : 'flat'
+    };
+  }
+
+  readColumn(ctx, entity) {
+    const body = this.readBody(ctx, entity);
+    if (!body) return null;
+
+    const { storey, params } = this.readCommon(ctx, entity, body.bottom);
+    const centre = this.centroid(body.points);
+    const enginePosition = this.toEnginePoint(centre);
+    const rotation = Math.atan2(body.xAxis[1], body.xAxis[0]) * 180 / Math.PI;
+
+    const column = {
+      ...params,
+      position: { x: enginePosition.x, y: this.round(body.bottom - storey.elevation), z: enginePosition.z },
+      height: this.round(body.height),
+      rotation: this.round(rotation)
+    };
+
+    if (body.profile.kind === 'circle') {
+      column.shape = 'circle';
+      column.radius = this.round(body.profile.radius);
+    } else {
+      column.shape = 'rect';
+      column.width = this.round(body.profile.xDim || this.orientedBox(body.points).length);
+      column.depth = this.round(body.profile.yDim || this.orientedBox(body.points).width);
+    }
+    return column;
+  }
+
+  readOpeningFiller(ctx, entity, kind, wallsByIfcId) {
+    const isDoor = kind === 'door';
+    const body = this.readBody(ctx, entity);
+    const openingId = ctx.fillerOpening.get(entity.id);
+    const openingEntity = openingId ? ctx.entities.get(openingId) : null;
+    const openingBody = openingEntity ? this.readBody(ctx, openingEntity) : null;
+    const placement = this.resolvePlacement(ctx, entity.args[5]);
+    const geometry = body || openingBody;
+
+    const bottom = geometry ? geometry.bottom : placement.t[2] * ctx.scale;
+    const { storey, params } = this.readCommon(ctx, entity, bottom);
+
+    const width = typeof entity.args[9] === 'number'
+      ? entity.args[9] * ctx.scale
+      : (geometry ? this.orientedBox(geometry.points).length : (isDoor ? 0.9 : 1.2));
+    const height = typeof entity.args[8] === 'number'
+      ? entity.args[8] * ctx.scale
+      : (geometry ? geometry.height : (isDoor ? 2.1 : 1.4));
+    const centre = geometry ? this.centroid(geometry.points) : [placement.t[0] * ctx.scale, placement.t[1] * ctx.scale];
+
+    const element = {
+      ...params,
+      width: this.round(width),
+      height: this.round(height),
+      position: { ...this.toEnginePoint(centre), y: this.round(bottom - storey.elevation) },
+      sillHeight: this.round(Math.max(0, bottom - storey.elevation))
+    };
+
+    if (isDoor) {
+      const operation = this.enumName(entity.args[11]) || '';
+      element.openingDirection = operation.includes('LEFT') ? 'left' : 'right';
+      element.doorType = operation.startsWith('DOUBLE') ? 'double_swing'
+        : operation.startsWith('SLIDING') ? 'sliding'
+          : operation.startsWith('FOLDING') ? 'bi_fold'
+            : 'single_swing';
+    } else {
+      const partitioning = this.enumName(entity.args[11]) || '';
+      element.windowType = partitioning === 'DOUBLE_PANEL_HORIZONTAL' ? 'double_hung'
+        : partitioning === 'DOUBLE_PANEL_VERTICAL' ? 'sliding'
+          : 'casement';
+    }
+
+    // Host wall through IfcRelFillsElement → IfcOpeningElement → IfcRelVoidsElement
+    const hostIfcId = openingId ? ctx.openingHost.get(openingId) : null;
+    const hostWall = hostIfcId ? wallsByIfcId.get(hostIfcId) : null;
+    if (hostWall) {
+      const along = this.projectOntoAxis(centre, hostWall.ifcAxis);
+      element.hostIfcId = hostIfcId;
+      element.insertionMode = 'insert_in_wall';
+      element.insertionPosition = this.round(Math.min(1, Math.max(0, along / hostWall.ifcAxis.length)));
+      element.sillHeight = this.round(Math.max(0, bottom - hostWall.ifcAxis.baseZ));
+      element.ifcOpeningGUID = openingEntity.args[0] || null;
+    }
+
+    return element;
+  }
+
+  readStair(ctx, entity) {
+    const body = this.readBody(ctx, entity);
+    const placement = this.resolvePlacement(ctx, entity.args[5]);
+    const bottom = body ? body.bottom : placement.t[2] * ctx.scale;
+    const { storey, params } = this.readCommon(ctx, entity, bottom);
+    const common = this.readCommonPset(params.ifcPropertySets, 'Pset_StairCommon');
+
+    const box = body ? this.orientedBox(body.points) : null;
+    const centre = body ? this.centroid(body.points) : [placement.t[0] * ctx.scale, placement.t[1] * ctx.scale];
+    const numberOfSteps = Math.round(common.NumberOfRiser || common.NumberOfTreads || 16);
+    const riserHeight = common.RiserHeight ? common.RiserHeight * ctx.scale : (body ? body.height / numberOfSteps : 0.18);
+    const treadDepth = common.TreadLength ? common.TreadLength * ctx.scale : (box ? box.length / numberOfSteps : 0.25);
+
+    return {
+      ...params,
+      position: { ...this.toEnginePoint(centre), y: this.round(bottom - storey.elevation) },
+      numberOfSteps,
+      riserHeight: this.round(riserHeight),
+      treadDepth: this.round(treadDepth),
+      stepWidth: this.round(box ? box.width : 1.2),
+      totalRise: this.round(riserHeight * numberOfSteps),
+      totalRun: this.round(treadDepth * numberOfSteps),
+      stairType: (this.enumName(entity.args[8]) || 'straight_run_stair').toLowerCase()
+    };
+  }
+
+  /**
+   * Openings voiding a wall that no door or window fills
+   */
+  readUnfilledOpenings(ctx, wall) {
+    return (ctx.voids.get(wall.ifcId) || [])
+      .filter(openingId => !ctx.openingFiller.has(openingId))
+      .map(openingId => {
+        const opening = ctx.entities.get(openingId);
+        const body = opening && this.readBody(ctx, opening);
+        if (!body) return null;
+
+        const dir = [
+          (wall.ifcAxis.end[0] - wall.ifcAxis.start[0]) / wall.ifcAxis.length,
+          (wall.ifcAxis.end[1] - wall.ifcAxis.start[1]) / wall.ifcAxis.length
+        ];
+        const along = body.points.map(point => this.projectOntoAxis(point, wall.ifcAxis));
+        const width = Math.max(...along) - Math.min(...along);
+        const centre = this.centroid(body.points);
+
+        return {
+          type: 'opening',
+          ifcGUID: opening.args[0] || null,
+          width: this.round(width || Math.abs(dir[0])),
+          height: this.round(body.height),
+          position: this.round(this.projectOntoAxis(centre, wall.ifcAxis)),
+          offset: this.round(body.bottom - wall.ifcAxis.baseZ)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  detectProxyType(ctx, entity) {
+    if (!ctx.detectType) return 'wall';
+    return ctx.detectType(entity.args[2] || '', entity.args[3] || '', entity.args[4] || '');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Materials and properties
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Material of an element (falls back to its type's material)
+   */
+  readMaterial(ctx, entity) {
+    let materialId = ctx.materials.get(entity.id);
+    if (!materialId && ctx.types.has(entity.id)) {
+      materialId = ctx.materials.get(ctx.types.get(entity.id));
+    }
+    const material = materialId ? ctx.entities.get(materialId) : null;
+    if (!material) {
+      return { name: null, engineMaterial: undefined, layers: null };
+    }
+
+    switch (material.type) {
+      case 'IFCMATERIAL':
+        return { name: material.args[0], engineMaterial: this.mapMaterialName(material.args[0]), layers: null };
+      case 'IFCMATERIALLAYERSETUSAGE':
+        return this.readLayerSet(ctx, this.deref(ctx, material.args[0]));
+      case 'IFCMATERIALLAYERSET':
+        return this.readLayerSet(ctx, material);
+      case 'IFCMATERIALLIST': {
+        const first = this.deref(ctx, (material.args[0] || [])[0]);
+        const name = first ? first.args[0] : null;
+        return { name, engineMaterial: this.mapMaterialName(name), layers: null };
+      }
+      case 'IFCMATERIALCONSTITUENTSET': {
+        const constituent = this.deref(ctx, (material.args[2] || [])[0]);
+        const inner = constituent ? this.deref(ctx, constituent.args[2]) : null;
+        const name = inner ? inner.args[0] : material.args[0];
+        return { name, engineMaterial: this.mapMaterialName(name), layers: null };
+      }
+      default:
+        return { name: material.args[0] || null, engineMaterial: this.mapMaterialName(material.args[0]), layers: null };
+    }
+  }
+
+  readLayerSet(ctx, layerSet) {
+    if (!layerSet) {
+      return { name: null, engineMaterial: undefined, layers: null };
+    }
+
+    const layerEntities = (layerSet.args[0] || []).map(layerRef => this.deref(ctx, layerRef)).filter(Boolean);
+    const layers = layerEntities.map((layer, index) => {
+      const material = this.deref(ctx, layer.args[0]);
+      const materialName = material ? material.args[0] : null;
+      const name = layer.args[3] || materialName || `Layer ${index + 1}`;
+      return {
+        material: this.mapMaterialName(materialName || name) || 'concrete',
+        ifcMaterialName: materialName,
+        thickness: this.round((layer.args[1] || 0) * ctx.scale),
+        function: this.guessLayerFunction(layer, name, index, layerEntities.length),
+        name
+      };
+    });
+
+    const primary = layers.find(layer => layer.function === 'structure') || layers[0];
+    return {
+      id: layerSet.id,
+      name: layerSet.args[1] || (primary ? primary.name : null),
+      description: layerSet.args[2] || null,
+      engineMaterial: primary ? primary.material : undefined,
+      layers
+    };
+  }
+
+  guessLayerFunction(layer, name, index, count) {
+    const category = String(layer.args[5] || '').toLowerCase();
+    const text = `${category} ${name}`.toLowerCase();
+
+    if (layer.args[2] === true || text.includes('air')) return 'air_space';
+    if (text.includes('insul')) return 'insulation';
+    if (text.includes('membrane') || text.includes('vapo')) return 'vapor_control';
+    if (category.includes('loadbearing') || text.includes('structure') || text.includes('stud') || text.includes('core')) return 'structure';
+    if (count > 1 && index === 0) return 'finish_exterior';
+    if (count > 1 && index === count - 1) return 'finish_interior';
+    return 'structure';
+  }
+
+  /**
+   * Register an engine wall type template for an imported layer set
+   */
+  registerWallType(ctx, material, common) {
+    const slug = String(material.name || `layerset_${material.id}`)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '');
+    const key = `ifc_${slug || material.id}`;
+
+    if (!ctx.wallTypes[key]) {
+      ctx.wallTypes[key] = {
+        name: material.name || key,
+        description: material.description || 'Imported from IFC',
+        totalThickness: this.round(material.layers.reduce((sum, layer) => sum + layer.thickness, 0)),
+        layers: material.layers.map(({ ifcMaterialName, ...layer }) => layer),
+        properties: {
+          isExternal: common.IsExternal === true,
+          loadBearing: common.LoadBearing === true,
+          thermalTransmittance: typeof common.ThermalTransmittance === 'number' ? common.ThermalTransmittance : 0,
+          fireRating: this.parseFireRating(common.FireRating)
+        },
+        source: 'ifc'
+      };
+    }
+    return key;
+  }
+
+  /**
+   * Property and quantity sets attached to an element (and its type)
+   */
+  readPropertySets(ctx, entity) {
+    const propertySets = {};
+    const propertyTypes = {};
+    const quantities = {};
+
+    const definitionIds = [...(ctx.propertyDefinitions.get(entity.id) || [])];
+    const typeEntity = ctx.types.has(entity.id) ? ctx.entities.get(ctx.types.get(entity.id)) : null;
+    const typeSets = typeEntity && Array.isArray(typeEntity.args[5]) ? this.refIds(typeEntity.args[5]) : [];
+
+    // Type-level sets first so occurrence values override them
+    for (const definitionId of [...typeSets, ...definitionIds]) {
+      const definition = ctx.entities.get(definitionId);
+      if (!definition) continue;
+
+      if (definition.type === 'IFCPROPERTYSET') {
+        const setName = definition.args[2] || `PropertySet_${definition.id}`;
+        propertySets[setName] = propertySets[setName] || {};
+        propertyTypes[setName] = propertyTypes[setName] || {};
+        for (const property of (definition.args[4] || []).map(propertyRef => this.deref(ctx, propertyRef))) {
+          if (!property || property.type !== 'IFCPROPERTYSINGLEVALUE') continue;
+          const nominal = property.args[2];
+          propertySets[setName][property.args[0]] = nominal && nominal.stepKind === 'typed' ? nominal.value : nominal;
+          if (nominal && nominal.stepKind === 'typed') {
+            propertyTypes[setName][property.args[0]] = nominal.type;
+          }
+        }
+      } else if (definition.type === 'IFCELEMENTQUANTITY') {
+        const setName = definition.args[2] || `Quantities_${definition.id}`;
+        quantities[setName] = quantities[setName] || {};
+        for (const quantity of (definition.args[5] || []).map(quantityRef => this.deref(ctx, quantityRef))) {
+          if (!quantity || typeof quantity.args[3] !== 'number') continue;
+          const power = quantity.type === 'IFCQUANTITYAREA' ? 2 : quantity.type === 'IFCQUANTITYVOLUME' ? 3 : quantity.type === 'IFCQUANTITYLENGTH' ? 1 : 0;
+          quantities[setName][quantity.args[0]] = this.round(quantity.args[3] * Math.pow(ctx.scale, power));
+        }
+      }
+    }
+
+    return { propertySets, propertyTypes, quantities };
+  }
+
+  readCommonPset(propertySets, name) {
+    return (propertySets && propertySets[name]) || {};
+  }
+
+  parseFireRating(value) {
+    if (typeof value === 'number') return value;
+    const match = /(\d+)/.exec(String(value || ''));
+    return match ? Number(match[1]) : 0;
+  }
+
+  /**
+   * Map an IFC material name onto the closest engine material key
+   */
+  mapMaterialName(name) {
+    if (!name) return undefined;
+    const lower = String(name).toLowerCase();
+    const exact = lower.replace(/[^a-z0-9]+/g, '_');
+    for (const [key, keywords] of MATERIAL_KEYWORDS) {
+      if (exact === key || keywords.some(keyword => lower.includes(keyword))) {
+        return key;
+      }
+    }
+    return 'concrete';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Geometry
+  // ---------------------------------------------------------------------------
+
+  /**
+   * World placement of an IfcLocalPlacement chain as { R: [xAxis, yAxis, zAxis], t }
+   * (translation in file units)
+   */
+  resolvePlacement(ctx, placementRef) {
+    const id = this.refId(placementRef);
+    if (!id) return this.identity();
+    if (ctx.placementCache.has(id)) return ctx.placementCache.get(id);
+
+    const placement = ctx.entities.get(id);
+    let matrix = this.identity();
+    if (placement && placement.type === 'IFCLOCALPLACEMENT') {
+      const parent = placement.args[0] ? this.resolvePlacement(ctx, placement.args[0]) : this.identity();
+      matrix = this.compose(parent, this.axisPlacement(ctx, placement.args[1]));
+    }
+
+    ctx.placementCache.set(id, matrix);
+    return matrix;
+  }
+
+  /**
+   * IfcAxis2Placement3D / IfcAxis2Placement2D as a rigid transform
+   */
+  axisPlacement(ctx, placementRef) {
+    const placement = this.deref(ctx, placementRef);
+    if (!placement) return this.identity();
+
+    const location = this.pointCoords(ctx, placement.args[0]);
+    const t = [location[0] || 0, location[1] || 0, location[2] || 0];
+
+    if (placement.type === 'IFCAXIS2PLACEMENT2D') {
+      const ref = this.directionCoords(ctx, placement.args[1]) || [1, 0];
+      const x = this.normalize([ref[0], ref[1] || 0, 0]);
+      return { R: [x, [-x[1], x[0], 0], [0, 0, 1]], t };
+    }
+
+    const z = this.normalize(this.directionCoords(ctx, placement.args[1]) || [0, 0, 1]);
+    let x = this.directionCoords(ctx, placement.args[2]) || (Math.abs(z[0]) > 0.9 ? [0, 1, 0] : [1, 0, 0]);
+    const dot = x[0] * z[0] + x[1] * z[1] + x[2] * z[2];
+    x = this.normalize([x[0] - dot * z[0], x[1] - dot * z[1], x[2] - dot * z[2]]);
+    const y = [z[1] * x[2] - z[2] * x[1], z[2] * x[0] - z[0] * x[2], z[0] * x[1] - z[1] * x[0]];
+    return { R: [x, y, z], t };
+  }
+
+  /**
+   * Body geometry of an element in world metres:
+   * { points (base outline), bottom, height, profile, xAxis }
+   */
+  readBody(ctx, entity) {
+    const placement = this.resolvePlacement(ctx, entity.args[5]);
+    const items = this.getRepresentationItems(ctx, entity, 'Body');
+
+    for (const item of items) {
+      const solid = this.resolveSolid(ctx, item, placement);
+      if (solid) return solid;
+    }
+    return null;
+  }
+
+  /**
+   * Wall axis from the 'Axis' representation, in world metres
+   */
+  readAxis(ctx, entity) {
+    const placement = this.resolvePlacement(ctx, entity.args[5]);
+    const items = this.getRepresentationItems(ctx, entity, 'Axis');
+
+    for (const item of items) {
+      const curve = this.deref(ctx, item);
+      let points = null;
+      if (curve && curve.type === 'IFCPOLYLINE') {
+        points = (curve.args[0] || []).map(pointRef => this.pointCoords(ctx, pointRef));
+      } else if (curve && curve.type === 'IFCTRIMMEDCURVE') {
+        const basis = this.deref(ctx, curve.args[0]);
+        if (basis && basis.type === 'IFCLINE') {
+          const trims = [curve.args[1], curve.args[2]].map(trim => (trim || []).find(value => value && value.stepKind === 'ref'));
+          if (trims.every(Boolean)) points = trims.map(trim => this.pointCoords(ctx, trim));
+        }
+      }
+      if (points && points.length >= 2) {
+        const start = this.scalePoint(ctx, this.transformPoint(placement, [points[0][0], points[0][1], 0]));
+        const end = this.scalePoint(ctx, this.transformPoint(placement, [points[points.length - 1][0], points[points.length - 1][1], 0]));
+        return { start, end };
+      }
+    }
+    return null;
+  }
+
+  getRepresentationItems(ctx, entity, identifier) {
+    const shape = this.deref(ctx, entity.args[6]);
+    if (!shape) return [];
+
+    const representations = (shape.args[2] || []).map(repRef => this.deref(ctx, repRef)).filter(Boolean);
+    const matching = representations.filter(rep => String(rep.args[1] || '').toLowerCase() === identifier.toLowerCase());
+    const chosen = matching.length > 0 ? matching : (identifier === 'Body' ? representations.filter(rep => rep.args[1] !== 'Axis') : []);
+    return chosen.flatMap(rep => rep.args[3] || []);
+  }
+
+  /**
+   * Resolve a representation item down to an extruded solid
+   */
+  resolveSolid(ctx, itemRef, placement, depth = 0) {
+    const item = this.deref(ctx, itemRef);
+    if (!item || depth > 6) return null;
+
+    switch (item.type) {
+      case 'IFCEXTRUDEDAREASOLID':
+      case 'IFCEXTRUDEDAREASOLIDTAPERED':
+        return this.readExtrusion(ctx, item, placement);
+      case 'IFCBOOLEANRESULT':
+      case 'IFCBOOLEANCLIPPINGRESULT':
+        return this.resolveSolid(ctx, item.args[1], placement, depth + 1);
+      case 'IFCMAPPEDITEM': {
+        const source = this.deref(ctx, item.args[0]);
+        if (!source) return null;
+        const mapped = this.compose(placement, this.axisPlacement(ctx, source.args[0]));
+        const representation = this.deref(ctx, source.args[1]);
+        for (const inner of (representation ? representation.args[3] || [] : [])) {
+          const solid = this.resolveSolid(ctx, inner, mapped, depth + 1);
+          if (solid) return solid;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  readExtrusion(ctx, solid, placement) {
+    const profile = this.readProfile(ctx, solid.args[0]);
+    if (!profile) return null;
+
+    const solidMatrix = this.compose(placement, this.axisPlacement(ctx, solid.args[1]));
+    const direction = this.directionCoords(ctx, solid.args[2]) || [0, 0, 1];
+    const extrusion = this.rotate(solidMatrix, this.normalize(direction)).map(value => value * solid.args[3] * ctx.scale);
+
+    const points = profile.points.map(point => this.scalePoint(ctx, this.transformPoint(solidMatrix, [point[0], point[1], 0])));
+    const baseZ = Math.min(...points.map(point => point[2]));
+    const bottom = Math.min(baseZ, baseZ + extrusion[2]);
+
+    return {
+      points,
+      bottom,
+      height: Math.abs(extrusion[2]) || solid.args[3] * ctx.scale,
+      profile: {
+        ...profile,
+        xDim: profile.xDim ? profile.xDim * ctx.scale : null,
+        yDim: profile.yDim ? profile.yDim * ctx.scale : null,
+        radius: profile.radius ? profile.radius * ctx.scale : null
+      },
+      xAxis: this.rotate(solidMatrix, profile.xAxis || [1, 0, 0])
+    };
+  }
+
+  /**
+   * Profile outline as 2D points in the solid's coordinate system (file units)
+   */
+  readProfile(ctx, profileRef) {
+    const profile = this.deref(ctx, profileRef);
+    if (!profile) return null;
+
+    if (profile.type === 'IFCARBITRARYCLOSEDPROFILEDEF' || profile.type === 'IFCARBITRARYPROFILEDEFWITHVOIDS') {
+      const curve = this.deref(ctx, profile.args[2]);
+      let points = [];
+      if (curve && curve.type === 'IFCPOLYLINE') {
+        points = (curve.args[0] || []).map(pointRef => this.pointCoords(ctx, pointRef));
+      } else if (curve && curve.type === 'IFCINDEXEDPOLYCURVE') {
+        const list = this.deref(ctx, curve.args[0]);
+        points = list ? list.args[0] || [] : [];
+      }
+      if (points.length > 1 && this.samePoint(points[0], points[points.length - 1])) {
+        points = points.slice(0, -1);
+      }
+      return points.length >= 3 ? { kind: 'polygon', points } : null;
+    }
+
+    const position = this.axisPlacement(ctx, profile.args[2]);
+    const toSolid = point => {
+      const p = this.transformPoint(position, [point[0], point[1], 0]);
+      return [p[0], p[1]];
+    };
+
+    if (profile.type === 'IFCCIRCLEPROFILEDEF' || profile.type === 'IFCCIRCLEHOLLOWPROFILEDEF') {
+      const radius = profile.args[3];
+      const points = [];
+      for (let i = 0; i < 16; i++) {
+        const angle = (i / 16) * Math.PI * 2;
+        points.push(toSolid([Math.cos(angle) * radius, Math.sin(angle) * radius]));
+      }
+      return { kind: 'circle', radius, points, xAxis: position.R[0] };
+    }
+
+    // Rectangles and parametric sections (I, L, U, T...) share (XDim/OverallWidth, YDim/OverallDepth) at args 3/4
+    if (typeof profile.args[3] === 'number' && typeof profile.args[4] === 'number') {
+      const xDim = profile.args[3];
+      const yDim = profile.args[4];
+      return {
+        kind: profile.type === 'IFCRECTANGLEPROFILEDEF' ? 'rectangle' : 'section',
+        xDim,
+        yDim,
+        xAxis: position.R[0],
+        points: [
+          [-xDim / 2, -yDim / 2], [xDim / 2, -yDim / 2], [xDim / 2, yDim / 2], [-xDim / 2, yDim / 2]
+        ].map(toSolid)
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Oriented box of a plan outline aligned with its longest edge
+   */
+  orientedBox(points) {
+    let best = null;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      if (!best || length > best.length) best = { length, dir: [(b[0] - a[0]) / (length || 1), (b[1] - a[1]) / (length || 1)] };
+    }
+
+    const dir = best.dir;
+    const normal = [-dir[1], dir[0]];
+    const along = points.map(p => p[0] * dir[0] + p[1] * dir[1]);
+    const across = points.map(p => p[0] * normal[0] + p[1] * normal[1]);
+    const minAlong = Math.min(...along);
+    const maxAlong = Math.max(...along);
+    const mid = (Math.min(...across) + Math.max(...across)) / 2;
+    const at = value => [dir[0] * value + normal[0] * mid, dir[1] * value + normal[1] * mid, 0];
+
+    return {
+      length: maxAlong - minAlong,
+      width: Math.max(...across) - Math.min(...across),
+      axisStart: at(minAlong),
+      axisEnd: at(maxAlong)
+    };
+  }
+
+  projectOntoAxis(point, axis) {
+    const dx = axis.end[0] - axis.start[0];
+    const dy = axis.end[1] - axis.start[1];
+    return ((point[0] - axis.start[0]) * dx + (point[1] - axis.start[1]) * dy) / (axis.length || 1);
+  }
+
+  centroid(points) {
+    const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+    return [sum[0] / points.length, sum[1] / points.length];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Small math / reference helpers
+  // ---------------------------------------------------------------------------
+
+  identity() {
+    return { R: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], t: [0, 0, 0] };
+  }
+
+  rotate(matrix, v) {
+    const [x, y, z] = matrix.R;
+    return [
+      x[0] * v[0] + y[0] * v[1] + z[0] * v[2],
+      x[1] * v[0] + y[1] * v[1] + z[1] * v[2],
+      x[2] * v[0] + y[2] * v[1] + z[2] * v[2]
+    ];
+  }
+
+  transformPoint(matrix, p) {
+    const r = this.rotate(matrix, p);
+    return [r[0] + matrix.t[0], r[1] + matrix.t[1], r[2] + matrix.t[2]];
+  }
+
+  compose(parent, child) {
+    return {
+      R: child.R.map(axis => this.rotate(parent, axis)),
+      t: this.transformPoint(parent, child.t)
+    };
+  }
+
+  normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2] || 0) || 1;
+    return [v[0] / length, v[1] / length, (v[2] || 0) / length];
+  }
+
+  samePoint(a, b) {
+    return Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+  }
+
+  scalePoint(ctx, p) {
+    return [p[0] * ctx.scale, p[1] * ctx.scale, (p[2] || 0) * ctx.scale];
+  }
+
+  toEnginePoint(p) {
+    return { x: this.round(p[0]), y: 0, z: this.round(-p[1]) };
+  }
+
+  pointCoords(ctx, pointRef) {
+    const point = this.deref(ctx, pointRef);
+    return point && Array.isArray(point.args[0]) ? point.args[0] : [0, 0, 0];
+  }
+
+  directionCoords(ctx, directionRef) {
+    const direction = this.deref(ctx, directionRef);
+    return direction && Array.isArray(direction.args[0]) ? direction.args[0] : null;
+  }
+
+  deref(ctx, value) {
+    const id = this.refId(value);
+    return id ? ctx.entities.get(id) || null : null;
+  }
+
+  refId(value) {
+    return value && value.stepKind === 'ref' ? value.id : null;
+  }
+
+  refIds(values) {
+    return (Array.isArray(values) ? values : [values]).map(value => this.refId(value)).filter(Boolean);
+  }
+
+  enumName(value) {
+    return value && value.stepKind === 'enum' ? value.name : null;
+  }
+
+  round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+const ifcImportService = new IFCImportService();
+
+export { IFCImportService };
+export default ifcImportService;
@@ -6,7 +6,7 @@
  */
 
 import NLPParser from './NLPParser.js';
-import StepPlanner from './StepPlanner.js';
+import StepPlanner, { LayoutWallHosts } from './StepPlanner.js';
 
 class IntelligentCADService {
   constructor(cadEngine) {
@@ -21,6 +21,8 @@ class IntelligentCADService {
       workingArea: { x: 0, y: 0, width: 50, height: 50 },
       activeProject: null
     };
+    // Walls created by layout plan steps, for the doors they host
+    this.layoutHosts = new LayoutWallHosts();
 
     console.log('🧠 IntelligentCADService: Initialized with advanced NLP and planning capabilities');
   }
@@ -138,6 +140,8 @@ class IntelligentCADService {
    */
   addSpatialContext(analysis) {
     const existingObjects = this.cadEngine.getAllObjects();
+    // Plain records for the step planner to lay new rooms out around
+    analysis.existingObjects = existingObjects.map(obj => ({ id: obj.id, type: obj.type, params: obj.params || {} }));
     
     if (existingObjects.length > 0) {
       analysis.spatialContext = {
@@ -305,11 +309,14 @@ class IntelligentCADService {
       case 'createPerimeterWalls':
         return this.createPerimeterWalls(step.params);
         
-      case 'createWall':
-        return this.cadEngine.createObject('wall', step.params);
+      case 'createWall': {
+        const wallId = this.cadEngine.createObject('wall', step.params);
+        this.layoutHosts.recordWall(step, wallId);
+        return wallId;
+      }
         
       case 'createDoor':
-        return this.createDoor(step.params);
+        return this.createDoor(step.params, step);
         
       case 'createWindows':
         return this.createWindows(step.params);
@@ -329,17 +336,18 @@ class IntelligentCADService {
    * Specialized CAD operations
    */
   createPerimeterWalls(params) {
-    const { width, depth, height, thickness, material } = params;
+    const { width, depth, height, thickness, material, center = { x: 0, z: 0 } } = params;
     const halfWidth = width / 2;
     const halfDepth = depth / 2;
     const wallIds = [];
+    const at = (x, z) => ({ x: center.x + x, y: 0, z: center.z + z });
 
     // Create all four walls
     const walls = [
-      { start: { x: -halfWidth, y: 0, z: -halfDepth }, end: { x: halfWidth, y: 0, z: -halfDepth } },
-      { start: { x: halfWidth, y: 0, z: -halfDepth }, end: { x: halfWidth, y: 0, z: halfDepth } },
-      { start: { x: halfWidth, y: 0, z: halfDepth }, end: { x: -halfWidth, y: 0, z: halfDepth } },
-      { start: { x: -halfWidth, y: 0, z: halfDepth }, end: { x: -halfWidth, y: 0, z: -halfDepth } }
+      { start: at(-halfWidth, -halfDepth), end: at(halfWidth, -halfDepth) },
+      { start: at(halfWidth, -halfDepth), end: at(halfWidth, halfDepth) },
+      { start: at(halfWidth, halfDepth), end: at(-halfWidth, halfDepth) },
+      { start: at(-halfWidth, halfDepth), end: at(-halfWidth, -halfDepth) }
     ];
 
     for (const wall of walls) {
@@ -354,7 +362,12 @@ class IntelligentCADService {
     return { wallIds, count: wallIds.length };
   }
 
-  createDoor(params) {
+  createDoor(params, step = {}) {
+    // Layout plans name the wall the door goes in
+    if (step.hostWallRef) {
+      return { ...this.layoutHosts.createDoor(this.cadEngine, step), type: 'door' };
+    }
+
     // Implementation would integrate with door creation system
     console.log('🚪 Creating door with advanced parameters:', params);
     return { doorId: `door_${Date.now()}`, type: 'door' };
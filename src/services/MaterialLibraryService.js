@@ -0,0 +1,257 @@
+/**
+ * Material Library Service - Materials and layered wall, slab and roof types
+ *
+ * Validates and normalizes material definitions and layered assemblies, tracks
+ * where they are used, and keeps an optional per-browser user library so a
+ * firm's standard assemblies can be reused across projects. The project copy
+ * of the library lives in StandaloneCADEngine and travels with the scene document.
+ */
+
+export const ASSEMBLY_KINDS = ['wall', 'slab', 'roof'];
+
+// Layer functions understood by the wall renderers and the IFC exporter
+export const LAYER_FUNCTIONS = [
+  'structure',
+  'insulation',
+  'finish_exterior',
+  'finish_interior',
+  'air_space',
+  'vapor_control',
+  'membrane',
+  'substrate'
+];
+
+const MATERIAL_CATEGORIES = ['structural', 'masonry', 'finish', 'insulation', 'membrane', 'glazing', 'metal', 'other'];
+
+const DEFAULT_PROPERTIES = {
+  wall: { isExternal: false, loadBearing: false, thermalTransmittance: 0, fireRating: 0 },
+  slab: { isExternal: false, loadBearing: true, thermalTransmittance: 0, fireRating: 0 },
+  roof: { isExternal: true, loadBearing: false, thermalTransmittance: 0, fireRating: 0 }
+};
+
+const EMPTY_LIBRARY = () => ({ materials: {}, wall: {}, slab: {}, roof: {} });
+
+class MaterialLibraryService {
+  constructor() {
+    this.storageKey = 'studiosix_material_library';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Definitions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Normalize a material definition; colors are CSS hex strings or numbers
+   * @throws {Error} When the definition has no usable name or invalid physical properties
+   */
+  normalizeMaterial(definition = {}) {
+    const name = String(definition.name || '').trim();
+    if (!name) {
+      throw new Error('Material name is required');
+    }
+
+    const number = (key, fallback, min = 0) => {
+      if (definition[key] === undefined || definition[key] === null || definition[key] === '') return fallback;
+      const value = Number(definition[key]);
+      if (!Number.isFinite(value) || value < min) {
+        throw new Error(`Material "${name}": ${key} must be a number ≥ ${min}`);
+      }
+      return value;
+    };
+
+    let color = definition.color !== undefined ? definition.color : '#9ca3af';
+    if (typeof color === 'number') {
+      color = `#${color.toString(16).padStart(6, '0')}`;
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new Error(`Material "${name}": color must be a hex value like #a1b2c3`);
+    }
+
+    return {
+      name,
+      color: color.toLowerCase(),
+      category: MATERIAL_CATEGORIES.includes(definition.category) ? definition.category : 'other',
+      thermalConductivity: number('thermalConductivity', null),
+      density: number('density', null),
+      thermalCapacity: number('thermalCapacity', null),
+      compressiveStrength: number('compressiveStrength', null),
+      roughness: Math.min(number('roughness', 0.6), 1),
+      metalness: Math.min(number('metalness', 0), 1),
+      opacity: Math.min(number('opacity', 1), 1)
+    };
+  }
+
+  /**
+   * Normalize a layered wall/slab/roof type. Wall layers run exterior → interior,
+   * slab and roof layers top → bottom. totalThickness is always the sum of the layers.
+   * @param {string} kind - 'wall' | 'slab' | 'roof'
+   * @param {Object} definition - { name, description, layers: [{ material, thickness, function, name }], properties }
+   * @param {string[]} [materialIds] - Known materials; layers using anything else are rejected
+   * @throws {Error} When the type is incomplete or references unknown materials
+   */
+  normalizeAssembly(kind, definition = {}, materialIds = null) {
+    this.assertKind(kind);
+    const name = String(definition.name || '').trim();
+    if (!name) {
+      throw new Error(`${kind} type name is required`);
+    }
+    if (!Array.isArray(definition.layers) || definition.layers.length === 0) {
+      throw new Error(`${kind} type "${name}" needs at least one layer`);
+    }
+
+    const known = materialIds ? new Set(materialIds) : null;
+    const layers = definition.layers.map((layer, index) => {
+      const thickness = Number(layer.thickness);
+      if (!Number.isFinite(thickness) || thickness <= 0) {
+        throw new Error(`${kind} type "${name}": layer ${index + 1} needs a thickness greater than 0`);
+      }
+      if (!layer.material) {
+        throw new Error(`${kind} type "${name}": layer ${index + 1} needs a material`);
+      }
+      if (known && !known.has(layer.material)) {
+        throw new Error(`${kind} type "${name}": unknown material "${layer.material}" in layer ${index + 1}`);
+      }
+      const layerFunction = LAYER_FUNCTIONS.includes(layer.function) ? layer.function : 'structure';
+      return {
+        material: layer.material,
+        thickness,
+        function: layerFunction,
+        name: layer.name || `${layer.material} ${Math.round(thickness * 1000)}mm`
+      };
+    });
+
+    return {
+      name,
+      description: definition.description || '',
+      totalThickness: Number(layers.reduce((sum, layer) => sum + layer.thickness, 0).toFixed(6)),
+      layers,
+      properties: { ...DEFAULT_PROPERTIES[kind], ...(definition.properties || {}) }
+    };
+  }
+
+  /**
+   * Copy of a type or material under a new name
+   */
+  duplicate(definition, name) {
+    const copy = JSON.parse(JSON.stringify(definition));
+    copy.name = name || `${definition.name} (copy)`;
+    return copy;
+  }
+
+  /**
+   * Stable id from a display name, unique among existing ids
+   */
+  createId(name, existingIds = []) {
+    const taken = new Set(existingIds);
+    const base = String(name || 'type').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'type';
+    let id = base;
+    let suffix = 2;
+    while (taken.has(id)) {
+      id = `${base}_${suffix++}`;
+    }
+    return id;
+  }
+
+  /**
+   * Layer that gives an assembly its structural material (used for single-material fallbacks)
+   */
+  getStructuralLayer(assembly) {
+    const layers = assembly?.layers || [];
+    return layers.find(layer => layer.function === 'structure') ||
+      [...layers].sort((a, b) => b.thickness - a.thickness)[0] || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Usage
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Ids of objects that reference a type: walls through params.wallType,
+   * slabs and roofs through params.assemblyType
+   */
+  findAssemblyUsage(objects, kind, typeId) {
+    this.assertKind(kind);
+    const key = kind === 'wall' ? 'wallType' : 'assemblyType';
+    return objects
+      .filter(object => object.type === kind && object.params?.[key] === typeId)
+      .map(object => object.id);
+  }
+
+  /**
+   * Where a material is used, directly on objects or as a layer of a type
+   * @param {Object} assemblies - { wall: { id: type }, slab: {...}, roof: {...} }
+   * @returns {{ objects: string[], assemblies: Array<{ kind: string, id: string }> }}
+   */
+  findMaterialUsage(objects, assemblies, materialId) {
+    const types = [];
+    ASSEMBLY_KINDS.forEach(kind => {
+      Object.entries(assemblies[kind] || {}).forEach(([id, assembly]) => {
+        if ((assembly.layers || []).some(layer => layer.material === materialId)) {
+          types.push({ kind, id });
+        }
+      });
+    });
+
+    const usesType = object => types.some(({ kind, id }) =>
+      object.type === kind && (object.params?.wallType === id || object.params?.assemblyType === id));
+    return {
+      objects: objects.filter(object => object.params?.material === materialId || usesType(object)).map(object => object.id),
+      assemblies: types
+    };
+  }
+
+  assertKind(kind) {
+    if (!ASSEMBLY_KINDS.includes(kind)) {
+      throw new Error(`Unknown assembly kind "${kind}" (expected ${ASSEMBLY_KINDS.join(', ')})`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // User library (localStorage)
+  // ---------------------------------------------------------------------------
+
+  loadUserLibrary() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(this.storageKey) : null;
+      return stored ? { ...EMPTY_LIBRARY(), ...JSON.parse(stored) } : EMPTY_LIBRARY();
+    } catch (error) {
+      console.warn('📚 MATERIAL LIBRARY: Could not read user library:', error);
+      return EMPTY_LIBRARY();
+    }
+  }
+
+  saveUserLibrary(library) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(library));
+      return true;
+    } catch (error) {
+      console.warn('📚 MATERIAL LIBRARY: Could not save user library:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add or replace an entry in the user library
+   * @param {string} section - 'materials' or an assembly kind
+   */
+  saveToUserLibrary(section, id, definition) {
+    const library = this.loadUserLibrary();
+    if (!library[section]) {
+      throw new Error(`Unknown library section "${section}"`);
+    }
+    library[section][id] = JSON.parse(JSON.stringify(definition));
+    return this.saveUserLibrary(library);
+  }
+
+  removeFromUserLibrary(section, id) {
+    const library = this.loadUserLibrary();
+    if (!library[section] || !library[section][id]) return false;
+    delete library[section][id];
+    return this.saveUserLibrary(library);
+  }
+}
+
+const materialLibraryService = new MaterialLibraryService();
+
+export { MaterialLibraryService };
+export default materialLibraryService;
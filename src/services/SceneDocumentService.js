@@ -0,0 +1,349 @@
+/**
+ * Scene Document Service - Versioned project document format
+ *
+ * One headless document shape for saving and reopening projects: objects, floors,
+ * structural grids, section views, drawing sheets, DXF underlays, wall openings, joinery
+ * state, constraints, annotations and command history.
+ * Documents are validated against schemas/sceneDocument.schema.json and older
+ * saves are brought forward through a migration chain (version N -> N + 1).
+ */
+
+import sceneDocumentSchema from '../schemas/sceneDocument.schema.json';
+import { validateSchema, formatSchemaErrors } from '../utils/jsonSchema';
+import { DEFAULT_LEVELS } from '../utils/buildingLevels';
+
+export const SCENE_DOCUMENT_FORMAT = 'studiosix.scene';
+export const SCENE_DOCUMENT_VERSION = 2;
+
+// Runtime fields that never belong in a saved document
+const RUNTIME_KEYS = new Set(['mesh3D', 'mesh2D', 'geometry', 'bimObject', 'bimData', 'selected', 'position', 'rotation']);
+
+// Joinery results are stored once in document.joinery rather than on every wall
+const JOINERY_KEYS = ['startAdjustment', 'endAdjustment', 'adjustForJoinery'];
+
+// Hosted doors/windows rebuild their own wall openings, so only free openings are stored
+const HOSTED_TYPES = new Set(['door', 'window']);
+
+/**
+ * Id that tells one project's documents from another's (seeds IFC GlobalIds)
+ */
+export function createDocumentId() {
+  return `doc_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+class SceneDocumentService {
+  constructor() {
+    this.schema = sceneDocumentSchema;
+    this.migrations = new Map();
+
+    // Unversioned saves (engine object lists, Floorplan.saveFloorplan, autosave records)
+    this.registerMigration(0, (legacy) => this.migrateLegacy(legacy));
+    this.registerMigration(1, (document) => this.migrateV1(document));
+  }
+
+  /**
+   * Register the migration that upgrades a document from `fromVersion` to `fromVersion + 1`
+   */
+  registerMigration(fromVersion, migrate) {
+    this.migrations.set(fromVersion, migrate);
+  }
+
+  /**
+   * Build a document from engine state
+   * @param {Object} state - { documentId, name, description, floors, grids, sectionViews, sheets, underlays, wallTypes, slabTypes, roofTypes, materials, objects, constraints, annotations, history, createdAt }
+   *   objects: [{ id, type, params, visible, created, openings }] - params as stored on the CAD object
+   */
+  createDocument(state = {}) {
+    const now = new Date().toISOString();
+    const joinery = [];
+
+    const objects = (state.objects || []).map(object => {
+      const params = this.toPlain(object.params || {});
+      const record = {
+        id: object.id,
+        type: object.type,
+        params
+      };
+
+      if (params.levelId) record.levelId = params.levelId;
+      if (object.visible !== undefined) record.visible = object.visible !== false;
+      if (object.created !== undefined) record.created = object.created;
+
+      if (object.type === 'wall') {
+        if (params.adjustForJoinery) {
+          joinery.push({
+            wallId: object.id,
+            startAdjustment: params.startAdjustment || 0,
+            endAdjustment: params.endAdjustment || 0
+          });
+        }
+        JOINERY_KEYS.forEach(key => delete params[key]);
+
+        const openings = [...(params.openings || []), ...(object.openings || [])]
+          .filter(opening => !HOSTED_TYPES.has(opening.type));
+        delete params.openings;
+        if (openings.length > 0) record.openings = this.toPlain(openings);
+      }
+
+      return record;
+    });
+
+    return {
+      format: SCENE_DOCUMENT_FORMAT,
+      version: SCENE_DOCUMENT_VERSION,
+      metadata: {
+        name: state.name || 'Untitled Project',
+        documentId: state.documentId || createDocumentId(),
+        ...(state.description ? { description: state.description } : {}),
+        units: 'm',
+        ...(state.displayUnits ? { displayUnits: state.displayUnits } : {}),
+        application: 'StudioSix Pro',
+        createdAt: state.createdAt || now,
+        modifiedAt: now
+      },
+      floors: (state.floors && state.floors.length > 0 ? state.floors : DEFAULT_LEVELS).map(floor => this.toPlain(floor)),
+      grids: this.toPlain(state.grids || []),
+      sectionViews: this.toPlain(state.sectionViews || []),
+      sheets: this.toPlain(state.sheets || []),
+      underlays: this.toPlain(state.underlays || []),
+      dimensions: this.toPlain(state.dimensions || []),
+      wallTypes: this.toPlain(state.wallTypes || {}),
+      slabTypes: this.toPlain(state.slabTypes || {}),
+      roofTypes: this.toPlain(state.roofTypes || {}),
+      materials: this.toPlain(state.materials || {}),
+      objects,
+      joinery: { walls: joinery },
+      constraints: this.toPlain(state.constraints || []),
+      annotations: this.toPlain(state.annotations || []),
+      history: state.history ? this.toPlain(state.history) : null
+    };
+  }
+
+  /**
+   * Parse, migrate and validate a saved document
+   * @param {string|Object|Array} input - JSON text or parsed data in any supported version
+   * @returns {Object} Current-version document
+   * @throws {Error} When the data cannot be migrated or fails schema validation
+   */
+  load(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!data || typeof data !== 'object') {
+      throw new Error('Scene document must be a JSON object');
+    }
+
+    const document = this.migrate(data);
+    const { valid, errors } = this.validate(document);
+    if (!valid) {
+      throw new Error(`Invalid scene document: ${formatSchemaErrors(errors)}`);
+    }
+    return document;
+  }
+
+  /**
+   * Run migrations until the document reaches the current version
+   */
+  migrate(data) {
+    // Autosave/project records wrap the document alongside project metadata
+    if (data.format !== SCENE_DOCUMENT_FORMAT && data.sceneDocument) {
+      const history = data.sceneDocument.history || data.commandHistory || null;
+      data = { ...data.sceneDocument, history };
+    }
+
+    const originalVersion = this.getVersion(data);
+    if (originalVersion > SCENE_DOCUMENT_VERSION) {
+      throw new Error(`Scene document version ${originalVersion} is newer than supported version ${SCENE_DOCUMENT_VERSION}`);
+    }
+
+    let document = data;
+    for (let version = originalVersion; version < SCENE_DOCUMENT_VERSION; version++) {
+      const migrate = this.migrations.get(version);
+      if (!migrate) {
+        throw new Error(`No migration from scene document version ${version}`);
+      }
+      document = { ...migrate(document), version: version + 1 };
+      console.log(`🔄 SCENE DOCUMENT: Migrated v${version} → v${version + 1}`);
+    }
+
+    if (originalVersion < SCENE_DOCUMENT_VERSION) {
+      document.metadata = { ...document.metadata, migratedFrom: originalVersion };
+    }
+    return document;
+  }
+
+  validate(document) {
+    return validateSchema(document, this.schema);
+  }
+
+  /**
+   * Document version; anything without the format marker is a legacy (v0) save
+   */
+  getVersion(data) {
+    if (data && data.format === SCENE_DOCUMENT_FORMAT && Number.isInteger(data.version)) {
+      return data.version;
+    }
+    return 0;
+  }
+
+  serialize(document) {
+    return JSON.stringify(document, null, 2);
+  }
+
+  /**
+   * Objects ordered so hosts exist before the elements that reference them:
+   * walls, then free-standing objects, then hosted doors/windows
+   */
+  getRebuildOrder(document) {
+    const rank = object => {
+      if (object.type === 'wall') return 0;
+      if (HOSTED_TYPES.has(object.type) && object.params.hostWallId) return 2;
+      return 1;
+    };
+    return [...document.objects].sort((a, b) => rank(a) - rank(b));
+  }
+
+  // ---------------------------------------------------------------------------
+  // v0 → v1
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Convert the ad-hoc shapes saved before the versioned format existed
+   */
+  migrateLegacy(legacy) {
+    let objects = [];
+    if (Array.isArray(legacy)) {
+      objects = legacy.map(object => this.fromSerializedObject(object));
+    } else if (Array.isArray(legacy.objects)) {
+      objects = legacy.objects.map(object => this.fromSerializedObject(object));
+    } else if (legacy.corners && Array.isArray(legacy.walls)) {
+      objects = this.fromFloorplan(legacy);
+    }
+
+    const history = legacy.commandHistory || legacy.history || null;
+    return this.createDocument({
+      name: legacy.name || legacy.projectName,
+      description: legacy.description,
+      createdAt: legacy.createdAt || legacy.created,
+      floors: legacy.floors || legacy.levels,
+      objects,
+      constraints: legacy.constraints,
+      annotations: legacy.annotations,
+      history: history && Array.isArray(history.commands) ? history : null
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1 → v2
+  // ---------------------------------------------------------------------------
+
+  /**
+   * v1 documents predate grids, section views, sheets, underlays, dimensions, the
+   * slab/roof type and material libraries and the document id
+   */
+  migrateV1(document) {
+    return {
+      ...document,
+      metadata: {
+        ...document.metadata,
+        documentId: document.metadata?.documentId || createDocumentId()
+      },
+      grids: document.grids || [],
+      sectionViews: document.sectionViews || [],
+      sheets: document.sheets || [],
+      underlays: document.underlays || [],
+      dimensions: document.dimensions || [],
+      slabTypes: document.slabTypes || {},
+      roofTypes: document.roofTypes || {},
+      materials: document.materials || {}
+    };
+  }
+
+  /**
+   * Output of StandaloneCADEngine.serializeObject (params spread at top level plus `params`)
+   */
+  fromSerializedObject(object) {
+    let params = object.params;
+    if (!params) {
+      params = {};
+      Object.entries(object).forEach(([key, value]) => {
+        if (!RUNTIME_KEYS.has(key) && !['id', 'type', 'visible', 'created'].includes(key)) {
+          params[key] = value;
+        }
+      });
+    }
+
+    // Hosted data used to be surfaced from the BIM object only
+    if (HOSTED_TYPES.has(object.type) && object.hostWallId && !params.hostWallId) {
+      params = { ...params, hostWallId: object.hostWallId, insertionMode: 'insert_in_wall' };
+    }
+
+    return {
+      id: String(object.id),
+      type: object.type,
+      params,
+      visible: object.visible,
+      created: object.created,
+      openings: object.openings
+    };
+  }
+
+  /**
+   * Architect3D Floorplan.saveFloorplan(): corners keyed by id in centimetres, walls by corner ids
+   */
+  fromFloorplan(floorplan) {
+    const toPoint = corner => ({ x: corner.x / 100, y: 0, z: corner.y / 100 });
+
+    return floorplan.walls
+      .filter(wall => floorplan.corners[wall.corner1] && floorplan.corners[wall.corner2])
+      .map((wall, index) => {
+        const start = floorplan.corners[wall.corner1];
+        const end = floorplan.corners[wall.corner2];
+        const startPoint = toPoint(start);
+        const endPoint = toPoint(end);
+        return {
+          id: `wall_${index + 1}`,
+          type: 'wall',
+          params: {
+            startPoint,
+            endPoint,
+            length: Math.hypot(endPoint.x - startPoint.x, endPoint.z - startPoint.z),
+            height: 2.5,
+            thickness: 0.2,
+            baseOffset: (start.elevation || 0) / 100
+          }
+        };
+      });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Deep copy that keeps only JSON data (drops Three.js objects, functions and runtime keys)
+   */
+  toPlain(value, depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (depth > 32) return undefined;
+    if (typeof value === 'function') return undefined;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (value.isObject3D || value.isBufferGeometry || value.isMaterial || value.isTexture) return undefined;
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.toPlain(item, depth + 1)).filter(item => item !== undefined);
+    }
+
+    const plain = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const copy = this.toPlain(item, depth + 1);
+      if (copy !== undefined) plain[key] = copy;
+    });
+    return plain;
+  }
+}
+
+const sceneDocumentService = new SceneDocumentService();
+
+export { SceneDocumentService };
+export default sceneDocumentService;
@@ -0,0 +1,588 @@
+/**
+ * Schedule Service - Quantity take-off and element schedules
+ *
+ * Tabulates the model into door, window, wall, curtain wall, slab, room and material schedules
+ * with grouping, subtotals and totals, and exports them as CSV or XLSX.
+ * Works on plain model data ({ objects, wallTypeTemplates, slabTypeTemplates, roofTypeTemplates, materialDatabase, levels })
+ * so it can run against the engine or a saved scene document.
+ */
+
+import { createXlsxWorkbook } from '../utils/xlsxWriter';
+import { polygonArea, polygonPerimeter } from '../utils/roomDetection';
+import { wallLength } from '../utils/wallArcs';
+import { layoutCurtainWall, resolveCurtainWall } from '../utils/curtainWall';
+
+const HOSTED_TYPES = new Set(['door', 'window']);
+
+const text = (key, label) => ({ key, label, type: 'text' });
+const number = (key, label, unit, precision = 2, total = false) => ({ key, label, unit, precision, total, type: 'number' });
+
+class ScheduleService {
+  constructor() {
+    // Column layout and default grouping per schedule
+    this.definitions = {
+      door: {
+        title: 'Door Schedule',
+        groupBy: 'type',
+        columns: [
+          text('mark', 'Mark'), text('level', 'Level'), text('type', 'Type'),
+          number('width', 'Width', 'm', 3), number('height', 'Height', 'm', 3), number('thickness', 'Thickness', 'm', 3),
+          text('material', 'Material'), text('swing', 'Swing'), text('hostWall', 'Host Wall'),
+          number('area', 'Area', 'm²', 2, true)
+        ]
+      },
+      window: {
+        title: 'Window Schedule',
+        groupBy: 'type',
+        columns: [
+          text('mark', 'Mark'), text('level', 'Level'), text('type', 'Type'),
+          number('width', 'Width', 'm', 3), number('height', 'Height', 'm', 3), number('sillHeight', 'Sill Height', 'm', 3),
+          text('material', 'Material'), text('hostWall', 'Host Wall'),
+          number('area', 'Area', 'm²', 2, true), number('glazingArea', 'Glazing Area', 'm²', 2, true)
+        ]
+      },
+      wall: {
+        title: 'Wall Type Schedule',
+        groupBy: 'wallType',
+        columns: [
+          text('mark', 'Mark'), text('level', 'Level'), text('wallType', 'Wall Type'),
+          number('thickness', 'Thickness', 'm', 3), number('length', 'Length', 'm', 2, true), number('height', 'Height', 'm', 2),
+          number('grossArea', 'Gross Area', 'm²', 2, true), number('openingArea', 'Openings', 'm²', 2, true),
+          number('netArea', 'Net Area', 'm²', 2, true), number('volume', 'Volume', 'm³', 3, true)
+        ]
+      },
+      curtainWall: {
+        title: 'Curtain Wall Schedule',
+        groupBy: 'wallType',
+        columns: [
+          text('mark', 'Mark'), text('level', 'Level'), text('wallType', 'Wall Type'), text('mullionProfile', 'Mullions'),
+          number('length', 'Length', 'm', 2, true), number('height', 'Height', 'm', 2), number('area', 'Area', 'm²', 2, true),
+          number('panels', 'Panels', null, 0, true), number('glassArea', 'Glazing', 'm²', 2, true),
+          number('spandrelArea', 'Spandrel', 'm²', 2, true), number('doors', 'Doors', null, 0, true),
+          number('mullionLength', 'Mullion Length', 'm', 2, true), number('transomLength', 'Transom Length', 'm', 2, true)
+        ]
+      },
+      slab: {
+        title: 'Slab Schedule',
+        groupBy: 'material',
+        columns: [
+          text('mark', 'Mark'), text('level', 'Level'), text('material', 'Material'), text('slabType', 'Slab Type'),
+          number('thickness', 'Thickness', 'm', 3), number('perimeter', 'Perimeter', 'm', 2, true),
+          number('area', 'Area', 'm²', 2, true), number('volume', 'Volume', 'm³', 3, true)
+        ]
+      },
+      room: {
+        title: 'Room Schedule',
+        groupBy: 'level',
+        columns: [
+          text('number', 'Number'), text('name', 'Name'), text('level', 'Level'),
+          number('area', 'Area', 'm²', 2, true), number('perimeter', 'Perimeter', 'm', 2, true),
+          number('height', 'Height', 'm', 2), number('volume', 'Volume', 'm³', 2, true),
+          text('floorFinish', 'Floor Finish'), text('wallFinish', 'Wall Finish'), text('ceilingFinish', 'Ceiling Finish')
+        ]
+      },
+      material: {
+        title: 'Material Take-off',
+        groupBy: 'material',
+        columns: [
+          text('material', 'Material'), text('element', 'Element'), text('elementType', 'Category'), text('layer', 'Layer'),
+          number('thickness', 'Thickness', 'm', 3), number('area', 'Area', 'm²', 2, true),
+          number('volume', 'Volume', 'm³', 3, true), number('mass', 'Mass', 'kg', 0, true)
+        ]
+      }
+    };
+  }
+
+  getScheduleTypes() {
+    return Object.entries(this.definitions).map(([id, definition]) => ({ id, title: definition.title }));
+  }
+
+  /**
+   * Generate one schedule
+   * @param {string} type - door | window | wall | curtainWall | slab | room | material
+   * @param {Object} model - { objects: [{ id, type, params, openings }], wallTypeTemplates, materialDatabase, levels }
+   * @param {Object} options - { groupBy: column key or null, levelId }
+   * @returns {Object} { id, title, columns, groupBy, groups: [{ key, rows, totals, count }], rows, totals, count }
+   */
+  generate(type, model, options = {}) {
+    const definition = this.definitions[type];
+    if (!definition) {
+      throw new Error(`Unknown schedule type: ${type}`);
+    }
+
+    const context = this.createContext(model);
+    let objects = context.objects;
+    if (options.levelId) {
+      objects = objects.filter(object => context.levelIdOf(object) === options.levelId);
+    }
+
+    const rows = this.buildRows(type, objects, context);
+    const groupBy = options.groupBy !== undefined ? options.groupBy : definition.groupBy;
+    const sortKey = definition.columns[0].key;
+    rows.sort((a, b) => String(a[sortKey]).localeCompare(String(b[sortKey]), undefined, { numeric: true }));
+
+    const groups = [];
+    if (groupBy) {
+      const byKey = new Map();
+      rows.forEach(row => {
+        const key = row[groupBy] === undefined || row[groupBy] === null || row[groupBy] === '' ? '—' : String(row[groupBy]);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(row);
+      });
+      [...byKey.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).forEach(key => {
+        const groupRows = byKey.get(key);
+        groups.push({ key, rows: groupRows, count: groupRows.length, totals: this.sumColumns(definition.columns, groupRows) });
+      });
+    }
+
+    return {
+      id: type,
+      title: definition.title,
+      columns: definition.columns,
+      groupBy,
+      groups,
+      rows,
+      count: rows.length,
+      totals: this.sumColumns(definition.columns, rows),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Generate every schedule type
+   */
+  generateAll(model, options = {}) {
+    return Object.keys(this.definitions).map(type => this.generate(type, model, options));
+  }
+
+  sumColumns(columns, rows) {
+    const totals = {};
+    columns.filter(column => column.total).forEach(column => {
+      totals[column.key] = rows.reduce((sum, row) => sum + (Number(row[column.key]) || 0), 0);
+    });
+    return totals;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rows
+  // ---------------------------------------------------------------------------
+
+  createContext(model = {}) {
+    const objects = (model.objects || []).filter(object => object && object.params);
+    const levels = model.levels || [];
+    const lowest = [...levels].sort((a, b) => a.elevation - b.elevation)[0];
+
+    const levelIdOf = (object) => {
+      const host = object.params.hostWallId ? objects.find(candidate => candidate.id === object.params.hostWallId) : null;
+      const levelId = (host || object).params.levelId;
+      return levels.some(level => level.id === levelId) ? levelId : (lowest ? lowest.id : levelId || null);
+    };
+
+    return {
+      objects,
+      levels,
+      levelIdOf,
+      levelName: (object) => {
+        const levelId = levelIdOf(object);
+        const level = levels.find(candidate => candidate.id === levelId);
+        return level ? level.name : levelId || '';
+      },
+      wallTypeTemplates: model.wallTypeTemplates || {},
+      slabTypeTemplates: model.slabTypeTemplates || {},
+      roofTypeTemplates: model.roofTypeTemplates || {},
+      materialDatabase: model.materialDatabase || {}
+    };
+  }
+
+  buildRows(type, objects, context) {
+    switch (type) {
+      case 'door':
+      case 'window':
+        return objects.filter(object => object.type === type).map(object => this.openingRow(object, context));
+      case 'wall':
+        return objects
+          .filter(object => object.type === 'wall' && !this.isCurtainWall(object.params, context))
+          .map(object => this.wallRow(object, context));
+      case 'curtainWall':
+        return objects
+          .filter(object => object.type === 'wall' && this.isCurtainWall(object.params, context))
+          .map(object => this.curtainWallRow(object, context));
+      case 'slab':
+        return objects.filter(object => object.type === 'slab').map(object => this.slabRow(object, context));
+      case 'room':
+        return objects.filter(object => object.type === 'room').map(object => this.roomRow(object, context));
+      case 'material':
+        return this.materialRows(objects, context);
+      default:
+        return [];
+    }
+  }
+
+  openingRow(object, context) {
+    const params = object.params;
+    const width = Number(params.width) || (object.type === 'door' ? 0.9 : 1.2);
+    const height = Number(params.height) || (object.type === 'door' ? 2.1 : 1.2);
+    const frameWidth = Number(params.frameWidth) || 0.05;
+    const sizeLabel = `${Math.round(width * 1000)} × ${Math.round(height * 1000)}`;
+
+    const row = {
+      id: object.id,
+      mark: params.mark || params.name || object.id,
+      level: context.levelName(object),
+      width,
+      height,
+      thickness: Number(params.thickness) || null,
+      material: params.material || '',
+      hostWall: params.hostWallId || '',
+      area: width * height
+    };
+
+    if (object.type === 'door') {
+      row.type = params.doorType ? `${params.doorType} ${sizeLabel}` : sizeLabel;
+      row.swing = params.openingDirection || '';
+    } else {
+      row.type = params.windowType ? `${params.windowType} ${sizeLabel}` : sizeLabel;
+      row.sillHeight = params.sillHeight !== undefined ? Number(params.sillHeight) : null;
+      row.glazingArea = Math.max(width - 2 * frameWidth, 0) * Math.max(height - 2 * frameWidth, 0);
+    }
+    return row;
+  }
+
+  getWallTemplate(params, context) {
+    return params.wallTemplate || context.wallTypeTemplates[params.wallType] || null;
+  }
+
+  /**
+   * Layers of a wall; walls without a type template are a single layer of their material
+   */
+  getWallLayers(params, context) {
+    const template = this.getWallTemplate(params, context);
+    if (template && Array.isArray(template.layers) && template.layers.length > 0) {
+      return template.layers;
+    }
+    return [{ material: params.material || 'concrete', thickness: Number(params.thickness) || 0.2, name: 'Wall' }];
+  }
+
+  /**
+   * Layers of a slab or roof (top to bottom) from its assembly type, else one layer of its material
+   */
+  getAssemblyLayers(object, context) {
+    const templates = object.type === 'roof' ? context.roofTypeTemplates : context.slabTypeTemplates;
+    const template = templates?.[object.params.assemblyType];
+    if (template && Array.isArray(template.layers) && template.layers.length > 0) {
+      return template.layers;
+    }
+    return [{ material: object.params.material || 'wood', thickness: Number(object.params.thickness) || 0.2, name: 'Slab' }];
+  }
+
+  /**
+   * Centerline length, measured along the arc for curved walls
+   */
+  getWallLength(params) {
+    if (params.startPoint && params.endPoint) {
+      const start = { x: params.startPoint.x, z: params.startPoint.z || 0 };
+      const end = { x: params.endPoint.x, z: params.endPoint.z || 0 };
+      return wallLength(start, end, params.bulge);
+    }
+    return Number(params.length) || 0;
+  }
+
+  /**
+   * Area cut out of a wall by hosted doors/windows and free openings
+   */
+  getWallOpeningArea(wall, context) {
+    const hosted = context.objects
+      .filter(object => HOSTED_TYPES.has(object.type) && object.params.hostWallId === wall.id)
+      .reduce((sum, object) => sum + (Number(object.params.width) || 0) * (Number(object.params.height) || 0), 0);
+
+    const free = [...(wall.params.openings || []), ...(wall.openings || [])]
+      .filter(opening => !HOSTED_TYPES.has(opening.type))
+      .reduce((sum, opening) => sum + (Number(opening.width) || 0) * (Number(opening.height) || 0), 0);
+
+    return hosted + free;
+  }
+
+  wallRow(wall, context) {
+    const params = wall.params;
+    const template = this.getWallTemplate(params, context);
+    const layers = this.getWallLayers(params, context);
+    const thickness = Number(template?.totalThickness) || layers.reduce((sum, layer) => sum + (Number(layer.thickness) || 0), 0);
+    const length = this.getWallLength(params);
+    const height = Number(params.height) || 0;
+    const grossArea = length * height;
+    const openingArea = Math.min(this.getWallOpeningArea(wall, context), grossArea);
+    const netArea = grossArea - openingArea;
+
+    return {
+      id: wall.id,
+      mark: params.mark || params.name || wall.id,
+      level: context.levelName(wall),
+      wallType: template?.name || params.wallType || 'Generic Wall',
+      thickness,
+      length,
+      height,
+      grossArea,
+      openingArea,
+      netArea,
+      volume: netArea * thickness
+    };
+  }
+
+  isCurtainWall(params, context) {
+    return !!this.getWallTemplate(params, context)?.properties?.isCurtainWall;
+  }
+
+  /**
+   * Panel and frame quantities of a curtain wall: as built by the engine (between its
+   * joinery cuts) when the model carries them, else laid out along the centerline
+   */
+  getCurtainWallQuantities(wall, context) {
+    if (wall.curtainWall?.quantities) {
+      return { ...wall.curtainWall.quantities, mullionProfile: wall.curtainWall.mullionProfile };
+    }
+    const template = this.getWallTemplate(wall.params, context);
+    const layout = layoutCurtainWall(
+      this.getWallLength(wall.params),
+      Number(wall.params.height) || 0,
+      resolveCurtainWall(template.curtainWall, wall.params.curtainWall)
+    );
+    return { ...layout.quantities, mullionProfile: layout.mullionProfile.name };
+  }
+
+  curtainWallRow(wall, context) {
+    const params = wall.params;
+    const quantities = this.getCurtainWallQuantities(wall, context);
+    const height = Number(params.height) || 0;
+
+    return {
+      id: wall.id,
+      mark: params.mark || params.name || wall.id,
+      level: context.levelName(wall),
+      wallType: this.getWallTemplate(params, context).name,
+      mullionProfile: quantities.mullionProfile,
+      length: height > 0 ? quantities.area / height : 0,
+      height,
+      area: quantities.area,
+      panels: quantities.panelCount,
+      glassArea: quantities.glassArea,
+      spandrelArea: quantities.spandrelArea,
+      doors: quantities.doorCount,
+      mullionLength: quantities.mullionLength,
+      transomLength: quantities.transomLength
+    };
+  }
+
+  /**
+   * Plan area and perimeter of a slab (rectangular, circular or polygon)
+   */
+  getSlabFootprint(params) {
+    const points = (params.polygonPoints || []).map(point => ({ x: point.x, z: point.z !== undefined ? point.z : point.y }));
+    if (params.shape === 'polygon' && points.length >= 3) {
+      return { area: Math.abs(polygonArea(points)), perimeter: polygonPerimeter(points) };
+    }
+
+    let width = Number(params.width) || 5;
+    let depth = Number(params.depth) || 5;
+    if (params.startPoint && params.endPoint) {
+      width = Math.abs(params.endPoint.x - params.startPoint.x);
+      depth = Math.abs(params.endPoint.z - params.startPoint.z);
+    }
+    if (params.shape === 'circular') {
+      const radius = Math.min(width, depth) / 2;
+      return { area: Math.PI * radius * radius, perimeter: 2 * Math.PI * radius };
+    }
+    return { area: width * depth, perimeter: 2 * (width + depth) };
+  }
+
+  slabRow(slab, context) {
+    const params = slab.params;
+    const thickness = Number(params.thickness) || 0.2;
+    const { area, perimeter } = this.getSlabFootprint(params);
+
+    return {
+      id: slab.id,
+      mark: params.mark || params.name || slab.id,
+      level: context.levelName(slab),
+      material: params.material || 'wood',
+      slabType: params.slabType || 'flat',
+      thickness,
+      perimeter,
+      area,
+      volume: area * thickness
+    };
+  }
+
+  roomRow(room, context) {
+    const params = room.params;
+    const finishes = params.finishes || {};
+    return {
+      id: room.id,
+      number: params.number || '',
+      name: params.name || 'Room',
+      level: context.levelName(room),
+      area: Number(params.area) || 0,
+      perimeter: Number(params.perimeter) || 0,
+      height: Number(params.height) || 0,
+      volume: Number(params.volume) || 0,
+      floorFinish: finishes.floor || '',
+      wallFinish: finishes.wall || '',
+      ceilingFinish: finishes.ceiling || ''
+    };
+  }
+
+  /**
+   * One row per element layer: wall layers over the net wall area,
+   * slabs over their footprint, columns as solids
+   */
+  materialRows(objects, context) {
+    const rows = [];
+    const massOf = (material, volume) => {
+      const density = context.materialDatabase[material]?.density;
+      return density ? volume * density : null;
+    };
+    const push = (object, layer, material, thickness, area, volume) => {
+      rows.push({
+        id: `${object.id}:${rows.length}`,
+        material,
+        element: object.params.mark || object.params.name || object.id,
+        elementType: object.type,
+        layer,
+        thickness,
+        area,
+        volume,
+        mass: massOf(material, volume)
+      });
+    };
+
+    objects.forEach(object => {
+      const params = object.params;
+
+      if (object.type === 'wall' && this.isCurtainWall(params, context)) {
+        // Infill panels over their clear area, the frame as a solid
+        const template = this.getWallTemplate(params, context);
+        const settings = resolveCurtainWall(template.curtainWall, params.curtainWall);
+        const quantities = this.getCurtainWallQuantities(object, context);
+        const glazing = quantities.glassArea + quantities.doorArea;
+        push(object, 'Glazing', settings.glassMaterial, settings.glassThickness, glazing, glazing * settings.glassThickness);
+        if (quantities.spandrelArea > 0) {
+          push(object, 'Spandrel', settings.spandrelMaterial, settings.spandrelThickness, quantities.spandrelArea,
+            quantities.spandrelArea * settings.spandrelThickness);
+        }
+        push(object, `Frame ${quantities.mullionProfile}`, settings.frameMaterial, null, null, quantities.frameVolume);
+      } else if (object.type === 'wall') {
+        const { netArea } = this.wallRow(object, context);
+        this.getWallLayers(params, context).forEach(layer => {
+          const thickness = Number(layer.thickness) || 0;
+          push(object, layer.name || layer.function || layer.material, layer.material, thickness, netArea, netArea * thickness);
+        });
+      } else if (object.type === 'slab') {
+        const { area } = this.getSlabFootprint(params);
+        this.getAssemblyLayers(object, context).forEach(layer => {
+          const thickness = Number(layer.thickness) || 0;
+          push(object, layer.name || layer.function || layer.material, layer.material, thickness, area, area * thickness);
+        });
+      } else if (object.type === 'roof' && Number(params.area) > 0) {
+        // Sloped surface area, as measured by the roof generator
+        const area = Number(params.area);
+        this.getAssemblyLayers(object, context).forEach(layer => {
+          const thickness = Number(layer.thickness) || 0;
+          push(object, layer.name || layer.function || layer.material, layer.material, thickness, area, area * thickness);
+        });
+      } else if (object.type === 'column') {
+        const height = Number(params.height) || 3;
+        const area = params.shape === 'circle'
+          ? Math.PI * Math.pow(Number(params.radius) || 0.2, 2)
+          : (Number(params.width) || 0.4) * (Number(params.depth) || 0.4);
+        push(object, 'Column', params.material || 'concrete', null, area, area * height);
+      } else if ((object.type === 'beam' || object.type === 'brace') && Number(params.profileArea) > 0) {
+        // Section area of the profile along the member
+        const area = Number(params.profileArea);
+        const layer = params.profileName || (object.type === 'beam' ? 'Beam' : 'Brace');
+        push(object, layer, params.material || 'steel', null, area, area * (Number(params.length) || 0));
+      }
+    });
+
+    return rows;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  columnHeader(column) {
+    return column.unit ? `${column.label} (${column.unit})` : column.label;
+  }
+
+  formatValue(column, value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (column.type === 'number') {
+      const numeric = Number(value);
+      return Number.isFinite(numeric) ? Number(numeric.toFixed(column.precision)) : '';
+    }
+    return String(value);
+  }
+
+  /**
+   * Schedule as a table of cells: header, rows (with group subtotals) and a total row.
+   * `boldRows` marks the header, subtotal and total rows.
+   */
+  toTable(schedule) {
+    const { columns } = schedule;
+    const table = [columns.map(column => this.columnHeader(column))];
+    const boldRows = [0];
+
+    const totalRow = (label, totals, count) => {
+      boldRows.push(table.length);
+      table.push(columns.map((column, index) => {
+        if (index === 0) return `${label} (${count})`;
+        return column.total ? this.formatValue(column, totals[column.key]) : '';
+      }));
+    };
+    const addRow = row => table.push(columns.map(column => this.formatValue(column, row[column.key])));
+
+    if (schedule.groups.length > 0) {
+      schedule.groups.forEach(group => {
+        group.rows.forEach(addRow);
+        totalRow(`Subtotal: ${group.key}`, group.totals, group.count);
+      });
+    } else {
+      schedule.rows.forEach(addRow);
+    }
+    totalRow('Total', schedule.totals, schedule.count);
+
+    return { rows: table, boldRows };
+  }
+
+  /**
+   * CSV text (RFC 4180 quoting)
+   */
+  toCSV(schedule) {
+    const quote = (value) => {
+      const cell = String(value);
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    };
+    return this.toTable(schedule).rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * XLSX workbook with one sheet per schedule
+   * @returns {Uint8Array}
+   */
+  toXLSX(schedules) {
+    const list = Array.isArray(schedules) ? schedules : [schedules];
+    return createXlsxWorkbook(list.map(schedule => {
+      const { rows, boldRows } = this.toTable(schedule);
+      return {
+        name: schedule.title,
+        rows,
+        boldRows,
+        columnWidths: schedule.columns.map(column => Math.max(10, this.columnHeader(column).length + 2))
+      };
+    }));
+  }
+}
+
+const scheduleService = new ScheduleService();
+
+export { ScheduleService };
+export default scheduleService;
@@ -12,13 +12,108 @@ import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
 import { Door, Window } from '../models/BIMObjects.js';
 import { CommandFactory } from '../commands/architecturalCommands.js';
 import commandHistory from '../utils/commandHistory.js';
+import ifcExportService from './IFCExportService.js';
+import ifcImportService from './IFCImportService.js';
+import sceneDocumentService, { createDocumentId } from './SceneDocumentService.js';
+import constraintService from './constraintService.js';
+import annotationService from './AnnotationService.js';
+import scheduleService from './ScheduleService.js';
+import sustainabilityReportService, {
+  EMBODIED_CARBON_FACTORS,
+  DEFAULT_CARBON_FACTOR,
+  RECYCLABLE_FACTORS,
+  DEFAULT_RECYCLABLE_FACTOR
+} from './SustainabilityReportService.js';
+import {
+  DEFAULT_LEVELS,
+  createLevel,
+  sortLevels,
+  findLevel,
+  resolveObjectLevel,
+  resolveVerticalExtent,
+  getLevelBelow,
+  getLevelAbove,
+  getNextLevelElevation,
+  matchImportedLevels,
+  updateLevelStack
+} from '../utils/buildingLevels.js';
+import { detectFootprints, detectRooms, matchRooms, pointInPolygon } from '../utils/roomDetection.js';
+import { generateRoof, normalizeFootprint } from '../utils/roofGeometry.js';
+import { DEFAULT_STAIR_RULES, generateStair, validateStair } from '../utils/stairGeometry.js';
+import { DEFAULT_RAMP_RULES, generateRamp, validateRamp } from '../utils/rampGeometry.js';
+import {
+  PROFILE_CATALOG,
+  DEFAULT_BEAM_PROFILE,
+  DEFAULT_BRACE_PROFILE,
+  getProfile,
+  profileOutline,
+  sectionProperties,
+  resolveFramingMember,
+  snapFramingPoint as snapToFramingTargets
+} from '../utils/structuralFraming.js';
+import {
+  createGrid as normalizeGrid,
+  generateGridAxes,
+  gridIntersections,
+  locateOnGrid,
+  moveWithGrid
+} from '../utils/structuralGrid.js';
+import materialLibraryService, { ASSEMBLY_KINDS } from './MaterialLibraryService.js';
+import {
+  DEFAULT_JOINERY_TOLERANCE,
+  computeWallJoinery,
+  intersectWallAxes,
+  toJoineryWall,
+  clipOutlineAlongWall,
+  splitWallAtOpenings
+} from '../utils/wallJoinery.js';
+import { locateOnWall, pointAlongWall, sampleWall, splitBulge, wallLength } from '../utils/wallArcs.js';
+import { curtainWallPlan, layoutCurtainWall, resolveCurtainWall } from '../utils/curtainWall.js';
+import { materialHatch } from '../utils/materialHatching.js';
+import { DEFAULT_SECTION_VIEW, ELEVATION_SIDES, createSectionView, generateSectionDrawing, viewFrame } from '../utils/sectionViews.js';
+import { createSheet, createSheetView, layoutSheet, sheetToSVG, sheetsToPDF } from '../utils/sheetLayout.js';
+import { createSnapshot, planSnapshotRestore } from '../utils/documentSnapshots.js';
+import {
+  DXF_UNITS,
+  PLAN_LAYERS,
+  createDxf,
+  createUnderlay,
+  detectDxfUnits,
+  dimensionEntities,
+  explodeDxf,
+  parseDxf,
+  polylineSegments
+} from '../utils/dxf.js';
+import {
+  DEFAULT_DIMENSION_UNITS,
+  DIMENSION_UNITS,
+  autoDimensionWall,
+  createDimension,
+  dimensionGraphics,
+  dimensionObjectIds,
+  resolveDimension
+} from '../utils/dimensions.js';
+
+// Finish schedule entries carried by every room
+const DEFAULT_ROOM_FINISHES = { floor: null, wall: null, ceiling: null, base: null };
 
 class StandaloneCADEngine {
   constructor(architect3DService = null) {
     this.objects = new Map(); // objectId -> CADObject
-    this.architect3DService = architect3DService; // Reference to sync adjusted endpoints
+    this.architect3DService = architect3DService; // Architect3D corner/room model kept alongside the engine
+    this.wallJoinery = { walls: {}, junctions: [] }; // Last resolved wall junctions, see applyProfessionalWallJoinery()
     this.nextObjectId = 1;
+    this.documentId = createDocumentId(); // Project identity in scene documents and IFC GlobalIds
     this.listeners = new Map(); // event -> [callbacks]
+    this.levels = DEFAULT_LEVELS.map(level => ({ ...level })); // Building storeys, see getLevels()
+    this.activeLevelId = this.levels[0].id;
+    this.grids = []; // Structural reference grids, see getGrids()
+    this.sectionViews = []; // Section lines and elevations, see getSectionViews()
+    this.sheets = []; // Drawing sheets, see getSheets()
+    this.underlays = []; // Imported DXF reference drawings, see getUnderlays()
+    this.dimensions = []; // Associative plan dimensions, see getDimensions()
+    this.projectUnits = DEFAULT_DIMENSION_UNITS; // Display units for dimensions, see setProjectUnits()
+    this.autoDetectRooms = true; // Keep room objects in sync with the wall layout, see updateRooms()
     
     // Scene management
     this.scene3D = new THREE.Scene();
@@ -147,8 +242,92 @@ class StandaloneCADEngine {
           thermalTransmittance: 0.28,
           fireRating: 120
         }
+      },
+      'curtain_wall': {
+        name: 'Glazed Curtain Wall',
+        description: 'Aluminium stick system with double glazing',
+        totalThickness: 0.15,
+        layers: [
+          { material: 'glass', thickness: 0.15, function: 'curtain_wall', name: 'Curtain Wall Zone' }
+        ],
+        properties: {
+          isExternal: true,
+          loadBearing: false,
+          thermalTransmittance: 1.6,
+          fireRating: 0,
+          isCurtainWall: true
+        },
+        // Grid, profiles and infill (see utils/curtainWall); walls may override any of it
+        curtainWall: { verticalSpacing: 1.5, horizontalSpacing: 0, transomOffsets: [], mullionProfile: '50x150' }
+      }
+    };
+
+    // SLAB AND ROOF TYPE TEMPLATES - layers listed top to bottom
+    // Slabs and roofs reference these through params.assemblyType (params.slabType is the structural form)
+    this.slabTypeTemplates = {
+      'concrete_floor': {
+        name: 'Concrete Floor Slab',
+        description: 'Screeded reinforced concrete slab',
+        totalThickness: 0.25,
+        layers: [
+          { material: 'tiles', thickness: 0.01, function: 'finish_interior', name: 'Floor Finish' },
+          { material: 'concrete', thickness: 0.04, function: 'substrate', name: 'Screed' },
+          { material: 'concrete', thickness: 0.2, function: 'structure', name: 'RC Slab' }
+        ],
+        properties: { isExternal: false, loadBearing: true, thermalTransmittance: 0, fireRating: 90 }
+      },
+      'timber_floor': {
+        name: 'Timber Joist Floor',
+        description: 'Timber joists with boarding and plasterboard ceiling',
+        totalThickness: 0.263,
+        layers: [
+          { material: 'wood', thickness: 0.025, function: 'finish_interior', name: 'Floor Boarding' },
+          { material: 'wood', thickness: 0.225, function: 'structure', name: 'Timber Joists' },
+          { material: 'drywall', thickness: 0.013, function: 'finish_interior', name: 'Plasterboard Ceiling' }
+        ],
+        properties: { isExternal: false, loadBearing: true, thermalTransmittance: 0, fireRating: 30 }
+      }
+    };
+
+    this.roofTypeTemplates = {
+      'timber_pitched_roof': {
+        name: 'Insulated Timber Pitched Roof',
+        description: 'Tiles on battens, rafters with insulation between',
+        totalThickness: 0.284,
+        layers: [
+          { material: 'tiles', thickness: 0.025, function: 'finish_exterior', name: 'Roof Tiles' },
+          { material: 'air_barrier', thickness: 0.001, function: 'membrane', name: 'Breather Membrane' },
+          { material: 'insulation_batt', thickness: 0.2, function: 'insulation', name: 'Insulation Between Rafters' },
+          { material: 'wood', thickness: 0.045, function: 'structure', name: 'Rafters' },
+          { material: 'drywall', thickness: 0.013, function: 'finish_interior', name: 'Plasterboard' }
+        ],
+        properties: { isExternal: true, loadBearing: false, thermalTransmittance: 0.18, fireRating: 30 }
+      },
+      'concrete_flat_roof': {
+        name: 'Concrete Flat Roof',
+        description: 'Warm deck flat roof on concrete slab',
+        totalThickness: 0.355,
+        layers: [
+          { material: 'vapor_barrier', thickness: 0.005, function: 'membrane', name: 'Waterproofing' },
+          { material: 'insulation_rigid', thickness: 0.15, function: 'insulation', name: 'Rigid Insulation' },
+          { material: 'concrete', thickness: 0.2, function: 'structure', name: 'RC Roof Slab' }
+        ],
+        properties: { isExternal: true, loadBearing: true, thermalTransmittance: 0.17, fireRating: 60 }
       }
     };
+
+    // Building-code limits stairs are checked against (see stairGeometry.js)
+    this.stairCodeRules = { ...DEFAULT_STAIR_RULES };
+    // Accessibility limits ramps are checked against (see rampGeometry.js)
+    this.rampCodeRules = { ...DEFAULT_RAMP_RULES };
+
+    // Library entries shipped with the engine; project entries may override but not remove them
+    this.builtInLibrary = {
+      materials: new Set(Object.keys(this.materials)),
+      wall: new Set(Object.keys(this.wallTypeTemplates)),
+      slab: new Set(Object.keys(this.slabTypeTemplates)),
+      roof: new Set(Object.keys(this.roofTypeTemplates))
+    };
     
     // Current selection
     this.selectedObjects = new Set();
@@ -195,13 +374,37 @@ class StandaloneCADEngine {
 
   /**
    * Create a new CAD object
+   * @param {Object} options - id: reuse a saved object id (document load / restore)
    */
-  createObject(type, params) {
+  createObject(type, params, options = {}) {
     console.log(`🏗️ CAD ENGINE DEBUG: Creating ${type} object with params:`, params);
     console.log(`🏗️ CAD ENGINE DEBUG: Current object count:`, this.objects.size);
     console.log(`🏗️ CAD ENGINE DEBUG: Next object ID will be:`, `cad_${this.nextObjectId}`);
     
-    const objectId = `cad_${this.nextObjectId++}`;
+    const objectId = options.id && !this.objects.has(options.id) ? options.id : `cad_${this.nextObjectId++}`;
+    
+    // Keep generated ids clear of reused ones
+    const idNumber = /^cad_(\d+)$/.exec(objectId);
+    if (idNumber && Number(idNumber[1]) >= this.nextObjectId) {
+      this.nextObjectId = Number(idNumber[1]) + 1;
+    }
+    
+    // Level association (and level-constrained height)
+    params = this.prepareLevelParams(type, params);
+    params = this.prepareAssemblyParams(type, params);
+    if (type === 'roof') {
+      params = this.prepareRoofParams(params);
+    }
+    if (type === 'stair') {
+      params = this.prepareStairParams(params);
+    }
+    if (type === 'ramp') {
+      params = this.prepareRampParams(params);
+    }
+    if (type === 'beam' || type === 'brace') {
+      params = this.prepareFramingParams(type, params);
+    }
+    params = this.prepareGridParams(type, params);
     
     let geometry, mesh3D, mesh2D;
     
@@ -224,17 +427,17 @@ class StandaloneCADEngine {
           console.log('🛤️ RAMP CREATION DEBUG: Creating ramp geometry...');
           console.log('🛤️ RAMP CREATION DEBUG: Ramp params:', params);
           console.log('🛤️ RAMP CREATION DEBUG: Ramp-specific params:', {
-            height: params.height,
+            rampType: params.rampType,
+            totalRise: params.totalRise,
             slopeDirection: params.slopeDirection,
-            grade: params.grade,
-            isRamp: params.isRamp
+            grade: params.grade
           });
           
-          // For now, use slab geometry but with ramp parameters
-          const rampResult = this.createSlabGeometry(params);
+          const rampResult = this.createRampGeometry(params);
           geometry = rampResult.geometry;
           mesh3D = rampResult.mesh3D;
           mesh2D = rampResult.mesh2D;
+          Object.assign(params, this.getRampQuantities(rampResult.ramp, rampResult.validation));
           
           console.log('🛤️ RAMP CREATION DEBUG: Ramp geometry created successfully');
           console.log('🛤️ RAMP CREATION DEBUG: 3D mesh position:', mesh3D.position);
@@ -248,16 +451,16 @@ class StandaloneCADEngine {
           console.log('🏗️ STAIR CREATION DEBUG: Stair-specific params:', {
             stairType: params.stairType,
             totalRise: params.totalRise,
-            totalRun: params.totalRun,
-            numberOfSteps: params.numberOfSteps,
+            numberOfRisers: params.numberOfRisers,
+            treadDepth: params.treadDepth,
             hasHandrail: params.hasHandrail
           });
           
-          // For now, use a simplified approach - create a basic stair structure
           const stairResult = this.createStairGeometry(params);
           geometry = stairResult.geometry;
           mesh3D = stairResult.mesh3D;
           mesh2D = stairResult.mesh2D;
+          Object.assign(params, this.getStairQuantities(stairResult.stair, stairResult.validation));
           
           console.log('🏗️ STAIR CREATION DEBUG: Stair geometry created successfully');
           console.log('🏗️ STAIR CREATION DEBUG: 3D mesh position:', mesh3D.position);
@@ -303,6 +506,16 @@ class StandaloneCADEngine {
         console.log('🏢 COLUMN CREATION DEBUG: Geometry type:', geometry?.type);
         break;
         
+      case 'beam':
+      case 'brace':
+        const framingResult = this.createFramingGeometry(params);
+        geometry = framingResult.geometry;
+        mesh3D = framingResult.mesh3D;
+        mesh2D = framingResult.mesh2D;
+        Object.assign(params, this.getFramingQuantities(framingResult.member, framingResult.section, framingResult.profile));
+        console.log(`🏗️ ${type} created: ${params.profile}, ${params.length}m`);
+        break;
+        
       case 'window':
         console.log('🪟 Creating window geometry...');
         const windowResult = this.createWindowGeometry(params);
@@ -330,9 +543,26 @@ class StandaloneCADEngine {
         console.log('💡 Fixture geometry created, position:', mesh3D.position);
         break;
         
+      case 'room':
+        const roomResult = this.createRoomGeometry(params);
+        geometry = roomResult.geometry;
+        mesh3D = roomResult.mesh3D;
+        mesh2D = roomResult.mesh2D;
+        console.log(`🏠 Room geometry created: ${params.name || objectId}`);
+        break;
+        
+      case 'roof':
+        const roofResult = this.createRoofGeometry(params);
+        geometry = roofResult.geometry;
+        mesh3D = roofResult.mesh3D;
+        mesh2D = roofResult.mesh2D;
+        Object.assign(params, this.getRoofQuantities(params, roofResult.roof));
+        console.log(`🏠 Roof geometry created: ${params.roofType}, ridge at ${params.ridgeHeight}m`);
+        break;
+        
       default:
         console.error(`❌ CAD ENGINE ERROR: Unknown object type: "${type}"`);
-        console.error(`📋 CAD ENGINE ERROR: Available types: wall, slab, door, window, column, furniture, fixture`);
+        console.error(`📋 CAD ENGINE ERROR: Available types: wall, slab, door, window, column, beam, brace, furniture, fixture, room, roof`);
         console.error(`📋 CAD ENGINE ERROR: Received params:`, params);
         return null;
     }
@@ -454,6 +684,7 @@ class StandaloneCADEngine {
 
     // Store object
     this.objects.set(objectId, cadObject);
+    this.applyLevelPlacement(cadObject);
     
     // Add to scenes
     if (mesh3D) {
@@ -479,7 +710,7 @@ class StandaloneCADEngine {
     // Auto-join wall corners after creation/update for clean 3D corners
     if (type === 'wall') {
       try {
-        this.applyProfessionalWallJoinery({ tolerance: 0.05 });
+        this.applyProfessionalWallJoinery();
       } catch (e) {
         console.warn('Joinery post-create failed:', e);
       }
@@ -521,6 +752,7 @@ class StandaloneCADEngine {
       
       // Use a debounced joinery call to prevent multiple simultaneous attempts
       this.scheduleJoineryUpdate();
+      this.scheduleRoomUpdate();
     }
     
     // Special debugging for ramps
@@ -687,13 +919,6 @@ class StandaloneCADEngine {
       clearTimeout(this._joineryTimeout);
     }
     
-    // ANTI-INFINITE-LOOP: Check if joinery is already running
-    if (this._joineryInProgress) {
-      console.log('⚠️ ANTI-LOOP: Joinery in progress, skipping duplicate schedule request');
-      // Don't reschedule - the current joinery will complete on its own
-      return;
-    }
-    
     console.log('⏰ SCHEDULE: Wall joinery update scheduled for 300ms');
     
     // ANTI-INFINITE-LOOP: Schedule single joinery attempt
@@ -719,96 +944,6 @@ class StandaloneCADEngine {
       
     }, 300); // 300ms delay for stability
   }
-  /**
-   * Auto-extend wall endpoints to snap to nearby corners
-   * ENHANCED: Helps ensure walls connect properly at corners
-   */
-  autoExtendWallToCorners(startPoint, endPoint, tolerance = 0.15) {
-    console.log('🎯 AUTO-EXTEND: Checking for nearby corners to snap to...');
-    
-    const existingWalls = Array.from(this.objects.values()).filter(obj => obj.type === 'wall');
-    let adjustedStart = { ...startPoint };
-    let adjustedEnd = { ...endPoint };
-    let hasAdjustments = false;
-    
-    // Get all existing wall endpoints
-    const corners = [];
-    existingWalls.forEach(wall => {
-      if (wall.params?.startPoint) {
-        corners.push({
-          point: wall.params.startPoint,
-          wallId: wall.id,
-          type: 'start'
-        });
-      }
-      if (wall.params?.endPoint) {
-        corners.push({
-          point: wall.params.endPoint,
-          wallId: wall.id,
-          type: 'end'
-        });
-      }
-    });
-    
-    console.log(`🎯 Found ${corners.length} existing corner points to check`);
-    
-    // Check start point for nearby corners
-    let startDistance = Infinity;
-    let bestStartCorner = null;
-    corners.forEach(corner => {
-      const dist = this.distance3D(startPoint, corner.point);
-      if (dist <= tolerance && dist < startDistance) {
-        startDistance = dist;
-        bestStartCorner = corner;
-      }
-    });
-    
-    // Check end point for nearby corners
-    let endDistance = Infinity;
-    let bestEndCorner = null;
-    corners.forEach(corner => {
-      const dist = this.distance3D(endPoint, corner.point);
-      if (dist <= tolerance && dist < endDistance) {
-        endDistance = dist;
-        bestEndCorner = corner;
-      }
-    });
-    
-    // Apply start point adjustment
-    if (bestStartCorner) {
-      console.log(`🎯 SNAP START: Adjusting start point by ${startDistance.toFixed(3)}m to ${bestStartCorner.wallId}.${bestStartCorner.type}`);
-      adjustedStart = { ...bestStartCorner.point };
-      hasAdjustments = true;
-    }
-    
-    // Apply end point adjustment
-    if (bestEndCorner) {
-      console.log(`🎯 SNAP END: Adjusting end point by ${endDistance.toFixed(3)}m to ${bestEndCorner.wallId}.${bestEndCorner.type}`);
-      adjustedEnd = { ...bestEndCorner.point };
-      hasAdjustments = true;
-    }
-    
-    if (hasAdjustments) {
-      console.log('✅ AUTO-EXTEND: Wall endpoints adjusted for better corner connections');
-      return {
-        startPoint: adjustedStart,
-        endPoint: adjustedEnd,
-        adjusted: true,
-        startSnapped: !!bestStartCorner,
-        endSnapped: !!bestEndCorner
-      };
-    } else {
-      console.log('ℹ️ AUTO-EXTEND: No nearby corners found, using original endpoints');
-      return {
-        startPoint: adjustedStart,
-        endPoint: adjustedEnd,
-        adjusted: false,
-        startSnapped: false,
-        endSnapped: false
-      };
-    }
-  }
-
   /**
    * PROFESSIONAL SLAB SYSTEM
    * Advanced reinforced concrete slab with structural properties and analysis
@@ -854,6 +989,9 @@ class StandaloneCADEngine {
     
     console.log(`🏗️ Creating ${slabType} slab: ${actualWidth}m x ${actualDepth}m x ${thickness}m`);
     
+    // Layered slab type from the library, if any
+    const slabTemplate = this.slabTypeTemplates[safeParams.assemblyType] || null;
+    
     // PROFESSIONAL SLAB ASSEMBLY CREATION
     const slabAssembly = this.createProfessionalSlabAssembly({
       width: actualWidth,
@@ -862,6 +1000,7 @@ class StandaloneCADEngine {
       material,
       shape,
       slabType,
+      layers: slabTemplate ? slabTemplate.layers : null,
       polygonPoints,
       structuralProperties,
       reinforcement,
@@ -947,7 +1086,7 @@ class StandaloneCADEngine {
    */
   createProfessionalSlabAssembly(config) {
     const {
-      width, depth, thickness, material, shape, slabType,
+      width, depth, thickness, material, shape, slabType, layers,
       polygonPoints, structuralProperties, reinforcement, loadBearing, offset
     } = config;
     
@@ -961,11 +1100,13 @@ class StandaloneCADEngine {
       width, depth, thickness, material, structuralProperties, loadBearing
     });
     
-    // 1. Create main slab structure
-    const mainSlab = this.createSlabStructure({
-      width, depth, thickness, material: structuralMat,
-      shape, polygonPoints, slabType
-    });
+    // 1. Create main slab structure (one mesh per layer for layered slab types)
+    const mainSlab = layers && layers.length > 1
+      ? this.createLayeredSlabStructure({ width, depth, thickness, layers, fallbackMaterial: structuralMat, shape, polygonPoints })
+      : this.createSlabStructure({
+        width, depth, thickness, material: structuralMat,
+        shape, polygonPoints, slabType
+      });
     slabGroup.add(mainSlab);
     
     // 2. Create reinforcement system
@@ -1056,6 +1197,38 @@ class StandaloneCADEngine {
     return slabMesh;
   }
 
+  /**
+   * Stack slab type layers top to bottom, centered on the slab mid-plane like createSlabStructure
+   */
+  createLayeredSlabStructure(config) {
+    const { width, depth, thickness, layers, fallbackMaterial, shape, polygonPoints } = config;
+    const layerGroup = new THREE.Group();
+    let top = thickness / 2;
+
+    layers.forEach(layer => {
+      const layerMesh = this.createSlabStructure({
+        width,
+        depth,
+        thickness: layer.thickness,
+        material: this.materials[layer.material] || fallbackMaterial,
+        shape,
+        polygonPoints,
+        slabType: 'flat'
+      });
+      layerMesh.position.y = top - layer.thickness / 2;
+      layerMesh.userData = {
+        layerName: layer.name,
+        layerFunction: layer.function,
+        layerMaterial: layer.material,
+        layerThickness: layer.thickness
+      };
+      layerGroup.add(layerMesh);
+      top -= layer.thickness;
+    });
+
+    return layerGroup;
+  }
+
   /**
    * Create slab reinforcement system
    */
@@ -1441,6 +1614,310 @@ class StandaloneCADEngine {
     // Simplified hollow core - real implementation would create actual voids
     return new THREE.BoxGeometry(width, thickness, depth);
   }
+  /**
+   * Create room (space) geometry: a filled zone on the finish-face polygon.
+   * Rooms are spaces rather than built elements, so the 3D mesh is hidden and
+   * only carries level placement and picking data.
+   */
+  createRoomGeometry(params) {
+    const polygon = params.polygon || params.boundary || [];
+    if (polygon.length < 3) {
+      throw new Error('Room needs a boundary polygon with at least 3 points');
+    }
+
+    // Shape in (x, -z) so that rotating onto the floor plane maps it back to (x, z)
+    const toShapePath = (points, path) => {
+      path.moveTo(points[0].x, -points[0].z);
+      points.slice(1).forEach(point => path.lineTo(point.x, -point.z));
+      path.closePath();
+      return path;
+    };
+    const shape = toShapePath(polygon, new THREE.Shape());
+    (params.holes || []).forEach(hole => {
+      if (hole.length >= 3) shape.holes.push(toShapePath(hole, new THREE.Path()));
+    });
+
+    const geometry = new THREE.ShapeGeometry(shape);
+    const color = params.color || '#60a5fa';
+
+    const mesh3D = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.2,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    }));
+    mesh3D.rotation.x = -Math.PI / 2;
+    mesh3D.position.y = 0.01;
+    mesh3D.visible = params.showIn3D === true;
+    mesh3D.userData = { objectId: null, type: 'room' };
+
+    const mesh2D = new THREE.Mesh(geometry.clone(), new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.25,
+      side: THREE.DoubleSide
+    }));
+    mesh2D.rotation.x = -Math.PI / 2;
+    mesh2D.userData = { objectId: null, type: 'room' };
+
+    return { geometry, mesh3D, mesh2D };
+  }
+
+  /**
+   * Resolve a roof's footprint and wall plate height.
+   * The footprint is, in order: the outer faces of a closed wall loop (params.fromWalls,
+   * optionally limited to params.wallIds and to the loop around params.insidePoint),
+   * params.footprint, or a width x length rectangle around params.position.
+   */
+  prepareRoofParams(params = {}) {
+    if (params.modelUrl && params.format) return params;
+
+    const { fromWalls, insidePoint, ...prepared } = params;
+    let wallHeight = null;
+
+    if (fromWalls) {
+      const outline = this.findWallFootprint(prepared.levelId, prepared.wallIds, insidePoint);
+      if (outline) {
+        prepared.footprint = outline.polygon;
+        prepared.wallIds = outline.wallIds;
+        wallHeight = outline.height;
+      } else {
+        console.warn('⚠️ ROOF: No closed wall loop found, using a rectangular footprint');
+      }
+    }
+
+    let footprint = normalizeFootprint(prepared.footprint);
+    if (footprint.length < 3) {
+      const center = insidePoint || prepared.position || { x: 0, z: 0 };
+      const halfWidth = (Number(prepared.width) || 10) / 2;
+      const halfLength = (Number(prepared.length || prepared.depth) || 8) / 2;
+      footprint = [
+        { x: center.x - halfWidth, z: center.z - halfLength },
+        { x: center.x + halfWidth, z: center.z - halfLength },
+        { x: center.x + halfWidth, z: center.z + halfLength },
+        { x: center.x - halfWidth, z: center.z + halfLength }
+      ];
+    }
+    prepared.footprint = footprint;
+
+    if (!Number.isFinite(Number(prepared.baseHeight)) || prepared.baseHeight === null) {
+      const level = resolveObjectLevel(this.levels, prepared);
+      prepared.baseHeight = wallHeight || (level && level.height) || 3;
+    }
+    return prepared;
+  }
+
+  /**
+   * Outer outline of the walls on a level, the one around insidePoint when given
+   * (else the biggest); null when the walls do not close a loop
+   */
+  findWallFootprint(levelId, wallIds = null, insidePoint = null) {
+    const walls = Array.from(this.objects.values()).filter(obj =>
+      obj.type === 'wall' && this.getObjectLevelId(obj) === this.getObjectLevelId({ params: { levelId } }) &&
+      (!Array.isArray(wallIds) || wallIds.length === 0 || wallIds.includes(obj.id))
+    );
+    const outlines = detectFootprints(this.getWallSegments(walls));
+
+    if (insidePoint) {
+      return outlines.find(outline => pointInPolygon(insidePoint, outline.polygon)) || null;
+    }
+    return outlines.sort((a, b) => b.area - a.area)[0] || null;
+  }
+
+  /**
+   * Roof plan from the footprint; a footprint the skeleton cannot resolve gets a flat roof
+   */
+  generateRoofPlan(params) {
+    try {
+      return generateRoof(params.footprint, params);
+    } catch (error) {
+      console.warn(`⚠️ ROOF: ${error.message}, falling back to a flat roof`);
+      return generateRoof(params.footprint, { ...params, roofType: 'flat' });
+    }
+  }
+
+  /**
+   * Areas and heights (above the level) stored on the roof for schedules and reports
+   */
+  getRoofQuantities(params, roof) {
+    if (!roof) return {};
+    const round = value => Math.round(value * 10000) / 10000;
+    const baseHeight = Number(params.baseHeight) || 0;
+    return {
+      area: round(roof.area),
+      projectedArea: round(roof.projectedArea),
+      ridgeHeight: round(baseHeight + roof.ridgeHeight),
+      eaveHeight: round(baseHeight + roof.eaveHeight)
+    };
+  }
+
+  /**
+   * Create roof geometry and meshes: a layered slab per roof face following the roof
+   * type's build-up (listed top to bottom, stacked up from the wall plate), gable
+   * infills and fascia boards along the eaves. Library models keep their own geometry.
+   */
+  createRoofGeometry(params) {
+    if (params.modelUrl && params.format) {
+      const result = this.createExternalModelGeometry(
+        params.modelUrl, params.format, params.width || 12, params.height || 4, params.length || 16,
+        params.position || { x: 0, y: 0, z: 0 }, 0x8b4513, params.name
+      );
+      return { ...result, roof: null };
+    }
+
+    const roof = this.generateRoofPlan(params);
+    const template = this.roofTypeTemplates[params.assemblyType] || null;
+    const layers = template ? template.layers : [
+      { material: params.material, thickness: Number(params.thickness) || 0.2, function: 'structure', name: 'Roof' }
+    ];
+    const fallbackMaterial = this.materials[params.material] || this.materials.wood;
+    const roofGroup = new THREE.Group();
+
+    // Layers stack up from the wall plate; on a slope their vertical thickness grows by 1/cos(pitch)
+    let below = 0;
+    [...layers].reverse().forEach(layer => {
+      const thickness = Number(layer.thickness) || 0;
+      if (thickness <= 0) return;
+      const material = (this.materials[layer.material] || fallbackMaterial).clone();
+      roof.faces.forEach(face => {
+        const lift = 1 / Math.cos((face.pitch * Math.PI) / 180);
+        const outline = face.points3D.map(point => new THREE.Vector3(point.x, point.y + below * lift, point.z));
+        const mesh = new THREE.Mesh(
+          this.createPrismGeometry(outline, new THREE.Vector3(0, thickness * lift, 0), point => new THREE.Vector2(point.x, point.z)),
+          material
+        );
+        mesh.userData = {
+          layerName: layer.name,
+          layerFunction: layer.function,
+          layerMaterial: layer.material,
+          layerThickness: thickness,
+          roofFace: face.edge
+        };
+        roofGroup.add(mesh);
+      });
+      below += thickness;
+    });
+
+    // Gable infills sit inside the footprint edge, up to the underside of the roof
+    const gableThickness = params.gableThickness !== undefined ? Number(params.gableThickness) || 0 : 0.2;
+    if (gableThickness > 0 && roof.gables.length > 0) {
+      const gableMaterial = (this.materials[params.gableMaterial] || this.materials.brick).clone();
+      roof.gables.forEach(gable => {
+        const start = roof.footprint[gable.edge];
+        const end = roof.footprint[(gable.edge + 1) % roof.footprint.length];
+        const length = Math.hypot(end.x - start.x, end.z - start.z) || 1;
+        const direction = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+        const outline = gable.points3D.map(point => new THREE.Vector3(point.x, point.y, point.z));
+        if (outline.length < 3) return;
+        const mesh = new THREE.Mesh(
+          this.createPrismGeometry(
+            outline,
+            new THREE.Vector3(-direction.z * gableThickness, 0, direction.x * gableThickness),
+            point => new THREE.Vector2((point.x - start.x) * direction.x + (point.z - start.z) * direction.z, point.y)
+          ),
+          gableMaterial
+        );
+        mesh.userData = { roofGable: gable.edge };
+        roofGroup.add(mesh);
+      });
+    }
+
+    // Fascia boards cover the cut ends of the build-up along every eave
+    const fasciaDepth = params.fasciaDepth !== undefined ? Number(params.fasciaDepth) || 0 : 0.2;
+    if (fasciaDepth > 0 && params.roofType !== 'flat') {
+      const fasciaThickness = 0.025;
+      const fasciaMaterial = (this.materials[params.fasciaMaterial] || this.materials.wood).clone();
+      roof.lines.filter(line => line.type === 'eave').forEach(line => {
+        const dx = line.end.x - line.start.x;
+        const dz = line.end.z - line.start.z;
+        const length = Math.hypot(dx, dz);
+        if (length < 0.01) return;
+        const face = roof.faces.find(candidate => candidate.tier === 1 && candidate.edge === line.edge);
+        const buildUp = below / Math.cos(((face ? face.pitch : 0) * Math.PI) / 180);
+        const height = Math.max(fasciaDepth, buildUp);
+        const top = (line.start.y + line.end.y) / 2 + buildUp;
+
+        const board = new THREE.Mesh(new THREE.BoxGeometry(length, height, fasciaThickness), fasciaMaterial);
+        board.position.set(
+          (line.start.x + line.end.x) / 2 + (dz / length) * fasciaThickness / 2,
+          top - height / 2,
+          (line.start.z + line.end.z) / 2 - (dx / length) * fasciaThickness / 2
+        );
+        board.rotation.y = Math.atan2(-dz, dx);
+        board.userData = { roofFascia: line.edge };
+        roofGroup.add(board);
+      });
+    }
+
+    const mesh3D = roofGroup;
+    mesh3D.position.y = Number(params.baseHeight) || 0;
+    mesh3D.userData = { objectId: null, type: 'roof', roof };
+
+    // 2D: outline plus ridge, hip, valley and break lines
+    const mesh2D = new THREE.Group();
+    const outlinePoints = roof.outline.map(point => new THREE.Vector3(point.x, 0, point.z));
+    const geometry = new THREE.BufferGeometry().setFromPoints([...outlinePoints, outlinePoints[0]]);
+    mesh2D.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0x374151 })));
+    const planLines = roof.lines.filter(line => line.type !== 'eave' && line.type !== 'rake');
+    if (planLines.length > 0) {
+      const linePoints = planLines.flatMap(line => [
+        new THREE.Vector3(line.start.x, 0, line.start.z),
+        new THREE.Vector3(line.end.x, 0, line.end.z)
+      ]);
+      mesh2D.add(new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(linePoints),
+        new THREE.LineBasicMaterial({ color: 0x6b7280 })
+      ));
+    }
+    mesh2D.userData = { objectId: null, type: 'roof' };
+
+    return { geometry, mesh3D, mesh2D, roof };
+  }
+
+  /**
+   * Solid between a planar outline and the same outline moved by an extrusion vector.
+   * project maps outline points to 2D for triangulating the caps.
+   */
+  createPrismGeometry(outline, extrusion, project) {
+    const triangles = THREE.ShapeUtils.triangulateShape(outline.map(project), []);
+    const far = outline.map(point => point.clone().add(extrusion));
+    const positions = [];
+
+    // Newell normal: the outline runs counter-clockwise around it, so edge x normal points out
+    const normal = new THREE.Vector3();
+    outline.forEach((point, i) => {
+      const next = outline[(i + 1) % outline.length];
+      normal.x += (point.y - next.y) * (point.z + next.z);
+      normal.y += (point.z - next.z) * (point.x + next.x);
+      normal.z += (point.x - next.x) * (point.y + next.y);
+    });
+
+    // Wind each triangle so its normal points along the given outward direction
+    const addTriangle = (a, b, c, outward) => {
+      const facing = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+      const ordered = facing.dot(outward) >= 0 ? [a, b, c] : [a, c, b];
+      ordered.forEach(point => positions.push(point.x, point.y, point.z));
+    };
+
+    const back = extrusion.clone().negate();
+    triangles.forEach(([a, b, c]) => {
+      addTriangle(outline[a], outline[b], outline[c], back);
+      addTriangle(far[a], far[b], far[c], extrusion);
+    });
+    outline.forEach((point, i) => {
+      const next = (i + 1) % outline.length;
+      const outward = new THREE.Vector3().subVectors(outline[next], point).cross(normal);
+      addTriangle(point, outline[next], far[next], outward);
+      addTriangle(point, far[next], far[i], outward);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
   /**
    * Create column geometry and meshes
    */
@@ -1590,448 +2067,376 @@ class StandaloneCADEngine {
 
   /**
    * Create wall geometry and meshes
-   */
-  createWallGeometry(params) {
-    const { 
-      length = 4, 
-      height = 2.5, 
-      thickness = 0.2, 
-      material = 'concrete',
-      startPoint = { x: 0, y: 0, z: 0 },
-      endPoint = null,
-      adjustForJoinery = false, // New simplified parameter
-      startAdjustment = 0,     // Length adjustment at start
-      endAdjustment = 0,       // Length adjustment at end
-      autoExtend = true,       // Auto-extend to nearby corners
-      skipJoinery = false,     // Skip joinery adjustments (for property updates)
-      forceCornerExtension = false  // Force extension for proper corner joinery
-    } = params;
-    
-    // PROPERTY UPDATE FIX: Skip joinery-related adjustments for property panel updates
-    const shouldSkipJoinery = skipJoinery || params.updatedBy === 'wall_property_panel';
-    if (shouldSkipJoinery) {
-      console.log(`🔧 WALL GEOMETRY: Skipping joinery adjustments for property update`);
-    }
-    
-    // AUTO-EXTEND: Snap endpoints to nearby corners if enabled (skip for property updates)
-    let adjustedStartPoint = startPoint;
-    let adjustedEndPoint = endPoint;
-    
-    if (autoExtend && startPoint && endPoint && !shouldSkipJoinery) {
-      const extendResult = this.autoExtendWallToCorners(startPoint, endPoint);
-      if (extendResult.adjusted) {
-        adjustedStartPoint = extendResult.startPoint;
-        adjustedEndPoint = extendResult.endPoint;
-        console.log('🎯 AUTO-EXTEND: Wall endpoints adjusted for corner snapping');
+   * Both the 3D layers and the 2D plan are built from the wall's joinery outlines
+   * (see utils/wallJoinery), so corners are identical in every view.
+   * @param {Object} params - Wall parameters
+   * @param {Object} [joint] - The wall's entry from computeWallJoinery(); a free-standing
+   *   wall is assumed when omitted and the next joinery pass fills in its junctions
+   */
+  createWallGeometry(params, joint = null) {
+    const { height = 2.5, material = 'concrete' } = params;
+    const axis = this.getWallAxis(params);
+    const wallTemplate = this.getWallTemplate(params);
+    const wallType = params.wallType || null;
+
+    const wallJoint = joint || computeWallJoinery([
+      toJoineryWall({ id: 'wall', params: { ...params, startPoint: axis.start, endPoint: axis.end } }, this.wallTypeTemplates)
+    ]).walls.wall;
+    const actualThickness = wallTemplate.totalThickness || params.thickness || 0.2;
+    const curtainWall = wallTemplate.properties?.isCurtainWall ? this.layoutCurtainWall(params, axis, wallJoint, wallTemplate) : null;
+
+    const mesh3D = curtainWall
+      ? this.createCurtainWallGeometry(curtainWall, axis, height)
+      : this.createMultiLayerWallGeometry(wallJoint, axis, height, actualThickness, params.openings, material);
+    mesh3D.userData = {
+      objectId: null,
+      type: 'wall',
+      wallType: wallType,
+      wallTemplate: wallTemplate,
+      isExternal: wallTemplate.properties.isExternal,
+      loadBearing: wallTemplate.properties.loadBearing,
+      thermalTransmittance: wallTemplate.properties.thermalTransmittance,
+      fireRating: wallTemplate.properties.fireRating,
+      joinery: wallJoint,
+      curtainWall: curtainWall && {
+        plan: curtainWall.plan,
+        mullionProfile: curtainWall.layout.mullionProfile.name,
+        quantities: curtainWall.layout.quantities,
+        issues: curtainWall.layout.issues
       }
-    }
-    
-    // If we have start and end points, calculate length, rotation, and position
-    let actualLength = length;
-    let rotationY = 0;
-    let centerPosition = { x: 0, y: height / 2, z: 0 };
-    
-    if (adjustedStartPoint && adjustedEndPoint) {
-      const deltaX = adjustedEndPoint.x - adjustedStartPoint.x;
-      const deltaZ = adjustedEndPoint.z - adjustedStartPoint.z;
-      const calculatedLength = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
-      
-      let originalLength;
-      
-      // WALL UPDATE FIX: If a specific length is provided and differs significantly from calculated length,
-      // adjust the endPoint to match the desired length (for property panel updates)
-      if (length && Math.abs(length - calculatedLength) > 0.01) {
-        
-        // Calculate direction unit vector
-        const dirX = deltaX / calculatedLength;
-        const dirZ = deltaZ / calculatedLength;
-        
-        // Adjust endPoint to match the desired length
-        adjustedEndPoint = {
-          x: adjustedStartPoint.x + (dirX * length),
-          y: adjustedStartPoint.y,
-          z: adjustedStartPoint.z + (dirZ * length)
-        };
-        
-        
-        // Use the desired length
-        originalLength = length;
-        rotationY = Math.atan2(dirZ, dirX);
-        actualLength = length;
-        
-        // FORCE CORNER EXTENSION: Extend wall length by wall thickness for proper corner joinery
-        if (forceCornerExtension) {
-          const extension = thickness; // Extend by full wall thickness
-          actualLength = length + extension;
-          console.log(`🔧 CORNER EXTENSION: Extended wall from ${length.toFixed(3)}m to ${actualLength.toFixed(3)}m for corner joinery`);
-          
-          // Also extend the endpoint to match the extended length
-          adjustedEndPoint = {
-            x: adjustedStartPoint.x + (dirX * actualLength),
-            y: adjustedStartPoint.y,
-            z: adjustedStartPoint.z + (dirZ * actualLength)
-          };
-        }
-        
-        console.log('WALL_DIR', {
-          start: adjustedStartPoint,
-          end: adjustedEndPoint,
-          deltaX: +(dirX * actualLength).toFixed(3),
-          deltaZ: +(dirZ * actualLength).toFixed(3),
-          rotationYDeg: +(rotationY * 180 / Math.PI).toFixed(2),
-          forceCornerExtension,
-          originalLength: length,
-          actualLength
-        });
-      } else {
-        // Use calculated length from points
-        originalLength = calculatedLength;
-        actualLength = calculatedLength;
-        rotationY = Math.atan2(deltaZ, deltaX);
-        
-        // FORCE CORNER EXTENSION: Extend wall length by wall thickness for proper corner joinery
-        if (forceCornerExtension) {
-          const extension = thickness; // Extend by full wall thickness
-          const dirX = deltaX / calculatedLength;
-          const dirZ = deltaZ / calculatedLength;
-          actualLength = calculatedLength + extension;
-          console.log(`🔧 CORNER EXTENSION: Extended wall from ${calculatedLength.toFixed(3)}m to ${actualLength.toFixed(3)}m for corner joinery`);
-          
-          // Also extend the endpoint to match the extended length
-          adjustedEndPoint = {
-            x: adjustedStartPoint.x + (dirX * actualLength),
-            y: adjustedStartPoint.y,
-            z: adjustedStartPoint.z + (dirZ * actualLength)
-          };
-        }
-        
-        console.log('WALL_DIR', {
-          start: adjustedStartPoint,
-          end: adjustedEndPoint,
-          deltaX: +(adjustedEndPoint.x - adjustedStartPoint.x).toFixed(3),
-          deltaZ: +(adjustedEndPoint.z - adjustedStartPoint.z).toFixed(3),
-          rotationYDeg: +(rotationY * 180 / Math.PI).toFixed(2),
-          forceCornerExtension,
-          originalLength: calculatedLength,
-          actualLength
-        });
-      }
-      
-      // Apply joinery adjustments by modifying the actual start and end points (skip for property updates)
-      // FIXED: Allow both positive and negative adjustments (extensions and shortenings)
-      if (adjustForJoinery && (startAdjustment !== 0 || endAdjustment !== 0) && !shouldSkipJoinery) {
-        console.log(`🔧 Applying CAD joinery adjustments: start=${startAdjustment > 0 ? '+' : ''}${startAdjustment}, end=${endAdjustment > 0 ? '+' : ''}${endAdjustment} (negative = extension)`);
-        
-        // Calculate unit direction vector
-        const dirX = deltaX / originalLength;
-        const dirZ = deltaZ / originalLength;
-        
-        // Adjust the actual start and end points based on already adjusted points
-        adjustedStartPoint = {
-          x: adjustedStartPoint.x + (dirX * startAdjustment),
-          y: adjustedStartPoint.y,
-          z: adjustedStartPoint.z + (dirZ * startAdjustment)
-        };
-        
-        adjustedEndPoint = {
-          x: adjustedEndPoint.x - (dirX * endAdjustment),
-          y: adjustedEndPoint.y,
-          z: adjustedEndPoint.z - (dirZ * endAdjustment)
-        };
-        
-        // Recalculate based on adjusted points (preserve corner extension)
-        const adjustedDeltaX = adjustedEndPoint.x - adjustedStartPoint.x;
-        const adjustedDeltaZ = adjustedEndPoint.z - adjustedStartPoint.z;
-        const recalculatedLength = Math.sqrt(adjustedDeltaX * adjustedDeltaX + adjustedDeltaZ * adjustedDeltaZ);
-        
-        // Only update actualLength if we don't have a corner extension
-        if (!forceCornerExtension) {
-          actualLength = recalculatedLength;
-        } else {
-          console.log(`🔧 PRESERVING CORNER EXTENSION: Keeping extended length ${actualLength.toFixed(3)}m instead of recalculated ${recalculatedLength.toFixed(3)}m`);
-        }
-        
-        // Center position is at the center of the adjusted wall
-        centerPosition = {
-          x: (adjustedStartPoint.x + adjustedEndPoint.x) / 2,
-          y: height / 2,
-          z: (adjustedStartPoint.z + adjustedEndPoint.z) / 2
-        };
-        
-        console.log(`🔧 Wall adjusted: ${originalLength.toFixed(2)}m → ${actualLength.toFixed(2)}m`);
-      } else {
-        // Standard center position using adjusted points
-        // Only update actualLength if we don't have a corner extension
-        if (!forceCornerExtension) {
-          actualLength = originalLength;
-        } else {
-          console.log(`🔧 PRESERVING CORNER EXTENSION: Keeping extended length ${actualLength.toFixed(3)}m instead of original ${originalLength.toFixed(3)}m`);
-        }
-        centerPosition = {
-          x: (adjustedStartPoint.x + adjustedEndPoint.x) / 2,
-          y: height / 2,
-          z: (adjustedStartPoint.z + adjustedEndPoint.z) / 2
-        };
-      }
-    }
-    
-    // PROFESSIONAL MULTI-LAYER WALL SYSTEM
-    const wallType = params.wallType || 'exterior_wood_frame';
-    const wallTemplate = this.wallTypeTemplates[wallType] || this.wallTypeTemplates['exterior_wood_frame'];
-    
-    // Use template thickness or fallback to parameter thickness
-    const actualThickness = wallTemplate.totalThickness || thickness;
-    
-    // --- Mitered corner extension helpers (scoped) ---
-    // Loosened tolerance to robustly detect shared endpoints between walls (meters)
-    const EPS_JOIN = 0.05;
-    const MITER_LIMIT_MULT = 4.0;
-    function dist2(a, b) { const dx = a.x - b.x, dy = a.y - b.y; return dx * dx + dy * dy; }
-    function almostSamePoint(a, b) { return dist2(a, b) <= EPS_JOIN * EPS_JOIN; }
-    function unit(v) { const n = Math.hypot(v.x, v.y); return n ? { x: v.x / n, y: v.y / n } : { x: 1, y: 0 }; }
-    function angleBetween(u, v) { const d = Math.max(-1, Math.min(1, u.x * v.x + u.y * v.y)); return Math.acos(d); }
-    function computeEndExtensions(currentWall, allWalls, totalThicknessM) {
-      const A = currentWall.start;
-      const B = currentWall.end;
-      const dirAB = unit({ x: B.x - A.x, y: B.y - A.y });
-      const dirBA = { x: -dirAB.x, y: -dirAB.y };
-      function neighborAt(point) {
-        for (const w of allWalls) {
-          if (w === currentWall) continue;
-          if (almostSamePoint(w.start, point)) {
-            const out = unit({ x: w.end.x - w.start.x, y: w.end.y - w.start.y });
-            return out;
-          }
-          if (almostSamePoint(w.end, point)) {
-            const out = unit({ x: w.start.x - w.end.x, y: w.start.y - w.end.y });
-            return out;
-          }
-        }
-        return null;
-      }
-      const neighAtA = neighborAt(A);
-      const neighAtB = neighborAt(B);
-      const defaultCap = totalThicknessM / 2;
-      const miterLimit = MITER_LIMIT_MULT * totalThicknessM;
-      function extFor(neighDir, incomingDir) {
-        if (!neighDir) return defaultCap;
-        const theta = angleBetween(incomingDir, neighDir);
-        if (theta < 1e-3) return 0;
-        const tanHalf = Math.tan(theta / 2);
-        if (Math.abs(tanHalf) < 1e-4) return defaultCap;
-        const e = (totalThicknessM / 2) / tanHalf;
-        return Math.min(Math.max(0, e), miterLimit);
-      }
-      const extStart = extFor(neighAtA, dirBA);
-      const extEnd = extFor(neighAtB, dirAB);
-      return { extStart, extEnd };
+    };
+
+    // Create 2D representation - PROFESSIONAL ARCHITECTURAL PLAN
+    const mesh2D = curtainWall ? this.createCurtainWall2D(curtainWall.plan) : this.createProfessionalWall2D(wallJoint, wallTemplate);
+    mesh2D.userData = { objectId: null, type: 'wall', wallType: wallType };
+
+    // Overall bounding box for collision/selection
+    const geometry = new THREE.BoxGeometry(axis.length, height, actualThickness);
+
+    return {
+      geometry: geometry,
+      mesh3D: mesh3D,
+      mesh2D: mesh2D,
+      actualLength: axis.length,
+      adjustedStartPoint: axis.start,
+      adjustedEndPoint: axis.end,
+      actualThickness: actualThickness,
+      wallType: wallType,
+      wallTemplate: wallTemplate,
+      joinery: wallJoint
+    };
+  }
+
+  /**
+   * Wall centerline from its parameters
+   * A length that differs from the drawn points moves the end point (property panel edits).
+   * Curved walls (params.bulge, see utils/wallArcs) measure along the arc and keep their
+   * bulge, so the chord scales with the length.
+   */
+  getWallAxis(params) {
+    const startPoint = params.startPoint || { x: 0, y: 0, z: 0 };
+    let endPoint = params.endPoint || {
+      x: startPoint.x + (params.length || 4),
+      y: startPoint.y || 0,
+      z: startPoint.z
+    };
+
+    const bulge = Number(params.bulge) || 0;
+    const calculatedLength = wallLength(startPoint, endPoint, bulge);
+    let length = calculatedLength;
+
+    if (params.length && calculatedLength > 0 && Math.abs(params.length - calculatedLength) > 0.01) {
+      length = params.length;
+      const factor = length / calculatedLength;
+      endPoint = {
+        x: startPoint.x + (endPoint.x - startPoint.x) * factor,
+        y: endPoint.y,
+        z: startPoint.z + (endPoint.z - startPoint.z) * factor
+      };
     }
 
-    // Compute neighbor-aware end extensions and adjust length/center
-    let lengthFor3D = actualLength;
-    let centerFor3D = { ...centerPosition };
-    try {
-      if (adjustedStartPoint && adjustedEndPoint) {
-        const A2D = { x: adjustedStartPoint.x, y: adjustedStartPoint.z };
-        const B2D = { x: adjustedEndPoint.x, y: adjustedEndPoint.z };
-        const currentSimple = { start: A2D, end: B2D };
-        const allWallsSimple = [];
-        const existingWalls = Array.from(this.objects.values()).filter(obj => obj.type === 'wall');
-        for (const w of existingWalls) {
-          const sp = w.params?.startPoint;
-          const ep = w.params?.endPoint;
-          if (!sp || !ep) continue;
-          allWallsSimple.push({ start: { x: sp.x, y: sp.z }, end: { x: ep.x, y: ep.z } });
-        }
-        allWallsSimple.push(currentSimple);
-        const { extStart, extEnd } = computeEndExtensions(currentSimple, allWallsSimple, actualThickness);
-        console.log('🪚 Miter extension', { extStart: +extStart.toFixed(3), extEnd: +extEnd.toFixed(3), baseLength: +actualLength.toFixed(3) });
-        const lengthWithCaps = actualLength + extStart + extEnd;
-        const dir = unit({ x: B2D.x - A2D.x, y: B2D.y - A2D.y });
-        const shift = (extStart - extEnd) / 2;
-        centerFor3D = {
-          x: centerPosition.x + dir.x * shift,
-          y: centerPosition.y,
-          z: centerPosition.z + dir.y * shift
-        };
-        lengthFor3D = lengthWithCaps;
-        console.log('🧭 Wall center shift (m)', { shift: +shift.toFixed(3), centerBefore: centerPosition, centerAfter: centerFor3D, finalLength: +lengthFor3D.toFixed(3) });
-      }
-    } catch (e) {
-      console.warn('Wall miter extension computation failed, using original length/center:', e);
-    }
-
-    // Create multi-layer wall geometry with symmetric thickness about the centerline
-    // Ensure layer offset orientation uses wall direction so all sides render consistently
-    const { geometry, mesh3D } = this.createMultiLayerWallGeometry(
-      lengthFor3D,
-      height,
-      actualThickness,
-      wallTemplate,
-      centerFor3D,
-      rotationY,
-      material
-    );
-    
-    mesh3D.userData = { 
-      objectId: null, 
-      type: 'wall',
-      wallType: wallType,
-      wallTemplate: wallTemplate,
-      isExternal: wallTemplate.properties.isExternal,
-      loadBearing: wallTemplate.properties.loadBearing,
-      thermalTransmittance: wallTemplate.properties.thermalTransmittance,
-      fireRating: wallTemplate.properties.fireRating
+    return {
+      start: startPoint,
+      end: endPoint,
+      bulge,
+      length,
+      rotationY: Math.atan2(endPoint.z - startPoint.z, endPoint.x - startPoint.x),
+      center: { x: (startPoint.x + endPoint.x) / 2, z: (startPoint.z + endPoint.z) / 2 }
     };
-    
-    // Create 2D representation - PROFESSIONAL ARCHITECTURAL PLAN
-    const mesh2D = this.createProfessionalWall2D(lengthFor3D, actualThickness, centerFor3D, rotationY, wallTemplate);
-    mesh2D.userData = { objectId: null, type: 'wall', wallType: wallType };
-    
+  }
+
+  /**
+   * Point on a wall's centerline with the wall's direction there, for hosting openings
+   * @param {Object} wall - Wall object
+   * @param {number} distance - Distance from the wall start along its centerline (m)
+   * @returns {{ point: {x, z}, rotationY: number }} rotationY in the same sense as a straight wall's mesh
+   */
+  getWallPlacement(wall, distance) {
+    const axis = this.getWallAxis(wall.params || {});
+    const { point, tangent } = pointAlongWall(axis.start, axis.end, axis.bulge, distance);
+    return { point, rotationY: Math.atan2(tangent.z, tangent.x) };
+  }
+
+  /**
+   * Layer build-up of a wall: its own template, its wall type, or a single layer of its material
+   */
+  getWallTemplate(params) {
+    const typed = params.wallTemplate || (params.wallType ? this.wallTypeTemplates[params.wallType] : null);
+    if (typed) return typed;
+
+    const thickness = params.thickness || 0.2;
     return {
-      geometry: geometry,
-      mesh3D: mesh3D,
-      mesh2D: mesh2D,
-      actualLength: actualLength,
-      adjustedStartPoint: adjustedStartPoint,
-      adjustedEndPoint: adjustedEndPoint,
-      actualThickness: actualThickness,
-      wallType: wallType,
-      wallTemplate: wallTemplate
+      name: 'Generic Wall',
+      totalThickness: thickness,
+      layers: [{ name: 'Wall', material: params.material || 'concrete', thickness, function: 'structure' }],
+      properties: { isExternal: false, loadBearing: false }
     };
   }
 
   /**
-   * Create multi-layer wall geometry with individual layer materials
-   * Professional BIM approach with separate geometries per layer
+   * Curtain wall grid of a wall whose type is a curtain wall system. The grid runs between
+   * the wall's joinery cuts, so it stops at the face of a wall it abuts and meets the
+   * other wall at a corner.
+   * @returns {Object} { layout (see utils/curtainWall), plan symbol, uStart }
    */
-  createMultiLayerWallGeometry(length, height, totalThickness, wallTemplate, centerPosition, rotationY, fallbackMaterial = 'concrete') {
+  layoutCurtainWall(params, axis, joint, template) {
+    const along = point => locateOnWall(axis.start, axis.end, axis.bulge, point).s;
+    const cutAt = (points, fallback) => (points.length > 0 ? points.reduce((sum, u) => sum + u, 0) / points.length : fallback);
+    const positions = joint.outlines.flat().map(along);
+    const uStart = cutAt(positions.filter(u => u < axis.length / 2), 0);
+    const uEnd = cutAt(positions.filter(u => u >= axis.length / 2), axis.length);
+
+    const settings = resolveCurtainWall(template.curtainWall, params.curtainWall);
+    const layout = layoutCurtainWall(Math.max(uEnd - uStart, 0.01), params.height || 2.5, settings);
+    return { layout, uStart, plan: curtainWallPlan(layout, axis, uStart) };
+  }
+
+  /**
+   * Curtain wall mullions, transoms and panels. Like the layered walls, the group sits at the
+   * wall centre turned to the wall; each member is turned to the wall's direction where it
+   * stands, so curved walls are faceted at the mullions.
+   */
+  createCurtainWallGeometry({ layout, uStart }, axis, height) {
     const wallGroup = new THREE.Group();
-    // Offset layers symmetrically around centerline, orientation follows rotationY but remains centered
-    let currentOffset = -totalThickness / 2;
-    
-    // Create individual layer geometries
-    for (const layer of wallTemplate.layers) {
-      const layerThickness = layer.thickness;
-      const layerMaterial = this.materials[layer.material] || this.materials[fallbackMaterial];
-      
-      // Create geometry for this layer
-      const layerGeometry = new THREE.BoxGeometry(length, height, layerThickness);
-      const layerMesh = new THREE.Mesh(layerGeometry, layerMaterial.clone());
-      
-      // Position layer centered on wall centerline with symmetric offsets
-      layerMesh.position.set(0, 0, currentOffset + layerThickness / 2);
-      layerMesh.userData = {
-        layerName: layer.name,
-        layerFunction: layer.function,
-        layerMaterial: layer.material,
-        layerThickness: layerThickness
+    wallGroup.position.set(axis.center.x, height / 2, axis.center.z);
+    wallGroup.rotation.y = axis.rotationY;
+
+    const { settings, mullionProfile, transomProfile } = layout;
+    const cos = Math.cos(axis.rotationY);
+    const sin = Math.sin(axis.rotationY);
+    const at = u => pointAlongWall(axis.start, axis.end, axis.bulge, uStart + u);
+    const material = name => (this.materials[name] || this.materials.aluminum).clone();
+
+    // Box of the given size centred at a plan point and height, its length along the direction
+    const addBox = (size, point, direction, y, meshMaterial, userData) => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(size.length, size.height, size.depth), meshMaterial);
+      const x = point.x - axis.center.x;
+      const z = point.z - axis.center.z;
+      mesh.position.set(x * cos - z * sin, y - height / 2, x * sin + z * cos);
+      mesh.rotation.y = -Math.atan2(direction.z, direction.x) - axis.rotationY;
+      mesh.userData = userData;
+      wallGroup.add(mesh);
+    };
+    // Straight piece between two distances along the wall (a chord on curved walls)
+    const span = (u0, u1) => {
+      const a = at(u0).point;
+      const b = at(u1).point;
+      const length = Math.hypot(b.x - a.x, b.z - a.z) || 1e-6;
+      return {
+        length,
+        middle: { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 },
+        direction: { x: (b.x - a.x) / length, z: (b.z - a.z) / length }
       };
-      
-      wallGroup.add(layerMesh);
-      currentOffset += layerThickness;
-    }
-    
-    // Set group position and rotation
-    wallGroup.position.set(centerPosition.x, centerPosition.y, centerPosition.z);
-    if (rotationY !== 0) {
-      wallGroup.rotation.y = rotationY;
-    }
-    
-    // Create overall bounding box geometry for collision/selection
-    const boundingGeometry = new THREE.BoxGeometry(length, height, totalThickness);
-    
-    return {
-      geometry: boundingGeometry,
-      mesh3D: wallGroup
     };
+
+    const frameMaterial = material(settings.frameMaterial);
+    layout.mullions.forEach(mullion => {
+      const { point, tangent } = at(mullion.u);
+      addBox({ length: mullionProfile.width, height, depth: mullionProfile.depth }, point, tangent, height / 2,
+        frameMaterial, { curtainWallPart: 'mullion', index: mullion.index });
+    });
+
+    for (let column = 0; column < layout.uGrid.length - 1; column++) {
+      const piece = span(layout.uGrid[column], layout.uGrid[column + 1]);
+      const clearLength = Math.max(piece.length - mullionProfile.width, 0.001);
+      layout.transoms.forEach(transom => {
+        const y = Math.min(Math.max(transom.v, transomProfile.width / 2), height - transomProfile.width / 2);
+        addBox({ length: clearLength, height: transomProfile.width, depth: transomProfile.depth }, piece.middle, piece.direction, y,
+          frameMaterial, { curtainWallPart: 'transom', index: transom.index, column });
+      });
+    }
+
+    layout.panels.filter(panel => panel.infill !== 'empty' && panel.width > 0 && panel.height > 0).forEach(panel => {
+      const piece = span(panel.u0, panel.u1);
+      const opaque = panel.infill === 'spandrel';
+      addBox({
+        length: Math.max(piece.length - mullionProfile.width, 0.001),
+        height: panel.height,
+        depth: opaque ? settings.spandrelThickness : settings.glassThickness
+      }, piece.middle, piece.direction, (panel.v0 + panel.v1) / 2,
+      material(opaque ? settings.spandrelMaterial : settings.glassMaterial),
+      { curtainWallPart: 'panel', panel: panel.key, infill: panel.infill });
+    });
+
+    return wallGroup;
+  }
+
+  /**
+   * Curtain wall plan symbol: a thin line with a tick at each mullion and door swings
+   */
+  createCurtainWall2D(plan) {
+    const wallGroup = new THREE.Group();
+    const lineMaterial = new THREE.LineBasicMaterial({ color: 0x000000 });
+    const toGeometry = points => new THREE.BufferGeometry().setFromPoints(points.map(point => new THREE.Vector3(point.x, 0.01, point.z)));
+
+    wallGroup.add(new THREE.Line(toGeometry(plan.line), lineMaterial));
+    plan.ticks.forEach(tick => wallGroup.add(new THREE.Line(toGeometry([tick.a, tick.b]), lineMaterial)));
+    plan.doors.forEach(door => {
+      const start = Math.atan2(door.open.z - door.hinge.z, door.open.x - door.hinge.x);
+      let sweep = Math.atan2(door.closed.z - door.hinge.z, door.closed.x - door.hinge.x) - start;
+      if (sweep > Math.PI) sweep -= 2 * Math.PI;
+      if (sweep < -Math.PI) sweep += 2 * Math.PI;
+      const swing = Array.from({ length: 13 }, (_, i) => ({
+        x: door.hinge.x + door.width * Math.cos(start + (sweep * i) / 12),
+        z: door.hinge.z + door.width * Math.sin(start + (sweep * i) / 12)
+      }));
+      wallGroup.add(new THREE.Line(toGeometry([door.hinge, door.open]), lineMaterial));
+      wallGroup.add(new THREE.Line(toGeometry(swing), new THREE.LineDashedMaterial({ color: 0x000000, dashSize: 0.05, gapSize: 0.05 }))
+        .computeLineDistances());
+    });
+
+    return wallGroup;
+  }
+
+  /**
+   * Create multi-layer wall geometry with individual layer materials
+   * Professional BIM approach: every layer piece from the joinery is extruded to the wall
+   * height, split into sill and head bands around openings.
+   */
+  createMultiLayerWallGeometry(joint, axis, height, thickness, openings = [], fallbackMaterial = 'concrete') {
+    const wallGroup = new THREE.Group();
+    wallGroup.position.set(axis.center.x, height / 2, axis.center.z);
+    wallGroup.rotation.y = axis.rotationY;
+
+    // three.js turns local +x to (cos, -sin) for rotation.y, so outlines are mapped through
+    // the inverse rotation to land on their plan coordinates
+    const cos = Math.cos(axis.rotationY);
+    const sin = Math.sin(axis.rotationY);
+    const toShape = outline => new THREE.Shape(outline.map(point => {
+      const x = point.x - axis.center.x;
+      const z = point.z - axis.center.z;
+      return new THREE.Vector2(x * cos - z * sin, x * sin + z * cos);
+    }));
+
+    const bands = splitWallAtOpenings(openings, height);
+    joint.layers.forEach(layer => {
+      const layerMaterial = this.materials[layer.material] || this.materials[fallbackMaterial] || this.materials.concrete;
+
+      bands.forEach(band => {
+        const outline = clipOutlineAlongWall(layer.outline, axis.start, axis.end, band.from, band.to, axis.bulge);
+        if (!outline) return;
+
+        const layerGeometry = new THREE.ExtrudeGeometry(toShape(outline), {
+          depth: band.top - band.bottom,
+          bevelEnabled: false
+        });
+        layerGeometry.rotateX(Math.PI / 2);
+        layerGeometry.translate(0, band.top - height / 2, 0);
+
+        const layerMesh = new THREE.Mesh(layerGeometry, layerMaterial.clone());
+        layerMesh.userData = {
+          layerName: layer.name,
+          layerFunction: layer.function,
+          layerMaterial: layer.material,
+          layerIndex: layer.index
+        };
+        wallGroup.add(layerMesh);
+      });
+    });
+
+    // Each frame is built along its own x axis and turned to the wall's direction at the
+    // opening, undoing the group's mirrored turn
+    (openings || []).forEach(opening => {
+      if (!(opening.frameDepth > 0)) return;
+      const { point, tangent } = pointAlongWall(axis.start, axis.end, axis.bulge, opening.position);
+      const x = point.x - axis.center.x;
+      const z = point.z - axis.center.z;
+      const frame = this.createOpeningFrame({ ...opening, position: 0 }, 0, height, [{ thickness }]);
+      frame.position.set(x * cos - z * sin, -height / 2, x * sin + z * cos);
+      frame.rotation.y = -Math.atan2(tangent.z, tangent.x) - axis.rotationY;
+      wallGroup.add(frame);
+    });
+
+    return wallGroup;
   }
 
   /**
    * Create professional 2D architectural wall representation with layer lines
+   * Drawn in plan coordinates from the same joinery outlines as the 3D wall.
    */
-  createProfessionalWall2D(length, thickness, centerPosition, rotationY, wallTemplate) {
+  createProfessionalWall2D(joint, wallTemplate) {
     const wallGroup = new THREE.Group();
-    
+
     // Professional line weights
     const WALL_OUTLINE_WIDTH = 0.005; // Heavy lines for exterior walls
     const INTERIOR_WALL_WIDTH = 0.003; // Medium lines for interior walls
     const LAYER_LINE_WIDTH = 0.001;   // Light lines for layer divisions
-    
-    // Determine line weight based on wall type
+    const INSULATION_COLOR = 0xffc107;
+
     const isExterior = wallTemplate.properties.isExternal;
     const mainLineWidth = isExterior ? WALL_OUTLINE_WIDTH : INTERIOR_WALL_WIDTH;
-    
-    // 1. Create main wall outline
-    const outlineGeometry = new THREE.PlaneGeometry(length, thickness);
-    const outlineMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0x000000,
-      transparent: true,
-      opacity: 0.8,
-      side: THREE.DoubleSide
-    });
-    
-    // Create outline as wireframe edges
-    const outlineEdges = new THREE.EdgesGeometry(outlineGeometry);
-    const outlineLines = new THREE.LineSegments(
-      outlineEdges, 
-      new THREE.LineBasicMaterial({ color: 0x000000, linewidth: mainLineWidth * 1000 })
+    const toLoop = (outline, y) => new THREE.BufferGeometry().setFromPoints(
+      outline.map(point => new THREE.Vector3(point.x, y, point.z))
     );
-    outlineLines.rotation.x = -Math.PI / 2;
-    outlineLines.position.y = 0.01;
-    wallGroup.add(outlineLines);
-    
-    // 2. Create layer division lines for multi-layer walls
-    if (wallTemplate.layers && wallTemplate.layers.length > 1) {
-      let currentOffset = -thickness / 2;
-      
-      for (let i = 0; i < wallTemplate.layers.length - 1; i++) {
-        currentOffset += wallTemplate.layers[i].thickness;
-        
-        // Create division line
-        const divisionGeometry = new THREE.BufferGeometry().setFromPoints([
-          new THREE.Vector3(-length / 2, 0, currentOffset),
-          new THREE.Vector3(length / 2, 0, currentOffset)
-        ]);
-        
-        const divisionLine = new THREE.Line(
-          divisionGeometry,
-          new THREE.LineBasicMaterial({ 
-            color: 0x666666, 
+    const toFill = outline => {
+      const fillGeometry = new THREE.ShapeGeometry(new THREE.Shape(outline.map(point => new THREE.Vector2(point.x, point.z))));
+      fillGeometry.rotateX(Math.PI / 2);
+      return fillGeometry;
+    };
+
+    // 1. Wall outlines
+    joint.outlines.forEach(outline => {
+      wallGroup.add(new THREE.LineLoop(
+        toLoop(outline, 0.01),
+        new THREE.LineBasicMaterial({ color: 0x000000, linewidth: mainLineWidth * 1000 })
+      ));
+    });
+
+    // 2. Layer pieces for multi-layer walls
+    if (joint.layers.length > 1) {
+      joint.layers.forEach(layer => {
+        wallGroup.add(new THREE.LineLoop(
+          toLoop(layer.outline, 0.005),
+          new THREE.LineBasicMaterial({
+            color: 0x666666,
             linewidth: LAYER_LINE_WIDTH * 1000,
             transparent: true,
             opacity: 0.6
           })
-        );
-        
-        divisionLine.rotation.x = -Math.PI / 2;
-        divisionLine.position.y = 0.005;
-        wallGroup.add(divisionLine);
-      }
+        ));
+      });
     }
-    
-    // 3. Create material-based fill pattern
-    const fillGeometry = new THREE.PlaneGeometry(length * 0.98, thickness * 0.98);
+
+    // 3. Material-based fill
     const fillMaterial = this.createWallFillPattern(wallTemplate);
-    const fillMesh = new THREE.Mesh(fillGeometry, fillMaterial);
-    fillMesh.rotation.x = -Math.PI / 2;
-    fillMesh.position.y = 0.001;
-    wallGroup.add(fillMesh);
-    
-    // 4. Add insulation hatching for insulated walls
-    if (this.hasInsulation(wallTemplate)) {
-      const insulationHatch = this.createInsulationHatching(length, thickness);
-      insulationHatch.rotation.x = -Math.PI / 2;
-      insulationHatch.position.y = 0.003;
-      wallGroup.add(insulationHatch);
-    }
-    
-    // Set group position and rotation
-    wallGroup.position.set(centerPosition.x, 0, centerPosition.z);
-    if (rotationY !== 0) {
-      wallGroup.rotation.y = rotationY;
-    }
-    
+    joint.outlines.forEach(outline => {
+      const fillMesh = new THREE.Mesh(toFill(outline), fillMaterial);
+      fillMesh.position.y = 0.001;
+      wallGroup.add(fillMesh);
+    });
+
+    // 4. Insulation layers are tinted
+    joint.layers.filter(layer => layer.function === 'insulation').forEach(layer => {
+      const insulationMesh = new THREE.Mesh(toFill(layer.outline), new THREE.MeshBasicMaterial({
+        color: INSULATION_COLOR,
+        transparent: true,
+        opacity: 0.4,
+        side: THREE.DoubleSide
+      }));
+      insulationMesh.position.y = 0.003;
+      wallGroup.add(insulationMesh);
+    });
+
     return wallGroup;
   }
 
@@ -2083,37 +2488,6 @@ class StandaloneCADEngine {
     return wallTemplate.layers.some(layer => layer.function === 'insulation');
   }
 
-  /**
-   * Create insulation hatching pattern
-   */
-  createInsulationHatching(length, thickness) {
-    const hatchGroup = new THREE.Group();
-    const hatchSpacing = 0.05; // 5cm spacing for hatch lines
-    const hatchColor = 0xffc107; // Yellow/orange for insulation
-    
-    // Create diagonal hatch lines
-    for (let x = -length / 2; x < length / 2; x += hatchSpacing) {
-      const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-        new THREE.Vector3(x, 0, -thickness / 2),
-        new THREE.Vector3(x + thickness * 0.5, 0, thickness / 2)
-      ]);
-      
-      const hatchLine = new THREE.Line(
-        lineGeometry,
-        new THREE.LineBasicMaterial({ 
-          color: hatchColor,
-          transparent: true,
-          opacity: 0.4,
-          linewidth: 1
-        })
-      );
-      
-      hatchGroup.add(hatchLine);
-    }
-    
-    return hatchGroup;
-  }
-
   /**
    * PROFESSIONAL DOOR ASSEMBLY CREATION
    * Complete door system with frame, panels, hardware, and glazing
@@ -2428,244 +2802,18 @@ class StandaloneCADEngine {
 
   /**
    * Regenerate wall geometry with openings cut out
-   * PROFESSIONAL IMPLEMENTATION: Uses boolean operations to cut precise openings
+   * The wall's layer pieces are split into full-height spans and sill/head bands around
+   * each opening (see createMultiLayerWallGeometry), keeping its joinery at the ends.
    */
   regenerateWallWithOpenings(wallId) {
     const wall = this.objects.get(wallId);
     if (!wall || !wall.params.openings || wall.params.openings.length === 0) {
       return;
     }
-    
-    console.log(`🔧 Regenerating wall ${wallId} with ${wall.params.openings.length} openings`);
-    
-    try {
-      // Remove existing wall meshes
-      if (wall.mesh3D) {
-        this.scene3D.remove(wall.mesh3D);
-      }
-      if (wall.mesh2D) {
-        this.scene2D.remove(wall.mesh2D);
-      }
-      
-      // Get wall parameters
-      const params = wall.params;
-      const layers = params.layers || [{
-        material: params.material || 'concrete',
-        thickness: params.thickness || 0.2,
-        thermalTransmittance: 0.5
-      }];
-      
-      // Create new wall geometry with openings
-      const wallGeometry = this.createWallWithOpenings(params, layers);
-      
-      if (wallGeometry) {
-        wall.mesh3D = wallGeometry.mesh3D;
-        wall.mesh2D = wallGeometry.mesh2D;
-        wall.params.hasOpenings = true;
-        
-        // Add to scenes
-        this.scene3D.add(wallGeometry.mesh3D);
-        this.scene2D.add(wallGeometry.mesh2D);
-        
-        console.log(`✅ Wall ${wallId} regenerated with ${params.openings.length} openings`);
-        
-        // Emit update event
-        this.emit('object_updated', {
-          object: this.serializeObject(wall),
-          type: 'opening_added'
-        });
-      }
-      
-    } catch (error) {
-      console.error(`❌ Failed to regenerate wall ${wallId} with openings:`, error);
-    }
-    
-  }
-
-  /**
-   * Create wall geometry with openings using boolean operations
-   * PROFESSIONAL IMPLEMENTATION: Precise opening cuts with frame support
-   */
-  createWallWithOpenings(params, layers) {
-    const { 
-      startPoint, 
-      endPoint, 
-      height = 2.7, 
-      openings = [] 
-    } = params;
-    
-    // Calculate wall dimensions and direction
-    const wallVector = {
-      x: endPoint.x - startPoint.x,
-      y: endPoint.y - startPoint.y,
-      z: endPoint.z - startPoint.z
-    };
-    const wallLength = Math.sqrt(wallVector.x ** 2 + wallVector.y ** 2 + wallVector.z ** 2);
-    
-    // Calculate wall center and rotation
-    const wallCenter = {
-      x: (startPoint.x + endPoint.x) / 2,
-      y: (startPoint.y + endPoint.y) / 2,
-      z: (startPoint.z + endPoint.z) / 2
-    };
-    
-    const wallAngle = Math.atan2(wallVector.z, wallVector.x);
-    
-    // Create wall segments between openings
-    const segments = this.calculateWallSegments(wallLength, openings);
-    
-    // Create 3D wall group with segments
-    const wallGroup3D = new THREE.Group();
-    const wallGroup2D = new THREE.Group();
-    
-    // Process each layer for multi-layer walls
-    let layerOffset = 0;
-    
-    layers.forEach((layer, layerIndex) => {
-      const layerThickness = layer.thickness;
-      const material = this.materials[layer.material] || this.materials.concrete;
-      
-      // Create segments for this layer
-      segments.forEach((segment, segmentIndex) => {
-        if (segment.length > 0.01) { // Only create segments with meaningful length
-          // 3D segment
-          const segmentGeometry3D = new THREE.BoxGeometry(
-            segment.length,
-            height,
-            layerThickness
-          );
-          
-          const layerMaterial3D = material.clone();
-          layerMaterial3D.transparent = layers.length > 1;
-          layerMaterial3D.opacity = layers.length > 1 ? 0.8 : 1.0;
-          
-          const segmentMesh3D = new THREE.Mesh(segmentGeometry3D, layerMaterial3D);
-          
-          // Position segment relative to wall start
-          segmentMesh3D.position.set(
-            segment.centerPosition - wallLength / 2,
-            height / 2,
-            layerOffset - (this.getTotalWallThickness(layers) / 2)
-          );
-          
-          wallGroup3D.add(segmentMesh3D);
-          
-          // 2D segment (top view)
-          if (layerIndex === 0) { // Only create 2D view for first layer
-            const segmentGeometry2D = new THREE.PlaneGeometry(segment.length, layerThickness);
-            const layerMaterial2D = new THREE.MeshBasicMaterial({
-              color: material.color,
-              side: THREE.DoubleSide,
-              transparent: true,
-              opacity: 0.8
-            });
-            
-            const segmentMesh2D = new THREE.Mesh(segmentGeometry2D, layerMaterial2D);
-            segmentMesh2D.position.set(
-              segment.centerPosition - wallLength / 2,
-              0,
-              layerOffset - (this.getTotalWallThickness(layers) / 2)
-            );
-            segmentMesh2D.rotation.x = -Math.PI / 2;
-            
-            wallGroup2D.add(segmentMesh2D);
-          }
-        }
-      });
-      
-      layerOffset += layerThickness;
-    });
-    
-    // Add opening frames if specified
-    openings.forEach(opening => {
-      if (opening.frameDepth > 0) {
-        const frameGroup = this.createOpeningFrame(opening, wallLength, height, layers);
-        if (frameGroup) {
-          wallGroup3D.add(frameGroup);
-        }
-      }
-    });
-    
-    // Position and rotate wall groups
-    wallGroup3D.position.set(wallCenter.x, wallCenter.y, wallCenter.z);
-    wallGroup3D.rotation.y = wallAngle;
-    
-    wallGroup2D.position.set(wallCenter.x, wallCenter.y, wallCenter.z);
-    wallGroup2D.rotation.y = wallAngle;
-    
-    console.log(`🏗️ Created wall with ${segments.length} segments and ${openings.length} openings`);
-    
-    return {
-      mesh3D: wallGroup3D,
-      mesh2D: wallGroup2D,
-      segments: segments,
-      openings: openings
-    };
-  }
 
-  /**
-   * Calculate wall segments around openings
-   * PROFESSIONAL IMPLEMENTATION: Handles overlapping openings and edge cases
-   */
-  calculateWallSegments(wallLength, openings) {
-    if (!openings || openings.length === 0) {
-      return [{
-        startPosition: 0,
-        endPosition: wallLength,
-        centerPosition: wallLength / 2,
-        length: wallLength
-      }];
-    }
-    
-    // Sort openings by position along wall
-    const sortedOpenings = [...openings].sort((a, b) => a.position - b.position);
-    
-    const segments = [];
-    let currentPosition = 0;
-    
-    sortedOpenings.forEach(opening => {
-      const openingStart = Math.max(0, opening.position - opening.width / 2);
-      const openingEnd = Math.min(wallLength, opening.position + opening.width / 2);
-      
-      // Create segment before opening if there's space
-      if (openingStart > currentPosition + 0.01) {
-        const segmentLength = openingStart - currentPosition;
-        segments.push({
-          startPosition: currentPosition,
-          endPosition: openingStart,
-          centerPosition: currentPosition + segmentLength / 2,
-          length: segmentLength,
-          type: 'wall'
-        });
-      }
-      
-      // Record the opening segment (for potential frame creation)
-      segments.push({
-        startPosition: openingStart,
-        endPosition: openingEnd,
-        centerPosition: (openingStart + openingEnd) / 2,
-        length: openingEnd - openingStart,
-        type: 'opening',
-        opening: opening
-      });
-      
-      currentPosition = Math.max(currentPosition, openingEnd);
-    });
-    
-    // Create final segment after last opening
-    if (currentPosition < wallLength - 0.01) {
-      const segmentLength = wallLength - currentPosition;
-      segments.push({
-        startPosition: currentPosition,
-        endPosition: wallLength,
-        centerPosition: currentPosition + segmentLength / 2,
-        length: segmentLength,
-        type: 'wall'
-      });
-    }
-    
-    // Filter out wall segments (openings are handled separately)
-    return segments.filter(segment => segment.type === 'wall');
+    console.log(`🔧 Regenerating wall ${wallId} with ${wall.params.openings.length} openings`);
+    wall.params.hasOpenings = true;
+    this.regenerateWallGeometry(wallId);
   }
 
   /**
@@ -2809,40 +2957,12 @@ class StandaloneCADEngine {
   }
 
   /**
-   * Regenerate solid wall geometry (without openings)
+   * Get all openings in a wall
    */
-  regenerateWallGeometry(wallId) {
+  getWallOpenings(wallId) {
     const wall = this.objects.get(wallId);
-    if (!wall) return;
-
-    // Remove existing meshes
-    if (wall.mesh3D) {
-      this.scene3D.remove(wall.mesh3D);
-    }
-    if (wall.mesh2D) {
-      this.scene2D.remove(wall.mesh2D);
-    }
-
-    // Create new solid wall geometry
-    const geometry = this.createMultiLayerWallGeometry(wall.params);
-    if (geometry) {
-      wall.mesh3D = geometry.mesh3D;
-      wall.mesh2D = geometry.mesh2D;
-      
-      this.scene3D.add(geometry.mesh3D);
-      this.scene2D.add(geometry.mesh2D);
-      
-      console.log(`🔄 Regenerated solid wall geometry for ${wallId}`);
-    }
-  }
-
-  /**
-   * Get all openings in a wall
-   */
-  getWallOpenings(wallId) {
-    const wall = this.objects.get(wallId);
-    return wall?.params?.openings || [];
-  }
+    return wall?.params?.openings || [];
+  }
 
   /**
    * Check if opening fits within wall boundaries
@@ -2926,22 +3046,33 @@ class StandaloneCADEngine {
     // Calculate split position along wall
     const startPoint = wall.params.startPoint;
     const endPoint = wall.params.endPoint;
-    
-    // Project split point onto wall line
-    const projectedPoint = this.projectPointOntoLine(splitPoint, startPoint, endPoint);
-    const distanceFromStart = this.calculateDistance(startPoint, projectedPoint);
-    const totalLength = wall.params.length || this.calculateDistance(startPoint, endPoint);
+    const bulge = Number(wall.params.bulge) || 0;
+    const totalLength = wall.params.length || wallLength(startPoint, endPoint, bulge);
+    
+    // Project split point onto the wall's centerline; curved walls split along the arc
+    let projectedPoint;
+    let distanceFromStart;
+    if (bulge) {
+      distanceFromStart = locateOnWall(startPoint, endPoint, bulge, splitPoint).s;
+      const { point } = pointAlongWall(startPoint, endPoint, bulge, distanceFromStart);
+      projectedPoint = { x: point.x, y: startPoint.y || 0, z: point.z };
+    } else {
+      projectedPoint = this.projectPointOntoLine(splitPoint, startPoint, endPoint);
+      distanceFromStart = this.calculateDistance(startPoint, projectedPoint);
+    }
     
     if (distanceFromStart <= 0.01 || distanceFromStart >= totalLength - 0.01) {
       console.warn('Split point too close to wall end - no split performed');
       return null;
     }
     
-    // Create two new walls
+    // Create two new walls, each keeping its share of the arc
+    const [bulge1, bulge2] = splitBulge(bulge, distanceFromStart / totalLength);
     const wallParams1 = {
       ...wall.params,
       startPoint: startPoint,
       endPoint: projectedPoint,
+      bulge: bulge1,
       length: distanceFromStart
     };
     
@@ -2949,6 +3080,7 @@ class StandaloneCADEngine {
       ...wall.params,
       startPoint: projectedPoint,
       endPoint: endPoint,
+      bulge: bulge2,
       length: totalLength - distanceFromStart
     };
     
@@ -3096,7 +3228,10 @@ class StandaloneCADEngine {
   }
 
   /**
-   * Trim wall to intersection with another wall or element
+   * Trim wall to where its centerline meets another straight wall's
+   * @param {string} wallId
+   * @param {string|Object} trimElement - The other wall, or its id
+   * @param {Object} options - end: 'start' | 'end' | 'auto' (the end nearer the intersection)
    */
   trimWall(wallId, trimElement, options = {}) {
     const wall = this.objects.get(wallId);
@@ -3104,17 +3239,23 @@ class StandaloneCADEngine {
       console.warn(`Cannot trim wall: ${wallId} not found`);
       return false;
     }
+    const element = typeof trimElement === 'string' ? this.objects.get(trimElement) : trimElement;
+    if (!element || element.type !== 'wall') {
+      console.warn('Cannot trim wall: walls can only be trimmed to another wall');
+      return false;
+    }
 
-    const { end = 'auto', keepExtended = false } = options;
+    const { end = 'auto' } = options;
     
-    console.log(`✂️ Trimming wall ${wallId} to element:`, trimElement);
+    console.log(`✂️ Trimming wall ${wallId} to wall ${element.id}`);
     
-    // Find intersection point
-    const intersectionPoint = this.findWallIntersection(wall, trimElement);
-    if (!intersectionPoint) {
+    // Find intersection point, at the wall's own elevation
+    const crossing = intersectWallAxes(toJoineryWall(wall), toJoineryWall(element));
+    if (!crossing) {
       console.warn('No intersection found - cannot trim');
       return false;
     }
+    const intersectionPoint = { x: crossing.x, y: wall.params.startPoint.y || 0, z: crossing.z };
     
     // Determine which end to trim
     let trimEnd = end;
@@ -3355,7 +3496,7 @@ class StandaloneCADEngine {
     
     for (const layer of wallTemplate.layers) {
       const materialData = this.materialDatabase[layer.material];
-      if (materialData && layer.thickness > 0) {
+      if (materialData?.thermalConductivity > 0 && layer.thickness > 0) {
         // R-value = thickness / thermal conductivity
         const layerRValue = layer.thickness / materialData.thermalConductivity;
         totalRValue += layerRValue;
@@ -3441,19 +3582,9 @@ class StandaloneCADEngine {
    */
   calculateEmbodiedCarbon(wallTemplate) {
     // Simplified embodied carbon calculation (kg CO2e per m2)
-    const carbonFactors = {
-      concrete: 400,
-      brick: 240,
-      wood: 50,
-      steel: 2500,
-      drywall: 120,
-      insulation_batt: 45,
-      insulation_rigid: 150
-    };
-    
     let totalCarbon = 0;
     for (const layer of wallTemplate.layers) {
-      const factor = carbonFactors[layer.material] || 100;
+      const factor = EMBODIED_CARBON_FACTORS[layer.material] || DEFAULT_CARBON_FACTOR;
       const volume = layer.thickness; // per m2
       totalCarbon += factor * volume;
     }
@@ -3465,21 +3596,11 @@ class StandaloneCADEngine {
    * Calculate recyclable content percentage
    */
   calculateRecyclableContent(wallTemplate) {
-    const recyclableFactors = {
-      concrete: 0.3,
-      brick: 0.95,
-      wood: 0.8,
-      steel: 0.9,
-      drywall: 0.25,
-      insulation_batt: 0.6,
-      insulation_rigid: 0.2
-    };
-    
     let totalVolume = 0;
     let recyclableVolume = 0;
     
     for (const layer of wallTemplate.layers) {
-      const factor = recyclableFactors[layer.material] || 0.1;
+      const factor = RECYCLABLE_FACTORS[layer.material] || DEFAULT_RECYCLABLE_FACTOR;
       totalVolume += layer.thickness;
       recyclableVolume += layer.thickness * factor;
     }
@@ -3489,419 +3610,102 @@ class StandaloneCADEngine {
 
   /**
    * PROFESSIONAL WALL JOINERY SYSTEM
-   * Advanced corner cleanup algorithms matching professional CAD standards
+   * L, T, X and multi-wall junctions with layer-aware cleanup, resolved per level by
+   * utils/wallJoinery. Wall endpoints are never moved; each wall keeps its resolved outlines
+   * and only walls whose joint changed are rebuilt.
+   * @param {Object} options - { tolerance: endpoint snap distance (m), miterLimit }
+   * @returns {number} Number of junctions found
    */
   applyProfessionalWallJoinery(options = {}) {
+    if (this._joinerySuspended) return 0;
+
     const settings = {
-      tolerance: options.tolerance || 0.1, // 10cm tolerance
-      joinType: options.joinType || 'auto', // auto, butt, miter, overlap
-      cleanupT: options.cleanupT || true, // T-junction cleanup
-      cleanupL: options.cleanupL || true, // L-corner cleanup  
-      cleanupX: options.cleanupX || true, // X-intersection cleanup
-      prioritizeStructural: options.prioritizeStructural || true,
-      maintainLayers: options.maintainLayers || true,
-      ...options
+      tolerance: options.tolerance || DEFAULT_JOINERY_TOLERANCE,
+      miterLimit: options.miterLimit
     };
 
     console.log('🏗️ PROFESSIONAL WALL JOINERY: Starting advanced corner cleanup');
-    
-    const walls = this.getWallsForJoinery();
-    const junctions = this.detectWallJunctions(walls, settings.tolerance);
-    
-    console.log(`📊 Found ${junctions.length} wall junctions to resolve`);
-    
-    let processedJunctions = 0;
-    
-    for (const junction of junctions) {
-      try {
-        const success = this.resolveWallJunction(junction, settings);
-        if (success) {
-          processedJunctions++;
-          console.log(`✅ Resolved ${junction.type} junction between ${junction.walls.length} walls`);
-        }
-      } catch (error) {
-        console.error(`❌ Failed to resolve junction:`, error);
-      }
-    }
-    
-    // Update all wall geometries after joinery
-    this.updateWallGeometriesAfterJoinery();
-    
-    console.log(`🎯 COMPLETED: ${processedJunctions}/${junctions.length} junctions resolved`);
-    
-    // Sync adjusted endpoints back to Architect3D system to fix 2D/3D mismatch
-    if (this.architect3DService && processedJunctions > 0) {
-      console.log('🔄 SYNC: Syncing adjusted wall endpoints back to Architect3D system...');
-      this.architect3DService.syncAdjustedEndpoints(this.objects);
-    }
-    
-    return processedJunctions;
-  }
 
-  /**
-   * Get walls suitable for joinery processing
-   */
-  getWallsForJoinery() {
-    return Array.from(this.objects.values())
+    const byLevel = new Map();
+    Array.from(this.objects.values())
       .filter(obj => obj.type === 'wall')
-      .map(wall => ({
-        id: wall.id,
-        params: wall.params,
-        template: wall.params?.wallTemplate || this.wallTypeTemplates.exterior_wood_frame,
-        startPoint: wall.params?.startPoint,
-        endPoint: wall.params?.endPoint,
-        thickness: wall.params?.wallTemplate?.totalThickness || wall.params?.thickness || 0.2,
-        isStructural: wall.params?.wallTemplate?.properties?.loadBearing || false
-      }));
-  }
-
-  /**
-   * Detect wall junction types and intersection points
-   */
-  detectWallJunctions(walls, tolerance) {
-    const junctions = [];
-    
-    for (let i = 0; i < walls.length; i++) {
-      for (let j = i + 1; j < walls.length; j++) {
-        const wall1 = walls[i];
-        const wall2 = walls[j];
-        
-        const intersection = this.calculateWallIntersection(wall1, wall2, tolerance);
-        if (intersection) {
-          // Determine junction type
-          const junctionType = this.classifyJunctionType(intersection, wall1, wall2);
-          
-          junctions.push({
-            type: junctionType,
-            walls: [wall1, wall2],
-            intersection: intersection,
-            priority: this.calculateJunctionPriority(wall1, wall2, junctionType)
-          });
-        }
-      }
-    }
-    
-    // Sort by priority (structural walls first)
-    return junctions.sort((a, b) => b.priority - a.priority);
-  }
-
-  /**
-   * Calculate precise wall intersection point and relationship
-   */
-  calculateWallIntersection(wall1, wall2, tolerance) {
-    if (!wall1 || !wall2 || !wall1.startPoint || !wall1.endPoint || !wall2.startPoint || !wall2.endPoint) {
-      return null;
-    }
-    const line1 = this.getWallCenterline(wall1);
-    const line2 = this.getWallCenterline(wall2);
-    
-    // Calculate line intersection
-    const intersection = this.lineIntersection(line1, line2);
-    if (!intersection) return null;
-    
-    // Check if intersection is within tolerance of both walls
-    const onWall1 = this.pointOnLineSegment(intersection, line1, tolerance);
-    const onWall2 = this.pointOnLineSegment(intersection, line2, tolerance);
-    
-    if (onWall1 && onWall2) {
-      return {
-        point: intersection,
-        angle: this.calculateWallAngle(line1, line2),
-        distance1: this.distanceFromWallEnd(intersection, wall1),
-        distance2: this.distanceFromWallEnd(intersection, wall2),
-        onWall1: onWall1,
-        onWall2: onWall2
-      };
-    }
-    
-    return null;
-  }
-
-  /**
-   * Get wall centerline as line segment
-   */
-  getWallCenterline(wall) {
-    return {
-      start: wall.startPoint,
-      end: wall.endPoint,
-      vector: {
-        x: wall.endPoint.x - wall.startPoint.x,
-        y: wall.endPoint.y - wall.startPoint.y,
-        z: wall.endPoint.z - wall.startPoint.z
-      }
-    };
-  }
-
-  /**
-   * Calculate intersection of two lines
-   */
-  lineIntersection(line1, line2) {
-    const x1 = line1.start.x, y1 = line1.start.z;
-    const x2 = line1.end.x, y2 = line1.end.z;
-    const x3 = line2.start.x, y3 = line2.start.z;
-    const x4 = line2.end.x, y4 = line2.end.z;
-    
-    const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
-    if (Math.abs(denom) < 1e-6) return null; // Parallel lines
-    
-    const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
-    const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
-    
-    return {
-      x: x1 + t * (x2 - x1),
-      y: 0, // Keep at ground level
-      z: y1 + t * (y2 - y1),
-      t: t, // Parameter for line1
-      u: u  // Parameter for line2
-    };
-  }
-
-  /**
-   * Helper: distance from intersection point to nearest end of wall (along centerline)
-   */
-  distanceFromWallEnd(point, wall) {
-    if (!wall || !wall.startPoint || !wall.endPoint) return Infinity;
-    const dx1 = point.x - wall.startPoint.x;
-    const dz1 = point.z - wall.startPoint.z;
-    const dx2 = point.x - wall.endPoint.x;
-    const dz2 = point.z - wall.endPoint.z;
-    const d1 = Math.sqrt(dx1 * dx1 + dz1 * dz1);
-    const d2 = Math.sqrt(dx2 * dx2 + dz2 * dz2);
-    return Math.min(d1, d2);
-  }
-
-  /**
-   * Calculate distance from point to line segment (from architect3d Utils)
-   */
-  pointToLineDistance(point, line) {
-    const lineStart = line.start;
-    const lineEnd = line.end;
-    
-    const A = point.x - lineStart.x;
-    const B = point.y - lineStart.y;
-    const C = lineEnd.x - lineStart.x;
-    const D = lineEnd.y - lineStart.y;
-
-    const dot = A * C + B * D;
-    const lenSq = C * C + D * D;
-    let param = -1;
-
-    if (lenSq !== 0) {
-      param = dot / lenSq;
-    }
-
-    let xx, yy;
-
-    if (param < 0) {
-      xx = lineStart.x;
-      yy = lineStart.y;
-    } else if (param > 1) {
-      xx = lineEnd.x;
-      yy = lineEnd.y;
-    } else {
-      xx = lineStart.x + param * C;
-      yy = lineStart.y + param * D;
-    }
-
-    const dx = point.x - xx;
-    const dy = point.y - yy;
-    return Math.sqrt(dx * dx + dy * dy);
-  }
-
-  /**
-   * Check if point lies on the line segment (not just the infinite line)
-   */
-  pointOnSegment(point, line, tolerance = 0.1) {
-    const lineStart = line.start;
-    const lineEnd = line.end;
-    
-    // Calculate dot product to determine if point is between start and end
-    const A = point.x - lineStart.x;
-    const B = point.y - lineStart.y;
-    const C = lineEnd.x - lineStart.x;
-    const D = lineEnd.y - lineStart.y;
-
-    const dot = A * C + B * D;
-    const lenSq = C * C + D * D;
-    
-    if (lenSq === 0) return false; // Zero length line
-    
-    const param = dot / lenSq;
-    
-    // Point is on segment if parameter is between 0 and 1 (with tolerance)
-    return param >= -tolerance && param <= (1 + tolerance);
-  }
-
-  /**
-   * Check if point is on line segment within tolerance
-   */
-  pointOnLineSegment(point, line, tolerance) {
-    const distance = this.pointToLineDistance(point, line);
-    const onSegment = this.pointOnSegment(point, line, tolerance);
-    
-    return distance <= tolerance && onSegment;
-  }
+      .forEach(wall => {
+        const levelId = this.getObjectLevelId(wall);
+        if (!byLevel.has(levelId)) byLevel.set(levelId, []);
+        byLevel.get(levelId).push(wall);
+      });
 
-  /**
-   * Calculate angle between two wall lines
-   */
-  calculateWallAngle(line1, line2) {
-    const dot = line1.vector.x * line2.vector.x + line1.vector.z * line2.vector.z;
-    const mag1 = Math.sqrt(line1.vector.x ** 2 + line1.vector.z ** 2);
-    const mag2 = Math.sqrt(line2.vector.x ** 2 + line2.vector.z ** 2);
-    
-    return Math.acos(Math.max(-1, Math.min(1, dot / (mag1 * mag2))));
-  }
-  /**
-   * Classify junction type based on geometry
-   */
-  classifyJunctionType(intersection, wall1, wall2) {
-    const angle = intersection.angle;
-    const angleDegrees = angle * 180 / Math.PI;
-    
-    // Check if intersection is at wall endpoints (L-corner vs T-junction)
-    const atWall1End = intersection.distance1 < 0.05 || intersection.distance1 > (wall1.params?.length || 4) - 0.05;
-    const atWall2End = intersection.distance2 < 0.05 || intersection.distance2 > (wall2.params?.length || 4) - 0.05;
-    
-    if (atWall1End && atWall2End) {
-      if (Math.abs(angleDegrees - 90) < 5) return 'L_CORNER_90';
-      if (Math.abs(angleDegrees - 180) < 5) return 'STRAIGHT_JOIN';
-      return 'L_CORNER_ANGLED';
-    } else if (atWall1End || atWall2End) {
-      return 'T_JUNCTION';
-    } else {
-      return 'X_INTERSECTION';
-    }
-  }
+    const joinery = { walls: {}, junctions: [] };
+    byLevel.forEach((walls, levelId) => {
+      const result = computeWallJoinery(walls.map(wall => this.getJoineryWall(wall)), {
+        ...settings,
+        junctionPrefix: `${levelId || 'level'}:j`
+      });
+      Object.assign(joinery.walls, result.walls);
+      joinery.junctions.push(...result.junctions.map(junction => ({ ...junction, levelId })));
+    });
 
-  /**
-   * Calculate junction processing priority
-   */
-  calculateJunctionPriority(wall1, wall2, junctionType) {
-    let priority = 0;
-    
-    // Structural walls get higher priority
-    if (wall1.isStructural) priority += 10;
-    if (wall2.isStructural) priority += 10;
-    
-    // Corner junctions are higher priority than T-junctions
-    if (junctionType.includes('L_CORNER')) priority += 5;
-    else if (junctionType === 'T_JUNCTION') priority += 3;
-    
-    return priority;
-  }
+    this.wallJoinery = joinery;
 
-  /**
-   * Resolve wall junction based on type and settings
-   */
-  resolveWallJunction(junction, settings) {
-    switch (junction.type) {
-      case 'L_CORNER_90':
-        return this.resolveRightAngleCorner(junction, settings);
-      case 'L_CORNER_ANGLED':
-        return this.resolveAngledCorner ? this.resolveAngledCorner(junction, settings) : this.resolveRightAngleCorner(junction, settings);
-      case 'T_JUNCTION':
-        return this.resolveTJunction(junction, settings);
-      case 'X_INTERSECTION':
-        return this.resolveXIntersection(junction, settings);
-      case 'STRAIGHT_JOIN':
-        return this.resolveStraightJoin(junction, settings);
-      default:
-        console.warn(`Unknown junction type: ${junction.type}`);
-        return false;
-    }
-  }
+    // Walls keep the joint they were built with on their 3D mesh
+    let rebuilt = 0;
+    Object.keys(joinery.walls).forEach(wallId => {
+      const built = this.objects.get(wallId).mesh3D?.userData.joinery;
+      if (JSON.stringify(built) === JSON.stringify(joinery.walls[wallId])) return;
+      this.regenerateWallGeometry(wallId);
+      rebuilt++;
+    });
 
-  /**
-   * Resolve 90-degree corner junction
-   */
-  resolveRightAngleCorner(junction, settings) {
-    const [wall1, wall2] = junction.walls;
-    const intersection = junction.intersection;
-    
-    // Determine which wall should be continuous (usually structural)
-    const continuousWall = wall1.isStructural ? wall1 : wall2;
-    const terminatingWall = continuousWall === wall1 ? wall2 : wall1;
-    
-    // Calculate corner cleanup geometry
-    const cleanup = this.calculateCornerCleanup(continuousWall, terminatingWall, intersection, 'L_90');
-    
-    // Apply geometry adjustments
-    this.applyWallAdjustments(continuousWall.id, cleanup.continuousAdjustment);
-    this.applyWallAdjustments(terminatingWall.id, cleanup.terminatingAdjustment);
-    
-    return true;
-  }
+    console.log(`🎯 COMPLETED: ${joinery.junctions.length} junctions resolved, ${rebuilt} walls rebuilt`);
+    this.emit('wallJoineryComplete', { junctions: joinery.junctions.length, rebuilt });
 
-  /**
-   * Calculate precise corner cleanup geometry
-   */
-  calculateCornerCleanup(wall1, wall2, intersection, cornerType) {
-    // This would contain complex geometry calculations for different corner types
-    // For now, return basic adjustments
-    return {
-      continuousAdjustment: {
-        startAdjustment: 0,
-        endAdjustment: 0
-      },
-      terminatingAdjustment: {
-        startAdjustment: 0,
-        endAdjustment: wall2.thickness / 2
-      }
-    };
+    return joinery.junctions.length;
   }
 
   /**
-   * Apply calculated adjustments to wall geometry
+   * Joinery input for a wall, following the same centerline as its geometry
    */
-  applyWallAdjustments(wallId, adjustments) {
-    const wall = this.objects.get(wallId);
-    if (wall && wall.params) {
-      wall.params.startAdjustment = adjustments.startAdjustment;
-      wall.params.endAdjustment = adjustments.endAdjustment;
-      wall.params.adjustForJoinery = true;
-      
-      // Trigger geometry regeneration
-      this.regenerateWallGeometry(wallId);
-    }
+  getJoineryWall(wall) {
+    const axis = this.getWallAxis(wall.params || {});
+    return toJoineryWall(
+      { id: wall.id, params: { ...wall.params, startPoint: axis.start, endPoint: axis.end } },
+      this.wallTypeTemplates
+    );
   }
 
   /**
-   * Update all wall geometries after joinery processing
+   * Resolved joinery from the last pass
+   * @param {string} [wallId] - A single wall's outlines, layer pieces and end conditions
    */
-  updateWallGeometriesAfterJoinery() {
-    const walls = Array.from(this.objects.values()).filter(obj => obj.type === 'wall');
-    
-    for (const wall of walls) {
-      if (wall.params?.adjustForJoinery) {
-        this.regenerateWallGeometry(wall.id);
-      }
-    }
-    
-    // Emit update event
-    this.emit('wallJoineryComplete');
+  getWallJoinery(wallId = null) {
+    if (wallId) return this.wallJoinery.walls[wallId] || null;
+    return this.wallJoinery;
   }
 
   /**
-   * Regenerate wall geometry with current parameters
+   * Regenerate wall geometry with current parameters and resolved joinery
    */
   regenerateWallGeometry(wallId) {
     const wall = this.objects.get(wallId);
-    if (!wall) return;
-    
+    if (!wall || wall.type !== 'wall') return;
+
     try {
-      // Recreate geometry with joinery adjustments
-      const newGeometry = this.createWallGeometry(wall.params);
-      
-      // Update the stored geometry
+      const newGeometry = this.createWallGeometry(wall.params, this.wallJoinery.walls[wallId] || null);
+
+      if (wall.mesh3D) this.scene3D.remove(wall.mesh3D);
+      if (wall.mesh2D) this.scene2D.remove(wall.mesh2D);
+
       wall.geometry = newGeometry.geometry;
       wall.mesh3D = newGeometry.mesh3D;
       wall.mesh2D = newGeometry.mesh2D;
-      
-      // Update userdata
       wall.mesh3D.userData.objectId = wallId;
       wall.mesh2D.userData.objectId = wallId;
-      
+      this.applyLevelPlacement(wall);
+
+      this.scene3D.add(wall.mesh3D);
+      this.scene2D.add(wall.mesh2D);
+
+      this.emit('object_updated', { object: this.serializeObject(wall), objectId: wallId });
     } catch (error) {
       console.error(`Failed to regenerate wall ${wallId}:`, error);
     }
@@ -4130,37 +3934,35 @@ class StandaloneCADEngine {
 
   /**
    * Create material-specific hatching patterns
+   * The pattern for each material comes from utils/materialHatching, shared with section views
    */
   createMaterialHatching(length, thickness, material) {
     const hatchingGroup = new THREE.Group();
-    
-    const hatchSpacing = Math.max(thickness / 8, 0.02); // Adaptive hatching spacing
+
+    const hatch = materialHatch(material);
+    const hatchSpacing = Math.max(thickness / 8, 0.02) * hatch.spacingScale; // Adaptive hatching spacing
     const hatchWidth = 0.0005; // Very thin hatching lines
-    
-    switch (material) {
-      case 'concrete':
+
+    switch (hatch.pattern) {
+      case 'dots':
         // Dotted pattern for concrete
         this.addDottedHatching(hatchingGroup, length, thickness, hatchSpacing, hatchWidth);
         break;
-      case 'brick':
-        // Diagonal hatching for brick
-        this.addDiagonalHatching(hatchingGroup, length, thickness, hatchSpacing, hatchWidth, 45);
-        break;
-      case 'wood':
+      case 'horizontal':
         // Horizontal grain lines for wood
         this.addHorizontalHatching(hatchingGroup, length, thickness, hatchSpacing, hatchWidth);
         break;
-      case 'steel':
+      case 'cross':
         // Cross hatching for steel
         this.addCrossHatching(hatchingGroup, length, thickness, hatchSpacing, hatchWidth);
         break;
-      case 'stone':
+      case 'random':
         // Random pattern for stone
         this.addRandomHatching(hatchingGroup, length, thickness, hatchSpacing, hatchWidth);
         break;
       default:
-        // Light diagonal hatching for default
-        this.addDiagonalHatching(hatchingGroup, length, thickness, hatchSpacing * 2, hatchWidth, 30);
+        // Diagonal hatching for brick and, lighter, everything else
+        this.addDiagonalHatching(hatchingGroup, length, thickness, hatchSpacing, hatchWidth, hatch.angle);
     }
     
     return hatchingGroup.children.length > 0 ? hatchingGroup : null;
@@ -4322,132 +4124,16 @@ class StandaloneCADEngine {
   }
 
   /**
-   * Analyze walls and detect intersection points for joinery
+   * Wall junctions for joinery diagnostics
+   * @param {number} tolerance - Endpoint snap distance (m)
+   * @returns {Array} [{ id, type, point, walls, through }] from the current wall layout
    */
   analyzeWallIntersections(tolerance = 0.15) {
     const walls = Array.from(this.objects.values()).filter(obj => obj.type === 'wall');
-    const intersections = [];
-    
-    console.log(`🔍 ENHANCED: Analyzing ${walls.length} walls for intersections...`);
-    
-    // Debug wall data
-    walls.forEach((wall, index) => {
-      const params = wall.params;
-      console.log(`Wall ${index + 1} (${wall.id}):`, {
-        startPoint: params?.startPoint,
-        endPoint: params?.endPoint,
-        length: params?.length,
-        hasParams: !!params
-      });
-    });
-    
-    // Check each pair of walls for intersections
-    for (let i = 0; i < walls.length; i++) {
-      for (let j = i + 1; j < walls.length; j++) {
-        const wall1 = walls[i];
-        const wall2 = walls[j];
-        
-        console.log(`🔍 Checking intersection: ${wall1.id} ↔ ${wall2.id}`);
-        
-        const intersection = this.findWallIntersection(wall1, wall2, tolerance);
-        if (intersection) {
-          intersections.push(intersection);
-          console.log(`🔗 ✅ Found intersection between ${wall1.id} and ${wall2.id}:`, intersection);
-        } else {
-          console.log(`🔍 ❌ No intersection found between ${wall1.id} and ${wall2.id}`);
-        }
-      }
-    }
-    
-    console.log(`🔍 SUMMARY: Found ${intersections.length} total intersections`);
-    return intersections;
-  }
+    const { junctions } = computeWallJoinery(walls.map(wall => this.getJoineryWall(wall)), { tolerance });
 
-  /**
-   * Find intersection between two walls
-   */
-  findWallIntersection(wall1, wall2, tolerance = 0.25) {
-    const w1Params = wall1.params;
-    const w2Params = wall2.params;
-    
-    // Get wall endpoints
-    const w1Start = w1Params?.startPoint;
-    const w1End = w1Params?.endPoint;
-    const w2Start = w2Params?.startPoint;
-    const w2End = w2Params?.endPoint;
-    
-    console.log(`🔍 DETAILED: Checking ${wall1.id} vs ${wall2.id} (tolerance: ${tolerance}m):`);
-    console.log(`  ${wall1.id}: ${w1Start?.x?.toFixed(3)},${w1Start?.z?.toFixed(3)} → ${w1End?.x?.toFixed(3)},${w1End?.z?.toFixed(3)}`);
-    console.log(`  ${wall2.id}: ${w2Start?.x?.toFixed(3)},${w2Start?.z?.toFixed(3)} → ${w2End?.x?.toFixed(3)},${w2End?.z?.toFixed(3)}`);
-    
-    if (!w1Start || !w1End || !w2Start || !w2End) {
-      console.log(`❌ MISSING ENDPOINTS: Cannot analyze ${wall1.id} or ${wall2.id} - missing endpoint data`);
-      return null; // Can't analyze walls without endpoints
-    }
-    
-    // Use enhanced tolerance for connection detection
-    console.log(`🔧 ENHANCED: Using tolerance ${tolerance}m (${tolerance * 100}cm) for right-angle corner detection`);
-    
-    // Check if any endpoints are close enough to be considered connected
-    const connections = [
-      { w1Point: 'start', w2Point: 'start', dist: this.distance3D(w1Start, w2Start) },
-      { w1Point: 'start', w2Point: 'end', dist: this.distance3D(w1Start, w2End) },
-      { w1Point: 'end', w2Point: 'start', dist: this.distance3D(w1End, w2Start) },
-      { w1Point: 'end', w2Point: 'end', dist: this.distance3D(w1End, w2End) }
-    ];
-    
-    // ENHANCED: Detailed distance analysis with better logging
-    console.log(`📏 DISTANCE ANALYSIS for ${wall1.id} ↔ ${wall2.id}:`);
-    connections.forEach((c, idx) => {
-      const withinTol = c.dist <= tolerance;
-      console.log(`  ${idx + 1}. ${wall1.id}.${c.w1Point} → ${wall2.id}.${c.w2Point}: ${c.dist.toFixed(3)}m ${withinTol ? '✅' : '❌'}`);
-    });
-    
-    // Find the closest connection within tolerance
-    const validConnections = connections.filter(conn => conn.dist <= tolerance);
-    
-    if (validConnections.length > 0) {
-      const closestConnection = validConnections.reduce((min, conn) => 
-        conn.dist < min.dist ? conn : min
-      );
-      
-      console.log(`🎯 BEST CONNECTION: ${wall1.id}.${closestConnection.w1Point} → ${wall2.id}.${closestConnection.w2Point}`);
-      console.log(`📏 CONNECTION DISTANCE: ${closestConnection.dist.toFixed(3)}m (tolerance: ${tolerance}m)`);
-      
-      // ENHANCED: Calculate angle with detailed debugging
-      const angle = this.calculateWallAngle(wall1, wall2, closestConnection);
-      const angleDegrees = (angle * 180 / Math.PI).toFixed(1);
-      console.log(`📐 WALL ANGLE: ${angleDegrees}° (${angle.toFixed(3)} radians)`);
-      
-      // ENHANCED: Determine joint type with right-angle preference
-      const jointType = this.determineJointType(angle);
-      console.log(`🔨 JOINT TYPE: ${jointType} joint`);
-      
-      // ENHANCED: Check if this is a proper right-angle corner
-      const isRightAngle = Math.abs(angle - Math.PI/2) < 0.17; // ~10 degree tolerance
-      if (isRightAngle) {
-        console.log(`🏗️ RIGHT-ANGLE CORNER DETECTED: Perfect for architectural joinery`);
-      } else {
-        console.log(`🔧 ANGLED CORNER: ${angleDegrees}° - will use ${jointType} joint`);
-      }
-      
-      return {
-        wall1: wall1.id,
-        wall2: wall2.id,
-        connection: closestConnection,
-        jointType: jointType,
-        angle: angle,
-        position: closestConnection.w1Point === 'start' ? w1Start : w1End,
-        isRightAngle: isRightAngle
-      };
-    } else {
-      console.log(`❌ NO CONNECTIONS: No endpoints within ${tolerance}m (${tolerance * 100}cm) tolerance`);
-      console.log(`💡 SUGGESTION: Try increasing tolerance or check wall positioning`);
-    }
-    
-    // TODO: Add line intersection detection for T-junctions and cross intersections
-    
-    return null;
+    console.log(`🔍 SUMMARY: Found ${junctions.length} wall junctions between ${walls.length} walls`);
+    return junctions;
   }
 
   /**
@@ -4461,3159 +4147,3876 @@ class StandaloneCADEngine {
   }
 
   /**
-   * Calculate the angle between two walls at their connection point
+   * Apply joinery to all walls
+   * Kept for AI commands and debug tools; delegates to applyProfessionalWallJoinery()
+   * @param {Object} joinerySettings - { tolerance, miterLimit }
+   * @returns {boolean} True when at least one junction was resolved
    */
-  calculateWallAngle(wall1, wall2, connection) {
-    if (!connection || !connection.w1Point || !connection.w2Point) {
-      return 0;
-    }
-    const w1Params = wall1.params;
-    const w2Params = wall2.params;
-    
-    // Get wall direction vectors
-    let w1Vector, w2Vector;
-    
-    if (connection.w1Point === 'start') {
-      w1Vector = {
-        x: w1Params.endPoint.x - w1Params.startPoint.x,
-        z: w1Params.endPoint.z - w1Params.startPoint.z
-      };
-    } else {
-      w1Vector = {
-        x: w1Params.startPoint.x - w1Params.endPoint.x,
-        z: w1Params.startPoint.z - w1Params.endPoint.z
-      };
-    }
-    
-    if (connection.w2Point === 'start') {
-      w2Vector = {
-        x: w2Params.endPoint.x - w2Params.startPoint.x,
-        z: w2Params.endPoint.z - w2Params.startPoint.z
-      };
-    } else {
-      w2Vector = {
-        x: w2Params.startPoint.x - w2Params.endPoint.x,
-        z: w2Params.startPoint.z - w2Params.endPoint.z
-      };
+  applyWallJoinery(joinerySettings = null) {
+    try {
+      return this.applyProfessionalWallJoinery(joinerySettings || {}) > 0;
+    } catch (error) {
+      console.error('❌ ERROR: Wall joinery failed:', error);
+      return false;
     }
-    
-    // Normalize vectors
-    const w1Length = Math.sqrt(w1Vector.x * w1Vector.x + w1Vector.z * w1Vector.z);
-    const w2Length = Math.sqrt(w2Vector.x * w2Vector.x + w2Vector.z * w2Vector.z);
-    
-    w1Vector.x /= w1Length;
-    w1Vector.z /= w1Length;
-    w2Vector.x /= w2Length;
-    w2Vector.z /= w2Length;
-    
-    // Calculate angle using dot product
-    const dotProduct = w1Vector.x * w2Vector.x + w1Vector.z * w2Vector.z;
-    const angle = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
-    
-    return angle;
   }
 
   /**
-   * Determine joint type based on angle between walls
+   * Force re-application of wall joinery for debugging
+   * Rebuilds every wall, not only the ones whose junctions changed.
    */
-  determineJointType(angle) {
-    const degrees = angle * (180 / Math.PI);
-    
-    if (Math.abs(degrees - 90) < 15) {
-      return 'corner'; // 90-degree corner
-    } else if (Math.abs(degrees - 180) < 15) {
-      return 'straight'; // Straight line (walls in line)
-    } else if (degrees > 45 && degrees < 135) {
-      return 'miter'; // Angled joint
-    } else {
-      return 'butt'; // Default butt joint
-    }
+  forceWallJoineryRefresh() {
+    console.log('🔄 ========== FORCE WALL JOINERY REFRESH ==========');
+    Array.from(this.objects.values())
+      .filter(obj => obj.type === 'wall' && obj.mesh3D)
+      .forEach(wall => { delete wall.mesh3D.userData.joinery; });
+    return this.applyWallJoinery();
   }
+
   /**
-   * Apply joinery to all walls based on detected intersections - CAD STYLE
-   * FIXED: Added debouncing to prevent infinite loops
+   * Debug function to test door creation from console
    */
-  applyWallJoinery(joinerySettings = null) {
-    // ANTI-INFINITE-LOOP: Check if joinery is already running
-    if (this._joineryInProgress) {
-      console.log('⚠️ ANTI-LOOP: Joinery already in progress, skipping duplicate call');
-      return false;
-    }
-    
-    // ANTI-INFINITE-LOOP: Set flag to prevent recursive calls
-    this._joineryInProgress = true;
-    
-    console.log('🔧 ========== STARTING ENHANCED WALL JOINERY PROCESS (FIXED) ==========');
-    console.log(`🕒 Joinery started at: ${new Date().toISOString()}`);
-    
-    try {
-      // Default enhanced settings
-      const settings = joinerySettings || {
-        tolerance: 0.5,         // 50cm tolerance for much easier connections (increased for better detection)
-        cornerStyle: 'overlap', // CHANGED: Use overlap instead of butt for better joining
-        tightCorners: false,    // Disabled for easier connections
-        autoExtend: true        // Auto-extend walls to meet corners
-      };
-      
-      console.log('🔧 Enhanced joinery settings:', settings);
-      
-      // DEBUGGING: List all walls before analysis
-      const allWalls = Array.from(this.objects.values()).filter(obj => obj.type === 'wall');
-      console.log(`📊 ANALYSIS: Found ${allWalls.length} walls to analyze for intersections`);
-      allWalls.forEach((wall, index) => {
-        console.log(`  Wall ${index + 1} (${wall.id}):`, {
-          start: wall.params?.startPoint,
-          end: wall.params?.endPoint,
-          length: wall.params?.length?.toFixed(3) + 'm',
-          thickness: (wall.params?.thickness || wall.params?.width || 0.2).toFixed(3) + 'm'
-        });
-      });
-      
-      const intersections = this.analyzeWallIntersections(settings.tolerance);
-    
-    if (intersections.length === 0) {
-        console.log('ℹ️ RESULT: No wall intersections found - walls may be too far apart');
-        console.log(`  Current tolerance: ${settings.tolerance}m (${settings.tolerance * 100}cm)`);
-        return false;
-    }
-    
-      console.log(`🔗 SUCCESS: Found ${intersections.length} wall intersections`);
-    
-    // FIXED: Process each intersection individually (each intersection = 2 walls meeting)
-    intersections.forEach((intersection, index) => {
-      console.log(`🏗️ PROCESSING: Intersection ${index + 1} between walls ${intersection.wall1} and ${intersection.wall2}`);
-      console.log(`🔨 CORNER: Creating ${intersection.jointType} joint at ${(intersection.angle * 180 / Math.PI).toFixed(1)}°`);
-      this.createCornerJoint(intersection, settings);
+  testDoorCreation() {
+    console.log('🧪 Testing door creation directly...');
+    const doorId = this.createObject('door', {
+      width: 0.9,
+      height: 2.1,
+      thickness: 0.05,
+      material: 'wood',
+      startPoint: { x: 1, y: 0, z: 1 },
+      endPoint: { x: 1, y: 0, z: 2 }
     });
-      
-      console.log(`✅ SUCCESS: Applied enhanced wall joinery to ${intersections.length} intersections`);
-      console.log(`🕒 Joinery completed at: ${new Date().toISOString()}`);
-      
-      // ANTI-INFINITE-LOOP: Reset flag on successful completion
-      this._joineryInProgress = false;
-      return true;
-      
-    } catch (error) {
-      console.error('❌ ERROR: Wall joinery failed:', error);
-      
-      // ANTI-INFINITE-LOOP: Reset flag on error
-      this._joineryInProgress = false;
-      return false;
-    }
+    console.log('🧪 Test door created with ID:', doorId);
+    return doorId;
   }
 
   /**
-   * Force re-application of wall joinery for debugging
-   * FIXED: Removed recursive setTimeout call that caused infinite loops
+   * Create door geometry and meshes
    */
-  forceWallJoineryRefresh() {
-    console.log('🔄 ========== FORCE WALL JOINERY REFRESH (FIXED) ==========');
-    
-    // ANTI-INFINITE-LOOP: Check if joinery is already running
-    if (this._joineryInProgress) {
-      console.log('⚠️ ANTI-LOOP: Cannot force refresh - joinery already in progress');
-      return false;
-    }
+  /**
+   * PROFESSIONAL DOOR SYSTEM with advanced wall integration
+   * Automatic frame generation, wall opening creation, and IFC compliance
+   */
+  createDoorGeometry(params) {
+    const { 
+      width = 0.9, 
+      height = 2.1, 
+      thickness = 0.05, 
+      material = 'wood',
+      frameWidth = 0.05,
+      frameMaterial = 'wood',
+      frameDepth = null, // Auto-calculate from wall thickness
+      openingDirection = 'right',
+      startPoint = null,
+      endPoint = null,
+      hostWallId = null,
+      insertionPosition = 0.5,
+      insertionMode = 'create_standalone',
+      // PROFESSIONAL PARAMETERS
+      doorType = 'single_swing', // single_swing, double_swing, sliding, bi_fold
+      frameType = 'standard', // standard, cased, reveal
+      sillHeight = 0.0, // Height above floor
+      headHeight = null, // Auto-calculate or specify
+      jamb = { width: 0.04, depth: null }, // Jamb dimensions
+      sill = { height: 0.02, overhang: 0.01 }, // Sill details
+      head = { height: 0.05, overhang: 0.01 }, // Head details
+      hardware = 'lever', // lever, knob, push_pull
+      fireRating = 0, // Fire rating in minutes
+      accessibility = false, // ADA compliance features
+      glazing = null, // Glass panels configuration
+      // IFC PROPERTIES
+      ifcProperties = {}
+    } = params;
     
-    console.log('🔄 Resetting all walls to original state...');
+    // Calculate position
+    let centerPosition = { x: 0, y: height / 2, z: 0 };
+    let wallOrientation = 0;
     
-    // First, reset all walls to their original state
-    const walls = Array.from(this.objects.values()).filter(obj => obj.type === 'wall');
-    let resetCount = 0;
+    // PROFESSIONAL WALL INTEGRATION SYSTEM
+    let hostWallData = null;
     
-    walls.forEach(wall => {
-        if (wall.params.adjustForJoinery) {
-        console.log(`🔄 RESET: Wall ${wall.id} - removing joinery adjustments`);
-          
-          // Remove joinery parameters
-          delete wall.params.adjustForJoinery;
-          delete wall.params.startAdjustment;
-          delete wall.params.endAdjustment;
-          delete wall.params.adjustedStartPoint;
-          delete wall.params.adjustedEndPoint;
-          
-          // Rebuild with original parameters
-          this.rebuildWallWithAdjustments(wall.id, 0, 0);
-        resetCount++;
+    if (insertionMode === 'insert_in_wall' && hostWallId) {
+      // Find the host wall
+      const hostWall = this.objects.get(hostWallId);
+      if (!hostWall) {
+        console.warn(`Host wall ${hostWallId} not found for door insertion`);
+        return this.createDoorGeometry({ ...params, insertionMode: 'create_standalone' });
       }
-    });
-    
-    console.log(`🔄 RESET COMPLETE: ${resetCount} walls reset to original state`);
-    
-    // FIXED: Apply fresh joinery immediately instead of with setTimeout
-    console.log('🔧 Applying fresh wall joinery immediately...');
-    const result = this.applyWallJoinery();
-    
-    if (result) {
-      console.log('✅ REFRESH SUCCESS: Wall joinery refresh completed');
-    } else {
-      console.log('❌ REFRESH FAILED: Wall joinery refresh failed');
-    }
-    
-    return result;
-  }
-
-  /**
-   * Group intersections by position to handle complex joints
-   */
-  groupIntersectionsByPosition(intersections) {
-    const groups = [];
-    const tolerance = 0.05; // 5cm tolerance for grouping
-    
-    intersections.forEach(intersection => {
-      const { position } = intersection;
       
-      // Find existing group for this position
-      let group = groups.find(g => {
-        const groupPos = g[0].position;
-        const dist = Math.sqrt(
-          Math.pow(position.x - groupPos.x, 2) + 
-          Math.pow(position.z - groupPos.z, 2)
-        );
-        return dist <= tolerance;
+      // Extract wall template and properties
+      const wallTemplate = hostWall.params?.wallTemplate || this.wallTypeTemplates.exterior_wood_frame;
+      const wallThickness = wallTemplate.totalThickness || hostWall.params?.thickness || 0.2;
+      const hostLength = this.getWallAxis(hostWall.params).length;
+      
+      // Auto-calculate frame depth from wall thickness
+      const calculatedFrameDepth = frameDepth || wallThickness;
+      const calculatedHeadHeight = headHeight || (height + head.height);
+      
+      // Door position and direction along the wall's centerline (curved walls included)
+      const distanceFromStart = insertionPosition * hostLength;
+      const placement = this.getWallPlacement(hostWall, distanceFromStart);
+      const wallRotation = placement.rotationY;
+      wallOrientation = wallRotation;
+      
+      centerPosition = {
+        x: placement.point.x,
+        y: (height / 2) + sillHeight,
+        z: placement.point.z
+      };
+      
+      // Store wall data for frame generation
+      hostWallData = {
+        id: hostWallId,
+        wall: hostWall,
+        template: wallTemplate,
+        thickness: wallThickness,
+        layers: wallTemplate.layers,
+        rotation: wallRotation,
+        insertionPosition: distanceFromStart
+      };
+      
+      console.log(`🚪 PROFESSIONAL DOOR: Inserting ${doorType} door in ${wallTemplate.name} wall`);
+      console.log(`📐 Frame depth: ${calculatedFrameDepth.toFixed(3)}m, Wall thickness: ${wallThickness.toFixed(3)}m`);
+      
+      // Create intelligent wall opening with layer awareness
+      this.createProfessionalWallOpening(hostWallId, {
+        type: 'door',
+        width: width + (frameWidth * 2), // Include frame width
+        height: calculatedHeadHeight,
+        position: distanceFromStart,
+        offset: sillHeight,
+        frameDepth: calculatedFrameDepth,
+        preserveLayers: true
       });
       
-      if (group) {
-        group.push(intersection);
-      } else {
-        groups.push([intersection]);
-      }
-    });
-    
-    return groups;
-  }
-
-  /**
-   * Create proper corner joint between two walls (miter or butt)
-   */
-  createCornerJoint(intersection, settings = {}) {
-    const { wall1, wall2, connection, jointType, angle } = intersection;
-    
-    const wall1Obj = this.objects.get(wall1);
-    const wall2Obj = this.objects.get(wall2);
-    
-    if (!wall1Obj || !wall2Obj) return;
-    
-    const wall1Thickness = wall1Obj.params.thickness || wall1Obj.params.width || 0.2;
-    const wall2Thickness = wall2Obj.params.thickness || wall2Obj.params.width || 0.2;
-    
-    console.log(`🔨 Creating ${jointType} joint between ${wall1} (${wall1Thickness}m) and ${wall2} (${wall2Thickness}m) at ${(angle * 180 / Math.PI).toFixed(1)}°`);
-    console.log(`🔧 Using corner style: ${settings.cornerStyle || 'butt'}`);
-    
-    // Enhanced corner detection with tighter tolerance
-    const cornerTolerance = settings.tightCorners ? 0.17 : 0.26; // ~10° vs 15° tolerance
-    
-    // Use user-specified corner style or auto-detect
-    const forceCornerStyle = settings.cornerStyle;
-    
-    if (forceCornerStyle === 'butt' || (forceCornerStyle === 'auto' && (jointType === 'corner' || Math.abs(angle - Math.PI/2) < cornerTolerance))) {
-      // Create proper 90-degree corner with butt joint
-      this.createButtJoint(wall1Obj, wall2Obj, connection, Math.max(wall1Thickness, wall2Thickness));
-    } else if (forceCornerStyle === 'miter' || (forceCornerStyle === 'auto' && Math.abs(angle - Math.PI/2) >= cornerTolerance)) {
-      // Create miter joint for angled corners
-      this.createMiterJoint(wall1Obj, wall2Obj, connection, angle, Math.max(wall1Thickness, wall2Thickness));
-    } else if (forceCornerStyle === 'overlap') {
-      // Create overlap joint - one wall extends past the other
-      this.createOverlapJoint(wall1Obj, wall2Obj, connection, Math.max(wall1Thickness, wall2Thickness));
-    } else {
-      // Default: auto-detect based on angle
-      if (Math.abs(angle - Math.PI/2) < cornerTolerance) {
-        this.createButtJoint(wall1Obj, wall2Obj, connection, Math.max(wall1Thickness, wall2Thickness));
-      } else {
-      this.createMiterJoint(wall1Obj, wall2Obj, connection, angle, Math.max(wall1Thickness, wall2Thickness));
-      }
-    }
-  }
-
-  /**
-   * Create butt joint - one wall runs through, other butts against it
-   * FIXED: Proper corner joining without gaps
-   */
-  createButtJoint(wall1Obj, wall2Obj, connection, thickness) {
-    // Determine which wall should run through (usually the longer one)
-    const wall1Length = this.calculateWallLength(wall1Obj);
-    const wall2Length = this.calculateWallLength(wall2Obj);
-    
-    let throughWall, buttWall, throughConnection, buttConnection;
-    
-    if (wall1Length >= wall2Length) {
-      throughWall = wall1Obj;
-      buttWall = wall2Obj;
-      throughConnection = connection.w1Point;
-      buttConnection = connection.w2Point;
-    } else {
-      throughWall = wall2Obj;
-      buttWall = wall1Obj;
-      throughConnection = connection.w2Point;
-      buttConnection = connection.w1Point;
-    }
-    
-    console.log(`🔧 Butt joint: ${throughWall.id} runs through, ${buttWall.id} butts against it`);
-    
-    // Get the actual thickness of both walls
-    const throughWallThickness = throughWall.params.thickness || throughWall.params.width || 0.2;
-    const buttWallThickness = buttWall.params.thickness || buttWall.params.width || 0.2;
-    
-    // FIXED: For proper corner joining, extend the butt wall slightly INTO the through wall
-    // This ensures no gap at the corner by creating a small overlap
-    const overlap = 0.001; // 1mm overlap to eliminate visual gaps
-    const adjustment = -(throughWallThickness / 2 + overlap); // Negative means extend (don't shorten)
-    
-    console.log(`🔧 FIXED BUTT JOINT: Through wall thickness: ${throughWallThickness}m, extending butt wall by: ${Math.abs(adjustment)}m`);
-    
-    let startAdj = 0, endAdj = 0;
-    if (buttConnection === 'start') {
-      startAdj = adjustment;
-    } else {
-      endAdj = adjustment;
+    } else if (startPoint && endPoint) {
+      centerPosition = {
+        x: (startPoint.x + endPoint.x) / 2,
+        y: (height / 2) + sillHeight,
+        z: (startPoint.z + endPoint.z) / 2
+      };
     }
     
-    // Rebuild the butt wall with adjustment (negative adjustment = extension)
-    console.log(`🔧 BUTT JOINT: Applying extension to wall ${buttWall.id}:`, { startAdj, endAdj });
-    this.rebuildWallWithAdjustments(buttWall.id, startAdj, endAdj);
-  }
-
-  /**
-   * Create miter joint for angled corners
-   */
-  createMiterJoint(wall1Obj, wall2Obj, connection, angle, thickness) {
-    console.log(`🔧 Creating miter joint at ${(angle * 180 / Math.PI).toFixed(1)}° angle`);
-    
-    // Get the actual thickness of each wall
-    const wall1Thickness = wall1Obj.params.thickness || wall1Obj.params.width || 0.2;
-    const wall2Thickness = wall2Obj.params.thickness || wall2Obj.params.width || 0.2;
-    
-    // For miter joints, calculate adjustment based on the angle and wall thickness
-    // Use the average thickness for the miter calculation
-    const avgThickness = (wall1Thickness + wall2Thickness) / 2;
-    
-    // Prevent division by zero for very small angles
-    const safeAngle = Math.max(angle, Math.PI / 36); // Minimum 5 degrees
-    const adjustment = avgThickness / (2 * Math.sin(safeAngle / 2));
-    
-    console.log(`🔧 Miter adjustment: ${adjustment.toFixed(3)}m (wall1: ${wall1Thickness}m, wall2: ${wall2Thickness}m)`);
+    // PROFESSIONAL DOOR ASSEMBLY CREATION
+    const doorAssembly = this.createProfessionalDoorAssembly({
+      width, height, thickness, material, frameMaterial,
+      frameDepth: hostWallData?.thickness || frameWidth,
+      doorType, frameType, openingDirection,
+      jamb, sill, head, hardware, glazing,
+      hostWallData
+    });
     
-    // Apply adjustment to both walls
-    const adjustments = { startAdjustment: 0, endAdjustment: 0 };
+    const doorGroup = doorAssembly.group;
     
-    if (connection.w1Point === 'start') {
-      adjustments.startAdjustment = adjustment;
-    } else {
-      adjustments.endAdjustment = adjustment;
+    // Position the door assembly
+    doorGroup.position.set(centerPosition.x, centerPosition.y, centerPosition.z);
+    if (wallOrientation !== 0) {
+      doorGroup.rotation.y = wallOrientation;
     }
-    console.log(`🔧 MITER: Applying adjustments to wall ${wall1Obj.id}:`, adjustments);
-    this.rebuildWallWithAdjustments(wall1Obj.id, adjustments.startAdjustment, adjustments.endAdjustment);
     
-    const adjustments2 = { startAdjustment: 0, endAdjustment: 0 };
-    if (connection.w2Point === 'start') {
-      adjustments2.startAdjustment = adjustment;
-    } else {
-      adjustments2.endAdjustment = adjustment;
-    }
-    console.log(`🔧 MITER: Applying adjustments to wall ${wall2Obj.id}:`, adjustments2);
-    this.rebuildWallWithAdjustments(wall2Obj.id, adjustments2.startAdjustment, adjustments2.endAdjustment);
-  }
-
-  /**
-   * Create overlap joint - one wall extends past the other
-   * ENHANCED: More aggressive overlap to eliminate gaps
-   */
-  createOverlapJoint(wall1Obj, wall2Obj, connection, thickness) {
-    console.log(`🔧 Creating ENHANCED overlap joint between ${wall1Obj.id} and ${wall2Obj.id}`);
+    // Professional door handle assembly
+    const handleSide = openingDirection === 'left' ? -1 : 1;
+    const handleX = width * 0.35 * handleSide;
     
-    // Determine which wall should extend (usually the longer one)
-    const wall1Length = this.calculateWallLength(wall1Obj);
-    const wall2Length = this.calculateWallLength(wall2Obj);
+    // Handle base plate
+    const handlePlateGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.01);
+    const handlePlateMat = this.materials.steel || this.materials.aluminum;
+    const handlePlate = new THREE.Mesh(handlePlateGeometry, handlePlateMat.clone());
+    handlePlate.position.set(handleX, 0, thickness/2 - frameDepth/2 + 0.005);
+    doorGroup.add(handlePlate);
     
-    let extendingWall, shortenedWall, extendingConnection, shortenedConnection;
+    // Door handle lever
+    const leverGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.12);
+    const doorHandle = new THREE.Mesh(leverGeometry, handlePlateMat.clone());
+    doorHandle.position.set(handleX, 0, thickness/2 - frameDepth/2 + 0.02);
+    doorHandle.rotation.z = Math.PI/2;
+    doorGroup.add(doorHandle);
     
-    if (wall1Length >= wall2Length) {
-      extendingWall = wall1Obj;
-      shortenedWall = wall2Obj;
-      extendingConnection = connection.w1Point;
-      shortenedConnection = connection.w2Point;
-    } else {
-      extendingWall = wall2Obj;
-      shortenedWall = wall1Obj;
-      extendingConnection = connection.w2Point;
-      shortenedConnection = connection.w1Point;
+    // Door hinge representation
+    for (let i = 0; i < 3; i++) {
+      const hingeY = (height/2 - 0.2) - i * (height - 0.4) / 2;
+      const hingeGeometry = new THREE.BoxGeometry(0.1, 0.08, 0.02);
+      const hinge = new THREE.Mesh(hingeGeometry, handlePlateMat.clone());
+      hinge.position.set(-width/2 - 0.02, hingeY, thickness/2 - frameDepth/2);
+      doorGroup.add(hinge);
     }
     
-    console.log(`🔧 ENHANCED Overlap joint: ${extendingWall.id} extends, ${shortenedWall.id} is extended into it`);
-    
-    // ENHANCED: Instead of shortening one wall, extend both walls to ensure complete overlap
-    const extendingWallThickness = extendingWall.params.thickness || extendingWall.params.width || 0.2;
-    const shortenedWallThickness = shortenedWall.params.thickness || shortenedWall.params.width || 0.2;
-    
-    // Extend the "shortened" wall into the extending wall by the full thickness plus overlap
-    const overlap = 0.005; // 5mm overlap for complete joining
-    const adjustment = -(extendingWallThickness + overlap); // Negative = extend
+    // Set group properties
+    doorGroup.userData = { objectId: null, type: 'door' };
+    doorGroup.position.set(centerPosition.x, centerPosition.y, centerPosition.z);
     
-    console.log(`🔧 ENHANCED: Extending wall ${shortenedWall.id} by ${Math.abs(adjustment)}m into wall ${extendingWall.id}`);
+    // Use the door group as the main mesh
+    const mesh3D = doorGroup;
     
-    let startAdj = 0, endAdj = 0;
-    if (shortenedConnection === 'start') {
-      startAdj = adjustment;
-    } else {
-      endAdj = adjustment;
+    // Apply wall orientation if inserted in wall
+    if (insertionMode === 'insert_in_wall' && hostWallId) {
+      mesh3D.rotation.y = wallOrientation;
     }
     
-    // Rebuild the wall with extension (negative adjustment)
-    console.log(`🔧 ENHANCED OVERLAP: Applying extension to wall ${shortenedWall.id}:`, { startAdj, endAdj });
-    this.rebuildWallWithAdjustments(shortenedWall.id, startAdj, endAdj);
-  }
-
-  /**
-   * Handle multiple walls meeting at one point (T-junction, cross, etc.)
-   */
-  createMultiWallJoint(intersectionGroup) {
-    console.log(`🔧 Creating multi-wall joint with ${intersectionGroup.length} walls`);
+    // Create professional 2D representation with swing arc
+    const door2DGroup = new THREE.Group();
     
-    // For T-junctions and crosses, use a hybrid approach
-    // The longest wall runs through, others butt against it
-    const walls = intersectionGroup.map(i => ({
-      id: i.wall1,
-      obj: this.objects.get(i.wall1),
-      length: this.calculateWallLength(this.objects.get(i.wall1))
-    }));
+    // Get materials for 2D representation
+    const doorMat = this.materials[material] || this.materials.wood;
+    const frameMat = this.materials[frameMaterial] || this.materials.wood;
     
-    // Add wall2 from intersections that aren't already included
-    intersectionGroup.forEach(i => {
-      if (!walls.find(w => w.id === i.wall2)) {
-        const wall2Obj = this.objects.get(i.wall2);
-        walls.push({
-          id: i.wall2,
-          obj: wall2Obj,
-          length: this.calculateWallLength(wall2Obj)
-        });
-      }
+    // Door panel in 2D
+    const doorPanelGeometry2D = new THREE.PlaneGeometry(width, thickness);
+    const doorPanelMaterial2D = new THREE.MeshBasicMaterial({ 
+      color: doorMat.color, 
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.9
     });
+    const doorPanel2D = new THREE.Mesh(doorPanelGeometry2D, doorPanelMaterial2D);
+    doorPanel2D.rotation.x = -Math.PI / 2;
+    door2DGroup.add(doorPanel2D);
     
-    // Sort by length - longest wall becomes the "through" wall
-    walls.sort((a, b) => b.length - a.length);
-    const throughWall = walls[0];
-    const buttWalls = walls.slice(1);
-    
-    console.log(`🔧 Through wall: ${throughWall.id}, Butt walls: ${buttWalls.map(w => w.id).join(', ')}`);
-    
-    // Apply adjustments to butt walls
-    buttWalls.forEach(buttWall => {
-      const thickness = buttWall.obj.params.thickness || 0.2;
-      const adjustment = thickness / 2;
-      
-      // Find which end of the butt wall connects to the intersection
-      const intersection = intersectionGroup.find(i => 
-        i.wall1 === buttWall.id || i.wall2 === buttWall.id
-      );
-      
-      if (intersection) {
-        const isWall1 = intersection.wall1 === buttWall.id;
-        const connectionPoint = isWall1 ? intersection.connection.w1Point : intersection.connection.w2Point;
-        
-        const adjustments = { startAdjustment: 0, endAdjustment: 0 };
-        if (connectionPoint === 'start') {
-          adjustments.startAdjustment = adjustment;
-        } else {
-          adjustments.endAdjustment = adjustment;
-        }
-        
-        console.log(`🔧 MULTI-JOINT: Applying adjustments to wall ${buttWall.id}:`, adjustments);
-        this.rebuildWallWithAdjustments(buttWall.id, adjustments.startAdjustment, adjustments.endAdjustment);
-      }
-    });
-  }
-
-  /**
-   * Calculate actual wall length from its parameters
-   */
-  calculateWallLength(wallObj) {
-    if (!wallObj || !wallObj.params) return 0;
-    
-    const { startPoint, endPoint, length } = wallObj.params;
-    
-    if (startPoint && endPoint) {
-      const deltaX = endPoint.x - startPoint.x;
-      const deltaZ = endPoint.z - startPoint.z;
-      return Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
-    }
-    
-    return length || 0;
-  }
-
-  /**
-   * Rebuild a wall with joinery adjustments
-   */
-  rebuildWallWithAdjustments(wallId, startAdjustment = 0, endAdjustment = 0) {
-    const wall = this.objects.get(wallId);
-    if (!wall || wall.type !== 'wall') {
-      console.error(`Wall ${wallId} not found for joinery adjustment`);
-      return;
-    }
-
-    // 🔍 AXIS DRIFT DEBUGGING: Check if wall was perfectly aligned before joinery
-    const originalStart = wall.params?.startPoint;
-    const originalEnd = wall.params?.endPoint;
-    let wasAxisAligned = false;
-    let originalAxisType = 'none';
-    
-    if (originalStart && originalEnd) {
-      const deltaX = Math.abs(originalEnd.x - originalStart.x);
-      const deltaZ = Math.abs(originalEnd.z - originalStart.z);
-      const isHorizontal = deltaZ < 0.001; // Perfectly horizontal
-      const isVertical = deltaX < 0.001;   // Perfectly vertical
-      
-      wasAxisAligned = isHorizontal || isVertical;
-      originalAxisType = isHorizontal ? 'horizontal' : isVertical ? 'vertical' : 'diagonal';
-      
-      if (wasAxisAligned) {
-        console.log('🚨 AXIS DRIFT WARNING: About to apply joinery to perfectly aligned wall!', {
-          wallId,
-          originalAxisType,
-          deviation: {
-            fromHorizontal: Math.abs(originalEnd.z - originalStart.z).toFixed(6),
-            fromVertical: Math.abs(originalEnd.x - originalStart.x).toFixed(6)
-          },
-          adjustments: {
-            start: startAdjustment.toFixed(3),
-            end: endAdjustment.toFixed(3)
-          },
-          riskOfAxisDrift: startAdjustment !== 0 || endAdjustment !== 0
-        });
-      }
-    }
-
-    console.log(`🔧 REBUILD: Wall ${wallId} with adjustments:`, {
-      startAdjustment: startAdjustment.toFixed(3),
-      endAdjustment: endAdjustment.toFixed(3),
-      originalParams: {
-        length: wall.params?.length,
-        startPoint: wall.params?.startPoint,
-        endPoint: wall.params?.endPoint
-      },
-      axisAlignmentAnalysis: {
-        wasAxisAligned,
-        originalAxisType,
-        potentialDriftRisk: wasAxisAligned && (startAdjustment !== 0 || endAdjustment !== 0)
-      }
+    // Door frame in 2D
+    const frameGeometry2D = new THREE.RingGeometry(
+      Math.sqrt((width/2) * (width/2) + (thickness/2) * (thickness/2)),
+      Math.sqrt(((width + frameWidth * 2)/2) * ((width + frameWidth * 2)/2) + ((thickness + frameWidth)/2) * ((thickness + frameWidth)/2)),
+      0, Math.PI * 2, 4
+    );
+    const frameMaterial2D = new THREE.MeshBasicMaterial({ 
+      color: frameMat.color, 
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.7
     });
-
-    // Calculate adjusted parameters
-    const adjustedParams = {
-      ...wall.params,
-      adjustForJoinery: true,
-      startAdjustment: startAdjustment,
-      endAdjustment: endAdjustment
-    };
-
-    console.log(`🔧 REBUILD: Creating new geometry with adjusted params:`, adjustedParams);
-
-    // Create new geometry with adjustments
-    const newGeometry = this.createWallGeometry(adjustedParams);
+    const frame2D = new THREE.Mesh(frameGeometry2D, frameMaterial2D);
+    frame2D.rotation.x = -Math.PI / 2;
+    door2DGroup.add(frame2D);
     
-    console.log(`🔧 REBUILD: New geometry created:`, {
-      actualLength: newGeometry.actualLength,
-      adjustedStartPoint: newGeometry.adjustedStartPoint,
-      adjustedEndPoint: newGeometry.adjustedEndPoint,
-      mesh3DPosition: newGeometry.mesh3D.position,
-      mesh2DPosition: newGeometry.mesh2D.position
+    // Swing arc in 2D (like professional CAD)
+    const swingRadius = width;
+    const swingGeometry = new THREE.RingGeometry(swingRadius - 0.01, swingRadius, 0, Math.PI/2);
+    const swingMaterial = new THREE.MeshBasicMaterial({
+      color: 0x4CAF50,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.3
     });
-
-    // Remove old meshes from scenes
-    if (wall.mesh3D) {
-      this.scene3D.remove(wall.mesh3D);
-      wall.mesh3D.geometry.dispose();
-    }
-    if (wall.mesh2D) {
-      this.scene2D.remove(wall.mesh2D);
-    }
-
-    // Update wall object with new geometry and parameters
-    wall.geometry = newGeometry.geometry;
-    wall.mesh3D = newGeometry.mesh3D;
-    wall.mesh2D = newGeometry.mesh2D;
-    wall.params = adjustedParams;
+    const swingArc2D = new THREE.Mesh(swingGeometry, swingMaterial);
+    swingArc2D.rotation.x = -Math.PI / 2;
     
-    // Add actualLength and adjusted points for compatibility
-    wall.params.actualLength = newGeometry.actualLength;
-    wall.params.adjustedStartPoint = newGeometry.adjustedStartPoint;
-    wall.params.adjustedEndPoint = newGeometry.adjustedEndPoint;
-
-    // Set object IDs on meshes
-    wall.mesh3D.userData.objectId = wallId;
-    wall.mesh2D.userData.objectId = wallId;
-
-    // Add new meshes to scenes
-    this.scene3D.add(wall.mesh3D);
-    this.scene2D.add(wall.mesh2D);
-
-    console.log(`✅ REBUILD: Wall ${wallId} rebuilt with joinery adjustments:`, {
-      finalLength: wall.params.actualLength?.toFixed(3),
-      hasAdjustments: wall.params.adjustForJoinery,
-      startAdj: wall.params.startAdjustment?.toFixed(3),
-      endAdj: wall.params.endAdjustment?.toFixed(3),
-      mesh3DPos: wall.mesh3D.position,
-      mesh2DPos: wall.mesh2D.position
-    });
-
-    // 🔍 AXIS DRIFT ANALYSIS: Check if joinery broke axis alignment
-    if (wasAxisAligned && (wall.params.adjustedStartPoint && wall.params.adjustedEndPoint)) {
-      const newStart = wall.params.adjustedStartPoint;
-      const newEnd = wall.params.adjustedEndPoint;
-      const newDeltaX = Math.abs(newEnd.x - newStart.x);
-      const newDeltaZ = Math.abs(newEnd.z - newStart.z);
-      const newIsHorizontal = newDeltaZ < 0.001;
-      const newIsVertical = newDeltaX < 0.001;
-      const stillAxisAligned = newIsHorizontal || newIsVertical;
-      
-      const axisDrift = {
-        beforeJoinery: {
-          type: originalAxisType,
-          isAligned: wasAxisAligned
-        },
-        afterJoinery: {
-          type: newIsHorizontal ? 'horizontal' : newIsVertical ? 'vertical' : 'diagonal',
-          isAligned: stillAxisAligned,
-          deviation: {
-            fromHorizontal: Math.abs(newEnd.z - newStart.z).toFixed(6),
-            fromVertical: Math.abs(newEnd.x - newStart.x).toFixed(6)
-          }
-        },
-        driftOccurred: wasAxisAligned && !stillAxisAligned,
-        axisTypeChanged: originalAxisType !== (newIsHorizontal ? 'horizontal' : newIsVertical ? 'vertical' : 'diagonal')
-      };
-      
-      if (axisDrift.driftOccurred) {
-        console.error('🚨 AXIS DRIFT DETECTED! Joinery broke perfect wall alignment:', {
-          wallId,
-          ...axisDrift,
-          coordinates: {
-            original: { start: originalStart, end: originalEnd },
-            adjusted: { start: newStart, end: newEnd }
-          },
-          precisionLoss: {
-            x: Math.abs((newEnd.x - newStart.x) - (originalEnd.x - originalStart.x)).toFixed(6),
-            z: Math.abs((newEnd.z - newStart.z) - (originalEnd.z - originalStart.z)).toFixed(6)
-          }
-        });
-      } else if (wasAxisAligned && stillAxisAligned) {
-        console.log('✅ AXIS PRESERVED: Wall maintained perfect alignment despite joinery:', {
-          wallId,
-          axisType: originalAxisType,
-          finalDeviation: axisDrift.afterJoinery.deviation
-        });
-      } else if (axisDrift.axisTypeChanged) {
-        console.warn('⚠️ AXIS TYPE CHANGED: Wall switched axis alignment during joinery:', {
-          wallId,
-          from: originalAxisType,
-          to: axisDrift.afterJoinery.type,
-          stillAligned: stillAxisAligned
-        });
-      }
+    // Position swing arc based on opening direction
+    const swingDirection = openingDirection === 'right' ? 1 : -1;
+    if (openingDirection === 'left') {
+      swingArc2D.rotation.z = Math.PI; // Flip for left swing
     }
-
-    // Emit update event
-    console.log(`📡 EMIT: object_updated for wall ${wallId}`);
-    this.emit('object_updated', {
-      object: this.serializeObject(wall)
-    });
+    swingArc2D.position.set(-width/2, 0, 0); // Position at hinge point
+    door2DGroup.add(swingArc2D);
     
-    // Also emit objects_changed to trigger viewport refresh
-    console.log(`📡 EMIT: objects_changed after wall rebuild`);
-    this.emit('objects_changed', {
-      objects: this.getAllObjects()
+    // Hinge point indicator
+    const hingeGeometry2D = new THREE.CircleGeometry(0.03, 8);
+    const hingeMaterial2D = new THREE.MeshBasicMaterial({
+      color: 0x2E7D32,
+      side: THREE.DoubleSide
     });
-  }
-
-  /**
-   * Create wall opening for doors and windows
-   */
-  createWallOpening(wallId, openingParams) {
-    const { type, width, height, position, offset = 0 } = openingParams;
+    const hinge2D = new THREE.Mesh(hingeGeometry2D, hingeMaterial2D);
+    hinge2D.rotation.x = -Math.PI / 2;
+    hinge2D.position.set(-width/2, 0.001, 0); // Slightly above floor
+    door2DGroup.add(hinge2D);
     
-    const wall = this.objects.get(wallId);
-    if (!wall) {
-      console.warn(`Wall ${wallId} not found for opening creation`);
-      return false;
-    }
+    // Set up 2D group
+    const mesh2D = door2DGroup;
+    mesh2D.userData = { objectId: null, type: 'door' };
+    mesh2D.position.set(centerPosition.x, 0, centerPosition.z);
     
-    // Store opening information on the wall object
-    if (!wall.openings) {
-      wall.openings = [];
+    // Apply wall orientation to 2D representation as well
+    if (insertionMode === 'insert_in_wall' && hostWallId) {
+      mesh2D.rotation.y = wallOrientation;
     }
     
-    const opening = {
-      id: `${type}_opening_${Date.now()}`,
-      type: type,
-      width: width,
-      height: height,
-      position: position, // Distance from wall start
-      offset: offset,     // Height offset from floor
-      created: new Date().toISOString()
+    return {
+      geometry: doorPanelGeometry2D, // Use door geometry for reference
+      mesh3D: mesh3D,
+      mesh2D: mesh2D
     };
-    
-    wall.openings.push(opening);
-    
-    console.log(`🔳 Created ${type} opening in wall ${wallId}:`, opening);
-    
-    // Rebuild wall geometry with openings
-    this.rebuildWallWithOpenings(wallId);
-    
-    return opening.id;
   }
-  
+
   /**
-   * Rebuild wall geometry to include openings
+   * PROFESSIONAL WINDOW SYSTEM
+   * Complete window assembly with frame, glazing, hardware, and thermal properties
    */
-  rebuildWallWithOpenings(wallId) {
-    const wall = this.objects.get(wallId);
-    if (!wall || !wall.openings || wall.openings.length === 0) {
-      return;
-    }
-    
-    console.log(`🔄 Rebuilding wall ${wallId} with ${wall.openings.length} opening(s)`);
-    
-    // Get wall parameters
-    const wallParams = wall.params;
-    const wallLength = wallParams.length || 3.0;
-    const wallHeight = wallParams.height || 2.7;
-    const wallThickness = wallParams.thickness || wallParams.width || 0.2;
-    
-    // Create wall segments around openings
-    const segments = this.createWallSegmentsWithOpenings(wallParams, wall.openings);
+  createWindowGeometry(params) {
+    const { 
+      width = 1.2, 
+      height = 1.4, 
+      thickness = 0.05, 
+      material = 'aluminum',
+      frameWidth = 0.05,
+      glazingLayers = 2,
+      windowType = 'casement',
+      openable = true,
+      thermalTransmittance = 2.5,
+      startPoint = null,
+      endPoint = null,
+      hostWallId = null,
+      insertionPosition = 0.5,
+      insertionMode = 'create_standalone',
+      sillHeight = 0.9
+    } = params;
     
-    // Remove old wall mesh from scene
-    if (wall.mesh3D && wall.mesh3D.parent) {
-      wall.mesh3D.parent.remove(wall.mesh3D);
-    }
-    if (wall.mesh2D && wall.mesh2D.parent) {
-      wall.mesh2D.parent.remove(wall.mesh2D);
-    }
+    console.log(`🪟 Creating professional window system: ${windowType} window (${width}m x ${height}m)`);
     
-    // Create new wall geometry with gaps
-    const wallGroup3D = new THREE.Group();
-    const wallGroup2D = new THREE.Group();
+    // Calculate position and wall integration
+    let centerPosition = { x: 0, y: height / 2 + sillHeight, z: 0 }; 
+    let wallOrientation = 0;
+    let hostWallData = null;
     
-    segments.forEach((segment, index) => {
-      // Create 3D segment
-      const segmentGeometry3D = new THREE.BoxGeometry(
-        segment.length,
-        wallHeight,
-        wallThickness
-      );
+    if (insertionMode === 'insert_in_wall' && hostWallId) {
+      const hostWall = this.objects.get(hostWallId);
+      if (!hostWall) {
+        console.warn(`Host wall ${hostWallId} not found for window insertion`);
+        return this.createWindowGeometry({ ...params, insertionMode: 'create_standalone' });
+      }
       
-      const material3D = this.materials[wallParams.material] || this.materials.concrete;
-      const segmentMesh3D = new THREE.Mesh(segmentGeometry3D, material3D.clone());
+      // Extract wall data for integration
+      hostWallData = {
+        thickness: this.getTotalWallThickness(hostWall.params.layers || [{ thickness: hostWall.params.thickness || 0.2 }]),
+        layers: hostWall.params.layers || [{ material: hostWall.params.material || 'concrete', thickness: hostWall.params.thickness || 0.2 }],
+        material: hostWall.params.material || 'concrete'
+      };
       
-      // Position segment
-      segmentMesh3D.position.set(
-        segment.centerX,
-        wallHeight / 2,
-        0
-      );
+      const distanceFromStart = insertionPosition * this.getWallAxis(hostWall.params).length;
       
-      wallGroup3D.add(segmentMesh3D);
+      // Window position and direction along the wall's centerline (curved walls included)
+      const placement = this.getWallPlacement(hostWall, distanceFromStart);
+      wallOrientation = placement.rotationY;
       
-      // Create 2D segment
-      const segmentGeometry2D = new THREE.PlaneGeometry(segment.length, wallThickness);
-      const material2D = new THREE.MeshBasicMaterial({
-        color: material3D.color,
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 0.8
-      });
-      const segmentMesh2D = new THREE.Mesh(segmentGeometry2D, material2D);
+      centerPosition = {
+        x: placement.point.x,
+        y: height / 2 + sillHeight,
+        z: placement.point.z
+      };
+      
+      console.log(`🪟 Window positioned in wall ${hostWallId} at ${distanceFromStart.toFixed(1)}m from start`);
       
-      segmentMesh2D.position.set(segment.centerX, 0, 0);
-      segmentMesh2D.rotation.x = -Math.PI / 2;
+      // Create wall opening with frame consideration
+      this.createProfessionalWallOpening(hostWallId, {
+        type: 'window',
+        width: width,
+        height: height,
+        position: distanceFromStart,
+        offset: sillHeight,
+        frameDepth: frameWidth,
+        preserveLayers: true
+      });
       
-      wallGroup2D.add(segmentMesh2D);
+    } else if (startPoint && endPoint) {
+      centerPosition = {
+        x: (startPoint.x + endPoint.x) / 2,
+        y: height / 2 + sillHeight,
+        z: (startPoint.z + endPoint.z) / 2
+      };
+    }
+    
+    // PROFESSIONAL WINDOW ASSEMBLY CREATION
+    const windowAssembly = this.createProfessionalWindowAssembly({
+      width, height, thickness, material,
+      frameWidth: hostWallData?.thickness || frameWidth,
+      windowType, glazingLayers, openable, thermalTransmittance,
+      sillHeight,
+      frameType: 'standard',
+      glazing: { 
+        type: 'clear', 
+        layers: glazingLayers,
+        thermalTransmittance,
+        lightTransmission: 0.8 
+      },
+      hardware: { 
+        handles: openable, 
+        locks: openable && windowType !== 'fixed',
+        hinges: windowType === 'casement' || windowType === 'awning' 
+      },
+      sill: { 
+        height: 0.05, 
+        overhang: 0.02, 
+        material: 'concrete' 
+      },
+      hostWallData
     });
     
-    // Set wall position and rotation
-    const originalPosition = wall.mesh3D ? wall.mesh3D.position : { x: 0, y: 0, z: 0 };
-    const originalRotation = wall.mesh3D ? wall.mesh3D.rotation : { x: 0, y: 0, z: 0 };
+    const windowGroup = windowAssembly.group;
     
-    wallGroup3D.position.copy(originalPosition);
-    wallGroup3D.rotation.copy(originalRotation);
-    wallGroup2D.position.copy(originalPosition);
-    wallGroup2D.rotation.copy(originalRotation);
+    // Position the window assembly
+    windowGroup.position.set(centerPosition.x, centerPosition.y, centerPosition.z);
+    if (wallOrientation !== 0) {
+      windowGroup.rotation.y = wallOrientation;
+    }
     
-    // Update wall object
-    wall.mesh3D = wallGroup3D;
-    wall.mesh2D = wallGroup2D;
-    wall.hasOpenings = true;
+    // Use the window group as the main mesh
+    const mesh3D = windowGroup;
     
-    // Add to scene
-    this.scene3D.add(wallGroup3D);
-    this.scene2D.add(wallGroup2D);
+    // Apply wall orientation if inserted in wall
+    if (insertionMode === 'insert_in_wall' && hostWallId) {
+      mesh3D.rotation.y = wallOrientation;
+    }
     
-    // Log the openings created
-    wall.openings.forEach(opening => {
-      console.log(`  ✓ ${opening.type} opening: ${opening.width}m x ${opening.height}m at ${opening.position}m`);
-    });
+    // Create professional 2D representation
+    const window2DGroup = new THREE.Group();
     
-    // Emit update event
-    this.emit('object_updated', {
-      object: this.serializeObject(wall)
+    // Get materials for 2D representation
+    const windowMat = this.materials[material] || this.materials.aluminum;
+    
+    // Window frame in 2D
+    const frameGeometry2D = new THREE.PlaneGeometry(width, frameWidth * 2);
+    const frameMaterial2D = new THREE.MeshBasicMaterial({ 
+      color: windowMat.color, 
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.8
+    });
+    const frame2D = new THREE.Mesh(frameGeometry2D, frameMaterial2D);
+    frame2D.rotation.x = -Math.PI / 2;
+    window2DGroup.add(frame2D);
+    
+    // Glazing area in 2D (lighter color)
+    const glazingGeometry2D = new THREE.PlaneGeometry(width - frameWidth * 2, frameWidth);
+    const glazingMaterial2D = new THREE.MeshBasicMaterial({
+      color: 0x87CEEB, // Light blue for glazing
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.4
     });
+    const glazing2D = new THREE.Mesh(glazingGeometry2D, glazingMaterial2D);
+    glazing2D.rotation.x = -Math.PI / 2;
+    glazing2D.position.y = 0.001; // Slightly above frame
+    window2DGroup.add(glazing2D);
+    
+    // Window opening indication in 2D
+    if (openable && windowType !== 'fixed') {
+      const openingIndicator = this.createWindowOpeningIndicator2D(windowType, width, height);
+      if (openingIndicator) {
+        window2DGroup.add(openingIndicator);
+      }
+    }
+    
+    // Set up 2D group
+    const mesh2D = window2DGroup;
+    mesh2D.userData = { objectId: null, type: 'window' };
+    mesh2D.position.set(centerPosition.x, 0, centerPosition.z);
+    
+    // Apply wall orientation to 2D representation as well
+    if (insertionMode === 'insert_in_wall' && hostWallId) {
+      mesh2D.rotation.y = wallOrientation;
+    }
     
-    console.log(`✅ Wall ${wallId} rebuilt with ${segments.length} segments and ${wall.openings.length} openings`);
+    return {
+      geometry: frameGeometry2D, // Use frame geometry for reference
+      mesh3D: mesh3D,
+      mesh2D: mesh2D
+    };
   }
-  
+
   /**
-   * Create wall segments around openings
+   * PROFESSIONAL WINDOW ASSEMBLY CREATION
+   * Complete window system with frame, glazing, hardware, and thermal integration
    */
-  createWallSegmentsWithOpenings(wallParams, openings) {
-    const wallLength = wallParams.length || 3.0;
-    const segments = [];
+  createProfessionalWindowAssembly(config) {
+    const {
+      width, height, thickness, material, frameWidth,
+      windowType, glazingLayers, openable, thermalTransmittance,
+      sillHeight, frameType, glazing, hardware, sill, hostWallData
+    } = config;
     
-    if (!openings || openings.length === 0) {
-      // No openings, return full wall as single segment
-      return [{
-        startX: -wallLength / 2,
-        endX: wallLength / 2,
-        centerX: 0,
-        length: wallLength
-      }];
-    }
+    const windowGroup = new THREE.Group();
+    
+    console.log(`🏗️ Creating professional ${windowType} window assembly: ${width}m x ${height}m`);
     
-    // Sort openings by position
-    const sortedOpenings = [...openings].sort((a, b) => a.position - b.position);
+    // Get materials
+    const frameMaterial = this.materials[material] || this.materials.aluminum;
+    const glassMaterial = this.materials.glass || this.materials.aluminum;
     
-    let currentPosition = -wallLength / 2;
+    // 1. Create professional window frame
+    const frame = this.createWindowFrame({
+      width, height, frameWidth, material: frameMaterial,
+      frameType, hostWallData
+    });
+    windowGroup.add(frame);
     
-    sortedOpenings.forEach(opening => {
-      // Convert position from distance along wall to coordinate
-      const openingStart = -wallLength / 2 + opening.position - opening.width / 2;
-      const openingEnd = -wallLength / 2 + opening.position + opening.width / 2;
-      
-      // Create segment before opening if there's space
-      if (openingStart > currentPosition + 0.01) { // 1cm minimum segment
-        const segmentLength = openingStart - currentPosition;
-        segments.push({
-          startX: currentPosition,
-          endX: openingStart,
-          centerX: currentPosition + segmentLength / 2,
-          length: segmentLength
-        });
-      }
-      
-      // Skip the opening area
-      currentPosition = openingEnd;
+    // 2. Create glazing system
+    const glazingSystem = this.createWindowGlazing({
+      width: width - frameWidth * 2,
+      height: height - frameWidth * 2,
+      layers: glazingLayers,
+      material: glassMaterial,
+      glazing, thermalTransmittance
     });
+    windowGroup.add(glazingSystem);
+    
+    // 3. Create window sill
+    if (sill && sill.height > 0) {
+      const windowSill = this.createWindowSill({
+        width: width + sill.overhang * 2,
+        height: sill.height,
+        depth: (hostWallData?.thickness || frameWidth) + sill.overhang,
+        material: sill.material || 'concrete'
+      });
+      windowSill.position.set(0, -height/2 - sill.height/2, sill.overhang/2);
+      windowGroup.add(windowSill);
+    }
+    
+    // 4. Create window hardware (handles, hinges)
+    if (openable && hardware) {
+      const windowHardware = this.createWindowHardware({
+        windowType, width, height, hardware
+      });
+      if (windowHardware) {
+        windowGroup.add(windowHardware);
+      }
+    }
     
-    // Create final segment after last opening if there's space
-    const wallEnd = wallLength / 2;
-    if (currentPosition < wallEnd - 0.01) { // 1cm minimum segment
-      const segmentLength = wallEnd - currentPosition;
-      segments.push({
-        startX: currentPosition,
-        endX: wallEnd,
-        centerX: currentPosition + segmentLength / 2,
-        length: segmentLength
+    // 5. Create opening panels for operable windows
+    if (openable && windowType !== 'fixed') {
+      const panels = this.createWindowPanels({
+        width, height, thickness, windowType,
+        material: frameMaterial, glazing
       });
+      if (panels) {
+        windowGroup.add(panels);
+      }
     }
     
-    return segments;
+    return {
+      group: windowGroup,
+      thermalTransmittance,
+      glazingLayers,
+      openable
+    };
   }
+
   /**
-   * Debug function to test door creation from console
+   * Create professional window frame with proper construction details
    */
-  testDoorCreation() {
-    console.log('🧪 Testing door creation directly...');
-    const doorId = this.createObject('door', {
-      width: 0.9,
-      height: 2.1,
-      thickness: 0.05,
-      material: 'wood',
-      startPoint: { x: 1, y: 0, z: 1 },
-      endPoint: { x: 1, y: 0, z: 2 }
+  createWindowFrame(config) {
+    const { width, height, frameWidth, material, frameType, hostWallData } = config;
+    const frameGroup = new THREE.Group();
+    
+    // Calculate frame depth based on wall thickness
+    const frameDepth = hostWallData?.thickness || frameWidth;
+    
+    console.log(`🖼️ Creating window frame: ${width}m x ${height}m, depth: ${frameDepth.toFixed(2)}m`);
+    
+    // Frame components (jambs, head, sill)
+    const frameComponents = [
+      // Left jamb
+      {
+        width: frameWidth,
+        height: height,
+        depth: frameDepth,
+        position: { x: -(width/2 + frameWidth/2), y: 0, z: 0 }
+      },
+      // Right jamb
+      {
+        width: frameWidth,
+        height: height,
+        depth: frameDepth,
+        position: { x: width/2 + frameWidth/2, y: 0, z: 0 }
+      },
+      // Head (top)
+      {
+        width: width + (frameWidth * 2),
+        height: frameWidth,
+        depth: frameDepth,
+        position: { x: 0, y: height/2 + frameWidth/2, z: 0 }
+      },
+      // Bottom frame (for some window types)
+      {
+        width: width + (frameWidth * 2),
+        height: frameWidth,
+        depth: frameDepth,
+        position: { x: 0, y: -(height/2 + frameWidth/2), z: 0 }
+      }
+    ];
+    
+    // Create frame meshes
+    frameComponents.forEach(component => {
+      const frameGeometry = new THREE.BoxGeometry(
+        component.width,
+        component.height,
+        component.depth
+      );
+      
+      const frameMesh = new THREE.Mesh(frameGeometry, material.clone());
+      frameMesh.position.set(
+        component.position.x,
+        component.position.y,
+        component.position.z
+      );
+      
+      frameGroup.add(frameMesh);
     });
-    console.log('🧪 Test door created with ID:', doorId);
-    return doorId;
+    
+    return frameGroup;
   }
 
   /**
-   * Create door geometry and meshes
-   */
-  /**
-   * PROFESSIONAL DOOR SYSTEM with advanced wall integration
-   * Automatic frame generation, wall opening creation, and IFC compliance
+   * Create window glazing system with multiple layers
    */
-  createDoorGeometry(params) {
-    const { 
-      width = 0.9, 
-      height = 2.1, 
-      thickness = 0.05, 
-      material = 'wood',
-      frameWidth = 0.05,
-      frameMaterial = 'wood',
-      frameDepth = null, // Auto-calculate from wall thickness
-      openingDirection = 'right',
-      startPoint = null,
-      endPoint = null,
-      hostWallId = null,
-      insertionPosition = 0.5,
-      insertionMode = 'create_standalone',
-      // PROFESSIONAL PARAMETERS
-      doorType = 'single_swing', // single_swing, double_swing, sliding, bi_fold
-      frameType = 'standard', // standard, cased, reveal
-      sillHeight = 0.0, // Height above floor
-      headHeight = null, // Auto-calculate or specify
-      jamb = { width: 0.04, depth: null }, // Jamb dimensions
-      sill = { height: 0.02, overhang: 0.01 }, // Sill details
-      head = { height: 0.05, overhang: 0.01 }, // Head details
-      hardware = 'lever', // lever, knob, push_pull
-      fireRating = 0, // Fire rating in minutes
-      accessibility = false, // ADA compliance features
-      glazing = null, // Glass panels configuration
-      // IFC PROPERTIES
-      ifcProperties = {}
-    } = params;
+  createWindowGlazing(config) {
+    const { width, height, layers, material, glazing, thermalTransmittance } = config;
+    const glazingGroup = new THREE.Group();
     
-    // Calculate position
-    let centerPosition = { x: 0, y: height / 2, z: 0 };
-    let wallOrientation = 0;
+    console.log(`🪟 Creating ${layers}-layer glazing system: ${width.toFixed(2)}m x ${height.toFixed(2)}m`);
     
-    // PROFESSIONAL WALL INTEGRATION SYSTEM
-    let hostWallData = null;
+    const glassThickness = 0.004; // 4mm glass
+    const airGap = layers > 1 ? 0.016 : 0; // 16mm air gap for multi-layer
+    const totalDepth = (glassThickness * layers) + (airGap * (layers - 1));
     
-    if (insertionMode === 'insert_in_wall' && hostWallId) {
-      // Find the host wall
-      const hostWall = this.objects.get(hostWallId);
-      if (!hostWall) {
-        console.warn(`Host wall ${hostWallId} not found for door insertion`);
-        return this.createDoorGeometry({ ...params, insertionMode: 'create_standalone' });
-      }
-      
-      // Extract wall template and properties
-      const wallTemplate = hostWall.params?.wallTemplate || this.wallTypeTemplates.exterior_wood_frame;
-      const wallThickness = wallTemplate.totalThickness || hostWall.params?.thickness || 0.2;
-      const wallLength = hostWall.params.length || 3.0;
+    // Create glass layers
+    for (let i = 0; i < layers; i++) {
+      const glassGeometry = new THREE.BoxGeometry(width, height, glassThickness);
       
-      // Auto-calculate frame depth from wall thickness
-      const calculatedFrameDepth = frameDepth || wallThickness;
-      const calculatedHeadHeight = headHeight || (height + head.height);
-      
-      // Calculate door position within wall
-      const distanceFromStart = insertionPosition * wallLength;
-      const wallPos = hostWall.mesh3D.position;
-      const wallRotation = hostWall.mesh3D.rotation.y || 0;
-      wallOrientation = wallRotation;
-      
-      // Calculate door position based on wall geometry
-      const cosRotation = Math.cos(wallRotation);
-      const sinRotation = Math.sin(wallRotation);
-      
-      centerPosition = {
-        x: wallPos.x + (distanceFromStart - wallLength / 2) * cosRotation,
-        y: (height / 2) + sillHeight,
-        z: wallPos.z + (distanceFromStart - wallLength / 2) * sinRotation
-      };
-      
-      // Store wall data for frame generation
-      hostWallData = {
-        id: hostWallId,
-        wall: hostWall,
-        template: wallTemplate,
-        thickness: wallThickness,
-        layers: wallTemplate.layers,
-        rotation: wallRotation,
-        insertionPosition: distanceFromStart
-      };
+      // Create glass material with appropriate transparency
+      const glassMat = new THREE.MeshPhysicalMaterial({
+        color: glazing.type === 'clear' ? 0xffffff : 0x87CEEB,
+        transparent: true,
+        opacity: 0.8,
+        roughness: 0.0,
+        metalness: 0.0,
+        transmission: glazing.lightTransmission || 0.8,
+        ior: 1.5, // Index of refraction for glass
+        reflectivity: 0.1
+      });
       
-      console.log(`🚪 PROFESSIONAL DOOR: Inserting ${doorType} door in ${wallTemplate.name} wall`);
-      console.log(`📐 Frame depth: ${calculatedFrameDepth.toFixed(3)}m, Wall thickness: ${wallThickness.toFixed(3)}m`);
+      const glassMesh = new THREE.Mesh(glassGeometry, glassMat);
       
-      // Create intelligent wall opening with layer awareness
-      this.createProfessionalWallOpening(hostWallId, {
-        type: 'door',
-        width: width + (frameWidth * 2), // Include frame width
-        height: calculatedHeadHeight,
-        position: distanceFromStart,
-        offset: sillHeight,
-        frameDepth: calculatedFrameDepth,
-        preserveLayers: true
-      });
+      // Position each layer
+      const zOffset = (i - (layers - 1) / 2) * (glassThickness + airGap);
+      glassMesh.position.set(0, 0, zOffset);
       
-    } else if (startPoint && endPoint) {
-      centerPosition = {
-        x: (startPoint.x + endPoint.x) / 2,
-        y: (height / 2) + sillHeight,
-        z: (startPoint.z + endPoint.z) / 2
-      };
+      glazingGroup.add(glassMesh);
     }
     
-    // PROFESSIONAL DOOR ASSEMBLY CREATION
-    const doorAssembly = this.createProfessionalDoorAssembly({
-      width, height, thickness, material, frameMaterial,
-      frameDepth: hostWallData?.thickness || frameWidth,
-      doorType, frameType, openingDirection,
-      jamb, sill, head, hardware, glazing,
-      hostWallData
-    });
-    
-    const doorGroup = doorAssembly.group;
+    return glazingGroup;
+  }
+
+  /**
+   * Create window sill
+   */
+  createWindowSill(config) {
+    const { width, height, depth, material } = config;
     
-    // Position the door assembly
-    doorGroup.position.set(centerPosition.x, centerPosition.y, centerPosition.z);
-    if (wallOrientation !== 0) {
-      doorGroup.rotation.y = wallOrientation;
-    }
+    const sillGeometry = new THREE.BoxGeometry(width, height, depth);
+    const sillMaterial = this.materials[material] || this.materials.concrete;
     
-    // Professional door handle assembly
-    const handleSide = openingDirection === 'left' ? -1 : 1;
-    const handleX = width * 0.35 * handleSide;
+    return new THREE.Mesh(sillGeometry, sillMaterial.clone());
+  }
+
+  /**
+   * Create window hardware (handles, hinges, locks)
+   */
+  createWindowHardware(config) {
+    const { windowType, width, height, hardware } = config;
+    const hardwareGroup = new THREE.Group();
     
-    // Handle base plate
-    const handlePlateGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.01);
-    const handlePlateMat = this.materials.steel || this.materials.aluminum;
-    const handlePlate = new THREE.Mesh(handlePlateGeometry, handlePlateMat.clone());
-    handlePlate.position.set(handleX, 0, thickness/2 - frameDepth/2 + 0.005);
-    doorGroup.add(handlePlate);
+    console.log(`🔧 Creating window hardware for ${windowType} window`);
     
-    // Door handle lever
-    const leverGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.12);
-    const doorHandle = new THREE.Mesh(leverGeometry, handlePlateMat.clone());
-    doorHandle.position.set(handleX, 0, thickness/2 - frameDepth/2 + 0.02);
-    doorHandle.rotation.z = Math.PI/2;
-    doorGroup.add(doorHandle);
+    // Handle hardware material
+    const hardwareMaterial = this.materials.steel || this.materials.aluminum;
     
-    // Door hinge representation
-    for (let i = 0; i < 3; i++) {
-      const hingeY = (height/2 - 0.2) - i * (height - 0.4) / 2;
-      const hingeGeometry = new THREE.BoxGeometry(0.1, 0.08, 0.02);
-      const hinge = new THREE.Mesh(hingeGeometry, handlePlateMat.clone());
-      hinge.position.set(-width/2 - 0.02, hingeY, thickness/2 - frameDepth/2);
-      doorGroup.add(hinge);
+    // Create handles if specified
+    if (hardware.handles) {
+      const handleGeometry = new THREE.BoxGeometry(0.02, 0.08, 0.015);
+      const handle = new THREE.Mesh(handleGeometry, hardwareMaterial.clone());
+      
+      // Position handle based on window type
+      switch (windowType) {
+        case 'casement':
+          handle.position.set(width * 0.4, 0, 0.03);
+          break;
+        case 'sliding':
+          handle.position.set(width * 0.25, 0, 0.03);
+          break;
+        case 'awning':
+          handle.position.set(0, -height * 0.3, 0.03);
+          break;
+      }
+      
+      hardwareGroup.add(handle);
     }
     
-    // Set group properties
-    doorGroup.userData = { objectId: null, type: 'door' };
-    doorGroup.position.set(centerPosition.x, centerPosition.y, centerPosition.z);
+    // Create hinges for casement and awning windows
+    if (hardware.hinges && (windowType === 'casement' || windowType === 'awning')) {
+      const hingeGeometry = new THREE.BoxGeometry(0.01, 0.06, 0.02);
+      
+      // Create 2-3 hinges depending on window height
+      const hingeCount = height > 1.5 ? 3 : 2;
+      
+      for (let i = 0; i < hingeCount; i++) {
+        const hinge = new THREE.Mesh(hingeGeometry, hardwareMaterial.clone());
+        
+        if (windowType === 'casement') {
+          // Position hinges on left side for casement windows
+          hinge.position.set(-width/2 - 0.01, (height/3) * (i - (hingeCount-1)/2), 0);
+        } else if (windowType === 'awning') {
+          // Position hinges on top for awning windows
+          hinge.position.set((width/3) * (i - (hingeCount-1)/2), height/2 + 0.01, 0);
+          hinge.rotation.z = Math.PI / 2;
+        }
+        
+        hardwareGroup.add(hinge);
+      }
+    }
     
-    // Use the door group as the main mesh
-    const mesh3D = doorGroup;
+    return hardwareGroup.children.length > 0 ? hardwareGroup : null;
+  }
+
+  /**
+   * Create window panels for operable windows
+   */
+  createWindowPanels(config) {
+    const { width, height, thickness, windowType, material, glazing } = config;
     
-    // Apply wall orientation if inserted in wall
-    if (insertionMode === 'insert_in_wall' && hostWallId) {
-      mesh3D.rotation.y = wallOrientation;
+    if (windowType === 'fixed') {
+      return null; // Fixed windows don't have opening panels
     }
     
-    // Create professional 2D representation with swing arc
-    const door2DGroup = new THREE.Group();
-    
-    // Get materials for 2D representation
-    const doorMat = this.materials[material] || this.materials.wood;
-    const frameMat = this.materials[frameMaterial] || this.materials.wood;
+    const panelGroup = new THREE.Group();
     
-    // Door panel in 2D
-    const doorPanelGeometry2D = new THREE.PlaneGeometry(width, thickness);
-    const doorPanelMaterial2D = new THREE.MeshBasicMaterial({ 
-      color: doorMat.color, 
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.9
-    });
-    const doorPanel2D = new THREE.Mesh(doorPanelGeometry2D, doorPanelMaterial2D);
-    doorPanel2D.rotation.x = -Math.PI / 2;
-    door2DGroup.add(doorPanel2D);
+    console.log(`📐 Creating window panels for ${windowType} window`);
     
-    // Door frame in 2D
-    const frameGeometry2D = new THREE.RingGeometry(
-      Math.sqrt((width/2) * (width/2) + (thickness/2) * (thickness/2)),
-      Math.sqrt(((width + frameWidth * 2)/2) * ((width + frameWidth * 2)/2) + ((thickness + frameWidth)/2) * ((thickness + frameWidth)/2)),
-      0, Math.PI * 2, 4
+    // Create panel frame (thinner than main frame)
+    const panelFrameWidth = 0.02;
+    const panelGeometry = new THREE.BoxGeometry(
+      width - 0.1, // Slightly smaller than opening
+      height - 0.1,
+      thickness
     );
-    const frameMaterial2D = new THREE.MeshBasicMaterial({ 
-      color: frameMat.color, 
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.7
-    });
-    const frame2D = new THREE.Mesh(frameGeometry2D, frameMaterial2D);
-    frame2D.rotation.x = -Math.PI / 2;
-    door2DGroup.add(frame2D);
-    
-    // Swing arc in 2D (like professional CAD)
-    const swingRadius = width;
-    const swingGeometry = new THREE.RingGeometry(swingRadius - 0.01, swingRadius, 0, Math.PI/2);
-    const swingMaterial = new THREE.MeshBasicMaterial({
-      color: 0x4CAF50,
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.3
-    });
-    const swingArc2D = new THREE.Mesh(swingGeometry, swingMaterial);
-    swingArc2D.rotation.x = -Math.PI / 2;
     
-    // Position swing arc based on opening direction
-    const swingDirection = openingDirection === 'right' ? 1 : -1;
-    if (openingDirection === 'left') {
-      swingArc2D.rotation.z = Math.PI; // Flip for left swing
-    }
-    swingArc2D.position.set(-width/2, 0, 0); // Position at hinge point
-    door2DGroup.add(swingArc2D);
+    const panelMesh = new THREE.Mesh(panelGeometry, material.clone());
+    panelMesh.position.set(0, 0, thickness/2);
+    panelGroup.add(panelMesh);
     
-    // Hinge point indicator
-    const hingeGeometry2D = new THREE.CircleGeometry(0.03, 8);
-    const hingeMaterial2D = new THREE.MeshBasicMaterial({
-      color: 0x2E7D32,
-      side: THREE.DoubleSide
-    });
-    const hinge2D = new THREE.Mesh(hingeGeometry2D, hingeMaterial2D);
-    hinge2D.rotation.x = -Math.PI / 2;
-    hinge2D.position.set(-width/2, 0.001, 0); // Slightly above floor
-    door2DGroup.add(hinge2D);
+    return panelGroup;
+  }
+
+  /**
+   * Create window opening indicators for 2D representation
+   */
+  createWindowOpeningIndicator2D(windowType, width, height) {
+    const indicatorGroup = new THREE.Group();
     
-    // Set up 2D group
-    const mesh2D = door2DGroup;
-    mesh2D.userData = { objectId: null, type: 'door' };
-    mesh2D.position.set(centerPosition.x, 0, centerPosition.z);
-    
-    // Apply wall orientation to 2D representation as well
-    if (insertionMode === 'insert_in_wall' && hostWallId) {
-      mesh2D.rotation.y = wallOrientation;
+    // Different indicators for different window types
+    switch (windowType) {
+      case 'casement':
+        // Show swing arc for casement windows
+        const swingRadius = width * 0.8;
+        const swingGeometry = new THREE.RingGeometry(
+          swingRadius - 0.01, 
+          swingRadius, 
+          0, 
+          Math.PI/4
+        );
+        const swingMaterial = new THREE.MeshBasicMaterial({
+          color: 0x4CAF50,
+          transparent: true,
+          opacity: 0.3
+        });
+        const swingArc = new THREE.Mesh(swingGeometry, swingMaterial);
+        swingArc.rotation.x = -Math.PI / 2;
+        swingArc.position.set(-width/2, 0.001, 0);
+        indicatorGroup.add(swingArc);
+        break;
+        
+      case 'sliding':
+        // Show sliding direction arrows
+        const arrowGeometry = new THREE.PlaneGeometry(0.1, 0.02);
+        const arrowMaterial = new THREE.MeshBasicMaterial({
+          color: 0x2196F3,
+          transparent: true,
+          opacity: 0.6
+        });
+        const arrow1 = new THREE.Mesh(arrowGeometry, arrowMaterial);
+        arrow1.rotation.x = -Math.PI / 2;
+        arrow1.position.set(-width/4, 0.001, 0);
+        const arrow2 = new THREE.Mesh(arrowGeometry, arrowMaterial);
+        arrow2.rotation.x = -Math.PI / 2;
+        arrow2.position.set(width/4, 0.001, 0);
+        indicatorGroup.add(arrow1, arrow2);
+        break;
+        
+      case 'awning':
+        // Show awning opening indicator
+        const awningGeometry = new THREE.PlaneGeometry(width * 0.6, 0.02);
+        const awningMaterial = new THREE.MeshBasicMaterial({
+          color: 0xFF9800,
+          transparent: true,
+          opacity: 0.5
+        });
+        const awningIndicator = new THREE.Mesh(awningGeometry, awningMaterial);
+        awningIndicator.rotation.x = -Math.PI / 2;
+        awningIndicator.position.set(0, 0.001, 0);
+        indicatorGroup.add(awningIndicator);
+        break;
     }
     
-    return {
-      geometry: doorPanelGeometry2D, // Use door geometry for reference
-      mesh3D: mesh3D,
-      mesh2D: mesh2D
-    };
+    return indicatorGroup.children.length > 0 ? indicatorGroup : null;
   }
-
   /**
-   * PROFESSIONAL WINDOW SYSTEM
-   * Complete window assembly with frame, glazing, hardware, and thermal properties
+   * Create furniture geometry
    */
-  createWindowGeometry(params) {
+  createFurnitureGeometry(params) {
     const { 
-      width = 1.2, 
-      height = 1.4, 
-      thickness = 0.05, 
-      material = 'aluminum',
-      frameWidth = 0.05,
-      glazingLayers = 2,
-      windowType = 'casement',
-      openable = true,
-      thermalTransmittance = 2.5,
-      startPoint = null,
-      endPoint = null,
-      hostWallId = null,
-      insertionPosition = 0.5,
-      insertionMode = 'create_standalone',
-      sillHeight = 0.9
+      width = 1.0, 
+      height = 0.8, 
+      depth = 0.6,
+      materialColor = '#8B4513',
+      subtype = 'generic',
+      name = 'Furniture',
+      position = { x: 0, y: 0, z: 0 },
+      modelUrl = null,
+      format = null
     } = params;
-    
-    console.log(`🪟 Creating professional window system: ${windowType} window (${width}m x ${height}m)`);
-    
-    // Calculate position and wall integration
-    let centerPosition = { x: 0, y: height / 2 + sillHeight, z: 0 }; 
-    let wallOrientation = 0;
-    let hostWallData = null;
-    
-    if (insertionMode === 'insert_in_wall' && hostWallId) {
-      const hostWall = this.objects.get(hostWallId);
-      if (!hostWall) {
-        console.warn(`Host wall ${hostWallId} not found for window insertion`);
-        return this.createWindowGeometry({ ...params, insertionMode: 'create_standalone' });
-      }
-      
-      // Extract wall data for integration
-      hostWallData = {
-        thickness: this.getTotalWallThickness(hostWall.params.layers || [{ thickness: hostWall.params.thickness || 0.2 }]),
-        layers: hostWall.params.layers || [{ material: hostWall.params.material || 'concrete', thickness: hostWall.params.thickness || 0.2 }],
-        material: hostWall.params.material || 'concrete'
-      };
-      
-      const wallLength = hostWall.params.length || 3.0;
-      const distanceFromStart = insertionPosition * wallLength;
-      
-      // Get wall position and rotation
-      const wallPos = hostWall.mesh3D.position;
-      const wallRotation = hostWall.mesh3D.rotation.y || 0;
-      wallOrientation = wallRotation;
-      
-      // Calculate window position based on wall geometry
-      const cosRotation = Math.cos(wallRotation);
-      const sinRotation = Math.sin(wallRotation);
-      
-      centerPosition = {
-        x: wallPos.x + (distanceFromStart - wallLength / 2) * cosRotation,
-        y: height / 2 + sillHeight,
-        z: wallPos.z + (distanceFromStart - wallLength / 2) * sinRotation
-      };
-      
-      console.log(`🪟 Window positioned in wall ${hostWallId} at ${distanceFromStart.toFixed(1)}m from start`);
-      
-      // Create wall opening with frame consideration
-      this.createWallOpening(hostWallId, {
-        type: 'window',
-        width: width,
-        height: height,
-        position: distanceFromStart,
-        offset: sillHeight,
-        frameDepth: frameWidth,
-        preserveLayers: true
-      });
-      
-    } else if (startPoint && endPoint) {
-      centerPosition = {
-        x: (startPoint.x + endPoint.x) / 2,
-        y: height / 2 + sillHeight,
-        z: (startPoint.z + endPoint.z) / 2
-      };
-    }
-    
-    // PROFESSIONAL WINDOW ASSEMBLY CREATION
-    const windowAssembly = this.createProfessionalWindowAssembly({
-      width, height, thickness, material,
-      frameWidth: hostWallData?.thickness || frameWidth,
-      windowType, glazingLayers, openable, thermalTransmittance,
-      sillHeight,
-      frameType: 'standard',
-      glazing: { 
-        type: 'clear', 
-        layers: glazingLayers,
-        thermalTransmittance,
-        lightTransmission: 0.8 
-      },
-      hardware: { 
-        handles: openable, 
-        locks: openable && windowType !== 'fixed',
-        hinges: windowType === 'casement' || windowType === 'awning' 
-      },
-      sill: { 
-        height: 0.05, 
-        overhang: 0.02, 
-        material: 'concrete' 
-      },
-      hostWallData
+
+    console.log('🪑 FURNITURE DEBUG: Creating furniture with params:', {
+      name, subtype, width, height, depth, modelUrl, format, position
     });
     
-    const windowGroup = windowAssembly.group;
-    
-    // Position the window assembly
-    windowGroup.position.set(centerPosition.x, centerPosition.y, centerPosition.z);
-    if (wallOrientation !== 0) {
-      windowGroup.rotation.y = wallOrientation;
+    // If we have a modelUrl, create a placeholder and load the model asynchronously
+    if (modelUrl && format) {
+      console.log('🪑 FURNITURE DEBUG: Loading external model:', { modelUrl, format });
+      return this.createExternalModelGeometry(modelUrl, format, width, height, depth, position, materialColor, name);
     }
     
-    // Use the window group as the main mesh
-    const mesh3D = windowGroup;
+    // Create 3D geometry based on furniture type (fallback for basic shapes)
+    let geometry;
+    let color = materialColor;
     
-    // Apply wall orientation if inserted in wall
-    if (insertionMode === 'insert_in_wall' && hostWallId) {
-      mesh3D.rotation.y = wallOrientation;
+    // Adjust geometry based on subtype
+    switch (subtype) {
+      case 'sofa-3seat':
+      case 'sofa':
+        geometry = new THREE.BoxGeometry(width, height, depth);
+        break;
+      case 'armchair':
+      case 'office-chair':
+        geometry = new THREE.BoxGeometry(width, height, depth);
+        break;
+      case 'dining-table':
+      case 'coffee-table':
+      case 'desk':
+        // Create table with legs (simplified)
+        const group = new THREE.Group();
+        // Table top
+        const tableTop = new THREE.BoxGeometry(width, 0.05, depth);
+        const tableTopMesh = new THREE.Mesh(tableTop, new THREE.MeshLambertMaterial({ color: color }));
+        tableTopMesh.position.y = height - 0.025;
+        group.add(tableTopMesh);
+        
+        // Table legs (4 corners)
+        const legGeometry = new THREE.BoxGeometry(0.05, height - 0.05, 0.05);
+        const legMaterial = new THREE.MeshLambertMaterial({ color: color });
+        
+        const positions = [
+          { x: width/2 - 0.1, z: depth/2 - 0.1 },
+          { x: -width/2 + 0.1, z: depth/2 - 0.1 },
+          { x: width/2 - 0.1, z: -depth/2 + 0.1 },
+          { x: -width/2 + 0.1, z: -depth/2 + 0.1 }
+        ];
+        
+        positions.forEach(pos => {
+          const leg = new THREE.Mesh(legGeometry, legMaterial.clone());
+          leg.position.set(pos.x, (height - 0.05)/2, pos.z);
+          group.add(leg);
+        });
+        
+        geometry = group;
+        break;
+      case 'bookshelf':
+      case 'wardrobe':
+        geometry = new THREE.BoxGeometry(width, height, depth);
+        break;
+      default:
+        geometry = new THREE.BoxGeometry(width, height, depth);
     }
     
-    // Create professional 2D representation
-    const window2DGroup = new THREE.Group();
+    // Create 3D mesh
+    let mesh3D;
+    if (geometry.type === 'Group') {
+      mesh3D = geometry; // Already a group with materials
+      mesh3D.userData = { objectId: null, type: 'furniture', subtype, name };
+    } else {
+      const material = new THREE.MeshLambertMaterial({ color: color });
+      mesh3D = new THREE.Mesh(geometry, material);
+      mesh3D.userData = { objectId: null, type: 'furniture', subtype, name };
+    }
     
-    // Get materials for 2D representation
-    const windowMat = this.materials[material] || this.materials.aluminum;
+    // Set position
+    mesh3D.position.set(position.x, height / 2, position.z);
     
-    // Window frame in 2D
-    const frameGeometry2D = new THREE.PlaneGeometry(width, frameWidth * 2);
-    const frameMaterial2D = new THREE.MeshBasicMaterial({ 
-      color: windowMat.color, 
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.8
-    });
-    const frame2D = new THREE.Mesh(frameGeometry2D, frameMaterial2D);
-    frame2D.rotation.x = -Math.PI / 2;
-    window2DGroup.add(frame2D);
-    
-    // Glazing area in 2D (lighter color)
-    const glazingGeometry2D = new THREE.PlaneGeometry(width - frameWidth * 2, frameWidth);
-    const glazingMaterial2D = new THREE.MeshBasicMaterial({
-      color: 0x87CEEB, // Light blue for glazing
+    // Create 2D representation (top-down view)
+    const geometry2D = new THREE.PlaneGeometry(width, depth);
+    const material2D = new THREE.MeshBasicMaterial({ 
+      color: color, 
       side: THREE.DoubleSide,
       transparent: true,
-      opacity: 0.4
+      opacity: 0.7
     });
-    const glazing2D = new THREE.Mesh(glazingGeometry2D, glazingMaterial2D);
-    glazing2D.rotation.x = -Math.PI / 2;
-    glazing2D.position.y = 0.001; // Slightly above frame
-    window2DGroup.add(glazing2D);
-    
-    // Window opening indication in 2D
-    if (openable && windowType !== 'fixed') {
-      const openingIndicator = this.createWindowOpeningIndicator2D(windowType, width, height);
-      if (openingIndicator) {
-        window2DGroup.add(openingIndicator);
-      }
-    }
-    
-    // Set up 2D group
-    const mesh2D = window2DGroup;
-    mesh2D.userData = { objectId: null, type: 'window' };
-    mesh2D.position.set(centerPosition.x, 0, centerPosition.z);
-    
-    // Apply wall orientation to 2D representation as well
-    if (insertionMode === 'insert_in_wall' && hostWallId) {
-      mesh2D.rotation.y = wallOrientation;
-    }
+    const mesh2D = new THREE.Mesh(geometry2D, material2D);
+    mesh2D.userData = { objectId: null, type: 'furniture', subtype, name };
+    mesh2D.position.set(position.x, 0, position.z);
     
     return {
-      geometry: frameGeometry2D, // Use frame geometry for reference
+      geometry: geometry,
       mesh3D: mesh3D,
       mesh2D: mesh2D
     };
   }
 
   /**
-   * PROFESSIONAL WINDOW ASSEMBLY CREATION
-   * Complete window system with frame, glazing, hardware, and thermal integration
+   * Create external model geometry (FBX, glTF, OBJ)
    */
-  createProfessionalWindowAssembly(config) {
-    const {
-      width, height, thickness, material, frameWidth,
-      windowType, glazingLayers, openable, thermalTransmittance,
-      sillHeight, frameType, glazing, hardware, sill, hostWallData
-    } = config;
-    
-    const windowGroup = new THREE.Group();
-    
-    console.log(`🏗️ Creating professional ${windowType} window assembly: ${width}m x ${height}m`);
-    
-    // Get materials
-    const frameMaterial = this.materials[material] || this.materials.aluminum;
-    const glassMaterial = this.materials.glass || this.materials.aluminum;
-    
-    // 1. Create professional window frame
-    const frame = this.createWindowFrame({
-      width, height, frameWidth, material: frameMaterial,
-      frameType, hostWallData
+  createExternalModelGeometry(modelUrl, format, width, height, depth, position, materialColor, name) {
+    console.log('🪑 EXTERNAL MODEL DEBUG: Creating external model placeholder:', {
+      modelUrl, format, width, height, depth, position, name
     });
-    windowGroup.add(frame);
     
-    // 2. Create glazing system
-    const glazingSystem = this.createWindowGlazing({
-      width: width - frameWidth * 2,
-      height: height - frameWidth * 2,
-      layers: glazingLayers,
-      material: glassMaterial,
-      glazing, thermalTransmittance
+    // Create placeholder geometry (will be replaced when model loads)
+    const placeholderGeometry = new THREE.BoxGeometry(width, height, depth);
+    const placeholderMaterial = new THREE.MeshLambertMaterial({ 
+      color: materialColor,
+      transparent: true,
+      opacity: 0.5,
+      wireframe: true
     });
-    windowGroup.add(glazingSystem);
     
-    // 3. Create window sill
-    if (sill && sill.height > 0) {
-      const windowSill = this.createWindowSill({
-        width: width + sill.overhang * 2,
-        height: sill.height,
-        depth: (hostWallData?.thickness || frameWidth) + sill.overhang,
-        material: sill.material || 'concrete'
-      });
-      windowSill.position.set(0, -height/2 - sill.height/2, sill.overhang/2);
-      windowGroup.add(windowSill);
-    }
+    const mesh3D = new THREE.Mesh(placeholderGeometry, placeholderMaterial);
+    mesh3D.userData = { 
+      objectId: null, 
+      type: 'furniture', 
+      name,
+      isPlaceholder: true,
+      modelUrl,
+      format
+    };
+    mesh3D.position.set(position.x, height / 2, position.z);
     
-    // 4. Create window hardware (handles, hinges)
-    if (openable && hardware) {
-      const windowHardware = this.createWindowHardware({
-        windowType, width, height, hardware
-      });
-      if (windowHardware) {
-        windowGroup.add(windowHardware);
-      }
-    }
+    // Create 2D representation
+    const geometry2D = new THREE.PlaneGeometry(width, depth);
+    const material2D = new THREE.MeshBasicMaterial({ 
+      color: materialColor, 
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.7
+    });
+    const mesh2D = new THREE.Mesh(geometry2D, material2D);
+    mesh2D.userData = { objectId: null, type: 'furniture', name };
+    mesh2D.position.set(position.x, 0, position.z);
     
-    // 5. Create opening panels for operable windows
-    if (openable && windowType !== 'fixed') {
-      const panels = this.createWindowPanels({
-        width, height, thickness, windowType,
-        material: frameMaterial, glazing
+    // Start loading the actual model asynchronously
+    this.loadExternalModel(modelUrl, format, mesh3D, position, materialColor)
+      .then((loadedModel) => {
+        console.log('✅ EXTERNAL MODEL DEBUG: Model loaded successfully:', name);
+        // Model is already updated in loadExternalModel
+      })
+      .catch((error) => {
+        console.error('❌ EXTERNAL MODEL DEBUG: Failed to load model:', error);
+        // Keep the placeholder
       });
-      if (panels) {
-        windowGroup.add(panels);
-      }
-    }
     
     return {
-      group: windowGroup,
-      thermalTransmittance,
-      glazingLayers,
-      openable
+      geometry: placeholderGeometry,
+      mesh3D: mesh3D,
+      mesh2D: mesh2D
     };
   }
-
-  /**
-   * Create professional window frame with proper construction details
-   */
-  createWindowFrame(config) {
-    const { width, height, frameWidth, material, frameType, hostWallData } = config;
-    const frameGroup = new THREE.Group();
-    
-    // Calculate frame depth based on wall thickness
-    const frameDepth = hostWallData?.thickness || frameWidth;
-    
-    console.log(`🖼️ Creating window frame: ${width}m x ${height}m, depth: ${frameDepth.toFixed(2)}m`);
-    
-    // Frame components (jambs, head, sill)
-    const frameComponents = [
-      // Left jamb
-      {
-        width: frameWidth,
-        height: height,
-        depth: frameDepth,
-        position: { x: -(width/2 + frameWidth/2), y: 0, z: 0 }
-      },
-      // Right jamb
-      {
-        width: frameWidth,
-        height: height,
-        depth: frameDepth,
-        position: { x: width/2 + frameWidth/2, y: 0, z: 0 }
-      },
-      // Head (top)
-      {
-        width: width + (frameWidth * 2),
-        height: frameWidth,
-        depth: frameDepth,
-        position: { x: 0, y: height/2 + frameWidth/2, z: 0 }
-      },
-      // Bottom frame (for some window types)
-      {
-        width: width + (frameWidth * 2),
-        height: frameWidth,
-        depth: frameDepth,
-        position: { x: 0, y: -(height/2 + frameWidth/2), z: 0 }
-      }
-    ];
-    
-    // Create frame meshes
-    frameComponents.forEach(component => {
-      const frameGeometry = new THREE.BoxGeometry(
-        component.width,
-        component.height,
-        component.depth
-      );
-      
-      const frameMesh = new THREE.Mesh(frameGeometry, material.clone());
-      frameMesh.position.set(
-        component.position.x,
-        component.position.y,
-        component.position.z
-      );
-      
-      frameGroup.add(frameMesh);
-    });
-    
-    return frameGroup;
-  }
-
+  
   /**
-   * Create window glazing system with multiple layers
+   * Load external model asynchronously
    */
-  createWindowGlazing(config) {
-    const { width, height, layers, material, glazing, thermalTransmittance } = config;
-    const glazingGroup = new THREE.Group();
-    
-    console.log(`🪟 Creating ${layers}-layer glazing system: ${width.toFixed(2)}m x ${height.toFixed(2)}m`);
+  async loadExternalModel(modelUrl, format, placeholderMesh, position, materialColor) {
+    const formatLower = format.toLowerCase();
+    let loader;
     
-    const glassThickness = 0.004; // 4mm glass
-    const airGap = layers > 1 ? 0.016 : 0; // 16mm air gap for multi-layer
-    const totalDepth = (glassThickness * layers) + (airGap * (layers - 1));
+    switch (formatLower) {
+      case 'fbx':
+        loader = new FBXLoader();
+        break;
+      case 'gltf':
+      case 'glb':
+        loader = new GLTFLoader();
+        break;
+      case 'obj':
+        loader = new OBJLoader();
+        break;
+      default:
+        throw new Error(`Unsupported model format: ${format}`);
+    }
     
-    // Create glass layers
-    for (let i = 0; i < layers; i++) {
-      const glassGeometry = new THREE.BoxGeometry(width, height, glassThickness);
+    return new Promise((resolve, reject) => {
+      console.log('📥 EXTERNAL MODEL DEBUG: Starting to load model from:', modelUrl);
       
-      // Create glass material with appropriate transparency
-      const glassMat = new THREE.MeshPhysicalMaterial({
-        color: glazing.type === 'clear' ? 0xffffff : 0x87CEEB,
-        transparent: true,
-        opacity: 0.8,
-        roughness: 0.0,
-        metalness: 0.0,
-        transmission: glazing.lightTransmission || 0.8,
-        ior: 1.5, // Index of refraction for glass
-        reflectivity: 0.1
-      });
-      
-      const glassMesh = new THREE.Mesh(glassGeometry, glassMat);
-      
-      // Position each layer
-      const zOffset = (i - (layers - 1) / 2) * (glassThickness + airGap);
-      glassMesh.position.set(0, 0, zOffset);
-      
-      glazingGroup.add(glassMesh);
-    }
-    
-    return glazingGroup;
-  }
-
-  /**
-   * Create window sill
-   */
-  createWindowSill(config) {
-    const { width, height, depth, material } = config;
-    
-    const sillGeometry = new THREE.BoxGeometry(width, height, depth);
-    const sillMaterial = this.materials[material] || this.materials.concrete;
-    
-    return new THREE.Mesh(sillGeometry, sillMaterial.clone());
+      loader.load(
+        modelUrl,
+        // onLoad
+        (loadedModel) => {
+          console.log('✅ EXTERNAL MODEL DEBUG: Model loaded from URL:', modelUrl);
+          
+          let modelObject;
+          if (formatLower === 'gltf' || formatLower === 'glb') {
+            modelObject = loadedModel.scene;
+          } else {
+            modelObject = loadedModel;
+          }
+          
+          // Apply materials and scaling
+          modelObject.traverse((child) => {
+            if (child.isMesh) {
+              if (!child.material || !child.material.map) {
+                child.material = new THREE.MeshStandardMaterial({
+                  color: materialColor,
+                  roughness: 0.6,
+                  metalness: 0.1
+                });
+              }
+              child.castShadow = true;
+              child.receiveShadow = true;
+            }
+          });
+          
+          // Auto-scale model to reasonable size
+          const box = new THREE.Box3().setFromObject(modelObject);
+          const size = box.getSize(new THREE.Vector3());
+          const maxSize = Math.max(size.x, size.y, size.z);
+          
+          if (maxSize > 5) {
+            const scaleFactor = 2 / maxSize;
+            modelObject.scale.multiplyScalar(scaleFactor);
+          } else if (maxSize < 0.1) {
+            const scaleFactor = 1 / maxSize;
+            modelObject.scale.multiplyScalar(scaleFactor);
+          }
+          
+          // Replace placeholder with loaded model
+          const parent = placeholderMesh.parent;
+          if (parent) {
+            // Copy placeholder properties to loaded model
+            modelObject.position.copy(placeholderMesh.position);
+            modelObject.userData = { ...placeholderMesh.userData, isPlaceholder: false };
+            
+            // Replace placeholder in scene
+            parent.remove(placeholderMesh);
+            parent.add(modelObject);
+            
+            console.log('✅ EXTERNAL MODEL DEBUG: Placeholder replaced with loaded model');
+          }
+          
+          resolve(modelObject);
+        },
+        // onProgress
+        (progress) => {
+          if (progress && progress.loaded !== undefined && progress.total !== undefined && progress.total > 0) {
+            const percentage = (progress.loaded / progress.total * 100);
+            console.log(`📥 EXTERNAL MODEL DEBUG: Loading progress: ${percentage.toFixed(1)}%`);
+          } else {
+            console.log('📥 EXTERNAL MODEL DEBUG: Loading in progress...');
+          }
+        },
+        // onError
+        (error) => {
+          console.error('❌ EXTERNAL MODEL DEBUG: Failed to load model:', error);
+          reject(error);
+        }
+      );
+    });
   }
 
   /**
-   * Create window hardware (handles, hinges, locks)
+   * Create fixture geometry
    */
-  createWindowHardware(config) {
-    const { windowType, width, height, hardware } = config;
-    const hardwareGroup = new THREE.Group();
-    
-    console.log(`🔧 Creating window hardware for ${windowType} window`);
+  createFixtureGeometry(params) {
+    const { 
+      width = 0.3, 
+      height = 0.4, 
+      depth = 0.3,
+      materialColor = '#FFD700',
+      subtype = 'generic',
+      name = 'Fixture',
+      position = { x: 0, y: 0, z: 0 }
+    } = params;
     
-    // Handle hardware material
-    const hardwareMaterial = this.materials.steel || this.materials.aluminum;
+    // Create 3D geometry based on fixture type
+    let geometry;
+    let color = materialColor;
+    let yPosition = height / 2;
     
-    // Create handles if specified
-    if (hardware.handles) {
-      const handleGeometry = new THREE.BoxGeometry(0.02, 0.08, 0.015);
-      const handle = new THREE.Mesh(handleGeometry, hardwareMaterial.clone());
-      
-      // Position handle based on window type
-      switch (windowType) {
-        case 'casement':
-          handle.position.set(width * 0.4, 0, 0.03);
-          break;
-        case 'sliding':
-          handle.position.set(width * 0.25, 0, 0.03);
-          break;
-        case 'awning':
-          handle.position.set(0, -height * 0.3, 0.03);
-          break;
-      }
-      
-      hardwareGroup.add(handle);
+    // Adjust geometry based on subtype
+    switch (subtype) {
+      case 'pendant-light':
+        geometry = new THREE.ConeGeometry(width/2, height, 8);
+        yPosition = 2.5 - height/2; // Hang from ceiling
+        break;
+      case 'chandelier':
+        geometry = new THREE.SphereGeometry(width/2, 16, 8);
+        yPosition = 2.5 - height/2; // Hang from ceiling
+        break;
+      case 'floor-lamp':
+        geometry = new THREE.CylinderGeometry(0.02, 0.05, height, 8);
+        yPosition = height / 2;
+        break;
+      case 'toilet':
+        // Create toilet shape (simplified)
+        const group = new THREE.Group();
+        // Bowl
+        const bowl = new THREE.CylinderGeometry(width/2, width/2 - 0.05, height * 0.6, 12);
+        const bowlMesh = new THREE.Mesh(bowl, new THREE.MeshLambertMaterial({ color: color }));
+        bowlMesh.position.y = height * 0.3;
+        group.add(bowlMesh);
+        // Tank
+        const tank = new THREE.BoxGeometry(width * 0.8, height * 0.6, depth * 0.4);
+        const tankMesh = new THREE.Mesh(tank, new THREE.MeshLambertMaterial({ color: color }));
+        tankMesh.position.set(0, height * 0.7, -depth * 0.3);
+        group.add(tankMesh);
+        geometry = group;
+        yPosition = 0;
+        break;
+      case 'sink':
+        geometry = new THREE.CylinderGeometry(width/2, width/2 - 0.02, height, 12);
+        yPosition = 0.8 + height/2; // Counter height
+        break;
+      case 'bathtub':
+        geometry = new THREE.BoxGeometry(width, height, depth);
+        yPosition = height / 2;
+        break;
+      default:
+        geometry = new THREE.BoxGeometry(width, height, depth);
     }
     
-    // Create hinges for casement and awning windows
-    if (hardware.hinges && (windowType === 'casement' || windowType === 'awning')) {
-      const hingeGeometry = new THREE.BoxGeometry(0.01, 0.06, 0.02);
-      
-      // Create 2-3 hinges depending on window height
-      const hingeCount = height > 1.5 ? 3 : 2;
-      
-      for (let i = 0; i < hingeCount; i++) {
-        const hinge = new THREE.Mesh(hingeGeometry, hardwareMaterial.clone());
-        
-        if (windowType === 'casement') {
-          // Position hinges on left side for casement windows
-          hinge.position.set(-width/2 - 0.01, (height/3) * (i - (hingeCount-1)/2), 0);
-        } else if (windowType === 'awning') {
-          // Position hinges on top for awning windows
-          hinge.position.set((width/3) * (i - (hingeCount-1)/2), height/2 + 0.01, 0);
-          hinge.rotation.z = Math.PI / 2;
-        }
-        
-        hardwareGroup.add(hinge);
-      }
+    // Create 3D mesh
+    let mesh3D;
+    if (geometry.type === 'Group') {
+      mesh3D = geometry; // Already a group with materials
+      mesh3D.userData = { objectId: null, type: 'fixture', subtype, name };
+    } else {
+      const material = new THREE.MeshLambertMaterial({ color: color });
+      mesh3D = new THREE.Mesh(geometry, material);
+      mesh3D.userData = { objectId: null, type: 'fixture', subtype, name };
     }
     
-    return hardwareGroup.children.length > 0 ? hardwareGroup : null;
+    // Set position
+    mesh3D.position.set(position.x, yPosition, position.z);
+    
+    // Create 2D representation (top-down view)
+    const geometry2D = new THREE.PlaneGeometry(width, depth);
+    const material2D = new THREE.MeshBasicMaterial({ 
+      color: color, 
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.6
+    });
+    const mesh2D = new THREE.Mesh(geometry2D, material2D);
+    mesh2D.userData = { objectId: null, type: 'fixture', subtype, name };
+    mesh2D.position.set(position.x, 0, position.z);
+    
+    return {
+      geometry: geometry,
+      mesh3D: mesh3D,
+      mesh2D: mesh2D
+    };
   }
 
   /**
-   * Create window panels for operable windows
+   * Update object parameters
    */
-  createWindowPanels(config) {
-    const { width, height, thickness, windowType, material, glazing } = config;
+  updateObject(objectId, newParams) {
+    console.log(`🔧 CAD ENGINE: Updating object ${objectId} with parameters:`, newParams);
     
-    if (windowType === 'fixed') {
-      return null; // Fixed windows don't have opening panels
+    const cadObject = this.objects.get(objectId);
+    if (!cadObject) {
+      console.warn(`Object not found: ${objectId}`);
+      return false;
     }
-    
-    const panelGroup = new THREE.Group();
-    
-    console.log(`📐 Creating window panels for ${windowType} window`);
-    
-    // Create panel frame (thinner than main frame)
-    const panelFrameWidth = 0.02;
-    const panelGeometry = new THREE.BoxGeometry(
-      width - 0.1, // Slightly smaller than opening
-      height - 0.1,
-      thickness
-    );
-    
-    const panelMesh = new THREE.Mesh(panelGeometry, material.clone());
-    panelMesh.position.set(0, 0, thickness/2);
-    panelGroup.add(panelMesh);
-    
-    return panelGroup;
-  }
 
-  /**
-   * Create window opening indicators for 2D representation
-   */
-  createWindowOpeningIndicator2D(windowType, width, height) {
-    const indicatorGroup = new THREE.Group();
-    
-    // Different indicators for different window types
-    switch (windowType) {
-      case 'casement':
-        // Show swing arc for casement windows
-        const swingRadius = width * 0.8;
-        const swingGeometry = new THREE.RingGeometry(
-          swingRadius - 0.01, 
-          swingRadius, 
-          0, 
-          Math.PI/4
-        );
-        const swingMaterial = new THREE.MeshBasicMaterial({
-          color: 0x4CAF50,
-          transparent: true,
-          opacity: 0.3
-        });
-        const swingArc = new THREE.Mesh(swingGeometry, swingMaterial);
-        swingArc.rotation.x = -Math.PI / 2;
-        swingArc.position.set(-width/2, 0.001, 0);
-        indicatorGroup.add(swingArc);
-        break;
-        
-      case 'sliding':
-        // Show sliding direction arrows
-        const arrowGeometry = new THREE.PlaneGeometry(0.1, 0.02);
-        const arrowMaterial = new THREE.MeshBasicMaterial({
-          color: 0x2196F3,
-          transparent: true,
-          opacity: 0.6
-        });
-        const arrow1 = new THREE.Mesh(arrowGeometry, arrowMaterial);
-        arrow1.rotation.x = -Math.PI / 2;
-        arrow1.position.set(-width/4, 0.001, 0);
-        const arrow2 = new THREE.Mesh(arrowGeometry, arrowMaterial);
-        arrow2.rotation.x = -Math.PI / 2;
-        arrow2.position.set(width/4, 0.001, 0);
-        indicatorGroup.add(arrow1, arrow2);
-        break;
-        
-      case 'awning':
-        // Show awning opening indicator
-        const awningGeometry = new THREE.PlaneGeometry(width * 0.6, 0.02);
-        const awningMaterial = new THREE.MeshBasicMaterial({
-          color: 0xFF9800,
-          transparent: true,
-          opacity: 0.5
-        });
-        const awningIndicator = new THREE.Mesh(awningGeometry, awningMaterial);
-        awningIndicator.rotation.x = -Math.PI / 2;
-        awningIndicator.position.set(0, 0.001, 0);
-        indicatorGroup.add(awningIndicator);
-        break;
+    console.log(`🔧 CAD ENGINE: Found object to update:`, {
+      id: objectId,
+      type: cadObject.type,
+      hasMesh3D: !!cadObject.mesh3D,
+      hasMesh2D: !!cadObject.mesh2D,
+      currentParams: cadObject.params
+    });
+
+    // A new curvature keeps the wall's end points, so its length is measured again
+    if (cadObject.type === 'wall' && newParams.bulge !== undefined && newParams.length === undefined) {
+      const startPoint = newParams.startPoint || cadObject.params.startPoint;
+      const endPoint = newParams.endPoint || this.getWallAxis(cadObject.params).end;
+      newParams = { ...newParams, endPoint, length: wallLength(startPoint, endPoint, newParams.bulge) };
     }
-    
-    return indicatorGroup.children.length > 0 ? indicatorGroup : null;
-  }
-  /**
-   * Create furniture geometry
-   */
-  createFurnitureGeometry(params) {
-    const { 
-      width = 1.0, 
-      height = 0.8, 
-      depth = 0.6,
-      materialColor = '#8B4513',
-      subtype = 'generic',
-      name = 'Furniture',
-      position = { x: 0, y: 0, z: 0 },
-      modelUrl = null,
-      format = null
-    } = params;
 
-    console.log('🪑 FURNITURE DEBUG: Creating furniture with params:', {
-      name, subtype, width, height, depth, modelUrl, format, position
-    });
-    
-    // If we have a modelUrl, create a placeholder and load the model asynchronously
-    if (modelUrl && format) {
-      console.log('🪑 FURNITURE DEBUG: Loading external model:', { modelUrl, format });
-      return this.createExternalModelGeometry(modelUrl, format, width, height, depth, position, materialColor, name);
+    // Update parameters
+    cadObject.params = this.prepareAssemblyParams(
+      cadObject.type,
+      this.prepareLevelParams(cadObject.type, { ...cadObject.params, ...newParams })
+    );
+    if (cadObject.type === 'roof') {
+      cadObject.params = this.prepareRoofParams(cadObject.params);
+    }
+    if (cadObject.type === 'stair') {
+      cadObject.params = this.prepareStairParams(cadObject.params);
+    }
+    if (cadObject.type === 'ramp') {
+      cadObject.params = this.prepareRampParams(cadObject.params);
+    }
+    if (cadObject.type === 'beam' || cadObject.type === 'brace') {
+      cadObject.params = this.prepareFramingParams(cadObject.type, cadObject.params);
     }
+    cadObject.params = this.prepareGridParams(cadObject.type, cadObject.params);
+    console.log(`🔧 CAD ENGINE: Updated parameters:`, cadObject.params);
     
-    // Create 3D geometry based on furniture type (fallback for basic shapes)
-    let geometry;
-    let color = materialColor;
+    // Remove old meshes from scenes
+    console.log(`🗑️ CAD ENGINE: Disposing old meshes for ${objectId}`);
+    if (cadObject.mesh3D) {
+      this.scene3D.remove(cadObject.mesh3D);
+      if (cadObject.mesh3D.geometry && typeof cadObject.mesh3D.geometry.dispose === 'function') {
+        cadObject.mesh3D.geometry.dispose();
+        console.log(`✅ CAD ENGINE: Disposed 3D geometry for ${objectId}`);
+      }
+      if (cadObject.mesh3D.material && typeof cadObject.mesh3D.material.dispose === 'function') {
+        cadObject.mesh3D.material.dispose();
+        console.log(`✅ CAD ENGINE: Disposed 3D material for ${objectId}`);
+      }
+    }
+    if (cadObject.mesh2D) {
+      this.scene2D.remove(cadObject.mesh2D);
+      if (cadObject.mesh2D.geometry && typeof cadObject.mesh2D.geometry.dispose === 'function') {
+        cadObject.mesh2D.geometry.dispose();
+        console.log(`✅ CAD ENGINE: Disposed 2D geometry for ${objectId}`);
+      }
+      if (cadObject.mesh2D.material && typeof cadObject.mesh2D.material.dispose === 'function') {
+        cadObject.mesh2D.material.dispose();
+        console.log(`✅ CAD ENGINE: Disposed 2D material for ${objectId}`);
+      }
+    }
+    console.log(`🗑️ CAD ENGINE: Disposal completed for ${objectId}`);
     
-    // Adjust geometry based on subtype
-    switch (subtype) {
-      case 'sofa-3seat':
-      case 'sofa':
-        geometry = new THREE.BoxGeometry(width, height, depth);
+    // Recreate geometry with new parameters
+    let result;
+    switch (cadObject.type) {
+      case 'slab':
+        result = this.createSlabGeometry(cadObject.params);
         break;
-      case 'armchair':
-      case 'office-chair':
-        geometry = new THREE.BoxGeometry(width, height, depth);
+      case 'wall':
+        // Rebuilt with its current joint; the joinery pass below updates it and its neighbours
+        result = this.createWallGeometry(cadObject.params, this.wallJoinery.walls[objectId] || null);
         break;
-      case 'dining-table':
-      case 'coffee-table':
-      case 'desk':
-        // Create table with legs (simplified)
-        const group = new THREE.Group();
-        // Table top
-        const tableTop = new THREE.BoxGeometry(width, 0.05, depth);
-        const tableTopMesh = new THREE.Mesh(tableTop, new THREE.MeshLambertMaterial({ color: color }));
-        tableTopMesh.position.y = height - 0.025;
-        group.add(tableTopMesh);
-        
-        // Table legs (4 corners)
-        const legGeometry = new THREE.BoxGeometry(0.05, height - 0.05, 0.05);
-        const legMaterial = new THREE.MeshLambertMaterial({ color: color });
-        
-        const positions = [
-          { x: width/2 - 0.1, z: depth/2 - 0.1 },
-          { x: -width/2 + 0.1, z: depth/2 - 0.1 },
-          { x: width/2 - 0.1, z: -depth/2 + 0.1 },
-          { x: -width/2 + 0.1, z: -depth/2 + 0.1 }
-        ];
-        
-        positions.forEach(pos => {
-          const leg = new THREE.Mesh(legGeometry, legMaterial.clone());
-          leg.position.set(pos.x, (height - 0.05)/2, pos.z);
-          group.add(leg);
-        });
-        
-        geometry = group;
+      case 'door':
+        result = this.createDoorGeometry(cadObject.params);
         break;
-      case 'bookshelf':
-      case 'wardrobe':
-        geometry = new THREE.BoxGeometry(width, height, depth);
+      case 'window':
+        result = this.createWindowGeometry(cadObject.params);
+        break;
+      case 'column':
+        result = this.createColumnGeometry(cadObject.params);
+        break;
+      case 'furniture':
+        result = this.createFurnitureGeometry(cadObject.params);
+        break;
+      case 'fixture':
+        result = this.createFixtureGeometry(cadObject.params);
+        break;
+      case 'room':
+        result = this.createRoomGeometry(cadObject.params);
+        break;
+      case 'roof':
+        result = this.createRoofGeometry(cadObject.params);
+        Object.assign(cadObject.params, this.getRoofQuantities(cadObject.params, result.roof));
+        break;
+      case 'stair':
+        result = this.createStairGeometry(cadObject.params);
+        Object.assign(cadObject.params, this.getStairQuantities(result.stair, result.validation));
+        break;
+      case 'ramp':
+        result = this.createRampGeometry(cadObject.params);
+        Object.assign(cadObject.params, this.getRampQuantities(result.ramp, result.validation));
+        break;
+      case 'beam':
+      case 'brace':
+        result = this.createFramingGeometry(cadObject.params);
+        Object.assign(cadObject.params, this.getFramingQuantities(result.member, result.section, result.profile));
         break;
       default:
-        geometry = new THREE.BoxGeometry(width, height, depth);
+        console.warn(`Update not implemented for type: ${cadObject.type}`);
+        return false;
     }
     
-    // Create 3D mesh
-    let mesh3D;
-    if (geometry.type === 'Group') {
-      mesh3D = geometry; // Already a group with materials
-      mesh3D.userData = { objectId: null, type: 'furniture', subtype, name };
-    } else {
-      const material = new THREE.MeshLambertMaterial({ color: color });
-      mesh3D = new THREE.Mesh(geometry, material);
-      mesh3D.userData = { objectId: null, type: 'furniture', subtype, name };
-    }
+    // Update object
+    cadObject.geometry = result.geometry;
+    cadObject.mesh3D = result.mesh3D;
+    cadObject.mesh2D = result.mesh2D;
     
-    // Set position
-    mesh3D.position.set(position.x, height / 2, position.z);
+    // Set user data
+    if (cadObject.mesh3D) {
+      cadObject.mesh3D.userData.objectId = objectId;
+      this.applyLevelPlacement(cadObject);
+      this.scene3D.add(cadObject.mesh3D);
+    }
+    if (cadObject.mesh2D) {
+      cadObject.mesh2D.userData.objectId = objectId;
+      this.scene2D.add(cadObject.mesh2D);
+    }
+
+    // Emit update event
+    console.log(`📡 CAD ENGINE: Emitting object_updated event for ${objectId}`);
+    const serializedObject = this.serializeObject(cadObject);
+    console.log(`📡 CAD ENGINE: Serialized updated object:`, serializedObject);
     
-    // Create 2D representation (top-down view)
-    const geometry2D = new THREE.PlaneGeometry(width, depth);
-    const material2D = new THREE.MeshBasicMaterial({ 
-      color: color, 
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.7
+    this.emit('object_updated', {
+      object: serializedObject,
+      objectId: objectId,
+      timestamp: Date.now()
     });
-    const mesh2D = new THREE.Mesh(geometry2D, material2D);
-    mesh2D.userData = { objectId: null, type: 'furniture', subtype, name };
-    mesh2D.position.set(position.x, 0, position.z);
     
-    return {
-      geometry: geometry,
-      mesh3D: mesh3D,
-      mesh2D: mesh2D
-    };
-  }
-
-  /**
-   * Create external model geometry (FBX, glTF, OBJ)
-   */
-  createExternalModelGeometry(modelUrl, format, width, height, depth, position, materialColor, name) {
-    console.log('🪑 EXTERNAL MODEL DEBUG: Creating external model placeholder:', {
-      modelUrl, format, width, height, depth, position, name
-    });
+    console.log(`📡 CAD ENGINE: Event emitted for object_updated`);
     
-    // Create placeholder geometry (will be replaced when model loads)
-    const placeholderGeometry = new THREE.BoxGeometry(width, height, depth);
-    const placeholderMaterial = new THREE.MeshLambertMaterial({ 
-      color: materialColor,
-      transparent: true,
-      opacity: 0.5,
-      wireframe: true
-    });
+    if (cadObject.type === 'wall') {
+      try {
+        this.applyProfessionalWallJoinery();
+      } catch (e) {
+        console.warn('Joinery post-update failed:', e);
+      }
+      this.scheduleRoomUpdate();
+    }
     
-    const mesh3D = new THREE.Mesh(placeholderGeometry, placeholderMaterial);
-    mesh3D.userData = { 
-      objectId: null, 
-      type: 'furniture', 
-      name,
-      isPlaceholder: true,
-      modelUrl,
-      format
-    };
-    mesh3D.position.set(position.x, height / 2, position.z);
+    console.log(`✅ CAD ENGINE: Successfully updated object ${objectId} with new geometry`);
+    return true;
+  }
+
+  /**
+   * Delete a CAD object
+   */
+  deleteObject(objectId) {
+    const cadObject = this.objects.get(objectId);
+    if (!cadObject) {
+      console.warn(`Object not found: ${objectId}`);
+      return false;
+    }
+
+    // Remove from scenes and dispose properly
+    if (cadObject.mesh3D) {
+      this.scene3D.remove(cadObject.mesh3D);
+      if (cadObject.mesh3D.geometry) cadObject.mesh3D.geometry.dispose();
+      if (cadObject.mesh3D.material) cadObject.mesh3D.material.dispose();
+    }
     
-    // Create 2D representation
-    const geometry2D = new THREE.PlaneGeometry(width, depth);
-    const material2D = new THREE.MeshBasicMaterial({ 
-      color: materialColor, 
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.7
-    });
-    const mesh2D = new THREE.Mesh(geometry2D, material2D);
-    mesh2D.userData = { objectId: null, type: 'furniture', name };
-    mesh2D.position.set(position.x, 0, position.z);
+    if (cadObject.mesh2D) {
+      this.scene2D.remove(cadObject.mesh2D);
+      
+      // Handle architectural walls (groups) vs legacy single meshes
+      if (cadObject.mesh2D.type === 'Group') {
+        // Dispose of all children in the group (architectural walls)
+        cadObject.mesh2D.children.forEach(child => {
+          if (child.geometry) child.geometry.dispose();
+          if (child.material) child.material.dispose();
+        });
+      } else {
+        // Legacy single mesh disposal
+        if (cadObject.mesh2D.geometry) cadObject.mesh2D.geometry.dispose();
+        if (cadObject.mesh2D.material) cadObject.mesh2D.material.dispose();
+      }
+    }
+
+    // Remove from selection
+    this.selectedObjects.delete(objectId);
     
-    // Start loading the actual model asynchronously
-    this.loadExternalModel(modelUrl, format, mesh3D, position, materialColor)
-      .then((loadedModel) => {
-        console.log('✅ EXTERNAL MODEL DEBUG: Model loaded successfully:', name);
-        // Model is already updated in loadExternalModel
-      })
-      .catch((error) => {
-        console.error('❌ EXTERNAL MODEL DEBUG: Failed to load model:', error);
-        // Keep the placeholder
-      });
+    // Remove from storage
+    this.objects.delete(objectId);
+
+    console.log(`🗑️ Deleted object: ${objectId}`);
+
+    // Emit delete event
+    this.emit('object_deleted', { objectId });
+    this.releaseDimensions(objectId);
     
-    return {
-      geometry: placeholderGeometry,
-      mesh3D: mesh3D,
-      mesh2D: mesh2D
-    };
+    if (cadObject.type === 'wall') {
+      delete this.wallJoinery.walls[objectId];
+      this.scheduleJoineryUpdate();
+      this.scheduleRoomUpdate();
+    }
+    
+    return true;
   }
-  
+
   /**
-   * Load external model asynchronously
+   * Select object(s)
    */
-  async loadExternalModel(modelUrl, format, placeholderMesh, position, materialColor) {
-    const formatLower = format.toLowerCase();
-    let loader;
-    
-    switch (formatLower) {
-      case 'fbx':
-        loader = new FBXLoader();
-        break;
-      case 'gltf':
-      case 'glb':
-        loader = new GLTFLoader();
-        break;
-      case 'obj':
-        loader = new OBJLoader();
-        break;
-      default:
-        throw new Error(`Unsupported model format: ${format}`);
+  selectObject(objectId, addToSelection = false) {
+    if (!addToSelection) {
+      this.clearSelection();
     }
     
-    return new Promise((resolve, reject) => {
-      console.log('📥 EXTERNAL MODEL DEBUG: Starting to load model from:', modelUrl);
+    const cadObject = this.objects.get(objectId);
+    if (cadObject) {
+      this.selectedObjects.add(objectId);
+      cadObject.selected = true;
       
-      loader.load(
-        modelUrl,
-        // onLoad
-        (loadedModel) => {
-          console.log('✅ EXTERNAL MODEL DEBUG: Model loaded from URL:', modelUrl);
-          
-          let modelObject;
-          if (formatLower === 'gltf' || formatLower === 'glb') {
-            modelObject = loadedModel.scene;
-          } else {
-            modelObject = loadedModel;
-          }
-          
-          // Apply materials and scaling
-          modelObject.traverse((child) => {
-            if (child.isMesh) {
-              if (!child.material || !child.material.map) {
-                child.material = new THREE.MeshStandardMaterial({
-                  color: materialColor,
-                  roughness: 0.6,
-                  metalness: 0.1
-                });
-              }
-              child.castShadow = true;
-              child.receiveShadow = true;
-            }
+      // Visual selection feedback
+      if (cadObject.mesh3D) {
+        // Add selection outline or change material
+        cadObject.mesh3D.material = this.materials.selected.clone();
+      }
+      if (cadObject.mesh2D) {
+        cadObject.mesh2D.material = this.materials.selected.clone();
+      }
+      
+      this.emit('selection_changed', {
+        selectedObjects: Array.from(this.selectedObjects)
+      });
+    }
+  }
+
+  /**
+   * Clear selection
+   */
+  clearSelection() {
+    this.selectedObjects.forEach(objectId => {
+      const cadObject = this.objects.get(objectId);
+      if (cadObject) {
+        cadObject.selected = false;
+        
+        // Restore original material
+        const materialName = cadObject.params.material || 'concrete';
+        const originalMaterial = this.materials[materialName] || this.materials.concrete;
+        
+        if (cadObject.mesh3D) {
+          cadObject.mesh3D.material = originalMaterial.clone();
+        }
+        if (cadObject.mesh2D) {
+          const material2D = new THREE.MeshBasicMaterial({
+            color: originalMaterial.color,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.7
           });
-          
-          // Auto-scale model to reasonable size
-          const box = new THREE.Box3().setFromObject(modelObject);
-          const size = box.getSize(new THREE.Vector3());
-          const maxSize = Math.max(size.x, size.y, size.z);
-          
-          if (maxSize > 5) {
-            const scaleFactor = 2 / maxSize;
-            modelObject.scale.multiplyScalar(scaleFactor);
-          } else if (maxSize < 0.1) {
-            const scaleFactor = 1 / maxSize;
-            modelObject.scale.multiplyScalar(scaleFactor);
-          }
-          
-          // Replace placeholder with loaded model
-          const parent = placeholderMesh.parent;
-          if (parent) {
-            // Copy placeholder properties to loaded model
-            modelObject.position.copy(placeholderMesh.position);
-            modelObject.userData = { ...placeholderMesh.userData, isPlaceholder: false };
-            
-            // Replace placeholder in scene
-            parent.remove(placeholderMesh);
-            parent.add(modelObject);
-            
-            console.log('✅ EXTERNAL MODEL DEBUG: Placeholder replaced with loaded model');
-          }
-          
-          resolve(modelObject);
-        },
-        // onProgress
-        (progress) => {
-          if (progress && progress.loaded !== undefined && progress.total !== undefined && progress.total > 0) {
-            const percentage = (progress.loaded / progress.total * 100);
-            console.log(`📥 EXTERNAL MODEL DEBUG: Loading progress: ${percentage.toFixed(1)}%`);
-          } else {
-            console.log('📥 EXTERNAL MODEL DEBUG: Loading in progress...');
-          }
-        },
-        // onError
-        (error) => {
-          console.error('❌ EXTERNAL MODEL DEBUG: Failed to load model:', error);
-          reject(error);
+          cadObject.mesh2D.material = material2D;
         }
-      );
+      }
     });
+    
+    this.selectedObjects.clear();
+    
+    this.emit('selection_changed', {
+      selectedObjects: []
+    });
+  }
+
+  /**
+   * Get all objects
+   */
+  getAllObjects() {
+    const objectArray = Array.from(this.objects.values());
+    const serialized = objectArray.map(obj => this.serializeObject(obj));
+    // Only log if there are objects to serialize
+    if (serialized.length > 0) {
+      console.log(`📦 Serialized ${serialized.length} objects`);
+    }
+    return serialized;
+  }
+
+  /**
+   * Clear all CAD objects (safe reset for starting a new project)
+   */
+  clearAllObjects() {
+    try {
+      console.log('🧹 CAD ENGINE: Clearing all objects');
+      // Deselect everything
+      this.selectedObjects.clear();
+      // Remove meshes from scenes if present
+      for (const cadObject of this.objects.values()) {
+        try {
+          if (cadObject.mesh3D && this.scene3D) {
+            this.scene3D.remove(cadObject.mesh3D);
+          }
+          if (cadObject.mesh2D && this.scene2D) {
+            this.scene2D.remove(cadObject.mesh2D);
+          }
+        } catch {}
+      }
+      // Reset storage; a cleared engine is a new project until a document is loaded
+      this.objects.clear();
+      this.documentId = createDocumentId();
+      // Notify listeners
+      this.emit('objects_changed', { objects: [] });
+      this.emit('selection_changed', { selectedObjects: [] });
+      console.log('✅ CAD ENGINE: All objects cleared');
+      return true;
+    } catch (error) {
+      console.warn('⚠️ CAD ENGINE: Failed to clear objects:', error?.message || error);
+      return false;
+    }
+  }
+
+  /**
+   * Get selected objects
+   */
+  getSelectedObjects() {
+    return Array.from(this.selectedObjects).map(id => {
+      const obj = this.objects.get(id);
+      return obj ? this.serializeObject(obj) : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Get 3D scene for rendering
+   */
+  get3DScene() {
+    return this.scene3D;
+  }
+
+  /**
+   * Get 2D scene for rendering
+   */
+  get2DScene() {
+    return this.scene2D;
+  }
+
+  /**
+   * Serialize object for external consumption
+   */
+  serializeObject(cadObject) {
+    console.log(`🔄 SERIALIZE DEBUG: Serializing object ${cadObject.id}:`, {
+      id: cadObject.id,
+      type: cadObject.type,
+      hasParams: !!cadObject.params,
+      paramsKeys: cadObject.params ? Object.keys(cadObject.params) : null,
+      params: cadObject.params
+    });
+    
+    const serialized = {
+      id: cadObject.id,
+      type: cadObject.type,
+      ...cadObject.params,
+      // Explicitly include params object for debugging
+      params: cadObject.params,
+      created: cadObject.created,
+      visible: cadObject.visible,
+      selected: cadObject.selected,
+      // Include mesh3D for 3D viewport rendering
+      mesh3D: cadObject.mesh3D,
+      mesh2D: cadObject.mesh2D,
+      // CRITICAL: Explicitly include furniture/fixture properties at top level
+      modelUrl: cadObject.params?.modelUrl || cadObject.modelUrl,
+      model_url: cadObject.params?.model_url || cadObject.model_url,
+      format: cadObject.params?.format || cadObject.format,
+      name: cadObject.params?.name || cadObject.name,
+      // Add computed properties for compatibility
+      position: cadObject.mesh3D ? {
+        x: cadObject.mesh3D.position.x,
+        y: cadObject.mesh3D.position.y,
+        z: cadObject.mesh3D.position.z
+      } : { x: 0, y: 0, z: 0 },
+      // Add rotation as full Euler object for 3D bridge compatibility
+      rotation: cadObject.mesh3D ? {
+        x: cadObject.mesh3D.rotation.x,
+        y: cadObject.mesh3D.rotation.y,
+        z: cadObject.mesh3D.rotation.z
+      } : { x: 0, y: 0, z: 0 }
+    };
+    
+    console.log(`✅ SERIALIZE DEBUG: Serialized object ${cadObject.id}:`, {
+      hasParams: !!serialized.params,
+      paramsInSerialized: serialized.params,
+      modelUrl: serialized.modelUrl,
+      model_url: serialized.model_url,
+      format: serialized.format,
+      hasModelUrl: !!serialized.modelUrl || !!serialized.model_url
+    });
+
+    // Walls carry the outlines they were built with so the 2D plan draws the same corners
+    if (cadObject.type === 'wall') {
+      serialized.joinery = cadObject.mesh3D?.userData.joinery || this.wallJoinery.walls[cadObject.id] || null;
+      if (cadObject.mesh3D?.userData.curtainWall) {
+        serialized.curtainWall = cadObject.mesh3D.userData.curtainWall;
+      }
+    }
+
+    // Roofs carry their plan (outline, ridges, hips, valleys) for the 2D roof plan
+    if (cadObject.type === 'roof') {
+      serialized.roof = cadObject.mesh3D?.userData.roof || null;
+    }
+
+    // Stairs carry their treads, walkline and cut line for the 2D plan symbol
+    if (cadObject.type === 'stair') {
+      serialized.stair = cadObject.mesh3D?.userData.stair || null;
+    }
+
+    // Ramps carry their runs and landings for the 2D plan
+    if (cadObject.type === 'ramp') {
+      serialized.ramp = cadObject.mesh3D?.userData.ramp || null;
+    }
+
+    // Beams and braces carry their axis and section size for the 2D plan
+    if (cadObject.type === 'beam' || cadObject.type === 'brace') {
+      serialized.framing = cadObject.mesh3D?.userData.framing || null;
+    }
+
+    // Include BIM data if available
+    if (cadObject.bimObject) {
+      serialized.bimData = cadObject.bimObject.toExport();
+      
+      // Add BIM-specific properties for doors and windows
+      if (cadObject.type === 'door' || cadObject.type === 'window') {
+        serialized.hostWallId = cadObject.bimObject.hostWallId;
+        serialized.wallOffset = cadObject.bimObject.wallOffset;
+        
+        if (cadObject.type === 'window') {
+          serialized.sillHeight = cadObject.bimObject.sillHeight;
+          serialized.glazingArea = cadObject.bimObject.calculateGlazingArea();
+        }
+      }
+    }
+
+    return serialized;
+  }
+
+  /**
+   * Get BIM data for all objects with relationships
+   */
+  getBIMData() {
+    const bimData = {
+      walls: [],
+      doors: [],
+      windows: [],
+      spaces: this.getRooms(),
+      relationships: []
+    };
+
+    // Extract BIM objects from CAD objects
+    for (const [id, cadObject] of this.objects) {
+      if (cadObject.bimObject) {
+        const bimExport = cadObject.bimObject.toExport();
+        
+        if (cadObject.type === 'wall') {
+          bimData.walls.push(bimExport);
+        } else if (cadObject.type === 'door') {
+          bimData.doors.push(bimExport);
+          
+          // Add wall-door relationship if hostWallId exists
+          if (cadObject.bimObject.hostWallId) {
+            bimData.relationships.push({
+              type: 'IfcRelVoidsElement',
+              relatingElement: cadObject.bimObject.hostWallId,
+              relatedElement: cadObject.id,
+              description: `Door ${cadObject.id} creates opening in wall ${cadObject.bimObject.hostWallId}`
+            });
+          }
+        } else if (cadObject.type === 'window') {
+          bimData.windows.push(bimExport);
+          
+          // Add wall-window relationship if hostWallId exists
+          if (cadObject.bimObject.hostWallId) {
+            bimData.relationships.push({
+              type: 'IfcRelVoidsElement',
+              relatingElement: cadObject.bimObject.hostWallId,
+              relatedElement: cadObject.id,
+              description: `Window ${cadObject.id} creates opening in wall ${cadObject.bimObject.hostWallId}`
+            });
+          }
+        }
+      }
+    }
+
+    // Walls bounding each room
+    bimData.spaces.forEach(space => {
+      bimData.relationships.push({
+        type: 'IfcRelSpaceBoundary',
+        relatingSpace: space.id,
+        relatedElements: space.boundingWallIds,
+        description: `Room ${space.number} ${space.name} bounded by ${space.boundingWallIds.length} walls`
+      });
+    });
+
+    // Add wall opening relationships
+    for (const [id, cadObject] of this.objects) {
+      if (cadObject.type === 'wall' && cadObject.openings) {
+        cadObject.openings.forEach(opening => {
+          bimData.relationships.push({
+            type: 'IfcRelContainedInSpatialStructure',
+            relatingStructure: cadObject.id,
+            relatedElements: [opening.id],
+            description: `Opening ${opening.id} contained in wall ${cadObject.id}`
+          });
+        });
+      }
+    }
+
+    return bimData;
+  }
+  /**
+   * Get wall-element relationships for a specific wall
+   */
+  getWallRelationships(wallId) {
+    const relationships = [];
+    
+    for (const [id, cadObject] of this.objects) {
+      if ((cadObject.type === 'door' || cadObject.type === 'window') && 
+          cadObject.bimObject && 
+          cadObject.bimObject.hostWallId === wallId) {
+        relationships.push({
+          elementId: cadObject.id,
+          elementType: cadObject.type,
+          position: cadObject.params.insertionPosition,
+          dimensions: {
+            width: cadObject.params.width,
+            height: cadObject.params.height
+          }
+        });
+      }
+    }
+    
+    return relationships;
+  }
+
+  /**
+   * Scene Manager Interface for Command History Integration
+   */
+  
+  // Check if entity exists
+  hasEntity(entityId) {
+    return this.objects.has(entityId);
+  }
+  
+  // Get entity data
+  getEntity(entityId) {
+    const cadObject = this.objects.get(entityId);
+    return cadObject ? this.serializeObject(cadObject) : null;
+  }
+  
+  // Add door (for command history)
+  async addDoor(doorData) {
+    const objectId = this.createObject('door', doorData);
+    return objectId;
+  }
+  
+  // Remove door (for command history)
+  async removeDoor(doorId) {
+    return this.deleteObject(doorId);
+  }
+  
+  // Add window (for command history)
+  async addWindow(windowData) {
+    const objectId = this.createObject('window', windowData);
+    return objectId;
+  }
+  
+  // Remove window (for command history)
+  async removeWindow(windowId) {
+    return this.deleteObject(windowId);
+  }
+  
+  // Add wall (for command history)
+  async addWall(wallData) {
+    const objectId = this.createObject('wall', wallData);
+    return objectId;
+  }
+  
+  // Remove wall (for command history)
+  async removeWall(wallId) {
+    return this.deleteObject(wallId);
+  }
+  
+  // Update wall (for command history)
+  async updateWall(wallId, wallData) {
+    return this.updateObject(wallId, wallData);
+  }
+  
+  // Get wall data (for command history)
+  async getWall(wallId) {
+    return this.getEntity(wallId);
+  }
+  
+  /**
+   * Create door with undo/redo support
+   */
+  createDoorWithHistory(doorParams) {
+    const command = CommandFactory.createDoor(doorParams, this);
+    return commandHistory.executeCommand(command);
+  }
+  
+  /**
+   * Create window with undo/redo support
+   */
+  createWindowWithHistory(windowParams) {
+    const command = CommandFactory.createWindow(windowParams, this);
+    return commandHistory.executeCommand(command);
+  }
+  
+  /**
+   * Create wall with undo/redo support
+   */
+  createWallWithHistory(wallParams) {
+    const command = CommandFactory.createWall(wallParams, this);
+    return commandHistory.executeCommand(command);
+  }
+
+  /**
+   * Create preview object (temporary visualization)
+   */
+  createPreview(type, params) {
+    this.clearPreview();
+    
+    let result;
+    switch (type) {
+      case 'slab':
+        result = this.createSlabGeometry(params);
+        break;
+      default:
+        return null;
+    }
+    
+    // Apply preview material
+    if (result.mesh3D) {
+      result.mesh3D.material = this.materials.preview.clone();
+      this.scene3D.add(result.mesh3D);
+    }
+    if (result.mesh2D) {
+      result.mesh2D.material = new THREE.MeshBasicMaterial({
+        color: 0xffaa00,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.3
+      });
+      this.scene2D.add(result.mesh2D);
+    }
+    
+    this.previewObject = result;
+    
+    return result;
+  }
+
+  /**
+   * Clear preview object
+   */
+  clearPreview() {
+    if (this.previewObject) {
+      if (this.previewObject.mesh3D) {
+        this.scene3D.remove(this.previewObject.mesh3D);
+        if (this.previewObject.mesh3D.geometry) this.previewObject.mesh3D.geometry.dispose();
+        if (this.previewObject.mesh3D.material) this.previewObject.mesh3D.material.dispose();
+      }
+      
+      if (this.previewObject.mesh2D) {
+        this.scene2D.remove(this.previewObject.mesh2D);
+        
+        // Handle architectural walls (groups) vs legacy single meshes
+        if (this.previewObject.mesh2D.type === 'Group') {
+          // Dispose of all children in the group (architectural walls)
+          this.previewObject.mesh2D.children.forEach(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+          });
+        } else {
+          // Legacy single mesh disposal
+          if (this.previewObject.mesh2D.geometry) this.previewObject.mesh2D.geometry.dispose();
+          if (this.previewObject.mesh2D.material) this.previewObject.mesh2D.material.dispose();
+        }
+      }
+      this.previewObject = null;
+    }
+  }
+
+  /**
+   * Export the model as an IFC4 STEP file
+   * @param {Object} options - projectName, siteName, buildingName, fileName, author, organization
+   * @returns {{ content: string, fileName: string, summary: Object }}
+   */
+  exportIFC(options = {}) {
+    const objects = Array.from(this.objects.values()).map(cadObject => ({
+      id: cadObject.id,
+      type: cadObject.type,
+      params: cadObject.params || {},
+      position: cadObject.mesh3D ? {
+        x: cadObject.mesh3D.position.x,
+        y: cadObject.mesh3D.position.y,
+        z: cadObject.mesh3D.position.z
+      } : cadObject.params?.position,
+      rotation: cadObject.mesh3D ? {
+        x: cadObject.mesh3D.rotation.x,
+        y: cadObject.mesh3D.rotation.y,
+        z: cadObject.mesh3D.rotation.z
+      } : { x: 0, y: 0, z: 0 }
+    }));
+
+    const result = ifcExportService.exportModel({
+      objects,
+      storeys: this.levels,
+      wallTypeTemplates: this.wallTypeTemplates,
+      getWallProperties: (wallTemplate, objectId) => this.getWallIFCProperties(wallTemplate, objectId)
+    }, { documentId: this.documentId, ...options });
+
+    this.emit('ifc_exported', {
+      fileName: result.fileName,
+      summary: result.summary
+    });
+
+    return result;
+  }
+
+  /**
+   * Plain model data for quantity take-off (see ScheduleService)
+   */
+  getTakeoffModel() {
+    return {
+      objects: Array.from(this.objects.values()).map(cadObject => ({
+        id: cadObject.id,
+        type: cadObject.type,
+        params: cadObject.params || {},
+        openings: cadObject.openings || [],
+        ...(cadObject.mesh3D?.userData.curtainWall ? { curtainWall: cadObject.mesh3D.userData.curtainWall } : {})
+      })),
+      wallTypeTemplates: this.wallTypeTemplates,
+      slabTypeTemplates: this.slabTypeTemplates,
+      roofTypeTemplates: this.roofTypeTemplates,
+      materialDatabase: this.materialDatabase,
+      levels: this.getLevels()
+    };
+  }
+
+  /**
+   * Generate a door, window, wall, slab, room or material schedule
+   * @param {string} type - Schedule type (scheduleService.getScheduleTypes())
+   * @param {Object} options - { groupBy, levelId }
+   */
+  generateSchedule(type, options = {}) {
+    return scheduleService.generate(type, this.getTakeoffModel(), options);
+  }
+
+  /**
+   * Whole-building thermal (U-value) and embodied-carbon report
+   * @param {Object} options - { name, northAngle, carbonFactors }
+   */
+  generateSustainabilityReport(options = {}) {
+    return sustainabilityReportService.generateReport(this.getTakeoffModel(), options);
+  }
+
+  /**
+   * Compare the current model with another design option saved as a scene document
+   * @param {string|Object} input - Scene document JSON or parsed data of the alternative
+   * @param {Object} options - { name, alternativeName, northAngle, carbonFactors }
+   * @returns {{ current: Object, alternative: Object, comparison: Object }}
+   */
+  compareDesignOption(input, options = {}) {
+    const document = sceneDocumentService.load(input);
+    const alternativeModel = {
+      objects: document.objects,
+      wallTypeTemplates: { ...this.wallTypeTemplates, ...(document.wallTypes || {}) },
+      slabTypeTemplates: { ...this.slabTypeTemplates, ...(document.slabTypes || {}) },
+      roofTypeTemplates: { ...this.roofTypeTemplates, ...(document.roofTypes || {}) },
+      materialDatabase: { ...this.materialDatabase, ...(document.materials || {}) },
+      levels: document.floors
+    };
+
+    const current = this.generateSustainabilityReport(options);
+    const alternative = sustainabilityReportService.generateReport(alternativeModel, {
+      ...options,
+      name: options.alternativeName || document.metadata.name
+    });
+    return { current, alternative, comparison: sustainabilityReportService.compareReports(current, alternative) };
+  }
+
+  /**
+   * MATERIAL AND ASSEMBLY LIBRARY
+   * Materials pair a THREE material (this.materials) with analysis properties
+   * (this.materialDatabase). Wall, slab and roof types are layered assemblies;
+   * editing one regenerates every object that uses it.
+   */
+  getAssemblyTemplates(kind) {
+    materialLibraryService.assertKind(kind);
+    return { wall: this.wallTypeTemplates, slab: this.slabTypeTemplates, roof: this.roofTypeTemplates }[kind];
+  }
+
+  getAssemblyTypes(kind) {
+    const templates = this.getAssemblyTemplates(kind);
+    const objects = Array.from(this.objects.values());
+    return Object.entries(templates).map(([id, template]) => ({
+      id,
+      ...template,
+      builtIn: this.builtInLibrary[kind].has(id),
+      usageCount: materialLibraryService.findAssemblyUsage(objects, kind, id).length
+    }));
+  }
+
+  getAssemblyType(kind, typeId) {
+    const template = this.getAssemblyTemplates(kind)[typeId];
+    return template ? { id: typeId, ...template, builtIn: this.builtInLibrary[kind].has(typeId) } : null;
+  }
+
+  /**
+   * Add a layered wall, slab or roof type to the project
+   * @param {string} kind - 'wall' | 'slab' | 'roof'
+   * @param {Object} definition - { name, description, layers: [{ material, thickness, function, name }], properties }
+   * @param {Object} options - { id } to choose the type id (defaults to one derived from the name)
+   * @returns {string} Type id
+   * @throws {Error} When the definition is invalid or the id is taken
+   */
+  createAssemblyType(kind, definition, options = {}) {
+    const templates = this.getAssemblyTemplates(kind);
+    const template = materialLibraryService.normalizeAssembly(kind, definition, this.getMaterialIds());
+    const typeId = options.id || materialLibraryService.createId(template.name, Object.keys(templates));
+    if (templates[typeId]) {
+      throw new Error(`A ${kind} type with id "${typeId}" already exists`);
+    }
+
+    templates[typeId] = template;
+    console.log(`📚 Created ${kind} type "${template.name}" (${typeId}, ${template.layers.length} layers, ${template.totalThickness}m)`);
+    this.emit('assembly_types_changed', { kind, typeId, action: 'created' });
+    return typeId;
+  }
+
+  /**
+   * Edit a type; objects using it are regenerated with the new build-up
+   * @returns {string[]} Ids of the regenerated objects
+   */
+  updateAssemblyType(kind, typeId, changes) {
+    const templates = this.getAssemblyTemplates(kind);
+    const current = templates[typeId];
+    if (!current) {
+      throw new Error(`Unknown ${kind} type "${typeId}"`);
+    }
+
+    templates[typeId] = materialLibraryService.normalizeAssembly(kind, {
+      ...current,
+      ...changes,
+      properties: { ...current.properties, ...(changes.properties || {}) }
+    }, this.getMaterialIds());
+
+    const usage = materialLibraryService.findAssemblyUsage(Array.from(this.objects.values()), kind, typeId);
+    usage.forEach(objectId => this.updateObject(objectId, {}));
+    console.log(`📚 Updated ${kind} type ${typeId}, regenerated ${usage.length} objects`);
+
+    this.emit('assembly_types_changed', { kind, typeId, action: 'updated' });
+    return usage;
+  }
+
+  /**
+   * Copy a type (built-in or custom) as a starting point for a new one
+   * @returns {string} Id of the copy
+   */
+  duplicateAssemblyType(kind, typeId, name) {
+    const source = this.getAssemblyTemplates(kind)[typeId];
+    if (!source) {
+      throw new Error(`Unknown ${kind} type "${typeId}"`);
+    }
+    return this.createAssemblyType(kind, materialLibraryService.duplicate(source, name));
+  }
+
+  /**
+   * Remove a custom type that no object uses
+   */
+  removeAssemblyType(kind, typeId) {
+    const templates = this.getAssemblyTemplates(kind);
+    if (!templates[typeId]) return false;
+    if (this.builtInLibrary[kind].has(typeId)) {
+      console.warn(`Cannot remove built-in ${kind} type ${typeId}`);
+      return false;
+    }
+    const usage = materialLibraryService.findAssemblyUsage(Array.from(this.objects.values()), kind, typeId);
+    if (usage.length > 0) {
+      console.warn(`Cannot remove ${kind} type ${typeId}: used by ${usage.length} objects`);
+      return false;
+    }
+
+    delete templates[typeId];
+    this.emit('assembly_types_changed', { kind, typeId, action: 'removed' });
+    return true;
+  }
+
+  /**
+   * Assign a type to a wall, slab or roof and regenerate it
+   */
+  setObjectAssemblyType(objectId, typeId) {
+    const cadObject = this.objects.get(objectId);
+    if (!cadObject || !ASSEMBLY_KINDS.includes(cadObject.type)) return false;
+    if (!this.getAssemblyTemplates(cadObject.type)[typeId]) {
+      throw new Error(`Unknown ${cadObject.type} type "${typeId}"`);
+    }
+    return this.updateObject(objectId, cadObject.type === 'wall' ? { wallType: typeId } : { assemblyType: typeId });
+  }
+
+  /**
+   * Keep thickness (and the single-material fallback) in step with the object's type
+   */
+  prepareAssemblyParams(type, params = {}) {
+    if (!ASSEMBLY_KINDS.includes(type)) return params;
+    const typeId = type === 'wall' ? params.wallType : params.assemblyType;
+    const template = typeId ? this.getAssemblyTemplates(type)[typeId] : null;
+    if (!template) return params;
+
+    const prepared = { ...params, thickness: template.totalThickness };
+    if (type !== 'wall') {
+      const structuralLayer = materialLibraryService.getStructuralLayer(template);
+      if (structuralLayer) prepared.material = structuralLayer.material;
+    }
+    return prepared;
+  }
+
+  getMaterialIds() {
+    const ids = new Set([...Object.keys(this.materialDatabase), ...Object.keys(this.materials)]);
+    ['wireframe', 'selected', 'preview'].forEach(id => ids.delete(id));
+    return Array.from(ids);
+  }
+
+  /**
+   * Materials with their display color and analysis properties
+   */
+  getMaterials() {
+    return this.getMaterialIds().map(id => {
+      const material = this.materials[id];
+      return {
+        id,
+        name: id.replace(/_/g, ' '),
+        ...(this.materialDatabase[id] || {}),
+        color: material?.color ? `#${material.color.getHexString()}` : null,
+        builtIn: this.builtInLibrary.materials.has(id)
+      };
+    });
+  }
+
+  /**
+   * Add a material to the project
+   * @param {Object} definition - { name, color, category, thermalConductivity, density, thermalCapacity, compressiveStrength, roughness, metalness, opacity }
+   * @param {Object} options - { id }
+   * @returns {string} Material id
+   */
+  createMaterial(definition, options = {}) {
+    const material = materialLibraryService.normalizeMaterial(definition);
+    const materialId = options.id || materialLibraryService.createId(material.name, this.getMaterialIds());
+    if (this.materials[materialId] || this.materialDatabase[materialId]) {
+      throw new Error(`A material with id "${materialId}" already exists`);
+    }
+
+    this.applyMaterialDefinition(materialId, material);
+    console.log(`🎨 Created material "${material.name}" (${materialId})`);
+    this.emit('materials_changed', { materialId, action: 'created' });
+    return materialId;
+  }
+
+  /**
+   * Edit a material; objects that use it (directly or through a type) are regenerated
+   * @returns {string[]} Ids of the regenerated objects
+   */
+  updateMaterial(materialId, changes) {
+    if (!this.getMaterialIds().includes(materialId)) {
+      throw new Error(`Unknown material "${materialId}"`);
+    }
+    const current = this.getMaterials().find(material => material.id === materialId);
+    const material = materialLibraryService.normalizeMaterial({ ...current, ...changes });
+    this.applyMaterialDefinition(materialId, material);
+
+    const { objects } = materialLibraryService.findMaterialUsage(
+      Array.from(this.objects.values()),
+      { wall: this.wallTypeTemplates, slab: this.slabTypeTemplates, roof: this.roofTypeTemplates },
+      materialId
+    );
+    objects.forEach(objectId => this.updateObject(objectId, {}));
+
+    this.emit('materials_changed', { materialId, action: 'updated' });
+    return objects;
+  }
+
+  /**
+   * Remove a custom material that no object or type uses
+   */
+  removeMaterial(materialId) {
+    if (this.builtInLibrary.materials.has(materialId)) {
+      console.warn(`Cannot remove built-in material ${materialId}`);
+      return false;
+    }
+    const usage = materialLibraryService.findMaterialUsage(
+      Array.from(this.objects.values()),
+      { wall: this.wallTypeTemplates, slab: this.slabTypeTemplates, roof: this.roofTypeTemplates },
+      materialId
+    );
+    if (usage.objects.length > 0 || usage.assemblies.length > 0) {
+      console.warn(`Cannot remove material ${materialId}: still in use`);
+      return false;
+    }
+
+    if (this.materials[materialId]) this.materials[materialId].dispose();
+    delete this.materials[materialId];
+    delete this.materialDatabase[materialId];
+    this.emit('materials_changed', { materialId, action: 'removed' });
+    return true;
+  }
+
+  applyMaterialDefinition(materialId, material) {
+    const { color, roughness, metalness, opacity, ...properties } = material;
+    const existing = this.materials[materialId];
+    if (existing && existing.isMeshLambertMaterial) {
+      existing.color.set(color);
+      existing.transparent = opacity < 1;
+      existing.opacity = opacity;
+      existing.needsUpdate = true;
+    } else {
+      if (existing) existing.dispose();
+      this.materials[materialId] = new THREE.MeshLambertMaterial({ color, transparent: opacity < 1, opacity });
+    }
+    this.materials[materialId].userData.library = { roughness, metalness };
+
+    // Unknown physical properties stay absent so analyses skip them
+    const known = Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== null));
+    this.materialDatabase[materialId] = { ...(this.materialDatabase[materialId] || {}), ...known };
+  }
+
+  /**
+   * Library entries (materials and types) the project defines or uses, for the scene document
+   */
+  getLibrarySnapshot() {
+    const objects = Array.from(this.objects.values());
+    const snapshot = { materials: {}, wall: {}, slab: {}, roof: {} };
+
+    ASSEMBLY_KINDS.forEach(kind => {
+      Object.entries(this.getAssemblyTemplates(kind)).forEach(([typeId, template]) => {
+        const custom = !this.builtInLibrary[kind].has(typeId);
+        if (custom || materialLibraryService.findAssemblyUsage(objects, kind, typeId).length > 0) {
+          snapshot[kind][typeId] = template;
+        }
+      });
+    });
+
+    const usedMaterials = new Set(objects.map(object => object.params?.material).filter(Boolean));
+    ASSEMBLY_KINDS.forEach(kind => Object.values(snapshot[kind]).forEach(template => {
+      template.layers.forEach(layer => usedMaterials.add(layer.material));
+    }));
+    this.getMaterials()
+      .filter(material => !material.builtIn || usedMaterials.has(material.id))
+      .forEach(({ id, builtIn, ...material }) => {
+        snapshot.materials[id] = material;
+      });
+
+    return snapshot;
+  }
+
+  /**
+   * Merge library entries from a scene document or the user library.
+   * Materials that fail validation are skipped with a warning.
+   */
+  applyLibrarySnapshot(snapshot = {}, { overwrite = true } = {}) {
+    Object.entries(snapshot.materials || {}).forEach(([materialId, definition]) => {
+      if (!overwrite && this.getMaterialIds().includes(materialId)) return;
+      try {
+        this.applyMaterialDefinition(materialId, materialLibraryService.normalizeMaterial({ name: materialId, ...definition }));
+      } catch (error) {
+        console.warn(`Skipping material ${materialId}:`, error.message);
+      }
+    });
+
+    ASSEMBLY_KINDS.forEach(kind => {
+      const templates = this.getAssemblyTemplates(kind);
+      Object.entries(snapshot[kind] || {}).forEach(([typeId, template]) => {
+        if (!overwrite && templates[typeId]) return;
+        try {
+          templates[typeId] = { ...template, ...materialLibraryService.normalizeAssembly(kind, template) };
+        } catch (error) {
+          // Keep saved build-ups the editor would reject (e.g. zero-thickness IFC membranes)
+          console.warn(`Keeping ${kind} type ${typeId} as saved:`, error.message);
+          templates[typeId] = { properties: {}, ...template };
+        }
+      });
+    });
+
+    this.emit('materials_changed', { action: 'loaded' });
+    this.emit('assembly_types_changed', { action: 'loaded' });
+  }
+
+  /**
+   * Save a project material or type to the user library for reuse in other projects
+   * @param {string} section - 'materials' | 'wall' | 'slab' | 'roof'
+   */
+  saveToUserLibrary(section, entryId) {
+    const definition = section === 'materials'
+      ? this.getMaterials().find(material => material.id === entryId)
+      : this.getAssemblyTemplates(section)[entryId];
+    if (!definition) return false;
+
+    const { id, builtIn, ...entry } = definition;
+    return materialLibraryService.saveToUserLibrary(section, entryId, entry);
   }
 
   /**
-   * Create fixture geometry
+   * Bring the user library into the project without replacing project entries
    */
-  createFixtureGeometry(params) {
-    const { 
-      width = 0.3, 
-      height = 0.4, 
-      depth = 0.3,
-      materialColor = '#FFD700',
-      subtype = 'generic',
-      name = 'Fixture',
-      position = { x: 0, y: 0, z: 0 }
-    } = params;
-    
-    // Create 3D geometry based on fixture type
-    let geometry;
-    let color = materialColor;
-    let yPosition = height / 2;
-    
-    // Adjust geometry based on subtype
-    switch (subtype) {
-      case 'pendant-light':
-        geometry = new THREE.ConeGeometry(width/2, height, 8);
-        yPosition = 2.5 - height/2; // Hang from ceiling
-        break;
-      case 'chandelier':
-        geometry = new THREE.SphereGeometry(width/2, 16, 8);
-        yPosition = 2.5 - height/2; // Hang from ceiling
-        break;
-      case 'floor-lamp':
-        geometry = new THREE.CylinderGeometry(0.02, 0.05, height, 8);
-        yPosition = height / 2;
-        break;
-      case 'toilet':
-        // Create toilet shape (simplified)
-        const group = new THREE.Group();
-        // Bowl
-        const bowl = new THREE.CylinderGeometry(width/2, width/2 - 0.05, height * 0.6, 12);
-        const bowlMesh = new THREE.Mesh(bowl, new THREE.MeshLambertMaterial({ color: color }));
-        bowlMesh.position.y = height * 0.3;
-        group.add(bowlMesh);
-        // Tank
-        const tank = new THREE.BoxGeometry(width * 0.8, height * 0.6, depth * 0.4);
-        const tankMesh = new THREE.Mesh(tank, new THREE.MeshLambertMaterial({ color: color }));
-        tankMesh.position.set(0, height * 0.7, -depth * 0.3);
-        group.add(tankMesh);
-        geometry = group;
-        yPosition = 0;
-        break;
-      case 'sink':
-        geometry = new THREE.CylinderGeometry(width/2, width/2 - 0.02, height, 12);
-        yPosition = 0.8 + height/2; // Counter height
-        break;
-      case 'bathtub':
-        geometry = new THREE.BoxGeometry(width, height, depth);
-        yPosition = height / 2;
-        break;
-      default:
-        geometry = new THREE.BoxGeometry(width, height, depth);
+  loadUserLibrary() {
+    const library = materialLibraryService.loadUserLibrary();
+    this.applyLibrarySnapshot(library, { overwrite: false });
+    return library;
+  }
+
+  /**
+   * Building levels (storeys)
+   * Every object belongs to a level through params.levelId; walls and columns may also
+   * set topLevelId/topOffset so their height follows the level above.
+   */
+  getLevels() {
+    return sortLevels(this.levels).map(level => ({ ...level }));
+  }
+
+  getLevel(levelId) {
+    const level = findLevel(this.levels, levelId);
+    return level ? { ...level } : null;
+  }
+
+  getActiveLevel() {
+    return this.getLevel(this.activeLevelId) || this.getLevels()[0];
+  }
+
+  getLevelBelow(levelId) {
+    return getLevelBelow(this.levels, levelId);
+  }
+
+  getLevelAbove(levelId) {
+    return getLevelAbove(this.levels, levelId);
+  }
+
+  /**
+   * Level id of an engine object (CAD object, serialized object or params)
+   */
+  getObjectLevelId(object) {
+    const params = object?.params || object || {};
+    const level = resolveObjectLevel(this.levels, params);
+    return level ? level.id : null;
+  }
+
+  /**
+   * Add a level; without an elevation it is stacked on top of the highest level
+   */
+  addLevel(levelData = {}) {
+    let id = levelData.id || `level_${this.levels.length}`;
+    while (!levelData.id && findLevel(this.levels, id)) {
+      id = `${id}_1`;
     }
-    
-    // Create 3D mesh
-    let mesh3D;
-    if (geometry.type === 'Group') {
-      mesh3D = geometry; // Already a group with materials
-      mesh3D.userData = { objectId: null, type: 'fixture', subtype, name };
-    } else {
-      const material = new THREE.MeshLambertMaterial({ color: color });
-      mesh3D = new THREE.Mesh(geometry, material);
-      mesh3D.userData = { objectId: null, type: 'fixture', subtype, name };
+    if (findLevel(this.levels, id)) {
+      console.warn(`⚠️ LEVELS: Level ${id} already exists`);
+      return this.getLevel(id);
     }
-    
-    // Set position
-    mesh3D.position.set(position.x, yPosition, position.z);
-    
-    // Create 2D representation (top-down view)
-    const geometry2D = new THREE.PlaneGeometry(width, depth);
-    const material2D = new THREE.MeshBasicMaterial({ 
-      color: color, 
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.6
+
+    const level = createLevel({
+      ...levelData,
+      id,
+      elevation: levelData.elevation !== undefined ? levelData.elevation : getNextLevelElevation(this.levels)
     });
-    const mesh2D = new THREE.Mesh(geometry2D, material2D);
-    mesh2D.userData = { objectId: null, type: 'fixture', subtype, name };
-    mesh2D.position.set(position.x, 0, position.z);
-    
-    return {
-      geometry: geometry,
-      mesh3D: mesh3D,
-      mesh2D: mesh2D
-    };
+    this.levels = sortLevels([...this.levels, level]);
+
+    console.log(`🏢 LEVELS: Added ${level.name} at ${level.elevation}m`);
+    this.emit('levels_changed', { levels: this.getLevels(), added: level.id });
+    return { ...level };
   }
 
   /**
-   * Update object parameters
+   * Return the level with this id, creating it when missing
    */
-  updateObject(objectId, newParams) {
-    console.log(`🔧 CAD ENGINE: Updating object ${objectId} with parameters:`, newParams);
-    
-    const cadObject = this.objects.get(objectId);
-    if (!cadObject) {
-      console.warn(`Object not found: ${objectId}`);
+  ensureLevel(levelData) {
+    return this.getLevel(levelData.id) || this.addLevel(levelData);
+  }
+
+  /**
+   * Update name, elevation or floor-to-floor height of a level.
+   * Contents of every level that moves follow it; level-constrained heights are recomputed.
+   */
+  updateLevel(levelId, updates = {}) {
+    const { levels, moved } = updateLevelStack(this.levels, levelId, updates);
+    this.levels = levels;
+
+    if (moved.size > 0) {
+      for (const cadObject of this.objects.values()) {
+        const params = cadObject.params || {};
+        const objectLevelId = this.getObjectLevelId(params);
+        const hostLevelId = params.hostWallId && this.objects.has(params.hostWallId)
+          ? this.getObjectLevelId(this.objects.get(params.hostWallId))
+          : null;
+
+        if (params.topLevelId && (moved.has(params.topLevelId) || moved.has(objectLevelId))) {
+          // Regenerates with the new constrained height and placement
+          this.updateObject(cadObject.id, {});
+        } else if (moved.has(objectLevelId) || (hostLevelId && moved.has(hostLevelId))) {
+          this.applyLevelPlacement(cadObject);
+          this.emit('object_updated', { object: this.serializeObject(cadObject), objectId: cadObject.id, type: 'level_moved' });
+        }
+      }
+    }
+
+    console.log(`🏢 LEVELS: Updated ${levelId}`, updates);
+    this.emit('levels_changed', { levels: this.getLevels(), updated: levelId, moved: Array.from(moved.keys()) });
+    return this.getLevel(levelId);
+  }
+
+  /**
+   * Remove an empty level (objects and top constraints must not reference it)
+   */
+  removeLevel(levelId) {
+    if (this.levels.length <= 1 || !findLevel(this.levels, levelId)) {
+      return false;
+    }
+    const inUse = Array.from(this.objects.values()).some(cadObject =>
+      this.getObjectLevelId(cadObject) === levelId || cadObject.params?.topLevelId === levelId
+    );
+    if (inUse) {
+      console.warn(`⚠️ LEVELS: Level ${levelId} still has objects`);
       return false;
     }
 
-    console.log(`🔧 CAD ENGINE: Found object to update:`, {
-      id: objectId,
-      type: cadObject.type,
-      hasMesh3D: !!cadObject.mesh3D,
-      hasMesh2D: !!cadObject.mesh2D,
-      currentParams: cadObject.params
-    });
+    this.levels = this.levels.filter(level => level.id !== levelId);
+    if (this.activeLevelId === levelId) {
+      this.activeLevelId = sortLevels(this.levels)[0].id;
+    }
+    this.emit('levels_changed', { levels: this.getLevels(), removed: levelId });
+    return true;
+  }
 
-    // Check if this is a property panel update (don't trigger joinery for property updates)
-    const isPropertyUpdate = newParams.updatedBy === 'wall_property_panel';
-    if (isPropertyUpdate) {
-      console.log(`🔧 CAD ENGINE: Property panel update detected - disabling joinery`);
+  /**
+   * Level that new objects are placed on and the 2D view shows
+   */
+  setActiveLevel(levelId) {
+    if (!findLevel(this.levels, levelId) || this.activeLevelId === levelId) {
+      return false;
     }
+    this.activeLevelId = levelId;
+    const below = getLevelBelow(this.levels, levelId);
+    this.emit('active_level_changed', { levelId, levelBelowId: below ? below.id : null });
+    return true;
+  }
 
-    // Update parameters
-    cadObject.params = { ...cadObject.params, ...newParams };
-    console.log(`🔧 CAD ENGINE: Updated parameters:`, cadObject.params);
-    
-    // Remove old meshes from scenes
-    console.log(`🗑️ CAD ENGINE: Disposing old meshes for ${objectId}`);
-    if (cadObject.mesh3D) {
-      this.scene3D.remove(cadObject.mesh3D);
-      if (cadObject.mesh3D.geometry && typeof cadObject.mesh3D.geometry.dispose === 'function') {
-        cadObject.mesh3D.geometry.dispose();
-        console.log(`✅ CAD ENGINE: Disposed 3D geometry for ${objectId}`);
-      }
-      if (cadObject.mesh3D.material && typeof cadObject.mesh3D.material.dispose === 'function') {
-        cadObject.mesh3D.material.dispose();
-        console.log(`✅ CAD ENGINE: Disposed 3D material for ${objectId}`);
-      }
+  /**
+   * Fill in level association for new/updated params: hosted elements follow their host,
+   * everything else defaults to the active level; top-constrained walls/columns get their height
+   */
+  prepareLevelParams(type, params = {}) {
+    const prepared = { ...params };
+    const host = prepared.hostWallId ? this.objects.get(prepared.hostWallId) : null;
+
+    if (host) {
+      prepared.levelId = this.getObjectLevelId(host);
+    } else if (!findLevel(this.levels, prepared.levelId)) {
+      // Unknown ids (e.g. pasted from another project) fall back to the lowest level
+      prepared.levelId = prepared.levelId ? this.getObjectLevelId({}) : this.activeLevelId;
     }
-    if (cadObject.mesh2D) {
-      this.scene2D.remove(cadObject.mesh2D);
-      if (cadObject.mesh2D.geometry && typeof cadObject.mesh2D.geometry.dispose === 'function') {
-        cadObject.mesh2D.geometry.dispose();
-        console.log(`✅ CAD ENGINE: Disposed 2D geometry for ${objectId}`);
-      }
-      if (cadObject.mesh2D.material && typeof cadObject.mesh2D.material.dispose === 'function') {
-        cadObject.mesh2D.material.dispose();
-        console.log(`✅ CAD ENGINE: Disposed 2D material for ${objectId}`);
+
+    if ((type === 'wall' || type === 'column') && prepared.topLevelId) {
+      const extent = resolveVerticalExtent(this.levels, prepared, prepared.height);
+      if (extent.constrained) {
+        prepared.height = extent.height;
       }
     }
-    console.log(`🗑️ CAD ENGINE: Disposal completed for ${objectId}`);
-    
-    // Recreate geometry with new parameters
-    let result;
-    switch (cadObject.type) {
-      case 'slab':
-        result = this.createSlabGeometry(cadObject.params);
-        break;
-      case 'wall':
-        result = this.createWallGeometry({
-          ...cadObject.params,
-          skipJoinery: isPropertyUpdate  // Skip joinery for property panel updates
-        });
-        break;
-      case 'door':
-        result = this.createDoorGeometry(cadObject.params);
-        break;
-      case 'window':
-        result = this.createWindowGeometry(cadObject.params);
-        break;
-      case 'column':
-        result = this.createColumnGeometry(cadObject.params);
-        break;
-      case 'furniture':
-        result = this.createFurnitureGeometry(cadObject.params);
-        break;
-      case 'fixture':
-        result = this.createFixtureGeometry(cadObject.params);
-        break;
-      default:
-        console.warn(`Update not implemented for type: ${cadObject.type}`);
-        return false;
-    }
-    
-    // Update object
-    cadObject.geometry = result.geometry;
-    cadObject.mesh3D = result.mesh3D;
-    cadObject.mesh2D = result.mesh2D;
-    
-    // Set user data
-    if (cadObject.mesh3D) {
-      cadObject.mesh3D.userData.objectId = objectId;
-      this.scene3D.add(cadObject.mesh3D);
+    return prepared;
+  }
+
+  /**
+   * Lift an object's 3D mesh to its level elevation (idempotent: the applied
+   * elevation is tracked on the mesh so regenerated meshes and level moves both work)
+   */
+  applyLevelPlacement(cadObject) {
+    const mesh = cadObject?.mesh3D;
+    if (!mesh) return;
+
+    const params = cadObject.params || {};
+    const host = params.hostWallId ? this.objects.get(params.hostWallId) : null;
+    const level = resolveObjectLevel(this.levels, host ? host.params : params);
+    const baseOffset = cadObject.type === 'wall' ? Number(params.baseOffset) || 0
+      : host ? Number(host.params.baseOffset) || 0
+        : 0;
+
+    const target = (level ? level.elevation : 0) + baseOffset;
+    const applied = mesh.userData.levelElevation || 0;
+    if (target !== applied) {
+      mesh.position.y += target - applied;
     }
-    if (cadObject.mesh2D) {
-      cadObject.mesh2D.userData.objectId = objectId;
-      this.scene2D.add(cadObject.mesh2D);
+    mesh.userData.levelElevation = target;
+  }
+
+  /**
+   * Structural grids
+   * Building-wide reference grids (see utils/structuralGrid). Columns, walls, beams and
+   * braces placed on a grid axis are hosted by that grid and move with it when it changes.
+   */
+  getGrids() {
+    return this.grids.map(grid => ({
+      ...grid,
+      origin: { ...grid.origin },
+      xSpacings: [...grid.xSpacings],
+      zSpacings: [...grid.zSpacings]
+    }));
+  }
+
+  getGrid(gridId) {
+    return this.getGrids().find(grid => grid.id === gridId) || null;
+  }
+
+  /**
+   * Add a structural grid
+   * @param {Object} gridData - { name, origin, rotation, xSpacings, zSpacings, xLabels, zLabels, extension }
+   */
+  addGrid(gridData = {}) {
+    const taken = new Set(this.grids.map(grid => grid.id));
+    let number = this.grids.length + 1;
+    while (taken.has(`grid_${number}`)) number++;
+    const id = gridData.id && !taken.has(gridData.id) ? gridData.id : `grid_${number}`;
+    const grid = normalizeGrid({ ...gridData, name: gridData.name || `Grid ${number}`, id });
+    this.grids.push(grid);
+
+    console.log(`📐 GRIDS: Added ${grid.name} (${grid.xSpacings.length + 1} x ${grid.zSpacings.length + 1} axes)`);
+    this.emit('grids_changed', { grids: this.getGrids(), added: id });
+    return this.getGrid(id);
+  }
+
+  /**
+   * Change a grid's spacings, origin, rotation or labels. Hosted elements keep their
+   * distance from the axis at or before them, so elements on an axis stay on it.
+   */
+  updateGrid(gridId, updates = {}) {
+    const index = this.grids.findIndex(grid => grid.id === gridId);
+    if (index === -1) {
+      console.warn('⚠️ GRIDS: No grid', gridId);
+      return null;
     }
+    const previous = this.grids[index];
+    const grid = normalizeGrid({ ...previous, ...updates, id: gridId });
+    this.grids[index] = grid;
+
+    const follow = (point) => point && { ...point, ...moveWithGrid(previous, grid, point) };
+    const moved = [];
+    Array.from(this.objects.values())
+      .filter(obj => obj.params?.gridId === gridId)
+      .forEach(obj => {
+        let changes;
+        if (obj.type === 'column') {
+          changes = { position: follow(obj.params.position) };
+        } else if (obj.type === 'wall') {
+          const axis = this.getWallAxis(obj.params);
+          const startPoint = follow(axis.start);
+          const endPoint = follow(axis.end);
+          changes = { startPoint, endPoint, length: wallLength(startPoint, endPoint, axis.bulge) };
+        } else {
+          changes = { startPoint: follow(obj.params.startPoint), endPoint: follow(obj.params.endPoint) };
+        }
+        if (this.updateObject(obj.id, changes)) moved.push(obj.id);
+      });
 
-    // Emit update event
-    console.log(`📡 CAD ENGINE: Emitting object_updated event for ${objectId}`);
-    const serializedObject = this.serializeObject(cadObject);
-    console.log(`📡 CAD ENGINE: Serialized updated object:`, serializedObject);
-    
-    this.emit('object_updated', {
-      object: serializedObject,
-      objectId: objectId,
-      timestamp: Date.now()
+    console.log(`📐 GRIDS: Updated ${grid.name}, moved ${moved.length} hosted element(s)`);
+    this.emit('grids_changed', { grids: this.getGrids(), updated: gridId, moved });
+    return this.getGrid(gridId);
+  }
+
+  /**
+   * Remove a grid; its hosted elements stay where they are
+   */
+  removeGrid(gridId) {
+    if (!this.grids.some(grid => grid.id === gridId)) return false;
+    this.grids = this.grids.filter(grid => grid.id !== gridId);
+    this.objects.forEach(obj => {
+      if (obj.params?.gridId === gridId) delete obj.params.gridId;
     });
-    
-    console.log(`📡 CAD ENGINE: Event emitted for object_updated`);
-    console.log(`✅ CAD ENGINE: Successfully updated object ${objectId} with new geometry`);
+    this.releaseDimensions(gridId);
+    this.emit('grids_changed', { grids: this.getGrids(), removed: gridId });
     return true;
   }
 
   /**
-   * Delete a CAD object
+   * Record which grid hosts a column, wall, beam or brace: the first grid with one of the
+   * element's points on an axis (its current grid first)
    */
-  deleteObject(objectId) {
-    const cadObject = this.objects.get(objectId);
-    if (!cadObject) {
-      console.warn(`Object not found: ${objectId}`);
-      return false;
-    }
+  prepareGridParams(type, params = {}) {
+    const points = type === 'column'
+      ? [params.position]
+      : ['wall', 'beam', 'brace'].includes(type) ? [params.startPoint, params.endPoint] : [];
+    const located = points.filter(point => point && Number.isFinite(point.x) && Number.isFinite(point.z));
+    if (located.length === 0 || (this.grids.length === 0 && !params.gridId)) return params;
 
-    // Remove from scenes and dispose properly
-    if (cadObject.mesh3D) {
-      this.scene3D.remove(cadObject.mesh3D);
-      if (cadObject.mesh3D.geometry) cadObject.mesh3D.geometry.dispose();
-      if (cadObject.mesh3D.material) cadObject.mesh3D.material.dispose();
-    }
-    
-    if (cadObject.mesh2D) {
-      this.scene2D.remove(cadObject.mesh2D);
-      
-      // Handle architectural walls (groups) vs legacy single meshes
-      if (cadObject.mesh2D.type === 'Group') {
-        // Dispose of all children in the group (architectural walls)
-        cadObject.mesh2D.children.forEach(child => {
-          if (child.geometry) child.geometry.dispose();
-          if (child.material) child.material.dispose();
-        });
-      } else {
-        // Legacy single mesh disposal
-        if (cadObject.mesh2D.geometry) cadObject.mesh2D.geometry.dispose();
-        if (cadObject.mesh2D.material) cadObject.mesh2D.material.dispose();
-      }
+    const candidates = [...this.grids].sort((a, b) => (b.id === params.gridId) - (a.id === params.gridId));
+    const host = candidates.find(grid => located.some(point => {
+      const { xAxis, zAxis } = locateOnGrid(grid, point);
+      return xAxis !== null || zAxis !== null;
+    }));
+    const prepared = { ...params };
+    if (host) {
+      prepared.gridId = host.id;
+    } else {
+      delete prepared.gridId;
     }
+    return prepared;
+  }
 
-    // Remove from selection
-    this.selectedObjects.delete(objectId);
-    
-    // Remove from storage
-    this.objects.delete(objectId);
-
-    console.log(`🗑️ Deleted object: ${objectId}`);
+  /**
+   * Axis crossings of every grid as snap targets
+   */
+  getGridSnapPoints() {
+    return this.grids.flatMap(grid => gridIntersections(grid).map(intersection => ({
+      x: intersection.x,
+      z: intersection.z,
+      kind: 'grid',
+      id: grid.id,
+      name: intersection.name
+    })));
+  }
 
-    // Emit delete event
-    this.emit('object_deleted', { objectId });
-    
-    return true;
+  /**
+   * Snap a plan point to the nearest grid crossing within the tolerance (m)
+   * @returns {{ point: {x, z}, target: Object|null }}
+   */
+  snapToGridIntersection(point, tolerance = 0.3) {
+    return snapToFramingTargets(point, this.getGridSnapPoints(), { tolerance });
   }
 
   /**
-   * Select object(s)
+   * Place a column at every crossing of a grid that has no column on the level yet
+   * @param {Object} params - Column parameters (size, shape, material, height, levelId)
+   * @returns {Array<string>} Ids of the new columns
    */
-  selectObject(objectId, addToSelection = false) {
-    if (!addToSelection) {
-      this.clearSelection();
-    }
-    
-    const cadObject = this.objects.get(objectId);
-    if (cadObject) {
-      this.selectedObjects.add(objectId);
-      cadObject.selected = true;
-      
-      // Visual selection feedback
-      if (cadObject.mesh3D) {
-        // Add selection outline or change material
-        cadObject.mesh3D.material = this.materials.selected.clone();
-      }
-      if (cadObject.mesh2D) {
-        cadObject.mesh2D.material = this.materials.selected.clone();
-      }
-      
-      this.emit('selection_changed', {
-        selectedObjects: Array.from(this.selectedObjects)
-      });
+  placeColumnsAtGridIntersections(gridId, params = {}) {
+    const grid = this.grids.find(candidate => candidate.id === gridId);
+    if (!grid) {
+      console.warn('⚠️ GRIDS: No grid', gridId);
+      return [];
     }
+    const levelId = findLevel(this.levels, params.levelId) ? params.levelId : this.activeLevelId;
+    const existing = Array.from(this.objects.values())
+      .filter(obj => obj.type === 'column' && obj.mesh3D && this.getObjectLevelId(obj) === levelId)
+      .map(obj => obj.mesh3D.position);
+
+    const ids = gridIntersections(grid)
+      .filter(point => !existing.some(column => Math.hypot(column.x - point.x, column.z - point.z) < 1e-3))
+      .map(point => this.createObject('column', {
+        ...params,
+        levelId,
+        position: { x: point.x, y: 0, z: point.z },
+        gridId,
+        gridMark: point.name
+      }))
+      .filter(Boolean);
+
+    console.log(`📐 GRIDS: Placed ${ids.length} column(s) on ${grid.name}`);
+    return ids;
   }
 
   /**
-   * Clear selection
+   * Section and elevation views
+   * Vertical planes through a line in plan (see utils/sectionViews). Drawings are made from
+   * the 3D meshes when asked for, so they always show the current model.
    */
-  clearSelection() {
-    this.selectedObjects.forEach(objectId => {
-      const cadObject = this.objects.get(objectId);
-      if (cadObject) {
-        cadObject.selected = false;
-        
-        // Restore original material
-        const materialName = cadObject.params.material || 'concrete';
-        const originalMaterial = this.materials[materialName] || this.materials.concrete;
-        
-        if (cadObject.mesh3D) {
-          cadObject.mesh3D.material = originalMaterial.clone();
-        }
-        if (cadObject.mesh2D) {
-          const material2D = new THREE.MeshBasicMaterial({
-            color: originalMaterial.color,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.7
-          });
-          cadObject.mesh2D.material = material2D;
-        }
-      }
-    });
-    
-    this.selectedObjects.clear();
-    
-    this.emit('selection_changed', {
-      selectedObjects: []
-    });
+  getSectionViews() {
+    return this.sectionViews.map(view => ({ ...view, start: { ...view.start }, end: { ...view.end } }));
+  }
+
+  getSectionView(viewId) {
+    return this.getSectionViews().find(view => view.id === viewId) || null;
   }
 
   /**
-   * Get all objects
+   * Add a section line or elevation
+   * @param {Object} viewData - { name, kind, start, end, depth, flip, side }
    */
-  getAllObjects() {
-    const objectArray = Array.from(this.objects.values());
-    const serialized = objectArray.map(obj => this.serializeObject(obj));
-    // Only log if there are objects to serialize
-    if (serialized.length > 0) {
-      console.log(`📦 Serialized ${serialized.length} objects`);
+  addSectionView(viewData = {}) {
+    const taken = new Set(this.sectionViews.map(view => view.id));
+    let number = this.sectionViews.length + 1;
+    while (taken.has(`view_${number}`)) number++;
+    const id = viewData.id && !taken.has(viewData.id) ? viewData.id : `view_${number}`;
+    const sections = this.sectionViews.filter(view => view.kind === 'section').length;
+    const view = createSectionView({ ...viewData, id, name: viewData.name || (viewData.side ? null : `Section ${sections + 1}`) });
+    this.sectionViews.push(view);
+
+    console.log(`✂️ VIEWS: Added ${view.name}`);
+    this.emit('section_views_changed', { views: this.getSectionViews(), added: id });
+    return this.getSectionView(id);
+  }
+
+  updateSectionView(viewId, updates = {}) {
+    const index = this.sectionViews.findIndex(view => view.id === viewId);
+    if (index === -1) {
+      console.warn('⚠️ VIEWS: No view', viewId);
+      return null;
     }
-    return serialized;
+    this.sectionViews[index] = createSectionView({ ...this.sectionViews[index], ...updates, id: viewId });
+    this.emit('section_views_changed', { views: this.getSectionViews(), updated: viewId });
+    return this.getSectionView(viewId);
+  }
+
+  removeSectionView(viewId) {
+    if (!this.sectionViews.some(view => view.id === viewId)) return false;
+    this.sectionViews = this.sectionViews.filter(view => view.id !== viewId);
+    this.emit('section_views_changed', { views: this.getSectionViews(), removed: viewId });
+    return true;
   }
 
   /**
-   * Clear all CAD objects (safe reset for starting a new project)
+   * Add the north, south, east and west elevations that are missing. They follow the
+   * model's extents, so they stay outside the building as it grows.
+   * @returns {Array<Object>} The four elevation views
    */
-  clearAllObjects() {
-    try {
-      console.log('🧹 CAD ENGINE: Clearing all objects');
-      // Deselect everything
-      this.selectedObjects.clear();
-      // Remove meshes from scenes if present
-      for (const cadObject of this.objects.values()) {
-        try {
-          if (cadObject.mesh3D && this.scene3D) {
-            this.scene3D.remove(cadObject.mesh3D);
+  createExteriorElevations() {
+    return Object.keys(ELEVATION_SIDES).map(side => (
+      this.sectionViews.find(view => view.side === side) || this.addSectionView({ side })
+    ));
+  }
+
+  /**
+   * The visible model as solids for section drawings: every mesh's world-space triangles
+   * and feature edges, with the material of its wall layer or of its object
+   */
+  getSectionSolids() {
+    const solids = [];
+    const point = new THREE.Vector3();
+    Array.from(this.objects.values())
+      .filter(obj => obj.mesh3D && obj.visible !== false && obj.type !== 'room')
+      .forEach(cadObject => {
+        cadObject.mesh3D.updateMatrixWorld(true);
+        cadObject.mesh3D.traverse(mesh => {
+          if (!mesh.isMesh || !mesh.visible || !mesh.geometry?.attributes?.position) return;
+          const position = mesh.geometry.attributes.position;
+          const index = mesh.geometry.index;
+          const read = (i) => {
+            point.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+            return [point.x, point.y, point.z];
+          };
+
+          const triangles = [];
+          const count = index ? index.count : position.count;
+          for (let i = 0; i + 2 < count; i += 3) {
+            [0, 1, 2].forEach(k => triangles.push(...read(index ? index.getX(i + k) : i + k)));
           }
-          if (cadObject.mesh2D && this.scene2D) {
-            this.scene2D.remove(cadObject.mesh2D);
+          const edgeGeometry = new THREE.EdgesGeometry(mesh.geometry, 20);
+          const edgePositions = edgeGeometry.attributes.position;
+          const edges = [];
+          for (let i = 0; i < edgePositions.count; i++) {
+            point.fromBufferAttribute(edgePositions, i).applyMatrix4(mesh.matrixWorld);
+            edges.push(point.x, point.y, point.z);
           }
-        } catch {}
-      }
-      // Reset storage
-      this.objects.clear();
-      // Notify listeners
-      this.emit('objects_changed', { objects: [] });
-      this.emit('selection_changed', { selectedObjects: [] });
-      console.log('✅ CAD ENGINE: All objects cleared');
-      return true;
-    } catch (error) {
-      console.warn('⚠️ CAD ENGINE: Failed to clear objects:', error?.message || error);
-      return false;
-    }
+          edgeGeometry.dispose();
+
+          solids.push({
+            id: cadObject.id,
+            type: cadObject.type,
+            material: mesh.userData.layerMaterial || cadObject.params?.material || cadObject.type,
+            triangles,
+            edges
+          });
+        });
+      });
+    return solids;
   }
 
   /**
-   * Get selected objects
+   * Draw a section or elevation of the current model
+   * @param {string|Object} view - View id or an unsaved view definition
+   * @returns {Object|null} Drawing (see utils/sectionViews generateSectionDrawing)
    */
-  getSelectedObjects() {
-    return Array.from(this.selectedObjects).map(id => {
-      const obj = this.objects.get(id);
-      return obj ? this.serializeObject(obj) : null;
-    }).filter(Boolean);
+  generateSectionView(view) {
+    const definition = typeof view === 'string' ? this.getSectionView(view) : view;
+    if (!definition) {
+      console.warn('⚠️ VIEWS: No view', view);
+      return null;
+    }
+    return generateSectionDrawing(definition, this.getSectionSolids(), { levels: this.getLevels() });
   }
 
   /**
-   * Get 3D scene for rendering
+   * Floor plan of a level: the model cut 1.2 m above the level and seen down to its floor
+   * @returns {Object|null} Drawing (see utils/sectionViews generateSectionDrawing)
    */
-  get3DScene() {
-    return this.scene3D;
+  generatePlanView(levelId, solids = this.getSectionSolids()) {
+    const level = this.getLevel(levelId);
+    if (!level) {
+      console.warn('⚠️ VIEWS: No level', levelId);
+      return null;
+    }
+    const view = createSectionView({
+      kind: 'plan',
+      name: `${level.name} Plan`,
+      cutElevation: level.elevation + DEFAULT_SECTION_VIEW.cutElevation,
+      depth: DEFAULT_SECTION_VIEW.cutElevation + 0.1
+    });
+    return generateSectionDrawing(view, solids);
   }
 
   /**
-   * Get 2D scene for rendering
+   * Drawing sheets
+   * Titled sheets of paper with plans, sections, elevations and schedules placed at a
+   * scale (see utils/sheetLayout). Views reference the model, so sheets are laid out from
+   * the current model whenever they are shown or exported.
    */
-  get2DScene() {
-    return this.scene2D;
+  getSheets() {
+    return this.sheets.map(sheet => ({ ...sheet, views: sheet.views.map(view => ({ ...view })) }));
+  }
+
+  getSheet(sheetId) {
+    return this.getSheets().find(sheet => sheet.id === sheetId) || null;
   }
 
   /**
-   * Serialize object for external consumption
+   * Add a sheet
+   * @param {Object} sheetData - { number, title, size, orientation, width, height, project, drawnBy, ..., views }
    */
-  serializeObject(cadObject) {
-    console.log(`🔄 SERIALIZE DEBUG: Serializing object ${cadObject.id}:`, {
-      id: cadObject.id,
-      type: cadObject.type,
-      hasParams: !!cadObject.params,
-      paramsKeys: cadObject.params ? Object.keys(cadObject.params) : null,
-      params: cadObject.params
-    });
-    
-    const serialized = {
-      id: cadObject.id,
-      type: cadObject.type,
-      ...cadObject.params,
-      // Explicitly include params object for debugging
-      params: cadObject.params,
-      created: cadObject.created,
-      visible: cadObject.visible,
-      selected: cadObject.selected,
-      // Include mesh3D for 3D viewport rendering
-      mesh3D: cadObject.mesh3D,
-      mesh2D: cadObject.mesh2D,
-      // CRITICAL: Explicitly include furniture/fixture properties at top level
-      modelUrl: cadObject.params?.modelUrl || cadObject.modelUrl,
-      model_url: cadObject.params?.model_url || cadObject.model_url,
-      format: cadObject.params?.format || cadObject.format,
-      name: cadObject.params?.name || cadObject.name,
-      // Add computed properties for compatibility
-      position: cadObject.mesh3D ? {
-        x: cadObject.mesh3D.position.x,
-        y: cadObject.mesh3D.position.y,
-        z: cadObject.mesh3D.position.z
-      } : { x: 0, y: 0, z: 0 },
-      // Add rotation as full Euler object for 3D bridge compatibility
-      rotation: cadObject.mesh3D ? {
-        x: cadObject.mesh3D.rotation.x,
-        y: cadObject.mesh3D.rotation.y,
-        z: cadObject.mesh3D.rotation.z
-      } : { x: 0, y: 0, z: 0 }
-    };
-    
-    console.log(`✅ SERIALIZE DEBUG: Serialized object ${cadObject.id}:`, {
-      hasParams: !!serialized.params,
-      paramsInSerialized: serialized.params,
-      modelUrl: serialized.modelUrl,
-      model_url: serialized.model_url,
-      format: serialized.format,
-      hasModelUrl: !!serialized.modelUrl || !!serialized.model_url
-    });
+  addSheet(sheetData = {}) {
+    const taken = new Set(this.sheets.map(sheet => sheet.id));
+    let number = this.sheets.length + 1;
+    while (taken.has(`sheet_${number}`)) number++;
+    const id = sheetData.id && !taken.has(sheetData.id) ? sheetData.id : `sheet_${number}`;
+    const sheet = createSheet({ number: `A-${100 + number}`, ...sheetData, id });
+    this.sheets.push(sheet);
 
-    // Include BIM data if available
-    if (cadObject.bimObject) {
-      serialized.bimData = cadObject.bimObject.toExport();
-      
-      // Add BIM-specific properties for doors and windows
-      if (cadObject.type === 'door' || cadObject.type === 'window') {
-        serialized.hostWallId = cadObject.bimObject.hostWallId;
-        serialized.wallOffset = cadObject.bimObject.wallOffset;
-        
-        if (cadObject.type === 'window') {
-          serialized.sillHeight = cadObject.bimObject.sillHeight;
-          serialized.glazingArea = cadObject.bimObject.calculateGlazingArea();
-        }
-      }
+    console.log(`📄 SHEETS: Added ${sheet.number} ${sheet.title}`);
+    this.emit('sheets_changed', { sheets: this.getSheets(), added: id });
+    return this.getSheet(id);
+  }
+
+  updateSheet(sheetId, updates = {}) {
+    const index = this.sheets.findIndex(sheet => sheet.id === sheetId);
+    if (index === -1) {
+      console.warn('⚠️ SHEETS: No sheet', sheetId);
+      return null;
+    }
+    this.sheets[index] = createSheet({ ...this.sheets[index], ...updates, id: sheetId });
+    this.emit('sheets_changed', { sheets: this.getSheets(), updated: sheetId });
+    return this.getSheet(sheetId);
+  }
+
+  removeSheet(sheetId) {
+    if (!this.sheets.some(sheet => sheet.id === sheetId)) return false;
+    this.sheets = this.sheets.filter(sheet => sheet.id !== sheetId);
+    this.emit('sheets_changed', { sheets: this.getSheets(), removed: sheetId });
+    return true;
+  }
+
+  /**
+   * Place a view on a sheet
+   * @param {Object} viewData - { kind: plan|section|schedule, source, title, scale, x, y }
+   */
+  addSheetView(sheetId, viewData = {}) {
+    const sheet = this.getSheet(sheetId);
+    if (!sheet) {
+      console.warn('⚠️ SHEETS: No sheet', sheetId);
+      return null;
     }
+    const taken = new Set(this.sheets.flatMap(candidate => candidate.views.map(view => view.id)));
+    let number = sheet.views.length + 1;
+    while (taken.has(`${sheetId}_view_${number}`)) number++;
+    const view = createSheetView({ ...viewData, id: `${sheetId}_view_${number}` });
+    this.updateSheet(sheetId, { views: [...sheet.views, view] });
+    return view;
+  }
 
-    return serialized;
+  updateSheetView(sheetId, viewId, updates = {}) {
+    const sheet = this.getSheet(sheetId);
+    if (!sheet || !sheet.views.some(view => view.id === viewId)) return null;
+    return this.updateSheet(sheetId, {
+      views: sheet.views.map(view => (view.id === viewId ? { ...view, ...updates, id: viewId } : view))
+    });
+  }
+
+  removeSheetView(sheetId, viewId) {
+    const sheet = this.getSheet(sheetId);
+    if (!sheet || !sheet.views.some(view => view.id === viewId)) return false;
+    this.updateSheet(sheetId, { views: sheet.views.filter(view => view.id !== viewId) });
+    return true;
   }
 
   /**
-   * Get BIM data for all objects with relationships
+   * Draw the views of a sheet from the current model
+   * @returns {Object} Contents per sheet view id, for utils/sheetLayout layoutSheet
    */
-  getBIMData() {
-    const bimData = {
-      walls: [],
-      doors: [],
-      windows: [],
-      relationships: []
+  resolveSheetContents(sheet) {
+    const contents = {};
+    let solids = null;
+    const getSolids = () => {
+      solids = solids || this.getSectionSolids();
+      return solids;
     };
 
-    // Extract BIM objects from CAD objects
-    for (const [id, cadObject] of this.objects) {
-      if (cadObject.bimObject) {
-        const bimExport = cadObject.bimObject.toExport();
-        
-        if (cadObject.type === 'wall') {
-          bimData.walls.push(bimExport);
-        } else if (cadObject.type === 'door') {
-          bimData.doors.push(bimExport);
-          
-          // Add wall-door relationship if hostWallId exists
-          if (cadObject.bimObject.hostWallId) {
-            bimData.relationships.push({
-              type: 'IfcRelVoidsElement',
-              relatingElement: cadObject.bimObject.hostWallId,
-              relatedElement: cadObject.id,
-              description: `Door ${cadObject.id} creates opening in wall ${cadObject.bimObject.hostWallId}`
-            });
-          }
-        } else if (cadObject.type === 'window') {
-          bimData.windows.push(bimExport);
-          
-          // Add wall-window relationship if hostWallId exists
-          if (cadObject.bimObject.hostWallId) {
-            bimData.relationships.push({
-              type: 'IfcRelVoidsElement',
-              relatingElement: cadObject.bimObject.hostWallId,
-              relatedElement: cadObject.id,
-              description: `Window ${cadObject.id} creates opening in wall ${cadObject.bimObject.hostWallId}`
-            });
-          }
+    sheet.views.forEach(view => {
+      try {
+        if (view.kind === 'plan') {
+          const level = this.getLevel(view.source) || this.getActiveLevel();
+          const drawing = this.generatePlanView(level.id, getSolids());
+          contents[view.id] = { title: drawing.view.name, drawing, grids: this.getGrids().flatMap(generateGridAxes) };
+        } else if (view.kind === 'section') {
+          const definition = this.getSectionView(view.source);
+          if (!definition) return;
+          const drawing = generateSectionDrawing(definition, getSolids(), { levels: this.getLevels() });
+          contents[view.id] = { title: drawing.view.name, drawing };
+        } else if (view.kind === 'schedule') {
+          const schedule = this.generateSchedule(view.source);
+          contents[view.id] = { title: schedule.title, table: scheduleService.toTable(schedule) };
         }
+      } catch (error) {
+        console.warn(`⚠️ SHEETS: Could not draw ${view.kind} ${view.source}:`, error.message);
       }
+    });
+    return contents;
+  }
+
+  /**
+   * Lay out a sheet for display or export
+   * @returns {Object|null} Display list in mm (see utils/sheetLayout layoutSheet)
+   */
+  getSheetLayout(sheetId) {
+    const sheet = this.getSheet(sheetId);
+    if (!sheet) {
+      console.warn('⚠️ SHEETS: No sheet', sheetId);
+      return null;
     }
+    return layoutSheet(sheet, this.resolveSheetContents(sheet));
+  }
 
-    // Add wall opening relationships
-    for (const [id, cadObject] of this.objects) {
-      if (cadObject.type === 'wall' && cadObject.openings) {
-        cadObject.openings.forEach(opening => {
-          bimData.relationships.push({
-            type: 'IfcRelContainedInSpatialStructure',
-            relatingStructure: cadObject.id,
-            relatedElements: [opening.id],
-            description: `Opening ${opening.id} contained in wall ${cadObject.id}`
-          });
-        });
-      }
+  exportSheetSVG(sheetId) {
+    const layout = this.getSheetLayout(sheetId);
+    return layout ? sheetToSVG(layout) : null;
+  }
+
+  /**
+   * Export sheets as one vector PDF, a page per sheet
+   * @param {Array<string>} sheetIds - Defaults to every sheet
+   * @returns {Uint8Array|null}
+   */
+  exportSheetsPDF(sheetIds = this.sheets.map(sheet => sheet.id), info = {}) {
+    const layouts = sheetIds.map(sheetId => this.getSheetLayout(sheetId)).filter(Boolean);
+    if (layouts.length === 0) return null;
+    console.log(`📄 SHEETS: Exporting ${layouts.length} sheet(s) to PDF`);
+    return sheetsToPDF(layouts, info);
+  }
+
+  /**
+   * Reference underlays
+   * Drawings imported from DXF and shown under a level's plan to trace over. Primitives are
+   * plan polylines and text in metres (see utils/dxf explodeDxf) and are shared, not copied.
+   */
+  getUnderlays() {
+    return this.underlays.map(underlay => ({ ...underlay, layers: underlay.layers.map(layer => ({ ...layer })) }));
+  }
+
+  getUnderlay(underlayId) {
+    return this.getUnderlays().find(underlay => underlay.id === underlayId) || null;
+  }
+
+  /**
+   * Import a DXF file as an underlay on a level
+   * @param {string} text - DXF file contents
+   * @param {Object} options - { name, levelId, units: 'mm'|'cm'|'m'|'in'|'ft' to override detection }
+   * @returns {Object} The underlay, with `detectedUnits` telling how its units were found
+   */
+  importDXF(text, options = {}) {
+    const parsed = parseDxf(text);
+    const override = Object.values(DXF_UNITS).find(units => units.name === options.units);
+    const units = override ? { ...override, detected: 'user' } : detectDxfUnits(parsed);
+    const primitives = explodeDxf(parsed, { scale: units.scale });
+    const usedLayers = new Set(primitives.map(primitive => primitive.layer));
+
+    const taken = new Set(this.underlays.map(underlay => underlay.id));
+    let number = this.underlays.length + 1;
+    while (taken.has(`underlay_${number}`)) number++;
+    const underlay = createUnderlay({
+      id: `underlay_${number}`,
+      name: options.name || `Underlay ${number}`,
+      levelId: this.getLevel(options.levelId)?.id || this.activeLevelId,
+      units: units.name,
+      scale: units.scale,
+      layers: parsed.layers.filter(layer => usedLayers.has(layer.name)),
+      primitives
+    });
+    this.underlays.push(underlay);
+
+    const skipped = Object.entries(parsed.skipped).map(([type, count]) => `${count} ${type}`).join(', ');
+    console.log(`📐 DXF: Imported ${underlay.name} (${primitives.length} items, ${units.name} from ${units.detected})${skipped ? `, skipped ${skipped}` : ''}`);
+    this.emit('underlays_changed', { underlays: this.getUnderlays(), added: underlay.id });
+    return { ...this.getUnderlay(underlay.id), detectedUnits: units.detected, skipped: parsed.skipped };
+  }
+
+  /**
+   * Show or hide an underlay or its layers, change its level or opacity
+   * @param {Object} updates - { name, levelId, visible, opacity, layers: { [name]: visible } }
+   */
+  updateUnderlay(underlayId, updates = {}) {
+    const index = this.underlays.findIndex(underlay => underlay.id === underlayId);
+    if (index === -1) {
+      console.warn('⚠️ DXF: No underlay', underlayId);
+      return null;
     }
+    const current = this.underlays[index];
+    const layers = updates.layers
+      ? current.layers.map(layer => (layer.name in updates.layers ? { ...layer, visible: updates.layers[layer.name] !== false } : layer))
+      : current.layers;
+    this.underlays[index] = createUnderlay({ ...current, ...updates, layers, id: underlayId, primitives: current.primitives });
+    this.emit('underlays_changed', { underlays: this.getUnderlays(), updated: underlayId });
+    return this.getUnderlay(underlayId);
+  }
 
-    return bimData;
+  removeUnderlay(underlayId) {
+    if (!this.underlays.some(underlay => underlay.id === underlayId)) return false;
+    this.underlays = this.underlays.filter(underlay => underlay.id !== underlayId);
+    this.emit('underlays_changed', { underlays: this.getUnderlays(), removed: underlayId });
+    return true;
   }
+
   /**
-   * Get wall-element relationships for a specific wall
+   * Trace underlay lines, polylines and arcs as walls on the underlay's level
+   * @param {string} underlayId
+   * @param {Array<number>} indices - Primitives to convert (indices into underlay.primitives)
+   * @param {Object} wallParams - Wall parameters such as thickness, height, wallType
+   * @returns {Array<string>} Created wall ids
    */
-  getWallRelationships(wallId) {
-    const relationships = [];
-    
-    for (const [id, cadObject] of this.objects) {
-      if ((cadObject.type === 'door' || cadObject.type === 'window') && 
-          cadObject.bimObject && 
-          cadObject.bimObject.hostWallId === wallId) {
-        relationships.push({
-          elementId: cadObject.id,
-          elementType: cadObject.type,
-          position: cadObject.params.insertionPosition,
-          dimensions: {
-            width: cadObject.params.width,
-            height: cadObject.params.height
-          }
-        });
-      }
+  convertUnderlayToWalls(underlayId, indices, wallParams = {}) {
+    const underlay = this.underlays.find(candidate => candidate.id === underlayId);
+    if (!underlay) {
+      console.warn('⚠️ DXF: No underlay', underlayId);
+      return [];
     }
-    
-    return relationships;
+    const segments = indices
+      .map(index => underlay.primitives[index])
+      .filter(primitive => primitive && primitive.type === 'polyline')
+      .flatMap(polylineSegments)
+      .filter(segment => Math.hypot(segment.end.x - segment.start.x, segment.end.z - segment.start.z) > 0.1);
+
+    const ids = segments.map(segment => this.createObject('wall', {
+      height: 2.5,
+      thickness: 0.2,
+      material: 'concrete',
+      ...wallParams,
+      levelId: underlay.levelId,
+      startPoint: { x: segment.start.x, y: 0, z: segment.start.z },
+      endPoint: { x: segment.end.x, y: 0, z: segment.end.z },
+      length: wallLength(segment.start, segment.end, segment.bulge),
+      ...(segment.bulge ? { bulge: segment.bulge } : {})
+    })).filter(Boolean);
+
+    if (ids.length > 1) this.scheduleJoineryUpdate();
+    console.log(`📐 DXF: Converted ${ids.length} underlay segment(s) to walls`);
+    return ids;
   }
 
   /**
-   * Scene Manager Interface for Command History Integration
+   * Associative dimensions
+   * Dimensions refer to wall ends, faces and centerlines, opening jambs and grid axes (see
+   * utils/dimensions) and are measured from the model each time they are resolved, so they
+   * follow the elements they dimension. Text is in the project's display units.
    */
-  
-  // Check if entity exists
-  hasEntity(entityId) {
-    return this.objects.has(entityId);
+  getDimensions(levelId = null) {
+    return this.dimensions
+      .filter(dimension => !levelId || dimension.levelId === levelId)
+      .map(dimension => ({ ...dimension, references: dimension.references.map(reference => ({ ...reference })) }));
   }
-  
-  // Get entity data
-  getEntity(entityId) {
-    const cadObject = this.objects.get(entityId);
-    return cadObject ? this.serializeObject(cadObject) : null;
+
+  getDimension(dimensionId) {
+    return this.getDimensions().find(dimension => dimension.id === dimensionId) || null;
   }
-  
-  // Add door (for command history)
-  async addDoor(doorData) {
-    const objectId = this.createObject('door', doorData);
-    return objectId;
+
+  getProjectUnits() {
+    return this.projectUnits;
   }
-  
-  // Remove door (for command history)
-  async removeDoor(doorId) {
-    return this.deleteObject(doorId);
+
+  /**
+   * Display units for dimensions: 'mm', 'cm', 'm', 'inch' or 'feetAndInch'
+   */
+  setProjectUnits(units) {
+    if (!DIMENSION_UNITS[units]) {
+      console.warn('⚠️ DIMENSIONS: Unknown units', units);
+      return false;
+    }
+    this.projectUnits = units;
+    this.emit('project_units_changed', { units });
+    return true;
   }
-  
-  // Add window (for command history)
-  async addWindow(windowData) {
-    const objectId = this.createObject('window', windowData);
-    return objectId;
+
+  /**
+   * Snapshot of the dimensionable geometry: wall centerlines, openings along their host
+   * walls (the structural opening, door frames included) and grid axes
+   */
+  getDimensionModel() {
+    const walls = {};
+    const openings = {};
+    const grids = {};
+
+    this.objects.forEach(obj => {
+      if (obj.type !== 'wall') return;
+      const axis = this.getWallAxis(obj.params || {});
+      walls[obj.id] = {
+        start: axis.start,
+        end: axis.end,
+        bulge: axis.bulge,
+        thickness: this.getWallTemplate(obj.params || {}).totalThickness || obj.params?.thickness || 0.2
+      };
+    });
+
+    this.objects.forEach(obj => {
+      if (obj.type !== 'door' && obj.type !== 'window') return;
+      const params = obj.params || {};
+      const width = obj.type === 'door'
+        ? (params.width || 0.9) + 2 * (params.frameWidth ?? 0.05)
+        : (params.width || 1.2);
+      const host = params.hostWallId ? this.objects.get(params.hostWallId) : null;
+      if (host && walls[host.id]) {
+        const position = (params.insertionPosition ?? 0.5) * this.getWallAxis(host.params).length;
+        openings[obj.id] = { wallId: host.id, position, width };
+      } else if (obj.mesh3D) {
+        const angle = obj.mesh3D.rotation.y;
+        openings[obj.id] = {
+          center: { x: obj.mesh3D.position.x, z: obj.mesh3D.position.z },
+          tangent: { x: Math.cos(angle), z: -Math.sin(angle) },
+          width
+        };
+      }
+    });
+
+    this.grids.forEach(grid => {
+      grids[grid.id] = generateGridAxes(grid);
+    });
+
+    return { walls, openings, grids };
   }
-  
-  // Remove window (for command history)
-  async removeWindow(windowId) {
-    return this.deleteObject(windowId);
+
+  /**
+   * Measure dimensions against the current model
+   * @param {string|null} levelId - Only this level's dimensions
+   * @returns {Array<Object>} Resolved dimensions (see utils/dimensions resolveDimension);
+   *   ones whose elements are gone come back with valid: false
+   */
+  resolveDimensions(levelId = null) {
+    const model = this.getDimensionModel();
+    return this.dimensions
+      .filter(dimension => !levelId || dimension.levelId === levelId)
+      .map(dimension => resolveDimension(dimension, model, this.projectUnits));
   }
-  
-  // Add wall (for command history)
-  async addWall(wallData) {
-    const objectId = this.createObject('wall', wallData);
-    return objectId;
+
+  /**
+   * @param {Object} params - { kind, references, direction, offset, levelId } (see
+   *   utils/dimensions createDimension); the level defaults to the first referenced element's
+   */
+  addDimension(params = {}) {
+    const taken = new Set(this.dimensions.map(dimension => dimension.id));
+    let number = this.dimensions.length + 1;
+    while (taken.has(`dimension_${number}`)) number++;
+    const id = params.id && !taken.has(params.id) ? params.id : `dimension_${number}`;
+
+    const dimension = createDimension({ ...params, id });
+    if (dimension.references.length === 0) {
+      console.warn('⚠️ DIMENSIONS: A dimension needs references');
+      return null;
+    }
+    if (!dimension.levelId) {
+      const element = dimension.references.map(reference => this.objects.get(reference.id)).find(Boolean);
+      dimension.levelId = element ? this.getObjectLevelId(element) : this.activeLevelId;
+    }
+    this.dimensions.push(dimension);
+
+    this.emit('dimensions_changed', { dimensions: this.getDimensions(), added: id });
+    return this.getDimension(id);
   }
-  
-  // Remove wall (for command history)
-  async removeWall(wallId) {
-    return this.deleteObject(wallId);
+
+  updateDimension(dimensionId, updates = {}) {
+    const index = this.dimensions.findIndex(dimension => dimension.id === dimensionId);
+    if (index === -1) {
+      console.warn('⚠️ DIMENSIONS: No dimension', dimensionId);
+      return null;
+    }
+    this.dimensions[index] = createDimension({ ...this.dimensions[index], ...updates, id: dimensionId });
+    this.emit('dimensions_changed', { dimensions: this.getDimensions(), updated: dimensionId });
+    return this.getDimension(dimensionId);
   }
-  
-  // Update wall (for command history)
-  async updateWall(wallId, wallData) {
-    return this.updateObject(wallId, wallData);
+
+  removeDimension(dimensionId) {
+    if (!this.dimensions.some(dimension => dimension.id === dimensionId)) return false;
+    this.dimensions = this.dimensions.filter(dimension => dimension.id !== dimensionId);
+    this.emit('dimensions_changed', { dimensions: this.getDimensions(), removed: dimensionId });
+    return true;
   }
-  
-  // Get wall data (for command history)
-  async getWall(wallId) {
-    return this.getEntity(wallId);
+
+  /**
+   * Drop references to a deleted wall, opening or grid: chains carry on with the rest, other
+   * dimensions go with the element
+   */
+  releaseDimensions(elementId) {
+    const affected = this.dimensions.filter(dimension => dimensionObjectIds(dimension).includes(elementId));
+    if (affected.length === 0) return;
+    this.dimensions = this.dimensions.flatMap(dimension => {
+      if (!affected.includes(dimension)) return [dimension];
+      const references = dimension.references.filter(reference => reference.id !== elementId);
+      return dimension.kind === 'chain' && references.length >= 2 ? [{ ...dimension, references }] : [];
+    });
+    this.emit('dimensions_changed', { dimensions: this.getDimensions() });
   }
-  
+
   /**
-   * Create door with undo/redo support
+   * Dimension the wall run a wall belongs to: the chain through its ends and opening jambs
+   * and the overall length; curved walls get their radius
+   * @param {Object} options - { offset, spacing } see utils/dimensions autoDimensionWall
+   * @returns {Array<string>} Created dimension ids
    */
-  createDoorWithHistory(doorParams) {
-    const command = CommandFactory.createDoor(doorParams, this);
-    return commandHistory.executeCommand(command);
+  autoDimensionWall(wallId, options = {}) {
+    const wall = this.objects.get(wallId);
+    if (!wall || wall.type !== 'wall') {
+      console.warn('⚠️ DIMENSIONS: No wall', wallId);
+      return [];
+    }
+    const levelId = this.getObjectLevelId(wall);
+    const ids = autoDimensionWall(this.getDimensionModel(), wallId, options)
+      .map(params => this.addDimension({ ...params, levelId }))
+      .filter(Boolean)
+      .map(dimension => dimension.id);
+    console.log(`📏 DIMENSIONS: Dimensioned wall run of ${wallId} (${ids.length} dimension(s))`);
+    return ids;
+  }
+
+  /**
+   * Chain dimensions across each grid's axes in both directions
+   * @returns {Array<string>} Created dimension ids
+   */
+  autoDimensionGrids(levelId = this.activeLevelId, options = {}) {
+    const { offset = 1.6 } = options;
+    const ids = this.grids.flatMap(grid => {
+      const axes = generateGridAxes(grid);
+      return ['x', 'z']
+        .map(direction => axes.filter(axis => axis.direction === direction))
+        .filter(set => set.length >= 2)
+        .map(set => {
+          // Measured from the first axis' midpoint; placed past the axes' start bubbles
+          const first = set[0];
+          const last = set[set.length - 1];
+          const across = { x: last.start.x - first.start.x, z: last.start.z - first.start.z };
+          const outward = { x: first.start.x - first.end.x, z: first.start.z - first.end.z };
+          const side = Math.sign(across.z * outward.x - across.x * outward.z) || 1;
+          return this.addDimension({
+            kind: 'chain',
+            levelId,
+            references: set.map(axis => ({ type: 'grid', id: grid.id, axis: axis.name })),
+            offset: side * (Math.hypot(outward.x, outward.z) / 2 + offset)
+          });
+        })
+        .filter(Boolean)
+        .map(dimension => dimension.id);
+    });
+    console.log(`📏 DIMENSIONS: Dimensioned ${this.grids.length} grid(s) (${ids.length} chain(s))`);
+    return ids;
   }
-  
+
   /**
-   * Create window with undo/redo support
+   * Export a level's plan as DXF on named layers: the cut through walls, doors, windows and
+   * the rest of the model with door swings, room names and areas, grids with their spacing
+   * dimensions, the level's associative dimensions, and section marks
+   * @param {string} levelId - Defaults to the active level
+   * @param {Object} options - { units: 'mm' | 'cm' | 'm' } (default mm)
+   * @returns {string} DXF file contents
    */
-  createWindowWithHistory(windowParams) {
-    const command = CommandFactory.createWindow(windowParams, this);
-    return commandHistory.executeCommand(command);
+  exportPlanDXF(levelId = this.activeLevelId, options = {}) {
+    const level = this.getLevel(levelId) || this.getActiveLevel();
+    const drawing = this.generatePlanView(level.id);
+    const layerOf = (id, type) => {
+      if (this.objects.get(id)?.mesh3D?.userData.curtainWall) return PLAN_LAYERS.curtainWall.name;
+      return (PLAN_LAYERS[type] || PLAN_LAYERS.other).name;
+    };
+    const toPlan = point => ({ x: point.u, z: -point.y });
+    const entities = [];
+
+    drawing.cut.forEach(item => item.loops.forEach(loop => entities.push({
+      type: 'polyline', layer: layerOf(item.id, item.type), points: loop.map(toPlan), closed: true
+    })));
+    // Edges of cut objects mostly retrace their cut outline
+    const cutIds = new Set(drawing.cut.map(item => item.id));
+    drawing.projected
+      .filter(item => item.shape === 'edge' && !cutIds.has(item.id))
+      .forEach(item => entities.push({ type: 'line', layer: layerOf(item.id, item.type), start: toPlan(item.points[0]), end: toPlan(item.points[1]) }));
+
+    const onLevel = obj => this.getObjectLevelId(obj) === level.id;
+    // Door leaves open 90° from the hinge jamb; DXF angles run counterclockwise from +x
+    Array.from(this.objects.values())
+      .filter(obj => obj.type === 'door' && obj.mesh3D && onLevel(obj))
+      .forEach(door => {
+        const width = door.params.width || 0.9;
+        const angle = door.mesh3D.rotation.y;
+        const along = { x: Math.cos(angle), z: -Math.sin(angle) };
+        const open = { x: along.z, z: -along.x };
+        const leftHinge = door.params.openingDirection === 'left';
+        const side = leftHinge ? -1 : 1;
+        const hinge = { x: door.mesh3D.position.x + along.x * side * width / 2, z: door.mesh3D.position.z + along.z * side * width / 2 };
+        const degrees = (angle * 180) / Math.PI;
+        entities.push({ type: 'line', layer: PLAN_LAYERS.door.name, start: hinge, end: { x: hinge.x + open.x * width, z: hinge.z + open.z * width } });
+        entities.push({
+          type: 'arc',
+          layer: PLAN_LAYERS.door.name,
+          center: hinge,
+          radius: width,
+          startAngle: leftHinge ? degrees : degrees + 90,
+          endAngle: leftHinge ? degrees + 90 : degrees + 180
+        });
+      });
+
+    this.getRooms(level.id).forEach(room => {
+      const point = this.objects.get(room.id)?.params?.labelPoint;
+      if (!point) return;
+      entities.push({ type: 'text', layer: PLAN_LAYERS.rooms.name, position: point, height: 0.25, text: room.name, align: 'center' });
+      entities.push({
+        type: 'text',
+        layer: PLAN_LAYERS.rooms.name,
+        position: { x: point.x, z: point.z + 0.4 },
+        height: 0.18,
+        text: `${room.area.toFixed(2)} m²`,
+        align: 'center'
+      });
+    });
+
+    const bubble = 0.4;
+    const dimensionText = value => (options.units === 'm' ? value.toFixed(2) : String(Math.round(value * (options.units === 'cm' ? 100 : 1000))));
+    this.getGrids().forEach(grid => {
+      const axes = generateGridAxes(grid);
+      axes.forEach(axis => {
+        entities.push({ type: 'line', layer: PLAN_LAYERS.grid.name, start: axis.start, end: axis.end });
+        const length = Math.hypot(axis.end.x - axis.start.x, axis.end.z - axis.start.z) || 1;
+        const u = { x: (axis.end.x - axis.start.x) / length, z: (axis.end.z - axis.start.z) / length };
+        [[axis.start, -1], [axis.end, 1]].forEach(([end, sign]) => {
+          const center = { x: end.x + u.x * sign * bubble, z: end.z + u.z * sign * bubble };
+          entities.push({ type: 'circle', layer: PLAN_LAYERS.gridLabels.name, center, radius: bubble });
+          entities.push({ type: 'text', layer: PLAN_LAYERS.gridLabels.name, position: center, height: 0.3, text: axis.name, align: 'center' });
+        });
+      });
+      // Chain dimensions between neighbouring axes, outside the start bubbles
+      ['x', 'z'].forEach(direction => {
+        const set = axes.filter(axis => axis.direction === direction);
+        set.slice(1).forEach((axis, index) => {
+          const previous = set[index];
+          const length = Math.hypot(previous.end.x - previous.start.x, previous.end.z - previous.start.z) || 1;
+          const outward = { x: (previous.start.x - previous.end.x) / length, z: (previous.start.z - previous.end.z) / length };
+          const d = { x: axis.start.x - previous.start.x, z: axis.start.z - previous.start.z };
+          const n = { x: d.z, z: -d.x };
+          const side = Math.sign(n.x * outward.x + n.z * outward.z) || 1;
+          entities.push(...dimensionEntities({
+            start: previous.start,
+            end: axis.start,
+            offset: side * (2 * bubble + 0.6),
+            text: dimensionText(axis.offset - previous.offset)
+          }));
+        });
+      });
+    });
+
+    // Associative dimensions as drawn in plan, in the project's display units
+    this.resolveDimensions(level.id).forEach(dimension => {
+      entities.push(...dimensionGraphics(dimension).map(entity => ({ ...entity, layer: PLAN_LAYERS.dimensions.name })));
+    });
+
+    this.getSectionViews().filter(view => !view.side).forEach(view => {
+      const { look } = viewFrame(view);
+      [view.start, view.end].forEach(point => {
+        entities.push({ type: 'line', layer: PLAN_LAYERS.symbols.name, start: point, end: { x: point.x + look.x * 0.6, z: point.z + look.z * 0.6 } });
+        entities.push({ type: 'text', layer: PLAN_LAYERS.symbols.name, position: { x: point.x - look.x * 0.4, z: point.z - look.z * 0.4 }, height: 0.3, text: view.name.replace(/^Section\s+/, ''), align: 'center' });
+      });
+      entities.push({ type: 'line', layer: PLAN_LAYERS.symbols.name, start: view.start, end: view.end });
+    });
+
+    const layers = Object.values(PLAN_LAYERS).filter((layer, index, all) => all.findIndex(other => other.name === layer.name) === index);
+    console.log(`📐 DXF: Exported ${level.name} plan (${entities.length} entities)`);
+    return createDxf({ layers, entities }, { units: options.units || 'mm' });
+  }
+
+  /**
+   * Rooms (spaces)
+   * Auto-detected rooms are regenerated from the walls of each level; the matching
+   * room keeps its name, number and finishes when the walls around it change.
+   */
+  getRooms(levelId = null) {
+    return Array.from(this.objects.values())
+      .filter(obj => obj.type === 'room' && (!levelId || this.getObjectLevelId(obj) === levelId))
+      .map(room => this.getRoomData(room));
+  }
+
+  /**
+   * Schedule-ready room record
+   */
+  getRoomData(room) {
+    const params = room.params || {};
+    return {
+      id: room.id,
+      name: params.name || 'Room',
+      number: params.number || '',
+      levelId: this.getObjectLevelId(room),
+      area: params.area || 0,
+      grossArea: params.grossArea || 0,
+      perimeter: params.perimeter || 0,
+      height: params.height || 0,
+      volume: params.volume || 0,
+      finishes: { ...DEFAULT_ROOM_FINISHES, ...(params.finishes || {}) },
+      occupancy: params.occupancy || null,
+      boundingWallIds: params.boundingWallIds || [],
+      autoDetected: params.autoDetected !== false
+    };
+  }
+
+  /**
+   * Debounced room detection after wall edits
+   */
+  scheduleRoomUpdate() {
+    if (!this.autoDetectRooms) return;
+
+    if (this._roomTimeout) {
+      clearTimeout(this._roomTimeout);
+    }
+    this._roomTimeout = setTimeout(() => {
+      this._roomTimeout = null;
+      this.updateRooms();
+    }, 300);
   }
-  
+
   /**
-   * Create wall with undo/redo support
+   * Detect rooms from the wall layout and create, update or remove room objects to match.
+   * Rooms created by hand (params.autoDetected === false) are left alone.
+   * @param {Array<string>} levelIds - Levels to process (default: all)
+   * @returns {{ created: string[], updated: string[], removed: string[] }}
    */
-  createWallWithHistory(wallParams) {
-    const command = CommandFactory.createWall(wallParams, this);
-    return commandHistory.executeCommand(command);
+  updateRooms(levelIds = null) {
+    const summary = { created: [], updated: [], removed: [] };
+    const levels = levelIds ? this.levels.filter(level => levelIds.includes(level.id)) : this.levels;
+    const round = value => Math.round(value * 10000) / 10000;
+
+    levels.forEach(level => {
+      const onLevel = type => Array.from(this.objects.values())
+        .filter(obj => obj.type === type && this.getObjectLevelId(obj) === level.id);
+
+      const walls = this.getWallSegments(onLevel('wall'));
+      const existing = onLevel('room').filter(room => room.params.autoDetected !== false);
+
+      const matches = matchRooms(
+        existing.map(room => ({ id: room.id, wallIds: room.params.boundingWallIds, labelPoint: room.params.labelPoint })),
+        detectRooms(walls)
+      );
+      const kept = new Set();
+
+      matches.forEach(({ room, existingId }) => {
+        const height = room.height || level.height;
+        const roomParams = {
+          boundary: room.boundary,
+          polygon: room.polygon,
+          holes: room.holes,
+          labelPoint: room.labelPoint,
+          boundingWallIds: room.wallIds,
+          area: round(room.area),
+          grossArea: round(room.grossArea),
+          perimeter: round(room.perimeter),
+          height,
+          volume: round(room.area * height)
+        };
+
+        if (existingId) {
+          kept.add(existingId);
+          const current = this.objects.get(existingId).params;
+          const changed = ['boundary', 'holes', 'boundingWallIds', 'height']
+            .some(key => JSON.stringify(current[key]) !== JSON.stringify(roomParams[key]));
+          if (changed) {
+            this.updateObject(existingId, roomParams);
+            summary.updated.push(existingId);
+          }
+          return;
+        }
+
+        const number = this.getNextRoomNumber(level.id);
+        const roomId = this.createObject('room', {
+          ...roomParams,
+          name: 'Room',
+          number,
+          levelId: level.id,
+          finishes: { ...DEFAULT_ROOM_FINISHES },
+          autoDetected: true
+        });
+        if (roomId) summary.created.push(roomId);
+      });
+
+      existing
+        .filter(room => !kept.has(room.id))
+        .forEach(room => {
+          this.deleteObject(room.id);
+          summary.removed.push(room.id);
+        });
+    });
+
+    if (summary.created.length || summary.updated.length || summary.removed.length) {
+      console.log(`🏠 ROOMS: ${summary.created.length} created, ${summary.updated.length} updated, ${summary.removed.length} removed`);
+      this.emit('rooms_updated', { ...summary, rooms: this.getRooms() });
+    }
+    return summary;
   }
 
   /**
-   * Create preview object (temporary visualization)
+   * Wall centerlines for room and footprint detection; curved walls enter as their 5° facets
    */
-  createPreview(type, params) {
-    this.clearPreview();
-    
-    let result;
-    switch (type) {
-      case 'slab':
-        result = this.createSlabGeometry(params);
-        break;
-      default:
-        return null;
-    }
-    
-    // Apply preview material
-    if (result.mesh3D) {
-      result.mesh3D.material = this.materials.preview.clone();
-      this.scene3D.add(result.mesh3D);
-    }
-    if (result.mesh2D) {
-      result.mesh2D.material = new THREE.MeshBasicMaterial({
-        color: 0xffaa00,
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 0.3
+  getWallSegments(walls) {
+    return walls
+      .filter(wall => wall.params.startPoint && wall.params.endPoint)
+      .flatMap(wall => {
+        const samples = sampleWall(wall.params.startPoint, wall.params.endPoint, wall.params.bulge);
+        return samples.slice(1).map((sample, i) => ({
+          id: wall.id,
+          start: samples[i].point,
+          end: sample.point,
+          thickness: wall.params.thickness,
+          height: wall.params.height
+        }));
       });
-      this.scene2D.add(result.mesh2D);
-    }
-    
-    this.previewObject = result;
-    
-    return result;
   }
 
   /**
-   * Clear preview object
+   * Next free room number on a level: 101, 102... on the first level, 201... on the next
    */
-  clearPreview() {
-    if (this.previewObject) {
-      if (this.previewObject.mesh3D) {
-        this.scene3D.remove(this.previewObject.mesh3D);
-        if (this.previewObject.mesh3D.geometry) this.previewObject.mesh3D.geometry.dispose();
-        if (this.previewObject.mesh3D.material) this.previewObject.mesh3D.material.dispose();
-      }
-      
-      if (this.previewObject.mesh2D) {
-        this.scene2D.remove(this.previewObject.mesh2D);
-        
-        // Handle architectural walls (groups) vs legacy single meshes
-        if (this.previewObject.mesh2D.type === 'Group') {
-          // Dispose of all children in the group (architectural walls)
-          this.previewObject.mesh2D.children.forEach(child => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-          });
-        } else {
-          // Legacy single mesh disposal
-          if (this.previewObject.mesh2D.geometry) this.previewObject.mesh2D.geometry.dispose();
-          if (this.previewObject.mesh2D.material) this.previewObject.mesh2D.material.dispose();
-        }
-      }
-      this.previewObject = null;
-    }
+  getNextRoomNumber(levelId) {
+    const levelIndex = Math.max(0, sortLevels(this.levels).findIndex(level => level.id === levelId));
+    const base = (levelIndex + 1) * 100;
+    const used = new Set(this.getRooms(levelId).map(room => String(room.number)));
+
+    let number = base + 1;
+    while (used.has(String(number))) number++;
+    return String(number);
   }
 
   /**
-   * Import IFC file data (parsed from base64)
+   * Export the project as a versioned scene document (see SceneDocumentService)
+   * @param {Object} options - name, description, includeHistory; constraints and annotations
+   *   override the ones in constraintService and annotationService
+   * @returns {Object} Scene document
    */
-  async importIFC(fileName, base64Data) {
-    console.log(`🏗️ Importing IFC file: ${fileName}`);
-    
+  exportSceneDocument(options = {}) {
+    const objects = Array.from(this.objects.values()).map(cadObject => ({
+      id: cadObject.id,
+      type: cadObject.type,
+      params: cadObject.params || {},
+      visible: cadObject.visible,
+      created: cadObject.created,
+      openings: cadObject.openings
+    }));
+
+    // Custom library entries plus the built-in ones the model uses travel with the document
+    const library = this.getLibrarySnapshot();
+
+    return sceneDocumentService.createDocument({
+      documentId: this.documentId,
+      name: options.name,
+      description: options.description,
+      createdAt: options.createdAt,
+      floors: this.levels,
+      grids: this.getGrids(),
+      sectionViews: this.getSectionViews(),
+      sheets: this.getSheets(),
+      underlays: this.getUnderlays(),
+      dimensions: this.getDimensions(),
+      displayUnits: this.projectUnits,
+      wallTypes: library.wall,
+      slabTypes: library.slab,
+      roofTypes: library.roof,
+      materials: library.materials,
+      objects,
+      constraints: options.constraints || constraintService.getConstraintSnapshot(),
+      annotations: options.annotations || annotationService.getAnnotations(),
+      history: options.includeHistory === false ? null : commandHistory.serialize()
+    });
+  }
+
+  /**
+   * Rebuild engine state from a scene document of any supported version
+   * @param {string|Object} input - Document JSON or parsed data (legacy saves are migrated)
+   * @param {Object} options - restoreHistory (default true)
+   */
+  loadSceneDocument(input, options = {}) {
     try {
-      // Decode base64 to text
-      const ifcText = atob(base64Data);
-      console.log(`📄 IFC file size: ${ifcText.length} characters`);
-      
-      // Parse IFC structure
-      const ifcData = this.parseIFCFile(ifcText);
-      console.log(`🔍 Parsed IFC data:`, ifcData);
-      
-      // Import building elements
-      const importedObjects = [];
-      
-      // Import walls
-      if (ifcData.walls && ifcData.walls.length > 0) {
-        console.log(`🧱 Importing ${ifcData.walls.length} walls...`);
-        for (const wall of ifcData.walls) {
-          try {
-            const objectId = this.createObject('wall', wall);
-            if (objectId) {
-              importedObjects.push({ type: 'wall', id: objectId, name: wall.name });
-            }
-          } catch (error) {
-            console.warn(`Failed to import wall ${wall.name}:`, error);
-          }
-        }
-      }
-      
-      // Import slabs
-      if (ifcData.slabs && ifcData.slabs.length > 0) {
-        console.log(`🏗️ Importing ${ifcData.slabs.length} slabs...`);
-        for (const slab of ifcData.slabs) {
-          try {
-            const objectId = this.createObject('slab', slab);
-            if (objectId) {
-              importedObjects.push({ type: 'slab', id: objectId, name: slab.name });
-            }
-          } catch (error) {
-            console.warn(`Failed to import slab ${slab.name}:`, error);
-          }
-        }
-      }
-      
-      // Import columns
-      if (ifcData.columns && ifcData.columns.length > 0) {
-        console.log(`🏢 Importing ${ifcData.columns.length} columns...`);
-        for (const column of ifcData.columns) {
-          try {
-            const objectId = this.createObject('column', column);
-            if (objectId) {
-              importedObjects.push({ type: 'column', id: objectId, name: column.name });
-            }
-          } catch (error) {
-            console.warn(`Failed to import column ${column.name}:`, error);
-          }
-        }
-      }
-      
-      // Import doors
-      if (ifcData.doors && ifcData.doors.length > 0) {
-        console.log(`🚪 Importing ${ifcData.doors.length} doors...`);
-        for (const door of ifcData.doors) {
-          try {
-            const objectId = this.createObject('door', door);
-            if (objectId) {
-              importedObjects.push({ type: 'door', id: objectId, name: door.name });
-            }
-          } catch (error) {
-            console.warn(`Failed to import door ${door.name}:`, error);
-          }
+      const document = sceneDocumentService.load(input);
+      console.log(`📂 Loading scene document "${document.metadata.name}" (${document.objects.length} objects)`);
+
+      this.clearAllObjects();
+      this.documentId = document.metadata.documentId || this.documentId;
+      // Grids come back before the objects so hosted elements find them
+      this.restoreDocumentCollections({
+        ...document,
+        grids: document.grids || [],
+        sectionViews: document.sectionViews || [],
+        sheets: document.sheets || [],
+        underlays: document.underlays || []
+      });
+
+      // Walls are joined once after the whole layout is back
+      const loadedIds = [];
+      this._joinerySuspended = true;
+      for (const object of sceneDocumentService.getRebuildOrder(document)) {
+        try {
+          const objectId = this.rebuildObject(object);
+          if (objectId) loadedIds.push(objectId);
+        } catch (error) {
+          console.warn(`Failed to load ${object.type} ${object.id}:`, error);
         }
       }
-      
-      // Import windows
-      if (ifcData.windows && ifcData.windows.length > 0) {
-        console.log(`🪟 Importing ${ifcData.windows.length} windows...`);
-        for (const window of ifcData.windows) {
-          try {
-            const objectId = this.createObject('window', window);
-            if (objectId) {
-              importedObjects.push({ type: 'window', id: objectId, name: window.name });
-            }
-          } catch (error) {
-            console.warn(`Failed to import window ${window.name}:`, error);
-          }
-        }
+
+      // Joinery is derived from the wall layout; saved end adjustments from older
+      // documents are not needed to rebuild the corners
+      this._joinerySuspended = false;
+      this.applyProfessionalWallJoinery();
+
+      // Dimensions come back after the elements they refer to
+      this.projectUnits = DIMENSION_UNITS[document.metadata.displayUnits] ? document.metadata.displayUnits : DEFAULT_DIMENSION_UNITS;
+      this.emit('project_units_changed', { units: this.projectUnits });
+      this.dimensions = (document.dimensions || []).map(dimension => createDimension(dimension));
+      this.emit('dimensions_changed', { dimensions: this.getDimensions() });
+
+      if (options.restoreHistory !== false && document.history) {
+        commandHistory.deserialize(document.history);
       }
-      
-      console.log(`✅ IFC import completed. Imported ${importedObjects.length} objects.`);
-      
-      // Emit import completed event
-      this.emit('ifc_imported', {
-        fileName: fileName,
-        importedObjects: importedObjects,
-        summary: ifcData.summary
+
+      // Constraints and annotations live in their own services
+      annotationService.setAnnotations(document.annotations || []);
+      constraintService.restoreConstraints(document.constraints || [])
+        .catch(error => console.warn('⚠️ Constraints from the document were not restored:', error));
+
+      this.emit('scene_loaded', {
+        name: document.metadata.name,
+        objectIds: loadedIds,
+        floors: this.levels,
+        constraints: document.constraints || [],
+        annotations: document.annotations || [],
+        migratedFrom: document.metadata.migratedFrom
       });
-      
+
       return {
         success: true,
-        message: `Successfully imported ${importedObjects.length} objects from ${fileName}`,
-        importedObjects: importedObjects,
-        summary: ifcData.summary
+        document,
+        objectIds: loadedIds,
+        constraints: document.constraints || [],
+        annotations: document.annotations || []
       };
-      
     } catch (error) {
-      console.error('❌ IFC import failed:', error);
-      
-      // Emit import error event
-      this.emit('ifc_import_error', {
-        fileName: fileName,
-        error: error.message
-      });
-      
-      return {
-        success: false,
-        message: `Failed to import ${fileName}: ${error.message}`
-      };
+      console.error('❌ Scene document load failed:', error);
+      this.emit('scene_load_error', { error: error.message });
+      return { success: false, message: error.message };
     }
   }
 
   /**
-   * Parse IFC file content and extract building elements
+   * Put back the document collections present in state (floors, grids, sectionViews,
+   * sheets, underlays and the wall/slab/roof types and materials of the library)
    */
-  parseIFCFile(ifcText) {
-    console.log('🔍 Parsing IFC file structure...');
-    
-    const ifcData = {
-      walls: [],
-      slabs: [],
-      columns: [],
-      doors: [],
-      windows: [],
-      summary: {
-        totalEntities: 0,
-        supportedElements: 0,
-        unsupportedElements: 0
-      }
-    };
-    
-    // Split into lines and find DATA section
-    const lines = ifcText.split('\n');
-    let inDataSection = false;
-    let currentEntity = '';
-    const entityTypes = new Set(); // Track all entity types found
-    
-    for (let line of lines) {
-      line = line.trim();
-      
-      if (line === 'DATA;') {
-        inDataSection = true;
-        console.log('📍 Found DATA section, starting entity parsing...');
-        continue;
+  restoreDocumentCollections(state) {
+    if (state.floors) {
+      this.levels = sortLevels(state.floors.map(floor => createLevel(floor)));
+      if (!findLevel(this.levels, this.activeLevelId)) {
+        this.activeLevelId = this.levels[0].id;
       }
-      
-      if (line === 'ENDSEC;' && inDataSection) {
-        console.log('📍 End of DATA section');
-        break;
-      }
-      
-      if (!inDataSection || !line.startsWith('#')) {
-        continue;
-      }
-      
-      // Handle multi-line entities
-      currentEntity += line;
-      if (!line.endsWith(';')) {
-        continue;
-      }
-      
-      ifcData.summary.totalEntities++;
-      
-      // Track entity types for debugging
-      const typeMatch = currentEntity.match(/=\s*IFC(\w+)\(/);
-      if (typeMatch) {
-        entityTypes.add(typeMatch[1].toUpperCase());
-      }
-      
-      // Parse complete entity
-      this.parseIFCEntity(currentEntity, ifcData);
-      currentEntity = '';
+      this.emit('levels_changed', { levels: this.getLevels() });
+    }
+    if (state.grids) {
+      this.grids = state.grids.map(grid => normalizeGrid(grid));
+      this.emit('grids_changed', { grids: this.getGrids() });
+    }
+    if (state.sectionViews) {
+      this.sectionViews = state.sectionViews.map(view => createSectionView(view));
+      this.emit('section_views_changed', { views: this.getSectionViews() });
+    }
+    if (state.sheets) {
+      this.sheets = state.sheets.map(sheet => createSheet(sheet));
+      this.emit('sheets_changed', { sheets: this.getSheets() });
+    }
+    if (state.underlays) {
+      this.underlays = state.underlays.map(underlay => createUnderlay(underlay));
+      this.emit('underlays_changed', { underlays: this.getUnderlays() });
+    }
+    if (state.materials || state.wallTypes || state.slabTypes || state.roofTypes) {
+      this.applyLibrarySnapshot({
+        materials: state.materials,
+        wall: state.wallTypes,
+        slab: state.slabTypes,
+        roof: state.roofTypes
+      });
     }
-    
-    // Log all entity types found for debugging
-    console.log('🔍 All entity types found:', Array.from(entityTypes).sort());
-    console.log('🎯 Building element types found:', Array.from(entityTypes).filter(type => 
-      ['WALL', 'SLAB', 'COLUMN', 'DOOR', 'WINDOW', 'BUILDINGELEMENTPROXY'].includes(type)
-    ));
-    
-    ifcData.summary.supportedElements = 
-      ifcData.walls.length + 
-      ifcData.slabs.length + 
-      ifcData.columns.length + 
-      ifcData.doors.length + 
-      ifcData.windows.length;
-    
-    ifcData.summary.unsupportedElements = 
-      ifcData.summary.totalEntities - ifcData.summary.supportedElements;
-    
-    console.log('📊 IFC parsing complete:', {
-      walls: ifcData.walls.length,
-      slabs: ifcData.slabs.length,
-      columns: ifcData.columns.length,
-      doors: ifcData.doors.length,
-      windows: ifcData.windows.length,
-      total: ifcData.summary.supportedElements
-    });
-    
-    return ifcData;
   }
 
   /**
-   * Parse a single IFC entity
+   * Build an object again from its stored record ({ id, type, params, visible, openings })
+   * @returns {string|null} The object's id
    */
-  parseIFCEntity(entityLine, ifcData) {
-    try {
-      // Extract entity type
-      const typeMatch = entityLine.match(/=\s*IFC(\w+)\(/);
-      if (!typeMatch) return;
-      
-      const entityType = typeMatch[1].toUpperCase();
-      
-      // Debug: log all found entity types
-      if (['WALL', 'SLAB', 'COLUMN', 'DOOR', 'WINDOW', 'BUILDINGELEMENTPROXY'].includes(entityType)) {
-        console.log(`🔍 Found ${entityType} entity:`, entityLine.substring(0, 100) + '...');
-      }
-      
-      // Extract parameters
-      const paramMatch = entityLine.match(/=\s*IFC\w+\((.*)\);/);
-      if (!paramMatch) {
-        console.warn(`⚠️ Could not extract parameters from ${entityType}:`, entityLine.substring(0, 100));
-        return;
-      }
-      
-      const params = this.parseIFCParameters(paramMatch[1]);
-      console.log(`📋 ${entityType} parameters:`, params.slice(0, 5)); // Show first 5 params
-      
-      // Create building element based on type
-      switch (entityType) {
-        case 'WALL':
-          const wall = this.createWallFromIFC(params);
-          ifcData.walls.push(wall);
-          console.log(`🧱 Created wall:`, wall.name);
-          break;
-        case 'SLAB':
-          const slab = this.createSlabFromIFC(params);
-          ifcData.slabs.push(slab);
-          console.log(`🏗️ Created slab:`, slab.name);
-          break;
-        case 'COLUMN':
-          const column = this.createColumnFromIFC(params);
-          ifcData.columns.push(column);
-          console.log(`🏢 Created column:`, column.name);
-          break;
-        case 'DOOR':
-          const door = this.createDoorFromIFC(params);
-          ifcData.doors.push(door);
-          console.log(`🚪 Created door:`, door.name);
-          break;
-        case 'WINDOW':
-          const window = this.createWindowFromIFC(params);
-          ifcData.windows.push(window);
-          console.log(`🪟 Created window:`, window.name);
-          break;
-        case 'BUILDINGELEMENTPROXY':
-          // Handle generic building elements - try to determine type from name
-          const proxy = this.createBuildingElementProxyFromIFC(params);
-          if (proxy) {
-            // Add to appropriate category based on detected type
-            switch (proxy.detectedType) {
-              case 'wall':
-                ifcData.walls.push(proxy);
-                console.log(`🧱 Created wall from proxy:`, proxy.name);
-                break;
-              case 'slab':
-                ifcData.slabs.push(proxy);
-                console.log(`🏗️ Created slab from proxy:`, proxy.name);
-                break;
-              case 'column':
-                ifcData.columns.push(proxy);
-                console.log(`🏢 Created column from proxy:`, proxy.name);
-                break;
-              case 'door':
-                ifcData.doors.push(proxy);
-                console.log(`🚪 Created door from proxy:`, proxy.name);
-                break;
-              case 'window':
-                ifcData.windows.push(proxy);
-                console.log(`🪟 Created window from proxy:`, proxy.name);
-                break;
-              default:
-                // Default to wall if type cannot be determined
-                ifcData.walls.push(proxy);
-                console.log(`🧱 Created wall from unknown proxy:`, proxy.name);
-                break;
-            }
-          }
-          break;
-      }
-    } catch (error) {
-      console.warn('Failed to parse IFC entity:', entityLine.substring(0, 100), error);
-    }
-  }
+  rebuildObject(record) {
+    const objectId = this.createObject(record.type, { ...record.params }, { id: record.id });
+    if (!objectId) return null;
 
-  /**
-   * Parse IFC parameter string
-   */
-  parseIFCParameters(paramString) {
-    if (!paramString || paramString.trim().length === 0) {
-      return [];
-    }
-    
-    const params = [];
-    let current = '';
-    let depth = 0;
-    let inString = false;
-    let escaped = false;
-    
-    for (let i = 0; i < paramString.length; i++) {
-      const char = paramString[i];
-      
-      if (escaped) {
-        current += char;
-        escaped = false;
-        continue;
-      }
-      
-      if (char === '\\') {
-        escaped = true;
-        current += char;
-        continue;
-      }
-      
-      if (char === "'" && !inString) {
-        inString = true;
-        current += char;
-      } else if (char === "'" && inString) {
-        inString = false;
-        current += char;
-      } else if (char === '(' && !inString) {
-        depth++;
-        current += char;
-      } else if (char === ')' && !inString) {
-        depth--;
-        current += char;
-      } else if (char === ',' && depth === 0 && !inString) {
-        params.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    if (current.trim()) {
-      params.push(current.trim());
+    const cadObject = this.objects.get(objectId);
+    if (record.visible === false && cadObject) {
+      cadObject.visible = false;
+      if (cadObject.mesh3D) cadObject.mesh3D.visible = false;
+      if (cadObject.mesh2D) cadObject.mesh2D.visible = false;
     }
-    
-    return params;
+
+    (record.openings || []).forEach(opening => this.createProfessionalWallOpening(objectId, opening));
+    return objectId;
   }
 
   /**
-   * Create wall parameters from IFC data
+   * Geometry-free snapshot of the model for checkpoints (see utils/documentSnapshots):
+   * object records, document collections, resolved joinery and selection
    */
-  createWallFromIFC(params) {
-    const name = this.extractStringValue(params[1]) || 'IFC Wall';
-    const description = this.extractStringValue(params[2]) || '';
-    
-    return {
-      name: name,
-      description: description,
-      length: 4.0, // Default values - IFC geometry parsing would be more complex
-      height: 2.5,
-      thickness: 0.2,
-      material: 'concrete',
-      startPoint: { x: 0, y: 0, z: 0 },
-      endPoint: { x: 4, y: 0, z: 0 }
-    };
+  captureSnapshot() {
+    return createSnapshot({
+      document: this.exportSceneDocument({ includeHistory: false }),
+      activeLevelId: this.activeLevelId,
+      joinery: sceneDocumentService.toPlain(this.wallJoinery),
+      selection: Array.from(this.selectedObjects)
+    });
   }
 
   /**
-   * Create slab parameters from IFC data
+   * Bring the model back to a snapshot. Only objects that differ from it are deleted and
+   * rebuilt from their params (with the walls and openings they affect); joinery is
+   * resolved again from the restored layout.
+   * @returns {{ removed: number, rebuilt: number, collections: string[] }}
    */
-  createSlabFromIFC(params) {
-    const name = this.extractStringValue(params[1]) || 'IFC Slab';
-    const description = this.extractStringValue(params[2]) || '';
-    
-    // Check if this is a room/space element for better sizing
-    const combined = `${name} ${description}`.toLowerCase();
-    let width = 5.0, depth = 5.0, thickness = 0.2;
-    
-    if (combined.includes('room') || combined.includes('space') || combined.includes('house')) {
-      // Room elements should be larger
-      width = 8.0;
-      depth = 6.0;
-      thickness = 0.15;
-      console.log(`🏠 Creating room-style slab: ${width}x${depth}x${thickness}m`);
-    } else if (combined.includes('floor') || combined.includes('ground')) {
-      // Floor elements
-      width = 6.0;
-      depth = 6.0;
-      thickness = 0.25;
-      console.log(`🏗️ Creating floor slab: ${width}x${depth}x${thickness}m`);
+  restoreSnapshot(snapshot) {
+    const plan = planSnapshotRestore(this.captureSnapshot(), snapshot);
+
+    this._joinerySuspended = true;
+    let rebuilt = 0;
+    try {
+      plan.remove.forEach(objectId => this.deleteObject(objectId));
+      this.restoreDocumentCollections(plan.collections);
+      plan.create.forEach(record => {
+        try {
+          if (this.rebuildObject(record)) rebuilt++;
+        } catch (error) {
+          console.warn(`⚠️ Failed to restore ${record.type} ${record.id}:`, error);
+        }
+      });
+    } finally {
+      this._joinerySuspended = false;
+    }
+    if (plan.remove.length > 0 || plan.create.length > 0) {
+      this.applyProfessionalWallJoinery();
+      this.scheduleRoomUpdate();
     }
-    
-    return {
-      name: name,
-      description: description,
-      width: width,
-      depth: depth,
-      thickness: thickness,
-      material: 'concrete',
-      shape: 'rectangular'
-    };
-  }
 
-  /**
-   * Create column parameters from IFC data
-   */
-  createColumnFromIFC(params) {
-    const name = this.extractStringValue(params[1]) || 'IFC Column';
-    const description = this.extractStringValue(params[2]) || '';
-    
-    return {
-      name: name,
-      description: description,
-      width: 0.4,
-      depth: 0.4,
-      height: 3.0,
-      material: 'concrete',
-      shape: 'rectangular'
-    };
-  }
+    // Deleting elements releases the dimensions on them, so these always come back
+    this.projectUnits = DIMENSION_UNITS[snapshot.displayUnits] ? snapshot.displayUnits : DEFAULT_DIMENSION_UNITS;
+    this.emit('project_units_changed', { units: this.projectUnits });
+    this.dimensions = (snapshot.dimensions || []).map(dimension => createDimension(dimension));
+    this.emit('dimensions_changed', { dimensions: this.getDimensions() });
 
-  /**
-   * Create door parameters from IFC data
-   */
-  createDoorFromIFC(params) {
-    const name = this.extractStringValue(params[1]) || 'IFC Door';
-    const description = this.extractStringValue(params[2]) || '';
-    
-    return {
-      name: name,
-      description: description,
-      width: 0.9,
-      height: 2.1,
-      thickness: 0.05,
-      material: 'wood'
-    };
+    if (snapshot.activeLevelId) {
+      this.setActiveLevel(snapshot.activeLevelId);
+    }
+    this.clearSelection();
+    (snapshot.selection || [])
+      .filter(objectId => this.objects.has(objectId))
+      .forEach(objectId => this.selectObject(objectId, true));
+
+    const summary = { removed: plan.remove.length, rebuilt, collections: Object.keys(plan.collections) };
+    console.log(`⏪ Snapshot restored: ${summary.removed} objects removed, ${summary.rebuilt} rebuilt`);
+    this.emit('snapshot_restored', summary);
+    return summary;
   }
 
   /**
-   * Create window parameters from IFC data
+   * Import IFC file data (parsed from base64)
+   * Storeys, materials, property sets and door/window hosting are resolved from the
+   * IFC relationships by IFCImportService and carried on the created objects.
    */
-  createWindowFromIFC(params) {
-    const name = this.extractStringValue(params[1]) || 'IFC Window';
-    const description = this.extractStringValue(params[2]) || '';
+  async importIFC(fileName, base64Data) {
+    console.log(`🏗️ Importing IFC file: ${fileName}`);
     
-    return {
-      name: name,
-      description: description,
-      width: 1.2,
-      height: 1.4,
-      thickness: 0.05,
-      material: 'aluminum'
-    };
+    try {
+      // Decode base64 to text
+      const ifcText = atob(base64Data);
+      console.log(`📄 IFC file size: ${ifcText.length} characters`);
+      
+      // Parse IFC structure
+      const ifcData = this.parseIFCFile(ifcText);
+      
+      const importedObjects = [];
+      const wallIdMap = new Map(); // IFC express id -> engine wall id
+      
+      const importElement = (type, params) => {
+        try {
+          const objectId = this.createObject(type, params);
+          if (objectId) {
+            importedObjects.push({ type, id: objectId, name: params.name, ifcGUID: params.ifcGUID });
+          }
+          return objectId;
+        } catch (error) {
+          console.warn(`Failed to import ${type} ${params.name}:`, error);
+          return null;
+        }
+      };
+      
+      // IFC storeys become levels; a storey at the elevation of an existing level reuses it
+      const { levelIds: levelIdMap, newLevels } = matchImportedLevels(this.levels, ifcData.storeys);
+      newLevels.forEach(level => this.addLevel(level));
+      const withLevel = params => ({ ...params, levelId: levelIdMap.get(params.levelId) || params.levelId });
+      
+      // Layer sets become wall type templates so wall geometry keeps its build-up
+      Object.entries(ifcData.wallTypes).forEach(([key, template]) => {
+        if (!this.wallTypeTemplates[key]) {
+          this.wallTypeTemplates[key] = template;
+        }
+      });
+      
+      // Import walls
+      console.log(`🧱 Importing ${ifcData.walls.length} walls...`);
+      for (const wall of ifcData.walls) {
+        const { openings, ifcAxis, ifcId, ...wallParams } = wall;
+        const objectId = importElement('wall', withLevel(wallParams));
+        if (!objectId) continue;
+        wallIdMap.set(ifcId, objectId);
+        
+        // Openings without a door or window
+        openings.forEach(opening => this.createProfessionalWallOpening(objectId, opening));
+      }
+      
+      // Import slabs (roofs arrive as slabs flagged isRoof)
+      console.log(`🏗️ Importing ${ifcData.slabs.length} slabs...`);
+      ifcData.slabs.forEach(({ ifcId, ...slab }) => importElement('slab', withLevel(slab)));
+      
+      // Import columns
+      console.log(`🏢 Importing ${ifcData.columns.length} columns...`);
+      ifcData.columns.forEach(({ ifcId, ...column }) => importElement('column', withLevel(column)));
+      
+      // Import stairs
+      console.log(`🪜 Importing ${ifcData.stairs.length} stairs...`);
+      ifcData.stairs.forEach(({ ifcId, ...stair }) => importElement('stair', withLevel(stair)));
+      
+      // Import doors and windows into their host walls
+      console.log(`🚪 Importing ${ifcData.doors.length} doors and ${ifcData.windows.length} windows...`);
+      [['door', ifcData.doors], ['window', ifcData.windows]].forEach(([type, elements]) => {
+        elements.forEach(({ ifcId, hostIfcId, ...element }) => {
+          const hostWallId = hostIfcId ? wallIdMap.get(hostIfcId) : null;
+          importElement(type, hostWallId ? { ...element, hostWallId } : withLevel(element));
+        });
+      });
+      
+      console.log(`✅ IFC import completed. Imported ${importedObjects.length} objects.`);
+      
+      // Emit import completed event
+      this.emit('ifc_imported', {
+        fileName: fileName,
+        importedObjects: importedObjects,
+        storeys: ifcData.storeys,
+        summary: ifcData.summary
+      });
+      
+      return {
+        success: true,
+        message: `Successfully imported ${importedObjects.length} objects from ${fileName}`,
+        importedObjects: importedObjects,
+        storeys: ifcData.storeys,
+        summary: ifcData.summary
+      };
+      
+    } catch (error) {
+      console.error('❌ IFC import failed:', error);
+      
+      // Emit import error event
+      this.emit('ifc_import_error', {
+        fileName: fileName,
+        error: error.message
+      });
+      
+      return {
+        success: false,
+        message: `Failed to import ${fileName}: ${error.message}`
+      };
+    }
   }
 
   /**
-   * Create building element from IFC BUILDINGELEMENTPROXY
+   * Parse IFC file content and extract building elements
    */
-  createBuildingElementProxyFromIFC(params) {
-    const guid = this.extractStringValue(params[0]) || '';
-    const name = this.extractStringValue(params[1]) || 'Building Element';
-    const description = this.extractStringValue(params[2]) || '';
-    const objectType = this.extractStringValue(params[3]) || '';
-    
-    console.log(`🔍 Building Element Proxy: "${name}" (${objectType}) - ${description}`);
-    
-    // Try to determine the building element type from name, description, or objectType
-    const detectedType = this.detectBuildingElementType(name, description, objectType);
-    
-    // Create appropriate parameters based on detected type
-    switch (detectedType) {
-      case 'wall':
-        return {
-          ...this.createWallFromIFC(['', name, description]),
-          detectedType: 'wall',
-          originalType: 'BUILDINGELEMENTPROXY',
-          guid: guid,
-          objectType: objectType
-        };
-      case 'slab':
-        return {
-          ...this.createSlabFromIFC(['', name, description]),
-          detectedType: 'slab',
-          originalType: 'BUILDINGELEMENTPROXY',
-          guid: guid,
-          objectType: objectType
-        };
-      case 'column':
-        return {
-          ...this.createColumnFromIFC(['', name, description]),
-          detectedType: 'column',
-          originalType: 'BUILDINGELEMENTPROXY',
-          guid: guid,
-          objectType: objectType
-        };
-      case 'door':
-        return {
-          ...this.createDoorFromIFC(['', name, description]),
-          detectedType: 'door',
-          originalType: 'BUILDINGELEMENTPROXY',
-          guid: guid,
-          objectType: objectType
-        };
-      case 'window':
-        return {
-          ...this.createWindowFromIFC(['', name, description]),
-          detectedType: 'window',
-          originalType: 'BUILDINGELEMENTPROXY',
-          guid: guid,
-          objectType: objectType
-        };
-      default:
-        // Default to a generic building element (treated as wall)
-        return {
-          ...this.createWallFromIFC(['', name, description]),
-          detectedType: 'wall',
-          originalType: 'BUILDINGELEMENTPROXY',
-          guid: guid,
-          objectType: objectType
-        };
-    }
+  parseIFCFile(ifcText) {
+    console.log('🔍 Parsing IFC file structure...');
+    return ifcImportService.parseModel(ifcText, {
+      detectType: (name, description, objectType) => this.detectBuildingElementType(name, description, objectType)
+    });
   }
 
   /**
@@ -7682,27 +8085,6 @@ class StandaloneCADEngine {
     return 'wall'; // Default to wall
   }
 
-  /**
-   * Extract string value from IFC parameter
-   */
-  extractStringValue(param) {
-    if (!param) return null;
-    
-    // Handle different IFC parameter formats
-    let cleaned = param.trim();
-    
-    // Remove quotes if present
-    if (cleaned.startsWith("'") && cleaned.endsWith("'")) {
-      cleaned = cleaned.slice(1, -1);
-    }
-    
-    // Handle IFC null values
-    if (cleaned === '$' || cleaned === '*' || cleaned.toUpperCase() === '.UNSET.' || cleaned === '') {
-      return null;
-    }
-    
-    return cleaned;
-  }
   /**
    * Dispose of all resources
    */
@@ -7792,12 +8174,7 @@ class StandaloneCADEngine {
         console.log(`🎯 SUCCESS: Found intersections with ${tolerance}m tolerance`);
         
         // Apply joinery with this tolerance
-        const result = this.applyWallJoinery({
-          tolerance,
-          cornerStyle: 'butt',
-          tightCorners: false,
-          autoExtend: true
-        });
+        const result = this.applyWallJoinery({ tolerance });
         
         if (result) {
           console.log(`✅ JOINERY APPLIED SUCCESSFULLY with ${tolerance}m tolerance`);
@@ -7841,12 +8218,11 @@ class StandaloneCADEngine {
   getJoineryInfo() {
     const walls = Array.from(this.objects.values()).filter(obj => obj.type === 'wall');
     const intersections = this.analyzeWallIntersections();
+    const isJoined = joint => joint && (joint.start.junction || joint.end.junction || joint.crossings.length > 0);
     
     return {
       totalWalls: walls.length,
-      wallsWithJoinery: walls.filter(wall => 
-        wall.params.adjustForJoinery === true
-      ).length,
+      wallsWithJoinery: walls.filter(wall => isJoined(this.wallJoinery.walls[wall.id])).length,
       intersections: intersections,
       joineryApplied: intersections.length > 0
     };
@@ -8092,60 +8468,543 @@ class StandaloneCADEngine {
   }
 
   /**
-   * Create stair geometry
-   * Creates a simplified stair representation
+   * Resolve a stair's floor-to-floor rise: up to params.topLevelId when given, else
+   * params.totalRise, else the height of the stair's level
+   */
+  prepareStairParams(params = {}) {
+    if (params.modelUrl && params.format) return params;
+
+    const prepared = { ...params };
+    const level = resolveObjectLevel(this.levels, prepared);
+    const top = findLevel(this.levels, prepared.topLevelId);
+    if (top && level && top.elevation > level.elevation) {
+      prepared.totalRise = top.elevation - level.elevation;
+    } else if (!(Number(prepared.totalRise) > 0)) {
+      prepared.totalRise = (level && level.height) || 3;
+    }
+    return prepared;
+  }
+
+  /**
+   * Riser count, walkline run and code check stored on the stair for schedules and the UI
+   */
+  getStairQuantities(stair, validation) {
+    if (!stair) return {};
+    return {
+      risers: stair.risers,
+      totalRun: Math.round(stair.totalRun * 10000) / 10000,
+      validation
+    };
+  }
+
+  getStairCodeRules() {
+    return { ...this.stairCodeRules };
+  }
+
+  /**
+   * Change the building-code limits and re-check every stair
+   * @param {Object} rules - Overrides of DEFAULT_STAIR_RULES
+   */
+  setStairCodeRules(rules = {}) {
+    this.stairCodeRules = { ...DEFAULT_STAIR_RULES, ...rules };
+    Array.from(this.objects.values())
+      .filter(obj => obj.type === 'stair' && !(obj.params.modelUrl && obj.params.format))
+      .forEach(obj => this.updateObject(obj.id, {}));
+    console.log('🪜 Stair code rules updated:', this.stairCodeRules);
+    return this.getStairCodeRules();
+  }
+
+  /**
+   * Add a polyline of boxes (stringers, rails, curbs) to a group. Each segment is a box
+   * sloped to follow it, centred `drop` below the line; vertical jumps become posts.
+   */
+  addRunSegments(group, points, height, thickness, drop, material, userData) {
+    points.forEach((start, i) => {
+      const end = points[i + 1];
+      if (!end) return;
+      const dx = end.x - start.x;
+      const dy = end.y - start.y;
+      const dz = end.z - start.z;
+      const run = Math.hypot(dx, dz);
+      const mesh = run < 1e-4
+        ? new THREE.Mesh(new THREE.BoxGeometry(thickness, Math.abs(dy) + height, thickness), material)
+        : new THREE.Mesh(new THREE.BoxGeometry(Math.hypot(run, dy), height, thickness), material);
+      mesh.position.set((start.x + end.x) / 2, (start.y + end.y) / 2 - drop, (start.z + end.z) / 2);
+      if (run >= 1e-4) {
+        mesh.rotation.set(0, Math.atan2(-dz, dx), Math.atan2(dy, run), 'YZX');
+      }
+      mesh.userData = userData;
+      group.add(mesh);
+    });
+  }
+
+  /**
+   * Create stair geometry and meshes: treads (stepped solid for concrete stairs), stringers,
+   * handrails and the column of a spiral stair, all checked against the code rules.
+   * Library models keep their own geometry.
    */
   createStairGeometry(params) {
-    console.log('🏗️ Creating stair geometry with params:', params);
-    
-    const stepWidth = params.stepWidth || 1.2;
-    const numberOfSteps = params.numberOfSteps || 16;
-    const treadDepth = params.treadDepth || 0.25;
-    const riserHeight = params.riserHeight || 0.18;
-    const totalRun = numberOfSteps * treadDepth;
-    const totalRise = numberOfSteps * riserHeight;
-    
-    // Create simplified 3D geometry representing the stair volume
-    const geometry3D = new THREE.BoxGeometry(stepWidth, totalRise / 2, totalRun);
-    
-    // Create material
-    const material3D = new THREE.MeshStandardMaterial({
-      color: params.material === 'wood' ? '#8B4513' : '#888888',
-      roughness: 0.8,
-      metalness: 0.1
+    const position = params.position || { x: 0, y: 0, z: 0 };
+    if (params.modelUrl && params.format) {
+      const result = this.createExternalModelGeometry(
+        params.modelUrl, params.format, params.stepWidth || 1.2, params.totalRise || 3, params.totalRun || 4,
+        position, 0x888888, params.name
+      );
+      return { ...result, stair: null, validation: null };
+    }
+
+    const stair = generateStair(params);
+    const validation = validateStair(stair, { ...this.stairCodeRules, ...(params.codeRules || {}) });
+    const material = (this.materials[params.material] || this.materials.concrete).clone();
+    const railMaterial = (this.materials[params.handrailMaterial] || this.materials.steel).clone();
+    const solid = (params.structure || (params.material === 'concrete' ? 'solid' : 'stringer')) === 'solid';
+    const treadThickness = Number(params.treadThickness) || 0.04;
+    const stairGroup = new THREE.Group();
+
+    // Solid stairs fill each step down to the floor; stringer stairs get thin treads
+    stair.treads.forEach(tread => {
+      const thickness = solid ? tread.elevation : Math.min(treadThickness, tread.elevation);
+      const outline = tread.points.map(point => new THREE.Vector3(point.x, tread.elevation - thickness, point.z));
+      const mesh = new THREE.Mesh(
+        this.createPrismGeometry(outline, new THREE.Vector3(0, thickness, 0), point => new THREE.Vector2(point.x, point.z)),
+        material
+      );
+      mesh.userData = { stairTread: tread.index, kind: tread.kind };
+      stairGroup.add(mesh);
     });
-    
-    // Create 3D mesh
-    const mesh3D = new THREE.Mesh(geometry3D, material3D);
-    mesh3D.position.set(0, totalRise / 4, 0); // Position above ground
-    
-    // Create 2D representation (simplified rectangle)
-    const geometry2D = new THREE.PlaneGeometry(stepWidth, totalRun);
-    const material2D = new THREE.MeshBasicMaterial({
-      color: 0x666666,
-      transparent: true,
-      opacity: 0.3,
-      side: THREE.DoubleSide
+
+    // Stringers and rails are runs of boxes along the stair sides
+    const addRun = (points, height, thickness, drop, runMaterial, userData) =>
+      this.addRunSegments(stairGroup, points, height, thickness, drop, runMaterial, userData);
+
+    if (!solid) {
+      const stringerDepth = Number(params.stringerDepth) || 0.3;
+      const stringerWidth = Number(params.stringerWidth) || 0.05;
+      stair.stringers.forEach(stringer => {
+        addRun(stringer.points3D, stringerDepth, stringerWidth, stringerDepth / 2 - 0.05, material, { stairStringer: stringer.side });
+      });
+    }
+
+    const railSize = 0.05;
+    stair.handrails.forEach(handrail => {
+      const points = handrail.points3D;
+      addRun(points, railSize, railSize, 0, railMaterial, { stairHandrail: handrail.side });
+      // Posts at both ends of the rail
+      [points[0], points[points.length - 1]].forEach(point => {
+        const height = Number(params.handrailHeight) || 0.9;
+        const post = new THREE.Mesh(new THREE.BoxGeometry(railSize, height, railSize), railMaterial);
+        post.position.set(point.x, point.y - height / 2, point.z);
+        post.userData = { stairPost: handrail.side };
+        stairGroup.add(post);
+      });
     });
-    const mesh2D = new THREE.Mesh(geometry2D, material2D);
-    mesh2D.rotation.x = -Math.PI / 2; // Lay flat
-    
-    console.log('🏗️ Stair geometry created with', numberOfSteps, 'steps');
-    
+
+    if (stair.type === 'spiral') {
+      const columnRadius = Number(params.columnRadius) || 0.1;
+      const height = stair.totalRise + (Number(params.handrailHeight) || 0.9);
+      const column = new THREE.Mesh(new THREE.CylinderGeometry(columnRadius, columnRadius, height, 24), railMaterial);
+      column.position.y = height / 2;
+      column.userData = { stairColumn: true };
+      stairGroup.add(column);
+    }
+
+    const rotation = (Number(params.rotation) || 0) * Math.PI / 180;
+    const mesh3D = stairGroup;
+    mesh3D.position.set(position.x || 0, 0, position.z || 0);
+    mesh3D.rotation.y = rotation;
+    mesh3D.userData = { objectId: null, type: 'stair', stair, validation };
+
+    // 2D: tread outlines below the cut plane
+    const mesh2D = new THREE.Group();
+    const cutIndex = stair.cut ? stair.cut.index : stair.treads.length;
+    const treadLines = stair.treads.slice(0, cutIndex + 1).flatMap(tread =>
+      tread.points.flatMap((point, i) => {
+        const next = tread.points[(i + 1) % tread.points.length];
+        return [new THREE.Vector3(point.x, 0, point.z), new THREE.Vector3(next.x, 0, next.z)];
+      })
+    );
+    mesh2D.add(new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(treadLines),
+      new THREE.LineBasicMaterial({ color: 0x374151 })
+    ));
+    mesh2D.position.set(position.x || 0, 0, position.z || 0);
+    mesh2D.rotation.y = rotation;
+    mesh2D.userData = { objectId: null, type: 'stair' };
+
+    const geometry = stair.treads.length > 0 ? stairGroup.children[0].geometry : new THREE.BufferGeometry();
+    console.log(`🪜 Stair geometry created: ${stair.type}, ${stair.risers} risers of ${(stair.riserHeight * 1000).toFixed(0)}mm${validation.ok ? '' : ' - fails code check'}`);
+
+    return { geometry, mesh3D, mesh2D, stair, validation };
+  }
+
+  /**
+   * Resolve a ramp's rise: up to params.topLevelId when given, else params.totalRise, else
+   * the height older ramps were created with
+   */
+  prepareRampParams(params = {}) {
+    const prepared = { ...params };
+    const level = resolveObjectLevel(this.levels, prepared);
+    const top = findLevel(this.levels, prepared.topLevelId);
+    if (top && level && top.elevation > level.elevation) {
+      prepared.totalRise = top.elevation - level.elevation;
+    } else if (!(Number(prepared.totalRise) > 0)) {
+      prepared.totalRise = Number(prepared.height) > 0 ? Number(prepared.height) : 1;
+    }
+    return prepared;
+  }
+
+  /**
+   * Gradient, lengths and accessibility check stored on the ramp for schedules and the UI
+   */
+  getRampQuantities(ramp, validation) {
+    if (!ramp) return {};
     return {
-      geometry: geometry3D,
-      mesh3D: mesh3D,
-      mesh2D: mesh2D
+      grade: ramp.grade,
+      rampLength: Math.round(ramp.rampLength * 10000) / 10000,
+      travelLength: Math.round(ramp.travelLength * 10000) / 10000,
+      runs: ramp.runs.length,
+      validation
+    };
+  }
+
+  getRampCodeRules() {
+    return { ...this.rampCodeRules };
+  }
+
+  /**
+   * Change the accessibility rules and re-check every ramp against them
+   */
+  setRampCodeRules(rules = {}) {
+    this.rampCodeRules = { ...DEFAULT_RAMP_RULES, ...rules };
+    Array.from(this.objects.values())
+      .filter(obj => obj.type === 'ramp')
+      .forEach(obj => this.updateObject(obj.id, {}));
+    console.log('♿ Ramp accessibility rules updated:', this.rampCodeRules);
+    return this.getRampCodeRules();
+  }
+
+  /**
+   * Create ramp geometry and meshes: sloped runs (solid down to the floor for concrete
+   * ramps), flat landings, curbs and handrails, checked against the accessibility rules.
+   * The ramp climbs towards its slope direction (north is +z) unless params.rotation is set.
+   */
+  createRampGeometry(params) {
+    const position = params.position || { x: 0, y: 0, z: 0 };
+    const ramp = generateRamp(params);
+    const validation = validateRamp(ramp, { ...this.rampCodeRules, ...(params.codeRules || {}) });
+    const material = (this.materials[params.material] || this.materials.concrete).clone();
+    const railMaterial = (this.materials[params.handrailMaterial] || this.materials.steel).clone();
+    const solid = (params.structure || ((params.material || 'concrete') === 'concrete' ? 'solid' : 'slab')) === 'solid';
+    const thickness = Number(params.thickness) || 0.2;
+    const underside = (elevation) => (solid ? 0 : Math.max(0, elevation - thickness));
+    const rampGroup = new THREE.Group();
+
+    // Each run is its side profile extruded across the ramp width
+    ramp.runs.forEach(run => {
+      const x = Math.min(...run.points.map(point => point.x));
+      const profile = [
+        new THREE.Vector3(x, underside(run.startElevation), run.start.z),
+        new THREE.Vector3(x, underside(run.endElevation), run.end.z),
+        new THREE.Vector3(x, run.endElevation, run.end.z),
+        new THREE.Vector3(x, run.startElevation, run.start.z)
+      ].filter((point, i, all) => point.distanceTo(all[(i + 1) % all.length]) > 1e-6);
+      const mesh = new THREE.Mesh(
+        this.createPrismGeometry(profile, new THREE.Vector3(ramp.width, 0, 0), point => new THREE.Vector2(point.z, point.y)),
+        material
+      );
+      mesh.userData = { rampRun: run.index };
+      rampGroup.add(mesh);
+    });
+
+    ramp.landings.forEach(landing => {
+      const bottom = underside(landing.elevation);
+      const outline = landing.points.map(point => new THREE.Vector3(point.x, bottom, point.z));
+      const mesh = new THREE.Mesh(
+        this.createPrismGeometry(outline, new THREE.Vector3(0, landing.elevation - bottom, 0), point => new THREE.Vector2(point.x, point.z)),
+        material
+      );
+      mesh.userData = { rampLanding: landing.index };
+      rampGroup.add(mesh);
+    });
+
+    ramp.curbs.forEach(curb => {
+      this.addRunSegments(rampGroup, curb.points3D, ramp.curbHeight, 0.1, -ramp.curbHeight / 2, material, { rampCurb: curb.side });
+    });
+
+    // Handrails with a post at every change of direction
+    const railSize = 0.05;
+    const railHeight = Number(params.handrailHeight) || 0.9;
+    ramp.handrails.forEach(handrail => {
+      this.addRunSegments(rampGroup, handrail.points3D, railSize, railSize, 0, railMaterial, { rampHandrail: handrail.side });
+      handrail.points3D.forEach(point => {
+        const post = new THREE.Mesh(new THREE.BoxGeometry(railSize, railHeight, railSize), railMaterial);
+        post.position.set(point.x, point.y - railHeight / 2, point.z);
+        post.userData = { rampPost: handrail.side };
+        rampGroup.add(post);
+      });
+    });
+
+    const directions = { north: 0, east: 90, south: 180, west: -90 };
+    const degrees = params.rotation !== undefined && params.rotation !== ''
+      ? Number(params.rotation) || 0
+      : directions[params.slopeDirection] || 0;
+    const rotation = degrees * Math.PI / 180;
+    const mesh3D = rampGroup;
+    mesh3D.position.set(position.x || 0, 0, position.z || 0);
+    mesh3D.rotation.y = rotation;
+    mesh3D.userData = { objectId: null, type: 'ramp', ramp, validation };
+
+    // 2D: outlines of the runs and landings
+    const mesh2D = new THREE.Group();
+    const outlines = [...ramp.runs, ...ramp.landings].flatMap(part =>
+      part.points.flatMap((point, i) => {
+        const next = part.points[(i + 1) % part.points.length];
+        return [new THREE.Vector3(point.x, 0, point.z), new THREE.Vector3(next.x, 0, next.z)];
+      })
+    );
+    mesh2D.add(new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(outlines),
+      new THREE.LineBasicMaterial({ color: 0x374151 })
+    ));
+    mesh2D.position.set(position.x || 0, 0, position.z || 0);
+    mesh2D.rotation.y = rotation;
+    mesh2D.userData = { objectId: null, type: 'ramp' };
+
+    const geometry = rampGroup.children[0].geometry;
+    console.log(`♿ Ramp geometry created: ${ramp.type}, ${ramp.runs.length} run(s) at ${ramp.grade}%${validation.ok ? '' : ' - fails accessibility check'}`);
+
+    return { geometry, mesh3D, mesh2D, ramp, validation };
+  }
+
+  /**
+   * Section profiles beams and braces can use, from the structural catalog
+   */
+  getProfileCatalog() {
+    return Object.keys(PROFILE_CATALOG).map(designation => getProfile(designation));
+  }
+
+  /**
+   * Fill in a beam's or brace's profile, material and heights above its level. Unless
+   * elevations are given, beams sit with their top at the level height (the underside of
+   * the floor above) and braces rise from the floor to that height.
+   */
+  prepareFramingParams(type, params = {}) {
+    const prepared = { ...params, memberType: type };
+    const profile = getProfile(prepared.profile) || getProfile(type === 'brace' ? DEFAULT_BRACE_PROFILE : DEFAULT_BEAM_PROFILE);
+    prepared.profile = PROFILE_CATALOG[profile.designation] ? profile.designation : profile;
+    prepared.material = prepared.material || profile.material;
+
+    // Older beams were placed by their centre and length
+    if (!prepared.startPoint && prepared.position && Number(prepared.length) > 0) {
+      const half = Number(prepared.length) / 2;
+      prepared.startPoint = { x: prepared.position.x - half, z: prepared.position.z };
+      prepared.endPoint = { x: prepared.position.x + half, z: prepared.position.z };
+    }
+
+    const level = resolveObjectLevel(this.levels, prepared);
+    const levelHeight = (level && level.height) || 3;
+    const unset = (value) => value === undefined || value === null || value === '';
+    if (type === 'brace') {
+      if (unset(prepared.startElevation)) prepared.startElevation = 0;
+      if (unset(prepared.endElevation)) prepared.endElevation = levelHeight;
+    } else if (unset(prepared.elevation)) {
+      prepared.elevation = levelHeight;
+    }
+    return prepared;
+  }
+
+  /**
+   * Length, section and weight stored on a beam or brace for schedules and the UI
+   */
+  getFramingQuantities(member, section, profile) {
+    if (!member) return {};
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    return {
+      length: round(member.length, 4),
+      span: round(member.span, 4),
+      profileName: profile.designation,
+      profileWidth: profile.width,
+      profileDepth: profile.depth,
+      profileArea: round(section.area, 6),
+      massPerMetre: round(section.massPerMetre, 1),
+      mass: round(section.massPerMetre * member.length, 1)
+    };
+  }
+
+  /**
+   * Beam between two columns with its top flush with the lower column top
+   * @returns {string|null} The new beam's id
+   */
+  placeBeamBetweenColumns(startColumnId, endColumnId, params = {}) {
+    const columns = [startColumnId, endColumnId].map(id => this.objects.get(id));
+    if (columns.some(column => !column || column.type !== 'column')) {
+      console.warn('⚠️ A beam between columns needs two columns:', startColumnId, endColumnId);
+      return null;
+    }
+
+    const levelId = this.getObjectLevelId(columns[0]);
+    const base = findLevel(this.levels, levelId)?.elevation || 0;
+    const columnTop = (column) => (resolveObjectLevel(this.levels, column.params)?.elevation || 0)
+      + (Number(column.params.position?.y) || 0)
+      + (Number(column.params.height) || 3);
+    const [start, end] = columns.map(column => ({ x: column.mesh3D.position.x, z: column.mesh3D.position.z }));
+
+    return this.createObject('beam', {
+      startPoint: start,
+      endPoint: end,
+      levelId,
+      elevation: Math.min(...columns.map(columnTop)) - base,
+      justification: 'top',
+      startColumnId,
+      endColumnId,
+      ...params
+    });
+  }
+
+  /**
+   * Beam along the top of a straight wall, by default a concrete ring beam as wide as the wall
+   * @returns {string|null} The new beam's id
+   */
+  placeBeamOnWall(wallId, params = {}) {
+    const wall = this.objects.get(wallId);
+    if (!wall || wall.type !== 'wall') {
+      console.warn('⚠️ No wall to place a beam on:', wallId);
+      return null;
+    }
+    const axis = this.getWallAxis(wall.params);
+    if (axis.bulge) {
+      console.warn('⚠️ Beams can only follow straight walls:', wallId);
+      return null;
+    }
+
+    const thickness = Number(wall.params.thickness) || 0.2;
+    return this.createObject('beam', {
+      startPoint: { x: axis.start.x, z: axis.start.z },
+      endPoint: { x: axis.end.x, z: axis.end.z },
+      levelId: this.getObjectLevelId(wall),
+      elevation: (Number(wall.params.baseOffset) || 0) + (Number(wall.params.height) || 2.5),
+      justification: 'bottom',
+      profile: {
+        family: 'rectangular',
+        designation: `RC ${Math.round(thickness * 1000)}x300`,
+        width: thickness,
+        depth: 0.3,
+        material: 'concrete'
+      },
+      supportWallId: wallId,
+      ...params
+    });
+  }
+
+  /**
+   * Points framing members snap to on a level: column centres, wall ends, member ends and
+   * grid crossings
+   */
+  getFramingSnapPoints(levelId = this.activeLevelId) {
+    const points = [];
+    this.objects.forEach(obj => {
+      if (this.getObjectLevelId(obj) !== levelId) return;
+      if (obj.type === 'column' && obj.mesh3D) {
+        points.push({ x: obj.mesh3D.position.x, z: obj.mesh3D.position.z, kind: 'column', id: obj.id });
+      } else if (obj.type === 'wall') {
+        const axis = this.getWallAxis(obj.params);
+        points.push({ x: axis.start.x, z: axis.start.z, kind: 'wallEnd', id: obj.id });
+        points.push({ x: axis.end.x, z: axis.end.z, kind: 'wallEnd', id: obj.id });
+      } else if ((obj.type === 'beam' || obj.type === 'brace') && obj.params.startPoint && obj.params.endPoint) {
+        points.push({ x: obj.params.startPoint.x, z: obj.params.startPoint.z, kind: 'memberEnd', id: obj.id });
+        points.push({ x: obj.params.endPoint.x, z: obj.params.endPoint.z, kind: 'memberEnd', id: obj.id });
+      }
+    });
+    return [...points, ...this.getGridSnapPoints()];
+  }
+
+  /**
+   * Snap a plan point for placing a beam or brace
+   * @param {{x, z}} point
+   * @param {Object} options - { levelId, tolerance, gridSpacing }
+   * @returns {{ point: {x, z}, target: Object|null }} target is the column/wall/member snapped to
+   */
+  snapFramingPoint(point, options = {}) {
+    return snapToFramingTargets(point, this.getFramingSnapPoints(options.levelId || this.activeLevelId), options);
+  }
+
+  /**
+   * Create beam or brace geometry: the section profile extruded along the member axis and
+   * turned so the section's y axis stays as close to vertical as the member allows.
+   * params.roll (degrees) turns the section about the axis.
+   */
+  createFramingGeometry(params) {
+    const profile = getProfile(params.profile) || getProfile(DEFAULT_BEAM_PROFILE);
+    const section = sectionProperties(profile);
+    const member = resolveFramingMember(params, profile);
+    if (member.length < 1e-3) {
+      throw new Error('A framing member needs two different end points');
+    }
+
+    const { outer, holes } = profileOutline(profile);
+    const shape = new THREE.Shape(outer.map(point => new THREE.Vector2(point.x, point.y)));
+    holes.forEach(hole => shape.holes.push(new THREE.Path(hole.map(point => new THREE.Vector2(point.x, point.y)))));
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: member.length, bevelEnabled: false });
+
+    // Local x across the member, y up through the section, z along the member
+    const start = new THREE.Vector3(member.start.x, member.start.y, member.start.z);
+    const direction = new THREE.Vector3(member.end.x, member.end.y, member.end.z).sub(start).normalize();
+    const across = Math.abs(direction.y) > 0.999
+      ? new THREE.Vector3(1, 0, 0)
+      : new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), direction).normalize();
+    const sectionUp = new THREE.Vector3().crossVectors(direction, across);
+
+    const material = (this.materials[params.material] || this.materials[profile.material] || this.materials.steel).clone();
+    const mesh3D = new THREE.Mesh(geometry, material);
+    mesh3D.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(across, sectionUp, direction));
+    mesh3D.rotateZ((Number(params.roll) || 0) * Math.PI / 180);
+    mesh3D.position.copy(start).addScaledVector(sectionUp, member.offset);
+    mesh3D.userData = {
+      objectId: null,
+      type: params.memberType || 'beam',
+      framing: {
+        start: member.start,
+        end: member.end,
+        justification: member.justification,
+        profile: profile.designation,
+        family: profile.family,
+        width: profile.width,
+        depth: profile.depth
+      }
     };
+
+    // 2D: beams are above the cut plane, so their edges are dashed; braces show their axis
+    const half = profile.width / 2;
+    const planLength = member.span || 1;
+    const normal = { x: -(member.end.z - member.start.z) / planLength, z: (member.end.x - member.start.x) / planLength };
+    const corner = (point, side) => new THREE.Vector3(point.x + normal.x * half * side, 0, point.z + normal.z * half * side);
+    const linePoints = params.memberType === 'brace'
+      ? [new THREE.Vector3(member.start.x, 0, member.start.z), new THREE.Vector3(member.end.x, 0, member.end.z)]
+      : [
+        corner(member.start, 1), corner(member.end, 1),
+        corner(member.end, -1), corner(member.start, -1),
+        corner(member.start, 1), corner(member.start, -1),
+        corner(member.end, 1), corner(member.end, -1)
+      ];
+    const lines = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(linePoints),
+      new THREE.LineDashedMaterial({ color: 0x374151, dashSize: 0.2, gapSize: 0.1 })
+    );
+    lines.computeLineDistances();
+    const mesh2D = new THREE.Group();
+    mesh2D.add(lines);
+    mesh2D.userData = { objectId: null, type: params.memberType || 'beam' };
+
+    return { geometry, mesh3D, mesh2D, member, section, profile };
   }
 
   /**
-   * Set the Architect3D service reference for endpoint synchronization
+   * Set the Architect3D service reference (its corner and room model)
    * @param {Architect3DWallService} architect3DService - Reference to the Architect3D service
    */
   setArchitect3DService(architect3DService) {
     this.architect3DService = architect3DService;
-    console.log('🔗 SYNC SETUP: Architect3D service reference set for endpoint synchronization');
+    console.log('🔗 SYNC SETUP: Architect3D service reference set');
   }
 
 }
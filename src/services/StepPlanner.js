@@ -5,6 +5,48 @@
  * Thinks through dependencies, prerequisites, and optimal construction order
  */
 
+import { layoutRooms, parseRoomProgram, planRoomLayout } from '../utils/roomLayout';
+
+// Step dependencies of layout plans (generateLayoutPlan)
+const LAYOUT_DEPENDENCIES = {
+  createSlab: [],
+  createWall: ['createSlab'],
+  createDoor: ['createWall'],
+  applyWallJoinery: ['createWall']
+};
+
+/**
+ * Engine ids of the walls a layout plan's wall steps created, so its door steps can be
+ * inserted in the wall they name (see generateLayoutPlan). One per plan executor.
+ */
+export class LayoutWallHosts {
+  constructor() {
+    this.wallIds = new Map(); // step.layoutRef -> wall id
+  }
+
+  recordWall(step, wallId) {
+    if (step.layoutRef && wallId) this.wallIds.set(step.layoutRef, wallId);
+  }
+
+  /**
+   * Create a layout door step's door in the wall its hostWallRef names
+   * @returns {{ doorId: string, hostWallId: string }}
+   * @throws {Error} When that wall was never created or the engine made no door
+   */
+  createDoor(cadEngine, step) {
+    const hostWallId = this.wallIds.get(step.hostWallRef);
+    if (!hostWallId) {
+      throw new Error(`No wall was created for ${step.hostWallRef}, so the door has no host`);
+    }
+    const { position, ...doorParams } = step.params || {};
+    const doorId = cadEngine.createObject('door', { ...doorParams, hostWallId, insertionMode: 'insert_in_wall' });
+    if (!doorId) {
+      throw new Error(`Failed to create door in wall ${hostWallId}`);
+    }
+    return { doorId, hostWallId };
+  }
+}
+
 class StepPlanner {
   constructor() {
     this.constructionRules = {
@@ -49,6 +91,12 @@ class StepPlanner {
   generatePlan(nlpAnalysis) {
     console.log('🧠 StepPlanner: Generating plan from analysis:', nlpAnalysis);
 
+    // Several rooms are laid out together so they adjoin instead of stacking on one origin
+    const program = parseRoomProgram(nlpAnalysis.originalInput || '');
+    if (program.rooms.length > 1) {
+      return this.generateLayoutPlan(program, nlpAnalysis.existingObjects || [], nlpAnalysis);
+    }
+
     const planContext = this.analyzePlanContext(nlpAnalysis);
     const template = this.selectTemplate(planContext);
     const customSteps = this.generateCustomSteps(planContext, template);
@@ -69,6 +117,115 @@ class StepPlanner {
     return plan;
   }
 
+  /**
+   * Plan for several rooms laid out together (utils/roomLayout)
+   * Floor slabs first, then every wall segment once, doors on the walls adjoining rooms
+   * share and joinery. A door step names the wall step it goes in: hostWallRef matches
+   * that step's layoutRef, so the executor can look up the wall it created.
+   */
+  generateLayoutPlan(program, existingObjects = [], analysis = {}) {
+    const planId = `plan_${Date.now()}`;
+    const layout = planRoomLayout(program, { existing: existingObjects });
+    const names = new Map(layout.rooms.map(room => [room.id, room.name]));
+    const steps = [];
+
+    const addStep = (action, title, description, params, category, measure, extra = {}) => {
+      steps.push({
+        id: `step_${steps.length + 1}`,
+        number: steps.length + 1,
+        title,
+        description,
+        action,
+        params,
+        status: 'pending',
+        estimatedTime: this.estimateLayoutStepTime(action, measure),
+        category,
+        dependencies: LAYOUT_DEPENDENCIES[action],
+        ...extra
+      });
+    };
+
+    layout.rooms.forEach(room => {
+      addStep('createSlab', `Create Floor Slab – ${room.name}`,
+        `Floor slab for the ${room.name.toLowerCase()} (${room.width}m × ${room.depth}m)`,
+        {
+          width: room.width,
+          depth: room.depth,
+          thickness: this.calculateSlabThickness({ dimensions: room }),
+          material: 'concrete',
+          centerPosition: room.center,
+          startPoint: { x: room.x, y: 0, z: room.z },
+          endPoint: { x: room.x + room.width, y: 0, z: room.z + room.depth }
+        },
+        'foundation', { area: room.area });
+    });
+
+    layout.walls.forEach(wall => {
+      const [first, second] = wall.roomIds.map(id => names.get(id));
+      addStep('createWall',
+        wall.shared ? `Wall: ${first} / ${second}` : `Exterior Wall – ${first}`,
+        wall.shared
+          ? `Shared wall between the ${first.toLowerCase()} and the ${second.toLowerCase()} (${wall.length}m)`
+          : `Exterior wall of the ${first.toLowerCase()} (${wall.length}m)`,
+        {
+          startPoint: wall.startPoint,
+          endPoint: wall.endPoint,
+          length: wall.length,
+          height: 2.5,
+          thickness: wall.thickness,
+          material: 'concrete'
+        },
+        'structure', { length: wall.length }, { layoutRef: `${planId}:${wall.key}` });
+    });
+
+    layout.doors.forEach(door => {
+      const wall = layout.walls.find(candidate => candidate.key === door.wallKey);
+      const [first, second] = door.roomIds.map(id => names.get(id));
+      const direction = {
+        x: (wall.endPoint.x - wall.startPoint.x) / wall.length,
+        z: (wall.endPoint.z - wall.startPoint.z) / wall.length
+      };
+      const half = door.width / 2;
+      addStep('createDoor',
+        door.entrance ? `Add Entrance Door – ${first}` : `Add Door: ${first} ↔ ${second}`,
+        door.entrance
+          ? `Entrance door in an exterior wall of the ${first.toLowerCase()}`
+          : `Door in the wall the ${first.toLowerCase()} shares with the ${second.toLowerCase()}`,
+        {
+          width: door.width,
+          height: door.height,
+          position: door.position,
+          insertionPosition: door.insertionPosition,
+          startPoint: { x: door.position.x - direction.x * half, y: 0, z: door.position.z - direction.z * half },
+          endPoint: { x: door.position.x + direction.x * half, y: 0, z: door.position.z + direction.z * half }
+        },
+        'openings', {}, { hostWallRef: `${planId}:${door.wallKey}` });
+    });
+
+    addStep('applyWallJoinery', 'Apply Wall Joinery', 'Ensure perfect corner connections',
+      { tolerance: 0.5, cornerStyle: 'overlap' }, 'finishing', {});
+
+    if (layout.unmet.length > 0) {
+      console.warn('⚠️ StepPlanner: Rooms that could not be placed side by side:', layout.unmet);
+    }
+
+    const roomList = layout.rooms.map(room => room.name.toLowerCase());
+    const plan = {
+      id: planId,
+      title: `Laying Out ${layout.rooms.length} Rooms`,
+      description: `I'll lay out the ${roomList.slice(0, -1).join(', ')} and ${roomList[roomList.length - 1]} side by side, sharing walls between adjoining rooms and putting doors in them.`,
+      totalSteps: steps.length,
+      steps,
+      estimatedTime: this.calculateTotalTime(steps),
+      complexity: analysis.complexity,
+      confidence: analysis.confidence,
+      layout
+    };
+
+    console.log('🧠 StepPlanner: Generated layout plan:', plan);
+    return plan;
+  }
+
   /**
    * Analyze the context and requirements from NLP
    */
@@ -94,6 +251,8 @@ class StepPlanner {
       context.materials = this.inferMaterials(context);
     }
 
+    context.origin = this.findRoomOrigin(context.dimensions, analysis.existingObjects || []);
+
     return context;
   }
 
@@ -336,14 +495,16 @@ class StepPlanner {
         return {
           ...baseParams,
           thickness: this.calculateSlabThickness(context),
-          centerPosition: { x: 0, y: 0, z: 0 }
+          centerPosition: context.origin,
+          ...this.footprintCorners(context)
         };
 
       case 'createPerimeterWalls':
         return {
           ...baseParams,
           height: context.dimensions.height || 2.5,
-          thickness: this.calculateWallThickness(context)
+          thickness: this.calculateWallThickness(context),
+          center: context.origin
         };
 
       case 'createDoor':
@@ -390,6 +551,26 @@ class StepPlanner {
     return 0.15;
   }
 
+  /**
+   * Centre for a single room: the origin in an empty model, beside existing geometry otherwise
+   */
+  findRoomOrigin(dimensions, existingObjects = []) {
+    const { rooms: [room] } = layoutRooms({
+      rooms: [{ id: 'room_1', roomType: 'room', width: dimensions.width || 4, depth: dimensions.depth || 3 }],
+      adjacencies: []
+    }, { existing: existingObjects });
+    return room.center;
+  }
+
+  footprintCorners(context) {
+    const halfWidth = (context.dimensions.width || 4) / 2;
+    const halfDepth = (context.dimensions.depth || 3) / 2;
+    return {
+      startPoint: { x: context.origin.x - halfWidth, y: 0, z: context.origin.z - halfDepth },
+      endPoint: { x: context.origin.x + halfWidth, y: 0, z: context.origin.z + halfDepth }
+    };
+  }
+
   calculateWindowCount(context) {
     const perimeter = 2 * ((context.dimensions.width || 4) + (context.dimensions.depth || 3));
     return Math.max(1, Math.floor(perimeter / 8)); // One window per 8m of perimeter
@@ -417,6 +598,13 @@ class StepPlanner {
     return `${Math.ceil(time)} seconds`;
   }
 
+  estimateLayoutStepTime(action, { area = 0, length = 0 }) {
+    const estimates = this.constructionRules.TIME_ESTIMATES[action];
+    if (!estimates) return '2 seconds';
+    const time = estimates.base + (estimates.perArea || 0) * area + (estimates.perLength || 0) * length;
+    return `${Math.ceil(time)} seconds`;
+  }
+
   /**
    * Generate contextual titles and descriptions
    */
@@ -0,0 +1,388 @@
+/**
+ * Sustainability Report Service - Building thermal and embodied-carbon report
+ *
+ * Aggregates the model into envelope areas by orientation, area-weighted U-values
+ * for walls, glazing, doors, floors and roofs, and embodied carbon by material.
+ * Two design options can be compared, and reports export as JSON or HTML.
+ * Input is the plain take-off model used by ScheduleService.
+ */
+
+import scheduleService from './ScheduleService';
+
+// Embodied carbon, kg CO2e per m³ of material (cradle to gate)
+export const EMBODIED_CARBON_FACTORS = {
+  concrete: 400,
+  brick: 240,
+  wood: 50,
+  steel: 2500,
+  drywall: 120,
+  insulation_batt: 45,
+  insulation_rigid: 150
+};
+export const DEFAULT_CARBON_FACTOR = 100;
+
+// Share of each material that can be recycled at end of life
+export const RECYCLABLE_FACTORS = {
+  concrete: 0.3,
+  brick: 0.95,
+  wood: 0.8,
+  steel: 0.9,
+  drywall: 0.25,
+  insulation_batt: 0.6,
+  insulation_rigid: 0.2
+};
+export const DEFAULT_RECYCLABLE_FACTOR = 0.1;
+
+// Surface resistances, m²K/W (ISO 6946): horizontal heat flow for walls, upward for roofs, downward for floors
+const SURFACE_RESISTANCE = { wall: 0.13 + 0.04, roof: 0.10 + 0.04, floor: 0.17 + 0.04 };
+
+// Fallback U-values, W/m²K
+const DEFAULT_U_VALUES = { window: 2.5, door: 2.0 };
+
+const ORIENTATIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Distance off a wall centreline (m) used to tell its inside face from its outside face
+const OUTSIDE_PROBE = 0.01;
+
+const CATEGORY_LABELS = {
+  walls: 'External walls',
+  glazing: 'Windows',
+  doors: 'External doors',
+  roofs: 'Roofs',
+  floors: 'Ground floors'
+};
+
+// Metrics compared between design options; lower is better unless noted
+const COMPARISON_METRICS = [
+  { key: 'embodiedCarbon', label: 'Embodied carbon', unit: 'kg CO2e' },
+  { key: 'carbonIntensity', label: 'Carbon intensity', unit: 'kg CO2e/m²' },
+  { key: 'envelopeUValue', label: 'Average envelope U-value', unit: 'W/m²K' },
+  { key: 'heatLossCoefficient', label: 'Fabric heat loss', unit: 'W/K' },
+  { key: 'glazingRatio', label: 'Window-to-wall ratio', unit: '%' },
+  { key: 'recyclableContent', label: 'Recyclable content', unit: '%', higherIsBetter: true },
+  { key: 'grossFloorArea', label: 'Gross floor area', unit: 'm²', neutral: true }
+];
+
+class SustainabilityReportService {
+  /**
+   * Build the report for one design option
+   * @param {Object} model - { objects, wallTypeTemplates, materialDatabase, levels }
+   * @param {Object} options - { name, northAngle (degrees clockwise from plan -Z), carbonFactors }
+   */
+  generateReport(model, options = {}) {
+    const settings = {
+      name: options.name || 'Current design',
+      northAngle: Number(options.northAngle) || 0,
+      carbonFactors: { ...EMBODIED_CARBON_FACTORS, ...(options.carbonFactors || {}) }
+    };
+    const context = scheduleService.createContext(model);
+
+    const elements = this.collectEnvelope(context, settings);
+    const carbon = this.collectCarbon(model, settings);
+    const grossFloorArea = this.getGrossFloorArea(model);
+
+    const byCategory = Object.keys(CATEGORY_LABELS).map(category => {
+      const items = elements.filter(element => element.category === category);
+      const area = items.reduce((sum, element) => sum + element.area, 0);
+      const heatLoss = items.reduce((sum, element) => sum + element.area * element.uValue, 0);
+      return { category, label: CATEGORY_LABELS[category], count: items.length, area, uValue: area > 0 ? heatLoss / area : null, heatLoss };
+    });
+
+    const byOrientation = ORIENTATIONS.map(orientation => {
+      const items = elements.filter(element => element.orientation === orientation);
+      const areaOf = category => items.filter(element => element.category === category).reduce((sum, element) => sum + element.area, 0);
+      const wallArea = areaOf('walls');
+      const glazingArea = areaOf('glazing');
+      const doorArea = areaOf('doors');
+      const grossWallArea = wallArea + glazingArea + doorArea;
+      return { orientation, wallArea, glazingArea, doorArea, grossWallArea, glazingRatio: grossWallArea > 0 ? glazingArea / grossWallArea : 0 };
+    });
+
+    const envelopeArea = byCategory.reduce((sum, category) => sum + category.area, 0);
+    const heatLossCoefficient = byCategory.reduce((sum, category) => sum + category.heatLoss, 0);
+    const grossWallArea = byOrientation.reduce((sum, orientation) => sum + orientation.grossWallArea, 0);
+    const glazingArea = byOrientation.reduce((sum, orientation) => sum + orientation.glazingArea, 0);
+
+    return {
+      name: settings.name,
+      generatedAt: new Date().toISOString(),
+      settings: { northAngle: settings.northAngle },
+      summary: {
+        grossFloorArea,
+        envelopeArea,
+        envelopeUValue: envelopeArea > 0 ? heatLossCoefficient / envelopeArea : null,
+        heatLossCoefficient,
+        glazingRatio: grossWallArea > 0 ? (glazingArea / grossWallArea) * 100 : 0,
+        embodiedCarbon: carbon.total,
+        carbonIntensity: grossFloorArea > 0 ? carbon.total / grossFloorArea : null,
+        recyclableContent: carbon.recyclableContent
+      },
+      envelope: { byCategory, byOrientation, elements },
+      carbon
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Envelope
+  // ---------------------------------------------------------------------------
+
+  /**
+   * U-value of a layered construction: 1 / (Rsi + Rse + Σ thickness / conductivity).
+   * Layers without a known conductivity (membranes, air gaps) are ignored.
+   */
+  calculateUValue(layers, materialDatabase, surface = 'wall') {
+    const layerResistance = (layers || []).reduce((sum, layer) => {
+      const conductivity = materialDatabase[layer.material]?.thermalConductivity;
+      return conductivity > 0 && layer.thickness > 0 ? sum + layer.thickness / conductivity : sum;
+    }, 0);
+    return 1 / (SURFACE_RESISTANCE[surface] + layerResistance);
+  }
+
+  /**
+   * Compass point of a horizontal outward normal in plan (x, z)
+   */
+  getOrientation(normal, northAngle = 0) {
+    const azimuth = (Math.atan2(normal.x, -normal.z) * 180) / Math.PI - northAngle;
+    const normalized = ((azimuth % 360) + 360) % 360;
+    return ORIENTATIONS[Math.round(normalized / 45) % 8];
+  }
+
+  isExternalWall(wall, context) {
+    if (wall.params.isExternal !== undefined) return wall.params.isExternal !== false;
+    const template = scheduleService.getWallTemplate(wall.params, context);
+    if (template?.properties?.isExternal !== undefined) return template.properties.isExternal !== false;
+    return true;
+  }
+
+  /**
+   * Even-odd test of a plan point against wall centrelines treated as footprint edges,
+   * so L and U shaped footprints classify their re-entrant walls correctly
+   */
+  isInsideFootprint(point, walls) {
+    let inside = false;
+    walls.forEach(({ params: { startPoint: a, endPoint: b } }) => {
+      if ((a.z > point.z) !== (b.z > point.z) &&
+          point.x < ((b.x - a.x) * (point.z - a.z)) / (b.z - a.z) + a.x) {
+        inside = !inside;
+      }
+    });
+    return inside;
+  }
+
+  collectEnvelope(context, settings) {
+    const elements = [];
+    const { objects, materialDatabase } = context;
+    const walls = objects.filter(object => object.type === 'wall' && object.params.startPoint && object.params.endPoint);
+    const externalWalls = walls.filter(wall => this.isExternalWall(wall, context));
+
+    externalWalls.forEach(wall => {
+      const { startPoint, endPoint } = wall.params;
+      const levelId = context.levelIdOf(wall);
+      const footprint = externalWalls.filter(other => context.levelIdOf(other) === levelId);
+
+      // Outward normals point out of the footprint the external walls enclose on their level
+      const length = Math.hypot(endPoint.x - startPoint.x, endPoint.z - startPoint.z) || 1;
+      let normal = { x: -(endPoint.z - startPoint.z) / length, z: (endPoint.x - startPoint.x) / length };
+      const probe = {
+        x: (startPoint.x + endPoint.x) / 2 + normal.x * OUTSIDE_PROBE,
+        z: (startPoint.z + endPoint.z) / 2 + normal.z * OUTSIDE_PROBE
+      };
+      if (this.isInsideFootprint(probe, footprint)) {
+        normal = { x: -normal.x, z: -normal.z };
+      }
+      const orientation = this.getOrientation(normal, settings.northAngle);
+
+      const row = scheduleService.wallRow(wall, context);
+      const hosted = objects.filter(object => (object.type === 'window' || object.type === 'door') && object.params.hostWallId === wall.id);
+      const uValue = Number(wall.params.thermalTransmittance) ||
+        this.calculateUValue(scheduleService.getWallLayers(wall.params, context), materialDatabase, 'wall');
+
+      elements.push({ id: wall.id, category: 'walls', orientation, area: row.netArea, uValue });
+      hosted.forEach(opening => {
+        const isWindow = opening.type === 'window';
+        elements.push({
+          id: opening.id,
+          category: isWindow ? 'glazing' : 'doors',
+          orientation,
+          area: (Number(opening.params.width) || 0) * (Number(opening.params.height) || 0),
+          uValue: Number(opening.params.thermalTransmittance) || DEFAULT_U_VALUES[opening.type]
+        });
+      });
+    });
+
+    // Ground floors: slabs on the lowest level. Roofs: roof elements.
+    const lowestLevel = [...context.levels].sort((a, b) => a.elevation - b.elevation)[0];
+    objects
+      .filter(object => (object.type === 'slab' && (!lowestLevel || context.levelIdOf(object) === lowestLevel.id)) || object.type === 'roof')
+      .forEach(object => {
+        const isRoof = object.type === 'roof';
+        const params = object.params;
+        const layers = scheduleService.getAssemblyLayers(object, context);
+        const area = Number(params.area) || scheduleService.getSlabFootprint(params).area;
+        elements.push({
+          id: object.id,
+          category: isRoof ? 'roofs' : 'floors',
+          orientation: isRoof ? 'Horizontal' : 'Ground',
+          area,
+          uValue: Number(params.thermalTransmittance) || this.calculateUValue(layers, materialDatabase, isRoof ? 'roof' : 'floor')
+        });
+      });
+
+    return elements.filter(element => element.area > 0);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Carbon
+  // ---------------------------------------------------------------------------
+
+  collectCarbon(model, settings) {
+    const rows = scheduleService.generate('material', model, { groupBy: null }).rows;
+    const byMaterial = new Map();
+    const byCategory = new Map();
+    let recyclableVolume = 0;
+    let totalVolume = 0;
+
+    rows.forEach(row => {
+      const factor = settings.carbonFactors[row.material] !== undefined ? settings.carbonFactors[row.material] : DEFAULT_CARBON_FACTOR;
+      const carbon = row.volume * factor;
+
+      const entry = byMaterial.get(row.material) || { material: row.material, factor, volume: 0, mass: 0, carbon: 0 };
+      entry.volume += row.volume;
+      entry.mass += row.mass || 0;
+      entry.carbon += carbon;
+      byMaterial.set(row.material, entry);
+      byCategory.set(row.elementType, (byCategory.get(row.elementType) || 0) + carbon);
+
+      const recyclable = RECYCLABLE_FACTORS[row.material] !== undefined ? RECYCLABLE_FACTORS[row.material] : DEFAULT_RECYCLABLE_FACTOR;
+      recyclableVolume += row.volume * recyclable;
+      totalVolume += row.volume;
+    });
+
+    const total = [...byMaterial.values()].reduce((sum, entry) => sum + entry.carbon, 0);
+    return {
+      total,
+      byMaterial: [...byMaterial.values()]
+        .map(entry => ({ ...entry, share: total > 0 ? entry.carbon / total : 0 }))
+        .sort((a, b) => b.carbon - a.carbon),
+      byCategory: [...byCategory.entries()].map(([elementType, carbon]) => ({ elementType, carbon })),
+      recyclableContent: totalVolume > 0 ? (recyclableVolume / totalVolume) * 100 : 0
+    };
+  }
+
+  /**
+   * Gross floor area from rooms when they exist, otherwise from slab footprints
+   */
+  getGrossFloorArea(model) {
+    const objects = model.objects || [];
+    const rooms = objects.filter(object => object.type === 'room');
+    if (rooms.length > 0) {
+      return rooms.reduce((sum, room) => sum + (Number(room.params.grossArea) || Number(room.params.area) || 0), 0);
+    }
+    return objects
+      .filter(object => object.type === 'slab')
+      .reduce((sum, slab) => sum + scheduleService.getSlabFootprint(slab.params).area, 0);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Comparison and export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Compare the headline metrics of two reports
+   * @returns {{ options: string[], metrics: Array<{ key, label, unit, a, b, delta, percent, better }> }}
+   */
+  compareReports(reportA, reportB) {
+    return {
+      options: [reportA.name, reportB.name],
+      metrics: COMPARISON_METRICS.map(metric => {
+        const a = reportA.summary[metric.key];
+        const b = reportB.summary[metric.key];
+        const comparable = typeof a === 'number' && typeof b === 'number';
+        const delta = comparable ? b - a : null;
+
+        let better = null;
+        if (comparable && !metric.neutral && Math.abs(delta) > 1e-9) {
+          better = (delta < 0) !== Boolean(metric.higherIsBetter) ? 'b' : 'a';
+        }
+        return {
+          key: metric.key,
+          label: metric.label,
+          unit: metric.unit,
+          a,
+          b,
+          delta,
+          percent: comparable && a !== 0 ? (delta / a) * 100 : null,
+          better
+        };
+      })
+    };
+  }
+
+  toJSON(report, comparison = null) {
+    return JSON.stringify(comparison ? { report, comparison } : { report }, null, 2);
+  }
+
+  /**
+   * Self-contained HTML document for sharing with clients
+   */
+  toHTML(report, comparison = null) {
+    const escape = value => String(value === null || value === undefined ? '—' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const num = (value, digits = 2) => (typeof value === 'number' && Number.isFinite(value)
+      ? value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })
+      : '—');
+    const table = (headers, rows) => `<table><thead><tr>${headers.map(h => `<th>${escape(h)}</th>`).join('')}</tr></thead>` +
+      `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    const { summary } = report;
+
+    const sections = [
+      `<h1>${escape(report.name)} – Sustainability report</h1>`,
+      `<p class="meta">Generated ${escape(report.generatedAt)}</p>`,
+      '<h2>Summary</h2>',
+      table(['Metric', 'Value'], [
+        ['Gross floor area', `${num(summary.grossFloorArea)} m²`],
+        ['Envelope area', `${num(summary.envelopeArea)} m²`],
+        ['Average envelope U-value', `${num(summary.envelopeUValue, 3)} W/m²K`],
+        ['Fabric heat loss', `${num(summary.heatLossCoefficient, 1)} W/K`],
+        ['Window-to-wall ratio', `${num(summary.glazingRatio, 1)} %`],
+        ['Embodied carbon', `${num(summary.embodiedCarbon, 0)} kg CO2e`],
+        ['Carbon intensity', `${num(summary.carbonIntensity, 1)} kg CO2e/m²`],
+        ['Recyclable content', `${num(summary.recyclableContent, 1)} %`]
+      ]),
+      '<h2>Envelope by element</h2>',
+      table(['Element', 'Count', 'Area (m²)', 'U-value (W/m²K)', 'Heat loss (W/K)'],
+        report.envelope.byCategory.map(c => [escape(c.label), c.count, num(c.area), num(c.uValue, 3), num(c.heatLoss, 1)])),
+      '<h2>Walls by orientation</h2>',
+      table(['Orientation', 'Opaque wall (m²)', 'Windows (m²)', 'Doors (m²)', 'Window-to-wall ratio'],
+        report.envelope.byOrientation.map(o => [o.orientation, num(o.wallArea), num(o.glazingArea), num(o.doorArea), `${num(o.glazingRatio * 100, 1)} %`])),
+      '<h2>Embodied carbon by material</h2>',
+      table(['Material', 'Volume (m³)', 'Mass (kg)', 'Factor (kg CO2e/m³)', 'Carbon (kg CO2e)', 'Share'],
+        report.carbon.byMaterial.map(m => [escape(m.material), num(m.volume, 3), num(m.mass, 0), num(m.factor, 0), num(m.carbon, 0), `${num(m.share * 100, 1)} %`]))
+    ];
+
+    if (comparison) {
+      sections.push(
+        `<h2>Design options: ${escape(comparison.options[0])} vs ${escape(comparison.options[1])}</h2>`,
+        table(['Metric', escape(comparison.options[0]), escape(comparison.options[1]), 'Change'],
+          comparison.metrics.map(m => [
+            `${escape(m.label)} (${escape(m.unit)})`,
+            `<span class="${m.better === 'a' ? 'better' : ''}">${num(m.a)}</span>`,
+            `<span class="${m.better === 'b' ? 'better' : ''}">${num(m.b)}</span>`,
+            m.percent === null ? '—' : `${m.percent > 0 ? '+' : ''}${num(m.percent, 1)} %`
+          ]))
+      );
+    }
+
+    return '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+      `<title>${escape(report.name)} – Sustainability report</title>` +
+      '<style>body{font-family:system-ui,sans-serif;margin:2rem;color:#1f2937}h1{font-size:1.5rem}h2{font-size:1.1rem;margin-top:1.5rem}' +
+      'table{border-collapse:collapse;min-width:50%}th,td{border:1px solid #e5e7eb;padding:4px 8px;text-align:right}' +
+      'th:first-child,td:first-child{text-align:left}th{background:#f3f4f6}.meta{color:#6b7280}.better{color:#047857;font-weight:600}</style>' +
+      `</head><body>${sections.join('\n')}</body></html>`;
+  }
+}
+
+const sustainabilityReportService = new SustainabilityReportService();
+
+export { SustainabilityReportService };
+export default sustainabilityReportService;
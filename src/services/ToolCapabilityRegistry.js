@@ -3,9 +3,13 @@
  * 
  * Decorates AICommandExecutor's handlers with metadata and outcome statistics
  * Supports dynamic capability discovery and tool performance tracking
+ * Every tool declares JSON Schemas for its arguments and result (utils/toolSchemas);
+ * arguments are validated before the handler runs.
  */
 
 import aiCommandExecutor from './AICommandExecutor';
+import { formatSchemaErrors, validateSchema } from '../utils/jsonSchema';
+import { TOOL_ERROR_CODES, TOOL_SCHEMAS, toolCatalog, toolError } from '../utils/toolSchemas';
 
 class ToolCapabilityRegistry {
   constructor() {
@@ -82,38 +86,12 @@ class ToolCapabilityRegistry {
    * Register known capabilities that may not be exposed directly
    */
   registerKnownCapabilities() {
-    const knownCapabilities = [
-      // Selection operations
-      { name: 'selection.select', category: 'selection', description: 'Select objects in the scene' },
-      { name: 'selection.clear', category: 'selection', description: 'Clear current selection' },
-      { name: 'selection.invert', category: 'selection', description: 'Invert current selection' },
-      
-      // Transform operations  
-      { name: 'transform.move', category: 'transform', description: 'Move objects in 3D space' },
-      { name: 'transform.rotate', category: 'transform', description: 'Rotate objects around axes' },
-      { name: 'transform.scale', category: 'transform', description: 'Scale objects uniformly or non-uniformly' },
-      
-      // Geometry editing
-      { name: 'geometry.editWall', category: 'geometry', description: 'Modify wall properties' },
-      { name: 'geometry.editSlab', category: 'geometry', description: 'Modify slab properties' },
-      { name: 'geometry.editStair', category: 'geometry', description: 'Modify stair properties' },
-      
-      // Analysis operations
-      { name: 'analysis.structural', category: 'analysis', description: 'Analyze structural feasibility' },
-      { name: 'analysis.spatial', category: 'analysis', description: 'Analyze spatial relationships' },
-      
-      // Document operations
-      { name: 'document.commitCheckpoint', category: 'document', description: 'Create document checkpoint' },
-      { name: 'document.undo', category: 'document', description: 'Undo last operation' },
-      { name: 'document.redo', category: 'document', description: 'Redo last undone operation' }
-    ];
-
-    knownCapabilities.forEach(cap => {
-      if (!this.registry.has(cap.name)) {
-        this.register(cap.name, this.createProxyHandler(cap.name), {
+    // Everything with a declared schema that the executor doesn't hand over itself;
+    // category and description come with the schema
+    Object.keys(TOOL_SCHEMAS).forEach(name => {
+      if (!this.registry.has(name)) {
+        this.register(name, this.createProxyHandler(name), {
           source: 'known',
-          category: cap.category,
-          description: cap.description,
           enabled: true
         });
       }
@@ -167,11 +145,14 @@ class ToolCapabilityRegistry {
    * Register a tool with metadata
    */
   register(name, handler, meta = {}) {
+    const schema = TOOL_SCHEMAS[name] || {};
     const toolInfo = {
       handler,
       meta: {
-        category: 'uncategorized',
-        description: '',
+        category: schema.category || 'uncategorized',
+        description: schema.description || '',
+        parameters: schema.parameters || null,
+        result: schema.result || null,
         enabled: true,
         source: 'manual',
         ...meta
@@ -234,11 +215,18 @@ class ToolCapabilityRegistry {
   async execute(toolName, args = {}) {
     const tool = this.registry.get(toolName);
     if (!tool) {
-      throw new Error(`Tool '${toolName}' not found in registry`);
+      throw this.toolFailure(TOOL_ERROR_CODES.unknownTool, `Tool '${toolName}' not found in registry`);
     }
 
     if (!tool.meta.enabled) {
-      throw new Error(`Tool '${toolName}' is disabled`);
+      throw this.toolFailure(TOOL_ERROR_CODES.unknownTool, `Tool '${toolName}' is disabled`);
+    }
+
+    if (tool.meta.parameters) {
+      const { valid, errors } = validateSchema(args || {}, tool.meta.parameters);
+      if (!valid) {
+        throw this.toolFailure(TOOL_ERROR_CODES.invalidArgs, `Invalid arguments for ${toolName}: ${formatSchemaErrors(errors)}`, { errors });
+      }
     }
 
     const startTime = Date.now();
@@ -262,6 +250,30 @@ class ToolCapabilityRegistry {
     }
   }
 
+  /**
+   * Error carrying the structured { code, title, ... } of a failed call as toolError
+   */
+  toolFailure(code, title, extra = {}) {
+    const error = toolError(code, title, extra);
+    return Object.assign(new Error(title), { code, toolError: error });
+  }
+
+  /**
+   * Catalog of the enabled tools that can run, for an LLM to call directly
+   * @param {Object} options - { format: 'openai' | 'anthropic' | 'json', category }
+   */
+  getToolCatalog({ format = 'openai', category = null } = {}) {
+    const schemas = {};
+    for (const [name, tool] of this.registry.entries()) {
+      const runnable = tool.meta.source !== 'known' || aiCommandExecutor.hasTool?.(name);
+      if (!tool.meta.enabled || !tool.meta.parameters || !runnable) continue;
+      if (category && tool.meta.category !== category) continue;
+      const { description, parameters, result } = tool.meta;
+      schemas[name] = { category: tool.meta.category, description, parameters, result };
+    }
+    return toolCatalog(null, format, schemas);
+  }
+
   /**
    * Record execution statistics
    */
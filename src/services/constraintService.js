@@ -219,6 +219,27 @@ class ConstraintService {
     }
   }
 
+  // Constraints as plain records for the scene document; none before the service starts
+  getConstraintSnapshot() {
+    return this.isInitialized ? this.constraintSystem.getConstraintRecords() : [];
+  }
+
+  // Replace the constraints with a loaded scene document's
+  async restoreConstraints(records = []) {
+    try {
+      if (!this.isInitialized) {
+        if (records.length === 0) return [];
+        await this.initialize();
+      }
+
+      return this.constraintSystem.loadConstraints(records);
+
+    } catch (error) {
+      console.error('Failed to restore constraints:', error);
+      throw new Error(error.message || 'Failed to restore constraints');
+    }
+  }
+
   // === ENTITY MANAGEMENT API ===
 
   // Get all geometric entities
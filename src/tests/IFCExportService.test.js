@@ -0,0 +1,134 @@
+/**
+ * IFC Export Service Tests
+ *
+ * Validates STEP encoding, spatial hierarchy, layered walls and opening voids
+ */
+
+import { IFCExportService } from '../services/IFCExportService';
+import { createIfcGuid, formatReal, encodeString } from '../utils/ifcStep';
+
+const wallTypeTemplates = {
+  exterior_wood_frame: {
+    name: 'Wood Frame Exterior Wall',
+    description: '2x6 Wood Frame with Brick Veneer',
+    layers: [
+      { material: 'brick', thickness: 0.1, function: 'finish_exterior', name: 'Brick Veneer' },
+      { material: 'wood', thickness: 0.14, function: 'structure', name: 'Studs' },
+      { material: 'drywall', thickness: 0.013, function: 'finish_interior', name: 'Gypsum Board' }
+    ],
+    properties: { isExternal: true, loadBearing: true, thermalTransmittance: 0.35, fireRating: 60 }
+  }
+};
+
+const buildModel = () => ({
+  wallTypeTemplates,
+  objects: [
+    {
+      id: 'cad_1',
+      type: 'wall',
+      params: { startPoint: { x: 0, y: 0, z: 0 }, endPoint: { x: 4, y: 0, z: 0 }, height: 2.7, wallType: 'exterior_wood_frame' }
+    },
+    {
+      id: 'cad_2',
+      type: 'door',
+      params: { hostWallId: 'cad_1', insertionPosition: 0.5, width: 0.9, height: 2.1, openingDirection: 'left' }
+    },
+    {
+      id: 'cad_3',
+      type: 'slab',
+      params: { width: 4, depth: 3, thickness: 0.2 },
+      position: { x: 2, y: 0.1, z: 1.5 }
+    },
+    { id: 'cad_4', type: 'furniture', params: { name: 'Chair' } }
+  ]
+});
+
+describe('IFC STEP helpers', () => {
+  test('formats reals with a decimal point', () => {
+    expect(formatReal(3)).toBe('3.');
+    expect(formatReal(0.25)).toBe('0.25');
+    expect(formatReal(-0)).toBe('0.');
+  });
+
+  test('escapes quotes and non-ASCII characters', () => {
+    expect(encodeString("O'Brien")).toBe("'O''Brien'");
+    expect(encodeString('Wärme')).toBe("'W\\X2\\00E4\\X0\\rme'");
+  });
+
+  test('creates stable 22 character GlobalIds', () => {
+    const guid = createIfcGuid('element:cad_1');
+    expect(guid).toHaveLength(22);
+    expect(guid).toBe(createIfcGuid('element:cad_1'));
+    expect(guid).not.toBe(createIfcGuid('element:cad_2'));
+    expect('0123').toContain(guid[0]);
+  });
+});
+
+describe('IFCExportService', () => {
+  let service;
+  let result;
+
+  beforeEach(() => {
+    service = new IFCExportService();
+    result = service.exportModel(buildModel(), { projectName: 'Test Project' });
+  });
+
+  test('writes a valid IFC4 file envelope', () => {
+    expect(result.content.startsWith('ISO-10303-21;')).toBe(true);
+    expect(result.content).toContain("FILE_SCHEMA(('IFC4'));");
+    expect(result.content.trim().endsWith('END-ISO-10303-21;')).toBe(true);
+  });
+
+  test('builds the spatial hierarchy', () => {
+    ['IFCPROJECT', 'IFCSITE', 'IFCBUILDING(', 'IFCBUILDINGSTOREY', 'IFCRELAGGREGATES', 'IFCRELCONTAINEDINSPATIALSTRUCTURE']
+      .forEach(entity => expect(result.content).toContain(entity));
+    expect(result.content).toContain("'Test Project'");
+  });
+
+  test('exports layered walls with a material layer set usage', () => {
+    expect(result.summary.walls).toBe(1);
+    expect(result.content.match(/IFCMATERIALLAYER\(/g)).toHaveLength(3);
+    expect(result.content).toMatch(/IFCMATERIALLAYERSETUSAGE\(#\d+,\.AXIS2\.,\.POSITIVE\.,-0\.1265,\$\)/);
+    expect(result.content).toContain("'Pset_WallCommon'");
+    expect(result.content).toContain('IFCTHERMALTRANSMITTANCEMEASURE(0.35)');
+  });
+
+  test('voids the host wall for hosted doors', () => {
+    expect(result.summary.doors).toBe(1);
+    expect(result.summary.openings).toBe(1);
+    expect(result.content).toContain('IFCOPENINGELEMENT');
+    expect(result.content).toContain('IFCRELVOIDSELEMENT');
+    expect(result.content).toContain('IFCRELFILLSELEMENT');
+    expect(result.content).toContain('.SINGLE_SWING_LEFT.');
+  });
+
+  test('seeds GlobalIds with the document id', () => {
+    const guids = content => content.match(/IFC[A-Z]+\('([0-9A-Za-z_$]{22})'/g).map(entity => entity.split("'")[1]);
+    const first = guids(service.exportModel(buildModel(), { documentId: 'doc_a' }).content);
+    const again = guids(service.exportModel(buildModel(), { documentId: 'doc_a' }).content);
+    const other = guids(service.exportModel(buildModel(), { documentId: 'doc_b' }).content);
+
+    expect(new Set(first).size).toBe(first.length);
+    expect(again).toEqual(first);
+    expect(other.filter(guid => first.includes(guid))).toEqual([]);
+  });
+
+  test('skips unsupported object types', () => {
+    expect(result.summary.slabs).toBe(1);
+    expect(result.summary.skipped).toBe(1);
+  });
+
+  test('uses the engine property callback when provided', () => {
+    const model = buildModel();
+    model.getWallProperties = () => ({ isExternal: false, loadBearing: false, thermalTransmittance: 0.2, fireRating: 90 });
+    const { content } = service.exportModel(model);
+    expect(content).toContain("IFCLABEL('90 min')");
+  });
+
+  test('keeps GlobalIds stable between exports of a document', () => {
+    const first = service.exportModel(buildModel(), { projectName: 'Test Project', documentId: 'doc_a' });
+    const second = service.exportModel(buildModel(), { projectName: 'Test Project', documentId: 'doc_a' });
+    const guids = text => text.match(/IFCWALL\('([^']+)'/)[1];
+    expect(guids(second.content)).toBe(guids(first.content));
+  });
+});
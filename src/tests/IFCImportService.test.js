@@ -0,0 +1,163 @@
+/**
+ * IFC Import Service Tests
+ *
+ * Round-trips exported models and checks that placements, storeys, materials,
+ * property sets and door hosting survive the import
+ */
+
+import { IFCImportService } from '../services/IFCImportService';
+import { IFCExportService } from '../services/IFCExportService';
+import { parseStepFile } from '../utils/ifcStep';
+
+const wallTypeTemplates = {
+  exterior_wood_frame: {
+    name: 'Wood Frame Exterior Wall',
+    description: '2x6 Wood Frame with Brick Veneer',
+    layers: [
+      { material: 'brick', thickness: 0.1, function: 'finish_exterior', name: 'Brick Veneer' },
+      { material: 'wood', thickness: 0.14, function: 'structure', name: 'Studs' },
+      { material: 'drywall', thickness: 0.013, function: 'finish_interior', name: 'Gypsum Board' }
+    ],
+    properties: { isExternal: true, loadBearing: true, thermalTransmittance: 0.35, fireRating: 60 }
+  }
+};
+
+const buildModel = () => ({
+  wallTypeTemplates,
+  storeys: [
+    { id: 'level_0', name: 'Ground Floor', elevation: 0 },
+    { id: 'level_1', name: 'First Floor', elevation: 3 }
+  ],
+  objects: [
+    {
+      id: 'cad_1',
+      type: 'wall',
+      params: {
+        startPoint: { x: 1, y: 0, z: 2 },
+        endPoint: { x: 1, y: 0, z: -3 },
+        height: 2.7,
+        wallType: 'exterior_wood_frame',
+        ifcPropertySets: { Custom_Acoustics: { Rating: 'STC 45' } },
+        ifcPropertyTypes: { Custom_Acoustics: { Rating: 'IFCLABEL' } }
+      }
+    },
+    {
+      id: 'cad_2',
+      type: 'door',
+      params: { hostWallId: 'cad_1', insertionPosition: 0.25, width: 0.9, height: 2.1, openingDirection: 'left' }
+    },
+    {
+      id: 'cad_3',
+      type: 'slab',
+      params: { width: 4, depth: 3, thickness: 0.2, levelId: 'level_1' },
+      position: { x: 2, y: 0.1, z: 1.5 }
+    },
+    {
+      id: 'cad_4',
+      type: 'column',
+      params: { width: 0.3, depth: 0.5, height: 3, rotation: 90, position: { x: 5, y: 0, z: 5 } }
+    }
+  ]
+});
+
+describe('STEP reader', () => {
+  test('parses typed values, references and escaped strings', () => {
+    const { schema, entities } = parseStepFile([
+      "FILE_SCHEMA(('IFC2X3'));",
+      'DATA;',
+      "#1=IFCPROPERTYSINGLEVALUE('Name',$,IFCLABEL('O''Brien \\X2\\00E4\\X0\\'),$);",
+      '#2=IFCCARTESIANPOINT((1.5,-2.,3.E-1));',
+      '#3=IFCWALL(#1,.T.,.NOTDEFINED.,*,(#1,#2));',
+      'ENDSEC;'
+    ].join('\n'));
+
+    expect(schema).toBe('IFC2X3');
+    expect(entities.get(1).args[2]).toEqual({ stepKind: 'typed', type: 'IFCLABEL', value: "O'Brien ä" });
+    expect(entities.get(2).args[0]).toEqual([1.5, -2, 0.3]);
+    expect(entities.get(3).args[1]).toBe(true);
+    expect(entities.get(3).args[2]).toEqual({ stepKind: 'enum', name: 'NOTDEFINED' });
+    expect(entities.get(3).args[4]).toEqual([{ stepKind: 'ref', id: 1 }, { stepKind: 'ref', id: 2 }]);
+  });
+});
+
+describe('IFCImportService', () => {
+  let data;
+
+  beforeEach(() => {
+    const exported = new IFCExportService().exportModel(buildModel());
+    data = new IFCImportService().parseModel(exported.content);
+  });
+
+  test('reads storeys with elevations', () => {
+    expect(data.storeys.map(storey => [storey.name, storey.elevation])).toEqual([
+      ['Ground Floor', 0],
+      ['First Floor', 3]
+    ]);
+  });
+
+  test('resolves wall placement and layer set', () => {
+    expect(data.walls).toHaveLength(1);
+    const wall = data.walls[0];
+    expect(wall.startPoint.x).toBeCloseTo(1);
+    expect(wall.startPoint.z).toBeCloseTo(2);
+    expect(wall.endPoint.z).toBeCloseTo(-3);
+    expect(wall.height).toBeCloseTo(2.7);
+    expect(wall.thickness).toBeCloseTo(0.253);
+    expect(wall.storeyName).toBe('Ground Floor');
+
+    const template = data.wallTypes[wall.wallType];
+    expect(template.layers.map(layer => layer.material)).toEqual(['brick', 'wood', 'drywall']);
+    expect(template.properties.isExternal).toBe(true);
+  });
+
+  test('keeps property sets and their value types', () => {
+    const wall = data.walls[0];
+    expect(wall.ifcPropertySets.Pset_WallCommon.LoadBearing).toBe(true);
+    expect(wall.ifcPropertySets.Custom_Acoustics.Rating).toBe('STC 45');
+    expect(wall.ifcPropertyTypes.Custom_Acoustics.Rating).toBe('IFCLABEL');
+    expect(wall.ifcQuantities.Qto_WallBaseQuantities.Length).toBeCloseTo(5);
+  });
+
+  test('hosts doors in their wall through the opening relationships', () => {
+    expect(data.doors).toHaveLength(1);
+    const door = data.doors[0];
+    expect(door.hostIfcId).toBe(data.walls[0].ifcId);
+    expect(door.insertionPosition).toBeCloseTo(0.25);
+    expect(door.width).toBeCloseTo(0.9);
+    expect(door.openingDirection).toBe('left');
+    expect(data.walls[0].openings).toHaveLength(0);
+  });
+
+  test('places slabs and columns on their storeys', () => {
+    const slab = data.slabs[0];
+    expect(slab.storeyName).toBe('First Floor');
+    expect(slab.width).toBeCloseTo(4);
+    expect(slab.depth).toBeCloseTo(3);
+    expect(slab.thickness).toBeCloseTo(0.2);
+
+    const column = data.columns[0];
+    expect(column.position.x).toBeCloseTo(5);
+    expect(column.position.z).toBeCloseTo(5);
+    expect(column.width).toBeCloseTo(0.3);
+    expect(column.depth).toBeCloseTo(0.5);
+    expect(Math.abs(column.rotation)).toBeCloseTo(90);
+  });
+
+  test('keeps GlobalIds and custom property sets across a second export', () => {
+    const reExported = new IFCExportService().exportModel({
+      wallTypeTemplates: data.wallTypes,
+      objects: data.walls.map(wall => ({ id: 'wall_a', type: 'wall', params: wall }))
+    });
+    expect(reExported.content).toContain(`IFCWALL('${data.walls[0].ifcGUID}'`);
+    expect(reExported.content).toContain("'Custom_Acoustics'");
+    expect(reExported.content).toContain("IFCLABEL('STC 45')");
+  });
+
+  test('converts millimetre files to metres', () => {
+    const exported = new IFCExportService().exportModel(buildModel()).content
+      .replace('IFCSIUNIT(*,.LENGTHUNIT.,$,.METRE.)', 'IFCSIUNIT(*,.LENGTHUNIT.,.MILLI.,.METRE.)');
+    const scaled = new IFCImportService().parseModel(exported);
+    expect(scaled.summary.lengthUnitScale).toBe(0.001);
+    expect(scaled.walls[0].height).toBeCloseTo(0.0027);
+  });
+});
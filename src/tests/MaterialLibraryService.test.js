@@ -0,0 +1,89 @@
+/**
+ * Material Library Service Tests
+ *
+ * Validates material and layered type definitions, usage tracking and the user library
+ */
+
+import { MaterialLibraryService } from '../services/MaterialLibraryService';
+
+const materials = ['brick', 'concrete', 'insulation_rigid', 'drywall'];
+
+const cavityWall = () => ({
+  name: 'Firm Cavity Wall',
+  layers: [
+    { material: 'brick', thickness: 0.1, function: 'finish_exterior' },
+    { material: 'insulation_rigid', thickness: 0.1, function: 'insulation' },
+    { material: 'concrete', thickness: 0.14, function: 'structure', name: 'Block' }
+  ],
+  properties: { isExternal: true }
+});
+
+describe('MaterialLibraryService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new MaterialLibraryService();
+    localStorage.clear();
+  });
+
+  test('normalizes layered types and sums their thickness', () => {
+    const template = service.normalizeAssembly('wall', cavityWall(), materials);
+
+    expect(template.totalThickness).toBeCloseTo(0.34);
+    expect(template.layers[0].name).toBe('brick 100mm');
+    expect(template.layers[2].name).toBe('Block');
+    expect(template.properties).toEqual({ isExternal: true, loadBearing: false, thermalTransmittance: 0, fireRating: 0 });
+  });
+
+  test('rejects incomplete types and unknown materials', () => {
+    expect(() => service.normalizeAssembly('wall', { ...cavityWall(), layers: [] })).toThrow('at least one layer');
+    expect(() => service.normalizeAssembly('slab', { name: 'Bad', layers: [{ material: 'concrete', thickness: 0 }] })).toThrow('thickness');
+    expect(() => service.normalizeAssembly('wall', { name: 'Odd', layers: [{ material: 'unobtainium', thickness: 0.1 }] }, materials))
+      .toThrow('unknown material "unobtainium"');
+    expect(() => service.normalizeAssembly('door', cavityWall())).toThrow('Unknown assembly kind');
+  });
+
+  test('normalizes materials with hex colors', () => {
+    const material = service.normalizeMaterial({ name: 'Rammed Earth', color: 0xa0522d, thermalConductivity: '1.1', category: 'masonry' });
+
+    expect(material.color).toBe('#a0522d');
+    expect(material.thermalConductivity).toBe(1.1);
+    expect(material.density).toBeNull();
+    expect(() => service.normalizeMaterial({ name: 'Bad', color: 'red' })).toThrow('hex');
+    expect(() => service.normalizeMaterial({ name: 'Bad', density: -1 })).toThrow('density');
+  });
+
+  test('creates unique ids and independent duplicates', () => {
+    expect(service.createId('Firm Cavity Wall', ['firm_cavity_wall'])).toBe('firm_cavity_wall_2');
+
+    const original = cavityWall();
+    const copy = service.duplicate(original, 'Variant');
+    copy.layers[0].thickness = 0.2;
+    expect(copy.name).toBe('Variant');
+    expect(original.layers[0].thickness).toBe(0.1);
+  });
+
+  test('finds objects and types that use a material', () => {
+    const objects = [
+      { id: 'w1', type: 'wall', params: { wallType: 'cavity' } },
+      { id: 'w2', type: 'wall', params: { wallType: 'partition' } },
+      { id: 's1', type: 'slab', params: { material: 'concrete' } },
+      { id: 's2', type: 'slab', params: { assemblyType: 'cavity' } }
+    ];
+    const assemblies = { wall: { cavity: cavityWall(), partition: { name: 'P', layers: [{ material: 'drywall', thickness: 0.1 }] } } };
+
+    expect(service.findAssemblyUsage(objects, 'wall', 'cavity')).toEqual(['w1']);
+    expect(service.findMaterialUsage(objects, assemblies, 'concrete')).toEqual({
+      objects: ['w1', 's1'],
+      assemblies: [{ kind: 'wall', id: 'cavity' }]
+    });
+  });
+
+  test('keeps a user library in local storage', () => {
+    service.saveToUserLibrary('wall', 'firm_cavity_wall', service.normalizeAssembly('wall', cavityWall()));
+    expect(service.loadUserLibrary().wall.firm_cavity_wall.totalThickness).toBeCloseTo(0.34);
+
+    expect(service.removeFromUserLibrary('wall', 'firm_cavity_wall')).toBe(true);
+    expect(service.loadUserLibrary()).toEqual({ materials: {}, wall: {}, slab: {}, roof: {} });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Scene Document Service Tests
+ *
+ * Validates document creation, schema validation, migration of older saves and
+ * reopening a saved project
+ */
+
+import { SceneDocumentService, SCENE_DOCUMENT_VERSION } from '../services/SceneDocumentService';
+import { BrowserProjectManager } from '../utils/projectHistoryIntegration';
+import { validateSchema } from '../utils/jsonSchema';
+import constraintService from '../services/constraintService';
+import annotationService from '../services/AnnotationService';
+
+const engineObjects = () => ([
+  {
+    id: 'cad_1',
+    type: 'wall',
+    visible: true,
+    params: {
+      startPoint: { x: 0, y: 0, z: 0 },
+      endPoint: { x: 4, y: 0, z: 0 },
+      height: 2.7,
+      wallType: 'exterior_wood_frame',
+      adjustForJoinery: true,
+      startAdjustment: -0.1,
+      endAdjustment: 0,
+      openings: [
+        { id: 'opening_1', type: 'door', width: 1, height: 2.2, position: 1, offset: 0 },
+        { id: 'opening_2', type: 'opening', width: 0.6, height: 0.6, position: 3, offset: 1.2 }
+      ]
+    },
+    mesh3D: { isObject3D: true }
+  },
+  {
+    id: 'cad_2',
+    type: 'door',
+    params: { hostWallId: 'cad_1', insertionPosition: 0.25, width: 0.9, height: 2.1, onChange: () => {} }
+  }
+]);
+
+describe('SceneDocumentService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SceneDocumentService();
+  });
+
+  test('creates a valid current-version document from engine objects', () => {
+    const document = service.createDocument({ name: 'House', objects: engineObjects() });
+
+    expect(document.version).toBe(SCENE_DOCUMENT_VERSION);
+    expect(service.validate(document).valid).toBe(true);
+    expect(document.floors).toHaveLength(1);
+    expect(JSON.parse(service.serialize(document))).toEqual(document);
+  });
+
+  test('moves joinery and free openings out of wall params', () => {
+    const [wall, door] = service.createDocument({ objects: engineObjects() }).objects;
+
+    expect(wall.params.adjustForJoinery).toBeUndefined();
+    expect(wall.params.openings).toBeUndefined();
+    expect(wall.openings.map(opening => opening.id)).toEqual(['opening_2']);
+    expect(door.params.onChange).toBeUndefined();
+  });
+
+  test('records joinery adjustments per wall', () => {
+    const document = service.createDocument({ objects: engineObjects() });
+    expect(document.joinery.walls).toEqual([{ wallId: 'cad_1', startAdjustment: -0.1, endAdjustment: 0 }]);
+  });
+
+  test('round-trips through load unchanged', () => {
+    const document = service.createDocument({ name: 'House', objects: engineObjects() });
+    expect(service.load(service.serialize(document))).toEqual(document);
+  });
+
+  test('orders walls before hosted elements for rebuilding', () => {
+    const document = service.createDocument({ objects: [...engineObjects()].reverse() });
+    expect(service.getRebuildOrder(document).map(object => object.id)).toEqual(['cad_1', 'cad_2']);
+  });
+
+  test('migrates a legacy engine object list', () => {
+    const legacy = [
+      { id: 'cad_7', type: 'slab', width: 4, depth: 3, thickness: 0.2, mesh3D: { isObject3D: true }, position: { x: 0, y: 0, z: 0 } }
+    ];
+    const document = service.load(legacy);
+
+    expect(document.metadata.migratedFrom).toBe(0);
+    expect(document.objects[0].params).toEqual({ width: 4, depth: 3, thickness: 0.2 });
+  });
+
+  test('migrates an Architect3D floorplan save from centimetres', () => {
+    const document = service.load({
+      corners: { a: { x: 0, y: 0, elevation: 0 }, b: { x: 500, y: 0, elevation: 0 } },
+      walls: [{ corner1: 'a', corner2: 'b' }],
+      newFloorplanVersion: true
+    });
+
+    expect(document.objects).toHaveLength(1);
+    expect(document.objects[0].params.endPoint).toEqual({ x: 5, y: 0, z: 0 });
+    expect(document.objects[0].params.length).toBeCloseTo(5);
+  });
+
+  test('unwraps autosave records and keeps their command history', () => {
+    const history = { commands: [], currentIndex: -1, lastSaveIndex: -1, saveVersion: 0 };
+    const sceneDocument = service.createDocument({ name: 'Autosaved', objects: engineObjects() });
+    const document = service.load({ name: 'Autosaved', commandHistory: history, sceneDocument });
+
+    expect(document.metadata.name).toBe('Autosaved');
+    expect(document.history).toEqual(history);
+  });
+
+  test('migrates a v1 document without the later collections', () => {
+    const { grids, sectionViews, sheets, underlays, dimensions, slabTypes, roofTypes, materials, ...v1 } =
+      service.createDocument({ name: 'House', objects: engineObjects() });
+    const { documentId, ...metadata } = v1.metadata;
+    const document = service.load({ ...v1, version: 1, metadata });
+
+    expect(document.version).toBe(SCENE_DOCUMENT_VERSION);
+    expect(document.metadata.migratedFrom).toBe(1);
+    expect(document.metadata.documentId).toMatch(/^doc_/);
+    expect(document).toMatchObject({ grids: [], sectionViews: [], sheets: [], underlays: [], dimensions: [], slabTypes: {}, roofTypes: {}, materials: {} });
+    expect(document.objects).toEqual(v1.objects);
+  });
+
+  test('reopens a saved project and hands its scene document to the scene loader', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const sceneDocument = service.createDocument({ name: 'House', documentId: 'doc_house', objects: engineObjects() });
+    const manager = new BrowserProjectManager();
+    const sceneLoader = jest.fn((projectData, options) => ({ success: true, document: service.load(projectData), options }));
+    manager.setSceneLoader(sceneLoader);
+
+    await manager.performSave({ id: 'project_1', name: 'House', sceneDocument });
+    const projectData = await manager.loadProject();
+    console.log.mockRestore();
+
+    expect(sceneLoader).toHaveBeenCalledTimes(1);
+    const { document, options } = sceneLoader.mock.results[0].value;
+    expect(options).toEqual({ restoreHistory: false });
+    expect(document).toEqual({ ...sceneDocument, history: null });
+    expect(projectData.sceneDocument).toEqual(sceneDocument);
+  });
+
+  test('saves and restores constraints and annotations through their services', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      // What StandaloneCADEngine.exportSceneDocument and loadSceneDocument do with them
+      const constraint = await constraintService.createConstraint({ type: 'distance', entities: ['cad_1', 'cad_2'], value: 3 });
+      const annotation = annotationService.addAnnotation({ type: 'tag', levelId: 'ground', text: 'Entrance', targetId: 'cad_2' });
+      const saved = service.serialize(service.createDocument({
+        objects: engineObjects(),
+        constraints: constraintService.getConstraintSnapshot(),
+        annotations: annotationService.getAnnotations()
+      }));
+
+      await constraintService.deleteConstraint(constraint.id);
+      annotationService.setAnnotations([]);
+
+      const document = service.load(saved);
+      annotationService.setAnnotations(document.annotations);
+      await constraintService.restoreConstraints(document.constraints);
+
+      const { constraints } = await constraintService.getConstraints();
+      expect(constraints).toHaveLength(1);
+      expect(constraints[0]).toMatchObject({ id: constraint.id, type: 'distance', entities: ['cad_1', 'cad_2'] });
+      expect(constraints[0].parameters.value).toBe(3);
+      expect(annotationService.getAnnotations()).toEqual([annotation]);
+      expect(annotationService.addAnnotation({ type: 'label' }).id).not.toBe(annotation.id);
+    } finally {
+      console.log.mockRestore();
+    }
+  });
+
+  test('rejects documents from a newer version', () => {
+    const document = service.createDocument({});
+    expect(() => service.load({ ...document, version: SCENE_DOCUMENT_VERSION + 1 })).toThrow(/newer/);
+  });
+
+  test('reports schema violations', () => {
+    const document = service.createDocument({ objects: engineObjects() });
+    document.objects[0].params.startPoint = { x: 'zero' };
+    expect(() => service.load(document)).toThrow(/objects\[0\]\.params\.startPoint/);
+  });
+});
+
+describe('validateSchema', () => {
+  test('resolves local references and anyOf', () => {
+    const schema = {
+      definitions: { id: { type: 'string', minLength: 1 } },
+      type: 'object',
+      required: ['id'],
+      properties: { id: { $ref: '#/definitions/id' }, note: { anyOf: [{ type: 'null' }, { type: 'string' }] } }
+    };
+
+    expect(validateSchema({ id: 'a', note: null }, schema).valid).toBe(true);
+    expect(validateSchema({ id: '', note: 3 }, schema).errors.map(error => error.path)).toEqual(['id', 'note']);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Schedule Service Tests
+ *
+ * Validates schedule quantities, grouping/totals and CSV/XLSX export
+ */
+
+import { ScheduleService } from '../services/ScheduleService';
+
+const model = () => ({
+  levels: [
+    { id: 'ground', name: 'Ground Floor', elevation: 0, height: 3 },
+    { id: 'first', name: 'First Floor', elevation: 3, height: 3 }
+  ],
+  wallTypeTemplates: {
+    interior_partition: {
+      name: 'Interior Partition Wall',
+      totalThickness: 0.1,
+      layers: [
+        { material: 'drywall', thickness: 0.0125, name: 'Gypsum Board' },
+        { material: 'wood', thickness: 0.075, name: 'Studs' },
+        { material: 'drywall', thickness: 0.0125, name: 'Gypsum Board' }
+      ]
+    }
+  },
+  materialDatabase: { drywall: { density: 640 }, concrete: { density: 2400 } },
+  objects: [
+    {
+      id: 'cad_1',
+      type: 'wall',
+      params: { startPoint: { x: 0, y: 0, z: 0 }, endPoint: { x: 5, y: 0, z: 0 }, height: 3, wallType: 'interior_partition', levelId: 'ground' }
+    },
+    {
+      id: 'cad_2',
+      type: 'wall',
+      params: { startPoint: { x: 0, y: 0, z: 0 }, endPoint: { x: 0, y: 0, z: 4 }, height: 3, thickness: 0.2, material: 'concrete', levelId: 'first' },
+      openings: [{ type: 'opening', width: 1, height: 1, position: 2 }]
+    },
+    { id: 'cad_3', type: 'door', params: { width: 0.9, height: 2.1, hostWallId: 'cad_1', openingDirection: 'left' } },
+    { id: 'cad_4', type: 'door', params: { width: 0.9, height: 2.1, hostWallId: 'cad_2' } },
+    { id: 'cad_5', type: 'door', params: { width: 0.8, height: 2.1, hostWallId: 'cad_2' } },
+    { id: 'cad_6', type: 'slab', params: { width: 4, depth: 5, thickness: 0.25, material: 'concrete', levelId: 'ground' } }
+  ]
+});
+
+describe('ScheduleService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ScheduleService();
+  });
+
+  test('groups doors by size with counts and subtotals', () => {
+    const schedule = service.generate('door', model());
+
+    expect(schedule.count).toBe(3);
+    expect(schedule.groups.map(group => [group.key, group.count])).toEqual([['800 × 2100', 1], ['900 × 2100', 2]]);
+    expect(schedule.groups[1].totals.area).toBeCloseTo(2 * 0.9 * 2.1);
+    expect(schedule.rows.find(row => row.id === 'cad_4').level).toBe('First Floor');
+  });
+
+  test('deducts hosted and free openings from wall areas', () => {
+    const rows = service.generate('wall', model()).rows;
+    const partition = rows.find(row => row.id === 'cad_1');
+    const concrete = rows.find(row => row.id === 'cad_2');
+
+    expect(partition.wallType).toBe('Interior Partition Wall');
+    expect(partition.netArea).toBeCloseTo(15 - 0.9 * 2.1);
+    expect(concrete.openingArea).toBeCloseTo(0.9 * 2.1 + 0.8 * 2.1 + 1);
+    expect(concrete.volume).toBeCloseTo(concrete.netArea * 0.2);
+  });
+
+  test('breaks walls down into layer materials with mass', () => {
+    const schedule = service.generate('material', model());
+    const drywall = schedule.groups.find(group => group.key === 'drywall');
+    const netArea = 15 - 0.9 * 2.1;
+
+    expect(drywall.count).toBe(2);
+    expect(drywall.totals.volume).toBeCloseTo(netArea * 0.025);
+    expect(drywall.totals.mass).toBeCloseTo(netArea * 0.025 * 640);
+    // Concrete wall layer plus the slab
+    const concreteWallArea = 12 - (0.9 * 2.1 + 0.8 * 2.1 + 1);
+    expect(schedule.groups.find(group => group.key === 'concrete').totals.volume).toBeCloseTo(concreteWallArea * 0.2 + 5);
+  });
+
+  test('measures curved walls along their arc', () => {
+    const data = model();
+    // Half circle on the 4 m chord of the concrete wall
+    data.objects[1].params.bulge = 1;
+    const concrete = service.generate('wall', data).rows.find(row => row.id === 'cad_2');
+
+    expect(concrete.length).toBeCloseTo(2 * Math.PI);
+    expect(concrete.grossArea).toBeCloseTo(2 * Math.PI * 3);
+  });
+
+  test('takes off slab type layers', () => {
+    const data = model();
+    data.slabTypeTemplates = {
+      screeded: {
+        name: 'Screeded Slab',
+        layers: [
+          { material: 'concrete', thickness: 0.05, name: 'Screed' },
+          { material: 'concrete', thickness: 0.2, name: 'RC Slab' }
+        ]
+      }
+    };
+    data.objects[5].params.assemblyType = 'screeded';
+    const rows = service.generate('material', data).rows.filter(row => row.elementType === 'slab');
+
+    expect(rows.map(row => row.layer)).toEqual(['Screed', 'RC Slab']);
+    expect(rows[0].volume).toBeCloseTo(20 * 0.05);
+  });
+
+  test('takes off beams by their profile area and length', () => {
+    const data = model();
+    data.materialDatabase.steel = { density: 7850 };
+    data.objects.push({
+      id: 'cad_7',
+      type: 'beam',
+      params: { profileName: 'IPE 300', profileArea: 0.00519, length: 6, material: 'steel', levelId: 'ground' }
+    });
+    const beam = service.generate('material', data).rows.find(row => row.elementType === 'beam');
+
+    expect(beam.layer).toBe('IPE 300');
+    expect(beam.volume).toBeCloseTo(0.00519 * 6);
+    expect(beam.mass).toBeCloseTo(0.00519 * 6 * 7850);
+  });
+
+  test('schedules curtain walls by panel and frame rather than as layered walls', () => {
+    const data = model();
+    data.wallTypeTemplates.curtain_wall = {
+      name: 'Glazed Curtain Wall',
+      layers: [{ material: 'glass', thickness: 0.15 }],
+      properties: { isCurtainWall: true },
+      curtainWall: { verticalSpacing: 1.5, horizontalSpacing: 0, mullionProfile: '50x150' }
+    };
+    data.objects.push({
+      id: 'cad_7',
+      type: 'wall',
+      params: {
+        startPoint: { x: 0, y: 0, z: 5 }, endPoint: { x: 6, y: 0, z: 5 }, height: 3, wallType: 'curtain_wall',
+        curtainWall: { transomOffsets: [1], panels: { '0:0': 'door', '1:0': 'spandrel' } }
+      }
+    });
+
+    expect(service.generate('wall', data).rows.map(row => row.id)).not.toContain('cad_7');
+    const [row] = service.generate('curtainWall', data).rows;
+    const clear = (width, height) => (width - 0.05) * (height - 0.05);
+    expect(row.panels).toBe(8);
+    expect(row.doors).toBe(1);
+    expect(row.spandrelArea).toBeCloseTo(clear(1.5, 1));
+    expect(row.glassArea).toBeCloseTo(2 * clear(1.5, 1) + 4 * clear(1.5, 2));
+    expect(row.mullionLength).toBeCloseTo(5 * 3);
+
+    const frame = service.generate('material', data).rows.find(item => item.element === 'cad_7' && item.material === 'aluminum' && item.thickness === null);
+    expect(frame.volume).toBeCloseTo((5 * 3 + 3 * 6) * 0.05 * 0.15);
+  });
+
+  test('filters by level', () => {
+    expect(service.generate('wall', model(), { levelId: 'first' }).rows.map(row => row.id)).toEqual(['cad_2']);
+    // Hosted doors follow their wall's level
+    expect(service.generate('door', model(), { levelId: 'ground' }).count).toBe(1);
+  });
+
+  test('exports CSV with subtotal and total rows', () => {
+    const csv = service.toCSV(service.generate('slab', model()));
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[0]).toBe('Mark,Level,Material,Slab Type,Thickness (m),Perimeter (m),Area (m²),Volume (m³)');
+    expect(lines[1]).toBe('cad_6,Ground Floor,concrete,flat,0.25,18,20,5');
+    expect(lines[2]).toBe('Subtotal: concrete (1),,,,,18,20,5');
+    expect(lines[3]).toBe('Total (1),,,,,18,20,5');
+  });
+
+  test('quotes CSV cells containing separators', () => {
+    const data = model();
+    data.objects[0].params.mark = 'W-1, "north"';
+    expect(service.toCSV(service.generate('wall', data))).toContain('"W-1, ""north"""');
+  });
+
+  test('writes an XLSX zip with one sheet per schedule', () => {
+    const bytes = service.toXLSX(service.generateAll(model()));
+    const content = Array.from(bytes.subarray(0, 4));
+    const names = String.fromCharCode(...bytes).match(/xl\/worksheets\/sheet\d+\.xml/g);
+
+    expect(content).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    expect(new Set(names).size).toBe(service.getScheduleTypes().length);
+  });
+});
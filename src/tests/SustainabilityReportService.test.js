@@ -0,0 +1,150 @@
+/**
+ * Sustainability Report Service Tests
+ *
+ * Validates envelope orientation, area-weighted U-values, embodied carbon and option comparison
+ */
+
+import { SustainabilityReportService, EMBODIED_CARBON_FACTORS } from '../services/SustainabilityReportService';
+
+const wall = (id, start, end, extra = {}) => ({
+  id,
+  type: 'wall',
+  params: { startPoint: { x: start[0], y: 0, z: start[1] }, endPoint: { x: end[0], y: 0, z: end[1] }, height: 3, wallType: 'cavity', ...extra }
+});
+
+// 10 m × 8 m box; plan -Z is north
+const model = (wallTemplate = 'cavity') => ({
+  levels: [{ id: 'ground', name: 'Ground Floor', elevation: 0, height: 3 }],
+  wallTypeTemplates: {
+    cavity: {
+      name: 'Cavity Wall',
+      properties: { isExternal: true },
+      layers: [
+        { material: 'brick', thickness: 0.1 },
+        { material: 'insulation_rigid', thickness: 0.1 },
+        { material: 'concrete', thickness: 0.1 }
+      ]
+    },
+    solid: {
+      name: 'Solid Wall',
+      properties: { isExternal: true },
+      layers: [{ material: 'concrete', thickness: 0.3 }]
+    },
+    partition: { name: 'Partition', properties: { isExternal: false }, layers: [{ material: 'drywall', thickness: 0.1 }] }
+  },
+  materialDatabase: {
+    brick: { density: 1800, thermalConductivity: 0.7 },
+    insulation_rigid: { density: 30, thermalConductivity: 0.025 },
+    concrete: { density: 2400, thermalConductivity: 1.7 },
+    drywall: { density: 640, thermalConductivity: 0.25 }
+  },
+  objects: [
+    wall('north', [0, 0], [10, 0], { wallType: wallTemplate }),
+    wall('east', [10, 0], [10, 8], { wallType: wallTemplate }),
+    wall('south', [10, 8], [0, 8], { wallType: wallTemplate }),
+    wall('west', [0, 8], [0, 0], { wallType: wallTemplate }),
+    wall('inner', [5, 0], [5, 8], { wallType: 'partition' }),
+    { id: 'win', type: 'window', params: { width: 2, height: 1.5, hostWallId: 'south', thermalTransmittance: 1.4 } },
+    { id: 'door', type: 'door', params: { width: 1, height: 2, hostWallId: 'north' } },
+    { id: 'slab', type: 'slab', params: { width: 10, depth: 8, thickness: 0.2, material: 'concrete', levelId: 'ground' } }
+  ]
+});
+
+describe('SustainabilityReportService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SustainabilityReportService();
+  });
+
+  test('assigns external walls and openings to compass orientations', () => {
+    const { byOrientation } = service.generateReport(model()).envelope;
+    const get = orientation => byOrientation.find(entry => entry.orientation === orientation);
+
+    expect(get('N').wallArea).toBeCloseTo(30 - 2);
+    expect(get('N').doorArea).toBeCloseTo(2);
+    expect(get('S').glazingArea).toBeCloseTo(3);
+    expect(get('S').glazingRatio).toBeCloseTo(3 / 30);
+    expect(get('E').wallArea).toBeCloseTo(24);
+    expect(get('W').wallArea).toBeCloseTo(24);
+    expect(get('NE').grossWallArea).toBe(0);
+  });
+
+  test('orients the re-entrant walls of an L-shaped footprint outwards', () => {
+    const lShape = {
+      ...model(),
+      objects: [
+        wall('north', [0, 0], [10, 0]),
+        wall('east', [10, 0], [10, 4]),
+        wall('inner_south', [10, 4], [4, 4]),
+        wall('inner_east', [4, 4], [4, 10]),
+        wall('south', [4, 10], [0, 10]),
+        wall('west', [0, 10], [0, 0])
+      ]
+    };
+    const { byOrientation } = service.generateReport(lShape).envelope;
+    const wallArea = orientation => byOrientation.find(entry => entry.orientation === orientation).wallArea;
+
+    expect(wallArea('N')).toBeCloseTo(30);
+    expect(wallArea('E')).toBeCloseTo(12 + 18);
+    expect(wallArea('S')).toBeCloseTo(18 + 12);
+    expect(wallArea('W')).toBeCloseTo(30);
+  });
+
+  test('rotates orientations with the north angle', () => {
+    const { byOrientation } = service.generateReport(model(), { northAngle: 90 }).envelope;
+    expect(byOrientation.find(entry => entry.orientation === 'W').glazingArea).toBe(0);
+    expect(byOrientation.find(entry => entry.orientation === 'E').glazingArea).toBeCloseTo(3);
+  });
+
+  test('computes layered U-values and area-weighted averages', () => {
+    const report = service.generateReport(model());
+    const walls = report.envelope.byCategory.find(category => category.category === 'walls');
+    const glazing = report.envelope.byCategory.find(category => category.category === 'glazing');
+    const expectedWallU = 1 / (0.17 + 0.1 / 0.7 + 0.1 / 0.025 + 0.1 / 1.7);
+
+    expect(walls.uValue).toBeCloseTo(expectedWallU);
+    expect(walls.area).toBeCloseTo(2 * 30 + 2 * 24 - 5);
+    expect(glazing.uValue).toBeCloseTo(1.4);
+    expect(report.envelope.elements.some(element => element.id === 'inner')).toBe(false);
+
+    const heatLoss = report.envelope.byCategory.reduce((sum, category) => sum + category.heatLoss, 0);
+    expect(report.summary.heatLossCoefficient).toBeCloseTo(heatLoss);
+    expect(report.summary.envelopeUValue).toBeCloseTo(heatLoss / report.summary.envelopeArea);
+  });
+
+  test('totals embodied carbon by material', () => {
+    const report = service.generateReport(model());
+    const concrete = report.carbon.byMaterial.find(entry => entry.material === 'concrete');
+    const externalNetArea = 2 * 30 + 2 * 24 - 5;
+
+    expect(concrete.volume).toBeCloseTo(externalNetArea * 0.1 + 16);
+    expect(concrete.carbon).toBeCloseTo(concrete.volume * EMBODIED_CARBON_FACTORS.concrete);
+    expect(report.summary.grossFloorArea).toBeCloseTo(80);
+    expect(report.summary.carbonIntensity).toBeCloseTo(report.carbon.total / 80);
+    expect(report.carbon.byMaterial.reduce((sum, entry) => sum + entry.share, 0)).toBeCloseTo(1);
+  });
+
+  test('compares two design options', () => {
+    const cavity = service.generateReport(model(), { name: 'Cavity' });
+    const solid = service.generateReport(model('solid'), { name: 'Solid' });
+    const comparison = service.compareReports(cavity, solid);
+    const uValue = comparison.metrics.find(metric => metric.key === 'envelopeUValue');
+
+    expect(comparison.options).toEqual(['Cavity', 'Solid']);
+    expect(uValue.delta).toBeGreaterThan(0);
+    expect(uValue.better).toBe('a');
+    expect(comparison.metrics.find(metric => metric.key === 'grossFloorArea').better).toBeNull();
+  });
+
+  test('exports JSON and escaped HTML', () => {
+    const report = service.generateReport(model(), { name: 'Option <A>' });
+    const comparison = service.compareReports(report, service.generateReport(model('solid'), { name: 'B' }));
+
+    expect(JSON.parse(service.toJSON(report, comparison)).comparison.options).toEqual(['Option <A>', 'B']);
+    const html = service.toHTML(report, comparison);
+    expect(html).toContain('Option &lt;A&gt;');
+    expect(html).not.toContain('<A>');
+    expect(html).toContain('Design options');
+  });
+});
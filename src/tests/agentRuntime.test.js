@@ -0,0 +1,184 @@
+/**
+ * Server Agent Runtime Tests
+ *
+ * Runs against the headless engine, approvals that default to deny, step rollback and
+ * replanning, and run records that persist and resume their event stream
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AgentPlanner, AgentRuntime, ApprovalGate, HeadlessEngine, RunStore, checkAction } from '../../server/agent';
+import { checkLimits } from '../utils/criticRules';
+import { mapActionIds, pairCreatedIds } from '../utils/agentReplay';
+import { DEFAULT_LEVELS } from '../utils/buildingLevels';
+
+const runtime = (options = {}) => new AgentRuntime({
+  store: options.store || new RunStore(),
+  approvals: new ApprovalGate(),
+  planner: options.planner,
+  config: { approvalTimeoutMs: 50, ...options.config }
+});
+
+const types = objects => objects.map(object => object.type).sort();
+
+describe('AgentRuntime', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('runs a goal on the headless engine and hands back replayable tool calls', async () => {
+    const agent = runtime();
+    const { finished } = agent.startRun({ goal: 'Create a 3x4m bedroom with a door and a window', userId: 'u1' });
+    const run = await finished;
+
+    expect(run.status).toBe('completed');
+    expect(types(run.result.document.objects)).toEqual(['door', 'room', 'slab', 'wall', 'wall', 'wall', 'wall', 'window']);
+    expect(run.events.map(event => event.id)).toEqual(run.events.map((event, index) => index + 1));
+    expect(run.events[run.events.length - 1]).toMatchObject({ type: 'done', status: 'success' });
+
+    // The validated calls rebuild the same model on a fresh engine
+    const replay = new HeadlessEngine();
+    run.result.actions.forEach(({ tool, args }) => expect(replay.executeTool(tool, args).ok).toBe(true));
+    expect(replay.getAllObjects()).toEqual(run.result.document.objects);
+
+    // Run on the browser's level stack, with only tools the browser executor can replay
+    expect(run.result.document.floors).toEqual(DEFAULT_LEVELS);
+    expect(new HeadlessEngine().getToolNames().filter(tool => !tool.startsWith('geometry.create')))
+      .toEqual(['geometry.delete']);
+
+    expect(agent.listRuns('u1')).toHaveLength(1);
+    expect(agent.listRuns('u1', { activeOnly: true })).toHaveLength(0);
+  });
+
+  test('doors and windows go in their host wall, and a missing host fails the call', async () => {
+    const run = await runtime().startRun({ goal: 'Create a 3x4m bedroom with a door and a window' }).finished;
+    const { objects } = run.result.document;
+    const room = objects.find(object => object.type === 'room');
+    const door = objects.find(object => object.type === 'door');
+    const window = objects.find(object => object.type === 'window');
+
+    // The door halfway along the first perimeter wall, the window on the opposite one
+    expect(door.params).toMatchObject({ hostWallId: room.params.wallIds[0], insertionMode: 'insert_in_wall', insertionPosition: 0.5 });
+    expect(door.params.position).toEqual({ x: 0, y: 0, z: -2 });
+    expect(window.params.hostWallId).toBe(room.params.wallIds[2]);
+    expect(window.params.position).toEqual({ x: 0, y: 0.9, z: 2 });
+    expect(run.result.actions.find(action => action.tool === 'geometry.createDoor').args)
+      .toEqual({ hostWallId: room.params.wallIds[0] });
+
+    const engine = new HeadlessEngine();
+    expect(engine.executeTool('geometry.createDoor', {}).error.code).toBe('E_INVALID_ARGS');
+    const slabId = engine.executeTool('geometry.createSlab', {}).objectId;
+    const missing = engine.executeTool('geometry.createWindow', { hostWallId: slabId });
+    expect(missing.error).toEqual({ code: 'E_INVALID_ARGS', title: `No wall ${slabId} to host the window` });
+    expect(engine.getAllObjects()).toHaveLength(1);
+  });
+
+  test('replay on an engine that numbers objects differently maps the server ids', async () => {
+    const run = await runtime().startRun({ goal: 'Create a 3x4m bedroom with a door' }).finished;
+
+    const client = new HeadlessEngine();
+    client.executeTool('geometry.createColumn', {});
+    const idMap = new Map();
+    run.result.actions.forEach(({ tool, args, created }) => {
+      const result = client.executeTool(tool, mapActionIds(args, idMap));
+      expect(result.ok).toBe(true);
+      pairCreatedIds(created, result.objectsCreated.map(id => client.getObject(id)), idMap);
+    });
+
+    const serverDoor = run.result.document.objects.find(object => object.type === 'door');
+    const clientDoor = client.getAllObjects().find(object => object.type === 'door');
+    expect(serverDoor.params.hostWallId).toBe('cad_2');
+    expect(clientDoor.params.hostWallId).toBe('cad_3');
+    expect(clientDoor.params.position).toEqual(serverDoor.params.position);
+    expect(mapActionIds({ objectIds: ['cad_2', 'seeded'] }, idMap).objectIds).toEqual(['cad_3', 'seeded']);
+  });
+
+  test('destructive actions wait for approval and are denied when nobody answers', async () => {
+    const agent = runtime();
+    const context = { objects: [{ id: 'cad_1', type: 'wall', params: { startPoint: { x: 0, z: 0 }, endPoint: { x: 4, z: 0 } } }] };
+
+    const timedOut = await agent.startRun({ goal: 'delete the walls', context }).finished;
+    expect(timedOut.status).toBe('rejected');
+    expect(timedOut.events.map(event => event.type)).toEqual(
+      expect.arrayContaining(['approval-request', 'approval-timeout', 'rollback'])
+    );
+
+    const approved = agent.startRun({ goal: 'delete the walls', context });
+    // Answer inside the listener to beat the approval timeout; a run that ends without
+    // asking settles the race instead of leaving the test waiting
+    const answered = new Promise(resolve => {
+      agent.on('event', event => {
+        if (event.type === 'approval-request' && event.runId === approved.runId) {
+          resolve(agent.approve({ runId: approved.runId, approved: true }));
+        }
+      });
+    });
+    const accepted = await Promise.race([answered, approved.finished.then(() => 'finished without approval')]);
+    expect(accepted).toBe(true);
+    const run = await approved.finished;
+    expect(run.status).toBe('completed');
+    expect(run.result.document.objects).toEqual([]);
+  });
+
+  test('a step the critic rejects is rolled back and replanned, with model calls recorded', async () => {
+    const answers = [
+      JSON.stringify({ title: 'Door', steps: [{ tool: 'geometry.createDoor', args: { width: 0.6, hostWallId: 'cad_1' } }] }),
+      JSON.stringify({ steps: [{ tool: 'geometry.createDoor', args: { width: 0.9, hostWallId: 'cad_1' } }] })
+    ];
+    const complete = jest.fn(async () => answers.shift());
+    const agent = runtime({ planner: new AgentPlanner({ complete }) });
+    const context = { objects: [{ id: 'cad_1', type: 'wall', params: { startPoint: { x: 0, z: 0 }, endPoint: { x: 4, z: 0 } } }] };
+
+    const run = await agent.startRun({ goal: 'Add a door', context }).finished;
+    expect(run.status).toBe('completed');
+    expect(run.steps.map(step => step.verdict.ok)).toEqual([false, true]);
+    expect(types(run.result.document.objects)).toEqual(['door', 'wall']);
+    expect(run.result.document.objects.find(object => object.type === 'door').params.width).toBe(0.9);
+    expect(run.llmCalls.map(call => call.response)).toHaveLength(2);
+
+    // Without a model the failed step is retried at default sizes until the replan budget runs out
+    const failed = await runtime({ config: { maxReplans: 1 } }).startRun({ goal: 'Add a 0.1m wall' }).finished;
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toMatch(/Wall length 100mm below minimum/);
+    expect(failed.result.error.code).toBe('E_EXEC');
+  });
+
+  test('the headless critic checks built objects against the browser critic\'s limits', () => {
+    const engine = new HeadlessEngine();
+    const wall = { startPoint: { x: 0, z: 0 }, endPoint: { x: 4, z: 0 } };
+    const check = (tool, args) => checkAction({ action: { tool, args }, result: engine.executeTool(tool, args), engine });
+
+    const hostWallId = engine.executeTool('geometry.createWall', wall).objectId;
+    expect(check('geometry.createDoor', { hostWallId, width: 0.7 })).toMatchObject(checkLimits('door', { width: 0.7 }));
+    expect(checkLimits('door', { width: 0.7 })).toEqual({
+      ok: false, reason: 'Door width 700mm below minimum (800mm)', category: 'accessibility'
+    });
+    expect(check('geometry.createWall', { ...wall, height: 5 }).reason).toBe('Wall height 5.0m exceeds typical limit (4.5m)');
+    expect(check('geometry.createRoof', { pitch: 5 }).reason).toBe('Roof pitch 5° below minimum for proper drainage (10° min)');
+    expect(check('geometry.createWindow', { hostWallId })).toEqual({ ok: true, category: 'building_code' });
+    expect(checkLimits('window', { width: 1.2 })).toBeNull();
+  });
+
+  test('run records persist and unfinished runs are marked interrupted on restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-runs-'));
+    try {
+      const store = new RunStore({ dir });
+      const run = await runtime({ store }).startRun({ goal: 'Create a wall', userId: 'u2' }).finished;
+      store.create({ runId: 'run_unfinished', goal: 'Create a slab', userId: 'u2', status: 'running' });
+
+      const reloaded = new RunStore({ dir });
+      expect(reloaded.get(run.runId).status).toBe('completed');
+      expect(reloaded.get('run_unfinished').status).toBe('interrupted');
+
+      // A client that saw the first three events resumes from the fourth
+      expect(reloaded.eventsAfter(run.runId, 3)[0].id).toBe(4);
+      expect(reloaded.eventsAfter(run.runId, 3)).toHaveLength(run.events.length - 3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Agent Trace and Benchmark Tests
+ *
+ * Exported run traces replay deterministically with the model stubbed from the trace, a
+ * changed planner shows up as differences, and benchmark goals are scored
+ */
+
+import {
+  AgentPlanner,
+  AgentRuntime,
+  BENCHMARK_GOALS,
+  exportTrace,
+  findRegressions,
+  replayTrace,
+  runBenchmarks,
+  scoreRun
+} from '../../server/agent';
+
+const modelRun = async () => {
+  const answers = [
+    JSON.stringify({ title: 'Wall', steps: [{ tool: 'geometry.createWall', args: { endPoint: { x: 5, z: 0 }, thickness: 0.05 } }] }),
+    JSON.stringify({ steps: [{ tool: 'geometry.createWall', args: { endPoint: { x: 5, z: 0 }, thickness: 0.2 } }] })
+  ];
+  const runtime = new AgentRuntime({ planner: new AgentPlanner({ complete: async () => answers.shift() }) });
+  return runtime.startRun({ goal: 'A 5m wall', userId: 'u1' }).finished;
+};
+
+describe('agent traces and benchmarks', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a run exports as a trace that replays to the same outcome without the model', async () => {
+    const trace = exportTrace(await modelRun());
+
+    expect(JSON.parse(JSON.stringify(trace))).toEqual(trace);
+    expect(trace.llmCalls).toHaveLength(2);
+    expect(trace.steps.map(step => [step.tool, step.verdict.ok])).toEqual([
+      ['geometry.createWall', false],
+      ['geometry.createWall', true]
+    ]);
+    expect(trace.outcome.status).toBe('completed');
+
+    const replay = await replayTrace(trace);
+    expect(replay.differences).toEqual([]);
+    expect(replay.divergences).toEqual([]);
+    expect(replay.match).toBe(true);
+  });
+
+  test('a changed planner shows up as differences from the recorded run', async () => {
+    const trace = exportTrace(await new AgentRuntime().startRun({ goal: 'Draw a 6m wall' }).finished);
+
+    class ShortWallPlanner extends AgentPlanner {
+      async plan(request) {
+        const plan = await super.plan(request);
+        plan.steps[0].params = { ...plan.steps[0].params, endPoint: { x: 3, z: 0 } };
+        return plan;
+      }
+    }
+
+    const replay = await replayTrace(trace, { planner: new ShortWallPlanner() });
+    expect(replay.match).toBe(false);
+    expect(replay.differences.map(difference => difference.path)).toEqual(['steps[0].args', 'outcome.document.objects']);
+
+    // A replay that needs more model answers than were recorded fails instead of calling out
+    const modelTrace = exportTrace(await modelRun());
+    const exhausted = await replayTrace({ ...modelTrace, llmCalls: modelTrace.llmCalls.slice(0, 1) });
+    expect(exhausted.trace.outcome.status).toBe('failed');
+    expect(exhausted.trace.outcome.error).toMatch(/trace has 1 answers/);
+  });
+
+  test('benchmark goals are scored by the checks they pass', async () => {
+    const report = await runBenchmarks();
+    expect(report.total).toBe(BENCHMARK_GOALS.length);
+    expect(report.results.filter(result => result.score < 1)).toEqual([]);
+    expect(report.score).toBe(1);
+
+    const bedroom = report.results.find(result => result.id === 'bedroom-door-window');
+    expect(bedroom.trace.goal).toBe('3x4m bedroom with door and window');
+    expect((await replayTrace(bedroom.trace)).match).toBe(true);
+
+    // Half the checks: the wall exists but is the wrong length
+    const run = { status: 'completed', result: { document: { objects: [{ type: 'wall', params: { length: 4 } }] } } };
+    const { score, checks } = scoreRun(run, { objects: { wall: 1 }, params: [{ type: 'wall', match: { length: 6 } }] });
+    expect(score).toBe(0.5);
+    expect(checks.map(check => check.ok)).toEqual([true, false]);
+
+    // Openings must name a wall of the model and sit on it
+    const walled = { id: 'w1', type: 'wall', params: { startPoint: { x: 0, z: 0 }, endPoint: { x: 4, z: 0 } } };
+    const door = (id, params) => ({ id, type: 'door', params });
+    const hosting = scoreRun({ result: { document: { objects: [
+      walled,
+      door('d1', { hostWallId: 'w1', position: { x: 2, y: 0, z: 0 } }),
+      door('d2', { hostWallId: 'w1', position: { x: 2, y: 0, z: 1 } }),
+      door('d3', { hostWallId: 'w9', position: { x: 2, y: 0, z: 0 } })
+    ] } } }, { hosted: ['door'] });
+    expect(hosting.score).toBe(0);
+    expect(hosting.checks[0].actual).toEqual(['d2 is not on w1', 'd3 has no host wall (w9)']);
+    expect(bedroom.checks.map(check => check.name)).toEqual(expect.arrayContaining(['hosted.door', 'hosted.window']));
+
+    const regressed = { results: [{ id: 'single-wall', score: 0.5 }, { id: 'new-goal', score: 0 }] };
+    expect(findRegressions(regressed, report)).toEqual([{ id: 'single-wall', before: 1, after: 0.5 }]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Building Levels Tests
+ *
+ * Validates level ordering, level-constrained extents, level stack edits and
+ * matching imported storeys to levels
+ */
+
+import {
+  createLevel,
+  getLevelAbove,
+  getLevelBelow,
+  getNextLevelElevation,
+  matchImportedLevels,
+  resolveObjectLevel,
+  resolveVerticalExtent,
+  updateLevelStack
+} from '../utils/buildingLevels';
+
+const stack = () => ([
+  createLevel({ id: 'first', name: 'First Floor', elevation: 3, height: 3 }),
+  createLevel({ id: 'ground', name: 'Ground Floor', elevation: 0, height: 3 }),
+  createLevel({ id: 'second', name: 'Second Floor', elevation: 6, height: 3.5 })
+]);
+
+describe('buildingLevels', () => {
+  test('finds neighbouring levels by elevation', () => {
+    const levels = stack();
+
+    expect(getLevelBelow(levels, 'first').id).toBe('ground');
+    expect(getLevelAbove(levels, 'first').id).toBe('second');
+    expect(getLevelBelow(levels, 'ground')).toBeNull();
+    expect(getNextLevelElevation(levels)).toBe(9.5);
+  });
+
+  test('places objects without a known level on the lowest level', () => {
+    expect(resolveObjectLevel(stack(), { levelId: 'missing' }).id).toBe('ground');
+  });
+
+  test('derives height from a top level constraint', () => {
+    const extent = resolveVerticalExtent(stack(), { levelId: 'first', baseOffset: 0.1, topLevelId: 'second', topOffset: -0.3 });
+
+    expect(extent.constrained).toBe(true);
+    expect(extent.baseElevation).toBeCloseTo(3.1);
+    expect(extent.height).toBeCloseTo(2.6);
+  });
+
+  test('falls back to the unconnected height when the top level is not above the base', () => {
+    const extent = resolveVerticalExtent(stack(), { levelId: 'second', topLevelId: 'ground', height: 2.4 });
+    expect(extent).toEqual({ baseElevation: 6, height: 2.4, constrained: false });
+  });
+
+  test('changing floor-to-floor height moves every level above', () => {
+    const { levels, moved } = updateLevelStack(stack(), 'ground', { height: 4 });
+
+    expect(levels.map(level => level.elevation)).toEqual([0, 4, 7]);
+    expect([...moved.entries()]).toEqual([['first', 1], ['second', 1]]);
+  });
+
+  test('changing an elevation recomputes the surrounding floor-to-floor heights', () => {
+    const { levels, moved } = updateLevelStack(stack(), 'first', { elevation: 3.5 });
+
+    expect(levels.find(level => level.id === 'ground').height).toBe(3.5);
+    expect(levels.find(level => level.id === 'first').height).toBe(2.5);
+    expect(moved.get('first')).toBe(0.5);
+    expect(moved.has('second')).toBe(false);
+  });
+
+  test('matches imported storeys by elevation and renames colliding level ids', () => {
+    const storeys = [
+      { id: 'ground', name: 'Ground', elevation: 0 },
+      { id: 'first', name: 'Level 1', elevation: 3.2 },
+      { id: 'roof', name: 'Roof', elevation: 6 },
+      { id: 'mezzanine', name: 'Mezzanine', elevation: 1.5 },
+      { id: 'mezzanine_b', name: 'Mezzanine B', elevation: 1.5 }
+    ];
+    const { levelIds, newLevels } = matchImportedLevels(stack(), storeys);
+
+    // 'first' exists at 3 m, so the storey at 3.2 m gets its own level
+    expect(newLevels).toEqual([
+      { id: 'first_1', name: 'Level 1', elevation: 3.2 },
+      { id: 'mezzanine', name: 'Mezzanine', elevation: 1.5 }
+    ]);
+    expect(Object.fromEntries(levelIds)).toEqual({
+      ground: 'ground',
+      first: 'first_1',
+      roof: 'second',
+      mezzanine: 'mezzanine',
+      mezzanine_b: 'mezzanine'
+    });
+  });
+});
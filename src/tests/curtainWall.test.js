@@ -0,0 +1,47 @@
+/**
+ * Curtain Wall Tests
+ *
+ * Grid layout, panel infill overrides and the plan symbol
+ */
+
+import { curtainWallPlan, layoutCurtainWall, resolveCurtainWall } from '../utils/curtainWall';
+
+describe('curtainWall', () => {
+  test('divides the wall into the fewest panels no wider than the spacing', () => {
+    const layout = layoutCurtainWall(6.2, 3, { verticalSpacing: 1.5, horizontalDivisions: 2 });
+
+    expect(layout.uGrid).toHaveLength(6);
+    expect(layout.uGrid[1]).toBeCloseTo(6.2 / 5);
+    expect(layout.vGrid).toEqual([0, 1.5, 3]);
+    expect(layout.quantities.panelCount).toBe(10);
+  });
+
+  test('places transoms at typed heights and merges panel overrides', () => {
+    const settings = resolveCurtainWall(
+      { transomOffsets: '1, 2.5', panels: { '0:1': 'spandrel' } },
+      { panels: { '1:0': 'door' } }
+    );
+    const layout = layoutCurtainWall(3, 3.5, { ...settings, verticalDivisions: 2 });
+
+    expect(layout.vGrid).toEqual([0, 1, 2.5, 3.5]);
+    expect(layout.quantities.spandrelPanels).toBe(1);
+    expect(layout.quantities.doorCount).toBe(1);
+  });
+
+  test('only allows doors on the bottom row', () => {
+    const layout = layoutCurtainWall(3, 3, { verticalDivisions: 2, horizontalDivisions: 2, panels: { '0:1': 'door' } });
+
+    expect(layout.quantities.doorCount).toBe(0);
+    expect(layout.issues.map(issue => issue.panel)).toEqual(['0:1']);
+  });
+
+  test('draws a tick across the line at every mullion', () => {
+    const layout = layoutCurtainWall(6, 3, { verticalSpacing: 1.5, mullionProfile: '50x150' });
+    const plan = curtainWallPlan(layout, { start: { x: 0, z: 0 }, end: { x: 6, z: 0 } });
+
+    expect(plan.line).toHaveLength(5);
+    expect(plan.ticks).toHaveLength(5);
+    expect(plan.ticks[2].a.x).toBeCloseTo(3);
+    expect(Math.abs(plan.ticks[2].a.z - plan.ticks[2].b.z)).toBeCloseTo(0.15);
+  });
+});
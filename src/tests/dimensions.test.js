@@ -0,0 +1,122 @@
+/**
+ * Associative Dimension Tests
+ *
+ * Measuring walls, openings and grid axes from references, following the model when it
+ * changes, auto-dimensioning wall runs and formatting in the project's units
+ */
+
+import {
+  autoDimensionWall,
+  createDimension,
+  dimensionGraphics,
+  findWallRun,
+  formatLength,
+  resolveDimension
+} from '../utils/dimensions';
+
+const wall = (start, end, extra = {}) => ({ start, end, bulge: 0, thickness: 0.2, ...extra });
+
+// Two walls in line along x (drawn head to head) and a return wall going up in z
+const model = () => ({
+  walls: {
+    w1: wall({ x: 0, z: 0 }, { x: 4, z: 0 }),
+    w2: wall({ x: 10, z: 0 }, { x: 4, z: 0 }),
+    w3: wall({ x: 10, z: 0 }, { x: 10, z: 5 })
+  },
+  openings: {
+    door: { wallId: 'w1', position: 2, width: 1 },
+    window: { wallId: 'w2', position: 2, width: 1.5 }
+  },
+  grids: {
+    g: [
+      { name: '1', start: { x: 0, z: -1 }, end: { x: 0, z: 6 } },
+      { name: '2', start: { x: 6, z: -1 }, end: { x: 6, z: 6 } }
+    ]
+  }
+});
+
+describe('dimensions', () => {
+  test('measures wall faces, opening jambs and grid axes', () => {
+    const faces = createDimension({
+      kind: 'aligned',
+      references: [{ type: 'wall', id: 'w1', anchor: 'exterior' }, { type: 'wall', id: 'w1', anchor: 'interior' }]
+    });
+    expect(resolveDimension(faces, model()).value).toBeCloseTo(0.2);
+
+    const opening = createDimension({
+      kind: 'aligned',
+      references: [{ type: 'opening', id: 'door', anchor: 'left' }, { type: 'opening', id: 'door', anchor: 'right' }]
+    });
+    expect(resolveDimension(opening, model()).text).toBe('1000');
+
+    const grid = createDimension({
+      kind: 'linear',
+      references: [{ type: 'grid', id: 'g', axis: '1' }, { type: 'grid', id: 'g', axis: '2' }]
+    });
+    const resolved = resolveDimension(grid, model(), 'm');
+    expect(resolved.value).toBeCloseTo(6);
+    expect(resolved.text).toBe('6');
+    expect(dimensionGraphics(resolved).filter(entity => entity.type === 'text').map(entity => entity.text)).toEqual(['6']);
+  });
+
+  test('follows the elements it references', () => {
+    const dimension = createDimension({
+      kind: 'linear',
+      references: [{ type: 'wall', id: 'w1', anchor: 'start' }, { type: 'opening', id: 'door', anchor: 'left' }]
+    });
+    const current = model();
+    expect(resolveDimension(dimension, current).value).toBeCloseTo(1.5);
+
+    current.walls.w1 = wall({ x: 1, z: 0 }, { x: 4, z: 0 });
+    current.openings.door.position = 1;
+    expect(resolveDimension(dimension, current).value).toBeCloseTo(0.5);
+
+    delete current.openings.door;
+    const gone = resolveDimension(dimension, current);
+    expect(gone.valid).toBe(false);
+    expect(dimensionGraphics(gone)).toEqual([]);
+  });
+
+  test('measures angles between walls and radii of curved walls', () => {
+    const angular = createDimension({
+      kind: 'angular',
+      references: [{ type: 'wall', id: 'w2', anchor: 'centerline' }, { type: 'wall', id: 'w3', anchor: 'centerline' }],
+      offset: 1
+    });
+    const resolved = resolveDimension(angular, model());
+    expect(resolved.value).toBeCloseTo(Math.PI / 2);
+    expect(resolved.text).toBe('90°');
+    expect(resolved.vertex.x).toBeCloseTo(10);
+    expect(resolved.vertex.z).toBeCloseTo(0);
+
+    // Half circle of 2 m radius, 0.2 m thick
+    const curved = { walls: { arc: wall({ x: 0, z: 0 }, { x: 4, z: 0 }, { bulge: 1 }) } };
+    const radius = anchor => resolveDimension(createDimension({ kind: 'radial', references: [{ type: 'wall', id: 'arc', anchor }] }), curved).value;
+    expect(radius('centerline')).toBeCloseTo(2);
+    expect(radius('exterior')).toBeCloseTo(2.1);
+    expect(radius('interior')).toBeCloseTo(1.9);
+  });
+
+  test('auto-dimensions a wall run through its openings', () => {
+    expect(findWallRun(model().walls, 'w1')).toEqual([{ id: 'w1', reversed: false }, { id: 'w2', reversed: true }]);
+
+    const [chain, overall] = autoDimensionWall(model(), 'w1');
+    const resolvedChain = resolveDimension(createDimension(chain), model());
+    // Run start, door 1.5-2.5, window (at 2 from w2's start, 10 → 4) 7.25-8.75, run end
+    expect(resolvedChain.segments.map(segment => segment.text)).toEqual(['1500', '1000', '4750', '1500', '1250']);
+    expect(resolveDimension(createDimension(overall), model()).text).toBe('10000');
+
+    // Dimension lines sit off the exterior (n) face, the chain inside the overall
+    expect(resolvedChain.segments[0].start.z).toBeCloseTo(-0.9);
+    expect(resolveDimension(createDimension(overall), model()).segments[0].start.z).toBeCloseTo(-1.4);
+  });
+
+  test('formats lengths in the project units', () => {
+    expect(formatLength(3.6, 'mm')).toBe('3600');
+    expect(formatLength(3.6, 'cm')).toBe('360');
+    expect(formatLength(3.605, 'm')).toBe('3.6');
+    expect(formatLength(0.0254 * 10, 'inch')).toBe('10"');
+    expect(formatLength(0.0254 * (12 * 11 + 9.75), 'feetAndInch')).toBe(`11'-9 3/4"`);
+    expect(formatLength(0.3048 * 2, 'feetAndInch')).toBe(`2'-0"`);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Document Snapshot Tests
+ *
+ * Geometry-free snapshots, diff-based incremental checkpoints and the objects a restore
+ * has to rebuild
+ */
+
+import {
+  applySnapshotDiff,
+  createSnapshot,
+  diffSnapshots,
+  isEmptySnapshotDiff,
+  planSnapshotRestore
+} from '../utils/documentSnapshots';
+
+const wall = (id, x) => ({ id, type: 'wall', params: { startPoint: { x, y: 0, z: 0 }, endPoint: { x: x + 4, y: 0, z: 0 }, thickness: 0.2 } });
+const door = (id, hostWallId, insertionPosition = 0.5) => ({ id, type: 'door', params: { hostWallId, insertionPosition, width: 0.9 } });
+const column = id => ({ id, type: 'column', params: { position: { x: 0, y: 0, z: 0 }, width: 0.4 } });
+
+const snapshot = (objects, extra = {}) => createSnapshot({
+  document: {
+    metadata: { displayUnits: 'mm' },
+    floors: [{ id: 'level_1', name: 'Ground Floor', elevation: 0 }],
+    objects,
+    ...extra
+  },
+  activeLevelId: 'level_1',
+  selection: []
+});
+
+describe('documentSnapshots', () => {
+  test('diffs replay to the same snapshot', () => {
+    const base = snapshot([wall('w1', 0), door('d1', 'w1'), column('c1')]);
+    const next = snapshot([wall('w1', 1), door('d1', 'w1'), wall('w2', 8)], { grids: [{ id: 'grid_1' }] });
+    next.selection = ['w2'];
+
+    const diff = diffSnapshots(base, next);
+    expect(diff.objects.added.map(object => object.id)).toEqual(['w2']);
+    expect(diff.objects.changed.map(object => object.id)).toEqual(['w1']);
+    expect(diff.objects.removed).toEqual(['c1']);
+    expect(Object.keys(diff.collections).sort()).toEqual(['grids', 'selection']);
+
+    const replayed = applySnapshotDiff(base, diff);
+    expect(isEmptySnapshotDiff(diffSnapshots(replayed, next))).toBe(true);
+    // The base is left as it was
+    expect(base.objects.map(object => object.id)).toEqual(['w1', 'd1', 'c1']);
+  });
+
+  test('snapshots are plain data independent of the engine objects', () => {
+    const params = { startPoint: { x: 0, y: 0, z: 0 }, endPoint: { x: 4, y: 0, z: 0 } };
+    const taken = snapshot([{ id: 'w1', type: 'wall', params }]);
+    params.endPoint.x = 10;
+
+    expect(taken.objects[0].params.endPoint.x).toBe(4);
+    expect(JSON.parse(JSON.stringify(taken))).toEqual(taken);
+    // Key order does not count as a change
+    const reordered = snapshot([{ id: 'w1', type: 'wall', params: { endPoint: { x: 4, y: 0, z: 0 }, startPoint: { z: 0, y: 0, x: 0 } } }]);
+    expect(diffSnapshots(taken, reordered).objects.changed).toEqual([]);
+  });
+
+  test('restores only what changed, with the walls and openings it affects', () => {
+    const target = snapshot([wall('w1', 0), door('d1', 'w1'), door('d2', 'w1', 0.2), wall('w2', 8), column('c1')]);
+
+    // Nothing changed: nothing to rebuild
+    expect(planSnapshotRestore(target, target)).toEqual({ remove: [], create: [], collections: {} });
+
+    // A door moved in w1 and a column was deleted since the checkpoint
+    const current = snapshot([wall('w1', 0), door('d1', 'w1', 0.8), door('d2', 'w1', 0.2), wall('w2', 8), wall('w3', 20)]);
+    const plan = planSnapshotRestore(current, target);
+    expect(plan.remove.sort()).toEqual(['d1', 'd2', 'w1', 'w3']);
+    // Walls first so the doors find their host; w2 is untouched
+    expect(plan.create.map(object => object.id)).toEqual(['w1', 'c1', 'd1', 'd2']);
+  });
+
+  test('a door added to a wall since the checkpoint takes its opening with it', () => {
+    const target = snapshot([wall('w1', 0), wall('w2', 8)]);
+    const current = snapshot([wall('w1', 0), wall('w2', 8), door('d1', 'w2')]);
+
+    const plan = planSnapshotRestore(current, target);
+    expect(plan.remove.sort()).toEqual(['d1', 'w2']);
+    expect(plan.create.map(object => object.id)).toEqual(['w2']);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * DXF Tests
+ *
+ * Reading entities, blocks and units into plan primitives, and writing plans back out
+ */
+
+import {
+  createDxf,
+  detectDxfUnits,
+  dimensionEntities,
+  explodeDxf,
+  parseDxf,
+  polylinePoints,
+  polylineSegments
+} from '../utils/dxf';
+import { pointAlongWall, wallLength } from '../utils/wallArcs';
+
+const dxf = (...sections) => `${sections.flat().join('\n')}\n0\nEOF\n`;
+const section = (name, ...body) => ['0', 'SECTION', '2', name, ...body.flat(), '0', 'ENDSEC'];
+
+const SAMPLE = dxf(
+  section('HEADER', '9', '$INSUNITS', '70', '4'),
+  section('TABLES', '0', 'TABLE', '2', 'LAYER', '0', 'LAYER', '2', 'WALLS', '70', '0', '62', '3', '0', 'LAYER', '2', 'HIDDEN', '70', '0', '62', '-5', '0', 'ENDTAB'),
+  section('BLOCKS',
+    '0', 'BLOCK', '8', '0', '2', 'COL', '10', '0', '20', '0',
+    '0', 'LINE', '8', '0', '10', '0', '20', '0', '11', '200', '21', '0',
+    '0', 'ENDBLK', '8', '0'),
+  section('ENTITIES',
+    '0', 'LINE', '8', 'WALLS', '10', '0', '20', '0', '11', '5000', '21', '0',
+    '0', 'LWPOLYLINE', '8', 'WALLS', '90', '3', '70', '1', '10', '0', '20', '0', '10', '4000', '20', '0', '42', '0', '10', '4000', '20', '3000',
+    // Quarter circle, counterclockwise from +x to +y around the origin
+    '0', 'ARC', '8', 'WALLS', '10', '0', '20', '0', '40', '1000', '50', '0', '51', '90',
+    '0', 'TEXT', '8', 'NOTES', '10', '1000', '20', '2000', '40', '250', '1', 'Kitchen',
+    '0', 'INSERT', '8', 'COLS', '2', 'COL', '10', '10000', '20', '0', '41', '1', '42', '1', '50', '90',
+    '0', 'SPLINE', '8', 'WALLS')
+);
+
+describe('dxf', () => {
+  test('reads entities, layers and skipped types', () => {
+    const parsed = parseDxf(SAMPLE);
+
+    expect(parsed.insUnits).toBe(4);
+    expect(parsed.entities.map(entity => entity.type)).toEqual(['line', 'polyline', 'arc', 'text', 'insert']);
+    expect(parsed.entities[1].closed).toBe(true);
+    expect(parsed.entities[1].points).toHaveLength(3);
+    expect(parsed.skipped).toEqual({ SPLINE: 1 });
+    expect(parsed.layers.find(layer => layer.name === 'HIDDEN').visible).toBe(false);
+    expect(parsed.layers.map(layer => layer.name)).toEqual(expect.arrayContaining(['NOTES', 'COLS']));
+    expect(() => parseDxf('hello')).toThrow('Not an ASCII DXF file');
+  });
+
+  test('converts to plan metres with y flipped and blocks inserted', () => {
+    const parsed = parseDxf(SAMPLE);
+    const units = detectDxfUnits(parsed);
+    const primitives = explodeDxf(parsed, { scale: units.scale });
+
+    expect(units).toEqual({ name: 'mm', scale: 0.001, detected: 'header' });
+    expect(primitives[0].points[1].x).toBeCloseTo(5);
+    expect(primitives[0].points[1].z).toBeCloseTo(0);
+    const text = primitives.find(primitive => primitive.type === 'text');
+    expect(text.position.x).toBeCloseTo(1);
+    expect(text.position.z).toBeCloseTo(-2);
+    expect(text.height).toBeCloseTo(0.25);
+
+    // The block's 200 mm line, rotated 90° at x = 10 m, on the insert's layer
+    const column = primitives.find(primitive => primitive.layer === 'COLS');
+    expect(column.points[0].x).toBeCloseTo(10);
+    expect(column.points[1].x).toBeCloseTo(10);
+    expect(column.points[1].z).toBeCloseTo(-0.2);
+  });
+
+  test('keeps arcs exact as bulges in the wall convention', () => {
+    const primitives = explodeDxf(parseDxf(SAMPLE), { scale: 0.001 });
+    const [segment] = polylineSegments(primitives[2]);
+
+    expect(wallLength(segment.start, segment.end, segment.bulge)).toBeCloseTo(Math.PI / 2);
+    // Halfway round the quarter circle, north-east of the centre (north is -z)
+    const { point } = pointAlongWall(segment.start, segment.end, segment.bulge, Math.PI / 4);
+    expect(point.x).toBeCloseTo(Math.SQRT1_2);
+    expect(point.z).toBeCloseTo(-Math.SQRT1_2);
+    expect(polylinePoints(primitives[2]).length).toBeGreaterThan(2);
+  });
+
+  test('guesses millimetres for large drawings without units', () => {
+    const parsed = parseDxf(dxf(section('ENTITIES', '0', 'LINE', '8', '0', '10', '0', '20', '0', '11', '12000', '21', '0')));
+    expect(detectDxfUnits(parsed)).toEqual({ name: 'mm', scale: 0.001, detected: 'extents' });
+  });
+
+  test('writes an R12 file that reads back the same', () => {
+    const text = createDxf({
+      layers: [{ name: 'A-WALL', color: 7 }],
+      entities: [
+        { type: 'polyline', layer: 'A-WALL', points: [{ x: 0, z: 0, bulge: 0.4 }, { x: 4, z: 0 }, { x: 4, z: 3 }], closed: true },
+        { type: 'text', layer: 'A-WALL', position: { x: 1, z: 1 }, height: 0.25, text: 'Café', align: 'center' },
+        { type: 'arc', layer: 'A-WALL', center: { x: 0, z: 0 }, radius: 0.9, startAngle: 0, endAngle: 90 }
+      ]
+    }, { units: 'mm' });
+
+    expect(text).toContain('AC1009');
+    expect(text).toContain('Caf\\U+00E9');
+    const parsed = parseDxf(text);
+    expect(detectDxfUnits(parsed).name).toBe('mm');
+    const [polyline, label, arc] = explodeDxf(parsed, { scale: 0.001 });
+    expect(polyline.closed).toBe(true);
+    expect(polyline.points[0].bulge).toBeCloseTo(0.4);
+    expect(polyline.points[2].z).toBeCloseTo(3);
+    expect(label.position.z).toBeCloseTo(1);
+    expect(wallLength(arc.points[0], arc.points[1], arc.points[0].bulge)).toBeCloseTo(0.9 * Math.PI / 2);
+  });
+
+  test('draws an aligned dimension with its measurement', () => {
+    const entities = dimensionEntities({ start: { x: 0, z: 0 }, end: { x: 6, z: 0 }, offset: 1, text: '6000' });
+    const line = entities[2];
+    const label = entities.find(entity => entity.type === 'text');
+
+    // n = (d.z, -d.x) points to -z, up the plan
+    expect(line.start).toEqual({ x: 0, z: -1 });
+    expect(line.end).toEqual({ x: 6, z: -1 });
+    expect(label.text).toBe('6000');
+    expect(label.position.z).toBeLessThan(-1);
+    expect(label.rotation).toBeCloseTo(0);
+  });
+});
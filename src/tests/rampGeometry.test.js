@@ -0,0 +1,86 @@
+/**
+ * Ramp Geometry Tests
+ *
+ * Sloped ramps: run lengths from the rise and gradient, landings between runs,
+ * switchbacks, edge lines and the accessibility checks
+ */
+
+import { generateRamp, resolveRampParams, validateRamp } from '../utils/rampGeometry';
+
+const errorRules = (validation) => validation.issues
+  .filter(issue => issue.severity === 'error')
+  .map(issue => issue.rule);
+
+describe('rampGeometry', () => {
+  test('derives the gradient from a grade or the length of older ramps', () => {
+    expect(resolveRampParams({}).gradient).toBeCloseTo(1 / 12);
+    expect(resolveRampParams({ grade: 5 }).gradient).toBeCloseTo(0.05);
+    expect(resolveRampParams({ height: 0.5, depth: 10 }).gradient).toBeCloseTo(0.05);
+    expect(resolveRampParams({ height: 0.5, depth: 10 }).totalRise).toBe(0.5);
+  });
+
+  test('splits a long ramp into equal runs with landings between them', () => {
+    const ramp = generateRamp({ totalRise: 1, gradient: 1 / 12 });
+
+    expect(ramp.rampLength).toBeCloseTo(12);
+    expect(ramp.runs.length).toBe(2);
+    expect(ramp.runs[0].length).toBeCloseTo(6);
+    expect(ramp.runs[1].startElevation).toBeCloseTo(0.5);
+    expect(ramp.landings.length).toBe(1);
+    expect(ramp.landings[0].elevation).toBeCloseTo(0.5);
+    expect(ramp.travelLength).toBeCloseTo(13.5);
+    expect(ramp.bounds.maxZ).toBeCloseTo(13.5);
+  });
+
+  test('turns a switchback ramp back beside its first run', () => {
+    const ramp = generateRamp({ rampType: 'switchback', totalRise: 1.5, width: 1.2, wellWidth: 0.1 });
+    const [first, second] = ramp.runs;
+
+    expect(second.direction.z).toBe(-1);
+    expect(second.start.x).toBeCloseTo(-1.3);
+    expect(second.end.z).toBeCloseTo(first.start.z);
+    expect(ramp.landings[0].width).toBeCloseTo(2.5);
+    expect(ramp.bounds.maxZ).toBeCloseTo(9 + 1.5);
+    expect(generateRamp({ rampType: 'switchback', totalRise: 1.5, turn: 'left' }).runs[1].start.x).toBeGreaterThan(0);
+  });
+
+  test('runs handrails round the outside of a switchback landing', () => {
+    const ramp = generateRamp({ rampType: 'switchback', totalRise: 1.5, width: 1.2 });
+    const outer = ramp.handrails.find(rail => rail.side === 'left').points3D;
+    const inner = ramp.handrails.find(rail => rail.side === 'right').points3D;
+
+    expect(outer.length).toBe(6);
+    expect(inner.length).toBe(4);
+    expect(outer[0].y).toBeCloseTo(0.9);
+    expect(outer[outer.length - 1].y).toBeCloseTo(1.5 + 0.9);
+    expect(ramp.curbs.length).toBe(2);
+  });
+
+  test('passes a 1:12 ramp with landings, rails and curbs', () => {
+    const validation = validateRamp(generateRamp({ totalRise: 1.5 }));
+
+    expect(validation.ok).toBe(true);
+    expect(validation.issues).toEqual([]);
+    expect(validation.measurements.ratio).toBe('1:12');
+    expect(validation.measurements.longestRun).toBeCloseTo(9);
+  });
+
+  test('flags steep, narrow and unprotected ramps', () => {
+    const validation = validateRamp(generateRamp({
+      totalRise: 1, grade: 10, width: 0.9, landingLength: 1.2, hasHandrail: false, hasCurbs: false
+    }));
+
+    expect(validation.ok).toBe(false);
+    expect(errorRules(validation)).toEqual(['maxGradient', 'minWidth', 'minLandingLength', 'handrails']);
+    expect(validation.issues.find(issue => issue.rule === 'edgeProtection').severity).toBe('warning');
+  });
+
+  test('needs a landing at the configured interval', () => {
+    const ramp = generateRamp({ totalRise: 0.7, landingInterval: 10 });
+    const validation = validateRamp(ramp, { maxRunLength: 6 });
+
+    expect(ramp.runs.length).toBe(1);
+    expect(errorRules(validation)).toEqual(['maxRunLength']);
+    expect(validateRamp(ramp).ok).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Roof Geometry Tests
+ *
+ * Parametric roofs over rectangular and L-shaped footprints: ridge heights, gable
+ * placement, hips and valleys, overhangs and the shed, mansard and flat variants
+ */
+
+import { generateRoof, normalizeFootprint, resolveRoofEdges } from '../utils/roofGeometry';
+import { polygonArea } from '../utils/roomDetection';
+
+const rectangle = [{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 6 }, { x: 0, z: 6 }];
+const lShape = [
+  { x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 4 },
+  { x: 4, z: 4 }, { x: 4, z: 10 }, { x: 0, z: 10 }
+];
+const tan30 = Math.tan(Math.PI / 6);
+
+const countLines = (roof) => roof.lines.reduce((counts, line) => {
+  counts[line.type] = (counts[line.type] || 0) + 1;
+  return counts;
+}, {});
+
+describe('roofGeometry', () => {
+  test('winds footprints counter-clockwise and drops collinear corners', () => {
+    const footprint = normalizeFootprint([
+      { x: 0, z: 0 }, { x: 0, z: 6 }, { x: 5, z: 6 }, { x: 10, z: 6 }, { x: 10, z: 0 }, { x: 10, z: 0 }
+    ]);
+
+    expect(footprint.length).toBe(4);
+    expect(polygonArea(footprint)).toBeCloseTo(60);
+    expect(footprint).toContainEqual({ x: 10, z: 6 });
+    expect(normalizeFootprint([{ x: 0, z: 0 }, { x: 1, z: 0 }])).toEqual([]);
+  });
+
+  test('puts gables on the short ends of a rectangle', () => {
+    const edges = resolveRoofEdges(rectangle, { roofType: 'gable' });
+
+    expect(edges.map(edge => edge.gable)).toEqual([false, true, false, true]);
+    expect(resolveRoofEdges(rectangle, { roofType: 'hip' }).some(edge => edge.gable)).toBe(false);
+  });
+
+  test('rises a gable roof to half the span times the pitch', () => {
+    const roof = generateRoof(rectangle, { roofType: 'gable', pitch: 30, overhang: 0 });
+
+    expect(roof.ridgeHeight).toBeCloseTo(3 * tan30);
+    expect(roof.projectedArea).toBeCloseTo(60);
+    expect(roof.area).toBeCloseTo(60 / Math.cos(Math.PI / 6));
+    expect(roof.faces.length).toBe(2);
+    expect(roof.gables.length).toBe(2);
+    expect(countLines(roof).ridge).toBe(1);
+  });
+
+  test('hips all four sides to the same ridge height', () => {
+    const roof = generateRoof(rectangle, { roofType: 'hip', pitch: 30, overhang: 0 });
+
+    expect(roof.ridgeHeight).toBeCloseTo(3 * tan30);
+    expect(roof.area).toBeCloseTo(60 / Math.cos(Math.PI / 6));
+    expect(roof.faces.length).toBe(4);
+    expect(countLines(roof)).toMatchObject({ hip: 4, ridge: 1, eave: 4 });
+  });
+
+  test('extends the eaves by the overhang below the wall plate', () => {
+    const roof = generateRoof(rectangle, { roofType: 'gable', pitch: 30, overhang: 0.5 });
+
+    expect(roof.projectedArea).toBeCloseTo(11 * 7);
+    expect(roof.eaveHeight).toBeCloseTo(-0.5 * tan30);
+    expect(roof.ridgeHeight).toBeCloseTo(3 * tan30);
+  });
+
+  test('joins the wings of an L-shaped footprint with a valley', () => {
+    const roof = generateRoof(lShape, { roofType: 'gable', pitch: 30, overhang: 0 });
+    const lines = countLines(roof);
+
+    expect(roof.ridgeHeight).toBeCloseTo(2 * tan30);
+    expect(roof.gables.length).toBe(2);
+    expect(lines).toMatchObject({ ridge: 2, valley: 1, hip: 1 });
+    expect(roof.projectedArea).toBeCloseTo(64);
+  });
+
+  test('slopes a shed roof from its longest edge', () => {
+    const roof = generateRoof(rectangle, { roofType: 'shed', pitch: 30, overhang: 0 });
+
+    expect(roof.faces.length).toBe(1);
+    expect(roof.gables.length).toBe(3);
+    expect(roof.ridgeHeight).toBeCloseTo(6 * tan30);
+  });
+
+  test('breaks a mansard roof into a steep lower and a shallow upper tier', () => {
+    const roof = generateRoof(rectangle, {
+      roofType: 'mansard', pitch: 30, mansardPitch: 70, mansardHeight: 1.5, overhang: 0
+    });
+
+    expect(roof.faces.length).toBe(8);
+    expect(countLines(roof).break).toBe(4);
+    expect(roof.faces.filter(face => face.tier === 1).every(face => face.pitch === 70)).toBe(true);
+    expect(roof.ridgeHeight).toBeGreaterThan(1.5);
+  });
+
+  test('keeps a flat roof at the wall plate', () => {
+    const roof = generateRoof(rectangle, { roofType: 'flat', overhang: 0 });
+
+    expect(roof.ridgeHeight).toBe(0);
+    expect(roof.area).toBeCloseTo(60);
+    expect(roof.faces.length).toBe(1);
+  });
+});
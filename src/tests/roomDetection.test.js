@@ -0,0 +1,93 @@
+/**
+ * Room Detection Tests
+ *
+ * Validates enclosed space detection, finish-face quantities and room matching
+ */
+
+import { detectFootprints, detectRooms, matchRooms, labelPoint } from '../utils/roomDetection';
+
+const wall = (id, start, end, thickness = 0.2) => ({
+  id,
+  start: { x: start[0], z: start[1] },
+  end: { x: end[0], z: end[1] },
+  thickness,
+  height: 3
+});
+
+const box = () => ([
+  wall('south', [0, 0], [4, 0]),
+  wall('east', [4, 0], [4, 3]),
+  wall('north', [4, 3], [0, 3]),
+  wall('west', [0, 3], [0, 0])
+]);
+
+describe('roomDetection', () => {
+  test('detects a closed wall loop with finish-face quantities', () => {
+    const [room] = detectRooms(box());
+
+    expect(room.grossArea).toBeCloseTo(12);
+    expect(room.area).toBeCloseTo(3.8 * 2.8);
+    expect(room.perimeter).toBeCloseTo(2 * (3.8 + 2.8));
+    expect(room.wallIds.sort()).toEqual(['east', 'north', 'south', 'west']);
+    expect(room.height).toBe(3);
+  });
+
+  test('traces the outer face of a wall loop as a roof footprint', () => {
+    const footprints = detectFootprints([...box(), wall('partition', [2, 0], [2, 3], 0.1)]);
+
+    expect(footprints).toHaveLength(1);
+    expect(footprints[0].area).toBeCloseTo(4.2 * 3.2);
+    expect(footprints[0].wallIds.sort()).toEqual(['east', 'north', 'south', 'west']);
+    expect(footprints[0].height).toBe(3);
+  });
+
+  test('ignores open layouts', () => {
+    expect(detectRooms(box().slice(0, 3))).toEqual([]);
+  });
+
+  test('splits rooms at a T-junction partition', () => {
+    const rooms = detectRooms([...box(), wall('partition', [2, 0], [2, 3], 0.1)]);
+
+    expect(rooms).toHaveLength(2);
+    rooms.forEach(room => {
+      expect(room.area).toBeCloseTo(1.85 * 2.8);
+      expect(room.wallIds).toContain('partition');
+    });
+  });
+
+  test('subtracts a free-standing core from the room around it', () => {
+    const core = [
+      wall('c1', [1.5, 1], [2.5, 1]),
+      wall('c2', [2.5, 1], [2.5, 2]),
+      wall('c3', [2.5, 2], [1.5, 2]),
+      wall('c4', [1.5, 2], [1.5, 1])
+    ];
+    const rooms = detectRooms([...box(), ...core]).sort((a, b) => b.area - a.area);
+
+    expect(rooms).toHaveLength(2);
+    expect(rooms[0].area).toBeCloseTo(3.8 * 2.8 - 1.2 * 1.2);
+    expect(rooms[0].holes).toHaveLength(1);
+    expect(rooms[1].area).toBeCloseTo(0.8 * 0.8);
+  });
+
+  test('keeps room labels inside L-shaped rooms', () => {
+    const point = labelPoint([
+      { x: 0, z: 0 }, { x: 4, z: 0 }, { x: 4, z: 1 }, { x: 1, z: 1 }, { x: 1, z: 4 }, { x: 0, z: 4 }
+    ]);
+    expect(point.x).toBeLessThan(4);
+    expect(point.z).toBeLessThan(4);
+  });
+
+  test('matches detected rooms to existing rooms after a wall moves', () => {
+    const moved = box().map(w => (w.id === 'east' ? wall('east', [5, 0], [5, 3]) : w));
+    moved[0] = wall('south', [0, 0], [5, 0]);
+    moved[2] = wall('north', [5, 3], [0, 3]);
+
+    const [match] = matchRooms(
+      [{ id: 'cad_9', wallIds: ['south', 'east', 'north', 'west'], labelPoint: { x: 2, z: 1.5 } }],
+      detectRooms(moved)
+    );
+    expect(match.existingId).toBe('cad_9');
+    expect(match.room.grossArea).toBeCloseTo(15);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Room Layout Tests
+ *
+ * Validates room program parsing, overlap-free placement clear of existing geometry,
+ * shared walls between adjacent rooms and doors on those walls, and the agent building it
+ */
+
+import {
+  layoutRooms,
+  occupiedBounds,
+  parseRoomProgram,
+  planRoomLayout,
+  rectsOverlap,
+  sharedEdgeLength
+} from '../utils/roomLayout';
+import StepPlanner from '../services/StepPlanner';
+import AgentManager from '../services/AgentManager';
+
+const pairs = rooms => rooms.flatMap((a, i) => rooms.slice(i + 1).map(b => [a, b]));
+const byId = (layout, id) => layout.rooms.find(room => room.id === id);
+
+describe('roomLayout', () => {
+  test('parses counts, sizes and adjacencies from a room program', () => {
+    const program = parseRoomProgram('3 bedrooms off a corridor, a 4x5 kitchen next to dining');
+
+    expect(program.rooms.map(room => room.id)).toEqual([
+      'bedroom_1', 'bedroom_2', 'bedroom_3', 'corridor_1', 'kitchen_1', 'dining_1'
+    ]);
+    expect(program.rooms[0].name).toBe('Bedroom 1');
+    expect(program.rooms[4]).toMatchObject({ width: 4, depth: 5, sized: true });
+    expect(program.adjacencies).toEqual([
+      { a: 'bedroom_1', b: 'corridor_1' },
+      { a: 'bedroom_2', b: 'corridor_1' },
+      { a: 'bedroom_3', b: 'corridor_1' },
+      { a: 'kitchen_1', b: 'dining_1' }
+    ]);
+
+    // A later clause refers back to the corridor already in the program
+    const extended = parseRoomProgram('a corridor, 2 bedrooms off the hallway and a bathroom off the corridor');
+    expect(extended.rooms.filter(room => room.roomType === 'corridor')).toHaveLength(1);
+    expect(extended.adjacencies.map(pair => pair.b)).toEqual(['corridor_1', 'corridor_1', 'corridor_1']);
+  });
+
+  test('chains adjacencies across every connector in a clause', () => {
+    const program = parseRoomProgram('a kitchen next to dining next to a living room, 2 bedrooms off a corridor off the living room');
+
+    expect(program.rooms.map(room => room.id)).toEqual([
+      'kitchen_1', 'dining_1', 'living_1', 'bedroom_1', 'bedroom_2', 'corridor_1'
+    ]);
+    expect(program.adjacencies).toEqual([
+      { a: 'kitchen_1', b: 'dining_1' },
+      { a: 'dining_1', b: 'living_1' },
+      { a: 'bedroom_1', b: 'corridor_1' },
+      { a: 'bedroom_2', b: 'corridor_1' },
+      { a: 'corridor_1', b: 'living_1' }
+    ]);
+    expect(planRoomLayout(program).unmet).toEqual([]);
+  });
+
+  test('lays rooms out without overlaps and adjoins every requested pair', () => {
+    const layout = planRoomLayout(parseRoomProgram('3 bedrooms off a corridor, kitchen next to dining'));
+
+    pairs(layout.rooms).forEach(([a, b]) => expect(rectsOverlap(a, b)).toBe(false));
+    expect(layout.hub).toBe('corridor_1');
+    expect(layout.unmet).toEqual([]);
+    // The kitchen and dining group is reached from the corridor
+    expect(layout.adjacencies).toContainEqual({ a: 'corridor_1', b: 'kitchen_1' });
+    layout.adjacencies.forEach(({ a, b }) => {
+      expect(sharedEdgeLength(byId(layout, a), byId(layout, b))).toBeGreaterThanOrEqual(1.2);
+    });
+  });
+
+  test('shares one wall between adjacent rooms and puts their doors on it', () => {
+    const layout = planRoomLayout(parseRoomProgram('2 bedrooms off a corridor'));
+    const bedroom = byId(layout, 'bedroom_1');
+    const corridor = byId(layout, 'corridor_1');
+
+    // No two wall segments overlap along the same line
+    const span = wall => (wall.startPoint.z === wall.endPoint.z
+      ? { line: `z${wall.startPoint.z}`, from: Math.min(wall.startPoint.x, wall.endPoint.x), to: Math.max(wall.startPoint.x, wall.endPoint.x) }
+      : { line: `x${wall.startPoint.x}`, from: Math.min(wall.startPoint.z, wall.endPoint.z), to: Math.max(wall.startPoint.z, wall.endPoint.z) });
+    const overlapping = pairs(layout.walls.map(span))
+      .filter(([a, b]) => a.line === b.line && Math.min(a.to, b.to) > Math.max(a.from, b.from));
+    expect(overlapping).toEqual([]);
+
+    const shared = layout.walls.filter(wall => wall.shared);
+    expect(shared.map(wall => wall.roomIds)).toEqual(expect.arrayContaining([['bedroom_1', 'corridor_1']]));
+    expect(shared.every(wall => wall.thickness === 0.15)).toBe(true);
+    expect(shared.find(wall => wall.roomIds.join() === 'bedroom_1,corridor_1').length)
+      .toBeCloseTo(sharedEdgeLength(bedroom, corridor));
+
+    const door = layout.doors.find(entry => entry.roomIds.join() === 'bedroom_1,corridor_1');
+    expect(layout.walls.find(wall => wall.key === door.wallKey).roomIds).toEqual(['bedroom_1', 'corridor_1']);
+    expect(layout.doors.filter(entry => entry.entrance)).toHaveLength(1);
+    expect(layout.walls.find(wall => wall.key === layout.doors.find(entry => entry.entrance).wallKey))
+      .toMatchObject({ shared: false, roomIds: ['corridor_1'] });
+  });
+
+  test('keeps clear of existing geometry', () => {
+    const existing = [
+      { type: 'wall', params: { startPoint: { x: -2, y: 0, z: -1 }, endPoint: { x: 3, y: 0, z: -1 }, thickness: 0.2 } },
+      { type: 'slab', params: { width: 4, depth: 4, centerPosition: { x: 0, y: 0, z: 1 } } }
+    ];
+    expect(occupiedBounds(existing)).toEqual({ minX: -2.1, minZ: -1.1, maxX: 3.1, maxZ: 3 });
+
+    const layout = layoutRooms(parseRoomProgram('a kitchen next to a dining room'), { existing });
+    expect(Math.min(...layout.rooms.map(room => room.x))).toBeCloseTo(4.1);
+    expect(Math.min(...layout.rooms.map(room => room.z))).toBeCloseTo(-1.1);
+  });
+
+  test('StepPlanner turns a multi-room request into executable steps', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const planner = new StepPlanner();
+    const plan = planner.generatePlan({
+      originalInput: '2 bedrooms off a corridor',
+      existingObjects: [],
+      complexity: 'medium',
+      confidence: 0.8
+    });
+    console.log.mockRestore();
+
+    const count = action => plan.steps.filter(step => step.action === action).length;
+    expect(count('createSlab')).toBe(3);
+    expect(count('createWall')).toBe(plan.layout.walls.length);
+    expect(count('createDoor')).toBe(plan.layout.doors.length);
+    expect(plan.steps[plan.steps.length - 1].action).toBe('applyWallJoinery');
+    expect(plan.steps.map(step => step.number)).toEqual(plan.steps.map((step, index) => index + 1));
+
+    // Each door refers to a wall created by an earlier step
+    plan.steps.filter(step => step.action === 'createDoor').forEach(step => {
+      const wallStep = plan.steps.find(other => other.layoutRef === step.hostWallRef);
+      expect(wallStep.number).toBeLessThan(step.number);
+    });
+  });
+
+  test('AgentManager builds the layout with each door inserted in its wall', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const objects = new Map();
+    const cadEngine = {
+      createObject: (type, params) => {
+        const id = `cad_${objects.size + 1}`;
+        objects.set(id, { id, type, params });
+        return id;
+      },
+      applyWallJoinery: () => true,
+      getAllObjects: () => [...objects.values()]
+    };
+    const agent = new AgentManager(cadEngine);
+    jest.spyOn(agent, 'delay').mockResolvedValue();
+
+    const plan = new StepPlanner().generatePlan({
+      originalInput: '2 bedrooms off a corridor',
+      existingObjects: [],
+      complexity: 'medium',
+      confidence: 0.8
+    });
+    const results = [];
+    for (const step of plan.steps) {
+      results.push(await agent.executeStep(step));
+    }
+    jest.restoreAllMocks();
+
+    expect(results.filter(result => result.success === false)).toEqual([]);
+    const doors = [...objects.values()].filter(object => object.type === 'door');
+    expect(doors).toHaveLength(plan.layout.doors.length);
+    plan.steps.filter(step => step.action === 'createDoor').forEach((step, index) => {
+      const wallStep = plan.steps.find(other => other.layoutRef === step.hostWallRef);
+      const host = objects.get(doors[index].params.hostWallId);
+      expect(host).toMatchObject({ type: 'wall', params: wallStep.params });
+      expect(doors[index].params).toMatchObject({ insertionMode: 'insert_in_wall', width: step.params.width });
+    });
+  });
+
+  test('a layout door whose host wall was never created fails instead of reporting success', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const createObject = jest.fn(() => 'cad_1');
+    const agent = new AgentManager({ createObject });
+    jest.spyOn(agent, 'delay').mockResolvedValue();
+    const door = { action: 'createDoor', params: { width: 0.9, height: 2.1 }, hostWallRef: 'plan_1:w3' };
+
+    const result = await agent.executeStep(door);
+    const intelligent = await agent.intelligentCAD.executeWithCADEngine(door).catch(error => error);
+    jest.restoreAllMocks();
+
+    expect(result).toEqual({ success: false, error: 'No wall was created for plan_1:w3, so the door has no host' });
+    expect(intelligent.message).toBe('No wall was created for plan_1:w3, so the door has no host');
+    expect(createObject).not.toHaveBeenCalled();
+  });
+});
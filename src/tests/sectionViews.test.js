@@ -0,0 +1,128 @@
+/**
+ * Section View Tests
+ *
+ * Cutting solids at the section plane, projecting what lies beyond and placing
+ * exterior elevations around the model
+ */
+
+import {
+  createSectionView,
+  exteriorElevation,
+  generateSectionDrawing,
+  sectionDrawingToSVG,
+  viewFrame,
+  toViewCoordinates
+} from '../utils/sectionViews';
+
+// Axis-aligned box as world-space triangles and its twelve edges
+const box = (id, material, min, max) => {
+  const corner = i => [i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z];
+  const quads = [[0, 1, 3, 2], [4, 6, 7, 5], [0, 4, 5, 1], [2, 3, 7, 6], [0, 2, 6, 4], [1, 5, 7, 3]];
+  const triangles = quads.flatMap(([a, b, c, d]) => [a, b, c, a, c, d].flatMap(corner));
+  const edges = [[0, 1], [2, 3], [4, 5], [6, 7], [0, 2], [1, 3], [4, 6], [5, 7], [0, 4], [1, 5], [2, 6], [3, 7]]
+    .flatMap(([a, b]) => [...corner(a), ...corner(b)]);
+  return { id, type: 'wall', material, triangles, edges };
+};
+
+describe('sectionViews', () => {
+  test('measures u to the right of a viewer looking past the line', () => {
+    const view = createSectionView({ start: { x: 0, z: 0 }, end: { x: 10, z: 0 } });
+    const frame = viewFrame(view);
+    const point = toViewCoordinates(frame, { x: 3, y: 1, z: -2 });
+
+    expect(frame.look.x).toBeCloseTo(0);
+    expect(frame.look.z).toBeCloseTo(-1);
+    expect(point).toEqual({ u: 3, y: 1, depth: 2 });
+    expect(toViewCoordinates(viewFrame({ ...view, flip: true }), { x: 3, y: 1, z: -2 }).depth).toBeCloseTo(-2);
+  });
+
+  test('fills the cut through a wall and projects a wall beyond', () => {
+    const view = createSectionView({ start: { x: 0, z: 2 }, end: { x: 10, z: 2 }, flip: true });
+    const solids = [
+      // Crosses the line: 0.2 m thick at x 4–4.2, from z 0 to 5
+      box('cut', 'concrete', { x: 4, y: 0, z: 0 }, { x: 4.2, y: 3, z: 5 }),
+      // Parallel to the line, 2 m beyond it
+      box('beyond', 'brick', { x: 1, y: 0, z: 4 }, { x: 3, y: 2.5, z: 4.2 }),
+      // Behind the viewer
+      box('behind', 'brick', { x: 1, y: 0, z: 0 }, { x: 3, y: 2.5, z: 0.2 })
+    ];
+    const drawing = generateSectionDrawing(view, solids);
+
+    expect(drawing.cut.map(item => item.id)).toEqual(['cut']);
+    const us = drawing.cut[0].loops[0].map(point => point.u);
+    const ys = drawing.cut[0].loops[0].map(point => point.y);
+    // Flipped, so u runs from x = 10 towards x = 0
+    expect(Math.min(...us)).toBeCloseTo(5.8);
+    expect(Math.max(...us)).toBeCloseTo(6);
+    expect(Math.max(...ys)).toBeCloseTo(3);
+
+    const ids = new Set(drawing.projected.map(item => item.id));
+    expect(ids.has('beyond')).toBe(true);
+    expect(ids.has('behind')).toBe(false);
+    expect(drawing.projected[0].depth).toBeGreaterThanOrEqual(drawing.projected[drawing.projected.length - 1].depth);
+  });
+
+  test('stops drawing at the view depth', () => {
+    const view = createSectionView({ start: { x: 0, z: 2 }, end: { x: 10, z: 2 }, flip: true, depth: 1 });
+    const drawing = generateSectionDrawing(view, [box('beyond', 'brick', { x: 1, y: 0, z: 4 }, { x: 3, y: 2.5, z: 4.2 })]);
+
+    expect(drawing.projected).toHaveLength(0);
+  });
+
+  test('places exterior elevations outside the model looking in', () => {
+    const bounds = { minX: 0, maxX: 10, minZ: 0, maxZ: 6 };
+    const north = exteriorElevation('north', bounds, 2);
+    const east = exteriorElevation('east', bounds, 2);
+
+    expect(north.name).toBe('North Elevation');
+    expect(north.start).toEqual({ x: 12, z: -2 });
+    expect(north.end).toEqual({ x: -2, z: -2 });
+    expect(north.depth).toBe(10);
+    expect(viewFrame(east).look.x).toBeCloseTo(-1);
+    expect(east.start.x).toBeCloseTo(12);
+
+    const drawing = generateSectionDrawing({ side: 'south' }, [box('wall', 'brick', { x: 0, y: 0, z: 0 }, { x: 10, y: 3, z: 6 })]);
+    expect(drawing.cut).toHaveLength(0);
+    expect(drawing.view.kind).toBe('elevation');
+    expect(drawing.length).toBeCloseTo(14);
+  });
+
+  test('draws a plan as a horizontal cut seen from above', () => {
+    const view = createSectionView({ kind: 'plan', cutElevation: 1.2, depth: 1.3 });
+    const drawing = generateSectionDrawing(view, [
+      box('wall', 'brick', { x: 0, y: 0, z: 0 }, { x: 10, y: 3, z: 0.2 }),
+      // Below the cut: seen, not cut
+      box('table', 'wood', { x: 2, y: 0, z: 2 }, { x: 3, y: 0.8, z: 3 }),
+      // Above the plan's view range
+      box('beam', 'steel', { x: 0, y: 3, z: 4 }, { x: 10, y: 3.4, z: 4.3 })
+    ]);
+
+    expect(drawing.view.name).toBe('Plan');
+    expect(drawing.cut.map(item => item.id)).toEqual(['wall']);
+    // North (-z) is up the drawing
+    const ys = drawing.cut[0].loops[0].map(point => point.y);
+    expect(Math.min(...ys)).toBeCloseTo(-0.2);
+    expect(Math.max(...ys)).toBeCloseTo(0);
+    const ids = new Set(drawing.projected.map(item => item.id));
+    expect(ids.has('table')).toBe(true);
+    expect(ids.has('beam')).toBe(false);
+    expect(drawing.bounds.minU).toBeCloseTo(0);
+    expect(drawing.bounds.maxU).toBeCloseTo(10);
+    expect(drawing.datums).toHaveLength(0);
+  });
+
+  test('renders poché with the material hatch and level datums as SVG', () => {
+    const view = createSectionView({ start: { x: 0, z: 2 }, end: { x: 10, z: 2 }, flip: true });
+    const drawing = generateSectionDrawing(
+      view,
+      [box('cut', 'concrete', { x: 4, y: 0, z: 0 }, { x: 4.2, y: 3, z: 5 })],
+      { levels: [{ name: 'Ground Floor', elevation: 0 }] }
+    );
+    const svg = sectionDrawingToSVG(drawing);
+
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(svg).toContain('<pattern id="hatch-concrete"');
+    expect(svg).toContain('fill="url(#hatch-concrete)"');
+    expect(svg).toContain('Ground Floor +0.00');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Sheet Layout Tests
+ *
+ * Paper sizes, placing views at scale with the title block, and the SVG and PDF exports
+ */
+
+import {
+  LINE_WEIGHTS,
+  createSheet,
+  layoutSheet,
+  sheetSize,
+  sheetToSVG,
+  sheetsToPDF
+} from '../utils/sheetLayout';
+import { createPdfDocument, pdfString } from '../utils/pdfWriter';
+
+// A 10 m × 6 m plan drawing with one cut wall
+const planContent = () => ({
+  title: 'Ground Floor Plan',
+  drawing: {
+    view: { kind: 'plan' },
+    cut: [{
+      id: 'wall',
+      type: 'wall',
+      material: 'concrete',
+      loops: [[{ u: 0, y: 0 }, { u: 10, y: 0 }, { u: 10, y: -0.2 }, { u: 0, y: -0.2 }]]
+    }],
+    projected: [{ id: 'door', type: 'door', material: 'wood', shape: 'edge', points: [{ u: 2, y: -6 }, { u: 3, y: -6 }], depth: 1 }],
+    datums: [],
+    bounds: { minU: 0, maxU: 10, minY: -6, maxY: 0 }
+  }
+});
+
+const scheduleContent = () => ({
+  title: 'Wall Schedule',
+  table: { rows: [['Mark', 'Length (m)'], ['W1', 10.2], ['Total (1)', 10.2]], boldRows: [0, 2] }
+});
+
+const text = decode => String.fromCharCode(...decode);
+
+describe('sheetLayout', () => {
+  test('sizes paper by name, orientation or custom size', () => {
+    expect(sheetSize(createSheet({ size: 'A3' }))).toEqual({ width: 420, height: 297 });
+    expect(sheetSize(createSheet({ size: 'A3', orientation: 'portrait' }))).toEqual({ width: 297, height: 420 });
+    expect(sheetSize(createSheet({ size: 'custom', width: 500, height: 300 }))).toEqual({ width: 500, height: 300 });
+    expect(createSheet({ size: 'B2' }).size).toBe('A1');
+  });
+
+  test('draws views at their scale and packs them left to right', () => {
+    const sheet = createSheet({
+      size: 'A3',
+      views: [
+        { id: 'plan', kind: 'plan', source: 'level_0', scale: 100 },
+        { id: 'walls', kind: 'schedule', source: 'wall' }
+      ]
+    });
+    const layout = layoutSheet(sheet, { plan: planContent(), walls: scheduleContent() });
+    const [plan, walls] = layout.views;
+
+    // 10 m at 1:100 is 100 mm of paper
+    expect(plan.width).toBeCloseTo(100);
+    expect(plan.overflow).toBe(false);
+    expect(walls.x).toBeGreaterThan(plan.x + plan.width);
+    expect(walls.y).toBeCloseTo(plan.y);
+
+    const cut = layout.items.find(item => item.hatch === 'concrete');
+    expect(cut.weight).toBe(LINE_WEIGHTS.cut);
+    expect(layout.items.some(item => item.type === 'line' && item.weight === LINE_WEIGHTS.projected)).toBe(true);
+    const texts = layout.items.filter(item => item.type === 'text').map(item => item.text);
+    expect(texts).toEqual(expect.arrayContaining(['Ground Floor Plan', '1:100', 'Wall Schedule', 'N', 'W1']));
+  });
+
+  test('fills in the title block and marks views that do not fit', () => {
+    const sheet = createSheet({
+      size: 'A4',
+      number: 'A-201',
+      project: 'Harbour House',
+      views: [
+        { id: 'a', kind: 'plan', scale: 20 },
+        { id: 'b', kind: 'section', scale: 50 },
+        { id: 'gone', kind: 'section' }
+      ]
+    });
+    const layout = layoutSheet(sheet, { a: planContent(), b: planContent() });
+    const texts = layout.items.filter(item => item.type === 'text').map(item => item.text);
+
+    expect(texts).toEqual(expect.arrayContaining(['A-201', 'Harbour House', 'As indicated']));
+    expect(layout.views.find(view => view.id === 'a').overflow).toBe(true);
+    expect(layout.views.find(view => view.id === 'gone').missing).toBe(true);
+    expect(layout.items[0].weight).toBe(LINE_WEIGHTS.border);
+  });
+
+  test('exports SVG in millimetres with pen weights and hatching', () => {
+    const layout = layoutSheet(createSheet({ size: 'A3', views: [{ id: 'plan', kind: 'plan', scale: 50 }] }), { plan: planContent() });
+    const svg = sheetToSVG(layout);
+
+    expect(svg).toContain('width="420mm" height="297mm" viewBox="0 0 420 297"');
+    expect(svg).toContain('<pattern id="sheet-hatch-concrete"');
+    expect(svg).toContain(`stroke-width="${LINE_WEIGHTS.cut}"`);
+    expect(svg).toContain('>1:50</text>');
+  });
+
+  test('writes a PDF page per sheet with a valid cross-reference table', () => {
+    const layout = layoutSheet(createSheet({ size: 'A4', views: [{ id: 'plan', kind: 'plan' }] }), { plan: planContent() });
+    const pdf = text(sheetsToPDF([layout, layout], { title: 'Drawings' }));
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/Count 2');
+    expect(pdf).toContain('/MediaBox [0 0 841.89 595.276]');
+    expect(pdf).toContain('(Ground Floor Plan) Tj');
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+    const firstObject = Number(pdf.slice(xref).match(/65535 f \n(\d{10})/)[1]);
+    expect(pdf.slice(firstObject, firstObject + 7)).toBe('1 0 obj');
+  });
+
+  test('escapes PDF strings and limits text to Latin-1', () => {
+    expect(pdfString('Plan (1) \\ 2')).toBe('(Plan \\(1\\) \\\\ 2)');
+    expect(pdfString('Café → Bar')).toBe('(Café ? Bar)');
+    expect(text(createPdfDocument([{ width: 100, height: 100, content: '' }]))).toContain('/Count 1');
+  });
+});
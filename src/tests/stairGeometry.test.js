@@ -0,0 +1,79 @@
+/**
+ * Stair Geometry Tests
+ *
+ * Parametric stairs: riser counts from the floor-to-floor height, flights split at
+ * landings and winders, spiral handrails, headroom under the slab opening and the
+ * building-code checks
+ */
+
+import { generateStair, resolveStairParams, validateStair } from '../utils/stairGeometry';
+
+const errorRules = (validation) => validation.issues
+  .filter(issue => issue.severity === 'error')
+  .map(issue => issue.rule);
+
+describe('stairGeometry', () => {
+  test('divides the rise into equal risers no higher than the target', () => {
+    const settings = resolveStairParams({ totalRise: 3, riserHeight: 0.175 });
+    const stair = generateStair({ totalRise: 3, treadDepth: 0.28 });
+
+    expect(settings.risers).toBe(18);
+    expect(settings.riserHeight).toBeCloseTo(3 / 18);
+    expect(stair.treads.length).toBe(17);
+    expect(stair.totalRun).toBeCloseTo(17 * 0.28);
+    expect(resolveStairParams({ totalRise: 3, numberOfRisers: 16 }).riserHeight).toBeCloseTo(0.1875);
+  });
+
+  test('splits an L stair evenly around its landing', () => {
+    const stair = generateStair({ stairType: 'l', turn: 'left', totalRise: 3, width: 1 });
+    const landings = stair.treads.filter(tread => tread.kind === 'landing');
+
+    expect(stair.flights).toEqual([{ risers: 9 }, { risers: 9 }]);
+    expect(landings.length).toBe(1);
+    // Eight treads per flight either side of the landing
+    expect(landings[0].elevation).toBeCloseTo(9 * (3 / 18));
+    expect(stair.bounds.maxZ).toBeCloseTo(8 * 0.28 + 1);
+    expect(stair.bounds.maxX).toBeCloseTo(0.5 + 8 * 0.28);
+    expect(generateStair({ stairType: 'l', turn: 'right', totalRise: 3 }).bounds.minX).toBeCloseTo(-0.5 - 8 * 0.28);
+  });
+
+  test('gives winders the same going on the walkline', () => {
+    const stair = generateStair({ stairType: 'winder', totalRise: 3 });
+    const winders = stair.treads.filter(tread => tread.kind === 'winder');
+
+    expect(winders.length).toBe(3);
+    winders.forEach(winder => expect(winder.going).toBeCloseTo(winders[0].going));
+  });
+
+  test('rails a spiral stair on its outer edge only', () => {
+    const stair = generateStair({ stairType: 'spiral', totalRise: 3, width: 1 });
+
+    expect(stair.stringers).toEqual([]);
+    expect(stair.handrails.length).toBe(1);
+    expect(stair.bounds.maxX).toBeCloseTo(1.1);
+    expect(stair.bounds.minX).toBeCloseTo(-1.1);
+  });
+
+  test('measures headroom under the slab opening', () => {
+    const stair = generateStair({ totalRise: 3, openingLength: 3 });
+    const validation = validateStair(stair);
+
+    // Opening edge 1.76 m along the run, pitch line at (1.76 / 0.28 + 1) risers
+    expect(stair.headroom).toBeCloseTo(3 - 0.25 - (1.76 / 0.28 + 1) * (3 / 18), 3);
+    expect(errorRules(validation)).toEqual(['minHeadroom']);
+    expect(generateStair({ totalRise: 3 }).headroom).toBeNull();
+  });
+
+  test('flags risers, goings and widths outside the code rules', () => {
+    const steep = validateStair(generateStair({ totalRise: 3, numberOfRisers: 15, treadDepth: 0.22, width: 0.8 }));
+
+    expect(steep.ok).toBe(false);
+    expect(errorRules(steep)).toEqual(expect.arrayContaining(['maxRiser', 'minTread', 'minWidth']));
+    expect(steep.measurements.riserHeight).toBeCloseTo(0.2);
+
+    const comfortable = validateStair(generateStair({ totalRise: 2.8, treadDepth: 0.28 }));
+    expect(comfortable.ok).toBe(true);
+    expect(comfortable.issues).toEqual([]);
+    expect(validateStair(generateStair({ totalRise: 2.8 }), { maxRisers: 12 }).ok).toBe(false);
+  });
+});
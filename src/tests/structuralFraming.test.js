@@ -0,0 +1,66 @@
+/**
+ * Structural Framing Tests
+ *
+ * Section profiles from the catalog, their outlines and section properties, member
+ * axes with level-relative elevations and snapping to framing targets
+ */
+
+import {
+  getProfile,
+  profileOutline,
+  resolveFramingMember,
+  sectionProperties,
+  snapFramingPoint
+} from '../utils/structuralFraming';
+
+describe('structuralFraming', () => {
+  test('looks up catalog profiles by designation', () => {
+    expect(getProfile('ipe300').designation).toBe('IPE 300');
+    expect(getProfile('SHS 100x100x6')).toMatchObject({ family: 'rhs', width: 0.1, thickness: 0.006 });
+    expect(getProfile('XYZ 1')).toBeNull();
+    expect(getProfile({ family: 'rectangular', width: 0.2, depth: 0.3 })).toMatchObject({ material: 'concrete', designation: 'rectangular 200x300' });
+  });
+
+  test('computes section properties from the outline', () => {
+    const rc = sectionProperties(getProfile('RC 300x500'));
+    expect(rc.area).toBeCloseTo(0.15);
+    expect(rc.inertiaStrong).toBeCloseTo(0.3 * 0.5 ** 3 / 12);
+    expect(rc.massPerMetre).toBeCloseTo(0.15 * 2400);
+
+    // Flanges plus the web between them
+    const ipe = sectionProperties(getProfile('IPE 300'));
+    expect(ipe.area).toBeCloseTo(2 * 0.15 * 0.0107 + (0.3 - 2 * 0.0107) * 0.0071, 6);
+
+    const shs = getProfile('SHS 100x100x6');
+    expect(profileOutline(shs).holes.length).toBe(1);
+    expect(sectionProperties(shs).area).toBeCloseTo(0.1 ** 2 - 0.088 ** 2, 6);
+  });
+
+  test('places the angle centroid towards its heel', () => {
+    const { centroid } = sectionProperties(getProfile('L 100x100x10'));
+    expect(centroid.x).toBeLessThan(0);
+    expect(centroid.x).toBeCloseTo(centroid.y);
+  });
+
+  test('hangs beams below their elevation and runs braces between heights', () => {
+    const profile = getProfile('IPE 300');
+    const beam = resolveFramingMember({ startPoint: { x: 0, z: 0 }, endPoint: { x: 3, z: 4 }, elevation: 3 }, profile);
+    expect(beam.start.y).toBe(3);
+    expect(beam.length).toBeCloseTo(5);
+    expect(beam.offset).toBeCloseTo(-0.15);
+    expect(resolveFramingMember({ elevation: 3, justification: 'bottom' }, profile).offset).toBeCloseTo(0.15);
+
+    const brace = resolveFramingMember({ memberType: 'brace', startPoint: { x: 0, z: 0 }, endPoint: { x: 4, z: 0 }, endElevation: 3 }, profile);
+    expect(brace.start.y).toBe(0);
+    expect(brace.length).toBeCloseTo(5);
+    expect(brace.span).toBeCloseTo(4);
+    expect(brace.offset).toBe(0);
+  });
+
+  test('snaps to the nearest target, then to the grid', () => {
+    const targets = [{ x: 0, z: 0, kind: 'column', id: 'c1' }, { x: 0.5, z: 0, kind: 'wallEnd', id: 'w1' }];
+    expect(snapFramingPoint({ x: 0.1, z: 0.1 }, targets)).toEqual({ point: { x: 0, z: 0 }, target: targets[0] });
+    expect(snapFramingPoint({ x: 1.1, z: 2.6 }, targets, { gridSpacing: 0.5 })).toEqual({ point: { x: 1, z: 2.5 }, target: null });
+    expect(snapFramingPoint({ x: 1.1, z: 2.6 }, targets).point).toEqual({ x: 1.1, z: 2.6 });
+  });
+});
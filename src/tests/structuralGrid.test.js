@@ -0,0 +1,68 @@
+/**
+ * Structural Grid Tests
+ *
+ * Axis labels, rotated grids, intersections and how hosted points follow a grid
+ * when its spacings change
+ */
+
+import {
+  createGrid,
+  generateGridAxes,
+  gridAxisLabel,
+  gridIntersections,
+  locateOnGrid,
+  moveWithGrid
+} from '../utils/structuralGrid';
+
+describe('structuralGrid', () => {
+  test('labels axes with numbers or letters, skipping I and O', () => {
+    expect(gridAxisLabel(0)).toBe('1');
+    expect(gridAxisLabel(11)).toBe('12');
+    expect(gridAxisLabel(7, 'letters')).toBe('H');
+    expect(gridAxisLabel(8, 'letters')).toBe('J');
+    expect(gridAxisLabel(23, 'letters')).toBe('Z');
+    expect(gridAxisLabel(24, 'letters')).toBe('AA');
+  });
+
+  test('reads spacings typed as text and fills in defaults', () => {
+    const grid = createGrid({ xSpacings: '6, 7.5; 6', zSpacings: '' });
+
+    expect(grid.xSpacings).toEqual([6, 7.5, 6]);
+    expect(grid.zSpacings).toEqual([]);
+    expect(grid.name).toBe('Grid');
+    expect(createGrid().zSpacings).toEqual([6, 6]);
+  });
+
+  test('extends axes past the outermost crossing axes', () => {
+    const axes = generateGridAxes(createGrid({ xSpacings: [5], zSpacings: [4], extension: 1 }));
+    const axis2 = axes.find(axis => axis.name === '2');
+    const axisB = axes.find(axis => axis.name === 'B');
+
+    expect(axes.map(axis => axis.name)).toEqual(['1', '2', 'A', 'B']);
+    expect(axis2.start).toEqual({ x: 5, z: -1 });
+    expect(axis2.end).toEqual({ x: 5, z: 5 });
+    expect(axisB.start).toEqual({ x: -1, z: 4 });
+    expect(axisB.end).toEqual({ x: 6, z: 4 });
+  });
+
+  test('names intersections and places them on a rotated grid', () => {
+    const grid = createGrid({ origin: { x: 10, z: 0 }, rotation: 90, xSpacings: [6], zSpacings: [4] });
+    const points = gridIntersections(grid);
+    const b2 = points.find(point => point.name === 'B2');
+
+    expect(points.map(point => point.name)).toEqual(['A1', 'A2', 'B1', 'B2']);
+    expect(b2.x).toBeCloseTo(14);
+    expect(b2.z).toBeCloseTo(-6);
+    expect(locateOnGrid(grid, { x: 14, z: -6 })).toEqual({ xAxis: '2', zAxis: 'B' });
+    expect(locateOnGrid(grid, { x: 12, z: -6 })).toEqual({ xAxis: '2', zAxis: null });
+  });
+
+  test('moves hosted points with the axes when spacings change', () => {
+    const before = createGrid({ xSpacings: [6, 6], zSpacings: [5] });
+    const after = createGrid({ xSpacings: [8, 6], zSpacings: [5] });
+
+    expect(moveWithGrid(before, after, { x: 12, z: 5 })).toEqual({ x: 14, z: 5 });
+    expect(moveWithGrid(before, after, { x: 7, z: 2 })).toEqual({ x: 9, z: 2 });
+    expect(moveWithGrid(before, after, { x: 3, z: 0 })).toEqual({ x: 3, z: 0 });
+  });
+});
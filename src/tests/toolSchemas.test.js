@@ -0,0 +1,77 @@
+/**
+ * AI Tool Schema Tests
+ *
+ * Argument validation with structured error codes, the function-calling catalogs and
+ * parsing the tool calls an LLM returns
+ */
+
+import {
+  TOOL_ERROR_CODES,
+  TOOL_SCHEMAS,
+  fromFunctionName,
+  parseToolCall,
+  toFunctionName,
+  toolCatalog,
+  validateToolArguments,
+  validateToolResult
+} from '../utils/toolSchemas';
+
+const CREATE_TOOLS = ['wall', 'slab', 'door', 'window', 'column', 'beam', 'brace', 'roof', 'stair', 'ramp', 'grid', 'room', 'furniture', 'floor']
+  .map(tool => `geometry.create${tool.charAt(0).toUpperCase()}${tool.slice(1)}`);
+
+describe('toolSchemas', () => {
+  test('every creation tool declares argument and result schemas', () => {
+    CREATE_TOOLS.forEach(name => {
+      expect(TOOL_SCHEMAS[name].parameters.type).toBe('object');
+      expect(TOOL_SCHEMAS[name].result).toBeDefined();
+      expect(TOOL_SCHEMAS[name].description).not.toBe('');
+    });
+  });
+
+  test('validates arguments with structured error codes', () => {
+    expect(validateToolArguments('geometry.createWall', { startPoint: { x: 0, z: 0 }, endPoint: { x: 5, z: 0 }, height: 3 }).ok).toBe(true);
+    expect(validateToolArguments('geometry.createWall', undefined)).toEqual({ ok: true, args: {} });
+
+    const invalid = validateToolArguments('geometry.createWall', { height: -1, colour: 'red' });
+    expect(invalid.ok).toBe(false);
+    expect(invalid.error.code).toBe(TOOL_ERROR_CODES.invalidArgs);
+    expect(invalid.error.errors.map(error => error.path)).toEqual(['height', 'colour']);
+
+    const roof = validateToolArguments('geometry.createRoof', { roofType: 'dome' });
+    expect(roof.error.title).toMatch(/roofType must be one of/);
+
+    expect(validateToolArguments('geometry.createPortal', {}).error.code).toBe(TOOL_ERROR_CODES.unknownTool);
+
+    expect(validateToolResult('geometry.createColumn', ['column_1', 'column_2']).valid).toBe(true);
+    expect(validateToolResult('geometry.createGrid', 42).valid).toBe(false);
+  });
+
+  test('exposes the catalog in OpenAI and Anthropic formats', () => {
+    expect(toFunctionName('geometry.createWall')).toBe('geometry__createWall');
+    expect(fromFunctionName('geometry__createWall')).toBe('geometry.createWall');
+
+    const [openai] = toolCatalog(['geometry.createWall'], 'openai');
+    expect(openai.type).toBe('function');
+    expect(openai.function.name).toMatch(/^[a-zA-Z0-9_-]{1,64}$/);
+    expect(openai.function.parameters).toBe(TOOL_SCHEMAS['geometry.createWall'].parameters);
+
+    const anthropic = toolCatalog(['geometry.createSlab', 'geometry.unknown'], 'anthropic');
+    expect(anthropic).toEqual([{
+      name: 'geometry__createSlab',
+      description: TOOL_SCHEMAS['geometry.createSlab'].description,
+      input_schema: TOOL_SCHEMAS['geometry.createSlab'].parameters
+    }]);
+
+    expect(toolCatalog(null, 'json')).toHaveLength(Object.keys(TOOL_SCHEMAS).length);
+  });
+
+  test('parses tool calls from either provider', () => {
+    expect(parseToolCall({ id: 'call_1', name: 'geometry__createSlab', arguments: '{"width":6}' }))
+      .toEqual({ id: 'call_1', tool: 'geometry.createSlab', args: { width: 6 } });
+    expect(parseToolCall({ id: 'toolu_1', name: 'geometry__createSlab', arguments: { width: 6 } }).args).toEqual({ width: 6 });
+    expect(parseToolCall({ id: 'call_2', name: 'selection__clear', arguments: '' }).args).toEqual({});
+
+    const broken = parseToolCall({ id: 'call_3', name: 'geometry__createWall', arguments: '{"length":' });
+    expect(broken.error.code).toBe(TOOL_ERROR_CODES.invalidArgs);
+  });
+});
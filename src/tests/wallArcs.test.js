@@ -0,0 +1,93 @@
+/**
+ * Wall Arc Tests
+ *
+ * Bulge geometry of curved walls: lengths, three-point and tangent arcs, locating
+ * points along an arc and splitting it
+ */
+
+import {
+  bulgeFromTangent,
+  bulgeFromThreePoints,
+  locateOnWall,
+  pointAlongWall,
+  sampleWall,
+  splitBulge,
+  wallArc,
+  wallEndTangents,
+  wallLength
+} from '../utils/wallArcs';
+
+const at = (x, z) => ({ x, z });
+
+describe('wallArcs', () => {
+  test('measures straight walls and half circles', () => {
+    expect(wallArc(at(0, 0), at(4, 0), 0)).toBeNull();
+    expect(wallLength(at(0, 0), at(4, 0))).toBeCloseTo(4);
+
+    const arc = wallArc(at(0, 0), at(4, 0), 1);
+    expect(arc.radius).toBeCloseTo(2);
+    expect(arc.center.x).toBeCloseTo(2);
+    expect(arc.center.z).toBeCloseTo(0);
+    expect(wallLength(at(0, 0), at(4, 0), 1)).toBeCloseTo(2 * Math.PI);
+  });
+
+  test('bows a positive bulge towards the chord normal', () => {
+    // Chord along +x, so n = (0, -1)
+    const { point } = pointAlongWall(at(0, 0), at(4, 0), 1, Math.PI);
+    expect(point.x).toBeCloseTo(2);
+    expect(point.z).toBeCloseTo(-2);
+
+    const { point: mirrored } = pointAlongWall(at(0, 0), at(4, 0), -1, Math.PI);
+    expect(mirrored.z).toBeCloseTo(2);
+  });
+
+  test('recovers the bulge of a three-point arc', () => {
+    expect(bulgeFromThreePoints(at(0, 0), at(2, -2), at(4, 0))).toBeCloseTo(1);
+    expect(bulgeFromThreePoints(at(0, 0), at(2, 0.5), at(4, 0))).toBeCloseTo(-0.25);
+    expect(bulgeFromThreePoints(at(0, 0), at(1, 0), at(4, 0))).toBe(0);
+
+    // The through point lies on the resulting arc
+    const bulge = bulgeFromThreePoints(at(0, 0), at(1, 1.5), at(4, 0));
+    expect(Math.abs(locateOnWall(at(0, 0), at(4, 0), bulge, at(1, 1.5)).offset)).toBeLessThan(1e-9);
+  });
+
+  test('continues a previous segment with a tangent arc', () => {
+    const bulge = bulgeFromTangent(at(4, 0), at(1, 0), at(4, 4));
+    const tangents = wallEndTangents(at(4, 0), at(4, 4), bulge);
+
+    expect(bulge).toBeCloseTo(1);
+    expect(tangents.start.x).toBeCloseTo(1);
+    expect(tangents.start.z).toBeCloseTo(0);
+    expect(tangents.end.x).toBeCloseTo(-1);
+    expect(bulgeFromTangent(at(0, 0), at(1, 0), at(4, 0))).toBeCloseTo(0);
+  });
+
+  test('locates points along an arc and its offset sides', () => {
+    const start = at(0, 0);
+    const end = at(6, 0);
+    const bulge = 0.4;
+    const { point, tangent } = pointAlongWall(start, end, bulge, 2.5);
+    const outside = { x: point.x + tangent.z * 0.1, z: point.z - tangent.x * 0.1 };
+
+    expect(locateOnWall(start, end, bulge, point).s).toBeCloseTo(2.5);
+    expect(locateOnWall(start, end, bulge, outside).offset).toBeCloseTo(0.1);
+    expect(locateOnWall(start, end, bulge, at(-0.1, 0.05)).s).toBeLessThan(0);
+  });
+
+  test('tessellates arcs into 5° facets', () => {
+    const samples = sampleWall(at(0, 0), at(4, 0), 1);
+
+    expect(sampleWall(at(0, 0), at(4, 0)).length).toBe(2);
+    expect(samples.length).toBe(37);
+    expect(samples[36].point.x).toBeCloseTo(4);
+    expect(samples[36].s).toBeCloseTo(2 * Math.PI);
+  });
+
+  test('splits an arc into two arcs of the same circle', () => {
+    const [first, second] = splitBulge(1, 0.5);
+    const middle = pointAlongWall(at(0, 0), at(4, 0), 1, Math.PI).point;
+
+    expect(wallLength(at(0, 0), middle, first) + wallLength(middle, at(4, 0), second)).toBeCloseTo(2 * Math.PI);
+    expect(wallArc(at(0, 0), middle, first).radius).toBeCloseTo(2);
+  });
+});
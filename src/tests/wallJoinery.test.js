@@ -0,0 +1,254 @@
+/**
+ * Wall Joinery Tests
+ *
+ * Junction fixtures for L, straight, multi-wall, T and X joins, straight and curved:
+ * every point of the joined footprint must belong to exactly one wall (and one layer piece)
+ */
+
+import {
+  computeWallJoinery,
+  intersectWallAxes,
+  toJoineryWall,
+  clipOutlineAlongWall,
+  splitWallAtOpenings
+} from '../utils/wallJoinery';
+import { pointInPolygon, polygonArea } from '../utils/roomDetection';
+
+const wall = (id, start, end, thickness = 0.2, layers = null) => ({
+  id,
+  start: { x: start[0], z: start[1] },
+  end: { x: end[0], z: end[1] },
+  thickness,
+  layers
+});
+
+const curved = (id, start, end, bulge, thickness = 0.2) => ({ ...wall(id, start, end, thickness), bulge });
+
+// Exterior finish, core, interior finish
+const layered = () => ([
+  { material: 'render', thickness: 0.02, function: 'finish_exterior' },
+  { material: 'concrete', thickness: 0.16, function: 'structure' },
+  { material: 'plaster', thickness: 0.02, function: 'finish_interior' }
+]);
+
+const at = (x, z) => ({ x, z });
+const wallsAt = (joinery, point) => Object.values(joinery.walls)
+  .filter(result => result.outlines.some(outline => pointInPolygon(point, outline)))
+  .map(result => result.id);
+const piecesAt = (joinery, point) => Object.values(joinery.walls)
+  .flatMap(result => result.layers.map(layer => ({ ...layer, wallId: result.id })))
+  .filter(layer => pointInPolygon(point, layer.outline));
+
+// Samples a square around a point and checks nothing is covered twice
+const expectNoOverlap = (joinery, center, radius = 0.3, step = 0.0237) => {
+  for (let x = center.x - radius; x <= center.x + radius; x += step) {
+    for (let z = center.z - radius; z <= center.z + radius; z += step) {
+      expect(wallsAt(joinery, at(x, z)).length).toBeLessThanOrEqual(1);
+      expect(piecesAt(joinery, at(x, z)).length).toBeLessThanOrEqual(1);
+    }
+  }
+};
+
+describe('wallJoinery', () => {
+  test('leaves a free wall as a plain rectangle', () => {
+    const joinery = computeWallJoinery([wall('a', [0, 0], [4, 0])]);
+    const [outline] = joinery.walls.a.outlines;
+
+    expect(joinery.junctions).toEqual([]);
+    expect(joinery.walls.a.start).toEqual({ type: 'free', junction: null });
+    expect(Math.abs(polygonArea(outline))).toBeCloseTo(0.8);
+  });
+
+  test('miters an L corner and fills the outside corner', () => {
+    const joinery = computeWallJoinery([wall('a', [0, 0], [4, 0]), wall('b', [0, 3], [0, 0])]);
+
+    expect(joinery.junctions.map(junction => junction.type)).toEqual(['L']);
+    expect(joinery.walls.a.start.type).toBe('L');
+    expect(joinery.walls.b.end.junction).toBe(joinery.walls.a.start.junction);
+    expect(wallsAt(joinery, at(-0.09, -0.09))).toHaveLength(1);
+    expect(wallsAt(joinery, at(0.09, 0.09))).toHaveLength(1);
+    expect(wallsAt(joinery, at(-0.15, 0))).toHaveLength(0);
+    expect(Math.abs(polygonArea(joinery.walls.a.outlines[0]))).toBeCloseTo(0.8);
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('joins walls of different thickness and snaps near-miss ends', () => {
+    const joinery = computeWallJoinery([
+      wall('a', [0, 0], [4, 0], 0.3),
+      wall('b', [0.03, 3], [0.03, 0.02], 0.1)
+    ]);
+
+    expect(joinery.junctions[0].type).toBe('L');
+    expect(wallsAt(joinery, at(-0.015, -0.145))).toHaveLength(1);
+    expect(wallsAt(joinery, at(-0.03, -0.1))).toHaveLength(0);
+    expect(wallsAt(joinery, at(0.06, 0.2))).toHaveLength(1);
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('steps a straight join between unequal walls', () => {
+    const joinery = computeWallJoinery([wall('a', [0, 0], [2, 0], 0.2), wall('b', [2, 0], [4, 0], 0.3)]);
+
+    expect(joinery.junctions[0].type).toBe('straight');
+    expect(wallsAt(joinery, at(1.99, 0.12))).toEqual([]);
+    expect(wallsAt(joinery, at(2.01, 0.12))).toEqual(['b']);
+    expect(wallsAt(joinery, at(1.99, 0.05))).toEqual(['a']);
+    expectNoOverlap(joinery, at(2, 0));
+  });
+
+  test('resolves a multi-wall node without gaps or overlaps', () => {
+    const joinery = computeWallJoinery([
+      wall('a', [0, 0], [3, 0]),
+      wall('b', [0, 0], [0, 3]),
+      wall('c', [0, 0], [-2, -2])
+    ]);
+
+    expect(joinery.junctions[0].type).toBe('multi');
+    expect(joinery.junctions[0].walls.sort()).toEqual(['a', 'b', 'c']);
+    [at(0, 0), at(0.05, 0.02), at(-0.06, 0.05), at(-0.03, -0.06)].forEach(point => {
+      expect(wallsAt(joinery, point)).toHaveLength(1);
+    });
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('bevels corners sharper than the miter limit', () => {
+    const angle = (8 * Math.PI) / 180;
+    const joinery = computeWallJoinery([
+      wall('a', [0, 0], [4, 0]),
+      wall('b', [0, 0], [4 * Math.cos(angle), 4 * Math.sin(angle)])
+    ]);
+    const reach = Math.max(...joinery.walls.a.outlines[0].map(point => Math.hypot(point.x, point.z)).filter(r => r < 2));
+
+    expect(joinery.junctions[0].type).toBe('L');
+    expect(reach).toBeLessThanOrEqual(0.8 + 1e-9);
+  });
+
+  test('stops a T junction stem at the face of the through wall', () => {
+    const joinery = computeWallJoinery([wall('through', [-3, 0], [3, 0]), wall('stem', [0, 0], [0, 3])]);
+    const [junction] = joinery.junctions;
+    const stemOutline = joinery.walls.stem.outlines[0];
+
+    expect(junction).toMatchObject({ type: 'T', through: 'through' });
+    expect(joinery.walls.stem.start.type).toBe('T');
+    expect(joinery.walls.through.start.type).toBe('free');
+    expect(Math.min(...stemOutline.map(point => point.z))).toBeCloseTo(0.1);
+    expect(wallsAt(joinery, at(0, 0.05))).toEqual(['through']);
+    expect(wallsAt(joinery, at(0, 0.15))).toEqual(['stem']);
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('runs the core of a T stem through to the core of a layered through wall', () => {
+    const joinery = computeWallJoinery([
+      wall('through', [-3, 0], [3, 0], 0.2, layered()),
+      wall('stem', [0, 0], [0, 3], 0.2, layered())
+    ]);
+    const throughInterior = joinery.walls.through.layers.filter(layer => layer.index === 2);
+
+    // Through wall's +z face is its interior finish; it is notched where the stem core passes
+    expect(throughInterior).toHaveLength(2);
+    expect(piecesAt(joinery, at(0, 0.09)).map(piece => [piece.wallId, piece.function])).toEqual([['stem', 'structure']]);
+    expect(piecesAt(joinery, at(0.085, 0.15)).map(piece => [piece.wallId, piece.function]))
+      .toEqual([['stem', 'finish_exterior']]);
+    expect(piecesAt(joinery, at(0.085, 0.09)).map(piece => piece.wallId)).toEqual(['through']);
+    expect(wallsAt(joinery, at(0, 0.09))).toEqual(['stem']);
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('wraps finishes around a layered L corner', () => {
+    const joinery = computeWallJoinery([
+      wall('west', [0, 3], [0, 0], 0.2, layered()),
+      wall('south', [0, 0], [4, 0], 0.2, layered())
+    ]);
+
+    // The outside corner is exterior finish on both sides of the miter
+    [at(-0.095, -0.08), at(-0.08, -0.095), at(-0.099, -0.099)].forEach(point => {
+      expect(piecesAt(joinery, point).map(piece => piece.function)).toEqual(['finish_exterior']);
+    });
+    expect(piecesAt(joinery, at(0.095, 0.095)).map(piece => piece.function)).toEqual(['finish_interior']);
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('splits the lighter wall of an X crossing', () => {
+    const joinery = computeWallJoinery([
+      wall('minor', [0, -3], [0, 3], 0.2),
+      wall('major', [-3, 0], [3, 0], 0.3)
+    ]);
+
+    expect(joinery.junctions).toEqual([
+      expect.objectContaining({ type: 'X', through: 'major', walls: ['major', 'minor'] })
+    ]);
+    expect(joinery.walls.minor.outlines).toHaveLength(2);
+    expect(joinery.walls.minor.crossings).toEqual([joinery.junctions[0].id]);
+    expect(wallsAt(joinery, at(0, 0))).toEqual(['major']);
+    expect(wallsAt(joinery, at(0, 0.2))).toEqual(['minor']);
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('builds joinery input from engine walls and wall types', () => {
+    const templates = {
+      cavity: { totalThickness: 0.3, layers: layered(), properties: { loadBearing: true } }
+    };
+    const generic = toJoineryWall({ id: 'w1', params: { startPoint: at(0, 0), endPoint: at(1, 0), thickness: 0.15, material: 'brick' } }, templates);
+    const typed = toJoineryWall({ id: 'w2', params: { startPoint: at(0, 0), endPoint: at(1, 0), thickness: 0.15, wallType: 'cavity' } }, templates);
+
+    expect(generic).toMatchObject({ id: 'w1', thickness: 0.15, material: 'brick', layers: null, priority: 0 });
+    expect(typed).toMatchObject({ thickness: 0.3, priority: 1 });
+    expect(typed.layers).toHaveLength(3);
+  });
+
+  test('cuts mitered outlines into bands around openings', () => {
+    const joinery = computeWallJoinery([wall('a', [0, 0], [4, 0]), wall('b', [0, 3], [0, 0])]);
+    const bands = splitWallAtOpenings([{ position: 2, width: 1, height: 1.2, offset: 0.9 }], 2.7);
+    const pieces = bands.map(band => clipOutlineAlongWall(joinery.walls.a.outlines[0], at(0, 0), at(4, 0), band.from, band.to));
+
+    expect(bands.map(band => [band.from, band.to, band.bottom, band.top])).toEqual([
+      [-Infinity, 1.5, 0, 2.7],
+      [1.5, 2.5, 0, 0.9],
+      [1.5, 2.5, 2.1, 2.7],
+      [2.5, Infinity, 0, 2.7]
+    ]);
+    // The first span keeps the mitered corner
+    expect(Math.min(...pieces[0].map(point => point.x))).toBeCloseTo(-0.1);
+    expect(Math.abs(polygonArea(pieces[1]))).toBeCloseTo(0.2);
+    expect(clipOutlineAlongWall(joinery.walls.a.outlines[0], at(0, 0), at(4, 0), 5, 6)).toBeNull();
+  });
+
+  test('outlines a free arc wall along its curve', () => {
+    const joinery = computeWallJoinery([curved('arc', [0, 0], [4, 0], 1)]);
+    const [outline] = joinery.walls.arc.outlines;
+
+    expect(Math.abs(polygonArea(outline))).toBeCloseTo(Math.PI * 2 * 0.2, 2);
+    expect(wallsAt(joinery, at(2, -2))).toEqual(['arc']);
+    expect(wallsAt(joinery, at(2, 0))).toEqual([]);
+  });
+
+  test('miters an arc wall into a straight wall through its end tangent', () => {
+    const joinery = computeWallJoinery([curved('arc', [0, 0], [4, 0], 0.5), wall('b', [0, 3], [0, 0])]);
+
+    expect(joinery.walls.arc.start.type).toBe('L');
+    expect(joinery.walls.b.end.type).toBe('L');
+    expectNoOverlap(joinery, at(0, 0));
+  });
+
+  test('stops a T stem at the face of a curved through wall', () => {
+    // The arc bows towards +z, peaking at (0, 0.9)
+    const joinery = computeWallJoinery([curved('through', [-3, 0], [3, 0], -0.3), wall('stem', [0, 0.9], [0, 4])]);
+
+    expect(joinery.junctions[0]).toMatchObject({ type: 'T', through: 'through' });
+    expect(wallsAt(joinery, at(0, 0.95))).toEqual(['through']);
+    expect(wallsAt(joinery, at(0, 1.05))).toEqual(['stem']);
+    expectNoOverlap(joinery, at(0, 0.9));
+  });
+
+  test('cuts arc outlines into bands measured along the curve', () => {
+    const joinery = computeWallJoinery([curved('arc', [0, 0], [4, 0], 1)]);
+    const piece = clipOutlineAlongWall(joinery.walls.arc.outlines[0], at(0, 0), at(4, 0), 1, 2, 1);
+
+    expect(Math.abs(polygonArea(piece))).toBeCloseTo(0.2, 2);
+  });
+
+  test('finds where two wall centerlines cross when extended', () => {
+    expect(intersectWallAxes(wall('a', [0, 0], [3, 0]), wall('b', [5, -2], [5, 2]))).toEqual(at(5, 0));
+    expect(intersectWallAxes(wall('a', [0, 0], [4, 0]), wall('b', [0, 1], [4, 1]))).toBeNull();
+    expect(intersectWallAxes(curved('a', [0, 0], [4, 0], 0.5), wall('b', [2, -2], [2, 2]))).toBeNull();
+  });
+});
@@ -5,6 +5,8 @@
  * Supports precise edge detection, hover states, intelligent snap points, and placement validation
  */
 
+import { sampleWall } from './wallArcs';
+
 /**
  * Represents different types of snap points
  */
@@ -400,6 +402,10 @@ class WallEdgeDetector {
       return [];
     }
 
+    if (Number(params.bulge)) {
+      return this.extractCurvedWallEdges(wall, startPoint, endPoint, thickness);
+    }
+
     // Calculate wall direction and perpendicular offset
     const wallDirection = {
       x: endPoint.x - startPoint.x,
@@ -450,6 +456,28 @@ class WallEdgeDetector {
     ];
   }
 
+  /**
+   * Edges of a curved wall: its faces as 5° facets along the arc plus the two end caps
+   */
+  extractCurvedWallEdges(wall, startPoint, endPoint, thickness) {
+    const halfThickness = thickness / 2;
+    const samples = sampleWall(startPoint, endPoint, wall.params.bulge);
+    const face = side => samples.map(({ point, tangent }) => ({
+      x: point.x - tangent.z * halfThickness * side,
+      y: point.z + tangent.x * halfThickness * side
+    }));
+    const top = face(1);
+    const bottom = face(-1);
+    const last = samples.length - 1;
+
+    return [
+      ...top.slice(1).map((point, i) => new WallEdge(wall.id, 'top', top[i], point, thickness)),
+      new WallEdge(wall.id, 'right', top[last], bottom[last], thickness),
+      ...bottom.slice(1).map((point, i) => new WallEdge(wall.id, 'bottom', point, bottom[i], thickness)).reverse(),
+      new WallEdge(wall.id, 'left', bottom[0], top[0], thickness)
+    ];
+  }
+
   /**
    * Find the best snap point near a given point (Enhanced)
    */
@@ -0,0 +1,46 @@
+/**
+ * Agent replay
+ *
+ * A server agent run hands back the tool calls it validated on its headless engine, with
+ * the ids that engine gave the objects each call created (cad_N). The browser engine gives
+ * the same objects ids of its own, so replaying the calls keeps a server → client id map:
+ * arguments naming a server object are rewritten through it before each call, and the
+ * objects the call made here are paired with the ones the server recorded, by type in
+ * creation order. Ids the map does not know (objects the run was seeded with) pass through.
+ */
+
+const ID_ARGS = ['hostWallId', 'objectId', 'gridId'];
+
+/**
+ * Tool arguments with server ids replaced by the client ids mapped to them
+ * @param {Object} args
+ * @param {Map<string, string>} idMap - server id → client id
+ */
+export function mapActionIds(args = {}, idMap) {
+  const mapped = { ...args };
+  const mapId = id => idMap.get(id) || id;
+  ID_ARGS.forEach(key => {
+    if (typeof mapped[key] === 'string') mapped[key] = mapId(mapped[key]);
+  });
+  if (Array.isArray(mapped.objectIds)) mapped.objectIds = mapped.objectIds.map(mapId);
+  return mapped;
+}
+
+/**
+ * Pair the objects a call created on the server with the ones it created here
+ * @param {Array<{ id, type }>} created - Objects the server recorded for the call
+ * @param {Array<{ id, type }>} clientObjects - Objects the same call created in this engine
+ * @param {Map<string, string>} idMap - Extended in place
+ * @returns {Map<string, string>} idMap
+ */
+export function pairCreatedIds(created = [], clientObjects = [], idMap = new Map()) {
+  const byType = {};
+  clientObjects.forEach(({ id, type }) => {
+    byType[type] = [...(byType[type] || []), id];
+  });
+  created.forEach(({ id, type }) => {
+    const clientId = byType[type]?.shift();
+    if (clientId) idMap.set(id, clientId);
+  });
+  return idMap;
+}
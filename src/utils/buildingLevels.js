@@ -0,0 +1,163 @@
+/**
+ * Building levels (storeys)
+ *
+ * Pure helpers for the engine's level stack: ordering, neighbour lookup,
+ * level-constrained vertical extents and elevation/floor-to-floor edits.
+ * Levels are { id, name, elevation, height } where height is the floor-to-floor
+ * distance to the next level up (metres).
+ */
+
+import defaultLevels from '../config/defaultLevels.json';
+
+export const DEFAULT_LEVEL_HEIGHT = 3;
+
+// Kept as JSON so the server agent's HeadlessEngine starts from the same level stack
+export const DEFAULT_LEVELS = defaultLevels;
+
+/**
+ * Normalize a level definition
+ */
+export function createLevel({ id, name, elevation = 0, height = DEFAULT_LEVEL_HEIGHT }) {
+  return {
+    id: String(id),
+    name: name || String(id),
+    elevation: Number(elevation) || 0,
+    height: Number.isFinite(Number(height)) && Number(height) > 0 ? Number(height) : DEFAULT_LEVEL_HEIGHT
+  };
+}
+
+/**
+ * Levels ordered bottom to top
+ */
+export function sortLevels(levels) {
+  return [...levels].sort((a, b) => a.elevation - b.elevation);
+}
+
+export function findLevel(levels, levelId) {
+  return levels.find(level => level.id === levelId) || null;
+}
+
+/**
+ * Level an object belongs to; objects without a (known) levelId sit on the lowest level
+ */
+export function resolveObjectLevel(levels, params = {}) {
+  return findLevel(levels, params.levelId) || sortLevels(levels)[0] || null;
+}
+
+export function getLevelBelow(levels, levelId) {
+  const sorted = sortLevels(levels);
+  const index = sorted.findIndex(level => level.id === levelId);
+  return index > 0 ? sorted[index - 1] : null;
+}
+
+export function getLevelAbove(levels, levelId) {
+  const sorted = sortLevels(levels);
+  const index = sorted.findIndex(level => level.id === levelId);
+  return index !== -1 && index < sorted.length - 1 ? sorted[index + 1] : null;
+}
+
+/**
+ * Elevation for a new level stacked on top of the current highest level
+ */
+export function getNextLevelElevation(levels) {
+  const sorted = sortLevels(levels);
+  const top = sorted[sorted.length - 1];
+  return top ? top.elevation + top.height : 0;
+}
+
+/**
+ * Map imported storeys (e.g. IFC) onto the level stack. A storey reuses the level at its
+ * elevation; otherwise it becomes a new level under its own id, or under a suffixed id
+ * when a level at another elevation already holds that id.
+ * @returns {{ levelIds: Map<string, string>, newLevels: Object[] }} storey id -> level id, levels to add
+ */
+export function matchImportedLevels(levels, storeys) {
+  const known = [...levels];
+  const levelIds = new Map();
+  const newLevels = [];
+
+  storeys.forEach(storey => {
+    const existing = known.find(level => Math.abs(level.elevation - storey.elevation) < 1e-3);
+    if (existing) {
+      levelIds.set(storey.id, existing.id);
+      return;
+    }
+
+    let id = storey.id;
+    for (let suffix = 1; findLevel(known, id); suffix++) {
+      id = `${storey.id}_${suffix}`;
+    }
+    const level = { id, name: storey.name, elevation: storey.elevation };
+    known.push(level);
+    newLevels.push(level);
+    levelIds.set(storey.id, id);
+  });
+
+  return { levelIds, newLevels };
+}
+
+/**
+ * Absolute base elevation and height of a wall/column.
+ * Bottom: params.levelId (+ baseOffset). Top: params.topLevelId (+ topOffset) when set,
+ * otherwise the unconnected params.height.
+ * @returns {{ baseElevation: number, height: number, constrained: boolean }}
+ */
+export function resolveVerticalExtent(levels, params = {}, defaultHeight = DEFAULT_LEVEL_HEIGHT) {
+  const baseLevel = resolveObjectLevel(levels, params);
+  const baseElevation = (baseLevel ? baseLevel.elevation : 0) + (Number(params.baseOffset) || 0);
+  const topLevel = params.topLevelId ? findLevel(levels, params.topLevelId) : null;
+
+  if (topLevel) {
+    const top = topLevel.elevation + (Number(params.topOffset) || 0);
+    if (top > baseElevation) {
+      return { baseElevation, height: top - baseElevation, constrained: true };
+    }
+    console.warn(`⚠️ LEVELS: Top constraint ${topLevel.id} is not above the base - using unconnected height`);
+  }
+
+  return { baseElevation, height: Number(params.height) || defaultHeight, constrained: false };
+}
+
+/**
+ * Apply edits to one level of the stack.
+ * - Changing `height` (floor-to-floor) moves every level above by the difference.
+ * - Changing `elevation` moves only that level; the floor-to-floor height of the
+ *   level below and of the edited level are recomputed from their neighbours.
+ * @returns {{ levels: Array, moved: Map<string, number> }} New stack and elevation delta per moved level
+ */
+export function updateLevelStack(levels, levelId, updates = {}) {
+  const sorted = sortLevels(levels).map(level => ({ ...level }));
+  const index = sorted.findIndex(level => level.id === levelId);
+  if (index === -1) {
+    throw new Error(`Level ${levelId} not found`);
+  }
+
+  const level = sorted[index];
+  const moved = new Map();
+
+  if (updates.name !== undefined) {
+    level.name = updates.name;
+  }
+
+  if (updates.height !== undefined && Number(updates.height) > 0 && Number(updates.height) !== level.height) {
+    const delta = Number(updates.height) - level.height;
+    level.height = Number(updates.height);
+    for (let i = index + 1; i < sorted.length; i++) {
+      sorted[i].elevation += delta;
+      moved.set(sorted[i].id, delta);
+    }
+  }
+
+  if (updates.elevation !== undefined && Number(updates.elevation) !== level.elevation) {
+    const delta = Number(updates.elevation) - level.elevation;
+    level.elevation = Number(updates.elevation);
+    moved.set(level.id, (moved.get(level.id) || 0) + delta);
+
+    const below = sorted[index - 1];
+    const above = sorted[index + 1];
+    if (below) below.height = Math.max(0, level.elevation - below.elevation) || below.height;
+    if (above) level.height = Math.max(0, above.elevation - level.elevation) || level.height;
+  }
+
+  return { levels: sortLevels(sorted), moved };
+}
@@ -3,8 +3,6 @@
  * Provides local constraint solving without WebSocket/backend dependencies
  */
 
-import constraintSystemWasm from '../wasm/constraintSystem.wasm';
-
 class ConstraintSystemBindings {
   constructor() {
     this.wasmModule = null;
@@ -595,6 +593,44 @@ class ConstraintSystemBindings {
     return this.constraintManager.getAllConstraints();
   }
 
+  // Plain copies of the constraints, for saving with the scene document
+  getConstraintRecords() {
+    if (!this.isInitialized) return [];
+    return this.constraintManager.getAllConstraints().map(constraint => ({
+      ...constraint,
+      entities: [...constraint.entities],
+      parameters: { ...constraint.parameters }
+    }));
+  }
+
+  // Replace the constraints with saved records, keeping their ids
+  loadConstraints(records = []) {
+    if (!this.isInitialized) throw new Error('Constraint system not initialized');
+
+    const { constraints } = this.constraintManager;
+    constraints.forEach(constraint => this.emit('constraintDeleted', { constraintId: constraint.id }));
+    constraints.clear();
+    records.forEach(record => {
+      const constraint = {
+        satisfied: false,
+        priority: 'normal',
+        enabled: true,
+        parameters: {},
+        ...record,
+        id: String(record.id),
+        entities: [...(record.entities || [])]
+      };
+      constraints.set(constraint.id, constraint);
+      this.emit('constraintCreated', { constraint });
+    });
+
+    const numbers = [...constraints.keys()]
+      .map(id => Number(/^constraint_(\d+)$/.exec(id)?.[1]))
+      .filter(Number.isFinite);
+    this.constraintManager.nextConstraintId = numbers.length ? Math.max(...numbers) + 1 : 1;
+    return this.constraintManager.getAllConstraints();
+  }
+
   // Solver operations
   async solveConstraints(options = {}) {
     if (!this.isInitialized) throw new Error('Constraint system not initialized');
@@ -0,0 +1,34 @@
+/**
+ * Critic rules
+ *
+ * Size limits for walls, doors, windows and roofs, shared by CriticValidator in the
+ * browser and the server agent's headless critic through config/criticRules.json. Each
+ * rule bounds one param with a min or max; the reason template fills {mm}, {m} and {value}
+ * with the offending value in millimetres, metres to 0.1 and as given.
+ */
+
+import CRITIC_RULES from '../config/criticRules.json';
+
+export { CRITIC_RULES };
+
+const formatReason = (template, value) => template
+  .replace('{mm}', (value * 1000).toFixed(0))
+  .replace('{m}', value.toFixed(1))
+  .replace('{value}', String(value));
+
+/**
+ * First limit an object's params break
+ * @param {string} type - Object type: wall, door, window or roof
+ * @param {Object} params - Params to check; missing ones are not checked
+ * @returns {{ ok: false, reason: string, category: string } | null} null when all limits hold
+ */
+export function checkLimits(type, params = {}) {
+  const broken = (CRITIC_RULES[type] || []).find(({ param, min, max }) => {
+    const value = params[param];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+    return (min !== undefined && value < min) || (max !== undefined && value > max);
+  });
+  return broken
+    ? { ok: false, reason: formatReason(broken.reason, params[broken.param]), category: broken.category }
+    : null;
+}
@@ -0,0 +1,218 @@
+/**
+ * Curtain walls
+ *
+ * A curtain wall is a wall type whose body is a grid of mullions (vertical members) and
+ * transoms (horizontal members) with an infill in every panel: glass, an opaque spandrel,
+ * a door or nothing. Vertical grid lines are set by a number of equal divisions or by a
+ * maximum spacing; horizontal lines likewise, or by explicit transom heights. Panels are
+ * addressed "column:row" from the wall start and the base. Distances are in metres: u
+ * along the wall's centerline (the arc on curved walls, see utils/wallArcs) and v up from
+ * the base.
+ */
+
+import { pointAlongWall } from './wallArcs.js';
+
+export const INFILL_TYPES = ['glass', 'spandrel', 'door', 'empty'];
+
+// Aluminium stick-system profiles: face width × depth
+export const MULLION_PROFILES = {
+  '50x100': { width: 0.05, depth: 0.1 },
+  '50x150': { width: 0.05, depth: 0.15 },
+  '60x200': { width: 0.06, depth: 0.2 },
+  '80x250': { width: 0.08, depth: 0.25 }
+};
+
+export const DEFAULT_CURTAIN_WALL = {
+  verticalDivisions: 0, // panels along the wall; 0 uses the spacing
+  verticalSpacing: 1.5, // m, widest panel
+  horizontalDivisions: 0,
+  horizontalSpacing: 1.5,
+  transomOffsets: [], // m above the base; replaces the horizontal divisions when given
+  mullionProfile: '50x150',
+  transomProfile: null, // the mullion profile when null
+  infill: 'glass',
+  panels: {}, // "column:row" → infill
+  glassThickness: 0.024,
+  spandrelThickness: 0.05,
+  frameMaterial: 'aluminum',
+  glassMaterial: 'glass',
+  spandrelMaterial: 'aluminum'
+};
+
+const EPSILON = 1e-6;
+const MAX_PLAN_SEGMENT = 0.5; // m, curved symbol lines are sampled at least this finely
+
+const count = value => Math.max(0, Math.floor(Number(value) || 0));
+const positive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const panelKey = (column, row) => `${column}:${row}`;
+
+/**
+ * Mullion or transom profile from a catalog name ("60x200") or { width, depth }
+ */
+export function getMullionProfile(spec) {
+  if (spec && typeof spec === 'object') {
+    const width = positive(spec.width, MULLION_PROFILES['50x150'].width);
+    const depth = positive(spec.depth, MULLION_PROFILES['50x150'].depth);
+    return { name: `${Math.round(width * 1000)}x${Math.round(depth * 1000)}`, width, depth };
+  }
+  const name = MULLION_PROFILES[spec] ? spec : DEFAULT_CURTAIN_WALL.mullionProfile;
+  return { name, ...MULLION_PROFILES[name] };
+}
+
+/**
+ * Curtain wall settings with defaults filled in; later sources win and their panel
+ * overrides are merged (e.g. the wall type's settings, then the wall's own)
+ */
+export function resolveCurtainWall(...sources) {
+  const merged = sources.filter(Boolean).reduce((settings, source) => ({
+    ...settings,
+    ...source,
+    panels: { ...settings.panels, ...(source.panels || {}) }
+  }), { ...DEFAULT_CURTAIN_WALL, panels: {} });
+
+  const offsets = Array.isArray(merged.transomOffsets)
+    ? merged.transomOffsets
+    : String(merged.transomOffsets || '').split(/[\s,;]+/);
+
+  return {
+    ...merged,
+    verticalDivisions: count(merged.verticalDivisions),
+    verticalSpacing: positive(merged.verticalSpacing, 0),
+    horizontalDivisions: count(merged.horizontalDivisions),
+    horizontalSpacing: positive(merged.horizontalSpacing, 0),
+    transomOffsets: offsets.map(Number).filter(offset => Number.isFinite(offset) && offset > 0),
+    infill: INFILL_TYPES.includes(merged.infill) ? merged.infill : 'glass',
+    glassThickness: positive(merged.glassThickness, DEFAULT_CURTAIN_WALL.glassThickness),
+    spandrelThickness: positive(merged.spandrelThickness, DEFAULT_CURTAIN_WALL.spandrelThickness)
+  };
+}
+
+/**
+ * Grid line positions from 0 to the length: equal divisions, else the fewest equal
+ * panels no wider than the spacing, else just the two ends
+ */
+export function gridPositions(length, divisions = 0, spacing = 0) {
+  let panels = 1;
+  if (divisions > 0) panels = divisions;
+  else if (spacing > 0) panels = Math.max(1, Math.ceil(length / spacing - EPSILON));
+  return Array.from({ length: panels + 1 }, (_, i) => (length * i) / panels);
+}
+
+/**
+ * Lay out the grid, members and panels of a curtain wall
+ * @param {number} length - Length along the centerline (m)
+ * @param {number} height - Height (m)
+ * @param {Object} settings - see DEFAULT_CURTAIN_WALL
+ * @returns {Object} { length, height, uGrid, vGrid, mullionProfile, transomProfile, mullions, transoms,
+ *   panels: [{ key, column, row, u0, u1, v0, v1, width, height, area, infill }], quantities, issues }
+ */
+export function layoutCurtainWall(length, height, settings = {}) {
+  const system = resolveCurtainWall(settings);
+  const mullionProfile = getMullionProfile(system.mullionProfile);
+  const transomProfile = system.transomProfile ? getMullionProfile(system.transomProfile) : mullionProfile;
+
+  const uGrid = gridPositions(length, system.verticalDivisions, system.verticalSpacing);
+  const transomHeights = [...new Set(system.transomOffsets.filter(offset => offset < height - EPSILON))].sort((a, b) => a - b);
+  const vGrid = transomHeights.length > 0
+    ? [0, ...transomHeights, height]
+    : gridPositions(height, system.horizontalDivisions, system.horizontalSpacing);
+
+  const mullions = uGrid.map((u, index) => ({ index, u, edge: index === 0 || index === uGrid.length - 1, length: height }));
+  const transoms = vGrid.map((v, index) => ({ index, v, edge: index === 0 || index === vGrid.length - 1, length }));
+
+  const issues = [];
+  const panels = [];
+  for (let column = 0; column < uGrid.length - 1; column++) {
+    for (let row = 0; row < vGrid.length - 1; row++) {
+      const key = panelKey(column, row);
+      let infill = system.panels[key] || system.infill;
+      if (!INFILL_TYPES.includes(infill)) infill = 'glass';
+      if (infill === 'door' && row !== 0) {
+        issues.push({ panel: key, message: `Panel ${key} is not on the bottom row and cannot be a door` });
+        infill = 'glass';
+      }
+      const u0 = uGrid[column];
+      const u1 = uGrid[column + 1];
+      const v0 = vGrid[row];
+      const v1 = vGrid[row + 1];
+      // Clear opening between the member faces
+      const width = Math.max(0, u1 - u0 - mullionProfile.width);
+      const clearHeight = Math.max(0, v1 - v0 - transomProfile.width);
+      panels.push({ key, column, row, u0, u1, v0, v1, width, height: clearHeight, area: width * clearHeight, infill });
+    }
+  }
+
+  const byInfill = (type) => panels.filter(panel => panel.infill === type);
+  const areaOf = list => list.reduce((sum, panel) => sum + panel.area, 0);
+  const mullionLength = mullions.length * height;
+  const transomLength = transoms.length * length;
+
+  return {
+    length,
+    height,
+    settings: system,
+    uGrid,
+    vGrid,
+    mullionProfile,
+    transomProfile,
+    mullions,
+    transoms,
+    panels,
+    quantities: {
+      area: length * height,
+      panelCount: panels.length,
+      glassPanels: byInfill('glass').length,
+      glassArea: areaOf(byInfill('glass')),
+      spandrelPanels: byInfill('spandrel').length,
+      spandrelArea: areaOf(byInfill('spandrel')),
+      doorCount: byInfill('door').length,
+      doorArea: areaOf(byInfill('door')),
+      mullionLength,
+      transomLength,
+      frameVolume: mullionLength * mullionProfile.width * mullionProfile.depth
+        + transomLength * transomProfile.width * transomProfile.depth
+    },
+    issues
+  };
+}
+
+/**
+ * Plan symbol of a laid-out curtain wall: a thin line along the wall with a tick across it
+ * at each mullion, and a leaf and swing for each door panel (opening to the exterior side)
+ * @param {Object} layout - from layoutCurtainWall
+ * @param {Object} wall - { start, end, bulge } centerline
+ * @param {number} [uStart] - Where the layout starts along the centerline (its joinery cut)
+ * @returns {Object} { line: [{x, z}], ticks: [{ a, b }], doors: [{ hinge, closed, open, width }] }
+ */
+export function curtainWallPlan(layout, wall, uStart = 0) {
+  const at = u => pointAlongWall(wall.start, wall.end, wall.bulge || 0, uStart + u);
+  const offset = ({ point, tangent }, v) => ({ x: point.x + tangent.z * v, z: point.z - tangent.x * v });
+
+  const curved = Math.abs(Number(wall.bulge) || 0) > EPSILON;
+  const line = layout.uGrid.flatMap((u, i) => {
+    if (i === 0) return [at(u).point];
+    const previous = layout.uGrid[i - 1];
+    const steps = curved ? Math.max(1, Math.ceil((u - previous) / MAX_PLAN_SEGMENT)) : 1;
+    return Array.from({ length: steps }, (_, k) => at(previous + ((u - previous) * (k + 1)) / steps).point);
+  });
+
+  const half = layout.mullionProfile.depth / 2;
+  const ticks = layout.mullions.map(mullion => {
+    const frame = at(mullion.u);
+    return { a: offset(frame, -half), b: offset(frame, half) };
+  });
+
+  const doors = layout.panels.filter(panel => panel.infill === 'door').map(panel => {
+    const hingeFrame = at(panel.u0 + layout.mullionProfile.width / 2);
+    const hinge = hingeFrame.point;
+    const closed = at(panel.u1 - layout.mullionProfile.width / 2).point;
+    const width = Math.hypot(closed.x - hinge.x, closed.z - hinge.z);
+    return { hinge, closed, open: offset(hingeFrame, width), width };
+  });
+
+  return { line, ticks, doors };
+}
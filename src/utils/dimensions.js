@@ -0,0 +1,518 @@
+/**
+ * Associative dimensions
+ *
+ * A dimension stores references to model features rather than coordinates: wall ends, faces
+ * and centerlines, opening jambs and grid axes. It is measured again from the current model
+ * each time it is resolved, so it follows the elements it dimensions. Plan coordinates are
+ * engine x/z in metres; values are metres (radians for angular dimensions) and text is
+ * formatted in the project's display units.
+ *
+ * Resolving works on a plain model snapshot:
+ *   walls:    { [id]: { start, end, bulge, thickness } }
+ *   openings: { [id]: { wallId, position, width } } (position: centre distance along the host
+ *             wall) or { center, tangent, width } for openings without a host
+ *   grids:    { [id]: [{ name, start, end }] } (see utils/structuralGrid generateGridAxes)
+ */
+
+import { pointAlongWall, wallArc } from './wallArcs.js';
+
+export const DIMENSION_KINDS = ['linear', 'aligned', 'angular', 'radial', 'chain'];
+export const WALL_ANCHORS = ['start', 'end', 'centerline', 'exterior', 'interior'];
+export const OPENING_ANCHORS = ['left', 'right', 'center'];
+
+// Same unit ids as the architect3d dimensioning options
+export const DIMENSION_UNITS = {
+  mm: { label: 'Millimetres', scale: 1000, precision: 0 },
+  cm: { label: 'Centimetres', scale: 100, precision: 1 },
+  m: { label: 'Metres', scale: 1, precision: 2 },
+  inch: { label: 'Inches', scale: 1 / 0.0254, precision: 1, suffix: '"' },
+  feetAndInch: { label: 'Feet and inches', scale: 1 / 0.0254 }
+};
+export const DEFAULT_DIMENSION_UNITS = 'mm';
+
+export const DEFAULT_DIMENSION = {
+  kind: 'aligned',
+  levelId: null,
+  references: [],
+  direction: null, // 'x' | 'z' fixes linear and chain dimensions to a plan axis
+  offset: 0.8 // Distance of the dimension line from the first reference (m, signed)
+};
+
+const EPSILON = 1e-6;
+const PARALLEL_TOLERANCE = 1e-3;
+
+const sub = (a, b) => ({ x: a.x - b.x, z: a.z - b.z });
+const add = (a, b, k = 1) => ({ x: a.x + b.x * k, z: a.z + b.z * k });
+const dot = (a, b) => a.x * b.x + a.z * b.z;
+const cross = (a, b) => a.x * b.z - a.z * b.x;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+const normalize = v => {
+  const length = Math.hypot(v.x, v.z);
+  return length > EPSILON ? { x: v.x / length, z: v.z / length } : null;
+};
+// Right-hand normal, the n = (d.z, -d.x) side used for wall exteriors and dimension offsets
+const normalOf = d => ({ x: d.z, z: -d.x });
+const plain = p => ({ x: Number(p.x) || 0, z: Number(p.z) || 0 });
+
+/**
+ * Normalise a reference
+ * @param {Object} reference - { type: 'wall', id, anchor } | { type: 'opening', id, anchor }
+ *   | { type: 'grid', id, axis }
+ */
+export function normalizeReference(reference = {}) {
+  switch (reference.type) {
+    case 'wall':
+      return { type: 'wall', id: reference.id, anchor: WALL_ANCHORS.includes(reference.anchor) ? reference.anchor : 'centerline' };
+    case 'opening':
+      return { type: 'opening', id: reference.id, anchor: OPENING_ANCHORS.includes(reference.anchor) ? reference.anchor : 'center' };
+    case 'grid':
+      return { type: 'grid', id: reference.id, axis: String(reference.axis ?? '') };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalise dimension parameters
+ */
+export function createDimension(params = {}) {
+  const offset = Number(params.offset);
+  return {
+    ...DEFAULT_DIMENSION,
+    ...params,
+    kind: DIMENSION_KINDS.includes(params.kind) ? params.kind : DEFAULT_DIMENSION.kind,
+    references: (params.references || []).map(normalizeReference).filter(Boolean),
+    direction: params.direction === 'x' || params.direction === 'z' ? params.direction : null,
+    offset: Number.isFinite(offset) ? offset : DEFAULT_DIMENSION.offset
+  };
+}
+
+/**
+ * Objects a dimension refers to (walls and openings; grids by grid id)
+ */
+export function dimensionObjectIds(dimension) {
+  return [...new Set((dimension.references || []).map(reference => reference.id))];
+}
+
+const trimNumber = (value, precision) => {
+  const fixed = value.toFixed(precision);
+  return precision > 0 ? fixed.replace(/\.?0+$/, '') : fixed;
+};
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+/**
+ * Length in display units: "3600" (mm), "360" (cm), "3.6" (m), "141.7"" or 11'-9 3/4"
+ * Feet and inches are rounded to the nearest 1/8".
+ */
+export function formatLength(value, units = DEFAULT_DIMENSION_UNITS) {
+  const unit = DIMENSION_UNITS[units] || DIMENSION_UNITS[DEFAULT_DIMENSION_UNITS];
+  const scaled = Math.abs(value) * unit.scale;
+  const sign = value < 0 ? '-' : '';
+
+  if (units === 'feetAndInch') {
+    const eighths = Math.round(scaled * 8);
+    const feet = Math.floor(eighths / 96);
+    const inches = Math.floor((eighths % 96) / 8);
+    const fraction = eighths % 8;
+    const divisor = fraction ? gcd(fraction, 8) : 1;
+    return `${sign}${feet}'-${inches}${fraction ? ` ${fraction / divisor}/${8 / divisor}` : ''}"`;
+  }
+  return `${sign}${trimNumber(scaled, unit.precision)}${unit.suffix || ''}`;
+}
+
+/**
+ * Angle in degrees to a tenth: "90°", "22.5°"
+ */
+export function formatAngle(radians) {
+  return `${trimNumber((radians * 180) / Math.PI, 1)}°`;
+}
+
+function wallFrame(wall, s) {
+  const { point, tangent } = pointAlongWall(wall.start, wall.end, wall.bulge || 0, s);
+  return { point, tangent, normal: normalOf(tangent) };
+}
+
+function wallLengthOf(wall) {
+  const arc = wallArc(wall.start, wall.end, wall.bulge || 0);
+  return arc ? arc.length : distance(wall.start, wall.end);
+}
+
+function openingFrame(opening, model) {
+  const wall = opening.wallId ? model.walls?.[opening.wallId] : null;
+  if (wall) {
+    return { wall, at: s => wallFrame(wall, s), position: Number(opening.position) || 0 };
+  }
+  if (!opening.center || !opening.tangent) return null;
+  const tangent = normalize(opening.tangent);
+  if (!tangent) return null;
+  return {
+    wall: null,
+    at: s => ({ point: add(plain(opening.center), tangent, s), tangent, normal: normalOf(tangent) }),
+    position: 0
+  };
+}
+
+/**
+ * Geometric feature a reference points at in the current model
+ * @returns {Object|null} { kind: 'point', point } | { kind: 'line', point, direction }
+ *   | { kind: 'arc', center, radius, point, direction }; null when the element is gone
+ */
+export function resolveReference(reference, model = {}) {
+  if (!reference) return null;
+
+  if (reference.type === 'wall') {
+    const wall = model.walls?.[reference.id];
+    if (!wall || !wall.start || !wall.end) return null;
+    if (reference.anchor === 'start') return { kind: 'point', point: plain(wall.start) };
+    if (reference.anchor === 'end') return { kind: 'point', point: plain(wall.end) };
+
+    const side = reference.anchor === 'exterior' ? 1 : (reference.anchor === 'interior' ? -1 : 0);
+    const offset = side * (Number(wall.thickness) || 0) / 2;
+    const length = wallLengthOf(wall);
+    if (length < EPSILON) return null;
+    const mid = wallFrame(wall, length / 2);
+    const point = add(mid.point, mid.normal, offset);
+    const arc = wallArc(wall.start, wall.end, wall.bulge || 0);
+    if (arc) {
+      return { kind: 'arc', center: arc.center, radius: distance(point, arc.center), point, direction: mid.tangent };
+    }
+    return { kind: 'line', point, direction: mid.tangent };
+  }
+
+  if (reference.type === 'opening') {
+    const opening = model.openings?.[reference.id];
+    const frame = opening ? openingFrame(opening, model) : null;
+    if (!frame) return null;
+    const half = (Number(opening.width) || 0) / 2;
+    const s = frame.position + (reference.anchor === 'left' ? -half : (reference.anchor === 'right' ? half : 0));
+    const { point, normal } = frame.at(s);
+    // Jambs are lines across the wall
+    return { kind: 'line', point, direction: normal };
+  }
+
+  if (reference.type === 'grid') {
+    const axis = (model.grids?.[reference.id] || []).find(candidate => String(candidate.name) === reference.axis);
+    if (!axis) return null;
+    const direction = normalize(sub(axis.end, axis.start));
+    if (!direction) return null;
+    return { kind: 'line', point: { x: (axis.start.x + axis.end.x) / 2, z: (axis.start.z + axis.end.z) / 2 }, direction };
+  }
+
+  return null;
+}
+
+const invalid = (dimension, error) => ({
+  id: dimension.id,
+  kind: dimension.kind,
+  levelId: dimension.levelId,
+  valid: false,
+  error
+});
+
+const foot = (line, point) => add(line.point, line.direction, dot(sub(point, line.point), line.direction));
+
+function axisDirection(direction) {
+  if (direction === 'x') return { x: 1, z: 0 };
+  if (direction === 'z') return { x: 0, z: 1 };
+  return null;
+}
+
+function dominantAxis(v) {
+  return Math.abs(v.x) >= Math.abs(v.z) ? { x: 1, z: 0 } : { x: 0, z: 1 };
+}
+
+function resolveLinear(dimension, features, units) {
+  if (features.some(feature => feature.kind === 'arc')) {
+    return invalid(dimension, 'Curved walls take radial dimensions');
+  }
+  const points = features.filter(feature => feature.kind === 'point');
+  const lines = features.filter(feature => feature.kind === 'line');
+  const origin = (points[0] || features[0]).point;
+  const witnesses = features.map(feature => (feature.kind === 'line' ? foot(feature, origin) : feature.point));
+  const span = sub(witnesses[witnesses.length - 1], witnesses[0]);
+
+  let m = dimension.kind === 'aligned' ? null : axisDirection(dimension.direction);
+  if (!m && dimension.kind === 'linear') {
+    m = lines.length > 0 ? dominantAxis(normalOf(lines[0].direction)) : dominantAxis(span);
+  }
+  if (!m) m = lines.length > 0 ? normalOf(lines[0].direction) : normalize(span);
+  if (!m) return invalid(dimension, 'The referenced points coincide');
+  if (lines.some(line => Math.abs(dot(line.direction, m)) > PARALLEL_TOLERANCE)) {
+    return invalid(dimension, 'The referenced lines are not parallel');
+  }
+  if (dot(span, m) < 0) m = { x: -m.x, z: -m.z };
+
+  const n = normalOf(m);
+  const base = add(origin, n, dimension.offset);
+  const stations = witnesses
+    .map(witness => ({ witness, t: dot(sub(witness, base), m) }))
+    .sort((a, b) => a.t - b.t);
+  const used = dimension.kind === 'chain' ? stations : [stations[0], stations[stations.length - 1]];
+  const onLine = t => add(base, m, t);
+
+  const segments = used.slice(1).map((station, index) => {
+    const value = station.t - used[index].t;
+    return { start: onLine(used[index].t), end: onLine(station.t), value, text: formatLength(value, units) };
+  });
+  const value = used[used.length - 1].t - used[0].t;
+
+  return {
+    id: dimension.id,
+    kind: dimension.kind,
+    levelId: dimension.levelId,
+    valid: true,
+    value,
+    text: formatLength(value, units),
+    direction: m,
+    normal: n,
+    side: Math.sign(dimension.offset) || 1,
+    segments,
+    extensions: used.map(station => ({ start: station.witness, end: onLine(station.t) }))
+  };
+}
+
+function resolveAngular(dimension, features) {
+  const [a, b] = features;
+  if (!a || !b || a.kind !== 'line' || b.kind !== 'line') {
+    return invalid(dimension, 'Angular dimensions need two straight references');
+  }
+  const denominator = cross(a.direction, b.direction);
+  if (Math.abs(denominator) < PARALLEL_TOLERANCE) return invalid(dimension, 'The referenced lines are parallel');
+
+  const t = cross(sub(b.point, a.point), b.direction) / denominator;
+  const vertex = add(a.point, a.direction, t);
+  // Each leg points from the vertex towards its element
+  const leg = line => {
+    const towards = sub(line.point, vertex);
+    return dot(towards, line.direction) < 0 ? { x: -line.direction.x, z: -line.direction.z } : line.direction;
+  };
+  const u = leg(a);
+  const v = leg(b);
+  const value = Math.acos(Math.max(-1, Math.min(1, dot(u, v))));
+  // Plan angles counterclockwise as drawn (x right, -z up), the DXF convention
+  const angleOf = d => Math.atan2(-d.z, d.x);
+  const counterclockwise = cross(u, v) < 0;
+  const startAngle = angleOf(counterclockwise ? u : v);
+
+  return {
+    id: dimension.id,
+    kind: dimension.kind,
+    levelId: dimension.levelId,
+    valid: true,
+    value,
+    text: formatAngle(value),
+    vertex,
+    radius: Math.abs(dimension.offset) || DEFAULT_DIMENSION.offset,
+    startAngle,
+    endAngle: startAngle + value
+  };
+}
+
+function resolveRadial(dimension, features, units) {
+  const [feature] = features;
+  if (!feature || feature.kind !== 'arc') return invalid(dimension, 'Radial dimensions need a curved wall');
+  return {
+    id: dimension.id,
+    kind: dimension.kind,
+    levelId: dimension.levelId,
+    valid: true,
+    value: feature.radius,
+    text: `R${formatLength(feature.radius, units)}`,
+    center: feature.center,
+    point: feature.point
+  };
+}
+
+/**
+ * Measure a dimension against the current model
+ * @param {Object} dimension - See createDimension
+ * @param {Object} model - { walls, openings, grids }, see the module comment
+ * @param {string} units - Display units (DIMENSION_UNITS key)
+ * @returns {Object} { id, kind, levelId, valid, error, value, text, ... } with the geometry of
+ *   its kind: segments and extensions (linear, aligned, chain), vertex and angles (angular),
+ *   center and point (radial)
+ */
+export function resolveDimension(dimension, model = {}, units = DEFAULT_DIMENSION_UNITS) {
+  const features = dimension.references.map(reference => resolveReference(reference, model));
+  if (features.some(feature => !feature)) return invalid(dimension, 'A referenced element no longer exists');
+
+  switch (dimension.kind) {
+    case 'angular':
+      return resolveAngular(dimension, features);
+    case 'radial':
+      return resolveRadial(dimension, features, units);
+    default:
+      if (features.length < 2) return invalid(dimension, 'Dimensions need two references');
+      return resolveLinear(dimension, features, units);
+  }
+}
+
+// Readable from the bottom or the right of the sheet, in DXF degrees
+function readableRotation(d) {
+  let rotation = (Math.atan2(-d.z, d.x) * 180) / Math.PI;
+  if (rotation > 90.001) rotation -= 180;
+  else if (rotation <= -90) rotation += 180;
+  return rotation;
+}
+
+const planPointAt = (center, radius, angle) => ({ x: center.x + radius * Math.cos(angle), z: center.z - radius * Math.sin(angle) });
+
+/**
+ * Drawing of a resolved dimension: extension lines stopping short of the element, the
+ * dimension line with oblique ticks and the text above it
+ * @param {Object} resolved - From resolveDimension
+ * @param {Object} options - { textHeight, gap, tick } in plan metres
+ * @returns {Array<Object>} Entities in the utils/dxf createDxf format, without layers
+ */
+export function dimensionGraphics(resolved, options = {}) {
+  if (!resolved || !resolved.valid) return [];
+  const { textHeight = 0.18, gap = 0.05, tick = 0.1 } = options;
+  const entities = [];
+  const tickAt = (p, d) => {
+    const n = normalOf(d);
+    const oblique = { x: (d.x + n.x) * tick * Math.SQRT1_2, z: (d.z + n.z) * tick * Math.SQRT1_2 };
+    entities.push({ type: 'line', start: sub(p, oblique), end: add(p, oblique) });
+  };
+
+  if (resolved.kind === 'angular') {
+    const { vertex, radius, startAngle, endAngle } = resolved;
+    const degrees = angle => (angle * 180) / Math.PI;
+    entities.push({ type: 'arc', center: vertex, radius, startAngle: degrees(startAngle), endAngle: degrees(endAngle) });
+    [startAngle, endAngle].forEach(angle => {
+      const p = planPointAt(vertex, radius, angle);
+      entities.push({ type: 'line', start: planPointAt(vertex, radius - tick, angle), end: planPointAt(vertex, radius + tick, angle) });
+      entities.push({ type: 'line', start: vertex, end: p });
+    });
+    const middle = (startAngle + endAngle) / 2;
+    const textAt = planPointAt(vertex, radius + textHeight * 1.2, middle);
+    entities.push({
+      type: 'text',
+      position: textAt,
+      height: textHeight,
+      text: resolved.text,
+      rotation: readableRotation({ x: -Math.sin(middle), z: -Math.cos(middle) }),
+      align: 'center'
+    });
+    return entities;
+  }
+
+  if (resolved.kind === 'radial') {
+    const d = normalize(sub(resolved.point, resolved.center)) || { x: 1, z: 0 };
+    entities.push({ type: 'line', start: resolved.center, end: resolved.point });
+    tickAt(resolved.point, d);
+    const mid = { x: (resolved.center.x + resolved.point.x) / 2, z: (resolved.center.z + resolved.point.z) / 2 };
+    entities.push({
+      type: 'text',
+      position: add(mid, normalOf(d), textHeight * 0.9),
+      height: textHeight,
+      text: resolved.text,
+      rotation: readableRotation(d),
+      align: 'center'
+    });
+    return entities;
+  }
+
+  const { direction: m, normal: n, side } = resolved;
+  resolved.extensions.forEach(({ start, end }) => {
+    const length = distance(start, end);
+    if (length <= gap) return;
+    const e = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+    entities.push({ type: 'line', start: add(start, e, gap), end: add(end, e, tick) });
+  });
+  const first = resolved.segments[0];
+  const last = resolved.segments[resolved.segments.length - 1];
+  entities.push({ type: 'line', start: first.start, end: last.end });
+  [first.start, ...resolved.segments.map(segment => segment.end)].forEach(p => tickAt(p, m));
+  resolved.segments.forEach(segment => {
+    const mid = { x: (segment.start.x + segment.end.x) / 2, z: (segment.start.z + segment.end.z) / 2 };
+    entities.push({
+      type: 'text',
+      position: add(mid, n, side * textHeight * 0.9),
+      height: textHeight,
+      text: segment.text,
+      rotation: readableRotation(m),
+      align: 'center'
+    });
+  });
+  return entities;
+}
+
+/**
+ * Straight walls continuing a wall in line, end to end, in order along the run
+ * A run stops at a curve, a bend, or a junction where more than one wall carries on.
+ * @param {Object} walls - { [id]: { start, end, bulge } }
+ * @returns {Array<{ id, reversed }>} reversed walls are drawn against the run's direction
+ */
+export function findWallRun(walls, wallId, tolerance = 0.01) {
+  const seed = walls[wallId];
+  if (!seed || Math.abs(Number(seed.bulge) || 0) > EPSILON) return seed ? [{ id: wallId, reversed: false }] : [];
+  const direction = normalize(sub(seed.end, seed.start));
+  if (!direction) return [{ id: wallId, reversed: false }];
+
+  const inLine = (wall, from) => {
+    if (Math.abs(Number(wall.bulge) || 0) > EPSILON) return null;
+    const d = normalize(sub(wall.end, wall.start));
+    if (!d || Math.abs(cross(d, direction)) > PARALLEL_TOLERANCE) return null;
+    const reversed = dot(d, direction) < 0;
+    if (distance(wall.start, from) <= tolerance) return { reversed, far: wall.end };
+    if (distance(wall.end, from) <= tolerance) return { reversed, far: wall.start };
+    return null;
+  };
+  const used = new Set([wallId]);
+  const extend = (point, forward) => {
+    const next = Object.entries(walls)
+      .filter(([id]) => !used.has(id))
+      .map(([id, wall]) => ({ id, match: inLine(wall, point) }))
+      .filter(candidate => candidate.match);
+    if (next.length !== 1) return [];
+    // The run carries on only away from where it came from
+    const { far, reversed } = next[0].match;
+    if (dot(sub(far, point), direction) * (forward ? 1 : -1) <= 0) return [];
+    used.add(next[0].id);
+    return [{ id: next[0].id, reversed }, ...extend(far, forward)];
+  };
+
+  const after = extend(seed.end, true);
+  const before = extend(seed.start, false).reverse();
+  return [...before, { id: wallId, reversed: false }, ...after];
+}
+
+/**
+ * Dimensions for a whole wall run: a chain through the run's ends and every opening jamb,
+ * and the overall length further out, on the exterior (n) side of the picked wall
+ * @param {Object} model - { walls, openings }, see the module comment
+ * @param {Object} options - { offset: distance of the chain from the wall face (default 0.8),
+ *   spacing: distance between the chain and the overall dimension (default 0.5) }
+ * @returns {Array<Object>} Dimension parameters for createDimension; empty for unknown walls
+ */
+export function autoDimensionWall(model, wallId, options = {}) {
+  const walls = model.walls || {};
+  const wall = walls[wallId];
+  if (!wall) return [];
+  const { offset = DEFAULT_DIMENSION.offset, spacing = 0.5 } = options;
+  const face = (Number(wall.thickness) || 0) / 2;
+
+  if (Math.abs(Number(wall.bulge) || 0) > EPSILON) {
+    return [{ kind: 'radial', references: [{ type: 'wall', id: wallId, anchor: 'exterior' }], offset }];
+  }
+
+  const run = findWallRun(walls, wallId);
+  const first = run[0];
+  const last = run[run.length - 1];
+  const startRef = { type: 'wall', id: first.id, anchor: first.reversed ? 'end' : 'start' };
+  const endRef = { type: 'wall', id: last.id, anchor: last.reversed ? 'start' : 'end' };
+
+  const jambs = run.flatMap(({ id, reversed }) => Object.entries(model.openings || {})
+    .filter(([, opening]) => opening.wallId === id)
+    .sort(([, a], [, b]) => (reversed ? b.position - a.position : a.position - b.position))
+    .flatMap(([openingId]) => (reversed ? ['right', 'left'] : ['left', 'right'])
+      .map(anchor => ({ type: 'opening', id: openingId, anchor }))));
+
+  const overall = { kind: 'aligned', references: [startRef, endRef], offset: face + offset + (jambs.length > 0 ? spacing : 0) };
+  if (jambs.length === 0) return [overall];
+  return [
+    { kind: 'chain', references: [startRef, ...jambs, endRef], offset: face + offset },
+    overall
+  ];
+}
@@ -0,0 +1,169 @@
+/**
+ * Document Snapshots
+ *
+ * Serializable, geometry-free snapshots of the engine state for checkpoints and rollback:
+ * object records as stored in scene documents (type, params, free wall openings), the
+ * document collections (levels, grids, views, sheets, underlays, dimensions, library),
+ * the resolved wall joinery and the selection. Meshes are rebuilt from the params on
+ * restore, so only the objects that differ need rebuilding (planSnapshotRestore).
+ *
+ * Checkpoints after the first are kept as diffs against the one before (diffSnapshots,
+ * applySnapshotDiff).
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+// Everything in a snapshot except the objects, compared and restored as a whole
+export const SNAPSHOT_COLLECTIONS = [
+  'floors', 'grids', 'sectionViews', 'sheets', 'underlays', 'dimensions',
+  'wallTypes', 'slabTypes', 'roofTypes', 'materials',
+  'displayUnits', 'activeLevelId', 'joinery', 'selection'
+];
+
+// Doors and windows cut their own opening in their host wall when they are built
+const HOSTED_TYPES = new Set(['door', 'window']);
+
+// Key order independent JSON, so equal records compare equal
+const stableStringify = value => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const byId = objects => new Map(objects.map(object => [object.id, object]));
+
+const hostOf = object => (HOSTED_TYPES.has(object.type) ? object.params?.hostWallId || null : null);
+
+/**
+ * Snapshot from a scene document (see StandaloneCADEngine.exportSceneDocument) and the
+ * engine state a document does not carry
+ * @param {Object} state - { document, activeLevelId, joinery, selection }
+ */
+export function createSnapshot({ document, activeLevelId = null, joinery = null, selection = [] }) {
+  return clone({
+    version: SNAPSHOT_VERSION,
+    takenAt: Date.now(),
+    objects: document.objects || [],
+    floors: document.floors || [],
+    grids: document.grids || [],
+    sectionViews: document.sectionViews || [],
+    sheets: document.sheets || [],
+    underlays: document.underlays || [],
+    dimensions: document.dimensions || [],
+    wallTypes: document.wallTypes || {},
+    slabTypes: document.slabTypes || {},
+    roofTypes: document.roofTypes || {},
+    materials: document.materials || {},
+    displayUnits: document.metadata?.displayUnits || null,
+    activeLevelId,
+    joinery: joinery || { walls: {}, junctions: [] },
+    selection: [...selection]
+  });
+}
+
+/**
+ * Changes from one snapshot to the next
+ * @returns {{ objects: { added: Object[], changed: Object[], removed: string[] }, collections: Object }}
+ */
+export function diffSnapshots(base, next) {
+  const before = byId(base.objects);
+  const after = byId(next.objects);
+
+  const added = [];
+  const changed = [];
+  after.forEach((object, id) => {
+    if (!before.has(id)) {
+      added.push(clone(object));
+    } else if (stableStringify(before.get(id)) !== stableStringify(object)) {
+      changed.push(clone(object));
+    }
+  });
+  const removed = [...before.keys()].filter(id => !after.has(id));
+
+  const collections = {};
+  SNAPSHOT_COLLECTIONS.forEach(key => {
+    if (stableStringify(base[key]) !== stableStringify(next[key])) {
+      collections[key] = clone(next[key]);
+    }
+  });
+
+  return { objects: { added, changed, removed }, collections, takenAt: next.takenAt };
+}
+
+export function isEmptySnapshotDiff(diff) {
+  const { added, changed, removed } = diff.objects;
+  return added.length + changed.length + removed.length === 0 && Object.keys(diff.collections).length === 0;
+}
+
+/**
+ * The snapshot a diff leads to from its base
+ */
+export function applySnapshotDiff(base, diff) {
+  const removed = new Set(diff.objects.removed);
+  const replaced = byId(diff.objects.changed);
+  const objects = base.objects
+    .filter(object => !removed.has(object.id))
+    .map(object => replaced.get(object.id) || object)
+    .concat(diff.objects.added);
+
+  return clone({
+    ...base,
+    ...diff.collections,
+    objects,
+    takenAt: diff.takenAt ?? base.takenAt
+  });
+}
+
+/**
+ * Objects to delete and rebuild to bring the engine from one snapshot to another
+ * A wall that is rebuilt takes its doors and windows with it, and a door or window that
+ * comes or goes rebuilds its host wall, since the opening lives in the wall's geometry.
+ * @returns {{ remove: string[], create: Object[], collections: Object }} create in rebuild
+ *   order: walls, then free elements, then hosted doors and windows
+ */
+export function planSnapshotRestore(current, target) {
+  const diff = diffSnapshots(current, target);
+  const before = byId(current.objects);
+  const after = byId(target.objects);
+
+  const rebuild = new Set([...diff.objects.added, ...diff.objects.changed].map(object => object.id));
+
+  // Host walls (as they will be) of every door or window that changes either way
+  const hosts = new Set();
+  [...diff.objects.added, ...diff.objects.changed].forEach(object => hosts.add(hostOf(object)));
+  [...diff.objects.changed.map(object => before.get(object.id)), ...diff.objects.removed.map(id => before.get(id))]
+    .forEach(object => hosts.add(hostOf(object)));
+  target.objects
+    .filter(object => object.type === 'wall' && rebuild.has(object.id))
+    .forEach(object => hosts.add(object.id));
+
+  hosts.forEach(wallId => {
+    if (!wallId || !after.has(wallId)) return;
+    rebuild.add(wallId);
+    target.objects.filter(object => hostOf(object) === wallId).forEach(object => rebuild.add(object.id));
+  });
+
+  const rank = object => {
+    if (object.type === 'wall') return 0;
+    return hostOf(object) ? 2 : 1;
+  };
+
+  return {
+    remove: [
+      ...diff.objects.removed,
+      ...current.objects.filter(object => rebuild.has(object.id)).map(object => object.id)
+    ],
+    create: target.objects
+      .filter(object => rebuild.has(object.id))
+      .sort((a, b) => rank(a) - rank(b))
+      .map(clone),
+    collections: diff.collections
+  };
+}
@@ -0,0 +1,561 @@
+/**
+ * DXF reading and writing
+ *
+ * parseDxf reads the ASCII DXF consultants exchange (any release) into plain entities in
+ * drawing units: lines, polylines, arcs, circles, text and block inserts. explodeDxf
+ * resolves the inserts and converts everything to plan coordinates in metres for use as a
+ * reference underlay: polylines carry a bulge per vertex in the wall convention of
+ * utils/wallArcs, so arcs stay exact and can become curved walls.
+ *
+ * createDxf writes an R12 (AC1009) file, the release every CAD package still opens.
+ * Plan x/z maps to DXF x/y with y = -z, so the drawing reads the same way up as the plan.
+ */
+
+import { sampleWall } from './wallArcs.js';
+
+// DXF $INSUNITS codes the importer understands → metres per drawing unit
+export const DXF_UNITS = {
+  1: { name: 'in', scale: 0.0254 },
+  2: { name: 'ft', scale: 0.3048 },
+  4: { name: 'mm', scale: 0.001 },
+  5: { name: 'cm', scale: 0.01 },
+  6: { name: 'm', scale: 1 }
+};
+
+// Layers for the exported plan, after the AIA CAD layer guidelines (color is the ACI index)
+export const PLAN_LAYERS = {
+  wall: { name: 'A-WALL', color: 7 },
+  curtainWall: { name: 'A-GLAZ-CWMG', color: 5 },
+  door: { name: 'A-DOOR', color: 4 },
+  window: { name: 'A-GLAZ', color: 5 },
+  column: { name: 'S-COLS', color: 1 },
+  beam: { name: 'S-BEAM', color: 1 },
+  brace: { name: 'S-BEAM', color: 1 },
+  slab: { name: 'A-FLOR', color: 8 },
+  stair: { name: 'A-FLOR-STRS', color: 3 },
+  ramp: { name: 'A-FLOR-RAMP', color: 3 },
+  roof: { name: 'A-ROOF', color: 6 },
+  furniture: { name: 'A-FURN', color: 30 },
+  fixture: { name: 'A-FLOR-FIXT', color: 30 },
+  rooms: { name: 'A-AREA-IDEN', color: 2 },
+  dimensions: { name: 'A-ANNO-DIMS', color: 2 },
+  symbols: { name: 'A-ANNO-SYMB', color: 1 },
+  grid: { name: 'S-GRID', color: 8, linetype: 'CENTER' },
+  gridLabels: { name: 'S-GRID-IDEN', color: 8 },
+  other: { name: 'A-DETL-GENF', color: 8 }
+};
+
+const MAX_INSERT_DEPTH = 8;
+const MAX_PRIMITIVES = 200000;
+const FULL_CIRCLE = 360 - 1e-6;
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+const readPairs = (text) => {
+  const lines = String(text).split(/\r\n|\r|\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i], 10);
+    if (Number.isNaN(code)) continue;
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+};
+
+// Group codes of one entity as a list, for codes that repeat (vertices)
+const number = (groups, code, fallback = 0) => {
+  const entry = groups.find(([candidate]) => candidate === code);
+  const value = entry ? parseFloat(entry[1]) : NaN;
+  return Number.isFinite(value) ? value : fallback;
+};
+const string = (groups, code, fallback = '') => {
+  const entry = groups.find(([candidate]) => candidate === code);
+  return entry ? entry[1] : fallback;
+};
+const point = (groups, xCode = 10) => ({ x: number(groups, xCode), y: number(groups, xCode + 10) });
+
+const cleanMText = text => text
+  .replace(/\\P/g, ' ')
+  .replace(/\\[A-Za-z][^;\\{}]*;/g, '')
+  .replace(/\\[A-Za-z]/g, '')
+  .replace(/[{}]/g, '')
+  .trim();
+
+const readEntity = (type, groups) => {
+  const base = { type: type.toLowerCase(), layer: string(groups, 8, '0') };
+  switch (type) {
+    case 'LINE':
+      return { ...base, start: point(groups), end: point(groups, 11) };
+    case 'LWPOLYLINE': {
+      const points = [];
+      groups.forEach(([code, value]) => {
+        if (code === 10) points.push({ x: parseFloat(value), y: 0, bulge: 0 });
+        else if (code === 20 && points.length > 0) points[points.length - 1].y = parseFloat(value);
+        else if (code === 42 && points.length > 0) points[points.length - 1].bulge = parseFloat(value) || 0;
+      });
+      return { ...base, type: 'polyline', points, closed: (number(groups, 70) & 1) === 1 };
+    }
+    case 'ARC':
+      return { ...base, center: point(groups), radius: number(groups, 40), startAngle: number(groups, 50), endAngle: number(groups, 51) };
+    case 'CIRCLE':
+      return { ...base, center: point(groups), radius: number(groups, 40) };
+    case 'TEXT':
+      return {
+        ...base,
+        // Aligned text is placed at its second point
+        position: number(groups, 72) || number(groups, 73) ? point(groups, 11) : point(groups),
+        height: number(groups, 40, 1),
+        rotation: number(groups, 50),
+        text: string(groups, 1)
+      };
+    case 'MTEXT':
+      return {
+        ...base,
+        type: 'text',
+        position: point(groups),
+        height: number(groups, 40, 1),
+        rotation: number(groups, 50),
+        text: cleanMText(groups.filter(([code]) => code === 3 || code === 1).map(([, value]) => value).join(''))
+      };
+    case 'INSERT':
+      return {
+        ...base,
+        block: string(groups, 2),
+        position: point(groups),
+        scale: { x: number(groups, 41, 1), y: number(groups, 42, 1) },
+        rotation: number(groups, 50)
+      };
+    default:
+      return null;
+  }
+};
+
+// Entities from a run of pairs up to the section or block end
+const readEntities = (pairs, start, stats) => {
+  const entities = [];
+  let i = start;
+  while (i < pairs.length) {
+    const [code, value] = pairs[i];
+    if (code !== 0 || value === 'ENDSEC' || value === 'ENDBLK') break;
+    const groups = [];
+    i++;
+    while (i < pairs.length && pairs[i][0] !== 0) groups.push(pairs[i++]);
+
+    if (value === 'POLYLINE') {
+      // Old-style polyline: VERTEX entities until SEQEND
+      const points = [];
+      while (i < pairs.length && pairs[i][1] === 'VERTEX') {
+        const vertex = [];
+        i++;
+        while (i < pairs.length && pairs[i][0] !== 0) vertex.push(pairs[i++]);
+        if ((number(vertex, 70) & 16) === 0) points.push({ ...point(vertex), bulge: number(vertex, 42) });
+      }
+      if (i < pairs.length && pairs[i][1] === 'SEQEND') {
+        i++;
+        while (i < pairs.length && pairs[i][0] !== 0) i++;
+      }
+      const flags = number(groups, 70);
+      if ((flags & 16) === 0 && (flags & 64) === 0) {
+        entities.push({ type: 'polyline', layer: string(groups, 8, '0'), points, closed: (flags & 1) === 1 });
+      } else {
+        stats.skipped.POLYLINE = (stats.skipped.POLYLINE || 0) + 1;
+      }
+      continue;
+    }
+
+    const entity = readEntity(value, groups);
+    if (entity) entities.push(entity);
+    else stats.skipped[value] = (stats.skipped[value] || 0) + 1;
+  }
+  return { entities, next: i };
+};
+
+/**
+ * Parse an ASCII DXF file
+ * @param {string} text
+ * @returns {Object} { insUnits, layers: [{ name, color, visible }], blocks: { name: { base, entities } },
+ *   entities, skipped: { TYPE: count } } with coordinates in drawing units
+ */
+export function parseDxf(text) {
+  const pairs = readPairs(text);
+  if (!pairs.some(([code, value]) => code === 0 && value === 'SECTION')) {
+    throw new Error('Not an ASCII DXF file');
+  }
+
+  const result = { insUnits: 0, layers: [], blocks: {}, entities: [], skipped: {} };
+  let section = null;
+  let i = 0;
+  while (i < pairs.length) {
+    const [code, value] = pairs[i];
+    if (code === 0 && value === 'SECTION') {
+      section = pairs[i + 1]?.[1] || null;
+      i += 2;
+      continue;
+    }
+    if (code === 0 && value === 'ENDSEC') {
+      section = null;
+      i++;
+      continue;
+    }
+
+    if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+      result.insUnits = parseInt(pairs[i + 1]?.[1], 10) || 0;
+      i += 2;
+    } else if (section === 'TABLES' && code === 0 && value === 'LAYER') {
+      const groups = [];
+      i++;
+      while (i < pairs.length && pairs[i][0] !== 0) groups.push(pairs[i++]);
+      const color = number(groups, 62, 7);
+      result.layers.push({ name: string(groups, 2, '0'), color: Math.abs(color), visible: color >= 0 && (number(groups, 70) & 1) === 0 });
+    } else if (section === 'BLOCKS' && code === 0 && value === 'BLOCK') {
+      const groups = [];
+      i++;
+      while (i < pairs.length && pairs[i][0] !== 0) groups.push(pairs[i++]);
+      const { entities, next } = readEntities(pairs, i, result);
+      result.blocks[string(groups, 2)] = { base: point(groups), entities };
+      i = next + 1;
+      while (i < pairs.length && pairs[i][0] !== 0) i++; // ENDBLK's groups
+    } else if (section === 'ENTITIES' && code === 0) {
+      const { entities, next } = readEntities(pairs, i, result);
+      result.entities.push(...entities);
+      i = next;
+    } else {
+      i++;
+    }
+  }
+
+  // Layers used without a table entry
+  const known = new Set(result.layers.map(layer => layer.name));
+  result.entities.forEach(entity => {
+    if (!known.has(entity.layer)) {
+      known.add(entity.layer);
+      result.layers.push({ name: entity.layer, color: 7, visible: true });
+    }
+  });
+  return result;
+}
+
+// 2D affine transforms as [a, b, c, d, e, f]: (x, y) → (a x + c y + e, b x + d y + f)
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]
+];
+const apply = (m, p) => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] });
+const insertTransform = (insert, base) => {
+  const angle = (insert.rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const { x: sx, y: sy } = insert.scale;
+  return multiply(
+    [cos * sx, sin * sx, -sin * sy, cos * sy, insert.position.x, insert.position.y],
+    [1, 0, 0, 1, -base.x, -base.y]
+  );
+};
+
+/**
+ * Extents of the parsed drawing in drawing units, inserts resolved
+ * @returns {{ minX, minY, maxX, maxY }|null}
+ */
+export function dxfExtents(parsed) {
+  const primitives = explodeDxf(parsed, { scale: 1 });
+  const points = primitives.flatMap(primitive => (primitive.type === 'text' ? [primitive.position] : primitive.points));
+  if (points.length === 0) return null;
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    maxX: Math.max(...points.map(p => p.x)),
+    minY: Math.min(...points.map(p => -p.z)),
+    maxY: Math.max(...points.map(p => -p.z))
+  };
+}
+
+/**
+ * Units of a drawing: from $INSUNITS when set, otherwise guessed from its size (a
+ * building drawn in mm is thousands of units across)
+ * @returns {{ name: string, scale: number, detected: 'header'|'extents' }} scale in metres per unit
+ */
+export function detectDxfUnits(parsed) {
+  const units = DXF_UNITS[parsed.insUnits];
+  if (units) return { ...units, detected: 'header' };
+  const extents = dxfExtents(parsed);
+  const size = extents ? Math.max(extents.maxX - extents.minX, extents.maxY - extents.minY) : 0;
+  return { ...(size > 1000 ? DXF_UNITS[4] : DXF_UNITS[6]), detected: 'extents' };
+}
+
+/**
+ * Resolve block inserts and convert a parsed drawing to plan primitives in metres
+ * @param {Object} parsed - from parseDxf
+ * @param {Object} options - { scale: metres per drawing unit, layers: names to keep (default all) }
+ * @returns {Array<Object>} [{ type: 'polyline', layer, points: [{ x, z, bulge }], closed }
+ *   | { type: 'text', layer, position: { x, z }, height, rotation, text }]
+ *   rotation in radians, counterclockwise as seen on the plan
+ */
+export function explodeDxf(parsed, options = {}) {
+  const scale = options.scale ?? 1;
+  const keep = options.layers ? new Set(options.layers) : null;
+  const primitives = [];
+  const toPlan = p => ({ x: p.x * scale, z: -p.y * scale });
+
+  const emit = (entity, matrix, layer) => {
+    if (primitives.length >= MAX_PRIMITIVES) return;
+    if (keep && !keep.has(layer)) return;
+    // Mirrored inserts reverse arcs; the y flip into the plan reverses them once more
+    const mirror = Math.sign(matrix[0] * matrix[3] - matrix[1] * matrix[2]) || 1;
+    const unit = Math.hypot(matrix[0], matrix[1]);
+    const polyline = (points, closed) => primitives.push({
+      type: 'polyline',
+      layer,
+      points: points.map(p => ({ ...toPlan(apply(matrix, p)), bulge: -mirror * (p.bulge || 0) })),
+      closed
+    });
+
+    switch (entity.type) {
+      case 'line':
+        polyline([entity.start, entity.end], false);
+        break;
+      case 'polyline':
+        if (entity.points.length >= 2) polyline(entity.points, entity.closed);
+        break;
+      case 'arc': {
+        const sweep = ((entity.endAngle - entity.startAngle) % 360 + 360) % 360 || 360;
+        const at = angle => ({
+          x: entity.center.x + entity.radius * Math.cos((angle * Math.PI) / 180),
+          y: entity.center.y + entity.radius * Math.sin((angle * Math.PI) / 180)
+        });
+        if (sweep >= FULL_CIRCLE) {
+          emit({ type: 'circle', center: entity.center, radius: entity.radius }, matrix, layer);
+        } else {
+          polyline([{ ...at(entity.startAngle), bulge: Math.tan((sweep * Math.PI) / 720) }, at(entity.endAngle)], false);
+        }
+        break;
+      }
+      case 'circle': {
+        const { center, radius } = entity;
+        polyline([{ x: center.x + radius, y: center.y, bulge: 1 }, { x: center.x - radius, y: center.y, bulge: 1 }], true);
+        break;
+      }
+      case 'text':
+        if (!entity.text) break;
+        primitives.push({
+          type: 'text',
+          layer,
+          position: toPlan(apply(matrix, entity.position)),
+          height: entity.height * unit * scale,
+          rotation: (entity.rotation * Math.PI) / 180 + Math.atan2(matrix[1], matrix[0]),
+          text: entity.text
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const walk = (entities, matrix, depth, parentLayer) => {
+    entities.forEach(entity => {
+      // Entities on layer 0 inside a block take the layer of the insert
+      const layer = entity.layer === '0' && parentLayer ? parentLayer : entity.layer;
+      if (entity.type !== 'insert') {
+        emit(entity, matrix, layer);
+        return;
+      }
+      const block = parsed.blocks[entity.block];
+      if (!block || depth >= MAX_INSERT_DEPTH) return;
+      walk(block.entities, multiply(matrix, insertTransform(entity, block.base)), depth + 1, layer);
+    });
+  };
+  walk(parsed.entities, IDENTITY, 0, null);
+  return primitives;
+}
+
+/**
+ * Normalize a reference underlay: an imported drawing shown under one level's plan
+ * @param {Object} params - { id, name, levelId, visible, opacity, units, scale, layers, primitives }
+ */
+export function createUnderlay(params = {}) {
+  return {
+    id: params.id || `underlay_${Math.random().toString(36).slice(2, 10)}`,
+    name: params.name || 'Underlay',
+    levelId: params.levelId || null,
+    visible: params.visible !== false,
+    opacity: Number.isFinite(Number(params.opacity)) ? Math.max(0.1, Math.min(1, Number(params.opacity))) : 0.6,
+    units: params.units || 'm',
+    scale: Number(params.scale) > 0 ? Number(params.scale) : 1,
+    layers: (params.layers || []).map(layer => ({ name: String(layer.name), color: layer.color ?? 7, visible: layer.visible !== false })),
+    primitives: params.primitives || []
+  };
+}
+
+/**
+ * Segments of an underlay polyline as wall definitions: { start, end, bulge }
+ */
+export function polylineSegments(primitive) {
+  const { points, closed } = primitive;
+  const count = closed ? points.length : points.length - 1;
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const start = points[i];
+    const end = points[(i + 1) % points.length];
+    if (Math.hypot(end.x - start.x, end.z - start.z) < 1e-6) continue;
+    segments.push({ start: { x: start.x, z: start.z }, end: { x: end.x, z: end.z }, bulge: start.bulge || 0 });
+  }
+  return segments;
+}
+
+/**
+ * Points along an underlay polyline with its arcs tessellated, for drawing
+ */
+export function polylinePoints(primitive) {
+  const segments = polylineSegments(primitive);
+  if (segments.length === 0) return primitive.points.map(p => ({ x: p.x, z: p.z }));
+  return segments.flatMap((segment, index) => {
+    const samples = segment.bulge
+      ? sampleWall(segment.start, segment.end, segment.bulge).map(sample => sample.point)
+      : [segment.start, segment.end];
+    return index === 0 ? samples : samples.slice(1);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+const WRITE_UNITS = { mm: { code: 4, scale: 1000 }, cm: { code: 5, scale: 100 }, m: { code: 6, scale: 1 } };
+
+/**
+ * Aligned dimension as plain entities, since R12 readers differ in how they rebuild
+ * dimension blocks: extension lines, the dimension line with oblique ticks and the text
+ * @param {Object} dimension - { start, end, offset, text, textHeight } in plan metres; offset is
+ *   the distance of the dimension line along n = (d.z, -d.x) of the measured direction d
+ * @returns {Array<Object>} Entities for createDxf
+ */
+export function dimensionEntities(dimension, layer = PLAN_LAYERS.dimensions.name) {
+  const { start, end, offset = 1, textHeight = 0.18 } = dimension;
+  const length = Math.hypot(end.x - start.x, end.z - start.z);
+  if (length < 1e-6) return [];
+  const d = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+  const n = { x: d.z, z: -d.x };
+  const side = Math.sign(offset) || 1;
+  const at = (p, distance) => ({ x: p.x + n.x * distance, z: p.z + n.z * distance });
+  const a = at(start, offset);
+  const b = at(end, offset);
+  const gap = 0.05 * side;
+  const tick = 0.1;
+  const oblique = { x: (d.x + n.x) * tick * Math.SQRT1_2, z: (d.z + n.z) * tick * Math.SQRT1_2 };
+
+  // Readable from the bottom or the right of the sheet
+  let rotation = (Math.atan2(-d.z, d.x) * 180) / Math.PI;
+  if (rotation > 90.001) rotation -= 180;
+  else if (rotation <= -90) rotation += 180;
+
+  const mid = { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 };
+  return [
+    { type: 'line', layer, start: at(start, gap), end: at(start, offset + side * tick) },
+    { type: 'line', layer, start: at(end, gap), end: at(end, offset + side * tick) },
+    { type: 'line', layer, start: a, end: b },
+    ...[a, b].map(p => ({ type: 'line', layer, start: { x: p.x - oblique.x, z: p.z - oblique.z }, end: { x: p.x + oblique.x, z: p.z + oblique.z } })),
+    {
+      type: 'text',
+      layer,
+      position: at(mid, side * textHeight * 0.9),
+      height: textHeight,
+      text: dimension.text ?? length.toFixed(2),
+      rotation,
+      align: 'center'
+    }
+  ];
+}
+
+const dxfNumber = value => (Number.isFinite(value) ? String(+value.toFixed(6)) : '0');
+// R12 text is 8-bit; other characters are written as \U+XXXX escapes
+const dxfText = text => Array.from(String(text).replace(/[\r\n]+/g, ' '), char => {
+  const code = char.codePointAt(0);
+  return code < 128 ? char : `\\U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
+}).join('');
+
+/**
+ * Write an R12 DXF
+ * @param {Object} drawing - { layers: [{ name, color, linetype }], entities }; entities in plan
+ *   metres: { type: 'line', layer, start, end } | { type: 'polyline', layer, points: [{ x, z, bulge }], closed }
+ *   | { type: 'circle', layer, center, radius } | { type: 'arc', layer, center, radius, startAngle, endAngle }
+ *   (degrees, counterclockwise on the plan) | { type: 'text', layer, position, height, text, rotation, align }
+ * @param {Object} options - { units: 'mm' | 'cm' | 'm' }
+ * @returns {string}
+ */
+export function createDxf(drawing, options = {}) {
+  const units = WRITE_UNITS[options.units] || WRITE_UNITS.mm;
+  const k = units.scale;
+  const out = [];
+  const pair = (code, value) => out.push(String(code), typeof value === 'number' ? dxfNumber(value) : String(value));
+  const xy = (p, code = 10) => {
+    pair(code, p.x * k);
+    pair(code + 10, -p.z * k);
+    pair(code + 20, 0);
+  };
+
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$ACADVER'); pair(1, 'AC1009');
+  pair(9, '$INSUNITS'); pair(70, units.code);
+  pair(9, '$MEASUREMENT'); pair(70, 1);
+  pair(0, 'ENDSEC');
+
+  // Grid lines use a chain (center) line: 1.2 m dash, 0.3 m gap, 0.15 m dot, 0.3 m gap
+  const center = [1.2, -0.3, 0.15, -0.3];
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 2);
+  pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0); pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, 0);
+  pair(0, 'LTYPE'); pair(2, 'CENTER'); pair(70, 0); pair(3, 'Center ____ _ ____ _'); pair(72, 65);
+  pair(73, center.length); pair(40, center.reduce((sum, value) => sum + Math.abs(value), 0) * k);
+  center.forEach(value => pair(49, value * k));
+  pair(0, 'ENDTAB');
+  const layers = [{ name: '0', color: 7 }, ...(drawing.layers || []).filter(layer => layer.name !== '0')];
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, layers.length);
+  layers.forEach(layer => {
+    pair(0, 'LAYER'); pair(2, layer.name); pair(70, 0); pair(62, layer.color || 7); pair(6, layer.linetype || 'CONTINUOUS');
+  });
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'BLOCKS'); pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+  (drawing.entities || []).forEach(entity => {
+    const layer = entity.layer || '0';
+    switch (entity.type) {
+      case 'line':
+        pair(0, 'LINE'); pair(8, layer); xy(entity.start); xy(entity.end, 11);
+        break;
+      case 'polyline':
+        pair(0, 'POLYLINE'); pair(8, layer); pair(66, 1); xy({ x: 0, z: 0 }); pair(70, entity.closed ? 1 : 0);
+        entity.points.forEach(p => {
+          pair(0, 'VERTEX'); pair(8, layer); xy(p);
+          // The y flip turns the plan's bulge direction around
+          if (p.bulge) pair(42, -p.bulge);
+        });
+        pair(0, 'SEQEND'); pair(8, layer);
+        break;
+      case 'circle':
+        pair(0, 'CIRCLE'); pair(8, layer); xy(entity.center); pair(40, entity.radius * k);
+        break;
+      case 'arc':
+        pair(0, 'ARC'); pair(8, layer); xy(entity.center); pair(40, entity.radius * k);
+        pair(50, entity.startAngle); pair(51, entity.endAngle);
+        break;
+      case 'text':
+        pair(0, 'TEXT'); pair(8, layer); xy(entity.position); pair(40, entity.height * k);
+        pair(1, dxfText(entity.text));
+        if (entity.rotation) pair(50, entity.rotation);
+        if (entity.align === 'center') {
+          pair(72, 1); xy(entity.position, 11); pair(73, 2);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return `${out.join('\n')}\n`;
+}
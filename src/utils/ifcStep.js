@@ -0,0 +1,322 @@
+/**
+ * IFC STEP (ISO 10303-21) helpers
+ *
+ * Low-level encoding shared by the IFC exporter and importer: typed argument
+ * values, string/real formatting, deterministic IFC GlobalIds, an entity writer
+ * that produces a complete STEP physical file and a reader that parses one back
+ * into entity instances.
+ */
+
+const GUID_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_$';
+
+/**
+ * Tagged argument values. Plain JS values map as:
+ *   string -> 'STRING', number -> REAL, boolean -> .T./.F., null/undefined -> $, array -> (list)
+ */
+export const ref = (id) => ({ stepKind: 'ref', id });
+export const enumValue = (name) => ({ stepKind: 'enum', name: String(name).toUpperCase() });
+export const typedValue = (type, value) => ({ stepKind: 'typed', type: String(type).toUpperCase(), value });
+export const int = (value) => ({ stepKind: 'int', value: Math.round(value) });
+export const DERIVED = { stepKind: 'derived' };
+
+/**
+ * Format a number as a STEP REAL (always carries a decimal point)
+ */
+export function formatReal(value) {
+  if (!Number.isFinite(value)) return '0.';
+  const rounded = Math.abs(value) < 1e-9 ? 0 : Number(value.toFixed(6));
+  let text = String(rounded).toUpperCase();
+  if (text.includes('E')) {
+    const [mantissa, exponent] = text.split('E');
+    return `${mantissa.includes('.') ? mantissa : `${mantissa}.`}E${exponent}`;
+  }
+  return text.includes('.') ? text : `${text}.`;
+}
+
+/**
+ * Encode a JS string as a STEP string literal (quotes, backslashes and non-ASCII escaped)
+ */
+export function encodeString(value) {
+  let encoded = '';
+  for (const char of String(value)) {
+    const code = char.codePointAt(0);
+    if (char === "'") {
+      encoded += "''";
+    } else if (char === '\\') {
+      encoded += '\\\\';
+    } else if (code >= 32 && code <= 126) {
+      encoded += char;
+    } else if (code <= 0xffff) {
+      encoded += `\\X2\\${code.toString(16).toUpperCase().padStart(4, '0')}\\X0\\`;
+    } else {
+      encoded += `\\X4\\${code.toString(16).toUpperCase().padStart(8, '0')}\\X0\\`;
+    }
+  }
+  return `'${encoded}'`;
+}
+
+/**
+ * Serialize a single entity argument
+ */
+export function serializeArgument(value) {
+  if (value === null || value === undefined) return '$';
+  if (Array.isArray(value)) return `(${value.map(serializeArgument).join(',')})`;
+  if (typeof value === 'boolean') return value ? '.T.' : '.F.';
+  if (typeof value === 'number') return formatReal(value);
+  if (typeof value === 'string') return encodeString(value);
+
+  switch (value.stepKind) {
+    case 'ref':
+      return `#${value.id}`;
+    case 'enum':
+      return `.${value.name}.`;
+    case 'int':
+      return String(value.value);
+    case 'derived':
+      return '*';
+    case 'typed':
+      return `${value.type}(${serializeArgument(value.value)})`;
+    default:
+      throw new Error(`Unsupported STEP argument: ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Create a 22-character IFC GlobalId. The same seed always yields the same id,
+ * so repeated exports of an unchanged model keep stable GUIDs.
+ */
+export function createIfcGuid(seed = null) {
+  const bytes = new Array(16);
+
+  if (seed === null || seed === undefined) {
+    for (let i = 0; i < 16; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  } else {
+    // Four FNV-1a passes with different offsets give 128 bits of hash
+    const text = String(seed);
+    for (let word = 0; word < 4; word++) {
+      let hash = (0x811c9dc5 ^ Math.imul(word + 1, 0x9e3779b1)) >>> 0;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+      bytes[word * 4] = (hash >>> 24) & 0xff;
+      bytes[word * 4 + 1] = (hash >>> 16) & 0xff;
+      bytes[word * 4 + 2] = (hash >>> 8) & 0xff;
+      bytes[word * 4 + 3] = hash & 0xff;
+    }
+  }
+
+  // IFC compression: first character carries 2 bits, the remaining 21 carry 6 bits each
+  let guid = GUID_CHARS[bytes[0] >> 6];
+  let buffer = bytes[0] & 0x3f;
+  let bits = 6;
+  for (let i = 1; i < 16; i++) {
+    buffer = (buffer << 8) | bytes[i];
+    bits += 8;
+    while (bits >= 6) {
+      bits -= 6;
+      guid += GUID_CHARS[(buffer >> bits) & 0x3f];
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  return guid;
+}
+
+/**
+ * Accumulates entity instances and writes the STEP physical file
+ */
+export class StepWriter {
+  constructor() {
+    this.entities = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Add an entity instance and return a reference to it
+   */
+  add(type, args = []) {
+    const id = this.nextId++;
+    this.entities.push(`#${id}=${type.toUpperCase()}(${args.map(serializeArgument).join(',')});`);
+    return ref(id);
+  }
+
+  get count() {
+    return this.entities.length;
+  }
+
+  /**
+   * Produce the complete file including HEADER section
+   */
+  toString({
+    schema = 'IFC4',
+    fileName = 'model.ifc',
+    description = 'ViewDefinition [ReferenceView_V1.2]',
+    author = '',
+    organization = '',
+    application = 'StudioSix Pro',
+    timestamp = new Date().toISOString().split('.')[0]
+  } = {}) {
+    const header = [
+      'ISO-10303-21;',
+      'HEADER;',
+      `FILE_DESCRIPTION((${encodeString(description)}),'2;1');`,
+      `FILE_NAME(${encodeString(fileName)},${encodeString(timestamp)},(${encodeString(author)}),(${encodeString(organization)}),${encodeString(application)},${encodeString(application)},'');`,
+      `FILE_SCHEMA((${encodeString(schema)}));`,
+      'ENDSEC;',
+      'DATA;'
+    ];
+    return [...header, ...this.entities, 'ENDSEC;', 'END-ISO-10303-21;', ''].join('\n');
+  }
+}
+
+/**
+ * Decode a STEP string literal body (without the surrounding quotes)
+ */
+export function decodeString(raw) {
+  let result = '';
+  let i = 0;
+  while (i < raw.length) {
+    const char = raw[i];
+    if (char === "'" && raw[i + 1] === "'") {
+      result += "'";
+      i += 2;
+    } else if (char === '\\' && raw[i + 1] === '\\') {
+      result += '\\';
+      i += 2;
+    } else if (raw.startsWith('\\X2\\', i) || raw.startsWith('\\X4\\', i)) {
+      const width = raw[i + 2] === '2' ? 4 : 8;
+      const end = raw.indexOf('\\X0\\', i + 4);
+      const hex = raw.slice(i + 4, end === -1 ? raw.length : end);
+      for (let j = 0; j + width <= hex.length; j += width) {
+        result += String.fromCodePoint(parseInt(hex.slice(j, j + width), 16));
+      }
+      i = end === -1 ? raw.length : end + 4;
+    } else if (raw.startsWith('\\X\\', i)) {
+      result += String.fromCharCode(parseInt(raw.slice(i + 3, i + 5), 16));
+      i += 5;
+    } else if (raw.startsWith('\\S\\', i)) {
+      result += String.fromCharCode(raw.charCodeAt(i + 3) + 128);
+      i += 4;
+    } else if (raw.startsWith('\\P', i) && raw[i + 3] === '\\') {
+      // Code page switch - no character of its own
+      i += 4;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse one argument list starting at the opening parenthesis.
+ * Returns [values, indexAfterClosingParenthesis].
+ */
+function parseArgumentList(text, start) {
+  const values = [];
+  let i = start + 1;
+
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  while (i < text.length) {
+    skipWhitespace();
+    const char = text[i];
+
+    if (char === ')') {
+      return [values, i + 1];
+    }
+    if (char === ',') {
+      i++;
+      continue;
+    }
+
+    if (char === '(') {
+      const [list, next] = parseArgumentList(text, i);
+      values.push(list);
+      i = next;
+    } else if (char === "'") {
+      let j = i + 1;
+      while (j < text.length) {
+        if (text[j] === "'" && text[j + 1] === "'") {
+          j += 2;
+        } else if (text[j] === "'") {
+          break;
+        } else {
+          j++;
+        }
+      }
+      values.push(decodeString(text.slice(i + 1, j)));
+      i = j + 1;
+    } else if (char === '#') {
+      const match = /^#(\d+)/.exec(text.slice(i, i + 20));
+      values.push(ref(Number(match[1])));
+      i += match[0].length;
+    } else if (char === '$') {
+      values.push(null);
+      i++;
+    } else if (char === '*') {
+      values.push(DERIVED);
+      i++;
+    } else if (char === '.') {
+      const end = text.indexOf('.', i + 1);
+      const name = text.slice(i + 1, end).toUpperCase();
+      if (name === 'T') values.push(true);
+      else if (name === 'F') values.push(false);
+      else if (name === 'U') values.push(null);
+      else values.push(enumValue(name));
+      i = end + 1;
+    } else if (/[A-Za-z]/.test(char)) {
+      // Typed value, e.g. IFCLABEL('Name')
+      const match = /^[A-Za-z0-9_]+/.exec(text.slice(i, i + 80));
+      i += match[0].length;
+      skipWhitespace();
+      const [inner, next] = parseArgumentList(text, i);
+      values.push(typedValue(match[0], inner[0]));
+      i = next;
+    } else {
+      const match = /^[-+]?(\d+\.?\d*|\.\d+)([Ee][-+]?\d+)?/.exec(text.slice(i, i + 40));
+      if (!match) {
+        throw new Error(`Unexpected STEP token '${char}' at ${i}`);
+      }
+      values.push(Number(match[0]));
+      i += match[0].length;
+    }
+  }
+
+  throw new Error('Unterminated STEP argument list');
+}
+
+/**
+ * Parse a STEP physical file into entity instances
+ * @returns {{ schema: string|null, entities: Map<number, {id, type, args}> }}
+ */
+export function parseStepFile(text) {
+  const schemaMatch = /FILE_SCHEMA\s*\(\s*\(\s*'([^']*)'/i.exec(text);
+  const dataStart = text.search(/\bDATA\s*;/i);
+  const entities = new Map();
+
+  if (dataStart === -1) {
+    return { schema: schemaMatch ? schemaMatch[1].toUpperCase() : null, entities };
+  }
+
+  const instancePattern = /#(\d+)\s*=\s*([A-Za-z0-9_]+)\s*\(/g;
+  instancePattern.lastIndex = dataStart;
+  let match;
+
+  while ((match = instancePattern.exec(text)) !== null) {
+    const open = instancePattern.lastIndex - 1;
+    try {
+      const [args, next] = parseArgumentList(text, open);
+      entities.set(Number(match[1]), { id: Number(match[1]), type: match[2].toUpperCase(), args });
+      instancePattern.lastIndex = next;
+    } catch (error) {
+      console.warn(`⚠️ STEP: Failed to parse #${match[1]} ${match[2]}:`, error.message);
+    }
+  }
+
+  return { schema: schemaMatch ? schemaMatch[1].toUpperCase() : null, entities };
+}
@@ -0,0 +1,129 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Covers the draft-07 subset used by StudioSix schemas: type, enum, const, required,
+ * properties, additionalProperties, items, minimum/maximum, minLength, minItems,
+ * pattern, anyOf/oneOf and local $ref (#/definitions/... or #/$defs/...).
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+};
+
+function validateNode(value, schema, root, path, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, path, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, root, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key] !== undefined) {
+        validateNode(value[key], properties[key], root, childPath, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        validateNode(value[key], schema.additionalProperties, root, childPath, errors);
+      }
+    });
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const passing = options.filter(option => {
+      const optionErrors = [];
+      validateNode(value, option, root, path, optionErrors);
+      return optionErrors.length === 0;
+    }).length;
+
+    if (passing === 0 || (schema.oneOf && passing > 1)) {
+      errors.push({ path, message: schema.oneOf ? 'must match exactly one schema' : 'must match at least one schema' });
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as a single readable line
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path || '(root)'} ${error.message}`).join('; ');
+}
@@ -0,0 +1,26 @@
+/**
+ * Material hatching
+ *
+ * Which hatch pattern a material is drawn with where it is cut: the wall layers in plan
+ * (StandaloneCADEngine.createMaterialHatching) and the poché of section views
+ * (utils/sectionViews) read the same table so the two drawings agree.
+ */
+
+export const HATCH_PATTERNS = {
+  concrete: { pattern: 'dots', color: '#666666', opacity: 0.5 },
+  brick: { pattern: 'diagonal', angle: 45, color: '#888888', opacity: 0.3 },
+  wood: { pattern: 'horizontal', color: '#996633', opacity: 0.4 },
+  steel: { pattern: 'cross', color: '#888888', opacity: 0.3 },
+  stone: { pattern: 'random', color: '#777777', opacity: 0.3 }
+};
+
+// Light diagonal lines at twice the spacing for everything else
+export const DEFAULT_HATCH = { pattern: 'diagonal', angle: 30, spacingScale: 2, color: '#888888', opacity: 0.3 };
+
+/**
+ * Hatch of a material: { pattern, angle, spacingScale, color, opacity }
+ * pattern is one of dots | diagonal | horizontal | cross | random
+ */
+export function materialHatch(material) {
+  return { angle: 0, spacingScale: 1, ...(HATCH_PATTERNS[material] || DEFAULT_HATCH) };
+}
@@ -0,0 +1,78 @@
+/**
+ * Minimal PDF writer
+ *
+ * Packs pages of vector drawing operators (PDF content streams) into an uncompressed
+ * PDF 1.4 file with the standard Helvetica fonts, so drawings export as true vector PDF
+ * without a PDF dependency. Text is limited to the WinAnsi (Latin-1) character set.
+ */
+
+export const MM_TO_PT = 72 / 25.4;
+
+// Resource names the content streams use for the two fonts
+export const PDF_FONTS = { regular: 'F1', bold: 'F2' };
+
+/**
+ * Number for a content stream: fixed precision, no exponent, no trailing zeros
+ */
+export function pdfNumber(value, precision = 3) {
+  if (!Number.isFinite(value)) return '0';
+  const text = value.toFixed(precision).replace(/\.?0+$/, '');
+  return text === '-0' ? '0' : text;
+}
+
+/**
+ * Literal string operand, e.g. (Ground Floor); characters outside Latin-1 become '?'
+ */
+export function pdfString(text) {
+  const latin1 = Array.from(String(text), char => (char.codePointAt(0) < 256 ? char : '?')).join('');
+  return `(${latin1.replace(/[\\()]/g, match => `\\${match}`).replace(/\r/g, '\\r').replace(/\n/g, '\\n')})`;
+}
+
+const toBytes = text => Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+
+/**
+ * Build a PDF document
+ * @param {Array<{ width: number, height: number, content: string }>} pages - Size in points and content stream
+ * @param {Object} info - Document information: { title, author, creator }
+ * @returns {Uint8Array} File contents
+ */
+export function createPdfDocument(pages, info = {}) {
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoEntries = [
+    info.title && `/Title ${pdfString(info.title)}`,
+    info.author && `/Author ${pdfString(info.author)}`,
+    `/Creator ${pdfString(info.creator || 'StudioSix Pro')}`
+  ].filter(Boolean);
+  const infoObject = add(`<< ${infoEntries.join(' ')} >>`);
+
+  const pageIds = pages.map(page => {
+    const content = toBytes(page.content);
+    const contentId = add(`<< /Length ${content.length} >>\nstream\n${page.content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${pdfNumber(page.width)} ${pdfNumber(page.height)}] `
+      + `/Resources << /Font << /${PDF_FONTS.regular} ${regular} 0 R /${PDF_FONTS.bold} ${bold} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n%âãÏÓ\n';
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoObject} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return toBytes(output);
+}
@@ -14,6 +14,13 @@ class ProjectHistoryIntegration {
     this.autoSaveInterval = 30000; // 30 seconds
     this.autoSaveTimer = null;
     this.lastAutoSave = 0;
+    this.sceneLoader = null;
+  }
+
+  // Register the function that rebuilds the scene from a saved scene document
+  // (e.g. StandaloneCADEngine.loadSceneDocument)
+  setSceneLoader(loader) {
+    this.sceneLoader = loader;
   }
 
   // Save project with command history
@@ -94,6 +101,16 @@ class ProjectHistoryIntegration {
       // Validate loaded data
       this.validateLoadData(projectData);
 
+      // Rebuild the scene before restoring history so undo applies to the loaded objects
+      let sceneLoaded = false;
+      if (projectData.sceneDocument && this.sceneLoader) {
+        const result = await this.sceneLoader(projectData, { restoreHistory: false });
+        sceneLoaded = result?.success !== false;
+        if (!sceneLoaded) {
+          console.warn('Failed to load scene document:', result?.message);
+        }
+      }
+
       // Load command history if available and requested
       if (loadHistory && projectData.commandHistory) {
         try {
@@ -111,7 +128,8 @@ class ProjectHistoryIntegration {
       // Emit load event
       this.emitSaveEvent('projectLoaded', {
         projectData,
-        historyLoaded: loadHistory && !!projectData.commandHistory
+        historyLoaded: loadHistory && !!projectData.commandHistory,
+        sceneLoaded
       });
 
       console.log('Project loaded successfully');
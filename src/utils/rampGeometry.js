@@ -0,0 +1,262 @@
+/**
+ * Ramp geometry
+ *
+ * Sloped ramps between two floors: a straight ramp, or a switchback ramp whose runs turn
+ * back on themselves at each landing. The length follows from the rise and the gradient,
+ * and is split into equal runs so no run is longer than the landing interval. Runs,
+ * landings, curbs and handrails are checked against accessibility rules by validateRamp.
+ * Plan coordinates are local x/z in metres. The bottom of the first run is centred on the
+ * origin and the ramp climbs towards +z; switchbacks step sideways to -x when turning right.
+ * Heights (y) are measured from the bottom floor.
+ */
+
+export const RAMP_TYPES = ['straight', 'switchback'];
+
+export const DEFAULT_RAMP_RULES = {
+  maxGradient: 1 / 12, // rise over run
+  maxRunLength: 9, // m, horizontal length between landings
+  maxRunRise: 0.75, // m, rise between landings
+  minLandingLength: 1.5, // m, in the direction of travel
+  minWidth: 1.0, // m
+  handrailRise: 0.15, // m, runs rising more need handrails on both sides
+  minCurbHeight: 0.05 // m, edge protection where there are no rails
+};
+
+const DEFAULT_TOTAL_RISE = 1;
+const DEFAULT_GRADIENT = 1 / 12;
+const DEFAULT_WIDTH = 1.2;
+const DEFAULT_LANDING_INTERVAL = 9;
+const DEFAULT_LANDING_LENGTH = 1.5;
+const DEFAULT_WELL_WIDTH = 0.1;
+const DEFAULT_CURB_HEIGHT = 0.1;
+const DEFAULT_HANDRAIL_HEIGHT = 0.9;
+
+const positive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+const point = (x, z) => ({ x, z });
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Ramp settings with defaults filled in. The gradient comes from params.gradient (rise over
+ * run), else params.grade (%), else the rise over params.depth (the length of older ramps).
+ * @param {Object} params - { rampType, totalRise | height, gradient | grade, width, turn, ... }
+ * @returns {Object}
+ */
+export function resolveRampParams(params = {}) {
+  const type = RAMP_TYPES.includes(params.rampType) ? params.rampType : 'straight';
+  const totalRise = positive(params.totalRise, positive(params.height, DEFAULT_TOTAL_RISE));
+  const gradient = positive(params.gradient, 0)
+    || positive(params.grade, 0) / 100
+    || (positive(params.depth, 0) ? totalRise / params.depth : DEFAULT_GRADIENT);
+
+  return {
+    type,
+    totalRise,
+    gradient,
+    width: positive(params.width, DEFAULT_WIDTH),
+    landingInterval: positive(params.landingInterval, DEFAULT_LANDING_INTERVAL),
+    landingLength: positive(params.landingLength, DEFAULT_LANDING_LENGTH),
+    wellWidth: positive(params.wellWidth, DEFAULT_WELL_WIDTH),
+    turn: params.turn === 'left' ? 'left' : 'right',
+    hasCurbs: params.hasCurbs !== false,
+    curbHeight: positive(params.curbHeight, DEFAULT_CURB_HEIGHT),
+    hasHandrail: params.hasHandrail !== false,
+    handrailHeight: positive(params.handrailHeight, DEFAULT_HANDRAIL_HEIGHT)
+  };
+}
+
+/**
+ * Generate a ramp: its sloped runs, the landings between them and the curb and handrail
+ * lines along both sides
+ * @param {Object} params - see resolveRampParams
+ * @returns {Object} { type, totalRise, gradient, grade, width, runs, landings, rampLength,
+ *   travelLength, curbs: [{ side, points3D }], handrails: [{ side, points3D }], walkline, bounds }
+ */
+export function generateRamp(params = {}) {
+  const settings = resolveRampParams(params);
+  const { type, totalRise, gradient, width, landingLength } = settings;
+  const rampLength = totalRise / gradient;
+  const runCount = Math.max(1, Math.ceil(rampLength / settings.landingInterval - 1e-9));
+  const runLength = rampLength / runCount;
+  const runRise = totalRise / runCount;
+  const shift = (settings.turn === 'right' ? -1 : 1) * (width + settings.wellWidth);
+  const half = width / 2;
+
+  // Runs: straight ramps continue along +z past each landing, switchbacks alternate +z/-z
+  const runs = [];
+  for (let i = 0; i < runCount; i++) {
+    const switchback = type === 'switchback';
+    const direction = switchback && i % 2 === 1 ? -1 : 1;
+    const x = switchback ? i * shift : 0;
+    const startZ = switchback ? (direction === 1 ? 0 : runLength) : i * (runLength + landingLength);
+    const endZ = startZ + direction * runLength;
+    runs.push({
+      index: i,
+      kind: 'run',
+      direction: point(0, direction),
+      start: point(x, startZ),
+      end: point(x, endZ),
+      // Left and right of the direction of travel
+      left: [point(x + direction * half, startZ), point(x + direction * half, endZ)],
+      right: [point(x - direction * half, startZ), point(x - direction * half, endZ)],
+      points: [
+        point(x - direction * half, startZ), point(x + direction * half, startZ),
+        point(x + direction * half, endZ), point(x - direction * half, endZ)
+      ],
+      length: runLength,
+      rise: runRise,
+      startElevation: i * runRise,
+      endElevation: (i + 1) * runRise
+    });
+  }
+
+  // Landings between consecutive runs; a switchback landing spans both runs
+  const landings = runs.slice(0, -1).map((run, i) => {
+    const next = runs[i + 1];
+    const farZ = run.end.z + run.direction.z * landingLength;
+    if (type === 'straight') {
+      return {
+        index: i,
+        kind: 'landing',
+        points: [point(-half, run.end.z), point(half, run.end.z), point(half, farZ), point(-half, farZ)],
+        elevation: run.endElevation,
+        length: landingLength,
+        width
+      };
+    }
+    const minX = Math.min(run.end.x, next.start.x) - half;
+    const maxX = Math.max(run.end.x, next.start.x) + half;
+    return {
+      index: i,
+      kind: 'landing',
+      points: [point(minX, run.end.z), point(maxX, run.end.z), point(maxX, farZ), point(minX, farZ)],
+      elevation: run.endElevation,
+      length: landingLength,
+      width: maxX - minX
+    };
+  });
+
+  // Edge lines follow each side of the runs; on the outside of a turn they go round the landing
+  const edgeLine = (side, height) => runs.flatMap((run, i) => {
+    const line = run[side].map((p, j) => ({ x: p.x, y: (j === 0 ? run.startElevation : run.endElevation) + height, z: p.z }));
+    const next = runs[i + 1];
+    if (type !== 'switchback' || !next) return line;
+    const last = run[side][1];
+    const outside = (last.x - run.end.x) * (next.start.x - run.end.x) < 0;
+    if (!outside) return line;
+    const farZ = run.end.z + run.direction.z * landingLength;
+    const nextSide = next[side][0];
+    const y = run.endElevation + height;
+    return [...line, { x: last.x, y, z: farZ }, { x: nextSide.x, y, z: farZ }];
+  });
+  const sides = ['left', 'right'];
+  const curbs = settings.hasCurbs ? sides.map(side => ({ side, points3D: edgeLine(side, 0) })) : [];
+  const handrails = settings.hasHandrail
+    ? sides.map(side => ({ side, points3D: edgeLine(side, settings.handrailHeight) }))
+    : [];
+
+  // Walkline up the middle of the runs, across the middle of the landings
+  const walkline = runs.flatMap((run, i) => {
+    const line = [run.start, run.end];
+    const landing = landings[i];
+    if (!landing || type !== 'switchback') return line;
+    const middleZ = run.end.z + run.direction.z * landingLength / 2;
+    return [...line, point(run.end.x, middleZ), point(runs[i + 1].start.x, middleZ)];
+  });
+
+  const allPoints = [...runs, ...landings].flatMap(part => part.points);
+  const travelLength = rampLength + landings.length * landingLength;
+
+  return {
+    type,
+    totalRise,
+    gradient,
+    grade: round(gradient * 100, 2),
+    width,
+    runs,
+    landings,
+    rampLength,
+    travelLength,
+    curbs,
+    curbHeight: settings.hasCurbs ? settings.curbHeight : 0,
+    handrails,
+    walkline,
+    bounds: {
+      minX: Math.min(...allPoints.map(p => p.x)),
+      maxX: Math.max(...allPoints.map(p => p.x)),
+      minZ: Math.min(...allPoints.map(p => p.z)),
+      maxZ: Math.max(...allPoints.map(p => p.z))
+    }
+  };
+}
+
+const ratio = (gradient) => `1:${round(1 / gradient, 1)}`;
+
+/**
+ * Check a generated ramp against accessibility rules
+ * @param {Object} ramp - from generateRamp
+ * @param {Object} rules - overrides of DEFAULT_RAMP_RULES
+ * @returns {Object} { ok, issues: [{ rule, severity, message, value, limit }], measurements }
+ */
+export function validateRamp(ramp, rules = {}) {
+  const limits = { ...DEFAULT_RAMP_RULES, ...rules };
+  const issues = [];
+  const add = (rule, severity, message, value, limit) => issues.push({ rule, severity, message, value, limit });
+  const longestRun = Math.max(...ramp.runs.map(run => run.length));
+  const runRise = Math.max(...ramp.runs.map(run => run.rise));
+  const shortestLanding = ramp.landings.length > 0 ? Math.min(...ramp.landings.map(landing => landing.length)) : null;
+
+  if (ramp.gradient > limits.maxGradient + 1e-9) {
+    add('maxGradient', 'error',
+      `Gradient ${ratio(ramp.gradient)} (${ramp.grade}%) is steeper than the ${ratio(limits.maxGradient)} maximum`,
+      ramp.gradient, limits.maxGradient);
+  }
+  if (longestRun > limits.maxRunLength + 1e-9) {
+    add('maxRunLength', 'error',
+      `Run of ${longestRun.toFixed(2)}m needs a landing at least every ${limits.maxRunLength}m`,
+      longestRun, limits.maxRunLength);
+  }
+  if (runRise > limits.maxRunRise + 1e-9) {
+    add('maxRunRise', 'error',
+      `Run rises ${(runRise * 1000).toFixed(0)}mm between landings (max ${(limits.maxRunRise * 1000).toFixed(0)}mm)`,
+      runRise, limits.maxRunRise);
+  }
+  if (ramp.width < limits.minWidth - 1e-9) {
+    add('minWidth', 'error',
+      `Ramp width ${(ramp.width * 1000).toFixed(0)}mm is below the ${(limits.minWidth * 1000).toFixed(0)}mm minimum`,
+      ramp.width, limits.minWidth);
+  }
+  if (shortestLanding !== null && shortestLanding < limits.minLandingLength - 1e-9) {
+    add('minLandingLength', 'error',
+      `Landing ${(shortestLanding * 1000).toFixed(0)}mm long is below the ${(limits.minLandingLength * 1000).toFixed(0)}mm minimum`,
+      shortestLanding, limits.minLandingLength);
+  }
+  if (runRise > limits.handrailRise + 1e-9 && ramp.handrails.length < 2) {
+    add('handrails', 'error',
+      `Runs rising more than ${(limits.handrailRise * 1000).toFixed(0)}mm need handrails on both sides`,
+      ramp.handrails.length, 2);
+  }
+  if (ramp.handrails.length === 0 && ramp.curbHeight < limits.minCurbHeight - 1e-9) {
+    add('edgeProtection', 'warning',
+      `Open ramp edges need curbs at least ${(limits.minCurbHeight * 1000).toFixed(0)}mm high`,
+      ramp.curbHeight, limits.minCurbHeight);
+  }
+
+  return {
+    ok: !issues.some(issue => issue.severity === 'error'),
+    issues,
+    measurements: {
+      gradient: ramp.gradient,
+      grade: ramp.grade,
+      ratio: ratio(ramp.gradient),
+      runs: ramp.runs.length,
+      longestRun,
+      runRise,
+      width: ramp.width,
+      rampLength: ramp.rampLength,
+      travelLength: ramp.travelLength
+    }
+  };
+}
@@ -0,0 +1,748 @@
+/**
+ * Roof geometry
+ *
+ * Parametric roofs over a plan footprint. Every footprint edge is either a sloped eave
+ * or a gable. The roof surface is the weighted straight skeleton of the footprint: each
+ * eave line moves inwards as it rises, at a rate set by its pitch, while gable lines stay
+ * put. Ridges, hips and valleys are the traces of the wavefront corners, so the same code
+ * handles rectangles, L and U shapes and mixed pitches.
+ * Plan coordinates are engine x/z in metres; heights (y) are measured above the wall plate.
+ */
+
+import { insetPolygon, labelPoint, polygonArea } from './roomDetection';
+
+export const ROOF_TYPES = ['gable', 'hip', 'shed', 'mansard', 'flat'];
+
+const DEFAULT_PITCH = 30; // degrees
+const DEFAULT_OVERHANG = 0.5; // m
+const DEFAULT_MANSARD_PITCH = 70; // degrees, lower tier
+const DEFAULT_MANSARD_HEIGHT = 1.5; // m, height of the lower tier
+const MIN_PITCH = 1;
+const MAX_PITCH = 85;
+const EPSILON = 1e-9;
+const TIME_TOLERANCE = 1e-9;
+const SNAP = 1e-5; // m - skeleton points closer than this are the same node
+
+const sub = (a, b) => ({ x: a.x - b.x, z: a.z - b.z });
+const add = (a, b) => ({ x: a.x + b.x, z: a.z + b.z });
+const scale = (a, f) => ({ x: a.x * f, z: a.z * f });
+const dot = (a, b) => a.x * b.x + a.z * b.z;
+const cross = (a, b) => a.x * b.z - a.z * b.x;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+const distance3 = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const clampPitch = (value, fallback) => {
+  const pitch = Number(value);
+  if (!Number.isFinite(pitch)) return fallback;
+  return Math.min(MAX_PITCH, Math.max(MIN_PITCH, pitch));
+};
+
+/**
+ * Clean up a footprint: drop repeated and collinear corners and wind it counter-clockwise
+ * @param {Array} points - [{ x, z }]
+ * @returns {Array} [{ x, z }]; edge i runs from point i to point i + 1
+ */
+export function normalizeFootprint(points) {
+  let result = (points || [])
+    .filter(point => point && Number.isFinite(Number(point.x)) && Number.isFinite(Number(point.z)))
+    .map(point => ({ x: Number(point.x), z: Number(point.z) }));
+
+  let changed = true;
+  while (changed && result.length >= 3) {
+    changed = false;
+    for (let i = 0; i < result.length; i++) {
+      const count = result.length;
+      const previous = result[(i - 1 + count) % count];
+      const point = result[i];
+      const next = result[(i + 1) % count];
+      const a = sub(point, previous);
+      const b = sub(next, point);
+      const lengths = Math.hypot(a.x, a.z) * Math.hypot(b.x, b.z);
+      if (distance(point, next) < 1e-6 || lengths < EPSILON || Math.abs(cross(a, b)) / lengths < 1e-7) {
+        result.splice(i, 1);
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  if (result.length < 3) return [];
+  return polygonArea(result) < 0 ? result.reverse() : result;
+}
+
+/**
+ * Gable ends a designer would pick: short edges between two convex corners that are no
+ * longer than their neighbours (the ends of each wing), never two side by side
+ */
+function defaultGables(footprint) {
+  const count = footprint.length;
+  const lengths = footprint.map((point, i) => distance(point, footprint[(i + 1) % count]));
+  const convex = footprint.map((point, i) => {
+    const previous = footprint[(i - 1 + count) % count];
+    const next = footprint[(i + 1) % count];
+    return cross(sub(point, previous), sub(next, point)) > 0;
+  });
+
+  const chosen = new Array(count).fill(false);
+  footprint
+    .map((_, i) => i)
+    .filter(i => {
+      const previous = (i - 1 + count) % count;
+      const next = (i + 1) % count;
+      return convex[i] && convex[next] &&
+        lengths[i] <= lengths[previous] + 1e-6 && lengths[i] <= lengths[next] + 1e-6;
+    })
+    .sort((a, b) => lengths[a] - lengths[b] || a - b)
+    .forEach(i => {
+      if (!chosen[(i - 1 + count) % count] && !chosen[(i + 1) % count]) {
+        chosen[i] = true;
+      }
+    });
+  return chosen;
+}
+
+/**
+ * Per-edge roof settings from the roof type and per-edge overrides
+ * @param {Array} footprint - Normalized footprint
+ * @param {Object} params - { roofType, pitch, overhang, shedEdge, edges: [{ gable, pitch, overhang }] }
+ * @returns {Array} [{ gable, pitch, overhang }] aligned with the footprint edges
+ */
+export function resolveRoofEdges(footprint, params = {}) {
+  const roofType = ROOF_TYPES.includes(params.roofType) ? params.roofType : 'gable';
+  const pitch = clampPitch(params.pitch, DEFAULT_PITCH);
+  const overhang = Number.isFinite(Number(params.overhang)) && params.overhang !== null
+    ? Math.max(0, Number(params.overhang))
+    : DEFAULT_OVERHANG;
+  const count = footprint.length;
+
+  let gables = new Array(count).fill(false);
+  if (roofType === 'gable') {
+    gables = defaultGables(footprint);
+  } else if (roofType === 'shed') {
+    let shedEdge = Number(params.shedEdge);
+    if (!Number.isInteger(shedEdge) || shedEdge < 0 || shedEdge >= count) {
+      const lengths = footprint.map((point, i) => distance(point, footprint[(i + 1) % count]));
+      shedEdge = lengths.indexOf(Math.max(...lengths));
+    }
+    gables = gables.map((_, i) => i !== shedEdge);
+  }
+
+  return footprint.map((_, i) => {
+    const override = (Array.isArray(params.edges) && params.edges[i]) || {};
+    if (roofType === 'flat') {
+      return {
+        gable: false,
+        pitch: 0,
+        overhang: Number.isFinite(Number(override.overhang)) && override.overhang !== null
+          ? Math.max(0, Number(override.overhang))
+          : overhang
+      };
+    }
+    return {
+      gable: override.gable !== undefined ? Boolean(override.gable) : gables[i],
+      pitch: clampPitch(override.pitch, pitch),
+      overhang: Number.isFinite(Number(override.overhang)) && override.overhang !== null
+        ? Math.max(0, Number(override.overhang))
+        : overhang
+    };
+  });
+}
+
+/**
+ * Wavefront line of every polygon edge: n·x = c + s·t with n the inward normal
+ */
+function wavefrontLines(points, speeds) {
+  const count = points.length;
+  return points.map((start, i) => {
+    const end = points[(i + 1) % count];
+    const edgeLength = distance(start, end) || 1;
+    const d = scale(sub(end, start), 1 / edgeLength);
+    const n = { x: -d.z, z: d.x };
+    return { start, end, d, n, c: dot(n, start), s: speeds[i], length: edgeLength };
+  });
+}
+
+/**
+ * Velocity of the corner between two wavefront lines, null when they face each other
+ */
+function cornerVelocity(a, b) {
+  const det = cross(a.n, b.n);
+  if (Math.abs(det) < EPSILON) {
+    return dot(a.n, b.n) > 0 ? scale(a.n, (a.s + b.s) / 2) : null;
+  }
+  return {
+    x: (a.s * b.n.z - b.s * a.n.z) / det,
+    z: (a.n.x * b.s - b.n.x * a.s) / det
+  };
+}
+
+/**
+ * Weighted straight skeleton of a counter-clockwise polygon
+ * @param {Array} points - Polygon corners
+ * @param {Array} lines - wavefrontLines of the polygon
+ * @param {number} maxTime - Stop the wavefront at this height (mansard lower tier)
+ * @returns {Object} { segments: [{ start, end, edges: [i, j|null] }], topLoops: [[{ point, edge }]] }
+ *   segment points are { x, y, z } with y the height the wavefront reached
+ */
+function straightSkeleton(points, lines, maxTime = Infinity) {
+  const count = points.length;
+  const segments = [];
+  const topLoops = [];
+  let time = 0;
+
+  const makeVertex = (point, at, inEdge, outEdge) => {
+    const velocity = cornerVelocity(lines[inEdge], lines[outEdge]);
+    return {
+      point,
+      time: at,
+      in: inEdge,
+      out: outEdge,
+      velocity: velocity || { x: 0, z: 0 },
+      reflex: velocity !== null && cross(lines[inEdge].d, lines[outEdge].d) < -EPSILON
+    };
+  };
+  const positionAt = (vertex, at) => add(vertex.point, scale(vertex.velocity, at - vertex.time));
+  const addSegment = (start, startTime, end, endTime, edges) => {
+    const a = { x: start.x, y: startTime, z: start.z };
+    const b = { x: end.x, y: endTime, z: end.z };
+    if (distance3(a, b) > EPSILON) {
+      segments.push({ start: a, end: b, edges });
+    }
+  };
+  const finishVertex = (vertex, point, at) => {
+    addSegment(vertex.point, vertex.time, point, at, [vertex.in, vertex.out]);
+  };
+
+  // Close a loop that shrank to a line: the remaining wavefront pieces meet in ridges
+  const closeLoop = (loop) => {
+    const positions = loop.map(vertex => positionAt(vertex, time));
+    loop.forEach((vertex, i) => finishVertex(vertex, positions[i], time));
+    if (loop.length === 2) {
+      addSegment(positions[0], time, positions[1], time, [loop[0].out, loop[1].out]);
+      return;
+    }
+    const used = new Set();
+    loop.forEach((vertex, i) => {
+      if (used.has(i)) return;
+      used.add(i);
+      const next = (i + 1) % loop.length;
+      const twin = loop.findIndex((other, j) => !used.has(j) &&
+        distance(positions[j], positions[next]) < SNAP &&
+        distance(positions[(j + 1) % loop.length], positions[i]) < SNAP);
+      if (twin >= 0) used.add(twin);
+      addSegment(positions[i], time, positions[next], time, [vertex.out, twin >= 0 ? loop[twin].out : null]);
+    });
+  };
+
+  const nextEvent = (loops) => {
+    let best = null;
+    const consider = (event) => {
+      if (!best || event.time < best.time - TIME_TOLERANCE ||
+          (event.time <= best.time + TIME_TOLERANCE && event.type === 'edge' && best.type === 'split')) {
+        best = event;
+      }
+    };
+
+    loops.forEach((loop, loopIndex) => {
+      const size = loop.length;
+      loop.forEach((a, i) => {
+        const b = loop[(i + 1) % size];
+        const line = lines[a.out];
+        const edgeLength = dot(sub(positionAt(b, time), positionAt(a, time)), line.d);
+        const rate = dot(sub(b.velocity, a.velocity), line.d);
+        if (edgeLength <= SNAP && rate <= EPSILON) {
+          consider({ type: 'edge', time, loopIndex, index: i });
+        } else if (rate < -EPSILON) {
+          consider({ type: 'edge', time: time + Math.max(0, -edgeLength / rate), loopIndex, index: i });
+        }
+      });
+
+      loop.forEach((vertex, vertexIndex) => {
+        if (!vertex.reflex) return;
+        const position = positionAt(vertex, time);
+        loop.forEach((a, i) => {
+          if (a.out === vertex.in || a.out === vertex.out || a === vertex || loop[(i + 1) % size] === vertex) return;
+          const line = lines[a.out];
+          const gap = dot(line.n, position) - (line.c + line.s * time);
+          const closing = line.s - dot(line.n, vertex.velocity);
+          if (closing <= EPSILON || gap < -SNAP) return;
+
+          const at = time + Math.max(0, gap / closing);
+          const hit = positionAt(vertex, at);
+          const start = positionAt(a, at);
+          const end = positionAt(loop[(i + 1) % size], at);
+          const along = dot(sub(hit, start), line.d);
+          if (along >= -SNAP && along <= dot(sub(end, start), line.d) + SNAP) {
+            consider({ type: 'split', time: at, loopIndex, index: i, vertexIndex });
+          }
+        });
+      });
+    });
+    return best;
+  };
+
+  const applyEvent = (loops, event) => {
+    const loop = loops[event.loopIndex];
+    const size = loop.length;
+
+    if (event.type === 'edge') {
+      const a = loop[event.index];
+      const b = loop[(event.index + 1) % size];
+      const point = scale(add(positionAt(a, time), positionAt(b, time)), 0.5);
+      finishVertex(a, point, time);
+      finishVertex(b, point, time);
+      const merged = makeVertex(point, time, a.in, b.out);
+      const next = loop.filter(vertex => vertex !== a && vertex !== b);
+      next.splice(Math.min(event.index, next.length), 0, merged);
+      loops[event.loopIndex] = next;
+      return;
+    }
+
+    // Split: the reflex corner cuts the opposite wavefront edge in two
+    const vertex = loop[event.vertexIndex];
+    const a = loop[event.index];
+    const point = positionAt(vertex, time);
+    finishVertex(vertex, point, time);
+    const rotated = loop.slice(event.vertexIndex).concat(loop.slice(0, event.vertexIndex));
+    const aIndex = rotated.indexOf(a);
+    const first = [makeVertex(point, time, vertex.in, a.out), ...rotated.slice(aIndex + 1)];
+    const second = [makeVertex(point, time, a.out, vertex.out), ...rotated.slice(1, aIndex + 1)];
+    loops.splice(event.loopIndex, 1, first, second);
+  };
+
+  const loopArea = (loop) => polygonArea(loop.map(vertex => positionAt(vertex, time)));
+
+  // Freeze a loop at the current height; its outline becomes the base of the next tier
+  const stopLoop = (loop) => {
+    const positions = loop.map(vertex => positionAt(vertex, time));
+    loop.forEach((vertex, i) => {
+      finishVertex(vertex, positions[i], time);
+      addSegment(positions[i], time, positions[(i + 1) % loop.length], time, [vertex.out, null]);
+    });
+    topLoops.push(loop.map((vertex, i) => ({ point: positions[i], edge: vertex.out })));
+  };
+
+  let loops = [points.map((point, i) => makeVertex(point, 0, (i - 1 + count) % count, i))];
+  const limit = 20 * count * count + 100;
+  let guard = 0;
+
+  while (loops.length > 0) {
+    if (guard++ > limit) {
+      throw new Error('Roof skeleton did not converge');
+    }
+
+    loops = loops.filter(loop => {
+      if (loop.length >= 3) return true;
+      closeLoop(loop);
+      return false;
+    });
+    if (loops.length === 0) break;
+
+    const event = nextEvent(loops);
+    if (event && event.time <= time + TIME_TOLERANCE) {
+      applyEvent(loops, event);
+      continue;
+    }
+
+    const degenerate = loops.findIndex(loop => Math.abs(loopArea(loop)) < 1e-8);
+    if (degenerate >= 0) {
+      closeLoop(loops[degenerate]);
+      loops.splice(degenerate, 1);
+      continue;
+    }
+
+    if (!event || event.time >= maxTime) {
+      if (!Number.isFinite(maxTime)) {
+        throw new Error('Roof skeleton stalled');
+      }
+      time = maxTime;
+      loops.forEach(stopLoop);
+      break;
+    }
+
+    time = event.time;
+    applyEvent(loops, event);
+  }
+
+  return { segments, topLoops };
+}
+
+/**
+ * Walk the skeleton segments of one edge from its end corner back to its start corner
+ */
+function traceFace(start, end, edge, segments) {
+  const points = [start, end];
+  const used = new Set();
+  let current = end;
+  let guard = 0;
+
+  while (distance3(current, start) > SNAP) {
+    if (guard++ > segments.length) {
+      throw new Error('Roof face did not close');
+    }
+    const from = current;
+    const index = segments.findIndex((segment, i) => !used.has(i) && segment.edges.includes(edge) &&
+      (distance3(segment.start, from) < SNAP || distance3(segment.end, from) < SNAP));
+    if (index < 0) {
+      throw new Error('Roof face is open');
+    }
+    used.add(index);
+    const segment = segments[index];
+    current = distance3(segment.start, current) < SNAP ? segment.end : segment.start;
+    if (distance3(current, start) > SNAP) {
+      points.push(current);
+    }
+  }
+  return points;
+}
+
+/**
+ * Skeleton faces of one roof tier
+ * @returns {Object} { faces: [{ local, points }], topLoops }
+ */
+function skeletonFaces(points, lines, maxTime) {
+  const { segments, topLoops } = straightSkeleton(points, lines, maxTime);
+  const faces = points.map((start, i) => ({
+    local: i,
+    points: traceFace(
+      { x: start.x, y: 0, z: start.z },
+      { x: lines[i].end.x, y: 0, z: lines[i].end.z },
+      i,
+      segments
+    )
+  }));
+  return { faces, topLoops };
+}
+
+/**
+ * Drop zero-length edges from a mansard top loop, keeping the edge labels aligned
+ */
+function cleanLoop(loop) {
+  const result = loop.filter((entry, i) => distance(entry.point, loop[(i + 1) % loop.length].point) > 1e-6);
+  return result.length >= 3 && polygonArea(result.map(entry => entry.point)) > 1e-6 ? result : null;
+}
+
+/**
+ * Plan outline of the roof: footprint corners pushed out by the eave and rake overhangs.
+ * Corners between two slopes follow the hip line down so both faces stay planar.
+ */
+function roofOutline(footprint, lines, edges) {
+  const count = footprint.length;
+  return footprint.map((corner, k) => {
+    const i = (k - 1 + count) % count;
+    const a = lines[i];
+    const b = lines[k];
+    if (!edges[i].gable && !edges[k].gable && a.s > 0 && b.s > 0) {
+      const velocity = cornerVelocity(a, b);
+      if (velocity) {
+        const drop = (edges[i].overhang / a.s + edges[k].overhang / b.s) / 2;
+        return sub(corner, scale(velocity, drop));
+      }
+    }
+    return intersectLines(
+      { n: a.n, c: a.c - edges[i].overhang },
+      { n: b.n, c: b.c - edges[k].overhang }
+    ) || sub(corner, scale(add(a.n, b.n), edges[k].overhang));
+  });
+}
+
+function intersectLines(a, b) {
+  const det = cross(a.n, b.n);
+  if (Math.abs(det) < EPSILON) return null;
+  return {
+    x: (a.c * b.n.z - b.c * a.n.z) / det,
+    z: (a.n.x * b.c - b.n.x * a.c) / det
+  };
+}
+
+/**
+ * Generate a roof over a footprint
+ * @param {Array} footprint - [{ x, z }] wall plate outline
+ * @param {Object} params - { roofType, pitch, overhang, shedEdge, edges, mansardPitch, mansardHeight }
+ * @returns {Object} {
+ *   footprint, edges, outline,
+ *   faces: [{ edge, tier, pitch, points3D, normal, slope, center, area, projectedArea }],
+ *   gables: [{ edge, points3D }],
+ *   lines: [{ type: 'ridge'|'hip'|'valley'|'eave'|'rake'|'break', start, end, edge }],
+ *   eaveHeight, ridgeHeight, area, projectedArea
+ * }
+ */
+export function generateRoof(footprint, params = {}) {
+  const points = normalizeFootprint(footprint);
+  if (points.length < 3) {
+    throw new Error('Roof footprint needs at least three corners');
+  }
+
+  const roofType = ROOF_TYPES.includes(params.roofType) ? params.roofType : 'gable';
+  const edges = resolveRoofEdges(points, params);
+  const count = points.length;
+
+  if (roofType === 'flat' || edges.every(edge => edge.gable)) {
+    return flatRoof(points, edges);
+  }
+  if (roofType === 'shed') {
+    return shedRoof(points, edges);
+  }
+
+  const mansard = roofType === 'mansard';
+  const lowerPitch = mansard ? clampPitch(params.mansardPitch, DEFAULT_MANSARD_PITCH) : null;
+  const tierHeight = mansard
+    ? Math.max(0.1, Number(params.mansardHeight) || DEFAULT_MANSARD_HEIGHT)
+    : Infinity;
+  const speedFor = (edge, pitch) => (edge.gable ? 0 : 1 / Math.tan(toRadians(pitch)));
+
+  const lines = wavefrontLines(points, edges.map(edge => speedFor(edge, mansard ? lowerPitch : edge.pitch)));
+  const lower = skeletonFaces(points, lines, tierHeight);
+
+  // Each sloped face keeps its plane so overhang points can be re-levelled
+  const rawFaces = lower.faces.map(face => ({
+    edge: face.local,
+    tier: 1,
+    points: face.points,
+    plane: { n: lines[face.local].n, c: lines[face.local].c, s: lines[face.local].s, base: 0 },
+    pitch: mansard ? lowerPitch : edges[face.local].pitch
+  }));
+
+  lower.topLoops.forEach(topLoop => {
+    const loop = cleanLoop(topLoop);
+    if (!loop) return;
+    const loopPoints = loop.map(entry => entry.point);
+    const upperLines = wavefrontLines(loopPoints, loop.map(entry => speedFor(edges[entry.edge], edges[entry.edge].pitch)));
+    if (upperLines.every(line => line.s === 0)) return;
+    const upper = skeletonFaces(loopPoints, upperLines);
+    upper.faces.forEach(face => {
+      const line = upperLines[face.local];
+      rawFaces.push({
+        edge: loop[face.local].edge,
+        tier: 2,
+        points: face.points.map(point => ({ ...point, y: point.y + tierHeight })),
+        plane: { n: line.n, c: line.c, s: line.s, base: tierHeight },
+        pitch: edges[loop[face.local].edge].pitch
+      });
+    });
+  });
+
+  const outline = roofOutline(points, lines, edges);
+  const gableLines = lines
+    .map((line, i) => ({ ...line, index: i, overhang: edges[i].overhang }))
+    .filter(line => edges[line.index].gable);
+  const onGable = (point) => gableLines.filter(line => {
+    const along = dot(sub(point, line.start), line.d);
+    return Math.abs(dot(line.n, point) - line.c) < SNAP && along > -SNAP && along < line.length + SNAP;
+  });
+  const heightOn = (plane, point) => plane.base + (dot(plane.n, point) - plane.c) / plane.s;
+
+  const gables = [];
+  const faces = [];
+  rawFaces.forEach(face => {
+    if (face.plane.s === 0) {
+      gables.push({ edge: face.edge, points3D: face.points });
+      return;
+    }
+
+    const size = face.points.length;
+    const adjusted = face.points.map((point, k) => {
+      if (face.tier === 1 && k < 2) {
+        const corner = outline[(face.edge + k) % count];
+        return { x: corner.x, y: heightOn(face.plane, corner), z: corner.z };
+      }
+
+      const gablesHere = onGable(point);
+      if (gablesHere.length === 0) return point;
+      if (gablesHere.length === 1) {
+        // Run the skeleton line through this point on out to the rake
+        const gable = gablesHere[0];
+        const neighbour = [face.points[(k - 1 + size) % size], face.points[(k + 1) % size]]
+          .find(candidate => onGable(candidate).length === 0);
+        const inwards = neighbour ? dot(gable.n, sub(neighbour, point)) : 0;
+        if (neighbour && inwards > SNAP) {
+          const f = gable.overhang / inwards;
+          return {
+            x: point.x + (point.x - neighbour.x) * f,
+            y: point.y + (point.y - neighbour.y) * f,
+            z: point.z + (point.z - neighbour.z) * f
+          };
+        }
+        const shifted = sub(point, scale(gable.n, gable.overhang));
+        return { x: shifted.x, y: heightOn(face.plane, shifted), z: shifted.z };
+      }
+      const corner = intersectLines(
+        { n: gablesHere[0].n, c: gablesHere[0].c - gablesHere[0].overhang },
+        { n: gablesHere[1].n, c: gablesHere[1].c - gablesHere[1].overhang }
+      ) || point;
+      return { x: corner.x, y: heightOn(face.plane, corner), z: corner.z };
+    });
+
+    const pitch = toRadians(face.pitch);
+    const projectedArea = Math.abs(polygonArea(adjusted));
+    faces.push({
+      edge: face.edge,
+      tier: face.tier,
+      pitch: face.pitch,
+      points3D: adjusted,
+      normal: { x: -face.plane.n.x * Math.sin(pitch), y: Math.cos(pitch), z: -face.plane.n.z * Math.sin(pitch) },
+      slope: { x: -face.plane.n.x, z: -face.plane.n.z },
+      center: labelPoint(adjusted),
+      area: projectedArea / Math.cos(pitch),
+      projectedArea
+    });
+  });
+
+  const heights = faces.flatMap(face => face.points3D.map(point => point.y));
+  return {
+    footprint: points,
+    edges,
+    outline,
+    faces,
+    gables,
+    lines: classifyLines(faces),
+    eaveHeight: Math.min(...heights),
+    ridgeHeight: Math.max(...heights),
+    area: faces.reduce((sum, face) => sum + face.area, 0),
+    projectedArea: Math.abs(polygonArea(outline))
+  };
+}
+
+function flatRoof(points, edges) {
+  const outline = insetPolygon(points, edges.map(edge => -edge.overhang));
+  const points3D = outline.map(point => ({ x: point.x, y: 0, z: point.z }));
+  const projectedArea = Math.abs(polygonArea(outline));
+  return {
+    footprint: points,
+    edges,
+    outline,
+    faces: [{
+      edge: null,
+      tier: 1,
+      pitch: 0,
+      points3D,
+      normal: { x: 0, y: 1, z: 0 },
+      slope: null,
+      center: labelPoint(outline),
+      area: projectedArea,
+      projectedArea
+    }],
+    gables: [],
+    lines: points3D.map((start, i) => ({ type: 'eave', start, end: points3D[(i + 1) % points3D.length], edge: i })),
+    eaveHeight: 0,
+    ridgeHeight: 0,
+    area: projectedArea,
+    projectedArea
+  };
+}
+
+/**
+ * A shed roof is one plane rising from its eave edge; every other edge is a gable wall
+ * built up to the underside of that plane
+ */
+function shedRoof(points, edges) {
+  const eave = edges.findIndex(edge => !edge.gable);
+  const pitch = toRadians(edges[eave].pitch);
+  const lines = wavefrontLines(points, edges.map(edge => (edge.gable ? 0 : 1 / Math.tan(pitch))));
+  const plane = lines[eave];
+  const heightAt = (point) => (dot(plane.n, point) - plane.c) * Math.tan(pitch);
+  const outline = roofOutline(points, lines, edges);
+
+  const count = points.length;
+  const points3D = outline.map((_, k) => {
+    const corner = outline[(eave + k) % count];
+    return { x: corner.x, y: heightAt(corner), z: corner.z };
+  });
+  const gables = edges
+    .map((edge, i) => ({ edge: i, start: points[i], end: points[(i + 1) % count] }))
+    .filter(({ edge }) => edge !== eave)
+    .map(({ edge, start, end }) => ({
+      edge,
+      points3D: [
+        { x: start.x, y: 0, z: start.z },
+        { x: end.x, y: 0, z: end.z },
+        { x: end.x, y: heightAt(end), z: end.z },
+        { x: start.x, y: heightAt(start), z: start.z }
+      ].filter((point, k, all) => k < 2 || distance3(point, all[k === 2 ? 1 : 0]) > SNAP)
+    }));
+
+  const projectedArea = Math.abs(polygonArea(outline));
+  const face = {
+    edge: eave,
+    tier: 1,
+    pitch: edges[eave].pitch,
+    points3D,
+    normal: { x: -plane.n.x * Math.sin(pitch), y: Math.cos(pitch), z: -plane.n.z * Math.sin(pitch) },
+    slope: { x: -plane.n.x, z: -plane.n.z },
+    center: labelPoint(outline),
+    area: projectedArea / Math.cos(pitch),
+    projectedArea
+  };
+  const heights = points3D.map(point => point.y);
+
+  return {
+    footprint: points,
+    edges,
+    outline,
+    faces: [face],
+    gables,
+    lines: classifyLines([face]),
+    eaveHeight: Math.min(...heights),
+    ridgeHeight: Math.max(...heights),
+    area: face.area,
+    projectedArea
+  };
+}
+
+/**
+ * Name the boundary lines of the roof faces. Lines shared by two faces are ridges when
+ * level, hips when the faces fall away from them, valleys otherwise, and breaks between
+ * mansard tiers; unshared lines are eaves along the footprint edge, rakes at gables.
+ */
+function classifyLines(faces) {
+  const key = (point) => `${Math.round(point.x / SNAP)},${Math.round(point.y / SNAP)},${Math.round(point.z / SNAP)}`;
+  const shared = new Map();
+  const lines = [];
+
+  faces.forEach(face => {
+    const size = face.points3D.length;
+    face.points3D.forEach((start, k) => {
+      const end = face.points3D[(k + 1) % size];
+      if (face.tier === 1 && k === 0) {
+        lines.push({ type: 'eave', start, end, edge: face.edge });
+        return;
+      }
+      const id = [key(start), key(end)].sort().join('|');
+      if (!shared.has(id)) shared.set(id, []);
+      shared.get(id).push({ face, start, end });
+    });
+  });
+
+  shared.forEach(entries => {
+    const [first, second] = entries;
+    const { start, end } = first;
+    const level = Math.abs(start.y - end.y) < 1e-6;
+
+    if (!second) {
+      lines.push({ type: level ? 'ridge' : 'rake', start, end, edge: first.face.edge });
+      return;
+    }
+    if (first.face.tier !== second.face.tier) {
+      lines.push({ type: 'break', start, end });
+      return;
+    }
+    if (level) {
+      lines.push({ type: 'ridge', start, end });
+      return;
+    }
+
+    const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2, z: (start.z + end.z) / 2 };
+    const others = second.face.points3D;
+    const centroid = others.reduce((sum, point) => ({
+      x: sum.x + point.x / others.length,
+      y: sum.y + point.y / others.length,
+      z: sum.z + point.z / others.length
+    }), { x: 0, y: 0, z: 0 });
+    const normal = first.face.normal;
+    const side = (centroid.x - middle.x) * normal.x + (centroid.y - middle.y) * normal.y + (centroid.z - middle.z) * normal.z;
+    lines.push({ type: side < 0 ? 'hip' : 'valley', start, end });
+  });
+
+  return lines;
+}
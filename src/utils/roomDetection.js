@@ -0,0 +1,387 @@
+/**
+ * Room detection
+ *
+ * Finds enclosed spaces in a wall layout. Wall centerlines are turned into a planar
+ * graph (endpoints merged, T-junctions and crossings split) and the bounded faces of
+ * that graph become rooms. Plan coordinates are engine x/z in metres.
+ */
+
+const DEFAULT_TOLERANCE = 0.05;
+const MIN_ROOM_AREA = 0.5; // m² - ignores slivers between doubled walls
+
+const sub = (a, b) => ({ x: a.x - b.x, z: a.z - b.z });
+const cross = (a, b) => a.x * b.z - a.z * b.x;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+/**
+ * Signed area (positive for counter-clockwise in x/z)
+ */
+export function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.z - b.x * a.z;
+  }
+  return area / 2;
+}
+
+export function polygonPerimeter(points) {
+  return points.reduce((sum, point, i) => sum + distance(point, points[(i + 1) % points.length]), 0);
+}
+
+export function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.z > point.z) !== (b.z > point.z) &&
+        point.x < ((b.x - a.x) * (point.z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point for a room label: the area centroid, or the middle of the widest
+ * horizontal span through it when the centroid falls outside (U/L shapes)
+ */
+export function labelPoint(polygon) {
+  const area = polygonArea(polygon);
+  let cx = 0;
+  let cz = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    const f = a.x * b.z - b.x * a.z;
+    cx += (a.x + b.x) * f;
+    cz += (a.z + b.z) * f;
+  }
+  const centroid = area !== 0 ? { x: cx / (6 * area), z: cz / (6 * area) } : polygon[0];
+  if (pointInPolygon(centroid, polygon)) return centroid;
+
+  const crossings = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    if ((a.z > centroid.z) !== (b.z > centroid.z)) {
+      crossings.push(a.x + ((centroid.z - a.z) / (b.z - a.z)) * (b.x - a.x));
+    }
+  }
+  crossings.sort((a, b) => a - b);
+
+  let best = null;
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    if (!best || crossings[i + 1] - crossings[i] > best[1] - best[0]) {
+      best = [crossings[i], crossings[i + 1]];
+    }
+  }
+  return best ? { x: (best[0] + best[1]) / 2, z: centroid.z } : centroid;
+}
+
+/**
+ * Offset a counter-clockwise polygon inwards; each edge moves by its own distance
+ * (half the thickness of the wall it lies on) so the result follows the finish faces
+ */
+export function insetPolygon(points, offsets) {
+  const count = points.length;
+  const lines = points.map((start, i) => {
+    const end = points[(i + 1) % count];
+    const dir = sub(end, start);
+    const length = Math.hypot(dir.x, dir.z) || 1;
+    const normal = { x: -dir.z / length, z: dir.x / length }; // left = inside for CCW
+    const d = offsets[i] || 0;
+    return {
+      point: { x: start.x + normal.x * d, z: start.z + normal.z * d },
+      dir
+    };
+  });
+
+  return lines.map((line, i) => {
+    const previous = lines[(i - 1 + count) % count];
+    const denominator = cross(previous.dir, line.dir);
+    if (Math.abs(denominator) < 1e-9) {
+      // Collinear edges (a wall split at a junction) share the offset point
+      return line.point;
+    }
+    const t = cross(sub(line.point, previous.point), line.dir) / denominator;
+    return { x: previous.point.x + previous.dir.x * t, z: previous.point.z + previous.dir.z * t };
+  });
+}
+
+/**
+ * Split wall centerlines into graph edges between shared nodes
+ */
+function buildWallGraph(walls, tolerance) {
+  const nodes = [];
+  const nodeAt = (point) => {
+    let node = nodes.find(candidate => distance(candidate, point) <= tolerance);
+    if (!node) {
+      node = { id: nodes.length, x: point.x, z: point.z, edges: [] };
+      nodes.push(node);
+    }
+    return node;
+  };
+
+  const segments = walls.map(wall => ({ wall, start: wall.start, end: wall.end, cuts: [0, 1] }));
+
+  // Parameters where other walls touch or cross each segment
+  segments.forEach((a, i) => {
+    const dirA = sub(a.end, a.start);
+    const lengthA = Math.hypot(dirA.x, dirA.z);
+    if (lengthA < tolerance) return;
+
+    segments.forEach((b, j) => {
+      if (i === j) return;
+      const dirB = sub(b.end, b.start);
+      const denominator = cross(dirA, dirB);
+
+      if (Math.abs(denominator) > 1e-9) {
+        const offset = sub(b.start, a.start);
+        const t = cross(offset, dirB) / denominator;
+        const u = cross(offset, dirA) / denominator;
+        const lengthB = Math.hypot(dirB.x, dirB.z) || 1;
+        if (t * lengthA > -tolerance && (t - 1) * lengthA < tolerance &&
+            u * lengthB > -tolerance && (u - 1) * lengthB < tolerance) {
+          a.cuts.push(Math.min(1, Math.max(0, t)));
+        }
+      } else {
+        // Parallel: endpoints of b lying on a (overlapping / continuing walls)
+        [b.start, b.end].forEach(point => {
+          const t = ((point.x - a.start.x) * dirA.x + (point.z - a.start.z) * dirA.z) / (lengthA * lengthA);
+          const foot = { x: a.start.x + dirA.x * t, z: a.start.z + dirA.z * t };
+          if (t > 0 && t < 1 && distance(foot, point) <= tolerance) {
+            a.cuts.push(t);
+          }
+        });
+      }
+    });
+  });
+
+  const edges = [];
+  const edgeKeys = new Set();
+  segments.forEach(segment => {
+    const cuts = [...new Set(segment.cuts)].sort((a, b) => a - b);
+    const dir = sub(segment.end, segment.start);
+    let previous = nodeAt(segment.start);
+
+    for (let k = 1; k < cuts.length; k++) {
+      const node = nodeAt({ x: segment.start.x + dir.x * cuts[k], z: segment.start.z + dir.z * cuts[k] });
+      const key = previous.id < node.id ? `${previous.id}-${node.id}` : `${node.id}-${previous.id}`;
+      if (node !== previous && !edgeKeys.has(key)) {
+        edgeKeys.add(key);
+        const edge = { a: previous, b: node, wall: segment.wall };
+        edges.push(edge);
+        previous.edges.push(edge);
+        node.edges.push(edge);
+      }
+      previous = node;
+    }
+  });
+
+  // Dangling walls cannot enclose anything
+  const dangling = nodes.filter(node => node.edges.length === 1);
+  while (dangling.length > 0) {
+    const node = dangling.pop();
+    if (node.edges.length !== 1) continue;
+
+    const [edge] = node.edges;
+    edge.removed = true;
+    [edge.a, edge.b].forEach(end => {
+      end.edges = end.edges.filter(e => e !== edge);
+      if (end.edges.length === 1) dangling.push(end);
+    });
+  }
+
+  return { nodes, edges: edges.filter(edge => !edge.removed) };
+}
+
+/**
+ * Trace every face of the planar graph. Bounded faces come out counter-clockwise
+ * (positive area); outer boundaries of connected components come out clockwise.
+ */
+function traceFaces(nodes, edges) {
+  const angleFrom = (node, edge) => {
+    const other = edge.a === node ? edge.b : edge.a;
+    return Math.atan2(other.z - node.z, other.x - node.x);
+  };
+  nodes.forEach(node => {
+    node.edges.sort((e1, e2) => angleFrom(node, e1) - angleFrom(node, e2));
+  });
+
+  const used = new Set();
+  const faces = [];
+  const halfKey = (from, edge) => `${edge.a === from ? 'a' : 'b'}:${edges.indexOf(edge)}`;
+
+  edges.forEach(startEdge => {
+    [startEdge.a, startEdge.b].forEach(startNode => {
+      if (used.has(halfKey(startNode, startEdge))) return;
+
+      const points = [];
+      const faceEdges = [];
+      let from = startNode;
+      let edge = startEdge;
+      let guard = 0;
+
+      while (!used.has(halfKey(from, edge)) && guard++ <= edges.length * 2) {
+        used.add(halfKey(from, edge));
+        points.push({ x: from.x, z: from.z });
+        faceEdges.push(edge);
+
+        const to = edge.a === from ? edge.b : edge.a;
+        // Next edge: the one just before the way we came in, in counter-clockwise order
+        const index = to.edges.indexOf(edge);
+        edge = to.edges[(index - 1 + to.edges.length) % to.edges.length];
+        from = to;
+      }
+
+      if (points.length >= 3) {
+        faces.push({ points, edges: faceEdges, area: polygonArea(points) });
+      }
+    });
+  });
+
+  return faces;
+}
+
+/**
+ * Detect rooms enclosed by walls
+ * @param {Array} walls - [{ id, start: {x,z}, end: {x,z}, thickness, height }]
+ * @param {Object} options - { tolerance, minArea }
+ * @returns {Array} Rooms: { boundary, polygon, wallIds, grossArea, area, perimeter, height, labelPoint, holes }
+ *   boundary follows the wall centerlines, polygon the inner finish faces;
+ *   area/perimeter are measured on the finish faces with enclosed islands removed
+ */
+export function detectRooms(walls, options = {}) {
+  const tolerance = options.tolerance || DEFAULT_TOLERANCE;
+  const minArea = options.minArea !== undefined ? options.minArea : MIN_ROOM_AREA;
+
+  const validWalls = walls.filter(wall =>
+    wall && wall.start && wall.end && distance(wall.start, wall.end) > tolerance
+  );
+  const { nodes, edges } = buildWallGraph(validWalls, tolerance);
+  const faces = traceFaces(nodes, edges);
+
+  const rooms = faces
+    .filter(face => face.area >= minArea)
+    .map(face => {
+      const polygon = insetPolygon(face.points, face.edges.map(edge => (Number(edge.wall.thickness) || 0) / 2));
+      const netArea = polygonArea(polygon);
+      const wallIds = [...new Set(face.edges.map(edge => edge.wall.id))];
+      const heights = face.edges.map(edge => Number(edge.wall.height)).filter(height => height > 0);
+
+      return {
+        boundary: face.points,
+        polygon: netArea > 0 ? polygon : face.points,
+        wallIds,
+        grossArea: face.area,
+        area: netArea > 0 ? netArea : face.area,
+        perimeter: polygonPerimeter(netArea > 0 ? polygon : face.points),
+        height: heights.length > 0 ? Math.min(...heights) : null,
+        labelPoint: labelPoint(face.points),
+        holes: []
+      };
+    });
+
+  // Clockwise faces inside a room are free-standing wall loops (cores, shafts)
+  faces
+    .filter(face => face.area < 0)
+    .forEach(face => {
+      const probe = face.points[0];
+      const container = rooms
+        .filter(room => room.grossArea > -face.area && pointInPolygon(probe, room.boundary) &&
+          !face.points.every(point => room.boundary.some(corner => distance(corner, point) <= tolerance)))
+        .sort((a, b) => a.grossArea - b.grossArea)[0];
+
+      if (container) {
+        // Reversed to counter-clockwise; edge k of the reversed loop is edge n-2-k of the face
+        const count = face.points.length;
+        const hole = [...face.points].reverse();
+        const offsets = hole.map((point, k) => -(Number(face.edges[(2 * count - 2 - k) % count].wall.thickness) || 0) / 2);
+        const outer = insetPolygon(hole, offsets);
+        container.holes.push(outer);
+        container.area -= Math.abs(polygonArea(outer));
+        container.perimeter += polygonPerimeter(outer);
+        container.wallIds = [...new Set([...container.wallIds, ...face.edges.map(edge => edge.wall.id)])];
+      }
+    });
+
+  return rooms;
+}
+
+/**
+ * Outer outlines of wall layouts, e.g. to roof a building
+ * @param {Array} walls - Same as detectRooms
+ * @param {Object} options - { tolerance, minArea }
+ * @returns {Array} Outlines: { boundary, polygon, wallIds, area, height }
+ *   boundary follows the wall centerlines, polygon the outer wall faces; both counter-clockwise.
+ *   height is that of the tallest wall so a roof on it clears the whole loop.
+ */
+export function detectFootprints(walls, options = {}) {
+  const tolerance = options.tolerance || DEFAULT_TOLERANCE;
+  const minArea = options.minArea !== undefined ? options.minArea : MIN_ROOM_AREA;
+
+  const validWalls = walls.filter(wall =>
+    wall && wall.start && wall.end && distance(wall.start, wall.end) > tolerance
+  );
+  const { nodes, edges } = buildWallGraph(validWalls, tolerance);
+
+  const outlines = traceFaces(nodes, edges)
+    .filter(face => -face.area >= minArea)
+    .map(face => {
+      // Reversed to counter-clockwise; edge k of the reversed loop is edge n-2-k of the face
+      const count = face.points.length;
+      const boundary = [...face.points].reverse();
+      const offsets = boundary.map((point, k) => -(Number(face.edges[(2 * count - 2 - k) % count].wall.thickness) || 0) / 2);
+      const polygon = insetPolygon(boundary, offsets);
+      const heights = face.edges.map(edge => Number(edge.wall.height)).filter(height => height > 0);
+
+      return {
+        boundary,
+        polygon,
+        wallIds: [...new Set(face.edges.map(edge => edge.wall.id))],
+        area: polygonArea(polygon),
+        height: heights.length > 0 ? Math.max(...heights) : null
+      };
+    });
+
+  // Loops standing inside a bigger building (cores, shafts) are not outlines of their own
+  return outlines.filter(outline => !outlines.some(other =>
+    other !== outline && other.area > outline.area && pointInPolygon(outline.boundary[0], other.boundary)
+  ));
+}
+
+/**
+ * Pair freshly detected rooms with existing ones so names and finishes survive wall edits.
+ * Rooms are matched by shared bounding walls, then by the old label point falling inside.
+ * @param {Array} existing - [{ id, wallIds, labelPoint }]
+ * @param {Array} detected - Output of detectRooms
+ * @returns {Array<{ room: Object, existingId: string|null }>}
+ */
+export function matchRooms(existing, detected) {
+  const candidates = [];
+  detected.forEach((room, detectedIndex) => {
+    existing.forEach(previous => {
+      const shared = (previous.wallIds || []).filter(id => room.wallIds.includes(id)).length;
+      const union = new Set([...(previous.wallIds || []), ...room.wallIds]).size || 1;
+      const inside = previous.labelPoint && pointInPolygon(previous.labelPoint, room.boundary) ? 1 : 0;
+      const score = shared / union + inside;
+      if (score > 0.5) {
+        candidates.push({ detectedIndex, existingId: previous.id, score });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+  const assigned = new Map();
+  const taken = new Set();
+  candidates.forEach(({ detectedIndex, existingId }) => {
+    if (!assigned.has(detectedIndex) && !taken.has(existingId)) {
+      assigned.set(detectedIndex, existingId);
+      taken.add(existingId);
+    }
+  });
+
+  return detected.map((room, index) => ({ room, existingId: assigned.get(index) || null }));
+}
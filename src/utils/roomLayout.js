@@ -0,0 +1,454 @@
+/**
+ * Room layout
+ *
+ * Turns a room program ("3 bedrooms off a corridor, kitchen next to dining") into
+ * rectangles that do not overlap each other or the existing model, the wall segments
+ * around them and doors on the walls adjacent rooms share. Rooms are measured between
+ * wall centerlines, so a wall between two rooms is one segment, not two. Plan
+ * coordinates are engine x/z in metres; x/z of a room is its minimum corner.
+ */
+
+const EPSILON = 1e-6;
+
+export const CORRIDOR_WIDTH = 1.2;
+export const MIN_SHARED_WALL = 1.2; // m - a 0.9m door plus jambs
+
+// Width (x) by depth (z), between wall centerlines
+export const ROOM_SIZES = {
+  bedroom: { width: 4, depth: 3.5 },
+  bathroom: { width: 2.5, depth: 2 },
+  kitchen: { width: 3, depth: 4 },
+  dining: { width: 3.5, depth: 3.5 },
+  living: { width: 5, depth: 4 },
+  office: { width: 4, depth: 3 },
+  laundry: { width: 2, depth: 2 },
+  garage: { width: 3, depth: 6 },
+  corridor: { width: 4, depth: CORRIDOR_WIDTH }
+};
+
+const ROOM_NAMES = {
+  bedroom: 'Bedroom',
+  bathroom: 'Bathroom',
+  kitchen: 'Kitchen',
+  dining: 'Dining Room',
+  living: 'Living Room',
+  office: 'Office',
+  laundry: 'Laundry',
+  garage: 'Garage',
+  corridor: 'Corridor'
+};
+
+// Longest phrases first so "living room" wins over shorter matches
+const ROOM_WORDS = [
+  ['corridor', 'corridors?|hallways?|halls?'],
+  ['bedroom', 'master bedrooms?|bedrooms?'],
+  ['bathroom', 'bathrooms?|en-?suites?|baths?|toilets?|wcs?'],
+  ['kitchen', 'kitchens?'],
+  ['dining', 'dining rooms?|dining areas?|dining'],
+  ['living', 'living rooms?|sitting rooms?|family rooms?|living|lounges?'],
+  ['office', 'offices?|stud(?:y|ies)'],
+  ['laundry', 'laundry rooms?|laundr(?:y|ies)|utility rooms?'],
+  ['garage', 'garages?']
+];
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+const ROOM_PATTERN = new RegExp(
+  '(?:\\b(\\d+|a|an|one|two|three|four|five|six)[\\s-]+)?' +
+  '(?:(\\d+(?:\\.\\d+)?)\\s*m?\\s*(?:x|by|×)\\s*(\\d+(?:\\.\\d+)?)\\s*m?\\s+)?' +
+  `\\b(${ROOM_WORDS.map(([, words]) => words).join('|')})\\b`,
+  'gi'
+);
+
+const CONNECTORS = /\b(?:off(?: of)?|next to|adjacent to|beside|alongside|connected to|opening (?:on|in)to)\b/gi;
+
+const roomTypeOf = word => ROOM_WORDS.find(([, words]) => new RegExp(`^(?:${words})$`, 'i').test(word))[0];
+
+const round = value => Math.round(value * 1000) / 1000;
+
+function matchRooms(text) {
+  const matches = [];
+  ROOM_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ROOM_PATTERN.exec(text))) {
+    const [, countWord, width, depth, word] = match;
+    const count = countWord ? Number(countWord) || COUNT_WORDS[countWord.toLowerCase()] : 1;
+    matches.push({
+      roomType: roomTypeOf(word),
+      count: Math.min(count, 12),
+      size: width ? { width: parseFloat(width), depth: parseFloat(depth) } : null
+    });
+  }
+  return matches;
+}
+
+/**
+ * Parse a room program from natural language
+ * Clauses are split on commas, "and", "with" and "plus"; in a clause with a connector
+ * ("off", "next to", "adjacent to", "beside"...) the rooms before it are adjacent to the
+ * room after it, which is an earlier room of that type when there is one. Connectors
+ * chain: "kitchen next to dining next to living" puts dining between the other two.
+ * @returns {{ rooms: Object[], adjacencies: Array<{ a: string, b: string }> }}
+ */
+export function parseRoomProgram(text = '') {
+  const rooms = [];
+  const adjacencies = [];
+
+  const addRooms = ({ roomType, count, size }) => Array.from({ length: count }, () => {
+    const room = {
+      id: `${roomType}_${rooms.filter(other => other.roomType === roomType).length + 1}`,
+      roomType,
+      width: size ? size.width : ROOM_SIZES[roomType].width,
+      depth: size ? size.depth : ROOM_SIZES[roomType].depth,
+      sized: Boolean(size)
+    };
+    rooms.push(room);
+    return room;
+  });
+
+  String(text).split(/[,;.]|\band\b|\bplus\b|\bwith\b/i).forEach(clause => {
+    const [head, ...targets] = clause.split(CONNECTORS);
+    let left = matchRooms(head).flatMap(addRooms);
+
+    targets.forEach(segment => {
+      const [target] = matchRooms(segment);
+      if (!target) return;
+      const anchor = rooms.find(room => room.roomType === target.roomType) || addRooms({ ...target, count: 1 })[0];
+      left.forEach(room => addAdjacency(adjacencies, room.id, anchor.id));
+      left = [anchor];
+    });
+  });
+
+  rooms.forEach(room => {
+    const sameType = rooms.filter(other => other.roomType === room.roomType);
+    room.name = sameType.length > 1
+      ? `${ROOM_NAMES[room.roomType]} ${sameType.indexOf(room) + 1}`
+      : ROOM_NAMES[room.roomType];
+  });
+
+  return { rooms, adjacencies };
+}
+
+function addAdjacency(adjacencies, a, b) {
+  if (a === b) return;
+  if (!adjacencies.some(pair => (pair.a === a && pair.b === b) || (pair.a === b && pair.b === a))) {
+    adjacencies.push({ a, b });
+  }
+}
+
+/**
+ * The room everything else is reached from: a corridor, else the living room, else the first room
+ */
+export function hubRoom(rooms) {
+  return rooms.find(room => room.roomType === 'corridor') ||
+    rooms.find(room => room.roomType === 'living') ||
+    rooms[0] || null;
+}
+
+/**
+ * Link every group of rooms that the program leaves unreachable to the hub
+ */
+function connectProgram({ rooms, adjacencies }, hub) {
+  const connected = adjacencies.map(pair => ({ ...pair }));
+  const group = new Map(rooms.map(room => [room.id, room.id]));
+  const find = id => (group.get(id) === id ? id : find(group.get(id)));
+  connected.forEach(({ a, b }) => group.set(find(a), find(b)));
+
+  rooms.forEach(room => {
+    if (find(room.id) !== find(hub.id)) {
+      addAdjacency(connected, hub.id, room.id);
+      group.set(find(room.id), find(hub.id));
+    }
+  });
+  return connected;
+}
+
+const partnersOf = (adjacencies, id) => adjacencies
+  .filter(pair => pair.a === id || pair.b === id)
+  .map(pair => (pair.a === id ? pair.b : pair.a));
+
+export function rectsOverlap(a, b) {
+  return Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x) > EPSILON &&
+    Math.min(a.z + a.depth, b.z + b.depth) - Math.max(a.z, b.z) > EPSILON;
+}
+
+/**
+ * Length of the edge two touching rectangles share (0 when they do not touch)
+ */
+export function sharedEdgeLength(a, b) {
+  if (Math.abs(a.x + a.width - b.x) < EPSILON || Math.abs(b.x + b.width - a.x) < EPSILON) {
+    return round(Math.max(0, Math.min(a.z + a.depth, b.z + b.depth) - Math.max(a.z, b.z)));
+  }
+  if (Math.abs(a.z + a.depth - b.z) < EPSILON || Math.abs(b.z + b.depth - a.z) < EPSILON) {
+    return round(Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)));
+  }
+  return 0;
+}
+
+function boundsOf(rects) {
+  return rects.reduce((bounds, rect) => ({
+    minX: Math.min(bounds.minX, rect.x),
+    minZ: Math.min(bounds.minZ, rect.z),
+    maxX: Math.max(bounds.maxX, rect.x + rect.width),
+    maxZ: Math.max(bounds.maxZ, rect.z + rect.depth)
+  }), { minX: Infinity, minZ: Infinity, maxX: -Infinity, maxZ: -Infinity });
+}
+
+/**
+ * Plan extent of existing engine objects (walls, slabs and anything with a position)
+ * @param {Object[]} objects - { type, params } records or serialized engine objects
+ * @returns {{ minX, minZ, maxX, maxZ }|null} null when nothing has coordinates
+ */
+export function occupiedBounds(objects = []) {
+  const rects = [];
+  objects.forEach(object => {
+    const params = object.params || object;
+    if (params.startPoint && params.endPoint) {
+      const pad = object.type === 'wall' ? (params.thickness || 0.2) / 2 : 0;
+      rects.push({
+        x: Math.min(params.startPoint.x, params.endPoint.x) - pad,
+        z: Math.min(params.startPoint.z, params.endPoint.z) - pad,
+        width: Math.abs(params.endPoint.x - params.startPoint.x) + pad * 2,
+        depth: Math.abs(params.endPoint.z - params.startPoint.z) + pad * 2
+      });
+      return;
+    }
+    const center = params.centerPosition || params.position || object.position;
+    if (!center || !Number.isFinite(center.x) || !Number.isFinite(center.z)) return;
+    const width = params.width || params.length || 0;
+    const depth = params.depth || params.width || 0;
+    rects.push({ x: center.x - width / 2, z: center.z - depth / 2, width, depth });
+  });
+  return rects.length ? boundsOf(rects) : null;
+}
+
+/**
+ * Corridor length that fits the rooms opening off it on both sides
+ */
+function corridorLength(corridor, rooms, adjacencies) {
+  const sides = [0, 0];
+  partnersOf(adjacencies, corridor.id).forEach(id => {
+    const room = rooms.find(other => other.id === id);
+    const side = sides[0] <= sides[1] ? 0 : 1;
+    sides[side] += room.width;
+  });
+  return Math.max(Math.max(...sides), ROOM_SIZES.corridor.width);
+}
+
+/**
+ * Positions that put a room flush against one side of a placed room
+ */
+function candidatePositions(room, parent, placed) {
+  const xs = [parent.x, parent.x + parent.width - room.width];
+  const zs = [parent.z, parent.z + parent.depth - room.depth];
+  placed.forEach(other => {
+    xs.push(other.x + other.width, other.x - room.width);
+    zs.push(other.z + other.depth, other.z - room.depth);
+  });
+
+  const positions = [];
+  [parent.z - room.depth, parent.z + parent.depth].forEach(z => xs.forEach(x => positions.push({ x, z })));
+  [parent.x + parent.width, parent.x - room.width].forEach(x => zs.forEach(z => positions.push({ x, z })));
+  return positions;
+}
+
+/**
+ * Place the program's rooms as touching rectangles
+ * Rooms are placed breadth-first from the hub, each against a room it should adjoin, at
+ * the free position that adjoins the most of its partners along the longest walls and,
+ * between equals, grows the footprint least.
+ * The result sits east of the existing model (with a gap) or is centred on the origin.
+ * @param {Object} program - parseRoomProgram output
+ * @param {Object} [options]
+ * @param {Object[]} [options.existing] - Existing engine objects to keep clear of
+ * @param {number} [options.gap=1] - Clearance from the existing model
+ * @param {number} [options.minShared=MIN_SHARED_WALL] - Shared wall length that counts as adjoining
+ * @returns {{ rooms: Object[], adjacencies: Object[], hub: string|null, unmet: Object[] }}
+ */
+export function layoutRooms(program, { existing = [], gap = 1, minShared = MIN_SHARED_WALL } = {}) {
+  const source = program.rooms.map(room => ({ ...room }));
+  const hub = hubRoom(source);
+  if (!hub) return { rooms: [], adjacencies: [], hub: null, unmet: [] };
+
+  const adjacencies = connectProgram({ rooms: source, adjacencies: program.adjacencies }, hub);
+  source
+    .filter(room => room.roomType === 'corridor' && !room.sized)
+    .forEach(corridor => { corridor.width = corridorLength(corridor, source, adjacencies); });
+
+  // Breadth-first from the hub, partners in program order
+  const order = [hub];
+  for (let i = 0; i < order.length; i++) {
+    partnersOf(adjacencies, order[i].id).forEach(id => {
+      if (!order.some(room => room.id === id)) order.push(source.find(room => room.id === id));
+    });
+  }
+
+  const placed = [{ ...hub, x: 0, z: 0 }];
+  order.slice(1).forEach(room => {
+    const partners = partnersOf(adjacencies, room.id)
+      .map(id => placed.find(other => other.id === id))
+      .filter(Boolean);
+
+    let best = null;
+    partners.forEach(parent => {
+      candidatePositions(room, parent, placed).forEach(({ x, z }) => {
+        const rect = { ...room, x, z };
+        if (placed.some(other => rectsOverlap(rect, other))) return;
+        const shared = partners.map(partner => sharedEdgeLength(rect, partner)).filter(length => length >= minShared - EPSILON);
+        if (shared.length === 0) return;
+        const adjoined = shared.length;
+        const length = shared.reduce((sum, value) => sum + value, 0);
+        const bounds = boundsOf([...placed, rect]);
+        const area = (bounds.maxX - bounds.minX) * (bounds.maxZ - bounds.minZ);
+        const better = !best || adjoined > best.adjoined || (adjoined === best.adjoined && (
+          length > best.length + EPSILON || (Math.abs(length - best.length) <= EPSILON && area < best.area - EPSILON)
+        ));
+        if (better) best = { rect, adjoined, length, area };
+      });
+    });
+
+    if (best) {
+      placed.push(best.rect);
+    } else {
+      // Nowhere to adjoin a partner: beside the footprint, the adjacency goes unmet
+      const bounds = boundsOf(placed);
+      placed.push({ ...room, x: bounds.maxX, z: bounds.minZ });
+    }
+  });
+
+  const footprint = boundsOf(placed);
+  const occupied = occupiedBounds(existing);
+  const dx = occupied ? occupied.maxX + gap - footprint.minX : -(footprint.minX + footprint.maxX) / 2;
+  const dz = occupied ? occupied.minZ - footprint.minZ : -(footprint.minZ + footprint.maxZ) / 2;
+
+  const rooms = source.map(room => {
+    const rect = placed.find(other => other.id === room.id);
+    const x = round(rect.x + dx);
+    const z = round(rect.z + dz);
+    return {
+      ...room,
+      x,
+      z,
+      center: { x: round(x + room.width / 2), y: 0, z: round(z + room.depth / 2) },
+      area: round(room.width * room.depth)
+    };
+  });
+
+  const unmet = adjacencies.filter(({ a, b }) => (
+    sharedEdgeLength(rooms.find(room => room.id === a), rooms.find(room => room.id === b)) < minShared - EPSILON
+  ));
+
+  return { rooms, adjacencies, hub: hub.id, unmet };
+}
+
+/**
+ * Wall segments around laid-out rooms
+ * Room edges on the same line are cut wherever another edge starts or ends; each piece
+ * is bounded by one room (exterior) or two (shared), and consecutive pieces bounding the
+ * same rooms are merged back into one segment.
+ * @returns {Object[]} { key, startPoint, endPoint, length, roomIds, shared, thickness }
+ */
+export function layoutWalls(rooms, { exteriorThickness = 0.2, interiorThickness = 0.15 } = {}) {
+  const lines = new Map();
+  const addEdge = (axis, at, from, to, roomId) => {
+    const key = `${axis}:${round(at)}`;
+    if (!lines.has(key)) lines.set(key, { axis, at: round(at), edges: [] });
+    lines.get(key).edges.push({ from: round(from), to: round(to), roomId });
+  };
+
+  rooms.forEach(room => {
+    addEdge('x', room.z, room.x, room.x + room.width, room.id);
+    addEdge('x', room.z + room.depth, room.x, room.x + room.width, room.id);
+    addEdge('z', room.x, room.z, room.z + room.depth, room.id);
+    addEdge('z', room.x + room.width, room.z, room.z + room.depth, room.id);
+  });
+
+  const walls = [];
+  lines.forEach(({ axis, at, edges }) => {
+    const cuts = [...new Set(edges.flatMap(edge => [edge.from, edge.to]))].sort((a, b) => a - b);
+    let current = null;
+    for (let i = 0; i + 1 < cuts.length; i++) {
+      const from = cuts[i];
+      const to = cuts[i + 1];
+      const roomIds = edges
+        .filter(edge => edge.from <= from + EPSILON && edge.to >= to - EPSILON)
+        .map(edge => edge.roomId)
+        .sort();
+      if (current && current.to === from && current.roomIds.join() === roomIds.join()) {
+        current.to = to;
+        continue;
+      }
+      if (current) walls.push(current);
+      current = roomIds.length ? { axis, at, from, to, roomIds } : null;
+    }
+    if (current) walls.push(current);
+  });
+
+  return walls.map(({ axis, at, from, to, roomIds }, index) => {
+    const shared = roomIds.length > 1;
+    return {
+      key: `wall_${index + 1}`,
+      startPoint: axis === 'x' ? { x: from, y: 0, z: at } : { x: at, y: 0, z: from },
+      endPoint: axis === 'x' ? { x: to, y: 0, z: at } : { x: at, y: 0, z: to },
+      length: round(to - from),
+      roomIds,
+      shared,
+      thickness: shared ? interiorThickness : exteriorThickness
+    };
+  });
+}
+
+/**
+ * Doors for a layout: one on the longest wall each adjacent pair shares, and an
+ * entrance on the hub's longest exterior wall
+ * @returns {Object[]} { key, wallKey, roomIds, position, insertionPosition, width, height, entrance }
+ */
+export function layoutDoors(layout, walls, { doorWidth = 0.9, doorHeight = 2.1 } = {}) {
+  const longest = candidates => candidates
+    .filter(wall => wall.length >= doorWidth + 0.3)
+    .sort((a, b) => b.length - a.length)[0];
+
+  const door = (wall, roomIds, entrance) => ({
+    wallKey: wall.key,
+    roomIds,
+    position: {
+      x: round((wall.startPoint.x + wall.endPoint.x) / 2),
+      y: 0,
+      z: round((wall.startPoint.z + wall.endPoint.z) / 2)
+    },
+    insertionPosition: 0.5,
+    width: doorWidth,
+    height: doorHeight,
+    entrance
+  });
+
+  const doors = [];
+  layout.adjacencies.forEach(({ a, b }) => {
+    const wall = longest(walls.filter(candidate => candidate.roomIds.includes(a) && candidate.roomIds.includes(b)));
+    if (wall) doors.push(door(wall, [a, b], false));
+  });
+
+  const entranceWall = layout.hub &&
+    longest(walls.filter(wall => !wall.shared && wall.roomIds[0] === layout.hub));
+  if (entranceWall) doors.push(door(entranceWall, [layout.hub], true));
+
+  return doors.map((entry, index) => ({ key: `door_${index + 1}`, ...entry }));
+}
+
+/**
+ * Rooms, walls and doors for a room program
+ * @param {Object} program - parseRoomProgram output
+ * @param {Object} [options] - layoutRooms, layoutWalls and layoutDoors options
+ * @returns {{ rooms, walls, doors, adjacencies, hub, unmet, bounds }}
+ */
+export function planRoomLayout(program, options = {}) {
+  const layout = layoutRooms(program, options);
+  const walls = layoutWalls(layout.rooms, options);
+  const doors = layoutDoors(layout, walls, options);
+  return {
+    ...layout,
+    walls,
+    doors,
+    bounds: layout.rooms.length ? boundsOf(layout.rooms) : null
+  };
+}
@@ -0,0 +1,437 @@
+/**
+ * Section and elevation views
+ *
+ * A view is a vertical plane through a line drawn in plan, looking to one side of it. A
+ * section cuts the model at the plane: what the plane passes through is drawn as poché
+ * (filled loops per material) and what lies beyond, up to the view depth, as projected
+ * faces and edges. An elevation only projects. Exterior elevations can be tied to a side
+ * of the building ('north' looks at the face towards -z, the top of the plan) and then take
+ * their line from the model's current extents. A plan is the same drawing made with a
+ * horizontal cut, looking down (u east, y north).
+ *
+ * The model comes in as solids: one per mesh, with world-space triangles and feature edges
+ * as flat [x, y, z, ...] arrays. Drawing coordinates are metres: u along the view line,
+ * increasing to the viewer's right, and y up; depth is the distance beyond the plane.
+ */
+
+import { materialHatch } from './materialHatching.js';
+
+export const DEFAULT_SECTION_VIEW = {
+  name: 'Section',
+  kind: 'section', // 'section' | 'elevation' | 'plan'
+  start: { x: 0, z: 0 },
+  end: { x: 10, z: 0 },
+  depth: 20, // m drawn beyond the line
+  flip: false, // look to the other side of the line
+  side: null, // 'north' | 'south' | 'east' | 'west' for exterior elevations that follow the model
+  cutElevation: 1.2 // m, height of a plan's cut; its depth is measured down from there
+};
+
+// Plan direction each exterior elevation looks in, from outside the building
+export const ELEVATION_SIDES = {
+  north: { x: 0, z: 1 },
+  south: { x: 0, z: -1 },
+  east: { x: -1, z: 0 },
+  west: { x: 1, z: 0 }
+};
+
+const EPSILON = 1e-6;
+const KEY_PRECISION = 1e4; // cut segment ends closer than 0.1 mm are joined
+const EDGE_BIAS = 1e-3; // edges sort just in front of the faces they bound
+
+const finite = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+const planPoint = (point, fallback) => ({
+  x: finite(point?.x, fallback.x),
+  z: finite(point?.z, fallback.z)
+});
+
+/**
+ * View definition with defaults filled in
+ * @param {Object} params - { id, name, kind, start, end, depth, flip, side, cutElevation }
+ */
+export function createSectionView(params = {}) {
+  const side = ELEVATION_SIDES[params.side] ? params.side : null;
+  let kind = params.kind === 'plan' ? 'plan' : 'section';
+  if (side || params.kind === 'elevation') kind = 'elevation';
+  let name = DEFAULT_SECTION_VIEW.name;
+  if (side) name = `${side[0].toUpperCase()}${side.slice(1)} Elevation`;
+  else if (kind === 'plan') name = 'Plan';
+  return {
+    ...(params.id ? { id: params.id } : {}),
+    name: params.name || name,
+    kind,
+    start: planPoint(params.start, DEFAULT_SECTION_VIEW.start),
+    end: planPoint(params.end, DEFAULT_SECTION_VIEW.end),
+    depth: Math.max(0, finite(params.depth, DEFAULT_SECTION_VIEW.depth)),
+    flip: !!params.flip,
+    side,
+    ...(kind === 'plan' ? { cutElevation: finite(params.cutElevation, DEFAULT_SECTION_VIEW.cutElevation) } : {})
+  };
+}
+
+/**
+ * Plan frame of a view: the line start, its unit direction (the drawing's u axis), the
+ * direction looked in and the line length. Plans have no line and are not cropped.
+ */
+export function viewFrame(view) {
+  if (view.kind === 'plan') {
+    return { plan: true, cutElevation: view.cutElevation, length: Infinity };
+  }
+  const [start, end] = view.flip ? [view.end, view.start] : [view.start, view.end];
+  const dx = end.x - start.x;
+  const dz = end.z - start.z;
+  const length = Math.hypot(dx, dz);
+  const direction = length > EPSILON ? { x: dx / length, z: dz / length } : { x: 1, z: 0 };
+  return { start, direction, look: { x: direction.z, z: -direction.x }, length };
+}
+
+/**
+ * World point to drawing coordinates { u, y, depth }
+ */
+export function toViewCoordinates(frame, point) {
+  if (frame.plan) {
+    return { u: point.x, y: -point.z, depth: frame.cutElevation - point.y };
+  }
+  const dx = point.x - frame.start.x;
+  const dz = point.z - frame.start.z;
+  return {
+    u: dx * frame.direction.x + dz * frame.direction.z,
+    y: point.y,
+    depth: dx * frame.look.x + dz * frame.look.z
+  };
+}
+
+/**
+ * Extents of a set of solids, null when they have no geometry
+ */
+export function modelBounds(solids) {
+  let bounds = null;
+  solids.forEach(solid => {
+    const coordinates = solid.triangles || [];
+    for (let i = 0; i + 2 < coordinates.length; i += 3) {
+      const [x, y, z] = [coordinates[i], coordinates[i + 1], coordinates[i + 2]];
+      if (!bounds) bounds = { minX: x, maxX: x, minY: y, maxY: y, minZ: z, maxZ: z };
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxY = Math.max(bounds.maxY, y);
+      bounds.minZ = Math.min(bounds.minZ, z);
+      bounds.maxZ = Math.max(bounds.maxZ, z);
+    }
+  });
+  return bounds;
+}
+
+/**
+ * Line and depth of an exterior elevation taking in the whole of the given plan extents
+ * @param {string} side - north | south | east | west
+ * @param {Object} bounds - { minX, maxX, minZ, maxZ }
+ * @param {number} margin - Clearance around the model (m)
+ */
+export function exteriorElevation(side, bounds, margin = 2) {
+  const look = ELEVATION_SIDES[side];
+  const direction = { x: -look.z, z: look.x };
+  const center = { x: (bounds.minX + bounds.maxX) / 2, z: (bounds.minZ + bounds.maxZ) / 2 };
+  const halfX = (bounds.maxX - bounds.minX) / 2;
+  const halfZ = (bounds.maxZ - bounds.minZ) / 2;
+  const halfWidth = Math.abs(direction.x) * halfX + Math.abs(direction.z) * halfZ + margin;
+  const standOff = Math.abs(look.x) * halfX + Math.abs(look.z) * halfZ + margin;
+  const lineCenter = { x: center.x - look.x * standOff, z: center.z - look.z * standOff };
+
+  return createSectionView({
+    side,
+    start: { x: lineCenter.x - direction.x * halfWidth, z: lineCenter.z - direction.z * halfWidth },
+    end: { x: lineCenter.x + direction.x * halfWidth, z: lineCenter.z + direction.z * halfWidth },
+    depth: 2 * standOff
+  });
+}
+
+// Sutherland–Hodgman against one half-space: keeps the part where key(point) >= limit
+const clipPolygon = (points, key, limit) => {
+  const result = [];
+  points.forEach((current, index) => {
+    const previous = points[(index + points.length - 1) % points.length];
+    const currentInside = key(current) >= limit;
+    const previousInside = key(previous) >= limit;
+    if (currentInside !== previousInside) {
+      const t = (limit - key(previous)) / (key(current) - key(previous));
+      result.push({
+        u: previous.u + (current.u - previous.u) * t,
+        y: previous.y + (current.y - previous.y) * t,
+        depth: previous.depth + (current.depth - previous.depth) * t
+      });
+    }
+    if (currentInside) result.push(current);
+  });
+  return result;
+};
+
+// Parametric clip of a segment to lower <= key <= upper, null when nothing is left
+const clipSegment = (a, b, key, lower, upper) => {
+  const ka = key(a);
+  const kb = key(b);
+  let t0 = 0;
+  let t1 = 1;
+  if (Math.abs(kb - ka) < EPSILON) {
+    if (ka < lower || ka > upper) return null;
+  } else {
+    const tLower = (lower - ka) / (kb - ka);
+    const tUpper = (upper - ka) / (kb - ka);
+    t0 = Math.max(t0, Math.min(tLower, tUpper));
+    t1 = Math.min(t1, Math.max(tLower, tUpper));
+    if (t1 - t0 < EPSILON) return null;
+  }
+  const at = t => ({
+    u: a.u + (b.u - a.u) * t,
+    y: a.y + (b.y - a.y) * t,
+    depth: a.depth + (b.depth - a.depth) * t
+  });
+  return [at(t0), at(t1)];
+};
+
+const polygonArea = points => points.reduce((sum, point, index) => {
+  const next = points[(index + 1) % points.length];
+  return sum + point.u * next.y - next.u * point.y;
+}, 0) / 2;
+
+const toPoint = ({ u, y }) => ({ u, y });
+
+// Where a triangle crosses the plane (depth 0), as a segment in drawing coordinates
+const cutTriangle = (triangle) => {
+  const points = [];
+  for (let i = 0; i < 3; i++) {
+    const a = triangle[i];
+    const b = triangle[(i + 1) % 3];
+    if ((a.depth >= 0) !== (b.depth >= 0)) {
+      const t = a.depth / (a.depth - b.depth);
+      points.push({ u: a.u + (b.u - a.u) * t, y: a.y + (b.y - a.y) * t });
+    }
+  }
+  return points.length === 2 ? points : null;
+};
+
+// Join cut segments end to end into closed loops; open chains are dropped
+const chainLoops = (segments) => {
+  const key = point => `${Math.round(point.u * KEY_PRECISION)},${Math.round(point.y * KEY_PRECISION)}`;
+  const byEnd = new Map();
+  segments.forEach((segment, index) => {
+    segment.forEach(point => {
+      const k = key(point);
+      if (!byEnd.has(k)) byEnd.set(k, []);
+      byEnd.get(k).push(index);
+    });
+  });
+
+  const used = new Set();
+  const loops = [];
+  segments.forEach((segment, index) => {
+    if (used.has(index) || key(segment[0]) === key(segment[1])) return;
+    used.add(index);
+    const loop = [segment[0]];
+    const startKey = key(segment[0]);
+    let tail = segment[1];
+    let closed = false;
+    while (!closed) {
+      const tailKey = key(tail);
+      if (tailKey === startKey) {
+        closed = true;
+        break;
+      }
+      loop.push(tail);
+      const next = (byEnd.get(tailKey) || []).find(candidate => !used.has(candidate));
+      if (next === undefined) break;
+      used.add(next);
+      const [a, b] = segments[next];
+      tail = key(a) === tailKey ? b : a;
+    }
+    if (closed && loop.length >= 3) loops.push(loop);
+  });
+  return loops;
+};
+
+const readPoints = (frame, coordinates, stride) => {
+  const groups = [];
+  for (let i = 0; i + stride * 3 - 1 < coordinates.length; i += stride * 3) {
+    const group = [];
+    for (let k = 0; k < stride; k++) {
+      const offset = i + k * 3;
+      group.push(toViewCoordinates(frame, { x: coordinates[offset], y: coordinates[offset + 1], z: coordinates[offset + 2] }));
+    }
+    groups.push(group);
+  }
+  return groups;
+};
+
+/**
+ * Draw a view of the model
+ * @param {Object} view - see createSectionView; elevations with a side take their line from the solids
+ * @param {Array<Object>} solids - [{ id, type, material, triangles: number[], edges: number[] }]
+ * @param {Object} options - { levels: [{ name, elevation }] } drawn as datum lines
+ * @returns {Object} { view, length, cut: [{ id, type, material, loops }], projected: [{ id, type, material,
+ *   shape: 'face'|'edge', points, depth }] (far to near, for drawing in order), datums, bounds }
+ */
+export function generateSectionDrawing(view, solids = [], options = {}) {
+  let resolved = createSectionView(view);
+  if (resolved.side) {
+    const bounds = modelBounds(solids);
+    if (bounds) resolved = { ...exteriorElevation(resolved.side, bounds), ...(view.id ? { id: view.id } : {}), name: resolved.name };
+  }
+  const frame = viewFrame(resolved);
+  const isCut = resolved.kind !== 'elevation';
+  const byU = point => point.u;
+  const byNegativeU = point => -point.u;
+  const byDepth = point => point.depth;
+  const byNegativeDepth = point => -point.depth;
+  const withinWidth = points => (frame.plan ? points : clipPolygon(clipPolygon(points, byU, 0), byNegativeU, -frame.length));
+
+  const cut = [];
+  const projected = [];
+  solids.forEach(solid => {
+    const triangles = readPoints(frame, solid.triangles || [], 3);
+    const info = { id: solid.id, type: solid.type, material: solid.material };
+
+    if (isCut) {
+      const loops = chainLoops(triangles.map(cutTriangle).filter(Boolean))
+        .map(loop => withinWidth(loop.map(point => ({ ...point, depth: 0 }))))
+        .filter(loop => loop.length >= 3 && Math.abs(polygonArea(loop)) > EPSILON)
+        .map(loop => loop.map(toPoint));
+      if (loops.length > 0) cut.push({ ...info, loops });
+    }
+
+    // Beyond the plane only; faces seen edge-on have no area and are left out
+    triangles.forEach(triangle => {
+      const visible = withinWidth(clipPolygon(clipPolygon(triangle, byDepth, 0), byNegativeDepth, -resolved.depth));
+      if (visible.length < 3 || Math.abs(polygonArea(visible)) < EPSILON) return;
+      const depth = visible.reduce((sum, point) => sum + point.depth, 0) / visible.length;
+      projected.push({ ...info, shape: 'face', points: visible.map(toPoint), depth });
+    });
+    readPoints(frame, solid.edges || [], 2).forEach(([a, b]) => {
+      let segment = clipSegment(a, b, byDepth, 0, resolved.depth);
+      if (segment && !frame.plan) segment = clipSegment(segment[0], segment[1], byU, 0, frame.length);
+      if (!segment) return;
+      const depth = (segment[0].depth + segment[1].depth) / 2 - EDGE_BIAS;
+      projected.push({ ...info, shape: 'edge', points: segment.map(toPoint), depth });
+    });
+  });
+  projected.sort((a, b) => b.depth - a.depth);
+
+  const points = [
+    ...cut.flatMap(item => item.loops.flat()),
+    ...projected.flatMap(item => item.points)
+  ];
+  const extent = (values) => (values.length > 0 ? [Math.min(...values), Math.max(...values)] : [0, 0]);
+  const [minY, maxY] = extent(points.map(point => point.y));
+  const [minU, maxU] = frame.plan ? extent(points.map(point => point.u)) : [0, frame.length];
+  const datums = frame.plan ? [] : (options.levels || [])
+    .filter(level => Number.isFinite(Number(level.elevation)))
+    .map(level => ({ name: level.name, y: Number(level.elevation) }));
+
+  return {
+    view: resolved,
+    length: maxU - minU,
+    cut,
+    projected,
+    datums,
+    bounds: {
+      minU,
+      maxU,
+      minY: Math.min(minY, ...datums.map(datum => datum.y)),
+      maxY: Math.max(maxY, ...datums.map(datum => datum.y))
+    }
+  };
+}
+
+const SVG_DEFAULTS = {
+  scale: 50, // px per m
+  padding: 24, // px
+  cutWeight: 2, // px, outline of the poché
+  projectedWeight: 0.75, // px, edges beyond the plane
+  datumWeight: 0.5,
+  cutFill: '#d1d5db',
+  lineColor: '#111827',
+  background: '#ffffff'
+};
+
+const fixed = value => (Number.isFinite(value) ? +value.toFixed(4) : 0);
+const escapeXml = text => String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+const hatchId = material => `hatch-${String(material).replace(/[^\w-]/g, '_')}`;
+
+// Tile of a material's hatch, sized in px so it reads the same at any scale
+const hatchPatternSVG = (material, unit) => {
+  const hatch = materialHatch(material);
+  const size = fixed(6 * unit * hatch.spacingScale);
+  const stroke = `stroke="${hatch.color}" stroke-opacity="${hatch.opacity + 0.3}" stroke-width="${fixed(0.75 * unit)}"`;
+  let content;
+  let rotate = 0;
+  switch (hatch.pattern) {
+    case 'dots':
+      content = `<circle cx="${fixed(size / 2)}" cy="${fixed(size / 2)}" r="${fixed(0.9 * unit)}" fill="${hatch.color}"/>`;
+      break;
+    case 'horizontal':
+      content = `<line x1="0" y1="${fixed(size / 2)}" x2="${size}" y2="${fixed(size / 2)}" ${stroke}/>`;
+      break;
+    case 'cross':
+      content = `<line x1="0" y1="0" x2="${size}" y2="${size}" ${stroke}/><line x1="0" y1="${size}" x2="${size}" y2="0" ${stroke}/>`;
+      break;
+    case 'random':
+      content = `<line x1="${fixed(size * 0.1)}" y1="${fixed(size * 0.3)}" x2="${fixed(size * 0.4)}" y2="${fixed(size * 0.15)}" ${stroke}/>`
+        + `<line x1="${fixed(size * 0.55)}" y1="${fixed(size * 0.8)}" x2="${fixed(size * 0.85)}" y2="${fixed(size * 0.6)}" ${stroke}/>`;
+      break;
+    default:
+      content = `<line x1="0" y1="0" x2="0" y2="${size}" ${stroke}/>`;
+      rotate = 90 - hatch.angle;
+  }
+  return `<pattern id="${hatchId(material)}" patternUnits="userSpaceOnUse" width="${size}" height="${size}"`
+    + `${rotate ? ` patternTransform="rotate(${rotate})"` : ''}>${content}</pattern>`;
+};
+
+/**
+ * Render a drawing from generateSectionDrawing as standalone SVG: projected faces and
+ * edges far to near, then the poché hatched by material, then level datums. The viewBox is
+ * in metres (x = u, y = -height) so the markup can be placed on a sheet at any scale.
+ * @param {Object} drawing
+ * @param {Object} options - see SVG_DEFAULTS
+ * @returns {string} SVG document
+ */
+export function sectionDrawingToSVG(drawing, options = {}) {
+  const settings = { ...SVG_DEFAULTS, ...options };
+  const unit = 1 / settings.scale; // m per px
+  const pad = settings.padding * unit;
+  const { minU, maxU, minY, maxY } = drawing.bounds;
+  const x0 = minU - pad - (drawing.datums.length > 0 ? 60 * unit : 0);
+  const y0 = -maxY - pad;
+  const width = maxU + pad - x0;
+  const height = maxY - minY + 2 * pad;
+  const pointList = points => points.map(point => `${fixed(point.u)},${fixed(-point.y)}`).join(' ');
+  const line = (weight, extra = '') => `stroke="${settings.lineColor}" stroke-width="${weight}" vector-effect="non-scaling-stroke"${extra}`;
+
+  const projected = drawing.projected.map(item => (item.shape === 'face'
+    ? `<polygon points="${pointList(item.points)}" fill="${settings.background}" stroke="${settings.background}" stroke-width="0.5" vector-effect="non-scaling-stroke"/>`
+    : `<polyline points="${pointList(item.points)}" fill="none" ${line(settings.projectedWeight)}/>`));
+
+  const materials = [...new Set(drawing.cut.map(item => item.material))];
+  const cut = drawing.cut.map(item => {
+    const d = item.loops.map(loop => `M${pointList(loop).replace(/ /g, ' L')}Z`).join(' ');
+    return `<path d="${d}" fill-rule="evenodd" fill="${settings.cutFill}" stroke="none"/>`
+      + `<path d="${d}" fill-rule="evenodd" fill="url(#${hatchId(item.material)})" ${line(settings.cutWeight)} data-id="${escapeXml(item.id)}"/>`;
+  });
+
+  const fontSize = fixed(11 * unit);
+  const datums = drawing.datums.map(datum => (
+    `<line x1="${fixed(x0 + 50 * unit)}" y1="${fixed(-datum.y)}" x2="${fixed(maxU + pad / 2)}" y2="${fixed(-datum.y)}" ${line(settings.datumWeight, ' stroke-dasharray="8 3 2 3"')}/>`
+    + `<text x="${fixed(x0 + 4 * unit)}" y="${fixed(-datum.y - 3 * unit)}" font-size="${fontSize}" font-family="sans-serif" fill="${settings.lineColor}">`
+    + `${escapeXml(datum.name)} ${datum.y >= 0 ? '+' : ''}${datum.y.toFixed(2)}</text>`
+  ));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${fixed(x0)} ${fixed(y0)} ${fixed(width)} ${fixed(height)}"`
+    + ` width="${Math.round(width * settings.scale)}" height="${Math.round(height * settings.scale)}">`
+    + `<defs>${materials.map(material => hatchPatternSVG(material, unit)).join('')}</defs>`
+    + `<rect x="${fixed(x0)}" y="${fixed(y0)}" width="${fixed(width)}" height="${fixed(height)}" fill="${settings.background}"/>`
+    + `<g class="section-projected">${projected.join('')}</g>`
+    + `<g class="section-cut">${cut.join('')}</g>`
+    + `<g class="section-datums">${datums.join('')}</g>`
+    + '</svg>';
+}
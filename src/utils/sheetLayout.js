@@ -0,0 +1,623 @@
+/**
+ * Drawing sheets
+ *
+ * A sheet is a page of the drawing set: a border, a title block and views placed on it.
+ * Plan, section and elevation views are drawings from utils/sectionViews drawn at a true
+ * scale (1:50 → 20 mm of paper per metre); schedule views are tables from
+ * ScheduleService.toTable. Views without a position are packed onto the sheet in rows.
+ *
+ * layoutSheet turns a sheet and its resolved view contents into a display list in
+ * millimetres of paper (origin at the top left, y down). The SVG and PDF writers below
+ * draw the same list, so both exports match line for line. Line widths are pen weights
+ * in mm picked by what a line shows (LINE_WEIGHTS).
+ */
+
+import { materialHatch } from './materialHatching.js';
+import { MM_TO_PT, PDF_FONTS, createPdfDocument, pdfNumber, pdfString } from './pdfWriter.js';
+
+// ISO 216 sizes in mm, landscape
+export const PAPER_SIZES = {
+  A0: { width: 1189, height: 841 },
+  A1: { width: 841, height: 594 },
+  A2: { width: 594, height: 420 },
+  A3: { width: 420, height: 297 },
+  A4: { width: 297, height: 210 }
+};
+
+// Denominators of the usual drawing scales (1:n)
+export const DRAWING_SCALES = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+
+// Pen weights in mm (ISO 128 series)
+export const LINE_WEIGHTS = {
+  cut: 0.5, // structure cut by the view: walls, slabs, columns, beams
+  cutLight: 0.25, // doors, windows and furniture cut by the view
+  projected: 0.18, // edges seen beyond the cut
+  hatch: 0.09,
+  grid: 0.13,
+  datum: 0.13,
+  annotation: 0.18, // view titles, scale bars, north arrow
+  table: 0.18,
+  titleBlock: 0.35,
+  border: 0.7
+};
+
+export const DEFAULT_SHEET = {
+  number: 'A-101',
+  title: 'Untitled',
+  size: 'A1', // a PAPER_SIZES key or 'custom'
+  orientation: 'landscape',
+  width: 841, // mm, custom sheets only
+  height: 594,
+  project: '',
+  drawnBy: '',
+  checkedBy: '',
+  date: '',
+  revision: '',
+  views: []
+};
+
+const VIEW_KINDS = ['plan', 'section', 'schedule'];
+const LIGHT_CUT_TYPES = new Set(['door', 'window', 'furniture', 'fixture']);
+const MARGIN = { left: 20, top: 10, right: 10, bottom: 10 }; // filing margin on the left
+const TITLE_BLOCK = { width: 180, height: 56 };
+const VIEW_GAP = 12; // mm around auto-placed views
+const TITLE_STRIP = 16; // mm under each view for its title and scale bar
+const DATUM_LABEL = 28; // mm left of an elevation for level names
+const GRID_BUBBLE = 4; // mm radius
+const TEXT = { title: 5, heading: 3.5, label: 2.5, small: 1.8 };
+const CHAR_WIDTH = 0.55; // average Helvetica advance per mm of font size
+const HATCH_SPACING = 1.5; // mm on paper at spacingScale 1
+const MAX_HATCH_STROKES = 20000;
+const COLOR = '#000000';
+
+const finite = (value, fallback) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : fallback);
+const position = value => (value === null || value === undefined || value === '' ? null : finite(value, null));
+
+/**
+ * Normalize a view placed on a sheet
+ * @param {Object} params - { id, kind, source, title, scale, x, y }; source is the level id of a
+ *   plan, the section view id of a section or elevation, or the schedule type of a schedule.
+ *   x/y place the top left of the view in mm; leave them null to pack the view automatically.
+ */
+export function createSheetView(params = {}) {
+  return {
+    id: params.id || `sheet_view_${Math.random().toString(36).slice(2, 10)}`,
+    kind: VIEW_KINDS.includes(params.kind) ? params.kind : 'plan',
+    source: params.source ?? null,
+    title: params.title || '',
+    scale: Math.max(1, finite(params.scale, 100)),
+    x: position(params.x),
+    y: position(params.y)
+  };
+}
+
+/**
+ * Normalize a sheet
+ */
+export function createSheet(params = {}) {
+  const sheet = { ...DEFAULT_SHEET, ...params };
+  return {
+    ...sheet,
+    size: sheet.size === 'custom' || PAPER_SIZES[sheet.size] ? sheet.size : DEFAULT_SHEET.size,
+    orientation: sheet.orientation === 'portrait' ? 'portrait' : 'landscape',
+    width: Math.max(50, finite(sheet.width, DEFAULT_SHEET.width)),
+    height: Math.max(50, finite(sheet.height, DEFAULT_SHEET.height)),
+    views: (sheet.views || []).map(createSheetView)
+  };
+}
+
+/**
+ * Paper size of a sheet in mm
+ */
+export function sheetSize(sheet) {
+  if (sheet.size === 'custom') return { width: sheet.width, height: sheet.height };
+  const paper = PAPER_SIZES[sheet.size] || PAPER_SIZES[DEFAULT_SHEET.size];
+  return sheet.orientation === 'portrait' ? { width: paper.height, height: paper.width } : { ...paper };
+}
+
+/**
+ * Scale as written on a drawing: 100 → "1:100"
+ */
+export function formatScale(scale) {
+  return `1:${scale}`;
+}
+
+const textWidth = (value, size) => String(value).length * size * CHAR_WIDTH;
+
+// Longest round length (1, 2 or 5 × 10^n) that fits
+const roundLength = (value) => {
+  const power = 10 ** Math.floor(Math.log10(value));
+  return [5, 2, 1].map(step => step * power).find(length => length <= value) || power;
+};
+
+// ---------------------------------------------------------------------------
+// Display list items
+// ---------------------------------------------------------------------------
+
+const line = (points, weight, extra = {}) => ({ type: 'line', points, weight, color: COLOR, ...extra });
+const rect = (x, y, width, height, weight) => line(
+  [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }], weight, { closed: true }
+);
+const text = (x, y, value, size, extra = {}) => ({ type: 'text', x, y, text: String(value), size, anchor: 'start', bold: false, color: COLOR, ...extra });
+
+// Extents of a drawing including its grid bubbles, in view coordinates (m)
+const drawingExtents = (content, scale) => {
+  const { bounds } = content.drawing;
+  const grids = (content.grids || []).flatMap(axis => [axis.start, axis.end]).map(point => ({ u: point.x, y: -point.z }));
+  if (grids.length === 0) return { ...bounds };
+  const reach = (2 * GRID_BUBBLE * scale) / 1000;
+  return {
+    minU: Math.min(bounds.minU, ...grids.map(point => point.u - reach)),
+    maxU: Math.max(bounds.maxU, ...grids.map(point => point.u + reach)),
+    minY: Math.min(bounds.minY, ...grids.map(point => point.y - reach)),
+    maxY: Math.max(bounds.maxY, ...grids.map(point => point.y + reach))
+  };
+};
+
+// Size on paper of a view's body (without the title strip)
+const measureView = (view, content) => {
+  if (content.table) {
+    const size = TEXT.label;
+    const columns = content.table.rows[0].map((cell, index) => Math.max(
+      ...content.table.rows.map(row => textWidth(row[index] ?? '', size))
+    ) + 2 * size);
+    return { width: columns.reduce((sum, width) => sum + width, 0), height: content.table.rows.length * size * 2, columns };
+  }
+  const k = 1000 / view.scale;
+  const extents = drawingExtents(content, view.scale);
+  const datumPad = content.drawing.datums.length > 0 ? DATUM_LABEL : 0;
+  return {
+    width: (extents.maxU - extents.minU) * k + datumPad,
+    height: (extents.maxY - extents.minY) * k,
+    k,
+    extents,
+    datumPad
+  };
+};
+
+const drawingItems = (view, content, box) => {
+  const { drawing } = content;
+  const { k, extents, datumPad } = box;
+  const X = u => box.x + datumPad + (u - extents.minU) * k;
+  const Y = y => box.y + (extents.maxY - y) * k;
+  const toPaper = point => ({ x: X(point.u), y: Y(point.y) });
+  const items = [];
+
+  drawing.projected.forEach(item => {
+    items.push(item.shape === 'face'
+      ? { type: 'polygon', loops: [item.points.map(toPaper)], fill: '#ffffff', weight: 0 }
+      : line(item.points.map(toPaper), LINE_WEIGHTS.projected));
+  });
+  drawing.cut.forEach(item => {
+    items.push({
+      type: 'polygon',
+      loops: item.loops.map(loop => loop.map(toPaper)),
+      fill: '#ffffff',
+      hatch: item.material,
+      weight: LIGHT_CUT_TYPES.has(item.type) ? LINE_WEIGHTS.cutLight : LINE_WEIGHTS.cut,
+      color: COLOR
+    });
+  });
+
+  (content.grids || []).forEach(axis => {
+    const start = toPaper({ u: axis.start.x, y: -axis.start.z });
+    const end = toPaper({ u: axis.end.x, y: -axis.end.z });
+    const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+    const dx = (end.x - start.x) / length;
+    const dy = (end.y - start.y) / length;
+    items.push(line([start, end], LINE_WEIGHTS.grid, { dash: [12, 3, 1.5, 3] }));
+    [[start, -1], [end, 1]].forEach(([point, sign]) => {
+      const x = point.x + sign * dx * GRID_BUBBLE;
+      const y = point.y + sign * dy * GRID_BUBBLE;
+      items.push({ type: 'circle', x, y, r: GRID_BUBBLE, weight: LINE_WEIGHTS.grid, color: COLOR, fill: '#ffffff' });
+      items.push(text(x, y + TEXT.label * 0.35, axis.name, TEXT.label, { anchor: 'middle' }));
+    });
+  });
+
+  drawing.datums.forEach(datum => {
+    const y = Y(datum.y);
+    items.push(line([{ x: box.x, y }, { x: X(extents.maxU), y }], LINE_WEIGHTS.datum, { dash: [8, 3, 2, 3] }));
+    items.push(text(box.x, y - 1, `${datum.name} ${datum.y >= 0 ? '+' : ''}${datum.y.toFixed(2)}`, TEXT.small));
+  });
+
+  return items;
+};
+
+const tableItems = (content, box) => {
+  const size = TEXT.label;
+  const rowHeight = size * 2;
+  const { rows, boldRows = [] } = content.table;
+  const items = [rect(box.x, box.y, box.width, box.height, LINE_WEIGHTS.table)];
+  let x = box.x;
+  box.columns.slice(0, -1).forEach(width => {
+    x += width;
+    items.push(line([{ x, y: box.y }, { x, y: box.y + box.height }], LINE_WEIGHTS.table));
+  });
+  rows.forEach((row, rowIndex) => {
+    const top = box.y + rowIndex * rowHeight;
+    if (rowIndex > 0) items.push(line([{ x: box.x, y: top }, { x: box.x + box.width, y: top }], LINE_WEIGHTS.table));
+    let left = box.x;
+    row.forEach((cell, index) => {
+      const width = box.columns[index];
+      const numeric = typeof cell === 'number';
+      items.push(text(numeric ? left + width - size : left + size, top + rowHeight * 0.68, cell ?? '', size, {
+        anchor: numeric ? 'end' : 'start',
+        bold: boldRows.includes(rowIndex)
+      }));
+      left += width;
+    });
+  });
+  return items;
+};
+
+const scaleBarItems = (x, y, scale) => {
+  const metres = roundLength((40 * scale) / 1000); // about 40 mm of paper
+  const width = (metres * 1000) / scale;
+  const segment = width / 4;
+  const items = [];
+  for (let i = 0; i < 4; i++) {
+    const left = x + i * segment;
+    items.push({
+      type: 'polygon',
+      loops: [[{ x: left, y }, { x: left + segment, y }, { x: left + segment, y: y + 1.5 }, { x: left, y: y + 1.5 }]],
+      fill: i % 2 === 0 ? COLOR : '#ffffff',
+      weight: LINE_WEIGHTS.annotation,
+      color: COLOR
+    });
+  }
+  items.push(text(x, y - 1, '0', TEXT.small, { anchor: 'middle' }));
+  items.push(text(x + width, y - 1, `${metres} m`, TEXT.small, { anchor: 'middle' }));
+  return items;
+};
+
+const viewTitleItems = (view, index, content, box) => {
+  const top = box.y + box.height + 4;
+  const title = view.title || content.title || '';
+  const titleSize = TEXT.heading;
+  const items = [
+    text(box.x, top + titleSize, `${index + 1}`, titleSize, { bold: true }),
+    text(box.x + 8, top + titleSize, title, titleSize, { bold: true })
+  ];
+  const underline = Math.max(40, 8 + textWidth(title, titleSize));
+  items.push(line([{ x: box.x, y: top + titleSize + 1.5 }, { x: box.x + underline, y: top + titleSize + 1.5 }], LINE_WEIGHTS.annotation));
+  if (!content.table) {
+    items.push(text(box.x + 8, top + titleSize + 6, formatScale(view.scale), TEXT.label));
+    items.push(...scaleBarItems(box.x + 30, top + titleSize + 4.5, view.scale));
+  }
+  return items;
+};
+
+const northArrowItems = (x, y) => {
+  const r = 8;
+  return [
+    { type: 'circle', x, y, r, weight: LINE_WEIGHTS.annotation, color: COLOR },
+    {
+      type: 'polygon',
+      loops: [[{ x, y: y - r }, { x: x + 3, y: y + r * 0.6 }, { x, y: y + r * 0.3 }, { x: x - 3, y: y + r * 0.6 }]],
+      fill: COLOR,
+      weight: 0
+    },
+    text(x, y - r - 1.5, 'N', TEXT.heading, { anchor: 'middle', bold: true })
+  ];
+};
+
+const titleBlockItems = (sheet, x, y, scaleText) => {
+  const { width, height } = TITLE_BLOCK;
+  const weight = LINE_WEIGHTS.titleBlock;
+  const thin = LINE_WEIGHTS.table;
+  const rows = [12, 16, 14, 14];
+  const items = [rect(x, y, width, height, weight)];
+  const field = (left, top, label, value, size = TEXT.label, bold = false) => {
+    items.push(text(left + 2, top + 3, label.toUpperCase(), 1.6));
+    items.push(text(left + 2, top + 4 + size + 1.5, value || '', size, { bold }));
+  };
+
+  let top = y;
+  rows.slice(0, -1).forEach(rowHeight => {
+    top += rowHeight;
+    items.push(line([{ x, y: top }, { x: x + width, y: top }], thin));
+  });
+  field(x, y, 'Project', sheet.project, TEXT.heading);
+  field(x, y + rows[0], 'Sheet title', sheet.title, TEXT.title, true);
+
+  const third = y + rows[0] + rows[1];
+  const quarter = width / 4;
+  [1, 2, 3].forEach(i => items.push(line([{ x: x + i * quarter, y: third }, { x: x + i * quarter, y: third + rows[2] }], thin)));
+  field(x, third, 'Scale', scaleText);
+  field(x + quarter, third, 'Date', sheet.date);
+  field(x + 2 * quarter, third, 'Drawn', sheet.drawnBy);
+  field(x + 3 * quarter, third, 'Revision', sheet.revision);
+
+  const fourth = third + rows[2];
+  items.push(line([{ x: x + width / 2, y: fourth }, { x: x + width / 2, y: fourth + rows[3] }], thin));
+  field(x, fourth, 'Checked', sheet.checkedBy);
+  field(x + width / 2, fourth, 'Sheet no.', sheet.number, TEXT.title, true);
+  return items;
+};
+
+/**
+ * Lay out a sheet
+ * @param {Object} sheet - see createSheet
+ * @param {Object} contents - resolved content per sheet view id: { title, drawing, grids } for plans,
+ *   sections and elevations (drawing from generateSectionDrawing, grids from generateGridAxes),
+ *   { title, table: { rows, boldRows } } for schedules. Views without content are left off.
+ * @returns {Object} { width, height, items, views: [{ id, x, y, width, height, overflow, missing }] }
+ */
+export function layoutSheet(sheet, contents = {}) {
+  const normalized = createSheet(sheet);
+  const { width, height } = sheetSize(normalized);
+  const area = {
+    left: MARGIN.left + VIEW_GAP,
+    top: MARGIN.top + VIEW_GAP,
+    right: width - MARGIN.right - VIEW_GAP,
+    bottom: height - MARGIN.bottom - TITLE_BLOCK.height - VIEW_GAP
+  };
+  const items = [rect(MARGIN.left, MARGIN.top, width - MARGIN.left - MARGIN.right, height - MARGIN.top - MARGIN.bottom, LINE_WEIGHTS.border)];
+  const placed = [];
+
+  // Shelf packing, left to right then down, for views without a position
+  let cursorX = area.left;
+  let cursorY = area.top;
+  let shelf = 0;
+  normalized.views.forEach(view => {
+    const content = contents[view.id];
+    if (!content || (!content.drawing && !content.table)) {
+      placed.push({ id: view.id, missing: true });
+      return;
+    }
+    const box = measureView(view, content);
+    if (view.x !== null && view.y !== null) {
+      box.x = view.x;
+      box.y = view.y;
+    } else {
+      if (cursorX > area.left && cursorX + box.width > area.right) {
+        cursorX = area.left;
+        cursorY += shelf + VIEW_GAP;
+        shelf = 0;
+      }
+      box.x = cursorX;
+      box.y = cursorY;
+      cursorX += box.width + VIEW_GAP;
+      shelf = Math.max(shelf, box.height + TITLE_STRIP);
+    }
+
+    const index = placed.filter(entry => !entry.missing).length;
+    items.push(...(content.table ? tableItems(content, box) : drawingItems(view, content, box)));
+    items.push(...viewTitleItems(view, index, content, box));
+    placed.push({
+      id: view.id,
+      x: box.x,
+      y: box.y,
+      width: box.width,
+      height: box.height + TITLE_STRIP,
+      overflow: box.x + box.width > width - MARGIN.right || box.y + box.height + TITLE_STRIP > height - MARGIN.bottom
+    });
+  });
+
+  const drawingScales = [...new Set(normalized.views
+    .filter(view => contents[view.id]?.drawing)
+    .map(view => view.scale))];
+  let scaleText = '';
+  if (drawingScales.length === 1) scaleText = formatScale(drawingScales[0]);
+  else if (drawingScales.length > 1) scaleText = 'As indicated';
+
+  const blockX = width - MARGIN.right - TITLE_BLOCK.width;
+  const blockY = height - MARGIN.bottom - TITLE_BLOCK.height;
+  items.push(...titleBlockItems(normalized, blockX, blockY, scaleText));
+  if (normalized.views.some(view => view.kind === 'plan' && contents[view.id]?.drawing)) {
+    items.push(...northArrowItems(blockX - 16, blockY + TITLE_BLOCK.height / 2));
+  }
+
+  return { width, height, items, views: placed };
+}
+
+// ---------------------------------------------------------------------------
+// SVG
+// ---------------------------------------------------------------------------
+
+const fixed = value => (Number.isFinite(value) ? +value.toFixed(3) : 0);
+const escapeXml = value => String(value).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+const hatchId = material => `sheet-hatch-${String(material).replace(/[^\w-]/g, '_')}`;
+const loopPath = loops => loops
+  .map(loop => `M${loop.map(point => `${fixed(point.x)},${fixed(point.y)}`).join(' L')}Z`)
+  .join(' ');
+
+// Tile of a material's hatch in mm of paper
+const hatchPatternSVG = (material) => {
+  const hatch = materialHatch(material);
+  const size = fixed(HATCH_SPACING * hatch.spacingScale);
+  const stroke = `stroke="${hatch.color}" stroke-width="${LINE_WEIGHTS.hatch}"`;
+  const tile = (content, rotate = 0) => `<pattern id="${hatchId(material)}" patternUnits="userSpaceOnUse" width="${size}" height="${size}"`
+    + `${rotate ? ` patternTransform="rotate(${rotate})"` : ''}>${content}</pattern>`;
+  switch (hatch.pattern) {
+    case 'dots':
+      return tile(`<circle cx="${fixed(size / 2)}" cy="${fixed(size / 2)}" r="0.12" fill="${hatch.color}"/>`);
+    case 'cross':
+      return tile(`<line x1="0" y1="${fixed(size / 2)}" x2="${size}" y2="${fixed(size / 2)}" ${stroke}/>`
+        + `<line x1="${fixed(size / 2)}" y1="0" x2="${fixed(size / 2)}" y2="${size}" ${stroke}/>`, -45);
+    case 'random':
+      return tile(`<line x1="${fixed(size * 0.1)}" y1="${fixed(size * 0.3)}" x2="${fixed(size * 0.4)}" y2="${fixed(size * 0.15)}" ${stroke}/>`
+        + `<line x1="${fixed(size * 0.55)}" y1="${fixed(size * 0.8)}" x2="${fixed(size * 0.85)}" y2="${fixed(size * 0.6)}" ${stroke}/>`);
+    default:
+      return tile(`<line x1="0" y1="${fixed(size / 2)}" x2="${size}" y2="${fixed(size / 2)}" ${stroke}/>`, -hatch.angle);
+  }
+};
+
+const itemSVG = (item) => {
+  switch (item.type) {
+    case 'line': {
+      const tag = item.closed ? 'polygon' : 'polyline';
+      const dash = item.dash ? ` stroke-dasharray="${item.dash.join(' ')}"` : '';
+      return `<${tag} points="${item.points.map(point => `${fixed(point.x)},${fixed(point.y)}`).join(' ')}" fill="none"`
+        + ` stroke="${item.color}" stroke-width="${item.weight}" stroke-linecap="round" stroke-linejoin="round"${dash}/>`;
+    }
+    case 'polygon': {
+      const d = loopPath(item.loops);
+      const stroke = item.weight > 0 ? ` stroke="${item.color}" stroke-width="${item.weight}" stroke-linejoin="round"` : '';
+      return `<path d="${d}" fill-rule="evenodd" fill="${item.fill || 'none'}"${item.hatch ? '' : stroke}/>`
+        + (item.hatch ? `<path d="${d}" fill-rule="evenodd" fill="url(#${hatchId(item.hatch)})"${stroke}/>` : '');
+    }
+    case 'circle':
+      return `<circle cx="${fixed(item.x)}" cy="${fixed(item.y)}" r="${fixed(item.r)}" fill="${item.fill || 'none'}"`
+        + ` stroke="${item.color}" stroke-width="${item.weight}"/>`;
+    case 'text':
+      return `<text x="${fixed(item.x)}" y="${fixed(item.y)}" font-size="${item.size}" font-family="Helvetica, Arial, sans-serif"`
+        + `${item.bold ? ' font-weight="bold"' : ''}${item.anchor !== 'start' ? ` text-anchor="${item.anchor}"` : ''}`
+        + ` fill="${item.color}">${escapeXml(item.text)}</text>`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Render a laid out sheet as SVG sized in mm, for printing at 100%
+ */
+export function sheetToSVG(layout) {
+  const materials = [...new Set(layout.items.filter(item => item.hatch).map(item => item.hatch))];
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}mm" height="${layout.height}mm" viewBox="0 0 ${layout.width} ${layout.height}">`
+    + `<defs>${materials.map(hatchPatternSVG).join('')}</defs>`
+    + `<rect width="${layout.width}" height="${layout.height}" fill="#ffffff"/>`
+    + layout.items.map(itemSVG).join('')
+    + '</svg>';
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const rgb = (hex) => {
+  const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => pdfNumber(channel / 255)).join(' ');
+};
+const n = value => pdfNumber(value);
+const pathOps = loops => loops
+  .map(loop => loop.map((point, i) => `${n(point.x)} ${n(point.y)} ${i === 0 ? 'm' : 'l'}`).join(' ') + ' h')
+  .join(' ');
+
+// Hatch strokes covering a box, as segments or (for dots) points, in mm
+const hatchStrokes = (material, box) => {
+  const hatch = materialHatch(material);
+  const spacing = HATCH_SPACING * hatch.spacingScale;
+  const cells = ((box.maxX - box.minX) / spacing + 1) * ((box.maxY - box.minY) / spacing + 1);
+  if (cells > MAX_HATCH_STROKES) return { segments: [], dots: [] };
+
+  if (hatch.pattern === 'dots' || hatch.pattern === 'random') {
+    const dots = [];
+    const segments = [];
+    for (let x = Math.floor(box.minX / spacing) * spacing; x <= box.maxX; x += spacing) {
+      for (let y = Math.floor(box.minY / spacing) * spacing; y <= box.maxY; y += spacing) {
+        if (hatch.pattern === 'dots') {
+          dots.push({ x: x + spacing / 2, y: y + spacing / 2 });
+        } else {
+          segments.push([{ x: x + spacing * 0.1, y: y + spacing * 0.3 }, { x: x + spacing * 0.4, y: y + spacing * 0.15 }]);
+          segments.push([{ x: x + spacing * 0.55, y: y + spacing * 0.8 }, { x: x + spacing * 0.85, y: y + spacing * 0.6 }]);
+        }
+      }
+    }
+    return { segments, dots };
+  }
+
+  const angles = hatch.pattern === 'cross' ? [45, -45] : [hatch.pattern === 'horizontal' ? 0 : hatch.angle];
+  const corners = [[box.minX, box.minY], [box.maxX, box.minY], [box.maxX, box.maxY], [box.minX, box.maxY]];
+  const reach = Math.hypot(box.maxX - box.minX, box.maxY - box.minY);
+  const segments = angles.flatMap(angle => {
+    // y is down on paper, so a positive angle runs up to the right
+    const radians = (angle * Math.PI) / 180;
+    const along = { x: Math.cos(radians), y: -Math.sin(radians) };
+    const normal = { x: -along.y, y: along.x };
+    const offsets = corners.map(([x, y]) => x * normal.x + y * normal.y);
+    const result = [];
+    for (let t = Math.ceil(Math.min(...offsets) / spacing) * spacing; t <= Math.max(...offsets); t += spacing) {
+      const cx = (box.minX + box.maxX) / 2;
+      const cy = (box.minY + box.maxY) / 2;
+      const shift = t - (cx * normal.x + cy * normal.y);
+      const mid = { x: cx + normal.x * shift, y: cy + normal.y * shift };
+      result.push([
+        { x: mid.x - along.x * reach, y: mid.y - along.y * reach },
+        { x: mid.x + along.x * reach, y: mid.y + along.y * reach }
+      ]);
+    }
+    return result;
+  });
+  return { segments, dots: [] };
+};
+
+const itemPDF = (item) => {
+  switch (item.type) {
+    case 'line': {
+      const ops = item.points.map((point, i) => `${n(point.x)} ${n(point.y)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+      const dash = item.dash ? `[${item.dash.join(' ')}] 0 d ` : '';
+      return `${dash}${rgb(item.color)} RG ${n(item.weight)} w ${ops}${item.closed ? ' h' : ''} S${item.dash ? ' [] 0 d' : ''}`;
+    }
+    case 'polygon': {
+      const path = pathOps(item.loops);
+      const ops = [];
+      if (item.fill) ops.push(`${rgb(item.fill)} rg ${path} f*`);
+      if (item.hatch) {
+        const points = item.loops.flat();
+        const box = {
+          minX: Math.min(...points.map(point => point.x)),
+          maxX: Math.max(...points.map(point => point.x)),
+          minY: Math.min(...points.map(point => point.y)),
+          maxY: Math.max(...points.map(point => point.y))
+        };
+        const hatch = materialHatch(item.hatch);
+        const { segments, dots } = hatchStrokes(item.hatch, box);
+        ops.push(`q ${path} W* n ${rgb(hatch.color)} RG ${rgb(hatch.color)} rg ${n(LINE_WEIGHTS.hatch)} w`);
+        if (segments.length > 0) ops.push(`${segments.map(([a, b]) => `${n(a.x)} ${n(a.y)} m ${n(b.x)} ${n(b.y)} l`).join(' ')} S`);
+        if (dots.length > 0) ops.push(`${dots.map(dot => `${n(dot.x - 0.12)} ${n(dot.y - 0.12)} 0.24 0.24 re`).join(' ')} f`);
+        ops.push('Q');
+      }
+      if (item.weight > 0) ops.push(`${rgb(item.color)} RG ${n(item.weight)} w ${path} S`);
+      return ops.join('\n');
+    }
+    case 'circle': {
+      // Four cubic Béziers
+      const c = item.r * 0.5523;
+      const { x, y, r } = item;
+      const path = `${n(x + r)} ${n(y)} m ${n(x + r)} ${n(y + c)} ${n(x + c)} ${n(y + r)} ${n(x)} ${n(y + r)} c `
+        + `${n(x - c)} ${n(y + r)} ${n(x - r)} ${n(y + c)} ${n(x - r)} ${n(y)} c `
+        + `${n(x - r)} ${n(y - c)} ${n(x - c)} ${n(y - r)} ${n(x)} ${n(y - r)} c `
+        + `${n(x + c)} ${n(y - r)} ${n(x + r)} ${n(y - c)} ${n(x + r)} ${n(y)} c h`;
+      const fill = item.fill ? `${rgb(item.fill)} rg ` : '';
+      return `${fill}${rgb(item.color)} RG ${n(item.weight)} w ${path} ${item.fill ? 'B' : 'S'}`;
+    }
+    case 'text': {
+      const width = textWidth(item.text, item.size);
+      let x = item.x;
+      if (item.anchor === 'middle') x -= width / 2;
+      else if (item.anchor === 'end') x -= width;
+      // The page is flipped to y down, so flip the glyphs back
+      return `BT /${item.bold ? PDF_FONTS.bold : PDF_FONTS.regular} ${n(item.size)} Tf ${rgb(item.color)} rg `
+        + `1 0 0 -1 ${n(x)} ${n(item.y)} Tm ${pdfString(item.text)} Tj ET`;
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Content stream of a laid out sheet: user space is mm with y down, so items draw as laid out
+ */
+export function sheetPageContent(layout) {
+  return [
+    `${n(MM_TO_PT)} 0 0 ${n(-MM_TO_PT)} 0 ${n(layout.height * MM_TO_PT)} cm`,
+    '1 J 1 j',
+    ...layout.items.map(itemPDF)
+  ].join('\n');
+}
+
+/**
+ * Render laid out sheets as a vector PDF, one page per sheet at full paper size
+ * @param {Array<Object>|Object} layouts - from layoutSheet
+ * @param {Object} info - { title, author }
+ * @returns {Uint8Array}
+ */
+export function sheetsToPDF(layouts, info = {}) {
+  const list = Array.isArray(layouts) ? layouts : [layouts];
+  return createPdfDocument(list.map(layout => ({
+    width: layout.width * MM_TO_PT,
+    height: layout.height * MM_TO_PT,
+    content: sheetPageContent(layout)
+  })), info);
+}
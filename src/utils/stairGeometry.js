@@ -0,0 +1,459 @@
+/**
+ * Stair geometry
+ *
+ * Parametric stairs between two floors: straight flights, L and U stairs with landings,
+ * L stairs turning on three winders, and spiral stairs. The number of risers follows from
+ * the floor-to-floor height, so every riser is the same. The generated treads, walkline,
+ * stringers and handrails are checked against building-code rules by validateStair.
+ * Plan coordinates are local x/z in metres. The first nosing is centred on the origin and
+ * the stair climbs towards +z; spiral stairs are centred on their column instead.
+ * Heights (y) are measured from the bottom floor.
+ */
+
+export const STAIR_TYPES = ['straight', 'l', 'u', 'winder', 'spiral'];
+
+export const DEFAULT_STAIR_RULES = {
+  maxRiser: 0.19, // m
+  minRiser: 0.15, // m
+  minTread: 0.25, // m, going on the walkline
+  minStepLength: 0.6, // m, 2R + T
+  maxStepLength: 0.65, // m
+  minHeadroom: 2.0, // m
+  minWidth: 0.9, // m
+  maxRisers: 18 // per flight, between landings
+};
+
+const DEFAULT_TOTAL_RISE = 3;
+const DEFAULT_RISER = 0.175;
+const DEFAULT_TREAD = 0.28;
+const DEFAULT_WIDTH = 1.0;
+const DEFAULT_CUT_HEIGHT = 1.2; // plan cut plane
+const WINDERS = 3;
+const ARC_SEGMENTS = 4; // per spiral tread
+
+const positive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+const point = (x, z) => ({ x, z });
+const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+
+/**
+ * Stair settings with defaults filled in and the riser count worked out from the rise
+ * @param {Object} params - { stairType, totalRise, riserHeight, numberOfRisers, treadDepth, width, turn, ... }
+ * @returns {Object}
+ */
+export function resolveStairParams(params = {}) {
+  const type = STAIR_TYPES.includes(params.stairType) ? params.stairType : 'straight';
+  const totalRise = positive(params.totalRise, DEFAULT_TOTAL_RISE);
+  const targetRiser = positive(params.riserHeight, DEFAULT_RISER);
+  const minimum = type === 'winder' ? WINDERS + 2 : type === 'l' || type === 'u' ? 3 : 2;
+  const risers = Math.max(
+    minimum,
+    Math.round(positive(params.numberOfRisers, 0)) || Math.ceil(totalRise / targetRiser - 1e-9)
+  );
+  const width = positive(params.width ?? params.stepWidth, DEFAULT_WIDTH);
+
+  // Flights split at the landing (or winders) as evenly as possible
+  const turnRisers = type === 'winder' ? WINDERS - 1 : 0;
+  const maxFirst = risers - 1 - turnRisers;
+  const firstFlight = Math.min(
+    maxFirst,
+    Math.max(1, Math.round(positive(params.firstFlightRisers, 0)) || Math.ceil((risers - turnRisers) / 2))
+  );
+
+  return {
+    type,
+    totalRise,
+    risers,
+    riserHeight: totalRise / risers,
+    treadDepth: positive(params.treadDepth, DEFAULT_TREAD),
+    width,
+    turn: params.turn === 'left' ? 'left' : 'right',
+    firstFlight,
+    landingDepth: positive(params.landingDepth, width),
+    wellWidth: Number(params.wellWidth) >= 0 ? Number(params.wellWidth) : 0.1,
+    columnRadius: positive(params.columnRadius, 0.1),
+    cutHeight: positive(params.cutHeight, DEFAULT_CUT_HEIGHT),
+    openingLength: positive(params.openingLength, null),
+    slabThickness: positive(params.slabThickness, 0.25),
+    handrailHeight: positive(params.handrailHeight, 0.9),
+    hasHandrail: params.hasHandrail !== false
+  };
+}
+
+/**
+ * Treads of a straight flight starting at the nosing centred on origin
+ * @param {Object} origin - Centre of the first nosing
+ * @param {Object} direction - Unit walking direction
+ */
+function flightTreads(origin, direction, count, width, tread) {
+  const left = point(direction.z, -direction.x);
+  const half = width / 2;
+  const at = (along, across) => point(
+    origin.x + direction.x * along + left.x * across,
+    origin.z + direction.z * along + left.z * across
+  );
+
+  return Array.from({ length: count }, (_, i) => {
+    const front = i * tread;
+    const back = front + tread;
+    return {
+      kind: 'tread',
+      points: [at(front, -half), at(front, half), at(back, half), at(back, -half)],
+      nosing: [at(front, half), at(front, -half)],
+      left: [at(front, half), at(back, half)],
+      right: [at(front, -half), at(back, -half)],
+      walk: [at(front, 0)],
+      going: tread
+    };
+  });
+}
+
+/**
+ * Quarter landing or winders turning a stair of the given width through 90°
+ * at the end of a flight that climbs +z and stops at z = front
+ */
+function quarterTurn(front, width, side, winders) {
+  const half = width / 2;
+  const outerIsLeft = side < 0;
+  const corners = {
+    a: point(-side * half, front),
+    b: point(-side * half, front + width),
+    c: point(side * half, front + width)
+  };
+  const pivot = point(side * half, front);
+  const assign = (outer, inner) => (outerIsLeft ? { left: outer, right: inner } : { left: inner, right: outer });
+
+  if (!winders) {
+    return [{
+      kind: 'landing',
+      points: [pivot, corners.a, corners.b, corners.c],
+      nosing: outerIsLeft ? [corners.a, pivot] : [pivot, corners.a],
+      ...assign([corners.a, corners.b, corners.c], [pivot]),
+      walk: [point(0, front), point(0, front + half)],
+      going: width,
+      depth: width
+    }];
+  }
+
+  // Winders radiate from the inner corner at equal angles, so their going on the walkline is equal
+  const ray = (angle) => {
+    const u = point(-side * Math.cos(angle), Math.sin(angle));
+    const reach = Math.min(
+      Math.abs(u.x) > 1e-9 ? width / Math.abs(u.x) : Infinity,
+      Math.abs(u.z) > 1e-9 ? width / Math.abs(u.z) : Infinity
+    );
+    return point(pivot.x + u.x * reach, pivot.z + u.z * reach);
+  };
+  const step = Math.PI / 2 / WINDERS;
+
+  return Array.from({ length: WINDERS }, (_, k) => {
+    const from = ray(k * step);
+    const to = ray((k + 1) * step);
+    const passesCorner = k * step < Math.PI / 4 - 1e-9 && (k + 1) * step > Math.PI / 4 + 1e-9;
+    const outer = passesCorner ? [from, corners.b, to] : [from, to];
+    return {
+      kind: 'winder',
+      points: [pivot, ...outer],
+      nosing: outerIsLeft ? [from, pivot] : [pivot, from],
+      ...assign(outer, [pivot]),
+      walk: [lerp(pivot, from, 0.5)],
+      going: half * step
+    };
+  });
+}
+
+function straightTreads(settings) {
+  return flightTreads(point(0, 0), point(0, 1), settings.risers - 1, settings.width, settings.treadDepth);
+}
+
+function lTreads(settings, winders) {
+  const { width, treadDepth, risers, firstFlight } = settings;
+  const side = settings.turn === 'right' ? -1 : 1;
+  const first = flightTreads(point(0, 0), point(0, 1), firstFlight - 1, width, treadDepth);
+  const front = (firstFlight - 1) * treadDepth;
+  const turn = quarterTurn(front, width, side, winders);
+  const remaining = risers - firstFlight - (winders ? WINDERS - 1 : 0);
+  const second = flightTreads(point(side * width / 2, front + width / 2), point(side, 0), remaining - 1, width, treadDepth);
+  return [...first, ...turn, ...second];
+}
+
+function uTreads(settings) {
+  const { width, treadDepth, risers, firstFlight, landingDepth, wellWidth } = settings;
+  const side = settings.turn === 'right' ? -1 : 1;
+  const half = width / 2;
+  const first = flightTreads(point(0, 0), point(0, 1), firstFlight - 1, width, treadDepth);
+  const front = (firstFlight - 1) * treadDepth;
+  const back = front + landingDepth;
+  const offset = side * (width + wellWidth);
+  const outerEdge = side * (1.5 * width + wellWidth);
+  const outer = [point(-side * half, front), point(-side * half, back), point(outerEdge, back), point(outerEdge, front)];
+  const inner = [point(side * half, front), point(offset - side * half, front)];
+  const outerIsLeft = side < 0;
+
+  const landing = {
+    kind: 'landing',
+    points: [outer[0], outer[1], outer[2], outer[3], inner[1], inner[0]],
+    nosing: outerIsLeft ? [outer[0], inner[0]] : [inner[0], outer[0]],
+    left: outerIsLeft ? outer : inner,
+    right: outerIsLeft ? inner : outer,
+    walk: [point(0, front), point(0, front + landingDepth / 2), point(offset, front + landingDepth / 2)],
+    going: landingDepth,
+    depth: landingDepth
+  };
+  const second = flightTreads(point(offset, front), point(0, -1), risers - firstFlight - 1, width, treadDepth);
+  return [...first, landing, ...second];
+}
+
+function spiralTreads(settings) {
+  const { width, treadDepth, risers, columnRadius } = settings;
+  const outerRadius = columnRadius + width;
+  const walkRadius = columnRadius + width / 2;
+  const angle = treadDepth / walkRadius;
+  // Climbing counter-clockwise keeps the column on the right
+  const direction = settings.turn === 'right' ? 1 : -1;
+  const polar = (radius, theta) => point(radius * Math.cos(theta), radius * Math.sin(theta));
+  const arc = (radius, from) => Array.from({ length: ARC_SEGMENTS + 1 }, (_, i) =>
+    polar(radius, direction * (from + (angle * i) / ARC_SEGMENTS))
+  );
+
+  return Array.from({ length: risers - 1 }, (_, k) => {
+    const from = k * angle;
+    const inner = arc(columnRadius, from);
+    const outer = arc(outerRadius, from);
+    const columnOnRight = direction > 0;
+    return {
+      kind: 'tread',
+      points: [...inner, ...[...outer].reverse()],
+      nosing: columnOnRight ? [outer[0], inner[0]] : [inner[0], outer[0]],
+      left: columnOnRight ? outer : inner,
+      right: columnOnRight ? inner : outer,
+      walk: arc(walkRadius, from).slice(0, -1),
+      going: treadDepth
+    };
+  });
+}
+
+/**
+ * Heights along a side of the stair, following the nosing line: treads and winders rise
+ * by one riser from front to back, landings stay level
+ */
+function sideLine(treads, side, riserHeight, offset) {
+  const points = [];
+  treads.forEach(tread => {
+    const line = tread[side];
+    const rise = tread.kind === 'landing' ? 0 : riserHeight;
+    const lengths = line.map((p, i) => (i === 0 ? 0 : distance(line[i - 1], p)));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    let along = 0;
+    line.forEach((p, i) => {
+      along += lengths[i];
+      points.push({ x: p.x, y: tread.elevation + offset + (total > 0 ? (rise * along) / total : 0), z: p.z });
+    });
+    if (line.length === 1 && rise > 0) {
+      points.push({ x: line[0].x, y: tread.elevation + offset + rise, z: line[0].z });
+    }
+  });
+  return points.filter((p, i) => i === 0 ||
+    Math.abs(p.x - points[i - 1].x) > 1e-9 || Math.abs(p.y - points[i - 1].y) > 1e-9 || Math.abs(p.z - points[i - 1].z) > 1e-9);
+}
+
+/**
+ * Height of the nosing line at a walkline station
+ */
+function pitchLineHeight(stations, station) {
+  if (station <= stations[0].station) return stations[0].y;
+  for (let i = 1; i < stations.length; i++) {
+    const a = stations[i - 1];
+    const b = stations[i];
+    if (station <= b.station) {
+      const span = b.station - a.station;
+      return span > 0 ? a.y + ((b.y - a.y) * (station - a.station)) / span : b.y;
+    }
+  }
+  return stations[stations.length - 1].y;
+}
+
+/**
+ * Generate a stair
+ * @param {Object} params - Stair parameters, see resolveStairParams
+ * @returns {Object} {
+ *   type, risers, riserHeight, treadDepth, width, totalRise, totalRun, flights,
+ *   treads: [{ index, kind: 'tread'|'winder'|'landing', points, nosing, left, right, elevation, going, flight }],
+ *   walkline, stringers: [{ side, points3D }], handrails: [{ side, points3D }],
+ *   cut: { index, height, line }, arrow, headroom, bounds
+ * }
+ */
+export function generateStair(params = {}) {
+  const settings = resolveStairParams(params);
+  const { type, riserHeight } = settings;
+
+  let treads;
+  if (type === 'l') treads = lTreads(settings, false);
+  else if (type === 'winder') treads = lTreads(settings, true);
+  else if (type === 'u') treads = uTreads(settings);
+  else if (type === 'spiral') treads = spiralTreads(settings);
+  else treads = straightTreads(settings);
+
+  // Each tread is one riser above the last; flights break at landings
+  let flight = 0;
+  const flights = [{ risers: 0 }];
+  treads.forEach((tread, index) => {
+    tread.index = index;
+    tread.elevation = (index + 1) * riserHeight;
+    flights[flight].risers += 1;
+    tread.flight = flight;
+    if (tread.kind === 'landing') {
+      flight += 1;
+      flights.push({ risers: 0 });
+    }
+  });
+  flights[flight].risers += 1; // onto the top floor
+
+  // Walkline through the middle of every nosing, ending at the top floor
+  const last = treads[treads.length - 1];
+  const arrival = lerp(last.left[last.left.length - 1], last.right[last.right.length - 1], 0.5);
+  const walkline = [...treads.flatMap(tread => tread.walk), arrival];
+  const stations = [];
+  let run = 0;
+  treads.forEach((tread, index) => {
+    if (index > 0) {
+      const previous = treads[index - 1].walk;
+      const walked = [...previous, tread.walk[0]];
+      for (let i = 1; i < walked.length; i++) run += distance(walked[i - 1], walked[i]);
+    }
+    stations.push({ station: run, y: tread.elevation });
+  });
+  const lastWalk = [...last.walk, arrival];
+  for (let i = 1; i < lastWalk.length; i++) run += distance(lastWalk[i - 1], lastWalk[i]);
+  stations.push({ station: run, y: settings.totalRise });
+  const totalRun = run;
+
+  // Headroom under the floor above, measured from the pitch line at the edge of the stair opening
+  let headroom = null;
+  if (settings.openingLength) {
+    const edge = totalRun - settings.openingLength;
+    if (edge > 0) {
+      headroom = settings.totalRise - settings.slabThickness - pitchLineHeight(stations, edge);
+    }
+  }
+
+  // Plan symbol: treads are cut at the cut plane, the arrow runs up to the cut
+  const cutIndex = treads.findIndex(tread => tread.elevation >= settings.cutHeight);
+  const cutTread = cutIndex === -1 ? null : treads[cutIndex];
+  const cut = cutTread ? {
+    index: cutIndex,
+    height: settings.cutHeight,
+    line: [cutTread.nosing[0], cutTread.right[cutTread.right.length - 1]]
+  } : null;
+  const arrowEnd = cutTread ? lerp(cutTread.nosing[0], cutTread.nosing[1], 0.5) : arrival;
+  const arrowPoints = cutTread ? treads.slice(0, cutIndex).flatMap(tread => tread.walk) : walkline.slice(0, -1);
+  const arrow = [...arrowPoints, arrowEnd].filter((p, i, all) => i === 0 || distance(p, all[i - 1]) > 1e-9);
+
+  // Spiral treads hang off the column: no stringers, and a rail on the outer edge only
+  const sides = ['left', 'right'];
+  const outerSide = settings.turn === 'right' ? 'left' : 'right';
+  const stringers = type === 'spiral'
+    ? []
+    : sides.map(side => ({ side, points3D: sideLine(treads, side, riserHeight, 0) }));
+  const handrails = settings.hasHandrail
+    ? sides
+      .filter(side => type !== 'spiral' || side === outerSide)
+      .map(side => ({ side, points3D: sideLine(treads, side, riserHeight, settings.handrailHeight) }))
+    : [];
+
+  const all = treads.flatMap(tread => tread.points);
+  const bounds = {
+    minX: Math.min(...all.map(p => p.x)),
+    maxX: Math.max(...all.map(p => p.x)),
+    minZ: Math.min(...all.map(p => p.z)),
+    maxZ: Math.max(...all.map(p => p.z))
+  };
+
+  return {
+    type,
+    risers: settings.risers,
+    riserHeight,
+    treadDepth: settings.treadDepth,
+    width: settings.width,
+    totalRise: settings.totalRise,
+    totalRun,
+    flights,
+    treads: treads.map(({ walk, ...tread }) => tread),
+    walkline,
+    stringers,
+    handrails,
+    cut,
+    arrow,
+    headroom,
+    bounds
+  };
+}
+
+/**
+ * Check a generated stair against building-code rules
+ * @param {Object} stair - Result of generateStair
+ * @param {Object} rules - Overrides of DEFAULT_STAIR_RULES
+ * @returns {Object} { ok, issues: [{ rule, severity, message, value, limit }], measurements }
+ */
+export function validateStair(stair, rules = {}) {
+  const limits = { ...DEFAULT_STAIR_RULES, ...rules };
+  const mm = value => `${Math.round(value * 1000)}mm`;
+  const goings = stair.treads.filter(tread => tread.kind !== 'landing').map(tread => tread.going);
+  const going = goings.length > 0 ? Math.min(...goings) : stair.treadDepth;
+  const stepLength = 2 * stair.riserHeight + stair.treadDepth;
+  const risersPerFlight = Math.max(...stair.flights.map(flight => flight.risers));
+  const landings = stair.treads.filter(tread => tread.kind === 'landing');
+  const issues = [];
+
+  const report = (rule, value, limit, message, severity = 'error') => {
+    issues.push({ rule, severity, message, value, limit });
+  };
+
+  if (stair.riserHeight > limits.maxRiser + 1e-9) {
+    report('maxRiser', stair.riserHeight, limits.maxRiser, `Riser height ${mm(stair.riserHeight)} above maximum (${mm(limits.maxRiser)})`);
+  }
+  if (stair.riserHeight < limits.minRiser - 1e-9) {
+    report('minRiser', stair.riserHeight, limits.minRiser, `Riser height ${mm(stair.riserHeight)} below minimum (${mm(limits.minRiser)})`);
+  }
+  if (going < limits.minTread - 1e-9) {
+    report('minTread', going, limits.minTread, `Tread going ${mm(going)} below minimum (${mm(limits.minTread)})`);
+  }
+  if (stepLength < limits.minStepLength - 1e-9 || stepLength > limits.maxStepLength + 1e-9) {
+    report(
+      'stepLength', stepLength, [limits.minStepLength, limits.maxStepLength],
+      `2R + T = ${mm(stepLength)} outside comfort range (${mm(limits.minStepLength)}-${mm(limits.maxStepLength)})`,
+      'warning'
+    );
+  }
+  if (stair.width < limits.minWidth - 1e-9) {
+    report('minWidth', stair.width, limits.minWidth, `Stair width ${mm(stair.width)} below minimum (${mm(limits.minWidth)})`);
+  }
+  if (risersPerFlight > limits.maxRisers) {
+    report('maxRisers', risersPerFlight, limits.maxRisers, `${risersPerFlight} risers without a landing exceeds limit (${limits.maxRisers} max)`);
+  }
+  landings.forEach(landing => {
+    if (landing.depth < stair.width - 1e-9) {
+      report('landingDepth', landing.depth, stair.width, `Landing depth ${mm(landing.depth)} less than stair width (${mm(stair.width)})`);
+    }
+  });
+  if (stair.headroom !== null && stair.headroom < limits.minHeadroom - 1e-9) {
+    report('minHeadroom', stair.headroom, limits.minHeadroom, `Headroom ${mm(stair.headroom)} below minimum (${mm(limits.minHeadroom)})`);
+  }
+
+  return {
+    ok: !issues.some(issue => issue.severity === 'error'),
+    issues,
+    measurements: {
+      riserHeight: stair.riserHeight,
+      treadDepth: going,
+      stepLength,
+      width: stair.width,
+      risers: stair.risers,
+      risersPerFlight,
+      headroom: stair.headroom
+    }
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Structural framing
+ *
+ * Section profiles for beams and braces and the geometry of a framing member. Profiles
+ * come from a catalog of standard sections (concrete and glulam rectangles, I/H sections,
+ * channels, angles and hollow sections) or a custom spec with the same fields. Dimensions
+ * are in metres: depth is the vertical size of the section, width its horizontal size.
+ * Outlines are drawn in the section plane (x across the member, y up) centred on the
+ * section's bounding box. Member points use plan x/z with heights (y) from the member's level.
+ */
+
+export const PROFILE_FAMILIES = ['rectangular', 'i', 'channel', 'angle', 'rhs', 'chs'];
+
+// kg/m3, for the mass per metre of a section
+export const MATERIAL_DENSITY = { steel: 7850, concrete: 2400, wood: 470, aluminum: 2700 };
+
+const rectangular = (width, depth, material = 'concrete') => ({ family: 'rectangular', width, depth, material });
+const iSection = (depth, width, webThickness, flangeThickness) => ({
+  family: 'i', depth, width, webThickness, flangeThickness, material: 'steel'
+});
+const channel = (depth, width, webThickness, flangeThickness) => ({
+  family: 'channel', depth, width, webThickness, flangeThickness, material: 'steel'
+});
+const angle = (depth, width, thickness) => ({ family: 'angle', depth, width, thickness, material: 'steel' });
+const hollow = (depth, width, thickness) => ({ family: 'rhs', depth, width, thickness, material: 'steel' });
+const tube = (diameter, thickness) => ({
+  family: 'chs', depth: diameter, width: diameter, diameter, thickness, material: 'steel'
+});
+
+export const PROFILE_CATALOG = {
+  'RC 250x400': rectangular(0.25, 0.4),
+  'RC 300x500': rectangular(0.3, 0.5),
+  'RC 300x600': rectangular(0.3, 0.6),
+  'RC 400x700': rectangular(0.4, 0.7),
+  'GL 90x270': rectangular(0.09, 0.27, 'wood'),
+  'GL 140x360': rectangular(0.14, 0.36, 'wood'),
+  'GL 200x600': rectangular(0.2, 0.6, 'wood'),
+  'IPE 200': iSection(0.2, 0.1, 0.0056, 0.0085),
+  'IPE 300': iSection(0.3, 0.15, 0.0071, 0.0107),
+  'IPE 400': iSection(0.4, 0.18, 0.0086, 0.0135),
+  'IPE 500': iSection(0.5, 0.2, 0.0102, 0.016),
+  'HEA 200': iSection(0.19, 0.2, 0.0065, 0.01),
+  'HEA 300': iSection(0.29, 0.3, 0.0085, 0.014),
+  'HEB 200': iSection(0.2, 0.2, 0.009, 0.015),
+  'HEB 300': iSection(0.3, 0.3, 0.011, 0.019),
+  'UPN 160': channel(0.16, 0.065, 0.0075, 0.0105),
+  'UPN 200': channel(0.2, 0.075, 0.0085, 0.0115),
+  'L 80x80x8': angle(0.08, 0.08, 0.008),
+  'L 100x100x10': angle(0.1, 0.1, 0.01),
+  'L 150x100x12': angle(0.15, 0.1, 0.012),
+  'SHS 100x100x6': hollow(0.1, 0.1, 0.006),
+  'SHS 150x150x8': hollow(0.15, 0.15, 0.008),
+  'RHS 200x100x8': hollow(0.2, 0.1, 0.008),
+  'CHS 114.3x5': tube(0.1143, 0.005),
+  'CHS 168.3x8': tube(0.1683, 0.008)
+};
+
+export const DEFAULT_BEAM_PROFILE = 'IPE 300';
+export const DEFAULT_BRACE_PROFILE = 'SHS 100x100x6';
+
+const positive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+const normalizeName = (name) => String(name).toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Look up a section profile
+ * @param {string|Object} profile - Catalog designation ('IPE 300', 'ipe300') or a custom
+ *   spec { family, width, depth, thickness, ... }
+ * @returns {Object|null} { designation, family, width, depth, ..., material }, null when unknown
+ */
+export function getProfile(profile) {
+  if (profile && typeof profile === 'object') {
+    if (!PROFILE_FAMILIES.includes(profile.family)) return null;
+    const depth = positive(profile.depth, positive(profile.diameter, 0.3));
+    const width = profile.family === 'chs' ? depth : positive(profile.width, depth);
+    const thickness = positive(profile.thickness, Math.min(width, depth) / 10);
+    return {
+      designation: profile.designation || `${profile.family} ${Math.round(width * 1000)}x${Math.round(depth * 1000)}`,
+      ...profile,
+      width,
+      depth,
+      ...(profile.family === 'chs' ? { diameter: depth } : {}),
+      ...(['angle', 'rhs', 'chs'].includes(profile.family) ? { thickness } : {}),
+      ...(['i', 'channel'].includes(profile.family) ? {
+        webThickness: positive(profile.webThickness, thickness),
+        flangeThickness: positive(profile.flangeThickness, thickness)
+      } : {}),
+      material: profile.material || (profile.family === 'rectangular' ? 'concrete' : 'steel')
+    };
+  }
+  if (!profile) return null;
+  const designation = Object.keys(PROFILE_CATALOG).find(name => normalizeName(name) === normalizeName(profile));
+  return designation ? { designation, ...PROFILE_CATALOG[designation] } : null;
+}
+
+const rect = (minX, minY, maxX, maxY) => [
+  { x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }
+];
+const circle = (radius, segments) => Array.from({ length: segments }, (_, i) => ({
+  x: radius * Math.cos((i / segments) * Math.PI * 2),
+  y: radius * Math.sin((i / segments) * Math.PI * 2)
+}));
+
+/**
+ * Section outline of a profile: the outer boundary counter-clockwise and any holes
+ * (hollow sections) clockwise, centred on the bounding box
+ * @param {Object} profile - from getProfile
+ * @param {number} segments - Segments of a circular section
+ * @returns {{ outer: Array<{x, y}>, holes: Array<Array<{x, y}>> }}
+ */
+export function profileOutline(profile, segments = 24) {
+  const w = profile.width / 2;
+  const d = profile.depth / 2;
+  switch (profile.family) {
+    case 'i': {
+      const tw = profile.webThickness / 2;
+      const tf = profile.flangeThickness;
+      return {
+        outer: [
+          { x: -w, y: -d }, { x: w, y: -d }, { x: w, y: -d + tf }, { x: tw, y: -d + tf },
+          { x: tw, y: d - tf }, { x: w, y: d - tf }, { x: w, y: d }, { x: -w, y: d },
+          { x: -w, y: d - tf }, { x: -tw, y: d - tf }, { x: -tw, y: -d + tf }, { x: -w, y: -d + tf }
+        ],
+        holes: []
+      };
+    }
+    case 'channel': {
+      // Web on the -x side, flanges pointing to +x
+      const tw = profile.webThickness;
+      const tf = profile.flangeThickness;
+      return {
+        outer: [
+          { x: -w, y: -d }, { x: w, y: -d }, { x: w, y: -d + tf }, { x: -w + tw, y: -d + tf },
+          { x: -w + tw, y: d - tf }, { x: w, y: d - tf }, { x: w, y: d }, { x: -w, y: d }
+        ],
+        holes: []
+      };
+    }
+    case 'angle': {
+      // Vertical leg on the -x side, horizontal leg along the bottom
+      const t = profile.thickness;
+      return {
+        outer: [
+          { x: -w, y: -d }, { x: w, y: -d }, { x: w, y: -d + t },
+          { x: -w + t, y: -d + t }, { x: -w + t, y: d }, { x: -w, y: d }
+        ],
+        holes: []
+      };
+    }
+    case 'rhs': {
+      const t = profile.thickness;
+      return { outer: rect(-w, -d, w, d), holes: [rect(-w + t, -d + t, w - t, d - t).reverse()] };
+    }
+    case 'chs':
+      return { outer: circle(d, segments), holes: [circle(d - profile.thickness, segments).reverse()] };
+    default:
+      return { outer: rect(-w, -d, w, d), holes: [] };
+  }
+}
+
+// Signed area, first and second moments of a closed polygon about the origin
+const polygonMoments = (points) => points.reduce((sum, p, i) => {
+  const q = points[(i + 1) % points.length];
+  const cross = p.x * q.y - q.x * p.y;
+  return {
+    area: sum.area + cross / 2,
+    sx: sum.sx + (p.x + q.x) * cross / 6,
+    sy: sum.sy + (p.y + q.y) * cross / 6,
+    ixx: sum.ixx + (p.y * p.y + p.y * q.y + q.y * q.y) * cross / 12,
+    iyy: sum.iyy + (p.x * p.x + p.x * q.x + q.x * q.x) * cross / 12
+  };
+}, { area: 0, sx: 0, sy: 0, ixx: 0, iyy: 0 });
+
+/**
+ * Area, centroid, second moments and mass per metre of a profile (square corners, no
+ * root radii, so values are slightly under the published tables)
+ * @param {Object} profile - from getProfile
+ * @returns {Object} { area (m2), centroid: {x, y}, inertiaStrong, inertiaWeak (m4), massPerMetre (kg/m) }
+ */
+export function sectionProperties(profile) {
+  const { outer, holes } = profileOutline(profile, 64);
+  const total = [outer, ...holes].map(polygonMoments).reduce((sum, m) => ({
+    area: sum.area + m.area,
+    sx: sum.sx + m.sx,
+    sy: sum.sy + m.sy,
+    ixx: sum.ixx + m.ixx,
+    iyy: sum.iyy + m.iyy
+  }), { area: 0, sx: 0, sy: 0, ixx: 0, iyy: 0 });
+  const centroid = { x: total.sx / total.area, y: total.sy / total.area };
+  return {
+    area: total.area,
+    centroid,
+    inertiaStrong: total.ixx - total.area * centroid.y * centroid.y,
+    inertiaWeak: total.iyy - total.area * centroid.x * centroid.x,
+    massPerMetre: total.area * (MATERIAL_DENSITY[profile.material] || MATERIAL_DENSITY.steel)
+  };
+}
+
+/**
+ * Axis of a framing member. Beams run level at params.elevation, braces from
+ * params.startElevation to params.endElevation; either may override both end heights.
+ * The justification says which part of the section sits on that line: beams default to
+ * 'top' (the top of steel at the elevation), braces to 'center'.
+ * @param {Object} params - { memberType, startPoint, endPoint, elevation, startElevation,
+ *   endElevation, justification }
+ * @param {Object} profile - from getProfile
+ * @returns {Object} { start: {x, y, z}, end: {x, y, z}, length, span, justification, offset }
+ *   where offset is the distance from the line to the section centre, perpendicular to the member
+ */
+export function resolveFramingMember(params, profile) {
+  const startPoint = params.startPoint || { x: 0, z: 0 };
+  const endPoint = params.endPoint || { x: (startPoint.x || 0) + 4, z: startPoint.z || 0 };
+  const brace = params.memberType === 'brace';
+  const elevation = Number(params.elevation) || 0;
+  const height = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+  const start = { x: startPoint.x || 0, y: height(params.startElevation, brace ? 0 : elevation), z: startPoint.z || 0 };
+  const end = { x: endPoint.x || 0, y: height(params.endElevation, elevation), z: endPoint.z || 0 };
+  const justification = ['top', 'center', 'bottom'].includes(params.justification)
+    ? params.justification
+    : (brace ? 'center' : 'top');
+  const offsets = { top: -profile.depth / 2, center: 0, bottom: profile.depth / 2 };
+
+  return {
+    start,
+    end,
+    length: Math.hypot(end.x - start.x, end.y - start.y, end.z - start.z),
+    span: Math.hypot(end.x - start.x, end.z - start.z),
+    justification,
+    offset: offsets[justification]
+  };
+}
+
+/**
+ * Snap a plan point to the nearest framing target (column centre, wall end, member end)
+ * within the tolerance, else to the grid spacing when given
+ * @param {{x, z}} point
+ * @param {Array<{x, z}>} targets - Extra fields (kind, id) are returned with the match
+ * @param {Object} options - { tolerance: 0.3, gridSpacing }
+ * @returns {{ point: {x, z}, target: Object|null }}
+ */
+export function snapFramingPoint(point, targets = [], options = {}) {
+  const tolerance = positive(options.tolerance, 0.3);
+  const nearest = targets.reduce((best, target) => {
+    const distance = Math.hypot(target.x - point.x, target.z - point.z);
+    return distance <= tolerance && (!best || distance < best.distance) ? { target, distance } : best;
+  }, null);
+  if (nearest) {
+    return { point: { x: nearest.target.x, z: nearest.target.z }, target: nearest.target };
+  }
+  const spacing = positive(options.gridSpacing, 0);
+  if (spacing) {
+    return {
+      point: { x: Math.round(point.x / spacing) * spacing, z: Math.round(point.z / spacing) * spacing },
+      target: null
+    };
+  }
+  return { point: { x: point.x, z: point.z }, target: null };
+}
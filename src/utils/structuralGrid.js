@@ -0,0 +1,198 @@
+/**
+ * Structural grids
+ *
+ * Named reference grids for setting out columns, walls and framing. Numbered axes
+ * (1, 2, 3...) are lines across the grid's x direction and lettered axes (A, B, C...)
+ * lines across its z direction, each set placed by its own list of spacings. A grid has a
+ * plan origin (where axes 1 and A cross) and a rotation in degrees about the vertical, in
+ * the same sense as object rotations. Plan coordinates are x/z in metres.
+ */
+
+export const DEFAULT_GRID = {
+  name: 'Grid',
+  origin: { x: 0, z: 0 },
+  rotation: 0,
+  xSpacings: [6, 6, 6],
+  zSpacings: [6, 6],
+  xLabels: 'numbers',
+  zLabels: 'letters',
+  extension: 1.5 // m, axes run past the outermost crossing axes
+};
+
+// Letters that read like numbers are skipped, as on most drawings
+const LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const EPSILON = 1e-3;
+
+/**
+ * Label of the index-th axis: 1, 2, 3... or A, B, ... Z, AA, AB...
+ * @param {number} index - Zero-based
+ * @param {string} style - 'numbers' or 'letters'
+ */
+export function gridAxisLabel(index, style = 'numbers') {
+  if (style !== 'letters') return String(index + 1);
+  let label = '';
+  let n = index;
+  do {
+    label = LETTERS[n % LETTERS.length] + label;
+    n = Math.floor(n / LETTERS.length) - 1;
+  } while (n >= 0);
+  return label;
+}
+
+const spacings = (value, fallback) => {
+  if (value === undefined || value === null) return [...fallback];
+  return (Array.isArray(value) ? value : String(value).split(/[\s,;]+/))
+    .map(Number)
+    .filter(number => Number.isFinite(number) && number > 0);
+};
+const nonNegative = (value, fallback) => {
+  const number = Number(value);
+  return value !== '' && value !== null && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Grid definition with defaults filled in
+ * @param {Object} params - { id, name, origin, rotation, xSpacings, zSpacings, xLabels, zLabels, extension }
+ *   spacings may be arrays or comma-separated text ("6, 6, 7.5"); no spacings is a single axis
+ */
+export function createGrid(params = {}) {
+  const origin = params.origin || DEFAULT_GRID.origin;
+  return {
+    ...(params.id ? { id: params.id } : {}),
+    name: params.name || DEFAULT_GRID.name,
+    origin: { x: Number(origin.x) || 0, z: Number(origin.z) || 0 },
+    rotation: Number(params.rotation) || 0,
+    xSpacings: spacings(params.xSpacings, DEFAULT_GRID.xSpacings),
+    zSpacings: spacings(params.zSpacings, DEFAULT_GRID.zSpacings),
+    xLabels: params.xLabels === 'letters' ? 'letters' : 'numbers',
+    zLabels: params.zLabels === 'numbers' ? 'numbers' : 'letters',
+    extension: nonNegative(params.extension, DEFAULT_GRID.extension)
+  };
+}
+
+/**
+ * Positions of the axes along one direction: 0 then the running total of the spacings
+ */
+export function axisOffsets(spacingList) {
+  return spacingList.reduce((offsets, spacing) => [...offsets, offsets[offsets.length - 1] + spacing], [0]);
+}
+
+/**
+ * Grid-local point to plan coordinates
+ */
+export function gridToWorld(grid, point) {
+  const angle = (grid.rotation || 0) * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: grid.origin.x + point.x * cos + point.z * sin,
+    z: grid.origin.z - point.x * sin + point.z * cos
+  };
+}
+
+/**
+ * Plan point to grid-local coordinates
+ */
+export function worldToGrid(grid, point) {
+  const angle = (grid.rotation || 0) * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - grid.origin.x;
+  const dz = point.z - grid.origin.z;
+  return { x: dx * cos - dz * sin, z: dx * sin + dz * cos };
+}
+
+/**
+ * Axis lines of a grid, extended past the outermost crossing axes
+ * @returns {Array<Object>} [{ name, direction: 'x'|'z', index, offset, start: {x, z}, end: {x, z} }]
+ *   direction 'x' axes are placed along x (numbered by default) and run in the z direction
+ */
+export function generateGridAxes(grid) {
+  const xOffsets = axisOffsets(grid.xSpacings);
+  const zOffsets = axisOffsets(grid.zSpacings);
+  const ext = grid.extension;
+  const zEnd = zOffsets[zOffsets.length - 1];
+  const xEnd = xOffsets[xOffsets.length - 1];
+
+  return [
+    ...xOffsets.map((offset, index) => ({
+      name: gridAxisLabel(index, grid.xLabels),
+      direction: 'x',
+      index,
+      offset,
+      start: gridToWorld(grid, { x: offset, z: -ext }),
+      end: gridToWorld(grid, { x: offset, z: zEnd + ext })
+    })),
+    ...zOffsets.map((offset, index) => ({
+      name: gridAxisLabel(index, grid.zLabels),
+      direction: 'z',
+      index,
+      offset,
+      start: gridToWorld(grid, { x: -ext, z: offset }),
+      end: gridToWorld(grid, { x: xEnd + ext, z: offset })
+    }))
+  ];
+}
+
+/**
+ * Crossing points of the grid's axes, named lettered axis first ("B3")
+ * @returns {Array<Object>} [{ name, x, z, xIndex, zIndex, xAxis, zAxis }]
+ */
+export function gridIntersections(grid) {
+  const xOffsets = axisOffsets(grid.xSpacings);
+  const zOffsets = axisOffsets(grid.zSpacings);
+  return zOffsets.flatMap((zOffset, zIndex) => xOffsets.map((xOffset, xIndex) => {
+    const xAxis = gridAxisLabel(xIndex, grid.xLabels);
+    const zAxis = gridAxisLabel(zIndex, grid.zLabels);
+    return {
+      name: grid.xLabels === 'letters' && grid.zLabels !== 'letters' ? `${xAxis}${zAxis}` : `${zAxis}${xAxis}`,
+      ...gridToWorld(grid, { x: xOffset, z: zOffset }),
+      xIndex,
+      zIndex,
+      xAxis,
+      zAxis
+    };
+  }));
+}
+
+/**
+ * The axes a plan point lies on (within the tolerance)
+ * @returns {{ xAxis: string|null, zAxis: string|null }} Axis names, null when off that set
+ */
+export function locateOnGrid(grid, point, tolerance = EPSILON) {
+  const local = worldToGrid(grid, point);
+  const onAxis = (offsets, value, style) => {
+    const index = offsets.findIndex(offset => Math.abs(offset - value) <= tolerance);
+    return index === -1 ? null : gridAxisLabel(index, style);
+  };
+  return {
+    xAxis: onAxis(axisOffsets(grid.xSpacings), local.x, grid.xLabels),
+    zAxis: onAxis(axisOffsets(grid.zSpacings), local.z, grid.zLabels)
+  };
+}
+
+// Keep a coordinate at the same distance from the axis at or before it
+const followAxes = (value, oldOffsets, newOffsets) => {
+  let index = 0;
+  oldOffsets.forEach((offset, i) => {
+    if (offset <= value + EPSILON) index = i;
+  });
+  index = Math.min(index, newOffsets.length - 1);
+  return newOffsets[index] + (value - oldOffsets[index]);
+};
+
+/**
+ * Where a point hosted on a grid moves to when the grid changes: it keeps its distance
+ * from the nearest axis at or before it in each direction, so elements on an axis stay on it
+ * @param {Object} oldGrid
+ * @param {Object} newGrid
+ * @param {{x, z}} point
+ * @returns {{x, z}}
+ */
+export function moveWithGrid(oldGrid, newGrid, point) {
+  const local = worldToGrid(oldGrid, point);
+  return gridToWorld(newGrid, {
+    x: followAxes(local.x, axisOffsets(oldGrid.xSpacings), axisOffsets(newGrid.xSpacings)),
+    z: followAxes(local.z, axisOffsets(oldGrid.zSpacings), axisOffsets(newGrid.zSpacings))
+  });
+}
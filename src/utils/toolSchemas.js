@@ -0,0 +1,447 @@
+/**
+ * AI Tool Schemas
+ *
+ * JSON Schemas for the arguments and results of every tool the AI can call, validation of
+ * tool calls against them, and the catalog in OpenAI and Anthropic function-calling formats.
+ *
+ * Tool names are dotted (geometry.createWall); function-calling APIs only allow
+ * [a-zA-Z0-9_-], so the dots travel as double underscores (geometry__createWall).
+ * Lengths are in metres and angles in degrees, plan points are x/z as everywhere else.
+ */
+
+import { validateSchema, formatSchemaErrors } from './jsonSchema';
+import { PROFILE_CATALOG } from './structuralFraming';
+import { ROOF_TYPES } from './roofGeometry';
+import { STAIR_TYPES } from './stairGeometry';
+import { RAMP_TYPES } from './rampGeometry';
+
+/**
+ * Error codes of failed tool calls, in the { ok: false, error: { code, title } } shape
+ * the agent endpoints already use
+ */
+export const TOOL_ERROR_CODES = {
+  unknownTool: 'E_UNKNOWN_TOOL',
+  invalidArgs: 'E_INVALID_ARGS',
+  notImplemented: 'E_NOT_IMPL',
+  exec: 'E_EXEC'
+};
+
+const length = (description, minimum = 0) => ({ type: 'number', minimum, description });
+const text = description => ({ type: 'string', description });
+const material = { type: 'string', description: 'Material name, e.g. concrete, brick, wood, steel, glass' };
+const point = {
+  type: 'object',
+  description: 'Plan point in metres',
+  properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+  required: ['x', 'z'],
+  additionalProperties: false
+};
+const hosting = {
+  hostWallId: text('Wall the opening is inserted in'),
+  insertionPosition: { type: 'number', minimum: 0, maximum: 1, description: 'Fraction of the host wall length from its start; 0.5 by default' }
+};
+const objectIds = { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Ids of the objects to act on' };
+
+const args = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false
+});
+
+const objectId = { type: ['string', 'null'], description: 'Id of the created object, null when it could not be created' };
+const done = { type: 'object', properties: { ok: { type: 'boolean' } } };
+
+/**
+ * Every tool by name: { category, description, parameters, result }
+ */
+export const TOOL_SCHEMAS = {
+  'geometry.createWall': {
+    category: 'geometry',
+    description: 'Create a straight wall between two plan points, or of a given length from the origin along x.',
+    parameters: args({
+      startPoint: point,
+      endPoint: point,
+      length: length('Wall length, ignored when both points are given', 0.01),
+      height: length('Wall height', 0.01),
+      thickness: length('Wall thickness', 0.01),
+      material
+    }),
+    result: objectId
+  },
+  'geometry.createSlab': {
+    category: 'geometry',
+    description: 'Create a rectangular floor slab.',
+    parameters: args({
+      width: length('Slab width along x', 0.01),
+      depth: length('Slab depth along z', 0.01),
+      thickness: length('Slab thickness', 0.01),
+      material
+    }),
+    result: objectId
+  },
+  'geometry.createDoor': {
+    category: 'geometry',
+    description: 'Create a door, inserted in hostWallId when given.',
+    parameters: args({
+      width: length('Leaf width', 0.3),
+      height: length('Leaf height', 1),
+      thickness: length('Leaf thickness', 0.01),
+      material,
+      ...hosting
+    }),
+    result: objectId
+  },
+  'geometry.createWindow': {
+    category: 'geometry',
+    description: 'Create a window, inserted in hostWallId when given.',
+    parameters: args({
+      width: length('Window width', 0.2),
+      height: length('Window height', 0.2),
+      thickness: length('Frame thickness', 0.01),
+      material,
+      ...hosting
+    }),
+    result: objectId
+  },
+  'geometry.createColumn': {
+    category: 'geometry',
+    description: 'Create a column, or one column at every crossing of a structural grid.',
+    parameters: args({
+      width: length('Section width', 0.05),
+      depth: length('Section depth', 0.05),
+      height: length('Column height', 0.1),
+      material,
+      atGridIntersections: { type: 'boolean', description: 'Place a column at every grid intersection that has none' },
+      gridId: text('Grid to place on; the first grid when omitted')
+    }),
+    result: {
+      anyOf: [objectId, { type: 'array', items: { type: 'string' }, description: 'Ids of the columns placed on the grid' }]
+    }
+  },
+  'geometry.createBeam': {
+    category: 'geometry',
+    description: 'Create a beam between two columns, along the top of a wall, or as a free span between two plan points.',
+    parameters: args({
+      startColumnId: text('Column the beam starts on; needs endColumnId'),
+      endColumnId: text('Column the beam ends on; needs startColumnId'),
+      wallId: text('Wall whose top the beam runs along'),
+      profile: { type: 'string', enum: Object.keys(PROFILE_CATALOG), description: 'Section profile' },
+      startPoint: point,
+      endPoint: point,
+      length: length('Span from startPoint along x when there is no endPoint', 0.1),
+      span: length('Same as length', 0.1),
+      elevation: { type: 'number', description: 'Top of beam above the level' },
+      material
+    }),
+    result: objectId
+  },
+  'geometry.createBrace': {
+    category: 'geometry',
+    description: 'Create a diagonal brace between two plan points and elevations.',
+    parameters: args({
+      startPoint: point,
+      endPoint: point,
+      length: length('Plan length from startPoint along x when there is no endPoint', 0.1),
+      profile: { type: 'string', enum: Object.keys(PROFILE_CATALOG), description: 'Section profile' },
+      startElevation: { type: 'number', description: 'Elevation at the start above the level' },
+      endElevation: { type: 'number', description: 'Elevation at the end above the level' },
+      material
+    }),
+    result: objectId
+  },
+  'geometry.createRoof': {
+    category: 'geometry',
+    description: 'Create a roof over the outline of the walls, or over a width by length rectangle when there are none.',
+    parameters: args({
+      roofType: { type: 'string', enum: ROOF_TYPES },
+      pitch: { type: 'number', minimum: 0, maximum: 75, description: 'Roof pitch in degrees' },
+      overhang: length('Eaves overhang'),
+      width: length('Rectangle width', 0.5),
+      length: length('Rectangle length', 0.5),
+      depth: length('Same as length', 0.5),
+      material
+    }),
+    result: objectId
+  },
+  'geometry.createStair': {
+    category: 'geometry',
+    description: 'Create a stair that rises to the level above unless a total rise is given.',
+    parameters: args({
+      stairType: { type: 'string', enum: STAIR_TYPES },
+      width: length('Flight width', 0.6),
+      totalRise: length('Floor to floor rise', 0.1),
+      height: length('Same as totalRise', 0.1),
+      riser: length('Riser height', 0.1),
+      riserHeight: length('Same as riser', 0.1),
+      tread: length('Tread depth', 0.15),
+      treadDepth: length('Same as tread', 0.15),
+      turn: { type: 'string', enum: ['left', 'right'], description: 'Turn direction of L, U and winder stairs' },
+      material,
+      position: point
+    }),
+    result: objectId
+  },
+  'geometry.createRamp': {
+    category: 'geometry',
+    description: 'Create a ramp; its length follows from the rise and gradient, split into runs between landings.',
+    parameters: args({
+      rampType: { type: 'string', enum: RAMP_TYPES },
+      width: length('Ramp width', 0.6),
+      totalRise: length('Rise', 0.01),
+      height: length('Same as totalRise', 0.01),
+      gradient: { type: 'number', minimum: 1, description: 'Run per unit of rise, e.g. 12 for 1:12' },
+      grade: { type: 'number', minimum: 0, maximum: 100, description: 'Slope in percent' },
+      topLevelId: text('Level the ramp arrives at'),
+      slopeDirection: { type: 'string', enum: ['north', 'east', 'south', 'west'] },
+      material,
+      position: point
+    }),
+    result: objectId
+  },
+  'geometry.createGrid': {
+    category: 'geometry',
+    description: 'Create a structural grid of numbered axes along x and lettered axes along z.',
+    parameters: args({
+      name: text('Grid name'),
+      origin: point,
+      rotation: { type: 'number', description: 'Rotation about the vertical in degrees' },
+      spacing: length('Bay size for both directions', 0.5),
+      xBays: { type: 'integer', minimum: 1, maximum: 50, description: 'Number of bays along x' },
+      zBays: { type: 'integer', minimum: 1, maximum: 50, description: 'Number of bays along z' },
+      xSpacings: { type: 'array', items: length('Bay size', 0.5), minItems: 1, description: 'Bay sizes along x' },
+      zSpacings: { type: 'array', items: length('Bay size', 0.5), minItems: 1, description: 'Bay sizes along z' }
+    }),
+    result: { type: 'string', description: 'Id of the created grid' }
+  },
+  'geometry.createRoom': {
+    category: 'geometry',
+    description: 'Create a rectangular room of four joined walls centred on the origin.',
+    parameters: args({
+      width: length('Room width along x', 0.5),
+      length: length('Room length along z', 0.5),
+      height: length('Wall height', 0.5),
+      thickness: length('Wall thickness', 0.01),
+      material,
+      roomType: text('Room use, e.g. bedroom, kitchen')
+    }),
+    result: objectId
+  },
+  'geometry.createFurniture': {
+    category: 'geometry',
+    description: 'Place furniture from the furniture library, or a placeholder of the right size when none matches.',
+    parameters: args({
+      furnitureType: text('Kind of furniture, e.g. sofa, table, bed'),
+      style: text('Style, e.g. modern, classic'),
+      material,
+      color: text('Colour'),
+      roomContext: text('Room the furniture is for'),
+      quantity: { type: 'integer', minimum: 1, maximum: 20 }
+    }),
+    result: objectId
+  },
+  'geometry.createFloor': {
+    category: 'geometry',
+    description: 'Add a floor (building level) to the project.',
+    parameters: args({
+      name: text('Level name'),
+      level: { type: 'integer', description: 'Storey number' },
+      floorType: text('Kind of floor, e.g. basement, roof'),
+      elevation: { type: 'number', description: 'Elevation of the level' },
+      height: length('Floor to floor height', 0.5)
+    }),
+    result: { type: 'string', description: 'Id of the created level' }
+  },
+
+  'selection.select': {
+    category: 'selection',
+    description: 'Select objects in the scene.',
+    parameters: args({ objectIds, addToSelection: { type: 'boolean' } }, ['objectIds']),
+    result: done
+  },
+  'selection.clear': {
+    category: 'selection',
+    description: 'Clear the current selection.',
+    parameters: args({}),
+    result: done
+  },
+  'selection.invert': {
+    category: 'selection',
+    description: 'Invert the current selection.',
+    parameters: args({}),
+    result: done
+  },
+  'transform.move': {
+    category: 'transform',
+    description: 'Move objects to a position.',
+    parameters: args({ objectIds, position: point }, ['objectIds', 'position']),
+    result: done
+  },
+  'transform.rotate': {
+    category: 'transform',
+    description: 'Rotate objects about the vertical.',
+    parameters: args({ objectIds, angle: { type: 'number', description: 'Angle in degrees' } }, ['objectIds', 'angle']),
+    result: done
+  },
+  'transform.scale': {
+    category: 'transform',
+    description: 'Resize objects.',
+    parameters: args({
+      objectIds,
+      width: length('New width', 0.01),
+      height: length('New height', 0.01),
+      depth: length('New depth', 0.01)
+    }, ['objectIds']),
+    result: done
+  },
+  'geometry.editWall': {
+    category: 'geometry',
+    description: 'Change the properties of a wall.',
+    parameters: args({
+      objectId: text('Wall id'),
+      length: length('Wall length', 0.01),
+      height: length('Wall height', 0.01),
+      thickness: length('Wall thickness', 0.01),
+      material
+    }, ['objectId']),
+    result: done
+  },
+  'geometry.editSlab': {
+    category: 'geometry',
+    description: 'Change the properties of a slab.',
+    parameters: args({
+      objectId: text('Slab id'),
+      width: length('Slab width', 0.01),
+      depth: length('Slab depth', 0.01),
+      thickness: length('Slab thickness', 0.01),
+      material
+    }, ['objectId']),
+    result: done
+  },
+  'geometry.editStair': {
+    category: 'geometry',
+    description: 'Change the properties of a stair.',
+    parameters: args({
+      objectId: text('Stair id'),
+      stairType: { type: 'string', enum: STAIR_TYPES },
+      width: length('Flight width', 0.6),
+      treadDepth: length('Tread depth', 0.15),
+      material
+    }, ['objectId']),
+    result: done
+  },
+  'analysis.structural': {
+    category: 'analysis',
+    description: 'Check the structural feasibility of the model or of some objects.',
+    parameters: args({ objectIds }),
+    result: { type: 'object', properties: { ok: { type: 'boolean' }, issues: { type: 'array' } } }
+  },
+  'analysis.spatial': {
+    category: 'analysis',
+    description: 'Analyse the spatial relationships between objects.',
+    parameters: args({ objectIds }),
+    result: { type: 'object', properties: { ok: { type: 'boolean' }, relationships: { type: 'array' } } }
+  },
+  'document.commitCheckpoint': {
+    category: 'document',
+    description: 'Save a checkpoint of the document that can be restored later.',
+    parameters: args({ label: text('Checkpoint label') }),
+    result: { type: 'object', properties: { ok: { type: 'boolean' }, checkpointId: { type: 'string' } } }
+  },
+  'document.undo': {
+    category: 'document',
+    description: 'Undo the last operation.',
+    parameters: args({}),
+    result: done
+  },
+  'document.redo': {
+    category: 'document',
+    description: 'Redo the last undone operation.',
+    parameters: args({}),
+    result: done
+  }
+};
+
+/**
+ * Function-calling name of a tool (geometry.createWall -> geometry__createWall)
+ */
+export const toFunctionName = toolName => toolName.replace(/\./g, '__');
+
+/**
+ * Tool name of a function-calling name; dotted names pass through
+ */
+export const fromFunctionName = functionName => functionName.replace(/__/g, '.');
+
+export const toolError = (code, title, extra = {}) => ({ code, title, ...extra });
+
+/**
+ * Validate a tool call's arguments
+ * @returns {{ ok: true, args: Object } | { ok: false, error: { code, title, errors? } }}
+ */
+export function validateToolArguments(toolName, toolArgs, schemas = TOOL_SCHEMAS) {
+  const schema = schemas[toolName];
+  if (!schema) {
+    return { ok: false, error: toolError(TOOL_ERROR_CODES.unknownTool, `Unknown tool: ${toolName}`) };
+  }
+  const value = toolArgs === undefined || toolArgs === null ? {} : toolArgs;
+  const { valid, errors } = validateSchema(value, schema.parameters || { type: 'object' });
+  if (!valid) {
+    return {
+      ok: false,
+      error: toolError(TOOL_ERROR_CODES.invalidArgs, `Invalid arguments for ${toolName}: ${formatSchemaErrors(errors)}`, { errors })
+    };
+  }
+  return { ok: true, args: value };
+}
+
+/**
+ * Check a tool's result against its declared schema
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateToolResult(toolName, result, schemas = TOOL_SCHEMAS) {
+  const schema = schemas[toolName];
+  if (!schema || !schema.result) return { valid: true, errors: [] };
+  return validateSchema(result === undefined ? null : result, schema.result);
+}
+
+/**
+ * Catalog of tools for an LLM
+ * @param {string[]} toolNames - Tools to include, in order; every tool when omitted
+ * @param {string} format - 'openai' ({ type: 'function', function }), 'anthropic'
+ *   ({ name, description, input_schema }) or 'json' (the schemas as declared)
+ */
+export function toolCatalog(toolNames = null, format = 'openai', schemas = TOOL_SCHEMAS) {
+  return (toolNames || Object.keys(schemas))
+    .filter(name => schemas[name])
+    .map(name => {
+      const { category, description, parameters, result } = schemas[name];
+      if (format === 'anthropic') {
+        return { name: toFunctionName(name), description, input_schema: parameters };
+      }
+      if (format === 'json') {
+        return { name, category, description, parameters, result };
+      }
+      return { type: 'function', function: { name: toFunctionName(name), description, parameters } };
+    });
+}
+
+/**
+ * Normalize a tool call returned by the chat endpoint ({ id, name, arguments }, where the
+ * arguments may still be a JSON string) to { id, tool, args } or { id, tool, error }
+ */
+export function parseToolCall(call) {
+  const tool = fromFunctionName(String(call?.name || ''));
+  let toolArgs = call?.arguments ?? call?.input ?? {};
+  if (typeof toolArgs === 'string') {
+    try {
+      toolArgs = toolArgs.trim() ? JSON.parse(toolArgs) : {};
+    } catch (error) {
+      return {
+        id: call.id,
+        tool,
+        error: toolError(TOOL_ERROR_CODES.invalidArgs, `Arguments for ${tool} are not valid JSON`, { hint: error.message })
+      };
+    }
+  }
+  return { id: call?.id, tool, args: toolArgs };
+}
@@ -0,0 +1,180 @@
+/**
+ * Wall arcs
+ *
+ * Curved walls are circular arcs between their start and end points. The curve is stored
+ * as a bulge on the wall (params.bulge), the DXF convention: tan(sweep / 4), 0 for a
+ * straight wall and ±1 for a half circle. A positive bulge bows the wall towards
+ * n = (d.z, -d.x), the exterior side used by the joinery module, where d is the chord
+ * direction. Because the bulge is relative to the chord, moving an end point keeps the
+ * wall's shape. Plan coordinates are engine x/z in metres.
+ */
+
+export const ARC_SEGMENT_ANGLE = Math.PI / 36; // 5° facets when arcs are tessellated
+export const MAX_BULGE = 8; // ~330° sweep
+
+const EPSILON = 1e-9;
+const MIN_BULGE = 1e-6;
+
+const sub = (a, b) => ({ x: a.x - b.x, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.z * b.z;
+const cross = (a, b) => a.x * b.z - a.z * b.x;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+const clampBulge = bulge => Math.max(-MAX_BULGE, Math.min(MAX_BULGE, bulge));
+
+function chordFrame(start, end) {
+  const chord = distance(start, end);
+  if (!(chord > EPSILON)) return null;
+  const d = { x: (end.x - start.x) / chord, z: (end.z - start.z) / chord };
+  return { chord, d, n: { x: d.z, z: -d.x }, mid: { x: (start.x + end.x) / 2, z: (start.z + end.z) / 2 } };
+}
+
+/**
+ * Circle of a curved wall
+ * @returns {Object|null} { center, radius, startAngle, sweep, length, sign } with the signed
+ *   sweep running from startAngle; null for straight walls
+ */
+export function wallArc(start, end, bulge) {
+  const b = clampBulge(Number(bulge) || 0);
+  const frame = chordFrame(start, end);
+  if (!frame || Math.abs(b) < MIN_BULGE) return null;
+
+  const sign = Math.sign(b);
+  const sweep = 4 * Math.atan(Math.abs(b));
+  const radius = frame.chord / (2 * Math.sin(sweep / 2));
+  const sagitta = Math.abs(b) * frame.chord / 2;
+  const centerOffset = sign * (sagitta - radius);
+  const center = { x: frame.mid.x + frame.n.x * centerOffset, z: frame.mid.z + frame.n.z * centerOffset };
+
+  return {
+    center,
+    radius,
+    startAngle: Math.atan2(start.z - center.z, start.x - center.x),
+    sweep: sign * sweep,
+    length: radius * sweep,
+    sign
+  };
+}
+
+/**
+ * Centerline length of a wall, straight or curved
+ */
+export function wallLength(start, end, bulge = 0) {
+  if (!start || !end) return 0;
+  const arc = wallArc(start, end, bulge);
+  return arc ? arc.length : distance(start, end);
+}
+
+/**
+ * Point and direction at a distance along a wall's centerline
+ * @returns {{ point: {x, z}, tangent: {x, z} }}
+ */
+export function pointAlongWall(start, end, bulge, s) {
+  const arc = wallArc(start, end, bulge);
+  if (!arc) {
+    const length = distance(start, end) || 1;
+    const tangent = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+    return { point: { x: start.x + tangent.x * s, z: start.z + tangent.z * s }, tangent };
+  }
+  const angle = arc.startAngle + arc.sweep * (s / arc.length);
+  return {
+    point: { x: arc.center.x + arc.radius * Math.cos(angle), z: arc.center.z + arc.radius * Math.sin(angle) },
+    tangent: { x: -arc.sign * Math.sin(angle), z: arc.sign * Math.cos(angle) }
+  };
+}
+
+/**
+ * Distance along a wall's centerline and offset from it for a plan point
+ * Offsets are positive on the wall's n side; points off the ends get distances outside [0, length].
+ * @returns {{ s: number, offset: number }}
+ */
+export function locateOnWall(start, end, bulge, point) {
+  const arc = wallArc(start, end, bulge);
+  if (!arc) {
+    const frame = chordFrame(start, end);
+    if (!frame) return { s: 0, offset: 0 };
+    const offset = sub(point, start);
+    return { s: dot(offset, frame.d), offset: dot(offset, frame.n) };
+  }
+  const angle = Math.atan2(point.z - arc.center.z, point.x - arc.center.x);
+  // Measured from the middle of the arc so points just past either end stay on their side
+  let relative = arc.sign * (angle - arc.startAngle) - Math.abs(arc.sweep) / 2;
+  relative = Math.atan2(Math.sin(relative), Math.cos(relative)) + Math.abs(arc.sweep) / 2;
+  return {
+    s: relative * arc.radius,
+    offset: arc.sign * (distance(point, arc.center) - arc.radius)
+  };
+}
+
+/**
+ * Centerline samples of a wall: both ends for a straight wall, 5° facets along an arc
+ * @returns {Array<{ point: {x, z}, tangent: {x, z}, s: number }>}
+ */
+export function sampleWall(start, end, bulge = 0, maxAngle = ARC_SEGMENT_ANGLE) {
+  const arc = wallArc(start, end, bulge);
+  const length = arc ? arc.length : distance(start, end);
+  const count = arc ? Math.max(2, Math.ceil(Math.abs(arc.sweep) / maxAngle)) : 1;
+  return Array.from({ length: count + 1 }, (_, i) => {
+    const s = (length * i) / count;
+    return { ...pointAlongWall(start, end, bulge, s), s };
+  });
+}
+
+/**
+ * Bulge of the arc from start to end through a third point (three-point arc)
+ * @returns {number} 0 when the points are in line
+ */
+export function bulgeFromThreePoints(start, through, end) {
+  const frame = chordFrame(start, end);
+  if (!frame) return 0;
+  const a = sub(through, start);
+  const b = sub(end, start);
+  const denominator = 2 * cross(a, b);
+  if (Math.abs(denominator) < EPSILON) return 0;
+
+  // Circumcenter relative to start, then the arc's apex on the side of the through point
+  const aa = dot(a, a);
+  const bb = dot(b, b);
+  const center = { x: start.x + (b.z * aa - a.z * bb) / denominator, z: start.z + (a.x * bb - b.x * aa) / denominator };
+  const radius = distance(center, start);
+  const side = Math.sign(dot(sub(through, frame.mid), frame.n));
+  const sagitta = dot(sub(center, frame.mid), frame.n) + side * radius;
+  return clampBulge(sagitta / (frame.chord / 2));
+}
+
+/**
+ * Bulge of the arc leaving start along a tangent direction and ending at end (tangent arc)
+ * @returns {number} 0 when the tangent points at the end
+ */
+export function bulgeFromTangent(start, tangent, end) {
+  const frame = chordFrame(start, end);
+  const length = tangent ? Math.hypot(tangent.x, tangent.z) : 0;
+  if (!frame || length < EPSILON) return 0;
+  const t = { x: tangent.x / length, z: tangent.z / length };
+  // The tangent leaves the chord at half the sweep
+  const angle = Math.atan2(cross(t, frame.d), dot(t, frame.d));
+  return clampBulge(Math.tan(angle / 2));
+}
+
+/**
+ * Direction a wall runs in at its start and end
+ * @returns {{ start: {x, z}, end: {x, z} }}
+ */
+export function wallEndTangents(start, end, bulge = 0) {
+  const length = wallLength(start, end, bulge);
+  return {
+    start: pointAlongWall(start, end, bulge, 0).tangent,
+    end: pointAlongWall(start, end, bulge, length).tangent
+  };
+}
+
+/**
+ * Bulges of the two parts of a wall split at a fraction of its length
+ * @returns {[number, number]}
+ */
+export function splitBulge(bulge, fraction) {
+  const b = clampBulge(Number(bulge) || 0);
+  const sweep = 4 * Math.atan(Math.abs(b));
+  const sign = Math.sign(b);
+  return [sign * Math.tan((sweep * fraction) / 4), sign * Math.tan((sweep * (1 - fraction)) / 4)];
+}
@@ -0,0 +1,619 @@
+/**
+ * Wall joinery
+ *
+ * The one place where wall junctions are resolved. Wall centerlines are analysed
+ * for L corners, straight joins, multi-wall nodes, T junctions and X crossings, and
+ * every wall gets plan outlines plus an outline per layer piece. The engine extrudes
+ * these outlines for the 3D model and the 2D plan draws the same polygons, so both
+ * views always agree. Plan coordinates are engine x/z in metres.
+ *
+ * Each wall has a local frame: u runs along the wall from its start, v is the offset
+ * along n = (d.z, -d.x). Layers run exterior → interior from v = +t/2 to v = -t/2.
+ * On curved walls (see utils/wallArcs) u is the distance along the arc and v the radial
+ * offset, so the same cuts and layer bands apply; their ends join through the arc's
+ * tangent at each end. Curved walls take part in L, straight, multi and T junctions but
+ * never split another wall at an X crossing.
+ *
+ * Layer-aware cleanup:
+ * - L, straight and multi-wall nodes miter every layer along the same cut, so matching
+ *   finishes wrap around the corner
+ * - At T junctions and X crossings the abutting wall's finishes stop at the face of the
+ *   through wall while its core runs on to the through wall's core (core-to-core); the
+ *   through wall's finish layers are notched where that core passes
+ */
+
+import { ARC_SEGMENT_ANGLE, locateOnWall, pointAlongWall, wallArc } from './wallArcs.js';
+
+export const DEFAULT_JOINERY_TOLERANCE = 0.05;
+export const DEFAULT_MITER_LIMIT = 4; // × the two walls' half thicknesses
+
+const EPSILON = 1e-9;
+const PARALLEL_SINE = Math.sin(Math.PI / 36); // walls within 5° of each other never form a T
+const STRAIGHT_COSINE = Math.cos(Math.PI / 36);
+
+const add = (a, b) => ({ x: a.x + b.x, z: a.z + b.z });
+const sub = (a, b) => ({ x: a.x - b.x, z: a.z - b.z });
+const scale = (a, s) => ({ x: a.x * s, z: a.z * s });
+const dot = (a, b) => a.x * b.x + a.z * b.z;
+const cross = (a, b) => a.x * b.z - a.z * b.x;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 });
+
+function intersectLines(a, b) {
+  const denominator = cross(a.d, b.d);
+  if (Math.abs(denominator) < EPSILON) return null;
+  return add(a.p, scale(a.d, cross(sub(b.p, a.p), b.d) / denominator));
+}
+
+function footOnLine(line, point) {
+  return add(line.p, scale(line.d, dot(sub(point, line.p), line.d)));
+}
+
+// ---------------------------------------------------------------------------
+// Wall frames
+// ---------------------------------------------------------------------------
+
+const tangentAt = (wall, u) => (wall.arc ? pointAlongWall(wall.start, wall.end, wall.bulge, u).tangent : wall.d);
+
+const normalAt = (wall, u) => {
+  const tangent = tangentAt(wall, u);
+  return { x: tangent.z, z: -tangent.x };
+};
+
+const toLocal = (wall, point) => {
+  if (wall.arc) {
+    const { s, offset } = locateOnWall(wall.start, wall.end, wall.bulge, point);
+    return { u: s, v: offset };
+  }
+  const offset = sub(point, wall.start);
+  return { u: dot(offset, wall.d), v: dot(offset, wall.n) };
+};
+
+const toWorld = (wall, { u, v }) => {
+  if (wall.arc) {
+    return add(pointAlongWall(wall.start, wall.end, wall.bulge, u).point, scale(normalAt(wall, u), v));
+  }
+  return add(wall.start, add(scale(wall.d, u), scale(wall.n, v)));
+};
+
+// Line at offset v following the wall's direction at u (its tangent on a curved wall)
+const offsetLine = (wall, v, u = 0) => (wall.arc
+  ? { p: toWorld(wall, { u, v }), d: tangentAt(wall, u) }
+  : { p: add(wall.start, scale(wall.n, v)), d: wall.d });
+
+// Plan outline of (u, v) points; edges running along a curved wall are split into facets
+function toWorldOutline(wall, points) {
+  if (!wall.arc) return points.map(point => toWorld(wall, point));
+  const step = (wall.length * ARC_SEGMENT_ANGLE) / Math.abs(wall.arc.sweep);
+  return points.flatMap((point, i) => {
+    const next = points[(i + 1) % points.length];
+    const count = Math.max(1, Math.ceil(Math.abs(next.u - point.u) / step));
+    return Array.from({ length: count }, (_, k) => toWorld(wall, {
+      u: point.u + ((next.u - point.u) * k) / count,
+      v: point.v + ((next.v - point.v) * k) / count
+    }));
+  });
+}
+
+const isCoreLayer = (wall, layer) => layer.lo >= wall.core.lo - EPSILON && layer.hi <= wall.core.hi + EPSILON;
+
+function prepareWall(input, index) {
+  if (!input || !input.start || !input.end) return null;
+  const start = { x: Number(input.start.x), z: Number(input.start.z) };
+  const end = { x: Number(input.end.x), z: Number(input.end.z) };
+  const chord = distance(start, end);
+  if (!Number.isFinite(chord) || chord < EPSILON) return null;
+
+  const d = scale(sub(end, start), 1 / chord);
+  const bulge = Number(input.bulge) || 0;
+  const arc = wallArc(start, end, bulge);
+  const length = arc ? arc.length : chord;
+  const thickness = Number(input.thickness) > 0 ? Number(input.thickness) : 0.2;
+  const h = thickness / 2;
+
+  // Layers are scaled to fill the wall thickness so they never overhang its faces
+  const source = (input.layers || []).filter(layer => Number(layer.thickness) > 0);
+  const layers = source.length > 0 ? source : [{ thickness, function: 'structure', material: input.material }];
+  const factor = thickness / layers.reduce((sum, layer) => sum + Number(layer.thickness), 0);
+  let top = h;
+  const prepared = layers.map((layer, layerIndex) => {
+    const layerThickness = Number(layer.thickness) * factor;
+    const entry = {
+      index: layerIndex,
+      name: layer.name || null,
+      material: layer.material || input.material || null,
+      function: layer.function || 'structure',
+      thickness: layerThickness,
+      hi: top,
+      lo: top - layerThickness
+    };
+    top -= layerThickness;
+    return entry;
+  });
+  prepared[prepared.length - 1].lo = -h;
+
+  const structural = prepared.filter(layer => layer.function === 'structure');
+  const core = structural.length > 0
+    ? { lo: Math.min(...structural.map(layer => layer.lo)), hi: Math.max(...structural.map(layer => layer.hi)) }
+    : { lo: -h, hi: h };
+
+  return {
+    id: input.id !== undefined ? input.id : index,
+    index,
+    start,
+    end,
+    d,
+    n: { x: d.z, z: -d.x },
+    bulge,
+    arc,
+    length,
+    h,
+    layers: prepared,
+    core,
+    priority: Number(input.priority) || 0,
+    startCut: null,
+    endCut: null,
+    breaks: [],
+    notches: [],
+    startInfo: { type: 'free', junction: null },
+    endInfo: { type: 'free', junction: null }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Cuts - polylines in a wall's (u, v) frame with v increasing from -h to +h
+// ---------------------------------------------------------------------------
+
+const squareCut = (wall, u) => ({ default: [{ u, v: -wall.h }, { u, v: wall.h }], core: null });
+
+function uAtV(cut, v) {
+  let i = 0;
+  while (i < cut.length - 2 && v > cut[i + 1].v) i++;
+  const a = cut[i];
+  const b = cut[i + 1];
+  const dv = b.v - a.v;
+  return Math.abs(dv) < EPSILON ? a.u : a.u + ((v - a.v) / dv) * (b.u - a.u);
+}
+
+// Portion of a cut between two offsets, extending its end segments when needed
+function clipCut(cut, lo, hi) {
+  return [
+    { u: uAtV(cut, lo), v: lo },
+    ...cut.filter(point => point.v > lo + EPSILON && point.v < hi - EPSILON),
+    { u: uAtV(cut, hi), v: hi }
+  ];
+}
+
+function monotonicCut(points) {
+  const result = [];
+  points.forEach(point => {
+    const last = result[result.length - 1];
+    if (!last || point.v > last.v + EPSILON) result.push(point);
+  });
+  return result.length >= 2 ? result : null;
+}
+
+function dedupe(points) {
+  return points.filter((point, i) => {
+    const previous = points[(i - 1 + points.length) % points.length];
+    return points.length < 2 || Math.hypot(point.u - previous.u, point.v - previous.v) > 1e-7;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Junction detection
+// ---------------------------------------------------------------------------
+
+function clusterEnds(walls, tolerance) {
+  const nodes = [];
+  walls.forEach(wall => {
+    [
+      ['start', wall.start, tangentAt(wall, 0), 0],
+      ['end', wall.end, scale(tangentAt(wall, wall.length), -1), wall.length]
+    ].forEach(([key, point, direction, u]) => {
+      const node = nodes.find(candidate => distance(candidate.point, point) <= tolerance);
+      const arm = { wall, key, a: direction, sign: key === 'start' ? 1 : -1, u };
+      if (node) {
+        node.arms.push(arm);
+        node.points.push(point);
+        node.point = scale(node.points.reduce(add, { x: 0, z: 0 }), 1 / node.points.length);
+      } else {
+        nodes.push({ point, points: [point], arms: [arm], through: null });
+      }
+    });
+  });
+  return nodes;
+}
+
+// A wall whose body the node sits on, making the node a T junction
+function findThroughWall(node, walls, tolerance) {
+  const members = new Set(node.arms.map(arm => arm.wall));
+  let best = null;
+  walls.forEach(wall => {
+    if (members.has(wall)) return;
+    const { u, v } = toLocal(wall, node.point);
+    if (u <= tolerance || u >= wall.length - tolerance || Math.abs(v) > wall.h + tolerance) return;
+    if (node.arms.some(arm => Math.abs(cross(arm.a, tangentAt(wall, u))) < PARALLEL_SINE)) return;
+    if (!best || Math.abs(v) < best.offset) best = { wall, u, offset: Math.abs(v) };
+  });
+  return best;
+}
+
+const throughArms = (wall, u) => [
+  { wall, key: 'through', a: tangentAt(wall, u), sign: 1, u },
+  { wall, key: 'through', a: scale(tangentAt(wall, u), -1), sign: -1, u }
+];
+
+// The lower-priority wall of a crossing is split by the other one
+const ranksAbove = (a, b) => (a.priority - b.priority) || (a.h - b.h) || (b.index - a.index);
+
+function findCrossings(walls, tolerance) {
+  const crossings = [];
+  for (let i = 0; i < walls.length; i++) {
+    for (let j = i + 1; j < walls.length; j++) {
+      const a = walls[i];
+      const b = walls[j];
+      if (a.arc || b.arc || Math.abs(cross(a.d, b.d)) < PARALLEL_SINE) continue;
+      const point = intersectLines({ p: a.start, d: a.d }, { p: b.start, d: b.d });
+      const ua = toLocal(a, point).u;
+      const ub = toLocal(b, point).u;
+      const clearA = b.h + tolerance;
+      const clearB = a.h + tolerance;
+      if (ua > clearA && ua < a.length - clearA && ub > clearB && ub < b.length - clearB) {
+        const [through, crossing] = ranksAbove(a, b) >= 0 ? [a, b] : [b, a];
+        crossings.push({ point, through, crossing, u: toLocal(crossing, point).u });
+      }
+    }
+  }
+  return crossings;
+}
+
+function classifyNode(node) {
+  if (node.through) return node.crossing ? 'X' : 'T';
+  if (node.arms.length === 2) {
+    return dot(node.arms[0].a, node.arms[1].a) < -STRAIGHT_COSINE ? 'straight' : 'L';
+  }
+  return 'multi';
+}
+
+// ---------------------------------------------------------------------------
+// Node resolution
+// ---------------------------------------------------------------------------
+
+// Side line of an arm: side -1 faces the next arm counter-clockwise, +1 the previous one
+const armSide = (arm, side) => offsetLine(arm.wall, side * arm.sign * arm.wall.h, arm.u);
+
+function solveCorner(node, armA, armB, miterLimit) {
+  const lineA = armSide(armA, -1);
+  const lineB = armSide(armB, 1);
+  const footA = footOnLine(lineA, node.point);
+  const footB = footOnLine(lineB, node.point);
+  const point = intersectLines(lineA, lineB);
+
+  if (point && distance(point, node.point) <= miterLimit * (armA.wall.h + armB.wall.h)) {
+    return { a: point, b: point, bevel: null };
+  }
+  // Past the miter limit: square both ends and bevel the outside corner
+  const outside = point && dot(sub(point, node.point), armA.a) < 0;
+  return { a: footA, b: footB, bevel: outside ? midpoint(footA, footB) : null };
+}
+
+function faceLineFacing(through, arm, u) {
+  const side = dot(arm.a, normalAt(through, u)) > 0 ? 1 : -1;
+  return { side, line: offsetLine(through, side * through.h, u) };
+}
+
+function assignCut(arm, points, core) {
+  const toWallCut = list => {
+    if (!list) return null;
+    const local = list.map(point => toLocal(arm.wall, point));
+    if (arm.sign < 0) local.reverse();
+    return monotonicCut(local);
+  };
+  const cutSet = { default: toWallCut(points), core: toWallCut(core) };
+  if (!cutSet.default) return;
+
+  if (arm.key === 'start') arm.wall.startCut = cutSet;
+  else if (arm.key === 'end') arm.wall.endCut = cutSet;
+  else arm.target[arm.key] = cutSet;
+}
+
+// Core-to-core: the abutting core runs to the through wall's core face and notches its finishes
+function coreToCore(through, arm, u) {
+  const { side, line: faceLine } = faceLineFacing(through, arm, u);
+  const coreOffset = side > 0 ? through.core.hi : through.core.lo;
+  if (Math.abs(coreOffset - side * through.h) < EPSILON) return null;
+
+  const coreLine = offsetLine(through, coreOffset, u);
+  const wall = arm.wall;
+  const core = [armSide(arm, -1), armSide(arm, 1)].map(line => intersectLines(line, coreLine));
+  if (core.some(point => !point)) return null;
+
+  const edges = [wall.core.lo, wall.core.hi].map(v => {
+    const line = offsetLine(wall, v, arm.u);
+    return [intersectLines(line, faceLine), intersectLines(line, coreLine)]
+      .map(point => toLocal(through, point))
+      .sort((a, b) => a.v - b.v);
+  });
+  through.notches.push({
+    lo: Math.min(coreOffset, side * through.h),
+    hi: Math.max(coreOffset, side * through.h),
+    edges
+  });
+  return core;
+}
+
+function solveNode(node, miterLimit) {
+  const arms = [...node.arms].sort((a, b) => Math.atan2(a.a.z, a.a.x) - Math.atan2(b.a.z, b.a.x));
+  const count = arms.length;
+  const corners = arms.map((arm, i) => solveCorner(node, arm, arms[(i + 1) % count], miterLimit));
+
+  arms.forEach((arm, i) => {
+    if (arm.key === 'through') return;
+    const next = corners[i];
+    const previous = corners[(i - 1 + count) % count];
+    const nextArm = arms[(i + 1) % count];
+    const previousArm = arms[(i - 1 + count) % count];
+    const betweenThrough = node.through && nextArm.key === 'through' && previousArm.key === 'through';
+
+    let middle = null;
+    if (count > 1 && !betweenThrough) {
+      middle = node.through ? footOnLine(faceLineFacing(node.through, arm, node.throughU).line, node.point) : node.point;
+    }
+
+    const points = [next.a, next.bevel, middle, previous.bevel, previous.b].filter(Boolean);
+    const core = betweenThrough ? coreToCore(node.through, arm, node.throughU) : null;
+    assignCut(arm, points, core);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Outlines
+// ---------------------------------------------------------------------------
+
+const cutFor = (wall, cutSet, layer) => (cutSet.core && isCoreLayer(wall, layer) ? cutSet.core : cutSet.default);
+
+function buildWall(wall) {
+  const startCut = wall.startCut || squareCut(wall, 0);
+  const endCut = wall.endCut || squareCut(wall, wall.length);
+  const breaks = wall.breaks.filter(item => item.before && item.after).sort((a, b) => a.u - b.u);
+  const bounds = [startCut, ...breaks.flatMap(item => [item.before, item.after]), endCut];
+  const ascending = [...wall.layers].reverse();
+
+  const outlines = [];
+  const layers = [];
+
+  for (let k = 0; k < bounds.length; k += 2) {
+    const low = bounds[k];
+    const high = bounds[k + 1];
+    const uLow = uAtV(low.default, 0);
+    const uHigh = uAtV(high.default, 0);
+    if (uHigh - uLow < EPSILON) continue;
+
+    const notches = wall.notches
+      .map(notch => ({ ...notch, edges: [...notch.edges].sort((a, b) => uAtV(a, 0) - uAtV(b, 0)) }))
+      .filter(notch => {
+        const u = uAtV(notch.edges[0], (notch.lo + notch.hi) / 2);
+        return u > uLow && u < uHigh;
+      })
+      .sort((a, b) => uAtV(a.edges[0], 0) - uAtV(b.edges[0], 0));
+
+    wall.layers.forEach(layer => {
+      const mid = (layer.lo + layer.hi) / 2;
+      const cuts = [
+        cutFor(wall, low, layer),
+        ...notches
+          .filter(notch => layer.lo >= notch.lo - EPSILON && layer.hi <= notch.hi + EPSILON)
+          .flatMap(notch => notch.edges),
+        cutFor(wall, high, layer)
+      ];
+      for (let i = 0; i < cuts.length; i += 2) {
+        if (uAtV(cuts[i + 1], mid) - uAtV(cuts[i], mid) < EPSILON) continue;
+        const outline = [...clipCut(cuts[i + 1], layer.lo, layer.hi), ...clipCut(cuts[i], layer.lo, layer.hi).reverse()];
+        layers.push({
+          index: layer.index,
+          name: layer.name,
+          material: layer.material,
+          function: layer.function,
+          outline: toWorldOutline(wall, dedupe(outline))
+        });
+      }
+    });
+
+    const profile = cutSet => ascending.flatMap(layer => clipCut(cutFor(wall, cutSet, layer), layer.lo, layer.hi));
+    const leftNotches = notches
+      .filter(notch => notch.hi >= wall.h - EPSILON)
+      .reverse()
+      .flatMap(({ lo, edges: [a, b] }) => [
+        { u: uAtV(b, wall.h), v: wall.h }, { u: uAtV(b, lo), v: lo }, { u: uAtV(a, lo), v: lo }, { u: uAtV(a, wall.h), v: wall.h }
+      ]);
+    const rightNotches = notches
+      .filter(notch => notch.lo <= -wall.h + EPSILON)
+      .flatMap(({ hi, edges: [a, b] }) => [
+        { u: uAtV(a, -wall.h), v: -wall.h }, { u: uAtV(a, hi), v: hi }, { u: uAtV(b, hi), v: hi }, { u: uAtV(b, -wall.h), v: -wall.h }
+      ]);
+
+    const outline = [...profile(high), ...leftNotches, ...profile(low).reverse(), ...rightNotches];
+    outlines.push(toWorldOutline(wall, dedupe(outline)));
+  }
+
+  return {
+    id: wall.id,
+    outlines,
+    layers,
+    start: wall.startInfo,
+    end: wall.endInfo,
+    crossings: breaks.map(item => item.junction)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Where the centerlines of two straight walls cross when both are extended, for trimming
+ * one wall to another; null when they are parallel or either is curved or has no length
+ * @param {Object} a - Joinery wall { start: {x, z}, end: {x, z}, bulge }
+ * @param {Object} b - Joinery wall
+ * @returns {{ x, z } | null}
+ */
+export function intersectWallAxes(a, b) {
+  const axis = wall => {
+    if (wall.bulge) return null;
+    const length = distance(wall.start, wall.end);
+    return length > EPSILON ? { p: { x: wall.start.x, z: wall.start.z }, d: scale(sub(wall.end, wall.start), 1 / length) } : null;
+  };
+  const axisA = axis(a);
+  const axisB = axis(b);
+  return axisA && axisB ? intersectLines(axisA, axisB) : null;
+}
+
+/**
+ * Joinery input for an engine wall object: its centerline, thickness and the layers
+ * of its wall type (a single layer of the wall's material when it has no type)
+ * @param {Object} object - { id, params: { startPoint, endPoint, bulge, thickness, material, wallType, wallTemplate } }
+ * @param {Object} wallTypeTemplates - Wall types by id
+ */
+export function toJoineryWall(object, wallTypeTemplates = {}) {
+  const params = object.params || {};
+  const template = params.wallTemplate || (params.wallType ? wallTypeTemplates[params.wallType] : null) || null;
+  return {
+    id: object.id,
+    start: params.startPoint,
+    end: params.endPoint,
+    bulge: Number(params.bulge) || 0,
+    thickness: (template && template.totalThickness) || params.thickness || 0.2,
+    material: params.material || null,
+    layers: template ? template.layers : null,
+    // Curtain walls give way to the walls they cross
+    priority: template?.properties?.isCurtainWall ? -1 : (template?.properties?.loadBearing ? 1 : 0)
+  };
+}
+
+/**
+ * Resolve every junction in a wall layout
+ * @param {Array} walls - [{ id, start: {x, z}, end: {x, z}, bulge, thickness, material, layers, priority }]
+ * @param {Object} [options] - { tolerance: endpoint snap distance (m), miterLimit, junctionPrefix }
+ * @returns {{ walls: Object, junctions: Array }} walls by id with { outlines, layers, start, end, crossings };
+ *   junctions as { id, type: 'L' | 'straight' | 'multi' | 'T' | 'X', point, walls, through }
+ */
+export function computeWallJoinery(walls, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_JOINERY_TOLERANCE;
+  const miterLimit = options.miterLimit || DEFAULT_MITER_LIMIT;
+  const junctionPrefix = options.junctionPrefix || 'j';
+  const prepared = (walls || []).map(prepareWall).filter(Boolean);
+
+  const nodes = clusterEnds(prepared, tolerance);
+  nodes.forEach(node => {
+    const through = findThroughWall(node, prepared, tolerance);
+    if (!through) return;
+    node.through = through.wall;
+    node.throughU = through.u;
+    node.arms.push(...throughArms(through.wall, through.u));
+  });
+
+  findCrossings(prepared, tolerance).forEach(({ point, through, crossing, u }) => {
+    const target = { u, before: null, after: null, junction: null };
+    crossing.breaks.push(target);
+    nodes.push({
+      point,
+      points: [point],
+      through,
+      throughU: toLocal(through, point).u,
+      crossing: true,
+      target,
+      arms: [
+        ...throughArms(through, toLocal(through, point).u),
+        { wall: crossing, key: 'before', target, a: scale(crossing.d, -1), sign: -1, u },
+        { wall: crossing, key: 'after', target, a: crossing.d, sign: 1, u }
+      ]
+    });
+  });
+
+  const junctions = [];
+  nodes.forEach(node => {
+    solveNode(node, miterLimit);
+    if (node.arms.length < 2) return;
+
+    const junction = {
+      id: `${junctionPrefix}${junctions.length + 1}`,
+      type: classifyNode(node),
+      point: node.point,
+      walls: [...new Set(node.arms.map(arm => arm.wall.id))],
+      through: node.through ? node.through.id : null
+    };
+    junctions.push(junction);
+    node.arms.forEach(arm => {
+      if (arm.key === 'start') arm.wall.startInfo = { type: junction.type, junction: junction.id };
+      if (arm.key === 'end') arm.wall.endInfo = { type: junction.type, junction: junction.id };
+    });
+    if (node.target) node.target.junction = junction.id;
+  });
+
+  const result = {};
+  prepared.forEach(wall => {
+    result[wall.id] = buildWall(wall);
+  });
+  return { walls: result, junctions };
+}
+
+/**
+ * Part of a plan outline between two distances along a wall's centerline
+ * @param {Array} outline - [{x, z}]
+ * @param {Object} start - Wall start {x, z}
+ * @param {Object} end - Wall end {x, z}
+ * @param {number} from - Distance from the start, -Infinity for no limit
+ * @param {number} to - Distance from the start, Infinity for no limit
+ * @param {number} [bulge] - Curvature of the wall (see utils/wallArcs)
+ * @returns {Array|null} Clipped outline, or null when nothing is left
+ */
+export function clipOutlineAlongWall(outline, start, end, from, to, bulge = 0) {
+  if (!outline || outline.length < 3 || distance(start, end) < EPSILON) return null;
+  const along = point => locateOnWall(start, end, bulge, point).s;
+
+  const clip = (points, keep, limit) => points.reduce((result, point, i) => {
+    const previous = points[(i - 1 + points.length) % points.length];
+    const inside = keep(along(point));
+    if (inside !== keep(along(previous))) {
+      const t = (limit - along(previous)) / (along(point) - along(previous));
+      result.push(add(previous, scale(sub(point, previous), t)));
+    }
+    if (inside) result.push(point);
+    return result;
+  }, []);
+
+  let clipped = outline;
+  if (Number.isFinite(from)) clipped = clip(clipped, u => u >= from, from);
+  if (Number.isFinite(to) && clipped.length > 0) clipped = clip(clipped, u => u <= to, to);
+  return clipped.length >= 3 ? clipped : null;
+}
+
+/**
+ * Vertical bands of a wall with openings: full-height spans between the openings, and
+ * the sill and head bands over each one
+ * @param {Array} openings - [{ position: centre distance from the wall start, width, height, offset: sill height }]
+ * @param {number} height - Wall height
+ * @returns {Array} [{ from, to, bottom, top }]; the first and last spans are open-ended
+ */
+export function splitWallAtOpenings(openings, height) {
+  const bands = [];
+  let current = -Infinity;
+  [...(openings || [])]
+    .filter(opening => Number(opening.width) > 0)
+    .sort((a, b) => a.position - b.position)
+    .forEach(opening => {
+      const from = Math.max(current, opening.position - opening.width / 2);
+      const to = opening.position + opening.width / 2;
+      if (to <= from) return;
+      const sill = Math.max(0, opening.offset || 0);
+      const head = Math.min(height, sill + (opening.height || height));
+
+      bands.push({ from: current, to: from, bottom: 0, top: height });
+      if (sill > 0) bands.push({ from, to, bottom: 0, top: sill });
+      if (head < height) bands.push({ from, to, bottom: head, top: height });
+      current = to;
+    });
+  bands.push({ from: current, to: Infinity, bottom: 0, top: height });
+  return bands.filter(band => band.to - band.from > 1e-6);
+}
@@ -0,0 +1,232 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer
+ *
+ * Builds a workbook from plain rows of strings/numbers and packs it into an
+ * uncompressed ZIP container, so exports open in Excel, Numbers, LibreOffice and
+ * Google Sheets without a spreadsheet dependency.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function encodeUtf8(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/**
+ * Spreadsheet column letters: 0 → A, 25 → Z, 26 → AA
+ */
+export function columnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Excel sheet names: max 31 characters, no []:*?/\ and unique within the workbook
+ */
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((sheet, index) => {
+    const base = (String(sheet.name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${index + 1}`).slice(0, 31);
+    let name = base;
+    let suffix = 2;
+    while (used.has(name.toLowerCase())) {
+      name = `${base.slice(0, 31 - String(suffix).length - 1)} ${suffix++}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function worksheetXml(sheet) {
+  const boldRows = new Set(sheet.boldRows || []);
+  const rows = (sheet.rows || []).map((row, r) => {
+    const style = boldRows.has(r) ? ' s="1"' : '';
+    const cells = row.map((value, c) => {
+      if (value === null || value === undefined || value === '') return '';
+      const ref = `${columnName(c)}${r + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  const widths = (sheet.columnWidths || [])
+    .map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`)
+    .join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    (widths ? `<cols>${widths}</cols>` : '') +
+    `<sheetData>${rows}</sheetData></worksheet>`;
+}
+
+/**
+ * Pack files into a ZIP archive (stored, no compression)
+ * @param {Array<{ name: string, data: Uint8Array }>} files
+ */
+export function createZip(files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  const header = (size) => {
+    const buffer = new Uint8Array(size);
+    return { buffer, view: new DataView(buffer.buffer) };
+  };
+
+  files.forEach(file => {
+    const name = encodeUtf8(file.name);
+    const crc = crc32(file.data);
+
+    const local = header(30);
+    local.view.setUint32(0, 0x04034b50, true);
+    local.view.setUint16(4, 20, true);
+    local.view.setUint16(6, 0x0800, true); // UTF-8 names
+    local.view.setUint16(8, 0, true); // stored
+    local.view.setUint16(10, 0, true);
+    local.view.setUint16(12, 0x21, true); // 1980-01-01
+    local.view.setUint32(14, crc, true);
+    local.view.setUint32(18, file.data.length, true);
+    local.view.setUint32(22, file.data.length, true);
+    local.view.setUint16(26, name.length, true);
+    local.view.setUint16(28, 0, true);
+
+    const entry = header(46);
+    entry.view.setUint32(0, 0x02014b50, true);
+    entry.view.setUint16(4, 20, true);
+    entry.view.setUint16(6, 20, true);
+    entry.view.setUint16(8, 0x0800, true);
+    entry.view.setUint16(10, 0, true);
+    entry.view.setUint16(12, 0, true);
+    entry.view.setUint16(14, 0x21, true);
+    entry.view.setUint32(16, crc, true);
+    entry.view.setUint32(20, file.data.length, true);
+    entry.view.setUint32(24, file.data.length, true);
+    entry.view.setUint16(28, name.length, true);
+    entry.view.setUint32(42, offset, true);
+
+    chunks.push(local.buffer, name, file.data);
+    central.push(entry.buffer, name);
+    offset += local.buffer.length + name.length + file.data.length;
+  });
+
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = header(22);
+  end.view.setUint32(0, 0x06054b50, true);
+  end.view.setUint16(8, files.length, true);
+  end.view.setUint16(10, files.length, true);
+  end.view.setUint32(12, centralSize, true);
+  end.view.setUint32(16, offset, true);
+
+  const all = [...chunks, ...central, end.buffer];
+  const zip = new Uint8Array(all.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  all.forEach(chunk => {
+    zip.set(chunk, position);
+    position += chunk.length;
+  });
+  return zip;
+}
+
+/**
+ * Build an .xlsx workbook
+ * @param {Array<{ name: string, rows: Array<Array<string|number|null>>, boldRows?: number[], columnWidths?: number[] }>} sheets
+ * @returns {Uint8Array} File contents
+ */
+export function createXlsxWorkbook(sheets) {
+  const names = sheetNames(sheets);
+  const xml = text => encodeUtf8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>${text}`);
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        names.map((name, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>')
+    },
+    {
+      name: '_rels/.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>')
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xml('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>')
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        names.map((name, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>')
+    },
+    {
+      // Style 0: default, style 1: bold (header and total rows)
+      name: 'xl/styles.xml',
+      data: xml('<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>')
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: encodeUtf8(worksheetXml(sheet)) }))
+  ];
+
+  return createZip(files);
+}